@@ -0,0 +1,433 @@
+/**
+ * Anki deck export (.apkg) and import (.apkg / .colpkg).
+ *
+ * An .apkg is a zip holding `collection.anki2` (an SQLite database, schema 11)
+ * and the media files, stored under numbered names and listed in a `media`
+ * JSON map ({"0": "word.mp3"}). Each SRSCard becomes one note of the
+ * "Russian Word" note type with one recognition card; its SM-2 state
+ * (interval, ease, due date) becomes the Anki card's scheduling, so reviews
+ * carry on where they left off.
+ *
+ * Note GUIDs are derived from the card id, so importing a newer export into
+ * Anki updates the existing notes instead of duplicating them.
+ *
+ * Import reads any note type: the word and translation come from fields
+ * named like "Word" / "Translation" (falling back to the first two fields),
+ * and the first card of each note supplies the scheduling. The client merges
+ * the result into the deck, so ids and duplicates are handled there.
+ */
+import crypto from 'crypto';
+import initSqlJs from 'sql.js';
+import { readZip, writeZip, MAX_ENTRY_BYTES } from './media/zip.js';
+
+export const ANKI_FIELDS = ['Word', 'Stressed', 'Translation', 'Grammar', 'Example', 'Audio'];
+
+// Fixed ids so every export shares one note type and deck in the user's collection
+const MODEL_ID = 1700000000001;
+const DECK_ID = 1700000000002;
+const DECK_NAME = 'Russian';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CARD_CSS = `.card { font-family: arial; font-size: 20px; text-align: center; color: #111827; background: #fff; }
+.word { font-size: 32px; }
+.translation { margin-top: 8px; color: #4b5563; }
+.grammar { margin-top: 12px; font-size: 15px; }
+.grammar table { margin: 6px auto; border-collapse: collapse; }
+.grammar td, .grammar th { padding: 2px 8px; text-align: left; }
+.grammar th, .label { color: #9ca3af; font-size: 12px; text-transform: uppercase; }
+.example { margin-top: 12px; font-size: 16px; }
+.example .english { color: #6b7280; font-style: italic; }`;
+
+const FRONT_TEMPLATE = '<div class="word">{{#Stressed}}{{Stressed}}{{/Stressed}}{{^Stressed}}{{Word}}{{/Stressed}}</div>\n{{Audio}}';
+const BACK_TEMPLATE = '{{FrontSide}}\n<hr id="answer">\n<div class="translation">{{Translation}}</div>\n<div class="grammar">{{Grammar}}</div>\n<div class="example">{{Example}}</div>';
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const GENDER_NAMES = { m: 'masculine', f: 'feminine', n: 'neuter' };
+const CASE_LABELS = [['nom', 'Nom.'], ['gen', 'Gen.'], ['dat', 'Dat.'], ['acc', 'Acc.'], ['inst', 'Inst.'], ['prep', 'Prep.']];
+const PERSON_LABELS = [['sg1', 'я'], ['sg2', 'ты'], ['sg3', 'он/она'], ['pl1', 'мы'], ['pl2', 'вы'], ['pl3', 'они']];
+const ADJECTIVE_LABELS = [['m', 'Masc.'], ['f', 'Fem.'], ['n', 'Neut.'], ['pl', 'Plural']];
+
+const row = (cells, tag = 'td') => `<tr>${cells.map(c => `<${tag}>${escapeHtml(c)}</${tag}>`).join('')}</tr>`;
+
+/**
+ * The grammar section of a card back, as HTML: part of speech with gender or
+ * aspect, then the same declension / conjugation / adjective tables as the
+ * app's RichCardBack.
+ * @param {object} [dictionary] - DictionaryEntry from the OpenRussian data
+ * @returns {string} HTML ('' without dictionary data)
+ */
+export function formatGrammar(dictionary) {
+  if (!dictionary) return '';
+  const details = [
+    dictionary.pos,
+    dictionary.gender && GENDER_NAMES[dictionary.gender],
+    dictionary.aspect,
+    dictionary.aspectPair && `pair: ${dictionary.aspectPair}`,
+  ].filter(Boolean);
+  const parts = [`<div class="label">${escapeHtml(details.join(' · '))}</div>`];
+
+  const { declension, conjugation, adjectiveForms } = dictionary;
+  if (declension) {
+    parts.push(`<table>${row(['', 'Singular', 'Plural'], 'th')}${
+      CASE_LABELS.map(([key, label]) => row([label, declension.sg[key], declension.pl[key]])).join('')
+    }</table>`);
+  }
+  if (conjugation) {
+    parts.push(`<table>${row(['Present / Future', ''], 'th')}${
+      PERSON_LABELS.map(([key, label]) => row([label, conjugation.present[key]])).join('')
+    }</table>`);
+    const past = [conjugation.past.m, conjugation.past.f, conjugation.past.n, conjugation.past.pl].filter(Boolean);
+    parts.push(`<div><span class="label">Past</span> ${escapeHtml(past.join(' / '))}</div>`);
+    parts.push(`<div><span class="label">Imperative</span> ${escapeHtml(`${conjugation.imperative.sg} / ${conjugation.imperative.pl}`)}</div>`);
+  }
+  if (adjectiveForms) {
+    parts.push(`<table>${row(['', 'Long', 'Short'], 'th')}${
+      ADJECTIVE_LABELS.map(([key, label]) => row([label, adjectiveForms.long[key], adjectiveForms.short[key]])).join('')
+    }</table>`);
+    if (adjectiveForms.comparative) {
+      parts.push(`<div><span class="label">Comparative</span> ${escapeHtml(adjectiveForms.comparative)}</div>`);
+    }
+    if (adjectiveForms.superlative) {
+      parts.push(`<div><span class="label">Superlative</span> ${escapeHtml(adjectiveForms.superlative)}</div>`);
+    }
+  }
+  return parts.join('\n');
+}
+
+function formatExample(example) {
+  if (!example) return '';
+  return `<div>${escapeHtml(example.russian)}</div><div class="english">${escapeHtml(example.english)}</div>`;
+}
+
+/**
+ * Anki scheduling for an SRSCard's SM-2 state.
+ * - Never reviewed → new card, in the order cards were added
+ * - In learning (repetition 0 after a review) → learning queue, due at the exact time
+ * - Graduated → review card, due `nextReviewDate` as a day number from the collection's creation
+ *
+ * @param {object} card - SRSCard
+ * @param {number} crt - Collection creation time (seconds, start of a UTC day)
+ * @param {number} position - Order among new cards
+ * @returns {{type: number, queue: number, due: number, ivl: number, factor: number, reps: number, left: number}}
+ */
+export function ankiScheduling(card, crt, position) {
+  const factor = Math.round((card.easeFactor || 2.5) * 1000);
+  const dueMs = Date.parse(card.nextReviewDate) || Date.now();
+
+  if (card.repetition > 0) {
+    return {
+      type: 2,
+      queue: 2,
+      due: Math.floor((dueMs - crt * 1000) / DAY_MS),
+      ivl: Math.max(1, Math.round(card.interval)),
+      factor,
+      reps: card.repetition,
+      left: 0,
+    };
+  }
+  if (card.lastReviewedAt) {
+    // One learning step to go (Anki encodes "steps left today * 1000 + steps left")
+    return { type: 1, queue: 1, due: Math.floor(dueMs / 1000), ivl: 0, factor, reps: 0, left: 1001 };
+  }
+  return { type: 0, queue: 0, due: position, ivl: 0, factor, reps: 0, left: 0 };
+}
+
+/** Stable note GUID for a card id (Anki only needs it to be unique and repeatable). */
+function noteGuid(cardId) {
+  return crypto.createHash('sha1').update(`russian-deck:${cardId}`).digest('base64').slice(0, 10);
+}
+
+/** Anki's duplicate-check checksum: first 8 hex digits of the SHA-1 of the sort field. */
+function fieldChecksum(text) {
+  return parseInt(crypto.createHash('sha1').update(text).digest('hex').slice(0, 8), 16);
+}
+
+const SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+  models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+  flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+  ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null,
+  odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+function collectionConfig(nowSec) {
+  const model = {
+    id: MODEL_ID,
+    name: 'Russian Word',
+    type: 0,
+    mod: nowSec,
+    usn: -1,
+    sortf: 0,
+    did: DECK_ID,
+    tmpls: [{ name: 'Recognition', ord: 0, qfmt: FRONT_TEMPLATE, afmt: BACK_TEMPLATE, did: null, bqfmt: '', bafmt: '' }],
+    flds: ANKI_FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+    css: CARD_CSS,
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    tags: [],
+    vers: [],
+    req: [[0, 'any', [0, 1]]],
+  };
+  const deck = (id, name) => ({
+    id, name, mod: nowSec, usn: -1, desc: '', dyn: 0, conf: 1, collapsed: false,
+    newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0], extendNew: 10, extendRev: 50,
+  });
+  const dconf = {
+    id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+    new: { delays: [1, 5], ints: [1, 5, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+    lapse: { delays: [1], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+    rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: true, hardFactor: 1.2 },
+  };
+  const conf = {
+    nextPos: 1, estTimes: true, activeDecks: [1], sortType: 'noteFld', timeLim: 0, sortBackwards: false,
+    addToCur: true, curDeck: DECK_ID, newBury: true, newSpread: 0, dueCounts: true, curModel: String(MODEL_ID),
+    collapseTime: 1200,
+  };
+  return {
+    conf: JSON.stringify(conf),
+    models: JSON.stringify({ [MODEL_ID]: model }),
+    decks: JSON.stringify({ 1: deck(1, 'Default'), [DECK_ID]: deck(DECK_ID, DECK_NAME) }),
+    dconf: JSON.stringify({ 1: dconf }),
+  };
+}
+
+let sqlPromise = null;
+
+function loadSql() {
+  sqlPromise ??= initSqlJs();
+  return sqlPromise;
+}
+
+/**
+ * Build an .apkg from SRSCards.
+ * @param {object[]} cards - SRSCards
+ * @param {object} [options]
+ * @param {Map<string, {name: string, data: Uint8Array}>} [options.audio] - card id → audio clip to attach
+ * @param {number} [options.now] - Export time (ms), for tests
+ * @returns {Promise<Buffer>} The .apkg file
+ */
+export async function buildApkg(cards, { audio = new Map(), now = Date.now() } = {}) {
+  const SQL = await loadSql();
+  const db = new SQL.Database();
+
+  try {
+    const nowSec = Math.floor(now / 1000);
+    // Day numbers count from the earliest date involved, so no review card is due before day 0
+    const earliest = Math.min(now, ...cards.map(c => Date.parse(c.nextReviewDate) || now));
+    const crt = Math.floor(earliest / DAY_MS) * DAY_MS / 1000;
+
+    db.run(SCHEMA);
+    const { conf, models, decks, dconf } = collectionConfig(nowSec);
+    db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+      [crt, now, now, conf, models, decks, dconf, '{}']);
+
+    const media = {};
+    const files = {};
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, 0, ?, 0, 0, 0, \'\')');
+
+    cards.forEach((card, i) => {
+      const clip = audio.get(card.id);
+      if (clip) {
+        const index = String(Object.keys(media).length);
+        media[index] = clip.name;
+        files[index] = clip.data;
+      }
+      const fields = [
+        escapeHtml(card.word),
+        escapeHtml(card.stressedWord || card.dictionary?.stressedForm || ''),
+        escapeHtml(card.translation),
+        formatGrammar(card.dictionary),
+        formatExample(card.dictionary?.example),
+        clip ? `[sound:${clip.name}]` : '',
+      ];
+      const tags = card.dictionary?.pos ? ` ${card.dictionary.pos} ` : '';
+      // Anki ids are creation times in milliseconds; they only need to be unique
+      const noteId = now + i;
+      const sched = ankiScheduling(card, crt, i + 1);
+
+      insertNote.run([noteId, noteGuid(card.id), MODEL_ID, nowSec, tags, fields.join('\x1f'), card.word, fieldChecksum(card.word)]);
+      insertCard.run([noteId, noteId, DECK_ID, nowSec, sched.type, sched.queue, sched.due, sched.ivl, sched.factor, sched.reps, sched.left]);
+    });
+    insertNote.free();
+    insertCard.free();
+
+    return writeZip({
+      'collection.anki2': db.export(),
+      media: Buffer.from(JSON.stringify(media)),
+      ...files,
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// ─── Import ─────────────────────────────────────────────────────
+
+// Anki 2.1 packages keep the real collection in .anki21; their .anki2 is a stub for old clients
+const COLLECTION_FILES = ['collection.anki21', 'collection.anki2'];
+const WORD_FIELDS = ['word', 'russian', 'front', 'expression', 'vocab'];
+const TRANSLATION_FIELDS = ['translation', 'english', 'meaning', 'definition', 'back'];
+const HAS_CYRILLIC = /[\u0400-\u04FF]/;
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/** Plain text of an Anki field: no sound tags, markup or entities. */
+function fieldText(html) {
+  return String(html ?? '')
+    .replace(/\[sound:[^\]]*\]/g, ' ')
+    .replace(/<br\s*\/?>|<\/(div|p|li)>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(n) ? String.fromCodePoint(n) : entity;
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Field positions of the word, translation and (our own note type) stressed form. */
+function fieldRoles(model) {
+  const names = [...(model?.flds || [])].sort((a, b) => a.ord - b.ord).map(f => f.name.toLowerCase());
+  const find = (candidates) => names.findIndex(name => candidates.includes(name));
+  const word = Math.max(find(WORD_FIELDS), 0);
+  let translation = find(TRANSLATION_FIELDS);
+  if (translation < 0 || translation === word) translation = word === 0 ? 1 : 0;
+  return { word, translation, stressed: names.indexOf('stressed') };
+}
+
+/**
+ * SM-2 state for an Anki card: the inverse of ankiScheduling.
+ * @param {object} card - Row of the cards table
+ * @param {number} crt - Collection creation time (seconds)
+ * @param {number|undefined} lastReviewMs - Time of the card's latest revlog entry
+ * @param {number} now - Import time (ms)
+ */
+export function fromAnkiScheduling(card, crt, lastReviewMs, now) {
+  const easeFactor = card.factor > 0 ? Math.max(1.3, card.factor / 1000) : 2.5;
+  // Cards in a filtered deck keep their home-deck due date in odue
+  const due = card.odid && card.odue ? card.odue : card.due;
+  const dayToMs = (day) => (crt + day * 86400) * 1000;
+
+  if (card.type === 2) {
+    const nextReviewMs = dayToMs(due);
+    return {
+      easeFactor,
+      interval: Math.max(1, card.ivl),
+      repetition: Math.max(1, card.reps),
+      nextReviewDate: new Date(nextReviewMs).toISOString(),
+      lastReviewedAt: new Date(lastReviewMs ?? nextReviewMs - card.ivl * DAY_MS).toISOString(),
+    };
+  }
+  if (card.type === 1 || card.type === 3) {
+    // Intraday learning cards are due at a timestamp, interday ones on a day number
+    const nextReviewMs = due > 1e9 ? due * 1000 : dayToMs(due);
+    return {
+      easeFactor,
+      interval: 0,
+      repetition: 0,
+      nextReviewDate: new Date(nextReviewMs).toISOString(),
+      lastReviewedAt: new Date(lastReviewMs ?? now).toISOString(),
+    };
+  }
+  return { easeFactor, interval: 0, repetition: 0, nextReviewDate: new Date(now).toISOString(), lastReviewedAt: null };
+}
+
+/**
+ * Read the notes of an Anki package as card data for the deck.
+ * Notes without a word or translation are dropped. When the front holds the
+ * English and the back the Russian, they are swapped. Collections over
+ * MAX_ENTRY_BYTES once inflated are refused.
+ * @param {Uint8Array|Buffer} data - .apkg or .colpkg file
+ * @param {object} [options]
+ * @param {number} [options.now] - Import time (ms), for tests
+ * @returns {Promise<object[]>} Cards without ids: word, translation, stressedWord?, SM-2 fields, addedAt
+ */
+export async function readAnkiPackage(data, { now = Date.now() } = {}) {
+  let zip;
+  try {
+    zip = readZip(Buffer.isBuffer(data) ? data : Buffer.from(data));
+  } catch {
+    throw new Error('Not an Anki package');
+  }
+  const name = COLLECTION_FILES.find(file => zip.names.includes(file));
+  if (!name) {
+    if (zip.names.includes('collection.anki21b')) {
+      throw new Error('This package uses the newest Anki format. Export it again with "Support older Anki versions" checked.');
+    }
+    throw new Error('Not an Anki package');
+  }
+  // A few MB of zip can inflate to gigabytes; readZip also stops at the cap if the declared size lies
+  if (zip.size(name) > MAX_ENTRY_BYTES) {
+    throw new Error(`This Anki collection is too large to import (over ${MAX_ENTRY_BYTES / (1024 * 1024)} MB)`);
+  }
+
+  const SQL = await loadSql();
+  const db = new SQL.Database(zip.read(name));
+  try {
+    const rows = (sql) => {
+      const [result] = db.exec(sql);
+      return result ? result.values.map(v => Object.fromEntries(result.columns.map((c, i) => [c, v[i]]))) : [];
+    };
+    const [col] = rows('SELECT crt, models FROM col');
+    if (!col) throw new Error('Not an Anki package');
+    const models = JSON.parse(col.models);
+
+    const firstCards = new Map();
+    for (const card of rows('SELECT id, nid, ord, type, queue, due, ivl, factor, reps, odue, odid FROM cards ORDER BY nid, ord')) {
+      if (!firstCards.has(card.nid)) firstCards.set(card.nid, card);
+    }
+    const lastReviews = new Map(rows('SELECT cid, MAX(id) AS last FROM revlog GROUP BY cid').map(r => [r.cid, r.last]));
+
+    const cards = [];
+    for (const note of rows('SELECT id, mid, flds FROM notes ORDER BY id')) {
+      const fields = note.flds.split('\x1f');
+      const roles = fieldRoles(models[note.mid]);
+      let word = fieldText(fields[roles.word]);
+      let translation = fieldText(fields[roles.translation]);
+      if (!HAS_CYRILLIC.test(word) && HAS_CYRILLIC.test(translation)) [word, translation] = [translation, word];
+      if (!word || !translation) continue;
+
+      const stressed = roles.stressed >= 0 ? fieldText(fields[roles.stressed]) : '';
+      const card = firstCards.get(note.id);
+      cards.push({
+        word,
+        translation,
+        sourceLanguage: 'ru',
+        // The Stressed field may hold the dictionary form rather than this word's
+        ...(stressed && stressed.replace(/\u0301/g, '').toLowerCase() === word.toLowerCase() && { stressedWord: stressed }),
+        ...(card
+          ? fromAnkiScheduling(card, col.crt, lastReviews.get(card.id), now)
+          : fromAnkiScheduling({ type: 0, factor: 0 }, col.crt, undefined, now)),
+        addedAt: new Date(note.id).toISOString(),
+      });
+    }
+    return cards;
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,267 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import initSqlJs from 'sql.js';
+import { buildApkg, ankiScheduling, formatGrammar, ANKI_FIELDS, readAnkiPackage, fromAnkiScheduling } from './anki.js';
+import { readZip, writeZip } from './media/zip.js';
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const BOOK = {
+  stressedForm: 'кни́га',
+  pos: 'noun',
+  gender: 'f',
+  translations: ['book'],
+  declension: {
+    sg: { nom: 'кни́га', gen: 'кни́ги', dat: 'кни́ге', acc: 'кни́гу', inst: 'кни́гой', prep: 'кни́ге' },
+    pl: { nom: 'кни́ги', gen: 'кни́г', dat: 'кни́гам', acc: 'кни́ги', inst: 'кни́гами', prep: 'кни́гах' },
+  },
+  example: { russian: 'Я читаю кни́гу.', english: 'I am reading a book.' },
+};
+
+function card(overrides) {
+  return {
+    id: 'книгу',
+    word: 'книгу',
+    translation: 'book',
+    sourceLanguage: 'ru',
+    easeFactor: 2.5,
+    interval: 0,
+    repetition: 0,
+    nextReviewDate: new Date(NOW).toISOString(),
+    addedAt: new Date(NOW - 10 * DAY).toISOString(),
+    lastReviewedAt: null,
+    ...overrides,
+  };
+}
+
+let SQL;
+beforeAll(async () => {
+  SQL = await initSqlJs();
+});
+
+/** Every entry of a zip, by name */
+function unzip(data) {
+  const zip = readZip(Buffer.from(data));
+  return Object.fromEntries(zip.names.map(name => [name, zip.read(name)]));
+}
+
+/** Unzip an .apkg and open its collection */
+function openApkg(apkg) {
+  const files = unzip(apkg);
+  const db = new SQL.Database(files['collection.anki2']);
+  const rows = (sql) => {
+    const [result] = db.exec(sql);
+    return result ? result.values.map(v => Object.fromEntries(result.columns.map((c, i) => [c, v[i]]))) : [];
+  };
+  return { files, db, rows, media: JSON.parse(files.media.toString('utf8')) };
+}
+
+// ─── Scheduling ─────────────────────────────────────────────────
+
+describe('ankiScheduling', () => {
+  const crt = (NOW - 5 * DAY) / 1000;
+
+  it('exports unreviewed cards as new', () => {
+    expect(ankiScheduling(card(), crt, 3)).toMatchObject({ type: 0, queue: 0, due: 3, ivl: 0, factor: 2500 });
+  });
+
+  it('keeps learning cards due at their exact time', () => {
+    const learning = card({ lastReviewedAt: new Date(NOW).toISOString(), nextReviewDate: new Date(NOW + 60_000).toISOString() });
+    expect(ankiScheduling(learning, crt, 1)).toMatchObject({ type: 1, queue: 1, due: (NOW + 60_000) / 1000 });
+  });
+
+  it('converts review cards to a day number, interval and ease', () => {
+    const review = card({
+      repetition: 3,
+      interval: 12,
+      easeFactor: 2.36,
+      lastReviewedAt: new Date(NOW).toISOString(),
+      nextReviewDate: new Date(NOW + 12 * DAY).toISOString(),
+    });
+    expect(ankiScheduling(review, crt, 1)).toEqual({ type: 2, queue: 2, due: 17, ivl: 12, factor: 2360, reps: 3, left: 0 });
+  });
+});
+
+// ─── Card back ──────────────────────────────────────────────────
+
+describe('formatGrammar', () => {
+  it('renders the declension table like the card back', () => {
+    const html = formatGrammar(BOOK);
+    expect(html).toContain('noun · feminine');
+    expect(html).toContain('<tr><td>Inst.</td><td>кни́гой</td><td>кни́гами</td></tr>');
+  });
+
+  it('renders conjugation and escapes markup', () => {
+    const html = formatGrammar({
+      stressedForm: 'сказа́ть',
+      pos: 'verb',
+      aspect: 'perfective',
+      translations: [],
+      conjugation: {
+        present: { sg1: 'скажу́', sg2: 'ска́жешь', sg3: 'ска́жет', pl1: 'ска́жем', pl2: 'ска́жете', pl3: 'ска́жут' },
+        past: { m: 'сказа́л', f: 'сказа́ла', pl: 'сказа́ли' },
+        imperative: { sg: 'скажи́', pl: '<b>скажи́те</b>' },
+      },
+    });
+    expect(html).toContain('<tr><td>ты</td><td>ска́жешь</td></tr>');
+    expect(html).toContain('сказа́л / сказа́ла / сказа́ли');
+    expect(html).toContain('&lt;b&gt;скажи́те&lt;/b&gt;');
+  });
+
+  it('is empty without dictionary data', () => {
+    expect(formatGrammar(undefined)).toBe('');
+  });
+});
+
+// ─── Package ────────────────────────────────────────────────────
+
+describe('buildApkg', () => {
+  it('writes one note and card per SRSCard with all fields', async () => {
+    const apkg = await buildApkg([card({ dictionary: BOOK, stressedWord: 'кни́гу' })], { now: NOW });
+    const { rows } = openApkg(apkg);
+
+    const [note] = rows('SELECT * FROM notes');
+    const fields = note.flds.split('\x1f');
+    expect(fields).toHaveLength(ANKI_FIELDS.length);
+    expect(fields.slice(0, 3)).toEqual(['книгу', 'кни́гу', 'book']);
+    expect(fields[3]).toContain('кни́гами');
+    expect(fields[4]).toContain('Я читаю кни́гу.');
+    expect(fields[5]).toBe('');
+    expect(note.sfld).toBe('книгу');
+    expect(note.tags).toBe(' noun ');
+
+    const [ankiCard] = rows('SELECT * FROM cards');
+    expect(ankiCard).toMatchObject({ nid: note.id, type: 0, queue: 0 });
+
+    const [col] = rows('SELECT models, decks FROM col');
+    const models = Object.values(JSON.parse(col.models));
+    expect(models[0].flds.map(f => f.name)).toEqual(ANKI_FIELDS);
+    expect(Object.values(JSON.parse(col.decks)).map(d => d.name)).toEqual(['Default', 'Russian']);
+  });
+
+  it('falls back to the dictionary stressed form and carries scheduling over', async () => {
+    const apkg = await buildApkg([
+      card({ id: 'книга', word: 'книга', dictionary: BOOK }),
+      card({
+        id: 'дом',
+        word: 'дом',
+        translation: 'house',
+        repetition: 2,
+        interval: 6,
+        easeFactor: 2.6,
+        lastReviewedAt: new Date(NOW - DAY).toISOString(),
+        nextReviewDate: new Date(NOW + 5 * DAY).toISOString(),
+      }),
+    ], { now: NOW });
+    const { rows } = openApkg(apkg);
+
+    expect(rows('SELECT flds FROM notes ORDER BY id').map(n => n.flds.split('\x1f')[1])).toEqual(['кни́га', '']);
+    const [, review] = rows('SELECT * FROM cards ORDER BY id');
+    const [{ crt }] = rows('SELECT crt FROM col');
+    expect(review).toMatchObject({ type: 2, queue: 2, ivl: 6, factor: 2600, reps: 2 });
+    expect(crt + review.due * 86400).toBe(Math.floor((NOW + 5 * DAY) / DAY) * 86400);
+  });
+
+  it('keeps note GUIDs stable across exports', async () => {
+    const guid = async () => openApkg(await buildApkg([card()], { now: NOW })).rows('SELECT guid FROM notes')[0].guid;
+    expect(await guid()).toBe(await guid());
+  });
+
+  it('packages audio clips as numbered media files', async () => {
+    const clip = { name: 'ru-abc.mp3', data: new Uint8Array([1, 2, 3]) };
+    const apkg = await buildApkg([card({ id: 'а', word: 'а' }), card()], { now: NOW, audio: new Map([['книгу', clip]]) });
+    const { files, media, rows } = openApkg(apkg);
+
+    expect(media).toEqual({ 0: 'ru-abc.mp3' });
+    expect([...files['0']]).toEqual([1, 2, 3]);
+    expect(rows('SELECT flds FROM notes ORDER BY id').map(n => n.flds.split('\x1f')[5])).toEqual(['', '[sound:ru-abc.mp3]']);
+  });
+});
+
+// ─── Import ─────────────────────────────────────────────────────
+
+/** Rewrite an exported package's collection, e.g. to mimic another note type */
+function rewriteApkg(apkg, sql, name = 'collection.anki2') {
+  const { db } = openApkg(apkg);
+  for (const statement of [].concat(sql)) db.run(statement);
+  const data = db.export();
+  db.close();
+  return writeZip({ [name]: data, media: Buffer.from('{}') });
+}
+
+describe('fromAnkiScheduling', () => {
+  const crt = (NOW - 5 * DAY) / 1000;
+
+  it('reverses ankiScheduling for each card type', () => {
+    const review = card({
+      repetition: 3,
+      interval: 12,
+      easeFactor: 2.36,
+      lastReviewedAt: new Date(NOW).toISOString(),
+      nextReviewDate: new Date(NOW + 12 * DAY).toISOString(),
+    });
+    expect(fromAnkiScheduling(ankiScheduling(review, crt, 1), crt, NOW, NOW)).toEqual({
+      easeFactor: 2.36,
+      interval: 12,
+      repetition: 3,
+      nextReviewDate: new Date(NOW + 12 * DAY).toISOString(),
+      lastReviewedAt: new Date(NOW).toISOString(),
+    });
+
+    const learning = card({ lastReviewedAt: new Date(NOW).toISOString(), nextReviewDate: new Date(NOW + 60_000).toISOString() });
+    expect(fromAnkiScheduling(ankiScheduling(learning, crt, 1), crt, undefined, NOW))
+      .toMatchObject({ repetition: 0, nextReviewDate: new Date(NOW + 60_000).toISOString(), lastReviewedAt: new Date(NOW).toISOString() });
+
+    expect(fromAnkiScheduling(ankiScheduling(card(), crt, 4), crt, undefined, NOW))
+      .toMatchObject({ repetition: 0, interval: 0, lastReviewedAt: null });
+  });
+
+  it('estimates the last review of review cards without a revlog', () => {
+    const sched = { type: 2, queue: 2, due: 10, ivl: 4, factor: 2500, reps: 5 };
+    expect(fromAnkiScheduling(sched, crt, undefined, NOW).lastReviewedAt).toBe(new Date(NOW + 1 * DAY).toISOString());
+  });
+});
+
+describe('readAnkiPackage', () => {
+  it('reads back an exported deck', async () => {
+    const apkg = await buildApkg([
+      card({ dictionary: BOOK, stressedWord: 'кни́гу', translation: 'book & <co>' }),
+      card({ id: 'книга', word: 'книга', dictionary: BOOK }),
+    ], { now: NOW });
+
+    const cards = await readAnkiPackage(apkg, { now: NOW });
+
+    expect(cards).toEqual([
+      expect.objectContaining({ word: 'книгу', stressedWord: 'кни́гу', translation: 'book & <co>', repetition: 0, addedAt: new Date(NOW).toISOString() }),
+      expect.objectContaining({ word: 'книга', stressedWord: 'кни́га', translation: 'book' }),
+    ]);
+  });
+
+  it('reads other note types by field name and puts the Russian side first', async () => {
+    const apkg = rewriteApkg(await buildApkg([card(), card({ id: 'дом', word: 'дом' })], { now: NOW }), [
+      `UPDATE col SET models = '{"1700000000001":{"flds":[{"name":"Front","ord":0},{"name":"Back","ord":1}]}}'`,
+      `UPDATE notes SET flds = 'to read<br>' || char(31) || '<b>читать</b>&nbsp;[sound:chitat.mp3]' WHERE id = ${NOW}`,
+      `UPDATE notes SET flds = char(31) || 'house' WHERE id = ${NOW + 1}`,
+    ]);
+
+    const cards = await readAnkiPackage(apkg, { now: NOW });
+
+    expect(cards).toHaveLength(1);
+    expect(cards[0]).toMatchObject({ word: 'читать', translation: 'to read' });
+    expect(cards[0]).not.toHaveProperty('stressedWord');
+  });
+
+  it('prefers the Anki 2.1 collection of a .colpkg', async () => {
+    const apkg = await buildApkg([card({ word: 'дом', translation: 'house' })], { now: NOW });
+    const colpkg = rewriteApkg(apkg, [], 'collection.anki21');
+    const both = writeZip({ ...unzip(colpkg), 'collection.anki2': unzip(await buildApkg([card()], { now: NOW }))['collection.anki2'] });
+
+    expect((await readAnkiPackage(both, { now: NOW })).map(c => c.word)).toEqual(['дом']);
+  });
+
+  it('explains packages it cannot read', async () => {
+    await expect(readAnkiPackage(new TextEncoder().encode('word,translation'))).rejects.toThrow('Not an Anki package');
+    await expect(readAnkiPackage(writeZip({ 'collection.anki21b': new Uint8Array([1]) })))
+      .rejects.toThrow('Support older Anki versions');
+  });
+});
@@ -1,18 +1,75 @@
 /**
  * Smart chunking algorithm for video transcripts
- * Splits transcripts at natural pauses (~180 seconds per chunk)
+ * Splits transcripts at natural pauses (~180 seconds per chunk by default)
  */
 
 const TARGET_CHUNK_DURATION = 180; // 3 minutes
 const MIN_GAP_FOR_BREAK = 0.5; // seconds of silence to consider a natural break
 const MIN_FINAL_CHUNK_DURATION = 120; // 2 minutes - merge final chunk if shorter
 
+// Per-session overrides accepted from clients: [min, max] for each option, in seconds
+export const CHUNKING_LIMITS = {
+  targetDuration: [30, 900],
+  minGap: [0.1, 5],
+  minFinalDuration: [0, 900],
+};
+
+/**
+ * Validate client-supplied chunking preferences and fill in defaults.
+ * Without an explicit minFinalDuration it scales with the target (2/3, as with the
+ * 180s/120s defaults) so a short target doesn't swallow every final chunk.
+ * @param {Object} [input] - { targetDuration?, minGap?, minFinalDuration? } in seconds
+ * @returns {{options: Object}|{error: string}}
+ */
+export function parseChunkingOptions(input) {
+  if (input === undefined || input === null) {
+    return {
+      options: {
+        targetDuration: TARGET_CHUNK_DURATION,
+        minGap: MIN_GAP_FOR_BREAK,
+        minFinalDuration: MIN_FINAL_CHUNK_DURATION,
+      },
+    };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Chunking options must be an object' };
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in CHUNKING_LIMITS)) {
+      return { error: `Unknown chunking option: ${key}` };
+    }
+    const [min, max] = CHUNKING_LIMITS[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      return { error: `${key} must be a number between ${min} and ${max}` };
+    }
+  }
+
+  const targetDuration = input.targetDuration ?? TARGET_CHUNK_DURATION;
+  const minGap = input.minGap ?? MIN_GAP_FOR_BREAK;
+  const minFinalDuration = input.minFinalDuration ?? Math.round(targetDuration * 2 / 3);
+  if (minFinalDuration > targetDuration) {
+    return { error: 'minFinalDuration cannot exceed targetDuration' };
+  }
+
+  return { options: { targetDuration, minGap, minFinalDuration } };
+}
+
 /**
  * Create smart chunks from Whisper transcript segments
  * @param {Object} transcript - Whisper transcript with segments and words
+ * @param {Object} [options] - Chunking options, validated by parseChunkingOptions
+ * @param {number} [options.targetDuration=180] - Chunk length to aim for, in seconds
+ * @param {number} [options.minGap=0.5] - Silence (seconds) that counts as a natural break
+ * @param {number} [options.minFinalDuration=120] - Merge a shorter final chunk into the previous one
  * @returns {Array<Object>} Array of chunk objects
  */
-export function createChunks(transcript) {
+export function createChunks(transcript, options = {}) {
+  const {
+    targetDuration = TARGET_CHUNK_DURATION,
+    minGap = MIN_GAP_FOR_BREAK,
+    minFinalDuration = MIN_FINAL_CHUNK_DURATION,
+  } = options;
   const { segments, words, duration } = transcript;
 
   if (!segments || segments.length === 0) {
@@ -28,8 +85,8 @@ export function createChunks(transcript) {
     }];
   }
 
-  // For short videos (< 3 minutes), return single chunk
-  if (duration < TARGET_CHUNK_DURATION) {
+  // For short videos (shorter than one chunk), return single chunk
+  if (duration < targetDuration) {
     return [{
       id: 'chunk-0',
       index: 0,
@@ -63,11 +120,11 @@ export function createChunks(transcript) {
     const chunkDuration = segment.end - currentChunk.startTime;
 
     // Check if we should end the chunk here
-    if (chunkDuration >= TARGET_CHUNK_DURATION) {
+    if (chunkDuration >= targetDuration) {
       // Look for a natural break point
       const gap = nextSegment ? nextSegment.start - segment.end : Infinity;
 
-      if (gap >= MIN_GAP_FOR_BREAK || !nextSegment) {
+      if (gap >= minGap || !nextSegment) {
         // Finalize this chunk
         chunks.push(createChunkObject(
           chunks.length,
@@ -77,14 +134,12 @@ export function createChunks(transcript) {
           currentChunk.words
         ));
 
-        // Start new chunk
-        if (nextSegment) {
-          currentChunk = {
-            startTime: nextSegment.start,
-            segments: [],
-            words: [],
-          };
-        }
+        // Start new chunk (an empty one after the last segment, so it isn't added twice)
+        currentChunk = {
+          startTime: nextSegment ? nextSegment.start : segment.end,
+          segments: [],
+          words: [],
+        };
       }
     }
   }
@@ -95,7 +150,7 @@ export function createChunks(transcript) {
     const remainingDuration = lastSegment.end - currentChunk.startTime;
 
     // If final chunk is too short, merge with previous chunk
-    if (remainingDuration < MIN_FINAL_CHUNK_DURATION && chunks.length > 0) {
+    if (remainingDuration < minFinalDuration && chunks.length > 0) {
       // Merge with previous chunk
       const prevChunk = chunks[chunks.length - 1];
       const mergedChunk = createChunkObject(
@@ -231,31 +286,133 @@ function splitBlockIntoSentences(block) {
   return pieces;
 }
 
+// Chapter heading detection for text mode. Headings are only recognized as whole
+// paragraphs (surrounded by blank lines), which is how lib.ru, FB2 and EPUB lay them out.
+const MAX_HEADING_CHARS = 80;
+const DIVIDER_PATTERN = /^\*(?:\s*\*){2,}$/;
+const HEADING_TAG_PATTERN = /^<(h[1-6]|title)>([\s\S]*?)<\/\1>$/i;
+// "Глава 1", "Часть первая", "Книга третья. Подзаголовок" — the number or ordinal is required,
+// so ordinary sentences starting with "Глава"/"Часть" don't match
+const NUMBERED_HEADING_PATTERN = /^(?:глава|часть|книга|том)\s+(?:[IVXLC]+|\d+|(?:[а-яё]+\s+)?[а-яё]+(?:ая|ой|ый|ий|ое|ья|ье))(?:[.:]?(?:\s+.*)?)$/i;
+const NAMED_HEADING_PATTERN = /^(?:пролог|эпилог|предисловие|послесловие|вступление|заключение|от автора)\.?$/i;
+const NUMERAL_HEADING_PATTERN = /^(?:[IVXLC]{1,8}|\d{1,3})\.?$/;
+
 /**
- * Create chunks from a plain text string for TTS processing.
- * Handles lib.ru-style formatting where lines are wrapped at ~72 chars with single newlines.
- * Each chunk stays under ~3500 chars to fit within OpenAI TTS's 4096-char limit.
- * @param {string} text - Full text content
- * @returns {Array<Object>} Array of text chunk objects
+ * Recognize a chapter heading paragraph.
+ * @param {string} section - Normalized paragraph text
+ * @returns {{title: string, spoken: string, bare: boolean}|null} Heading info, or null for prose.
+ *   `spoken` is what TTS reads (tags removed); `bare` means a subtitle may follow on its own line.
  */
-export function createTextChunks(text) {
-  // Step 1: Split on double-newlines (section breaks)
-  const sections = text.split(/\n\s*\n/).filter(s => s.trim().length > 0);
+function detectHeading(section) {
+  const tagged = section.match(HEADING_TAG_PATTERN);
+  if (tagged) {
+    const title = tagged[2].replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+    return title ? { title, spoken: title, bare: false } : null;
+  }
+  if (section.length > MAX_HEADING_CHARS) return null;
+  if (NUMERAL_HEADING_PATTERN.test(section)) {
+    return { title: section.replace(/\.$/, ''), spoken: section, bare: true };
+  }
+  if (NUMBERED_HEADING_PATTERN.test(section) || NAMED_HEADING_PATTERN.test(section)) {
+    const title = section.replace(/\.$/, '');
+    return { title, spoken: section, bare: !/[.:]\s/.test(section) };
+  }
+  return null;
+}
 
-  if (sections.length === 0) {
-    return [makeTextChunk(0, text.trim())];
+/** A short line after a bare heading ("Глава 1" / "Никогда не разговаривайте с неизвестными"). */
+function isSubtitle(section) {
+  return section.length <= MAX_HEADING_CHARS && !/[.!?…]$/.test(section) && !/^[—–-]/.test(section);
+}
+
+function toRoman(n) {
+  const numerals = [[100, 'C'], [90, 'XC'], [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+  let result = '';
+  for (const [value, numeral] of numerals) {
+    while (n >= value) {
+      result += numeral;
+      n -= value;
+    }
   }
+  return result;
+}
 
-  // Step 2: Unwrap line-wrapped paragraphs within each section.
-  // lib.ru wraps at ~72 chars using single newlines within paragraphs.
-  // Join single newlines with spaces, preserving double-newline section breaks.
-  const normalizedSections = sections.map(s => {
-    return s.trim().replace(/([^\n])\n([^\n])/g, '$1 $2').replace(/\s+/g, ' ').trim();
-  });
+/**
+ * Group normalized paragraphs into segments that chunks must not cross.
+ * A heading starts a new chapter; a "* * *" divider starts a new segment within the
+ * current chapter. Consecutive headings with no prose between them ("Часть первая",
+ * then "Глава 1") merge into one chapter title.
+ * @param {string[]} sections - Normalized paragraphs
+ * @param {string} initialTitle - Chapter title for text before the first heading
+ * @returns {Array<{title: string, sections: string[]}>}
+ */
+function splitIntoSegments(sections, initialTitle) {
+  const segments = [];
+  let current = { title: initialTitle, sections: [], isHeading: false, hasBody: false };
+  segments.push(current);
+  let sawHeading = false;
+
+  for (let i = 0; i < sections.length; i++) {
+    const section = sections[i];
+
+    if (DIVIDER_PATTERN.test(section)) {
+      current = { title: current.title, sections: [], isHeading: false, hasBody: false };
+      segments.push(current);
+      continue;
+    }
 
-  // Step 3: Break sections into TTS-sized pieces
+    const heading = detectHeading(section);
+    if (!heading) {
+      current.sections.push(section);
+      current.hasBody = true;
+      continue;
+    }
+
+    sawHeading = true;
+    let { title } = heading;
+    const spoken = [heading.spoken];
+    const next = sections[i + 1];
+    if (heading.bare && next && !DIVIDER_PATTERN.test(next) && !detectHeading(next) && isSubtitle(next)) {
+      title = `${title}. ${next}`;
+      spoken.push(next);
+      i++;
+    }
+
+    if (current.isHeading && !current.hasBody) {
+      current.title = `${current.title}. ${title}`;
+      current.sections.push(...spoken);
+    } else {
+      current = { title, sections: spoken, isHeading: true, hasBody: false };
+      segments.push(current);
+    }
+  }
+
+  const nonEmpty = segments.filter(seg => seg.sections.length > 0);
+
+  // A short untitled lead-in (book title, epigraph) joins the first chapter
+  if (nonEmpty.length > 1 && !nonEmpty[0].title && nonEmpty[1].isHeading &&
+      nonEmpty[0].sections.join('\n\n').length < MIN_FINAL_TEXT_CHUNK_CHARS) {
+    const [lead, first] = nonEmpty.splice(0, 2);
+    nonEmpty.unshift({ ...first, sections: [...lead.sections, ...first.sections] });
+  }
+
+  // Texts divided only by "* * *" get numbered parts instead of headings
+  if (!sawHeading && !initialTitle && nonEmpty.length > 1) {
+    nonEmpty.forEach((seg, i) => { seg.title = toRoman(i + 1); });
+  }
+
+  return nonEmpty.map(({ title, sections: segSections }) => ({ title, sections: segSections }));
+}
+
+/**
+ * Pack one segment's paragraphs into TTS-sized chunk texts.
+ * @param {string[]} sections - Normalized paragraphs
+ * @returns {string[]}
+ */
+function packSections(sections) {
+  // Break sections into TTS-sized pieces
   const allPieces = [];
-  for (const section of normalizedSections) {
+  for (const section of sections) {
     if (section.length <= TARGET_TEXT_CHUNK_CHARS) {
       allPieces.push(section);
     } else {
@@ -264,17 +421,17 @@ export function createTextChunks(text) {
     }
   }
 
-  // Step 4: Accumulate pieces into chunks (merge small pieces together)
-  const chunks = [];
+  // Accumulate pieces into chunks (merge small pieces together)
+  const texts = [];
   let currentText = '';
 
   for (const piece of allPieces) {
-    // Short pieces (section dividers like "* * *") always merge with neighbors
+    // Short pieces (headings, short lines) always merge with neighbors
     const isShort = piece.length < 50;
     const combined = currentText ? currentText + '\n\n' + piece : piece;
 
     if (!isShort && combined.length > TARGET_TEXT_CHUNK_CHARS && currentText.length > 0) {
-      chunks.push(makeTextChunk(chunks.length, currentText));
+      texts.push(currentText);
       currentText = piece;
     } else {
       currentText = combined;
@@ -283,18 +440,109 @@ export function createTextChunks(text) {
 
   // Handle remaining text
   if (currentText.length > 0) {
-    if (currentText.length < MIN_FINAL_TEXT_CHUNK_CHARS && chunks.length > 0) {
-      const prev = chunks[chunks.length - 1];
-      chunks[chunks.length - 1] = makeTextChunk(prev.index, prev.text + '\n\n' + currentText);
+    if (currentText.length < MIN_FINAL_TEXT_CHUNK_CHARS && texts.length > 0) {
+      texts[texts.length - 1] += '\n\n' + currentText;
     } else {
-      chunks.push(makeTextChunk(chunks.length, currentText));
+      texts.push(currentText);
     }
   }
 
+  return texts;
+}
+
+/**
+ * Split text into paragraphs and unwrap lib.ru line-wrapping.
+ * lib.ru wraps at ~72 chars using single newlines within paragraphs;
+ * single newlines become spaces, double newlines stay paragraph breaks.
+ */
+function normalizeSections(text) {
+  return text
+    .split(/\n\s*\n/)
+    .filter(s => s.trim().length > 0)
+    .map(s => s.trim().replace(/([^\n])\n([^\n])/g, '$1 $2').replace(/\s+/g, ' ').trim());
+}
+
+function chunkSegments(segments, chunks) {
+  for (const segment of segments) {
+    for (const text of packSections(segment.sections)) {
+      chunks.push(makeTextChunk(chunks.length, text, segment.title));
+    }
+  }
   return chunks;
 }
 
-function makeTextChunk(index, text) {
+/**
+ * Create chunks from a plain text string for TTS processing.
+ * Handles lib.ru-style formatting where lines are wrapped at ~72 chars with single newlines.
+ * Each chunk stays under ~3500 chars to fit within OpenAI TTS's 4096-char limit.
+ * Chapter headings ("Глава 1", Roman numerals, <h2>/<title> tags) and "* * *" dividers
+ * are hard chunk boundaries; each chunk carries its `chapterTitle`.
+ * @param {string} text - Full text content
+ * @returns {Array<Object>} Array of text chunk objects
+ */
+export function createTextChunks(text) {
+  const sections = normalizeSections(text);
+
+  if (sections.length === 0) {
+    return [makeTextChunk(0, text.trim())];
+  }
+
+  return chunkSegments(splitIntoSegments(sections, ''), []);
+}
+
+/**
+ * Create text chunks that never cross a chapter boundary.
+ * Each chapter is chunked on its own (title first, so TTS reads it), then
+ * ids and indices are renumbered across the whole book. Headings found inside
+ * an untitled chapter (e.g. a single-chapter .txt) are detected as in createTextChunks.
+ * @param {Array<{title: string, text: string}>} chapters - Chapters in reading order
+ * @returns {Array<Object>} Array of text chunk objects (same shape as createTextChunks)
+ */
+export function createChapterTextChunks(chapters) {
+  const chunks = [];
+  for (const chapter of chapters) {
+    const body = chapter.title ? `${chapter.title}\n\n${chapter.text}` : chapter.text;
+    const sections = normalizeSections(body);
+    if (sections.length === 0) continue;
+
+    if (chapter.title) {
+      // The title paragraph is spoken but must not be re-detected as a new chapter
+      const [titleSection, ...rest] = sections;
+      const segments = splitIntoSegments(rest, chapter.title);
+      if (segments.length === 0) {
+        segments.push({ title: chapter.title, sections: [] });
+      }
+      segments[0].sections.unshift(titleSection);
+      chunkSegments(segments, chunks);
+    } else {
+      chunkSegments(splitIntoSegments(sections, ''), chunks);
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Build a chapter table of contents from chunks.
+ * Consecutive chunks with the same chapterTitle form one entry; untitled chunks are skipped.
+ * @param {Array<Object>} chunks - Text chunks (with optional chapterTitle)
+ * @returns {Array<{title: string, startChunkIndex: number, chunkCount: number}>}
+ */
+export function buildChapterToc(chunks) {
+  const toc = [];
+  let previous = null;
+  for (const chunk of chunks) {
+    const title = chunk.chapterTitle || null;
+    if (title && title === previous) {
+      toc[toc.length - 1].chunkCount++;
+    } else if (title) {
+      toc.push({ title, startChunkIndex: chunk.index, chunkCount: 1 });
+    }
+    previous = title;
+  }
+  return toc;
+}
+
+function makeTextChunk(index, text, chapterTitle) {
   return {
     id: `chunk-${index}`,
     index,
@@ -302,6 +550,7 @@ function makeTextChunk(index, text) {
     previewText: text.slice(0, 100) + (text.length > 100 ? '...' : ''),
     wordCount: text.split(/\s+/).length,
     status: 'pending',
+    ...(chapterTitle && { chapterTitle }),
   };
 }
 
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { createChunks, getChunkTranscript, createTextChunks, formatTime } from './chunking.js';
+import { createChunks, parseChunkingOptions, getChunkTranscript, createTextChunks, createChapterTextChunks, buildChapterToc, formatTime } from './chunking.js';
 
 // ─── Helpers ────────────────────────────────────────────────────
 
@@ -221,6 +221,76 @@ describe('createChunks', () => {
   });
 });
 
+// ─── Chunking options ───────────────────────────────────────────
+
+/** 10 minutes of 20s segments, with a gap of `gap` seconds after each one */
+function makeGappedTranscript(gap) {
+  const segments = [];
+  const words = [];
+  for (let i = 0; i < 30; i++) {
+    const start = i * 20;
+    const end = start + 20 - gap;
+    segments.push({ text: `Сегмент ${i}.`, start, end });
+    words.push({ word: `w${i}`, start, end });
+  }
+  return { segments, words, duration: 600, language: 'ru' };
+}
+
+describe('createChunks options', () => {
+  it('aims for the requested chunk length', () => {
+    const transcript = makeGappedTranscript(1);
+
+    const short = createChunks(transcript, { targetDuration: 60, minGap: 0.5, minFinalDuration: 40 });
+    expect(short).toHaveLength(7);
+    short.forEach(chunk => expect(chunk.duration).toBeGreaterThanOrEqual(60));
+    expect(createChunks(transcript, { targetDuration: 300, minGap: 0.5, minFinalDuration: 200 })).toHaveLength(2);
+  });
+
+  it('does not repeat a final chunk that ends exactly at the last segment', () => {
+    const chunks = createChunks(makeGappedTranscript(0.3));
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].endTime).toBeCloseTo(599.7);
+  });
+
+  it('only breaks at pauses at least minGap long', () => {
+    const transcript = makeGappedTranscript(0.3);
+
+    // 0.3s pauses don't count by default, so everything ends up in one chunk
+    expect(createChunks(transcript)).toHaveLength(1);
+    expect(createChunks(transcript, { targetDuration: 180, minGap: 0.2, minFinalDuration: 120 }).length).toBeGreaterThan(1);
+  });
+
+  it('treats media shorter than the target as a single chunk', () => {
+    const chunks = createChunks(makeGappedTranscript(1), { targetDuration: 900, minGap: 0.5, minFinalDuration: 600 });
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].endTime).toBe(600);
+  });
+});
+
+describe('parseChunkingOptions', () => {
+  it('returns the defaults when nothing is given', () => {
+    expect(parseChunkingOptions(undefined)).toEqual({
+      options: { targetDuration: 180, minGap: 0.5, minFinalDuration: 120 },
+    });
+  });
+
+  it('scales the final-chunk minimum with the target unless given', () => {
+    expect(parseChunkingOptions({ targetDuration: 60 }).options).toEqual({ targetDuration: 60, minGap: 0.5, minFinalDuration: 40 });
+    expect(parseChunkingOptions({ targetDuration: 60, minGap: 1, minFinalDuration: 10 }).options)
+      .toEqual({ targetDuration: 60, minGap: 1, minFinalDuration: 10 });
+  });
+
+  it('rejects out-of-range, non-numeric and unknown options', () => {
+    expect(parseChunkingOptions({ targetDuration: 5 }).error).toMatch(/targetDuration/);
+    expect(parseChunkingOptions({ minGap: '1' }).error).toMatch(/minGap/);
+    expect(parseChunkingOptions({ targetDuration: 60, minFinalDuration: 90 }).error).toMatch(/exceed/);
+    expect(parseChunkingOptions({ chunkCount: 3 }).error).toMatch(/Unknown/);
+    expect(parseChunkingOptions([]).error).toMatch(/object/);
+  });
+});
+
 // ─── getChunkTranscript ─────────────────────────────────────────
 
 describe('getChunkTranscript', () => {
@@ -414,6 +484,133 @@ describe('createTextChunks', () => {
   });
 });
 
+// ─── Chapter detection ──────────────────────────────────────────
+
+describe('createTextChunks chapter detection', () => {
+  const prose = (label) => `${label} — это абзац прозы, достаточно длинный, чтобы не считаться заголовком главы.`;
+
+  it('starts a new chunk at each "Глава" heading and tags chunks with the chapter', () => {
+    const text = ['Глава 1', prose('Первая'), 'Глава вторая', prose('Вторая')].join('\n\n');
+    const chunks = createTextChunks(text);
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0].chapterTitle).toBe('Глава 1');
+    expect(chunks[0].text).toBe(`Глава 1\n\n${prose('Первая')}`);
+    expect(chunks[1].chapterTitle).toBe('Глава вторая');
+  });
+
+  it('recognizes Roman numerals and joins a subtitle line to the title', () => {
+    const text = ['I', 'Никогда не разговаривайте с неизвестными', prose('Первая'), 'II.', prose('Вторая')].join('\n\n');
+    const chunks = createTextChunks(text);
+
+    expect(chunks.map(c => c.chapterTitle)).toEqual(['I. Никогда не разговаривайте с неизвестными', 'II']);
+  });
+
+  it('uses <h2>/<title> tags as headings and strips the tags from spoken text', () => {
+    const text = ['<h2>Пролог</h2>', prose('Первая'), '<title>Эпилог</title>', prose('Вторая')].join('\n\n');
+    const chunks = createTextChunks(text);
+
+    expect(chunks.map(c => c.chapterTitle)).toEqual(['Пролог', 'Эпилог']);
+    expect(chunks[1].text).toBe(`Эпилог\n\n${prose('Вторая')}`);
+  });
+
+  it('merges consecutive headings with no prose between them', () => {
+    const text = ['Часть первая', 'Глава 1', prose('Первая')].join('\n\n');
+    const chunks = createTextChunks(text);
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].chapterTitle).toBe('Часть первая. Глава 1');
+  });
+
+  it('treats "* * *" as a chunk boundary within the current chapter', () => {
+    const text = ['Глава 1', prose('Первая'), '* * *', prose('Вторая')].join('\n\n');
+    const chunks = createTextChunks(text);
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks.map(c => c.chapterTitle)).toEqual(['Глава 1', 'Глава 1']);
+    expect(chunks[1].text).not.toContain('*');
+  });
+
+  it('numbers parts of texts divided only by "* * *"', () => {
+    const text = [prose('Первая'), '***', prose('Вторая')].join('\n\n');
+    expect(createTextChunks(text).map(c => c.chapterTitle)).toEqual(['I', 'II']);
+  });
+
+  it('does not treat ordinary sentences as headings', () => {
+    const text = ['Глава семьи вернулась домой.', 'Часть денег пропала.'].join('\n\n');
+    const chunks = createTextChunks(text);
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].chapterTitle).toBeUndefined();
+  });
+
+  it('folds a short untitled lead-in into the first chapter', () => {
+    const text = ['Михаил Булгаков. Мастер и Маргарита', 'Глава 1', prose('Первая')].join('\n\n');
+    const chunks = createTextChunks(text);
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].text).toMatch(/^Михаил Булгаков/);
+    expect(chunks[0].chapterTitle).toBe('Глава 1');
+  });
+});
+
+describe('buildChapterToc', () => {
+  it('groups consecutive chunks by chapter and skips untitled chunks', () => {
+    const toc = buildChapterToc([
+      { index: 0 },
+      { index: 1, chapterTitle: 'Глава 1' },
+      { index: 2, chapterTitle: 'Глава 1' },
+      { index: 3, chapterTitle: 'Глава 2' },
+    ]);
+
+    expect(toc).toEqual([
+      { title: 'Глава 1', startChunkIndex: 1, chunkCount: 2 },
+      { title: 'Глава 2', startChunkIndex: 3, chunkCount: 1 },
+    ]);
+  });
+});
+
+// ─── createChapterTextChunks ────────────────────────────────────
+
+describe('createChapterTextChunks', () => {
+  it('never lets a chunk span two chapters', () => {
+    const chunks = createChapterTextChunks([
+      { title: 'Глава первая', text: 'Короткая глава.' },
+      { title: 'Глава вторая', text: 'Тоже короткая.' },
+    ]);
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0].text).toBe('Глава первая\n\nКороткая глава.');
+    expect(chunks[1].text).toBe('Глава вторая\n\nТоже короткая.');
+    expect(chunks.map(c => c.chapterTitle)).toEqual(['Глава первая', 'Глава вторая']);
+  });
+
+  it('splits long chapters and numbers chunks across the whole book', () => {
+    const longText = Array.from({ length: 20 }, () => 'Слово '.repeat(100).trim()).join('\n\n');
+    const chunks = createChapterTextChunks([
+      { title: 'I', text: longText },
+      { title: 'II', text: 'Конец.' },
+    ]);
+
+    expect(chunks.length).toBeGreaterThan(2);
+    expect(chunks[chunks.length - 1].text).toBe('II\n\nКонец.');
+    chunks.forEach((chunk, i) => {
+      expect(chunk.id).toBe(`chunk-${i}`);
+      expect(chunk.index).toBe(i);
+    });
+  });
+
+  it('skips empty chapters and handles untitled ones', () => {
+    const chunks = createChapterTextChunks([
+      { title: '', text: 'Текст без заголовка.' },
+      { title: '', text: '   ' },
+    ]);
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].text).toBe('Текст без заголовка.');
+  });
+});
+
 // ─── formatTime ─────────────────────────────────────────────────
 
 describe('formatTime', () => {
@@ -10,6 +10,18 @@
  * lemmatization), we try the lemma first, then fall back to the raw word.
  * A reverse inflection index maps every inflected form back to its bare
  * form, enabling lookup of e.g. "книгу" → "книга" without GPT calls.
+ * resolveLemma uses the same index to lemmatize transcripts locally,
+ * leaving forms shared by several words (e.g. "стали") to GPT-4o.
+ *
+ * A form can belong to several dictionary words ("стали" is сталь and
+ * стать, "мой" is a possessive and an imperative of мыть). The index keeps
+ * every one of them: lookupCandidates returns them all, and
+ * rankLemmaCandidates orders them using the neighbouring words.
+ *
+ * A stress index maps every form (bare and inflected) to its stressed
+ * spellings, so lookupStress can put accents on any transcript word.
+ * A morphology index records which table cell(s) each form fills, so
+ * lookupMorphology can tag it ("книгой" → instrumental singular of книга).
  */
 
 import fs from 'fs';
@@ -22,9 +34,18 @@ const DEFAULT_DATA_DIR = path.join(__dirname, 'data', 'openrussian');
 /** @type {Map<string, object>} bare → DictionaryEntry */
 let index = new Map();
 
-/** @type {Map<string, string>} normalized inflected form → normalized bare form */
+/** @type {Map<string, string[]>} normalized inflected form → normalized bare forms, in load order */
 let inflectionIndex = new Map();
 
+/** @type {Map<string, Array<{bare: string, stressed: string}>>} normalized form → stressed spellings and the bare forms they belong to */
+let stressIndex = new Map();
+
+/** @type {Map<string, Array<{bare: string, tag: object, key: string}>>} normalized form → grammatical readings */
+let tagIndex = new Map();
+
+/** @type {Map<string, string>} normalized bare form → bare form as spelled in the data (keeps ё) */
+let bareForms = new Map();
+
 /**
  * Convert OpenRussian apostrophe-style stress marks to Unicode combining accent.
  * e.g. "челове'к" → "челове́к"
@@ -93,16 +114,18 @@ const ADJ_INFLECTION_COLS = [
 ];
 
 /**
- * Extract inflected forms from a TSV row and add them to the reverse index.
+ * Extract inflected forms from a TSV row and add them to the reverse index,
+ * the stress index and the morphology index.
  * Handles comma-separated alternate forms (e.g. adjective accusative: "красивый, красивого").
  * Strips apostrophe stress marks before normalizing.
  *
- * @param {Map<string,string>} reverseMap — inflected → bare (normalized)
+ * @param {{inflections: Map<string, string[]>, stress: Map, tags: Map}} indexes — being built by initDictionary
  * @param {string} normalizedBare — the normalized bare form
  * @param {object} row — parsed TSV row
  * @param {string[]} columns — column names to extract
+ * @param {function} tagFor — column name → morphological tag (see nounTag etc.)
  */
-function addInflections(reverseMap, normalizedBare, row, columns) {
+function addInflections(indexes, normalizedBare, row, columns, tagFor) {
   for (const col of columns) {
     const raw = row[col];
     if (!raw) continue;
@@ -113,16 +136,92 @@ function addInflections(reverseMap, normalizedBare, row, columns) {
       const stripped = form.trim().replace(/'/g, '');
       if (!stripped) continue;
       const normalized = normalizeForLookup(stripped);
-      // Don't overwrite: first entry wins (bare form itself is already in main index)
-      if (normalized !== normalizedBare && !reverseMap.has(normalized)) {
-        reverseMap.set(normalized, normalizedBare);
-      } else if (normalized !== normalizedBare && reverseMap.get(normalized) !== normalizedBare) {
-        console.debug(`[Dictionary] inflection collision: "${normalized}" → "${normalizedBare}" (already → "${reverseMap.get(normalized)}")`);
+      addStress(indexes.stress, normalized, normalizedBare, form.trim());
+      addTag(indexes.tags, normalized, normalizedBare, tagFor(col));
+      // The bare form itself is already in the main index
+      if (normalized === normalizedBare) continue;
+      const bares = indexes.inflections.get(normalized);
+      if (!bares) {
+        indexes.inflections.set(normalized, [normalizedBare]);
+      } else if (!bares.includes(normalizedBare)) {
+        // Keep every word the form belongs to; the first one stays the default reading
+        bares.push(normalizedBare);
       }
     }
   }
 }
 
+/**
+ * Record the stressed spelling of a form (apostrophe-marked, as in the TSV).
+ * Forms without a stress mark or ё are skipped — they'd add nothing.
+ */
+function addStress(stressMap, normalizedForm, normalizedBare, marked) {
+  if (!marked || !/['ёЁ]/.test(marked)) return;
+  const stressed = convertStress(marked.toLowerCase());
+  const spellings = stressMap.get(normalizedForm);
+  if (!spellings) {
+    stressMap.set(normalizedForm, [{ bare: normalizedBare, stressed }]);
+  } else if (!spellings.some(s => s.bare === normalizedBare && s.stressed === stressed)) {
+    spellings.push({ bare: normalizedBare, stressed });
+  }
+}
+
+/**
+ * Record one grammatical reading of a form. Identical readings (e.g. the
+ * same form listed under two columns with the same tag) are kept once.
+ */
+function addTag(tagMap, normalizedForm, normalizedBare, tag) {
+  const key = JSON.stringify(tag);
+  const readings = tagMap.get(normalizedForm);
+  if (!readings) {
+    tagMap.set(normalizedForm, [{ bare: normalizedBare, tag, key }]);
+  } else if (!readings.some(r => r.bare === normalizedBare && r.key === key)) {
+    readings.push({ bare: normalizedBare, tag, key });
+  }
+}
+
+/** "pl_gen" → { pos: 'noun', case: 'gen', number: 'pl' } */
+function nounTag(col) {
+  const [number, grammaticalCase] = col.split('_');
+  return { pos: 'noun', case: grammaticalCase, number };
+}
+
+/** "decl_f_inst" → case/number/gender; "short_pl" → short form; comparative/superlative as `form` */
+function adjectiveTag(col) {
+  const genderOrNumber = (g) => (g === 'pl' ? { number: 'pl' } : { number: 'sg', gender: g });
+  const decl = col.match(/^decl_(m|f|n|pl)_(\w+)$/);
+  if (decl) return { pos: 'adjective', case: decl[2], ...genderOrNumber(decl[1]) };
+  const short = col.match(/^short_(m|f|n|pl)$/);
+  if (short) return { pos: 'adjective', form: 'short', ...genderOrNumber(short[1]) };
+  return { pos: 'adjective', form: col };
+}
+
+/**
+ * Verb columns → tense/person/number (or gender in the past), mood and aspect.
+ * "presfut" forms are present for imperfective verbs and future for perfective ones.
+ */
+function verbTagger(row) {
+  const aspect = row.aspect || undefined;
+  return (col) => {
+    const presfut = col.match(/^presfut_(sg|pl)(\d)$/);
+    if (presfut) {
+      return {
+        pos: 'verb',
+        tense: aspect === 'perfective' ? 'future' : 'present',
+        person: Number(presfut[2]),
+        number: presfut[1],
+        aspect,
+      };
+    }
+    const past = col.match(/^past_(m|f|n|pl)$/);
+    if (past) {
+      return { pos: 'verb', tense: 'past', ...(past[1] === 'pl' ? { number: 'pl' } : { number: 'sg', gender: past[1] }), aspect };
+    }
+    if (col === 'infinitive') return { pos: 'verb', form: 'infinitive', aspect };
+    return { pos: 'verb', mood: 'imperative', number: col.split('_')[1], aspect };
+  };
+}
+
 /**
  * Build a noun entry from a parsed row.
  */
@@ -250,7 +349,8 @@ export async function initDictionary(dataDir = DEFAULT_DATA_DIR) {
   }
 
   const newIndex = new Map();
-  const newInflectionIndex = new Map();
+  const newIndexes = { inflections: new Map(), stress: new Map(), tags: new Map() };
+  const newBareForms = new Map();
   let count = 0;
 
   // Nouns
@@ -258,7 +358,9 @@ export async function initDictionary(dataDir = DEFAULT_DATA_DIR) {
     if (!row.bare) continue;
     const normalizedBare = normalizeForLookup(row.bare);
     newIndex.set(normalizedBare, buildNounEntry(row));
-    addInflections(newInflectionIndex, normalizedBare, row, NOUN_INFLECTION_COLS);
+    newBareForms.set(normalizedBare, row.bare.toLowerCase());
+    addStress(newIndexes.stress, normalizedBare, normalizedBare, row.accented);
+    addInflections(newIndexes, normalizedBare, row, NOUN_INFLECTION_COLS, nounTag);
     count++;
   }
 
@@ -267,7 +369,11 @@ export async function initDictionary(dataDir = DEFAULT_DATA_DIR) {
     if (!row.bare) continue;
     const normalizedBare = normalizeForLookup(row.bare);
     newIndex.set(normalizedBare, buildVerbEntry(row));
-    addInflections(newInflectionIndex, normalizedBare, row, VERB_INFLECTION_COLS);
+    newBareForms.set(normalizedBare, row.bare.toLowerCase());
+    addStress(newIndexes.stress, normalizedBare, normalizedBare, row.accented);
+    const verbTag = verbTagger(row);
+    addTag(newIndexes.tags, normalizedBare, normalizedBare, verbTag('infinitive'));
+    addInflections(newIndexes, normalizedBare, row, VERB_INFLECTION_COLS, verbTag);
     count++;
   }
 
@@ -276,20 +382,28 @@ export async function initDictionary(dataDir = DEFAULT_DATA_DIR) {
     if (!row.bare) continue;
     const normalizedBare = normalizeForLookup(row.bare);
     newIndex.set(normalizedBare, buildAdjectiveEntry(row));
-    addInflections(newInflectionIndex, normalizedBare, row, ADJ_INFLECTION_COLS);
+    newBareForms.set(normalizedBare, row.bare.toLowerCase());
+    addStress(newIndexes.stress, normalizedBare, normalizedBare, row.accented);
+    addInflections(newIndexes, normalizedBare, row, ADJ_INFLECTION_COLS, adjectiveTag);
     count++;
   }
 
   // Others (adverbs, prepositions, conjunctions, etc.)
   for (const row of loadTsv(path.join(dataDir, 'others.csv'))) {
     if (!row.bare) continue;
-    newIndex.set(normalizeForLookup(row.bare), buildOtherEntry(row));
+    const normalizedBare = normalizeForLookup(row.bare);
+    newIndex.set(normalizedBare, buildOtherEntry(row));
+    newBareForms.set(normalizedBare, row.bare.toLowerCase());
+    addStress(newIndexes.stress, normalizedBare, normalizedBare, row.accented);
     count++;
   }
 
   index = newIndex;
-  inflectionIndex = newInflectionIndex;
-  console.log(`[Dictionary] Loaded ${count} entries, ${newInflectionIndex.size} inflection forms`);
+  inflectionIndex = newIndexes.inflections;
+  stressIndex = newIndexes.stress;
+  tagIndex = newIndexes.tags;
+  bareForms = newBareForms;
+  console.log(`[Dictionary] Loaded ${count} entries, ${newIndexes.inflections.size} inflection forms`);
 }
 
 /**
@@ -300,19 +414,144 @@ export async function initDictionary(dataDir = DEFAULT_DATA_DIR) {
  * @returns {object|null} DictionaryEntry or null
  */
 export function lookupWord(word, lemma) {
-  // Try lemma first (most accurate — GPT-4o identified the dictionary form)
-  if (lemma) {
-    const entry = index.get(normalizeForLookup(lemma));
-    if (entry) return entry;
-  }
-  // Try the raw word as a bare form
+  return lookupCandidates(word, lemma)[0]?.entry || null;
+}
+
+/**
+ * Every dictionary word a surface form can belong to.
+ *
+ * Order: the lemma (when given and known — GPT-4o identified the dictionary
+ * form), then the word itself as a bare form, then the words it is an
+ * inflection of, in load order (nouns, verbs, adjectives).
+ *
+ * @param {string} word — the surface form
+ * @param {string} [lemma] — a preferred lemma
+ * @returns {Array<{lemma: string, pos: string, entry: object}>}
+ */
+export function lookupCandidates(word, lemma) {
   const normalized = normalizeForLookup(word);
-  const direct = index.get(normalized);
-  if (direct) return direct;
-  // Fall back to reverse inflection index: inflected form → bare form → entry
-  const bare = inflectionIndex.get(normalized);
-  if (bare) return index.get(bare) || null;
-  return null;
+  const bares = [
+    ...(lemma ? [normalizeForLookup(lemma)] : []),
+    normalized,
+    ...(inflectionIndex.get(normalized) || []),
+  ];
+  const candidates = [];
+  for (const bare of new Set(bares)) {
+    const entry = index.get(bare);
+    if (entry) candidates.push({ lemma: bareForms.get(bare) || bare, pos: entry.pos, entry });
+  }
+  return candidates;
+}
+
+/**
+ * Resolve a word to its dictionary form from the local index, without GPT.
+ *
+ * @param {string} word — lowercase surface form without punctuation
+ * @returns {string|null} bare form (with ё as spelled in the data), or null when
+ *   the word is unknown or its form belongs to more than one dictionary word
+ */
+export function resolveLemma(word) {
+  const candidates = lookupCandidates(word);
+  return candidates.length === 1 ? candidates[0].lemma : null;
+}
+
+/**
+ * Stressed spelling of a surface form, e.g. "книгу" → "кни́гу".
+ *
+ * A form can be stressed differently depending on the word it belongs to
+ * (до́ма / дома́) or even within one word (ру́ки gen. sg. / руки́ nom. pl.).
+ * When the lemma is known only its spellings are considered.
+ *
+ * @param {string} word — lowercase surface form without punctuation
+ * @param {string} [lemma] — the word's lemma, to pick its spellings
+ * @returns {{stressed: string, variants: string[]}|null} the preferred spelling
+ *   (lowercase, combining accents) and every distinct candidate spelling —
+ *   more than one means the stress is ambiguous; null when unknown
+ */
+export function lookupStress(word, lemma) {
+  const spellings = stressIndex.get(normalizeForLookup(word));
+  if (!spellings) return null;
+  const bare = lemma && normalizeForLookup(lemma);
+  const own = spellings.filter(s => s.bare === bare);
+  const variants = [...new Set((own.length > 0 ? own : spellings).map(s => s.stressed))];
+  return { stressed: variants[0], variants };
+}
+
+/**
+ * Grammatical readings of a surface form, from the declension and
+ * conjugation columns it appears in. Most forms have several
+ * ("книги" is genitive singular, nominative plural and accusative plural).
+ * When the lemma is known only its readings are returned.
+ *
+ * Tags: { pos: 'noun'|'adjective'|'verb', case?: 'nom'|'gen'|'dat'|'acc'|'inst'|'prep',
+ *   number?: 'sg'|'pl', gender?: 'm'|'f'|'n', tense?: 'present'|'future'|'past',
+ *   person?: 1|2|3, mood?: 'imperative', form?: 'infinitive'|'short'|'comparative'|'superlative',
+ *   aspect?: 'imperfective'|'perfective' }
+ *
+ * @param {string} word — lowercase surface form without punctuation
+ * @param {string} [lemma] — the word's lemma
+ * @returns {object[]} tags, in table order; empty when unknown
+ */
+export function lookupMorphology(word, lemma) {
+  const readings = tagIndex.get(normalizeForLookup(word));
+  if (!readings) return [];
+  const bare = lemma && normalizeForLookup(lemma);
+  const own = readings.filter(r => r.bare === bare);
+  return (own.length > 0 ? own : readings).map(r => r.tag);
+}
+
+const PREPOSITIONS = new Set([
+  'без', 'в', 'во', 'для', 'до', 'за', 'из', 'изо', 'к', 'ко', 'между', 'на', 'над', 'о', 'об', 'обо',
+  'от', 'перед', 'по', 'под', 'при', 'про', 'с', 'со', 'у', 'через',
+]);
+const PERSONAL_PRONOUNS = new Set(['я', 'ты', 'он', 'она', 'оно', 'мы', 'вы', 'они']);
+
+/**
+ * Context score for reading a word as the given part of speech.
+ *   after a preposition        → noun (+2) or adjective (+1), not a verb
+ *   after a personal pronoun   → verb (+2)
+ *   after "не"                 → verb (+1)
+ *   before a possible noun     → adjective or other, e.g. a possessive (+1)
+ */
+function contextScore(pos, prev, next) {
+  let score = 0;
+  if (prev && PREPOSITIONS.has(prev)) {
+    if (pos === 'noun') score += 2;
+    else if (pos === 'adjective') score += 1;
+    else if (pos === 'verb') score -= 1;
+  }
+  if (prev && PERSONAL_PRONOUNS.has(prev) && pos === 'verb') score += 2;
+  if (prev === 'не' && pos === 'verb') score += 1;
+  if (next && (pos === 'adjective' || pos === 'other')
+    && lookupCandidates(next).some(c => c.pos === 'noun')) {
+    score += 1;
+  }
+  return score;
+}
+
+/**
+ * Order a word's candidate readings by how well they fit the sentence.
+ * The hint (GPT-4o's lemma for the word, or the one already stored in the
+ * transcript) breaks ties and outweighs a single weak signal, but not a
+ * preposition or pronoun in front of the word. Equal scores keep their order.
+ *
+ * @param {Array<{lemma: string, pos: string}>} candidates — from lookupCandidates
+ * @param {{prev?: string, next?: string, hint?: string}} [context] — neighbouring
+ *   words in the same sentence (lowercase, no punctuation) and a preferred lemma
+ * @returns {Array} the candidates, best first
+ */
+export function rankLemmaCandidates(candidates, { prev, next, hint } = {}) {
+  const normalizedPrev = prev && normalizeForLookup(prev);
+  const normalizedNext = next && normalizeForLookup(next);
+  const normalizedHint = hint && normalizeForLookup(hint);
+  return candidates
+    .map((candidate, i) => {
+      let score = contextScore(candidate.pos, normalizedPrev, normalizedNext);
+      if (normalizedHint && normalizeForLookup(candidate.lemma) === normalizedHint) score += 1.5;
+      return { candidate, score, i };
+    })
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map(({ candidate }) => candidate);
 }
 
 /**
@@ -321,4 +560,7 @@ export function lookupWord(word, lemma) {
 export function _resetForTesting() {
   index = new Map();
   inflectionIndex = new Map();
+  stressIndex = new Map();
+  tagIndex = new Map();
+  bareForms = new Map();
 }
@@ -9,10 +9,12 @@
  * this matches the upstream Badestrand/russian-dictionary repo naming convention.
  */
 
-import { describe, it, expect, beforeAll } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { initDictionary, lookupWord, convertStress, _resetForTesting } from './dictionary.js';
+import { initDictionary, lookupWord, lookupCandidates, rankLemmaCandidates, resolveLemma, lookupStress, lookupMorphology, convertStress, _resetForTesting } from './dictionary.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const FIXTURE_DIR = path.join(__dirname, 'test-fixtures', 'openrussian');
@@ -229,6 +231,212 @@ describe('lookupWord — lemma fallback', () => {
   });
 });
 
+// ── resolveLemma ──────────────────────────────────────────────────────
+
+describe('resolveLemma', () => {
+  it('resolves inflected forms and bare forms to the bare form', () => {
+    expect(resolveLemma('книгу')).toBe('книга');
+    expect(resolveLemma('людей')).toBe('человек');
+    expect(resolveLemma('сказала')).toBe('сказать');
+    expect(resolveLemma('хорошо')).toBe('хорошо');
+  });
+
+  it('returns null for unknown words', () => {
+    expect(resolveLemma('абракадабра')).toBeNull();
+    expect(resolveLemma('')).toBeNull();
+  });
+
+  describe('with forms shared by several words', () => {
+    let dataDir;
+
+    beforeAll(async () => {
+      // сталь (steel) and стать (to become) share "стали"; "мой" is a word and an imperative of мыть
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dictionary-test-'));
+      fs.writeFileSync(path.join(dataDir, 'nouns.csv'),
+        'bare\taccented\ttranslations_en\tsg_nom\tsg_gen\n' +
+        "сталь\tста'ль\tsteel\tста'ль\tста'ли\n");
+      fs.writeFileSync(path.join(dataDir, 'verbs.csv'),
+        'bare\taccented\ttranslations_en\tpast_pl\timperative_sg\n' +
+        "стать\tста'ть\tbecome\tста'ли\t\n" +
+        "мыть\tмы'ть\twash\tмы'ли\tмо'й\n");
+      fs.writeFileSync(path.join(dataDir, 'others.csv'),
+        'bare\taccented\ttranslations_en\n' +
+        "мой\tмо'й\tmy\n" +
+        "ещё\tещё\tstill, yet\n");
+      _resetForTesting();
+      await initDictionary(dataDir);
+    });
+
+    afterAll(async () => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      _resetForTesting();
+      await initDictionary(FIXTURE_DIR);
+    });
+
+    it('leaves them to the LLM', () => {
+      expect(resolveLemma('стали')).toBeNull();
+      expect(resolveLemma('мой')).toBeNull();
+      // Their lookups still work as before
+      expect(lookupWord('стали')).not.toBeNull();
+    });
+
+    it('lists every word a shared form belongs to, the first staying the default', () => {
+      expect(lookupCandidates('стали').map(c => [c.lemma, c.pos])).toEqual([['сталь', 'noun'], ['стать', 'verb']]);
+      expect(lookupCandidates('мой').map(c => [c.lemma, c.pos])).toEqual([['мой', 'other'], ['мыть', 'verb']]);
+      expect(lookupCandidates('стали', 'стать')[0].entry.translations).toEqual(['become']);
+      expect(lookupWord('стали').translations).toEqual(['steel']);
+    });
+
+    it('ranks readings by the neighbouring words', () => {
+      const lemmas = (word, context) => rankLemmaCandidates(lookupCandidates(word), context).map(c => c.lemma);
+      expect(lemmas('стали', {})).toEqual(['сталь', 'стать']);
+      expect(lemmas('стали', { prev: 'мы' })).toEqual(['стать', 'сталь']);
+      expect(lemmas('стали', { prev: 'Из' })).toEqual(['сталь', 'стать']);
+      // A possessive goes before a noun
+      expect(lemmas('мой', { next: 'сталь' })).toEqual(['мой', 'мыть']);
+    });
+
+    it('lets the hint break ties but not outweigh a preposition', () => {
+      const lemmas = (word, context) => rankLemmaCandidates(lookupCandidates(word), context).map(c => c.lemma);
+      expect(lemmas('стали', { hint: 'стать' })).toEqual(['стать', 'сталь']);
+      expect(lemmas('мой', { next: 'сталь', hint: 'мыть' })).toEqual(['мыть', 'мой']);
+      expect(lemmas('стали', { prev: 'из', hint: 'стать' })).toEqual(['сталь', 'стать']);
+    });
+
+    it('still resolves unshared forms and keeps ё in the lemma', () => {
+      expect(resolveLemma('мыли')).toBe('мыть');
+      expect(resolveLemma('ещё')).toBe('ещё');
+      expect(resolveLemma('еще')).toBe('ещё');
+    });
+  });
+});
+
+// ── lookupStress ──────────────────────────────────────────────────────
+
+describe('lookupStress', () => {
+  it('stresses bare and inflected forms', () => {
+    expect(lookupStress('людей')).toEqual({ stressed: 'люде́й', variants: ['люде́й'] });
+    expect(lookupStress('человек').stressed).toBe('челове́к');
+    // ё marks the stress by itself
+    expect(lookupStress('времен').stressed).toBe('времён');
+  });
+
+  it('returns null for unknown words', () => {
+    expect(lookupStress('абракадабра')).toBeNull();
+  });
+
+  describe('with forms stressed more than one way', () => {
+    let dataDir;
+
+    beforeAll(async () => {
+      // до́ма (gen. sg.) / дома́ (nom. pl.) of дом, and the adverb до́ма
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dictionary-stress-test-'));
+      fs.writeFileSync(path.join(dataDir, 'nouns.csv'),
+        'bare\taccented\ttranslations_en\tsg_nom\tsg_gen\tpl_nom\n' +
+        "дом\tдо'м\thouse\tдо'м\tдо'ма\tдома'\n");
+      fs.writeFileSync(path.join(dataDir, 'others.csv'),
+        'bare\taccented\ttranslations_en\n' +
+        "дома\tдо'ма\tat home\n");
+      _resetForTesting();
+      await initDictionary(dataDir);
+    });
+
+    afterAll(async () => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      _resetForTesting();
+      await initDictionary(FIXTURE_DIR);
+    });
+
+    it('lists every spelling, first one first', () => {
+      expect(lookupStress('дома')).toEqual({ stressed: 'до́ма', variants: ['до́ма', 'дома́'] });
+    });
+
+    it('only considers the spellings of a known lemma', () => {
+      expect(lookupStress('дома', 'дома').variants).toEqual(['до́ма']);
+      expect(lookupStress('дома', 'дом').variants).toEqual(['до́ма', 'дома́']);
+      // An unknown lemma falls back to every spelling
+      expect(lookupStress('Дома', 'домик').variants).toHaveLength(2);
+    });
+  });
+});
+
+// ── lookupMorphology ──────────────────────────────────────────────────
+
+describe('lookupMorphology', () => {
+  it('tags noun forms with case and number', () => {
+    expect(lookupMorphology('книгой')).toEqual([{ pos: 'noun', case: 'inst', number: 'sg' }]);
+    expect(lookupMorphology('книги')).toEqual([
+      { pos: 'noun', case: 'gen', number: 'sg' },
+      { pos: 'noun', case: 'nom', number: 'pl' },
+      { pos: 'noun', case: 'acc', number: 'pl' },
+    ]);
+    // The bare form is the nominative singular
+    expect(lookupMorphology('книга')).toEqual([{ pos: 'noun', case: 'nom', number: 'sg' }]);
+  });
+
+  it('tags adjective forms with case, number and gender', () => {
+    expect(lookupMorphology('красивую')).toEqual([{ pos: 'adjective', case: 'acc', number: 'sg', gender: 'f' }]);
+    expect(lookupMorphology('красивы')).toEqual([{ pos: 'adjective', form: 'short', number: 'pl' }]);
+    expect(lookupMorphology('красивее')).toEqual([{ pos: 'adjective', form: 'comparative' }]);
+  });
+
+  it('tags verb forms with tense, person and aspect', () => {
+    // Perfective present-tense forms are future
+    expect(lookupMorphology('скажу')).toEqual([
+      { pos: 'verb', tense: 'future', person: 1, number: 'sg', aspect: 'perfective' },
+    ]);
+    expect(lookupMorphology('говорила')).toEqual([
+      { pos: 'verb', tense: 'past', number: 'sg', gender: 'f', aspect: 'imperfective' },
+    ]);
+    expect(lookupMorphology('говорите')).toEqual([
+      { pos: 'verb', tense: 'present', person: 2, number: 'pl', aspect: 'imperfective' },
+      { pos: 'verb', mood: 'imperative', number: 'pl', aspect: 'imperfective' },
+    ]);
+    expect(lookupMorphology('сказать')).toEqual([{ pos: 'verb', form: 'infinitive', aspect: 'perfective' }]);
+  });
+
+  it('returns an empty list for unknown words and uninflected entries', () => {
+    expect(lookupMorphology('абракадабра')).toEqual([]);
+    expect(lookupMorphology('хорошо')).toEqual([]);
+  });
+
+  describe('with forms of several words', () => {
+    let dataDir;
+
+    beforeAll(async () => {
+      // "стали": genitive/dative/prepositional singular and nominative plural of сталь, past plural of стать
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dictionary-morph-test-'));
+      fs.writeFileSync(path.join(dataDir, 'nouns.csv'),
+        'bare\taccented\ttranslations_en\tsg_nom\tsg_gen\tpl_nom\n' +
+        "сталь\tста'ль\tsteel\tста'ль\tста'ли\tста'ли\n");
+      fs.writeFileSync(path.join(dataDir, 'verbs.csv'),
+        'bare\taccented\ttranslations_en\taspect\tpast_pl\n' +
+        "стать\tста'ть\tbecome\tperfective\tста'ли\n");
+      _resetForTesting();
+      await initDictionary(dataDir);
+    });
+
+    afterAll(async () => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      _resetForTesting();
+      await initDictionary(FIXTURE_DIR);
+    });
+
+    it('lists every reading without a lemma', () => {
+      expect(lookupMorphology('стали').map(t => t.pos)).toEqual(['noun', 'noun', 'verb']);
+    });
+
+    it('keeps only the readings of a known lemma', () => {
+      expect(lookupMorphology('стали', 'стать')).toEqual([
+        { pos: 'verb', tense: 'past', number: 'pl', aspect: 'perfective' },
+      ]);
+      expect(lookupMorphology('Стали', 'сталь')).toHaveLength(2);
+      // An unknown lemma falls back to every reading
+      expect(lookupMorphology('стали', 'стул')).toHaveLength(3);
+    });
+  });
+});
+
 // ── initDictionary — graceful no-op ───────────────────────────────────
 
 describe('initDictionary — graceful handling', () => {
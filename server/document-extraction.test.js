@@ -0,0 +1,303 @@
+import { describe, it, expect } from 'vitest';
+import zlib from 'zlib';
+import { parseFb2, parseEpub, parsePlainText, extractDocument, decodeEntities } from './media/document-extraction.js';
+import { decodeLegacyCyrillic } from './media/text-extraction.js';
+import { readZip, writeZip, MAX_ENTRY_BYTES } from './media/zip.js';
+
+/**
+ * Build a ZIP archive in memory. Entries are deflated unless `stored` is set.
+ * CRCs are left as zero — readZip doesn't verify them.
+ */
+function buildZip(files, { stored = [] } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const raw = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const method = stored.includes(name) ? 0 : 8;
+    const data = method === 0 ? raw : zlib.deflateRawSync(raw);
+    const nameBuf = Buffer.from(name, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, data);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + data.length;
+  }
+
+  const centralDir = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(centralDir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDir, eocd]);
+}
+
+const PARAGRAPH = 'Берлиоз сидел на скамейке и внимательно слушал своего собеседника.';
+
+const FB2 = `<?xml version="1.0" encoding="utf-8"?>
+<FictionBook xmlns="http://www.gribuser.ru/xml/fictionbook/2.0" xmlns:l="http://www.w3.org/1999/xlink">
+  <description>
+    <title-info>
+      <author><first-name>Михаил</first-name><middle-name>Афанасьевич</middle-name><last-name>Булгаков</last-name></author>
+      <book-title>Мастер и Маргарита</book-title>
+    </title-info>
+  </description>
+  <body>
+    <title><p>Мастер и Маргарита</p></title>
+    <section>
+      <title><p>Часть первая</p></title>
+      <section>
+        <title><p>Глава 1</p><p>Никогда не разговаривайте с неизвестными</p></title>
+        <p>${PARAGRAPH}<a l:href="#n1" type="note">[1]</a></p>
+        <empty-line/>
+        <p>Второй &laquo;абзац&raquo; главы.</p>
+      </section>
+      <section>
+        <title><p>Глава 2</p></title>
+        <poem><stanza><v>Строка стиха</v></stanza></poem>
+        <p>${PARAGRAPH}</p>
+      </section>
+    </section>
+  </body>
+  <body name="notes">
+    <section id="n1"><title><p>1</p></title><p>Текст примечания.</p></section>
+  </body>
+</FictionBook>`;
+
+describe('parseFb2', () => {
+  it('reads title-info and splits chapters at sections', () => {
+    const doc = parseFb2(Buffer.from(FB2, 'utf8'));
+
+    expect(doc.title).toBe('Мастер и Маргарита');
+    expect(doc.author).toBe('Михаил Афанасьевич Булгаков');
+    expect(doc.chapters).toHaveLength(2);
+    expect(doc.chapters[1]).toEqual({ title: 'Глава 2', text: `Строка стиха\n\n${PARAGRAPH}` });
+  });
+
+  it('folds title-only parts into the first chapter title', () => {
+    const doc = parseFb2(Buffer.from(FB2, 'utf8'));
+    expect(doc.chapters[0].title).toBe('Часть первая. Глава 1. Никогда не разговаривайте с неизвестными');
+  });
+
+  it('drops footnote references and the notes body, decodes entities', () => {
+    const doc = parseFb2(Buffer.from(FB2, 'utf8'));
+
+    expect(doc.chapters[0].text).toBe(`${PARAGRAPH}\n\nВторой «абзац» главы.`);
+    expect(doc.text).not.toContain('[1]');
+    expect(doc.text).not.toContain('Текст примечания');
+  });
+
+  it('keeps text after a nested section with its parent section', () => {
+    const xml = FB2.replace(
+      `<p>${PARAGRAPH}</p>\n      </section>\n    </section>`,
+      `<p>${PARAGRAPH}</p>\n      </section>\n      <p>Конец первой части.</p>\n    </section>`,
+    );
+    const doc = parseFb2(Buffer.from(xml, 'utf8'));
+
+    expect(doc.chapters).toHaveLength(3);
+    expect(doc.chapters[1]).toEqual({ title: 'Глава 2', text: `Строка стиха\n\n${PARAGRAPH}` });
+    expect(doc.chapters[2]).toEqual({ title: '', text: 'Конец первой части.' });
+  });
+
+  it('decodes windows-1251 files using the XML declaration', () => {
+    const xml = FB2.replace('encoding="utf-8"', 'encoding="windows-1251"');
+    const cp1251 = Buffer.from(Array.from(xml, ch => {
+      const code = ch.charCodeAt(0);
+      if (code >= 0x410 && code <= 0x44f) return code - 0x410 + 0xc0;
+      if (ch === '«') return 0xab;
+      if (ch === '»') return 0xbb;
+      return code;
+    }));
+
+    const doc = parseFb2(cp1251);
+    expect(doc.title).toBe('Мастер и Маргарита');
+    expect(doc.chapters[1].title).toBe('Глава 2');
+  });
+
+  it('rejects non-FB2 XML', () => {
+    expect(() => parseFb2(Buffer.from('<html><body>Привет</body></html>'))).toThrow(/FB2/);
+  });
+});
+
+function buildEpub({ withNcx = true } = {}) {
+  const chapter = (heading, body) => `<?xml version="1.0" encoding="utf-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml"><head><title>x</title></head>
+<body>${heading ? `<h2>${heading}</h2>` : ''}<p>${body}</p><p>Ещё&nbsp;один абзац.</p></body></html>`;
+
+  return buildZip({
+    mimetype: 'application/epub+zip',
+    'META-INF/container.xml': `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`,
+    'OEBPS/content.opf': `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="2.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:title>Белая гвардия</dc:title>
+    <dc:creator opf:role="aut">Михаил Булгаков</dc:creator>
+  </metadata>
+  <manifest>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="cover" href="Text/cover.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch2" href="Text/ch2.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch1" href="Text/ch1.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine toc="ncx">
+    <itemref idref="cover" linear="no"/>
+    <itemref idref="ch1"/>
+    <itemref idref="ch2"/>
+  </spine>
+</package>`,
+    ...(withNcx && {
+      'OEBPS/toc.ncx': `<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/"><navMap>
+  <navPoint id="p1"><navLabel><text>Часть первая</text></navLabel><content src="Text/ch1.xhtml"/></navPoint>
+</navMap></ncx>`,
+    }),
+    'OEBPS/Text/cover.xhtml': chapter('', 'Обложка'),
+    'OEBPS/Text/ch1.xhtml': chapter('', PARAGRAPH),
+    'OEBPS/Text/ch2.xhtml': chapter('Глава 2', 'Велик был год и страшен год по Рождестве Христовом.'),
+  }, { stored: ['mimetype'] });
+}
+
+describe('parseEpub', () => {
+  it('reads metadata and follows the spine order, skipping non-linear items', () => {
+    const doc = parseEpub(buildEpub());
+
+    expect(doc.title).toBe('Белая гвардия');
+    expect(doc.author).toBe('Михаил Булгаков');
+    expect(doc.chapters).toHaveLength(2);
+    expect(doc.chapters[0].text).toContain(PARAGRAPH);
+    expect(doc.chapters[1].text).toContain('Велик был год');
+    expect(doc.text).not.toContain('Обложка');
+  });
+
+  it('uses headings and falls back to table-of-contents labels', () => {
+    const doc = parseEpub(buildEpub());
+
+    expect(doc.chapters[0].title).toBe('Часть первая');
+    expect(doc.chapters[1].title).toBe('Глава 2');
+    expect(doc.chapters[1].text).toContain('Ещё один абзац.');
+  });
+
+  it('leaves heading-less chapters untitled without a table of contents', () => {
+    const doc = parseEpub(buildEpub({ withNcx: false }));
+    expect(doc.chapters[0].title).toBe('');
+  });
+
+  it('rejects archives without a container', () => {
+    expect(() => parseEpub(buildZip({ 'book.txt': 'text' }))).toThrow(/container/);
+  });
+});
+
+describe('parsePlainText', () => {
+  it('uses a short first line as the title', () => {
+    const doc = parsePlainText(`Мастер и Маргарита\r\n\r\n${PARAGRAPH}`);
+
+    expect(doc.title).toBe('Мастер и Маргарита');
+    expect(doc.author).toBe('');
+    expect(doc.text).toBe(`Мастер и Маргарита\n\n${PARAGRAPH}`);
+    expect(doc.chapters).toHaveLength(1);
+  });
+
+  it('prefers an explicit title and falls back for long first lines', () => {
+    expect(parsePlainText(PARAGRAPH, { title: 'Отрывок' }).title).toBe('Отрывок');
+    expect(parsePlainText(PARAGRAPH.repeat(2)).title).toBe('Pasted Text');
+  });
+
+  it('rejects text that is too short', () => {
+    expect(() => parsePlainText('Привет')).toThrow(/too short/);
+  });
+});
+
+describe('extractDocument', () => {
+  it('unpacks zipped FB2 files', () => {
+    const archive = buildZip({ 'master.fb2': FB2 });
+    const doc = extractDocument(archive, 'master.fb2.zip');
+    expect(doc.title).toBe('Мастер и Маргарита');
+  });
+
+  it('decodes legacy-encoded .txt files and titles them by filename', () => {
+    const koi8 = Buffer.from([0xf0, 0xd2, 0xc9, 0xd7, 0xc5, 0xd4]); // "Привет" in KOI8-R
+    expect(decodeLegacyCyrillic(koi8)).toBe('Привет');
+
+    const text = `${PARAGRAPH}\n\n${PARAGRAPH}`;
+    const cp1251 = Buffer.from(Array.from(text, ch => {
+      const code = ch.charCodeAt(0);
+      return code >= 0x410 && code <= 0x44f ? code - 0x410 + 0xc0 : code;
+    }));
+    const doc = extractDocument(cp1251, 'berlioz.txt');
+    expect(doc.title).toBe('berlioz');
+    expect(doc.text).toBe(text);
+  });
+
+  it('rejects unsupported extensions and zips without FB2', () => {
+    expect(() => extractDocument(Buffer.from('x'), 'book.pdf')).toThrow(/Unsupported/);
+    expect(() => extractDocument(buildZip({ 'a.txt': 'x' }), 'a.zip')).toThrow(/FB2/);
+  });
+});
+
+describe('decodeEntities', () => {
+  it('decodes named and numeric references', () => {
+    expect(decodeEntities('&laquo;&#1044;&#x430;&raquo; &amp; &unknown;')).toBe('«Да» & &unknown;');
+  });
+});
+
+describe('readZip', () => {
+  it('reads stored and deflated entries', () => {
+    const zip = readZip(buildZip({ 'a.txt': 'stored', 'b.txt': 'deflated' }, { stored: ['a.txt'] }));
+
+    expect(zip.names).toEqual(['a.txt', 'b.txt']);
+    expect(zip.readText('a.txt')).toBe('stored');
+    expect(zip.readText('b.txt')).toBe('deflated');
+    expect(zip.read('missing')).toBeNull();
+  });
+
+  it('rejects non-zip data', () => {
+    expect(() => readZip(Buffer.alloc(100))).toThrow(/ZIP/);
+  });
+
+  it('stops inflating an entry at the cap, whatever size it declares', () => {
+    const declared = buildZip({ 'big.xml': Buffer.alloc(MAX_ENTRY_BYTES + 1) });
+    const bomb = Buffer.from(declared);
+    // Claim 1 KB in both headers
+    const central = bomb.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    bomb.writeUInt32LE(1024, central + 24);
+    bomb.writeUInt32LE(1024, 22);
+
+    expect(readZip(bomb).size('big.xml')).toBe(1024);
+    expect(() => readZip(bomb).read('big.xml')).toThrow(/larger than 100 MB/);
+    expect(() => readZip(declared).read('big.xml')).toThrow(/larger than 100 MB/);
+  });
+});
+
+describe('writeZip', () => {
+  it('writes deflated entries with UTF-8 names and CRCs', () => {
+    const data = writeZip({ 'collection.anki2': Buffer.from('запись '.repeat(50)), 'звук.mp3': new Uint8Array([1, 2, 3]) });
+    const zip = readZip(data);
+
+    expect(zip.names).toEqual(['collection.anki2', 'звук.mp3']);
+    expect(zip.readText('collection.anki2')).toBe('запись '.repeat(50));
+    expect([...zip.read('звук.mp3')]).toEqual([1, 2, 3]);
+    // CRC-32 of the first entry, in its local header
+    expect(data.readUInt32LE(14)).toBe(zlib.crc32(Buffer.from('запись '.repeat(50))));
+  });
+});
@@ -29,7 +29,7 @@ vi.mock('./usage.js', () => ({
   getUserWeeklyCost: () => 0,
   getUserMonthlyCost: () => 0,
   getRemainingBudget: () => 1,
-  costs: { whisper: () => 0, gpt4o: () => 0, gpt4oMini: () => 0, tts: () => 0, translate: () => 0 },
+  costs: { whisper: () => 0, transcription: () => 0, gpt4o: () => 0, gpt4oMini: () => 0, tts: () => 0, translate: () => 0 },
 }));
 
 // Mock media.js so the server can start without real dependencies
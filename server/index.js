@@ -12,23 +12,27 @@ import { spawn } from 'child_process';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import * as Sentry from '@sentry/node';
-import { createChunks, createTextChunks, getChunkTranscript, formatTime } from './chunking.js';
+import { segmentSentences, formatSubtitles, parseSubtitleOptions, parseSubtitleImport, alignSubtitleTranscript } from './subtitles.js';
+import { buildApkg, readAnkiPackage } from './anki.js';
+import { createChunks, parseChunkingOptions, createTextChunks, createChapterTextChunks, buildChapterToc, getChunkTranscript, formatTime } from './chunking.js';
 import {
-  localSessions, analysisSessions, urlSessionCache, translationCache, exampleCache,
+  localSessions, analysisSessions, urlSessionCache, translationCache, sentenceTranslationCache, exampleCache,
   getSignedMediaUrl, getCachedExtraction, cacheExtraction,
   getCachedSession, cacheSessionUrl,
   getAnalysisSession, setAnalysisSession,
   deleteSessionAndVideos,
   cleanupOldSessions, rebuildUrlCache,
   cloneSession, getLibraryEntries,
+  createUpload, getUpload, appendUploadChunk, isUploadComplete, ensureUploadFile, deleteUpload, getUploadMediaKind,
+  UPLOAD_CHUNK_SIZE, MAX_UPLOAD_BYTES, MAX_DOCUMENT_BYTES,
   init as initSessionStore,
 } from './session-store.js';
 import { progressClients, sendProgress, createProgressCallback, friendlyErrorMessage } from './progress.js';
-import { downloadAudioChunk, downloadVideoChunk, transcribeAudioChunk, addPunctuation, lemmatizeWords, getOkRuVideoInfo, isLibRuUrl, fetchLibRuText, generateTtsAudio, transcribeAndAlignTTS, BROWSER_UA } from './media.js';
+import { downloadAudioChunk, downloadVideoChunk, transcribeAudioChunk, addPunctuation, lemmatizeWords, accentuateWords, tagWords, getOkRuVideoInfo, isLibRuUrl, fetchLibRuText, parsePlainText, extractDocument, generateTtsAudio, transcribeAndAlignTTS, getAudioDuration, extractAudioSegment, extractAudioClip, sliceMediaFile, getSttProvider, getTtsProvider, parseTtsOptions, MIN_TTS_SPEED, MAX_TTS_SPEED, stripPunctuation, BROWSER_UA } from './media.js';
 import { requireAuth, adminAuth } from './auth.js';
-import { trackCost, requireBudget, costs, trackTranslateCost, initUsageStore, flushAllUsage, getUserCost, getUserWeeklyCost, getUserMonthlyCost, DAILY_LIMIT, WEEKLY_LIMIT, MONTHLY_LIMIT } from './usage.js';
+import { trackCost, trackSavedCost, requireBudget, costs, trackTranslateCost, initUsageStore, flushAllUsage, getUserCost, getUserWeeklyCost, getUserMonthlyCost, getUserSavings, getRemainingBudget, DAILY_LIMIT, WEEKLY_LIMIT, MONTHLY_LIMIT } from './usage.js';
 import { requireSubscription, getSubscriptionStatus, createCheckoutSession, createPortalSession, cancelSubscription, handleWebhook, constructWebhookEvent, initSubscriptionStore } from './stripe.js';
-import { initDictionary, lookupWord } from './dictionary.js';
+import { initDictionary, lookupWord, lookupCandidates, rankLemmaCandidates } from './dictionary.js';
 
 // Use system yt-dlp binary instead of bundled one (bundled version may be outdated)
 const ytdlp = ytdlpBase.create('yt-dlp');
@@ -166,6 +170,12 @@ app.post('/api/webhook', express.raw({ type: 'application/json' }), async (req,
   }
 });
 
+// Pasted books easily exceed the default 100kb JSON limit
+app.use('/api/analyze-text', express.json({ limit: '5mb' }));
+// Analyses can carry an imported subtitle file
+app.use(['/api/analyze', '/api/analyze-upload'], express.json({ limit: '5mb' }));
+// Deck exports carry every card with its dictionary tables
+app.use('/api/deck/apkg', express.json({ limit: '20mb' }));
 app.use(express.json());
 
 // Reverse proxy for Firebase reserved URLs (/__/auth/*, /__/firebase/*) —
@@ -206,6 +216,8 @@ app.use('/__', async (req, res) => {
 app.get('/api/health', async (req, res) => {
   const checks = {
     openai: !!process.env.OPENAI_API_KEY,
+    stt: !getSttProvider().configError,
+    tts: !getTtsProvider().configError,
     translate: !!process.env.GOOGLE_TRANSLATE_API_KEY,
     gcs: !IS_LOCAL,
   };
@@ -382,6 +394,49 @@ const extractSentenceRateLimit = rateLimit({
   skip: skipInTest,
 });
 
+// One request per 8 MB byte range — a 2 GB upload is ~256 PUTs
+const uploadRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: 600,
+  keyGenerator: (req) => req.uid,
+  message: { error: 'Too many upload requests. Please wait a minute.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: skipInTest,
+});
+
+// Deck exports cut an audio clip per card with ffmpeg
+const deckExportRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: 3,
+  keyGenerator: (req) => req.uid,
+  message: { error: 'Too many deck exports. Please wait a minute.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: skipInTest,
+});
+
+// Each card added from a transcript cuts its word clip once
+const clipRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  keyGenerator: (req) => req.uid,
+  message: { error: 'Too many audio clip requests. Please wait a minute.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: skipInTest,
+});
+
+const deckImportRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => req.uid,
+  message: { error: 'Too many deck imports. Please wait a minute.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: skipInTest,
+});
+
 const demoRateLimit = rateLimit({
   windowMs: 60 * 1000,
   max: 10,
@@ -414,13 +469,31 @@ async function requireSessionOwnership(req, res, next) {
 
 /**
  * GET /api/usage
- * Returns current user's combined API usage (OpenAI + Google Translate) across all limit periods.
+ * Returns current user's combined API usage (OpenAI + Google Translate) across all limit periods,
+ * plus the spend avoided by local processing in each period.
  */
 app.get('/api/usage', (req, res) => {
   res.json({
     daily: { used: getUserCost(req.uid), limit: DAILY_LIMIT },
     weekly: { used: getUserWeeklyCost(req.uid), limit: WEEKLY_LIMIT },
     monthly: { used: getUserMonthlyCost(req.uid), limit: MONTHLY_LIMIT },
+    saved: getUserSavings(req.uid),
+  });
+});
+
+/**
+ * GET /api/tts/voices
+ * Read-aloud voices offered by the configured text-to-speech provider, for the settings panel.
+ * Returns: { provider, voices, defaultVoice, minSpeed, maxSpeed }
+ */
+app.get('/api/tts/voices', (req, res) => {
+  const provider = getTtsProvider();
+  res.json({
+    provider: provider.id,
+    voices: provider.voices,
+    defaultVoice: provider.defaultVoice,
+    minSpeed: MIN_TTS_SPEED,
+    maxSpeed: MAX_TTS_SPEED,
   });
 });
 
@@ -450,6 +523,125 @@ app.post('/api/enrich-deck', (req, res) => {
   res.json({ entries });
 });
 
+// Word clips cut per export; cards beyond this export without audio
+const MAX_APKG_CLIPS = 300;
+// Longest span cut for a card, on export or from the transcript
+const MAX_CLIP_SECONDS = 30;
+
+/**
+ * Where ffmpeg can read a ready chunk's media: the local file in development,
+ * or a signed GCS URL in production. Null when the media is gone.
+ */
+async function getChunkMediaInput(sessionId, session, chunkId) {
+  const chunk = session.chunks?.find(c => c.id === chunkId);
+  if (!chunk || chunk.status !== 'ready') return null;
+  const [kind, ext] = session.contentType === 'text' ? ['audio', 'mp3'] : ['video', 'mp4'];
+  if (IS_LOCAL || !bucket) {
+    const localPath = localSessions.get(`${kind}_${sessionId}_${chunkId}`);
+    return localPath && fs.existsSync(localPath) ? localPath : null;
+  }
+  return getSignedMediaUrl(`videos/${sessionId}_${chunkId}.${ext}`);
+}
+
+/**
+ * Cut each card's word out of the chunk it was heard in (card.source).
+ * Skips cards whose span is invalid or longer than MAX_CLIP_SECONDS, and
+ * cards whose session isn't the user's or whose media is gone.
+ * @returns {Promise<Map<string, {name: string, data: Buffer}>>} card id → mp3 clip
+ */
+async function cutCardClips(cards, uid, dir) {
+  const clips = new Map();
+  const sessions = new Map();
+  for (const card of cards) {
+    if (clips.size >= MAX_APKG_CLIPS) break;
+    const { sessionId, chunkId, start, end } = card.source || {};
+    if (typeof sessionId !== 'string' || typeof chunkId !== 'string') continue;
+    // The span comes from the client: cut word-sized clips only
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start || end - start > MAX_CLIP_SECONDS) continue;
+
+    if (!sessions.has(sessionId)) sessions.set(sessionId, await getAnalysisSession(sessionId));
+    const session = sessions.get(sessionId);
+    if (!session || session.uid !== uid) continue;
+
+    try {
+      const input = await getChunkMediaInput(sessionId, session, chunkId);
+      if (!input) continue;
+      const name = `ru-${crypto.createHash('sha1').update(card.id).digest('hex').slice(0, 12)}.mp3`;
+      const clipPath = path.join(dir, name);
+      await extractAudioClip(input, clipPath, start, end);
+      clips.set(card.id, { name, data: fs.readFileSync(clipPath) });
+    } catch (error) {
+      console.error(`[Deck Export] Clip failed for "${card.word}":`, error.message);
+    }
+  }
+  return clips;
+}
+
+/**
+ * POST /api/deck/apkg
+ * Export the deck as an Anki package: one note per card with the stressed form,
+ * translation, grammar tables, example sentence and (for cards that record
+ * where they were heard) an audio clip of the word; SM-2 scheduling carries over.
+ * Accepts: { cards: SRSCard[] }   (max 5000)
+ * Returns: .apkg file as an attachment
+ */
+app.post('/api/deck/apkg', deckExportRateLimit, async (req, res) => {
+  const { cards } = req.body;
+
+  if (!Array.isArray(cards) || cards.length === 0) {
+    return res.status(400).json({ error: 'cards array is required' });
+  }
+  if (cards.length > 5000) {
+    return res.status(400).json({ error: 'Too many cards (max 5000)' });
+  }
+  if (cards.some(c => !c || typeof c.id !== 'string' || typeof c.word !== 'string' || typeof c.translation !== 'string')) {
+    return res.status(400).json({ error: 'Each card needs an id, word and translation' });
+  }
+
+  const dir = path.join(__dirname, 'temp', `apkg_${crypto.randomUUID()}`);
+  fs.mkdirSync(dir, { recursive: true });
+  try {
+    const audio = await cutCardClips(cards, req.uid, dir);
+    const apkg = await buildApkg(cards, { audio });
+    console.log(`[Deck Export] ${cards.length} cards, ${audio.size} clips, ${(apkg.length / 1024).toFixed(0)} KB`);
+
+    res.attachment(`russian-deck-${new Date().toISOString().slice(0, 10)}.apkg`);
+    res.type('application/octet-stream');
+    res.send(apkg);
+  } catch (error) {
+    console.error('[Deck Export] Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to build Anki deck' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Anki packages include their media, which import ignores
+const MAX_ANKI_IMPORT_SIZE = 100 * 1024 * 1024;
+
+/**
+ * POST /api/deck/import-anki
+ * Read the notes of an Anki package as cards to merge into the deck: word,
+ * translation, stressed form (from our own exports) and SM-2 state converted
+ * from the Anki scheduling. Duplicates are resolved by the client.
+ * Accepts: the .apkg / .colpkg file as the request body (max 100 MB)
+ * Returns: { cards: [{ word, translation, stressedWord?, easeFactor, interval, repetition, nextReviewDate, lastReviewedAt, addedAt }] }
+ */
+app.post('/api/deck/import-anki', deckImportRateLimit, express.raw({ type: () => true, limit: MAX_ANKI_IMPORT_SIZE }), async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Anki package file is required' });
+  }
+
+  try {
+    const cards = await readAnkiPackage(req.body);
+    console.log(`[Deck Import] ${cards.length} notes from a ${(req.body.length / 1024).toFixed(0)} KB package`);
+    res.json({ cards });
+  } catch (error) {
+    console.error('[Deck Import] Error:', error.message);
+    res.status(400).json({ error: error.message || 'Could not read the Anki package' });
+  }
+});
+
 /**
  * POST /api/generate-examples
  * Uses GPT-4o-mini to generate A2-B1 level example sentences for a batch of Russian words.
@@ -816,13 +1008,14 @@ app.post('/api/library/open', demoRateLimit, async (req, res) => {
     totalDuration: cloned.totalDuration,
     chunks: cloned.chunks,
     hasMoreChunks: cloned.hasMoreChunks,
+    chapters: cloned.chapters,
   });
 });
 
 /**
  * DELETE /api/account
  * Permanently delete the user's account and all associated data:
- * 1. Firestore decks/{uid} and usage/{uid}
+ * 1. Firestore decks/{uid} (with its review log), deckSettings/{uid}, drillStats/{uid} and usage/{uid}
  * 2. GCS sessions owned by the user
  * 3. In-memory sessions
  * 4. Firebase Auth user
@@ -832,12 +1025,14 @@ app.delete('/api/account', async (req, res) => {
   console.log(`[Account] Deleting account for ${uid}`);
 
   try {
-    // 1. Delete Firestore documents (decks + usage)
+    // 1. Delete Firestore documents (decks + review log, deck settings, drill stats, usage)
     try {
       const { getFirestore } = await import('firebase-admin/firestore');
       const db = getFirestore();
       await Promise.all([
-        db.collection('decks').doc(uid).delete().catch(() => {}),
+        db.recursiveDelete(db.collection('decks').doc(uid)).catch(() => {}),
+        db.collection('deckSettings').doc(uid).delete().catch(() => {}),
+        db.collection('drillStats').doc(uid).delete().catch(() => {}),
         db.collection('usage').doc(uid).delete().catch(() => {}),
       ]);
       console.log(`[Account] Deleted Firestore docs for ${uid}`);
@@ -862,6 +1057,10 @@ app.delete('/api/account', async (req, res) => {
               for (const vf of videoFiles) {
                 await vf.delete().catch(() => {});
               }
+              // Delete uploaded source media
+              if (session.sourceGcsKey) {
+                await bucket.file(session.sourceGcsKey).delete().catch(() => {});
+              }
               await file.delete().catch(() => {});
               console.log(`[Account] Deleted GCS session ${sessionId}`);
             }
@@ -877,6 +1076,9 @@ app.delete('/api/account', async (req, res) => {
     // 3. Clean up in-memory sessions
     for (const [sessionId, session] of analysisSessions) {
       if (session.uid === uid) {
+        if (session.sourcePath && fs.existsSync(session.sourcePath)) {
+          fs.unlinkSync(session.sourcePath);
+        }
         analysisSessions.delete(sessionId);
       }
     }
@@ -916,13 +1118,52 @@ app.delete('/api/account', async (req, res) => {
   }
 });
 
+/**
+ * Dictionary readings of a clicked word, best first. Homographs ("стали" →
+ * сталь / стать) are ranked by the neighbouring words, with the transcript's
+ * lemma as the tiebreak. Each reading carries the word's stressed spelling
+ * and its grammatical tags (see tagWords).
+ * @param {string} word
+ * @param {string} [lemma]
+ * @param {{prev?: string, next?: string}} [context]
+ * @returns {{dictionary?: object, stressed?: string, morph?: object[], readings?: Array<{lemma: string, pos: string, dictionary: object, stressed?: string, morph?: object[]}>}}
+ */
+function lookupReadings(word, lemma, context) {
+  const bareWord = stripPunctuation(word);
+  const ranked = rankLemmaCandidates(lookupCandidates(bareWord, lemma), {
+    prev: typeof context?.prev === 'string' ? context.prev : undefined,
+    next: typeof context?.next === 'string' ? context.next : undefined,
+    hint: lemma,
+  });
+  const stressedAs = (readingLemma) => accentuateWords([{ word: bareWord, lemma: readingLemma }])[0].stressed;
+  const morphAs = (readingLemma) => tagWords([{ word: bareWord, lemma: readingLemma }])[0].morph;
+  const stressed = stressedAs(ranked[0]?.lemma ?? lemma);
+  const morph = morphAs(ranked[0]?.lemma ?? lemma);
+  if (ranked.length === 0) return { ...(stressed && { stressed }), ...(morph && { morph }) };
+  return {
+    dictionary: ranked[0].entry,
+    ...(stressed && { stressed }),
+    ...(morph && { morph }),
+    ...(ranked.length > 1 && {
+      readings: ranked.map(({ lemma: readingLemma, pos, entry }) => ({
+        lemma: readingLemma,
+        pos,
+        dictionary: entry,
+        ...(stressedAs(readingLemma) && { stressed: stressedAs(readingLemma) }),
+        ...(morphAs(readingLemma) && { morph: morphAs(readingLemma) }),
+      })),
+    }),
+  };
+}
+
 /**
  * POST /api/translate
- * Accepts: { word: string, lemma?: string }
- * Returns: { word: string, translation: string, sourceLanguage: string, dictionary?: object }
+ * Accepts: { word: string, lemma?: string, context?: { prev?: string, next?: string } }
+ * Returns: { word: string, translation: string, sourceLanguage: string, dictionary?: object, stressed?: string,
+ *            morph?: object[], readings?: [{ lemma, pos, dictionary, stressed?, morph? }] } — readings only for homographs, best first
  */
 app.post('/api/translate', translateRateLimit, requireSubscription, requireBudget, async (req, res) => {
-  const { word, lemma } = req.body;
+  const { word, lemma, context } = req.body;
   const apiKey = process.env.GOOGLE_TRANSLATE_API_KEY;
 
   if (!word) {
@@ -943,8 +1184,7 @@ app.post('/api/translate', translateRateLimit, requireSubscription, requireBudge
   // each time so updates to dictionary data are reflected immediately)
   if (translationCache.has(cacheKey)) {
     const cached = translationCache.get(cacheKey);
-    const dictionary = lookupWord(word, lemma) || undefined;
-    return res.json({ ...cached, dictionary });
+    return res.json({ ...cached, ...lookupReadings(word, lemma, context) });
   }
 
   try {
@@ -971,14 +1211,12 @@ app.post('/api/translate', translateRateLimit, requireSubscription, requireBudge
 
     const data = await response.json();
 
-    // Look up dictionary entry (in-memory, no cost)
-    const dictionary = lookupWord(word, lemma) || undefined;
-
     const result = {
       word,
       translation: data.data.translations[0].translatedText,
       sourceLanguage: 'ru',
-      dictionary,
+      // Dictionary entries are in-memory, no cost
+      ...lookupReadings(word, lemma, context),
     };
 
     // Cache the Google Translate part only (dictionary looked up fresh on each request)
@@ -994,6 +1232,94 @@ app.post('/api/translate', translateRateLimit, requireSubscription, requireBudge
   }
 });
 
+// Limits for POST /api/translate-sentences (a 15-minute part is well under 200 sentences)
+const MAX_SENTENCES_PER_REQUEST = 50;
+const MAX_SENTENCE_LENGTH = 1000;
+// Google Translate v2 accepts up to 128 text segments per request
+const GOOGLE_TRANSLATE_BATCH_SIZE = 100;
+
+/**
+ * Translate Russian sentences to English, once per distinct sentence.
+ * Uncached sentences go to Google Translate in batches and are billed to `uid`.
+ * @param {string[]} sentences
+ * @param {string} uid
+ * @returns {Promise<string[]>} Translations in input order
+ */
+async function translateSentencesCached(sentences, uid) {
+  const uncached = [...new Set(sentences.filter(s => !sentenceTranslationCache.has(`ru:${s}`)))];
+
+  if (uncached.length > 0) {
+    const apiKey = process.env.GOOGLE_TRANSLATE_API_KEY;
+    if (!apiKey) {
+      throw new Error('Translation service not configured');
+    }
+
+    for (let i = 0; i < uncached.length; i += GOOGLE_TRANSLATE_BATCH_SIZE) {
+      const batch = uncached.slice(i, i + GOOGLE_TRANSLATE_BATCH_SIZE);
+      const response = await fetch(
+        `https://translation.googleapis.com/language/translate/v2?key=${apiKey}`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            q: batch,
+            source: 'ru',
+            target: 'en',
+            format: 'text',
+          }),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error?.message || 'Translation failed');
+      }
+
+      const data = await response.json();
+      batch.forEach((sentence, j) => {
+        sentenceTranslationCache.set(`ru:${sentence}`, data.data.translations[j].translatedText);
+      });
+      trackCost(uid, costs.translate(batch.reduce((sum, s) => sum + s.length, 0)));
+    }
+  }
+
+  return sentences.map(s => sentenceTranslationCache.get(`ru:${s}`));
+}
+
+/**
+ * POST /api/translate-sentences
+ * Translates transcript sentences for the parallel English track.
+ * Each sentence is translated once and cached server-side; only uncached sentences
+ * are sent to Google Translate and billed.
+ * Accepts: { sentences: string[] }
+ * Returns: { translations: string[] } (same order as the input)
+ */
+app.post('/api/translate-sentences', translateRateLimit, requireSubscription, requireBudget, async (req, res) => {
+  const { sentences } = req.body;
+
+  if (!Array.isArray(sentences) || sentences.length === 0) {
+    return res.status(400).json({ error: 'sentences must be a non-empty array' });
+  }
+
+  if (sentences.length > MAX_SENTENCES_PER_REQUEST) {
+    return res.status(400).json({ error: `Too many sentences (max ${MAX_SENTENCES_PER_REQUEST} per request)` });
+  }
+
+  if (sentences.some(s => typeof s !== 'string' || !s.trim() || s.length > MAX_SENTENCE_LENGTH)) {
+    return res.status(400).json({ error: `Each sentence must be a non-empty string (max ${MAX_SENTENCE_LENGTH} characters)` });
+  }
+
+  try {
+    const translations = await translateSentencesCached(sentences, req.uid);
+    res.json({ translations });
+  } catch (error) {
+    console.error('[TranslateSentences] Error:', error);
+    res.status(500).json({ error: error.message || 'Translation failed' });
+  }
+});
+
 /**
  * POST /api/extract-sentence
  * Uses GPT to extract the single sentence containing a word from surrounding text,
@@ -1273,23 +1599,227 @@ let activeAnalyses = 0;
 
 // Batch settings for audio downloads
 const DOWNLOAD_BUFFER = 20 * 60;  // Download 20 min of audio (5 chunks × 3 min = 15 min + 5 min buffer)
-const CHUNKS_PER_BATCH = 5;       // Show 5 chunks at a time (~15 min)
+const BATCH_SHOWN_DURATION = 15 * 60;  // Show ~15 min of chunks at a time (5 × 3 min by default)
 const MIN_FINAL_CHUNK = 120;      // Minimum final chunk duration in seconds (merge if shorter)
 
+// Uploaded media limits (byte limit lives in the upload store)
+const MAX_UPLOAD_DURATION = 3 * 60 * 60;  // 3 hours
+
+/**
+ * Number of chunks shown per batch, so each batch covers ~15 min whatever the chunk length.
+ * @param {Object} chunking - Session chunking options
+ * @returns {number}
+ */
+function chunksPerBatch(chunking) {
+  return Math.max(1, Math.floor(BATCH_SHOWN_DURATION / chunking.targetDuration));
+}
+
+/**
+ * Cost of transcribing audio with the configured speech-to-text provider.
+ * @param {number} durationSec - Audio duration in seconds
+ * @returns {number} USD
+ */
+function transcriptionCost(durationSec) {
+  return costs.transcription(durationSec, getSttProvider().costPerMinute);
+}
+
+/**
+ * Bill a punctuation pass, only when addPunctuation called GPT-4o: it skips
+ * transcripts without words and servers without OPENAI_API_KEY.
+ * @param {string} uid
+ * @param {Object} transcript - The transcript passed to addPunctuation
+ */
+function trackPunctuationCost(uid, transcript) {
+  if (!process.env.OPENAI_API_KEY || !transcript.words?.length) return;
+  trackCost(uid, costs.gpt4o());
+}
+
+/**
+ * Bill a lemmatized transcript: GPT-4o's share of a call for the words it lemmatized,
+ * and the dictionary's share as saved spend. Words left without a lemma (no
+ * OPENAI_API_KEY, or GPT-4o gave none) are neither.
+ * @param {string} uid
+ * @param {Object} transcript - Output of lemmatizeWords
+ */
+function trackLemmatizationCost(uid, transcript) {
+  const words = new Set();
+  const local = new Set();
+  const remote = new Set();
+  for (const w of transcript.words) {
+    const normalized = stripPunctuation(w.word).toLowerCase();
+    if (!normalized) continue;
+    words.add(normalized);
+    if (w.lemmaSource === 'dictionary') local.add(normalized);
+    else if (w.lemmaSource === 'llm') remote.add(normalized);
+  }
+  const total = words.size;
+  if (total === 0) return;
+  if (remote.size > 0) trackCost(uid, costs.gpt4o() * remote.size / total);
+  if (local.size > 0) trackSavedCost(uid, costs.gpt4o() * local.size / total);
+}
+
+/**
+ * Cost of synthesizing speech with the configured text-to-speech provider.
+ * @param {number} charCount - Characters sent to the provider
+ * @returns {number} USD
+ */
+function ttsCost(charCount) {
+  return costs.tts(charCount, getTtsProvider().costPerMillionChars);
+}
+
+/**
+ * Chunk a freshly transcribed first batch and keep only the first batch's worth of chunks.
+ * @param {Object} fullBatchTranscript - Punctuated transcript of the downloaded batch
+ * @param {number} downloadEndTime - End of the downloaded batch in seconds
+ * @param {number} totalDuration - Full media duration in seconds
+ * @param {Object} chunking - Session chunking options (from parseChunkingOptions)
+ * @returns {{chunks: Array, transcript: Object, hasMoreChunks: boolean, batchEndTime: number, allChunkCount: number}}
+ */
+function selectFirstBatch(fullBatchTranscript, downloadEndTime, totalDuration, chunking) {
+  const allChunks = createChunks(fullBatchTranscript, chunking);
+
+  // Take first N chunks for this batch
+  const chunksToShow = allChunks.slice(0, chunksPerBatch(chunking));
+  const lastShownChunk = chunksToShow[chunksToShow.length - 1];
+  const batchEndTime = lastShownChunk ? lastShownChunk.endTime : downloadEndTime;
+
+  // Determine if there's more content after these chunks
+  const hasMoreChunks = batchEndTime < totalDuration;
+
+  // Build transcript containing only the words/segments for shown chunks
+  const transcript = {
+    words: fullBatchTranscript.words.filter(w => w.end <= batchEndTime),
+    segments: fullBatchTranscript.segments.filter(s => s.end <= batchEndTime),
+    language: fullBatchTranscript.language,
+    duration: batchEndTime,
+  };
+
+  // Add status to chunks
+  const chunks = chunksToShow.map(chunk => ({
+    ...chunk,
+    status: 'pending',
+    videoUrl: null,
+  }));
+
+  return { chunks, transcript, hasMoreChunks, batchEndTime, allChunkCount: allChunks.length };
+}
+
+/**
+ * Transcript of one batch [startTime, endTime) built from imported subtitles,
+ * rebased to startTime like a Whisper transcript of that batch's audio.
+ * With subtitles.align the batch audio (already at audioPath) is transcribed
+ * and Whisper's word timings refine the caption-estimated ones.
+ * @param {{transcript: Object, align: boolean}} subtitles - session.subtitles
+ * @param {number} startTime - Batch start in seconds
+ * @param {number} endTime - Batch end in seconds
+ * @param {Object} options
+ * @param {string} options.uid - User ID for cost tracking
+ * @param {string} options.audioPath - Batch audio (only read when aligning)
+ * @param {Function} options.onProgress - Progress callback
+ * @returns {Promise<Object>} Punctuated transcript for the batch
+ */
+async function subtitleBatchTranscript(subtitles, startTime, endTime, { uid, audioPath, onProgress }) {
+  const rebase = item => ({ ...item, start: item.start - startTime, end: item.end - startTime });
+  const inBatch = item => item.start >= startTime && item.start < endTime;
+  const batch = {
+    words: subtitles.transcript.words.filter(inBatch).map(rebase),
+    segments: subtitles.transcript.segments.filter(inBatch).map(rebase),
+    language: subtitles.transcript.language,
+    duration: endTime - startTime,
+  };
+
+  if (!subtitles.align) {
+    onProgress('audio', 100, 'complete', 'Audio not needed');
+    onProgress('transcription', 100, 'complete', 'Using imported subtitles');
+    return batch;
+  }
+
+  const whisperTranscript = await transcribeAudioChunk(audioPath, { onProgress });
+  trackCost(uid, transcriptionCost(endTime - startTime));
+  return alignSubtitleTranscript(batch, whisperTranscript.words);
+}
+
+/**
+ * Save a ready text-mode session and notify the client.
+ * Chunks start without audio — TTS + alignment run per chunk in /api/download-chunk.
+ * The chapter table of contents is derived from each chunk's chapterTitle.
+ * Sessions without a url (uploaded books, pasted text) stay out of the URL cache and library.
+ * @param {string} sessionId
+ * @param {object} params
+ * @param {string} params.uid - Owner's user ID
+ * @param {string|null} params.url - Source URL, or null for private text
+ * @param {string} params.title - Display title
+ * @param {Array<Object>} params.textChunks - Output of createTextChunks / createChapterTextChunks
+ * @param {{voice: string, speed: number, dialogueVoice: string|null}|null} [params.tts] - Read-aloud voice options (parseTtsOptions)
+ */
+async function saveTextSession(sessionId, { uid, url, title, textChunks, tts = null }) {
+  // Build chunk texts map for TTS generation later
+  const chunkTexts = new Map();
+  const chunks = textChunks.map(chunk => {
+    chunkTexts.set(chunk.id, chunk.text);
+    return {
+      id: chunk.id,
+      index: chunk.index,
+      startTime: 0,
+      endTime: 0,
+      duration: 0,
+      previewText: chunk.previewText,
+      wordCount: chunk.wordCount,
+      status: 'pending',
+      videoUrl: null,
+      ...(chunk.chapterTitle && { chapterTitle: chunk.chapterTitle }),
+    };
+  });
+  const chapters = buildChapterToc(textChunks);
+
+  await setAnalysisSession(sessionId, {
+    status: 'ready',
+    ...(url && { url }),
+    uid,
+    title,
+    contentType: 'text',
+    chunks,
+    chapters,
+    chunkTexts,
+    totalDuration: 0,
+    hasMoreChunks: false,
+    chunkTranscripts: new Map(),
+    ...(tts && { tts }),
+  });
+
+  if (url) cacheSessionUrl(url, sessionId, uid);
+
+  sendProgress(sessionId, 'complete', 100, 'complete', 'Text ready', {
+    title,
+    totalDuration: 0,
+    chunks,
+    chapters,
+    hasMoreChunks: false,
+    contentType: 'text',
+  });
+}
+
 /**
  * POST /api/analyze
  * Downloads first batch of audio (~25 min), transcribes, creates chunks
+ * With subtitles, the captions replace Whisper + punctuation (align: Whisper only refines timings)
+ * tts sets the read-aloud voice for lib.ru texts (ignored for videos)
+ * Request: { url, chunking?: { targetDuration?, minGap?, minFinalDuration? }, subtitles?: { content, align? }, tts?: { voice?, speed?, dialogueVoice? } }
  * Returns: { sessionId, status: 'started' }
  * Progress sent via SSE, completion includes hasMoreChunks flag
  */
 app.post('/api/analyze', analyzeRateLimit, analyzeDailyLimit, requireSubscription, requireBudget, async (req, res) => {
   const { url } = req.body;
-  const apiKey = process.env.OPENAI_API_KEY;
 
   if (!url) {
     return res.status(400).json({ error: 'URL is required' });
   }
 
+  const { options: chunking, error: chunkingError } = parseChunkingOptions(req.body.chunking);
+  if (chunkingError) {
+    return res.status(400).json({ error: chunkingError });
+  }
+
   // Only allow ok.ru video URLs and lib.ru text URLs
   try {
     const parsedUrl = new URL(url);
@@ -1302,12 +1832,26 @@ app.post('/api/analyze', analyzeRateLimit, analyzeDailyLimit, requireSubscriptio
     return res.status(400).json({ error: 'Invalid URL' });
   }
 
-  if (!apiKey) {
+  const { subtitles, error: subtitlesError } = parseSubtitleImport(req.body.subtitles);
+  if (subtitlesError) {
+    return res.status(400).json({ error: subtitlesError });
+  }
+  if (subtitles && isLibRuUrl(url)) {
+    return res.status(400).json({ error: 'Subtitles can only be imported for videos' });
+  }
+
+  const { options: tts, error: ttsError } = parseTtsOptions(req.body.tts);
+  if (ttsError) {
+    return res.status(400).json({ error: ttsError });
+  }
+
+  // Only the STT provider is required: without OPENAI_API_KEY, punctuation is skipped and lemmas come from the dictionary
+  if (getSttProvider().configError) {
     return res.status(500).json({ error: 'Transcription service not configured' });
   }
 
-  // Check if we have a cached session for this URL + user
-  const cached = await getCachedSession(url, req.uid);
+  // Check if we have a cached session for this URL + user (imported subtitles or a chosen voice always re-analyze)
+  const cached = !subtitles && !(tts && isLibRuUrl(url)) && await getCachedSession(url, req.uid);
   if (cached) {
     console.log(`[Analyze] Returning cached session ${cached.sessionId} for URL`);
     return res.json({
@@ -1318,6 +1862,7 @@ app.post('/api/analyze', analyzeRateLimit, analyzeDailyLimit, requireSubscriptio
       totalDuration: cached.session.totalDuration,
       chunks: cached.session.chunks,
       hasMoreChunks: cached.session.hasMoreChunks,
+      chapters: cached.session.chapters,
     });
   }
 
@@ -1363,45 +1908,7 @@ app.post('/api/analyze', analyzeRateLimit, analyzeDailyLimit, requireSubscriptio
         const textChunks = createTextChunks(text);
         console.log(`[Analyze] Session ${sessionId}: Text mode - "${displayTitle}" (${text.length} chars, ${textChunks.length} chunks)`);
 
-        // Build chunk texts map for TTS generation later
-        const chunkTexts = new Map();
-        const chunks = textChunks.map(chunk => {
-          chunkTexts.set(chunk.id, chunk.text);
-          return {
-            id: chunk.id,
-            index: chunk.index,
-            startTime: 0,
-            endTime: 0,
-            duration: 0,
-            previewText: chunk.previewText,
-            wordCount: chunk.wordCount,
-            status: 'pending',
-            videoUrl: null,
-          };
-        });
-
-        await setAnalysisSession(sessionId, {
-          status: 'ready',
-          url,
-          uid,
-          title: displayTitle,
-          contentType: 'text',
-          chunks,
-          chunkTexts,
-          totalDuration: 0,
-          hasMoreChunks: false,
-          chunkTranscripts: new Map(),
-        });
-
-        cacheSessionUrl(url, sessionId, uid);
-
-        sendProgress(sessionId, 'complete', 100, 'complete', 'Text ready', {
-          title: displayTitle,
-          totalDuration: 0,
-          chunks,
-          hasMoreChunks: false,
-          contentType: 'text',
-        });
+        await saveTextSession(sessionId, { uid, url, title: displayTitle, textChunks, tts });
         return;
       }
 
@@ -1423,43 +1930,50 @@ app.post('/api/analyze', analyzeRateLimit, analyzeDailyLimit, requireSubscriptio
 
       const totalDurationMin = Math.round(totalDuration / 60);
 
-      // Check for cached extraction info (speeds up by ~2 min)
-      let cachedInfoPath = null;
-      const cachedExtraction = await getCachedExtraction(url);
-      if (cachedExtraction) {
-        // Write cached info to temp file for yt-dlp to use
-        cachedInfoPath = path.join(tempDir, `cached_info_${sessionId}.json`);
-        fs.writeFileSync(cachedInfoPath, JSON.stringify(cachedExtraction));
-        console.log(`[Analyze] Session ${sessionId}: Using cached extraction`);
-      }
-
-      // Now download audio (yt-dlp will get duration if we didn't)
-      // audio progress is managed by downloadAudioChunk via onProgress callback
       const audioPath = path.join(tempDir, `audio_${sessionId}_batch0.mp3`);
-      const infoJsonPath = path.join(tempDir, `audio_${sessionId}_batch0.mp3.info.json`);
       const onProgress = createProgressCallback(sessionId);
-      const { size: audioSize, info: downloadInfo } = await downloadAudioChunk(
-        url, audioPath, 0, DOWNLOAD_BUFFER,
-        {
-          onProgress,
-          fetchInfo: !cachedExtraction && totalDuration === 0,  // Only fetch if no cache and scrape failed
-          cachedInfoPath,
+      // Imported subtitles only need the audio to refine their timings
+      const needsAudio = !subtitles || subtitles.align;
+      let audioSize = 0;
+      let downloadInfo = null;
+
+      if (needsAudio) {
+        // Check for cached extraction info (speeds up by ~2 min)
+        let cachedInfoPath = null;
+        const cachedExtraction = await getCachedExtraction(url);
+        if (cachedExtraction) {
+          // Write cached info to temp file for yt-dlp to use
+          cachedInfoPath = path.join(tempDir, `cached_info_${sessionId}.json`);
+          fs.writeFileSync(cachedInfoPath, JSON.stringify(cachedExtraction));
+          console.log(`[Analyze] Session ${sessionId}: Using cached extraction`);
         }
-      );
 
-      // Cache the extraction info for future requests (if we did a fresh extraction)
-      if (!cachedExtraction && fs.existsSync(infoJsonPath)) {
-        try {
-          const freshInfo = JSON.parse(fs.readFileSync(infoJsonPath, 'utf8'));
-          await cacheExtraction(url, freshInfo);
-        } catch (e) {
-          console.log(`[Analyze] Failed to cache extraction:`, e.message);
+        // Now download audio (yt-dlp will get duration if we didn't)
+        // audio progress is managed by downloadAudioChunk via onProgress callback
+        const infoJsonPath = path.join(tempDir, `audio_${sessionId}_batch0.mp3.info.json`);
+        ({ size: audioSize, info: downloadInfo } = await downloadAudioChunk(
+          url, audioPath, 0, DOWNLOAD_BUFFER,
+          {
+            onProgress,
+            fetchInfo: !cachedExtraction && totalDuration === 0,  // Only fetch if no cache and scrape failed
+            cachedInfoPath,
+          }
+        ));
+
+        // Cache the extraction info for future requests (if we did a fresh extraction)
+        if (!cachedExtraction && fs.existsSync(infoJsonPath)) {
+          try {
+            const freshInfo = JSON.parse(fs.readFileSync(infoJsonPath, 'utf8'));
+            await cacheExtraction(url, freshInfo);
+          } catch (e) {
+            console.log(`[Analyze] Failed to cache extraction:`, e.message);
+          }
         }
-      }
 
-      // Clean up temp cached info file
-      if (cachedInfoPath && fs.existsSync(cachedInfoPath)) {
-        fs.unlinkSync(cachedInfoPath);
+        // Clean up temp cached info file
+        if (cachedInfoPath && fs.existsSync(cachedInfoPath)) {
+          fs.unlinkSync(cachedInfoPath);
+        }
       }
 
       // Use download info as fallback
@@ -1467,6 +1981,9 @@ app.post('/api/analyze', analyzeRateLimit, analyzeDailyLimit, requireSubscriptio
         title = downloadInfo.title || title;
         totalDuration = downloadInfo.duration || 0;
       }
+      if (totalDuration === 0 && subtitles) {
+        totalDuration = subtitles.transcript.duration;
+      }
 
       // Actual download may be shorter than requested if video is short
       const downloadEndTime = Math.min(DOWNLOAD_BUFFER, totalDuration);
@@ -1474,46 +1991,29 @@ app.post('/api/analyze', analyzeRateLimit, analyzeDailyLimit, requireSubscriptio
 
       console.log(`[Analyze] Session ${sessionId}: Total ${Math.round(totalDuration / 60)}min, downloaded ${downloadDurationMin}min (${(audioSize / 1024 / 1024).toFixed(1)} MB)`);
 
-      // Transcribe audio
-      const rawTranscript = await transcribeAudioChunk(audioPath, { onProgress });
-      const audioDurationSec = downloadEndTime; // equals duration since download starts at 0
-      trackCost(uid, costs.whisper(audioDurationSec));
-
-      // Add punctuation via LLM
-      const fullBatchTranscript = await addPunctuation(rawTranscript, { onProgress });
-      trackCost(uid, costs.gpt4o());
+      let fullBatchTranscript;
+      if (subtitles) {
+        fullBatchTranscript = await subtitleBatchTranscript(subtitles, 0, downloadEndTime, { uid, audioPath, onProgress });
+      } else {
+        // Transcribe audio
+        const rawTranscript = await transcribeAudioChunk(audioPath, { onProgress });
+        const audioDurationSec = downloadEndTime; // equals duration since download starts at 0
+        trackCost(uid, transcriptionCost(audioDurationSec));
+
+        // Add punctuation via LLM
+        fullBatchTranscript = await addPunctuation(rawTranscript, { onProgress });
+        trackPunctuationCost(uid, rawTranscript);
+      }
 
       // Lemmatization deferred to per-chunk download (faster on ~3min chunks vs full 15min)
 
       // Clean up audio file
-      fs.unlinkSync(audioPath);
-
-      // Smart chunk the entire downloaded portion
-      const allChunks = createChunks(fullBatchTranscript);
-      console.log(`[Analyze] Session ${sessionId}: Smart chunking created ${allChunks.length} chunks from ${downloadDurationMin}min`);
-
-      // Take first N chunks for this batch
-      const chunksToShow = allChunks.slice(0, CHUNKS_PER_BATCH);
-      const lastShownChunk = chunksToShow[chunksToShow.length - 1];
-      const batchEndTime = lastShownChunk ? lastShownChunk.endTime : downloadEndTime;
-
-      // Determine if there's more content after these chunks
-      const hasMoreChunks = batchEndTime < totalDuration;
+      if (needsAudio) fs.unlinkSync(audioPath);
 
-      // Build transcript containing only the words/segments for shown chunks
-      const transcript = {
-        words: fullBatchTranscript.words.filter(w => w.end <= batchEndTime),
-        segments: fullBatchTranscript.segments.filter(s => s.end <= batchEndTime),
-        language: fullBatchTranscript.language,
-        duration: batchEndTime,
-      };
-
-      // Add status to chunks
-      const chunks = chunksToShow.map(chunk => ({
-        ...chunk,
-        status: 'pending',
-        videoUrl: null,
-      }));
+      // Smart chunk the entire downloaded portion, keep the first batch
+      const { chunks, transcript, hasMoreChunks, batchEndTime, allChunkCount } =
+        selectFirstBatch(fullBatchTranscript, downloadEndTime, totalDuration, chunking);
+      console.log(`[Analyze] Session ${sessionId}: Smart chunking created ${allChunkCount} chunks from ${downloadDurationMin}min`);
 
       console.log(`[Analyze] Session ${sessionId}: Showing ${chunks.length} chunks (ends at ${formatTime(batchEndTime)}), hasMore: ${hasMoreChunks}`);
 
@@ -1526,6 +2026,8 @@ app.post('/api/analyze', analyzeRateLimit, analyzeDailyLimit, requireSubscriptio
         contentType: 'video',
         transcript,
         chunks,
+        chunking,
+        ...(subtitles && { subtitles }),
         totalDuration,
         nextBatchStartTime: hasMoreChunks ? batchEndTime : null,  // Start next batch from end of last shown chunk
         hasMoreChunks,
@@ -1561,75 +2063,540 @@ app.post('/api/analyze', analyzeRateLimit, analyzeDailyLimit, requireSubscriptio
 });
 
 /**
- * POST /api/load-more-chunks
- * Downloads next batch of audio, transcribes, appends chunks
- * Request: { sessionId }
- * Returns: { chunks: [...new chunks...], hasMoreChunks }
+ * POST /api/analyze-text
+ * Text mode for pasted text: chunk it and let TTS + alignment run per chunk, as for lib.ru.
+ * Request: { text, title?, tts?: { voice?, speed?, dialogueVoice? } }
+ * Returns: { sessionId, status: 'started' }
  */
-app.post('/api/load-more-chunks', loadMoreRateLimit, requireSessionOwnership, async (req, res) => {
-  const { sessionId } = req;
-  const session = req.analysisSession;
-
-  console.log(`[LoadMore] Request for session ${sessionId}`);
+app.post('/api/analyze-text', analyzeRateLimit, analyzeDailyLimit, requireSubscription, requireBudget, async (req, res) => {
+  const { text, title } = req.body;
 
-  if (session.status !== 'ready') {
-    console.log(`[LoadMore] Session ${sessionId} not ready, status: ${session.status}`);
-    return res.status(404).json({ error: 'Session not ready' });
+  if (!text || typeof text !== 'string') {
+    return res.status(400).json({ error: 'Text is required' });
   }
-
-  console.log(`[LoadMore] Session state - hasMoreChunks: ${session.hasMoreChunks}, nextBatchStartTime: ${session.nextBatchStartTime}`);
-
-  if (!session.hasMoreChunks || session.nextBatchStartTime === null) {
-    console.log(`[LoadMore] No more chunks to load`);
-    return res.status(400).json({ error: 'No more chunks to load' });
+  if (title !== undefined && typeof title !== 'string') {
+    return res.status(400).json({ error: 'Title must be a string' });
   }
 
-  const tempDir = path.join(__dirname, 'temp');
-  const batchIndex = session.chunks.length;
-  const audioPath = path.join(tempDir, `audio_${sessionId}_batch${batchIndex}.mp3`);
+  const { options: tts, error: ttsError } = parseTtsOptions(req.body.tts);
+  if (ttsError) {
+    return res.status(400).json({ error: ttsError });
+  }
 
+  let document;
   try {
-    const startTime = session.nextBatchStartTime;
-    // Download 30 min buffer (or rest of video if less)
-    const downloadEndTime = Math.min(startTime + DOWNLOAD_BUFFER, session.totalDuration);
-
-    console.log(`[LoadMore] Session ${sessionId}: Downloading ${formatTime(startTime)} - ${formatTime(downloadEndTime)}`);
+    document = parsePlainText(text, { title });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    // Check for cached extraction info
-    let cachedInfoPath = null;
-    const cachedExtraction = await getCachedExtraction(session.url);
-    if (cachedExtraction) {
-      cachedInfoPath = path.join(tempDir, `cached_info_${sessionId}_batch${batchIndex}.json`);
-      fs.writeFileSync(cachedInfoPath, JSON.stringify(cachedExtraction));
-      console.log(`[LoadMore] Session ${sessionId}: Using cached extraction`);
-    }
+  const sessionId = crypto.randomUUID();
+  const uid = req.uid;
+  const textChunks = createChapterTextChunks(document.chapters);
 
-    // Download this batch of audio
-    const onProgress = createProgressCallback(sessionId);
-    await downloadAudioChunk(session.url, audioPath, startTime, downloadEndTime, { onProgress, cachedInfoPath });
+  analysisSessions.set(sessionId, {
+    status: 'downloading',
+    uid,
+    progress: { audio: 0, transcription: 0 },
+  });
 
-    // Clean up temp cached info file
-    if (cachedInfoPath && fs.existsSync(cachedInfoPath)) {
-      fs.unlinkSync(cachedInfoPath);
-    }
+  res.json({ sessionId, status: 'started' });
 
-    // Transcribe audio
-    const rawTranscriptUnpunctuated = await transcribeAudioChunk(audioPath, { onProgress });
+  // Small delay to allow SSE connection
+  setTimeout(async () => {
+    try {
+      console.log(`[Analyze] Session ${sessionId}: Pasted text - "${document.title}" (${document.text.length} chars, ${textChunks.length} chunks)`);
+      await saveTextSession(sessionId, { uid, url: null, title: document.title, textChunks, tts });
+    } catch (error) {
+      console.error(`[Analyze] Session ${sessionId} error:`, error);
+      Sentry.captureException(error, { tags: { operation: 'analyze_text', sessionId } });
+      await setAnalysisSession(sessionId, { status: 'error', uid, error: error.message });
+      sendProgress(sessionId, 'error', 0, 'error', error.message);
+    }
+  }, 500);
+});
+
+/**
+ * POST /api/uploads
+ * Start a resumable upload of a local audio/video file or book (FB2, EPUB, TXT).
+ * Request: { filename, size }
+ * Returns: { uploadId, chunkSize, received }
+ */
+app.post('/api/uploads', uploadRateLimit, requireSubscription, requireBudget, async (req, res) => {
+  const { filename, size } = req.body;
+
+  if (!filename || typeof filename !== 'string') {
+    return res.status(400).json({ error: 'Filename is required' });
+  }
+  const mediaKind = getUploadMediaKind(filename);
+  if (!mediaKind) {
+    return res.status(400).json({ error: 'Unsupported file type. Upload an audio or video file (mp3, m4a, wav, mp4, mkv, ...) or a book (fb2, epub, txt)' });
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    return res.status(400).json({ error: 'File size is required' });
+  }
+  if (size > MAX_UPLOAD_BYTES) {
+    return res.status(413).json({ error: `File too large (max ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024 / 1024)} GB)` });
+  }
+  if (mediaKind === 'document' && size > MAX_DOCUMENT_BYTES) {
+    return res.status(413).json({ error: `Book file too large (max ${Math.round(MAX_DOCUMENT_BYTES / 1024 / 1024)} MB)` });
+  }
+
+  const tempDir = path.join(__dirname, 'temp');
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+
+  try {
+    const upload = await createUpload({ uid: req.uid, filename, size, dir: tempDir });
+    console.log(`[Upload] ${upload.uploadId}: Started "${upload.filename}" (${(size / 1024 / 1024).toFixed(1)} MB)`);
+    res.json({ uploadId: upload.uploadId, chunkSize: UPLOAD_CHUNK_SIZE, received: 0 });
+  } catch (error) {
+    console.error('[Upload] Start failed:', error.message);
+    res.status(500).json({ error: 'Failed to start upload' });
+  }
+});
+
+/**
+ * GET /api/uploads/:uploadId
+ * Resume point for an interrupted upload.
+ * Returns: { uploadId, filename, size, received, complete }
+ */
+app.get('/api/uploads/:uploadId', async (req, res) => {
+  const upload = await getUpload(req.params.uploadId, req.uid);
+  if (!upload) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+
+  res.json({
+    uploadId: upload.uploadId,
+    filename: upload.filename,
+    size: upload.size,
+    received: upload.received,
+    complete: isUploadComplete(upload),
+  });
+});
+
+/**
+ * PUT /api/uploads/:uploadId
+ * Append one byte range. Body is raw bytes; header `Content-Range: bytes start-end/total`.
+ * Ranges must be sent in order — a mismatched start, or a range sent while the previous
+ * one is still being written, returns 409 with the offset to resume from.
+ * Returns: { received, complete }
+ */
+app.put('/api/uploads/:uploadId', uploadRateLimit, express.raw({ type: () => true, limit: UPLOAD_CHUNK_SIZE }), async (req, res) => {
+  const upload = await getUpload(req.params.uploadId, req.uid);
+  if (!upload) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(req.headers['content-range'] || '');
+  if (!match) {
+    return res.status(400).json({ error: 'Content-Range header is required' });
+  }
+  const start = parseInt(match[1], 10);
+  const end = parseInt(match[2], 10);
+  const total = parseInt(match[3], 10);
+  const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+  if (total !== upload.size || end < start || end - start + 1 !== data.length) {
+    return res.status(400).json({ error: 'Content-Range does not match upload' });
+  }
+  if (upload.appending) {
+    return res.status(409).json({ error: 'Previous range is still being written', received: upload.received });
+  }
+  if (start !== upload.received) {
+    return res.status(409).json({ error: 'Unexpected offset', received: upload.received });
+  }
+
+  try {
+    const received = await appendUploadChunk(upload, start, data);
+    res.json({ received, complete: isUploadComplete(upload) });
+  } catch (error) {
+    console.error(`[Upload] ${upload.uploadId}: Append failed:`, error.message);
+    res.status(500).json({ error: 'Failed to store upload' });
+  }
+});
+
+/**
+ * Make an upload session's source file available on local disk.
+ * Cloud Run instances don't share disks, so production sessions keep a copy in GCS
+ * and restore it on demand (concurrent callers share one download).
+ */
+const sourceRestores = new Map();
+async function ensureUploadSource(sessionId, session) {
+  if (session.sourcePath && fs.existsSync(session.sourcePath)) {
+    return session.sourcePath;
+  }
+  if (!session.sourceGcsKey || !bucket) {
+    throw new Error('Uploaded file is no longer available. Please upload it again.');
+  }
+
+  if (!sourceRestores.has(sessionId)) {
+    const tempDir = path.join(__dirname, 'temp');
+    if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
+    const localPath = path.join(tempDir, `upload_${sessionId}${path.extname(session.sourceGcsKey)}`);
+    console.log(`[Upload] Session ${sessionId}: Restoring source from GCS`);
+    const restore = bucket.file(session.sourceGcsKey).download({ destination: localPath })
+      .then(() => {
+        session.sourcePath = localPath;
+        return localPath;
+      })
+      .finally(() => sourceRestores.delete(sessionId));
+    sourceRestores.set(sessionId, restore);
+  }
+  return sourceRestores.get(sessionId);
+}
+
+/**
+ * Get a completed upload's bytes onto this instance's disk (another instance may
+ * have received some of its ranges). Answers 500 and returns null on failure.
+ */
+async function restoreUploadFile(res, upload) {
+  try {
+    return await ensureUploadFile(upload);
+  } catch (error) {
+    console.error(`[Upload] ${upload.uploadId}: Restore failed:`, error.message);
+    res.status(500).json({ error: 'Uploaded file is no longer available. Please upload it again.' });
+    return null;
+  }
+}
+
+/**
+ * Text mode for an uploaded book: extract chapters and chunk them so no chunk spans
+ * two chapters. The file is only needed for extraction and is deleted afterwards.
+ */
+async function analyzeDocumentUpload(req, res, upload, tts) {
+  if (!await restoreUploadFile(res, upload)) return;
+
+  const sessionId = crypto.randomUUID();
+  const uid = req.uid;
+
+  // The session owns the file from here on
+  deleteUpload(upload.uploadId, { keepFile: true });
+
+  analysisSessions.set(sessionId, {
+    status: 'downloading',
+    uid,
+    progress: { audio: 0, transcription: 0 },
+  });
+
+  res.json({ sessionId, status: 'started' });
+
+  // Process in background - small delay to allow SSE connection
+  setTimeout(async () => {
+    try {
+      sendProgress(sessionId, 'audio', 10, 'active', 'Reading book...');
+      const buffer = await fs.promises.readFile(upload.path);
+      const { title, author, text, chapters } = extractDocument(buffer, upload.filename);
+      const displayTitle = author ? `${author} — ${title}` : title;
+
+      sendProgress(sessionId, 'audio', 50, 'active', 'Chunking text...');
+      const textChunks = createChapterTextChunks(chapters);
+      console.log(`[Analyze] Session ${sessionId}: Document "${displayTitle}" (${text.length} chars, ${chapters.length} chapters, ${textChunks.length} chunks)`);
+
+      await saveTextSession(sessionId, { uid, url: null, title: displayTitle, textChunks, tts });
+    } catch (error) {
+      console.error(`[Analyze] Session ${sessionId} error:`, error);
+      Sentry.captureException(error, { tags: { operation: 'analyze_document', sessionId } });
+
+      await setAnalysisSession(sessionId, {
+        status: 'error',
+        uid,
+        error: error.message,
+      });
+
+      sendProgress(sessionId, 'error', 0, 'error', error.message);
+    } finally {
+      if (fs.existsSync(upload.path)) fs.unlinkSync(upload.path);
+    }
+  }, 500); // 500ms delay to allow SSE connection
+}
+
+/**
+ * POST /api/analyze-upload
+ * Same pipeline as /api/analyze for an uploaded file: extract first batch of audio,
+ * transcribe, punctuate, chunk. Lemmatization and slicing happen per chunk.
+ * Books (FB2, EPUB, TXT) become text-mode sessions instead.
+ * With subtitles, the captions replace Whisper + punctuation (align: Whisper only refines timings)
+ * tts sets the read-aloud voice for books (ignored for audio and video)
+ * Request: { uploadId, chunking?: { targetDuration?, minGap?, minFinalDuration? }, subtitles?: { content, align? }, tts?: { voice?, speed?, dialogueVoice? } }
+ * Returns: { sessionId, status: 'started' }
+ * Progress sent via SSE (same events as the URL path)
+ */
+app.post('/api/analyze-upload', analyzeRateLimit, analyzeDailyLimit, requireSubscription, requireBudget, async (req, res) => {
+  const { uploadId } = req.body;
+
+  if (!uploadId) {
+    return res.status(400).json({ error: 'Upload ID is required' });
+  }
+
+  const { options: chunking, error: chunkingError } = parseChunkingOptions(req.body.chunking);
+  if (chunkingError) {
+    return res.status(400).json({ error: chunkingError });
+  }
+
+  const upload = await getUpload(uploadId, req.uid);
+  if (!upload) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  if (upload.appending) {
+    return res.status(409).json({ error: 'Upload is still receiving data', received: upload.received });
+  }
+  if (!isUploadComplete(upload)) {
+    return res.status(400).json({ error: 'Upload is not complete', received: upload.received });
+  }
+
+  const { subtitles, error: subtitlesError } = parseSubtitleImport(req.body.subtitles);
+  if (subtitlesError) {
+    return res.status(400).json({ error: subtitlesError });
+  }
+
+  if (upload.mediaKind === 'document') {
+    if (subtitles) {
+      return res.status(400).json({ error: 'Subtitles can only be imported for audio or video files' });
+    }
+    const { options: tts, error: ttsError } = parseTtsOptions(req.body.tts);
+    if (ttsError) {
+      return res.status(400).json({ error: ttsError });
+    }
+    return analyzeDocumentUpload(req, res, upload, tts);
+  }
+
+  // Only the STT provider is required: without OPENAI_API_KEY, punctuation is skipped and lemmas come from the dictionary
+  if (getSttProvider().configError) {
+    return res.status(500).json({ error: 'Transcription service not configured' });
+  }
+
+  const sourcePath = await restoreUploadFile(res, upload);
+  if (!sourcePath) return;
+
+  // Probe before accepting so bad files and over-limit durations fail fast
+  let totalDuration;
+  try {
+    totalDuration = await getAudioDuration(sourcePath);
+  } catch {
+    totalDuration = NaN;
+  }
+  if (!Number.isFinite(totalDuration) || totalDuration <= 0) {
+    deleteUpload(uploadId);
+    return res.status(400).json({ error: 'Could not read media file. Is it a valid audio or video file?' });
+  }
+  if (totalDuration > MAX_UPLOAD_DURATION) {
+    deleteUpload(uploadId);
+    return res.status(400).json({ error: `File too long (max ${MAX_UPLOAD_DURATION / 3600} hours)` });
+  }
+
+  // The first batch is transcribed up front — make sure the user can afford it
+  const downloadEndTime = Math.min(DOWNLOAD_BUFFER, totalDuration);
+  const needsAudio = !subtitles || subtitles.align;
+  if (needsAudio && transcriptionCost(downloadEndTime) > getRemainingBudget(req.uid)) {
+    return res.status(429).json({ error: 'Not enough remaining API budget to transcribe this file. Please try again later.' });
+  }
+
+  // Concurrency guard: reject if too many analyses are running
+  if (activeAnalyses >= MAX_CONCURRENT_ANALYSES) {
+    return res.status(503).json({ error: 'Server is busy processing other videos. Please try again in a few minutes.' });
+  }
+
+  const sessionId = crypto.randomUUID();
+  const tempDir = path.join(__dirname, 'temp');
+  const uid = req.uid;
+  const title = path.basename(upload.filename, upload.ext) || 'Uploaded File';
+
+  // The session owns the file from here on
+  deleteUpload(uploadId, { keepFile: true });
 
-    // Add punctuation via LLM
-    const rawTranscript = await addPunctuation(rawTranscriptUnpunctuated, { onProgress });
+  analysisSessions.set(sessionId, {
+    status: 'downloading',
+    uid,
+    sourceType: 'upload',
+    progress: { audio: 0, transcription: 0 },
+  });
+
+  res.json({ sessionId, status: 'started' });
+
+  // Process in background - small delay to allow SSE connection
+  setTimeout(async () => {
+    activeAnalyses++;
+    const audioPath = path.join(tempDir, `audio_${sessionId}_batch0.mp3`);
+    // Keep a copy in GCS so any instance can slice chunks later (runs alongside transcription).
+    // Settles to the error instead of rejecting, so a failed copy can't go unhandled.
+    let sourceGcsKey = null;
+    let persistSource = Promise.resolve(null);
+    try {
+      console.log(`[Analyze] Session ${sessionId}: Starting upload analysis - "${title}" (${Math.round(totalDuration / 60)}min)`);
+
+      if (!IS_LOCAL && bucket) {
+        sourceGcsKey = `uploads/${sessionId}${upload.ext}`;
+        persistSource = bucket.upload(sourcePath, { destination: sourceGcsKey }).then(() => null, err => err);
+      }
+
+      const onProgress = createProgressCallback(sessionId);
+      if (needsAudio) {
+        const { size: audioSize } = await extractAudioSegment(sourcePath, audioPath, 0, downloadEndTime, { onProgress });
+        console.log(`[Analyze] Session ${sessionId}: Extracted ${Math.round(downloadEndTime / 60)}min of audio (${(audioSize / 1024 / 1024).toFixed(1)} MB)`);
+      }
+
+      let fullBatchTranscript;
+      if (subtitles) {
+        fullBatchTranscript = await subtitleBatchTranscript(subtitles, 0, downloadEndTime, { uid, audioPath, onProgress });
+      } else {
+        // Transcribe audio
+        const rawTranscript = await transcribeAudioChunk(audioPath, { onProgress });
+        trackCost(uid, transcriptionCost(downloadEndTime));
+
+        // Add punctuation via LLM
+        fullBatchTranscript = await addPunctuation(rawTranscript, { onProgress });
+        trackPunctuationCost(uid, rawTranscript);
+      }
+
+      if (needsAudio) fs.unlinkSync(audioPath);
+
+      const { chunks, transcript, hasMoreChunks, batchEndTime } =
+        selectFirstBatch(fullBatchTranscript, downloadEndTime, totalDuration, chunking);
+
+      const persistError = await persistSource;
+      if (persistError) throw persistError;
+
+      // No url: uploads are private, so they stay out of the URL cache and the library
+      await setAnalysisSession(sessionId, {
+        status: 'ready',
+        uid,
+        title,
+        contentType: 'video',
+        sourceType: 'upload',
+        mediaKind: upload.mediaKind,
+        sourcePath,
+        sourceGcsKey,
+        transcript,
+        chunks,
+        chunking,
+        ...(subtitles && { subtitles }),
+        totalDuration,
+        nextBatchStartTime: hasMoreChunks ? batchEndTime : null,
+        hasMoreChunks,
+        chunkTranscripts: new Map(),
+      });
+
+      console.log(`[Analyze] Session ${sessionId}: Showing ${chunks.length} chunks (ends at ${formatTime(batchEndTime)}), hasMore: ${hasMoreChunks}`);
+
+      sendProgress(sessionId, 'complete', 100, 'complete', 'Analysis complete', {
+        title,
+        totalDuration,
+        chunks,
+        hasMoreChunks,
+      });
+
+    } catch (error) {
+      console.error(`[Analyze] Session ${sessionId} error:`, error);
+      Sentry.captureException(error, { tags: { operation: 'analyze_upload', sessionId } });
+
+      if (fs.existsSync(audioPath)) fs.unlinkSync(audioPath);
+      // Let the GCS copy finish reading the source before deleting it
+      await persistSource;
+      if (fs.existsSync(sourcePath)) fs.unlinkSync(sourcePath);
+
+      await setAnalysisSession(sessionId, {
+        status: 'error',
+        uid,
+        error: error.message,
+      });
+
+      sendProgress(sessionId, 'error', 0, 'error', error.message);
+    } finally {
+      activeAnalyses--;
+    }
+  }, 500); // 500ms delay to allow SSE connection
+});
+
+/**
+ * POST /api/load-more-chunks
+ * Downloads next batch of audio, transcribes, appends chunks
+ * Request: { sessionId }
+ * Returns: { chunks: [...new chunks...], hasMoreChunks }
+ */
+app.post('/api/load-more-chunks', loadMoreRateLimit, requireSessionOwnership, async (req, res) => {
+  const { sessionId } = req;
+  const session = req.analysisSession;
+
+  console.log(`[LoadMore] Request for session ${sessionId}`);
+
+  if (session.status !== 'ready') {
+    console.log(`[LoadMore] Session ${sessionId} not ready, status: ${session.status}`);
+    return res.status(404).json({ error: 'Session not ready' });
+  }
+
+  console.log(`[LoadMore] Session state - hasMoreChunks: ${session.hasMoreChunks}, nextBatchStartTime: ${session.nextBatchStartTime}`);
+
+  if (!session.hasMoreChunks || session.nextBatchStartTime === null) {
+    console.log(`[LoadMore] No more chunks to load`);
+    return res.status(400).json({ error: 'No more chunks to load' });
+  }
+
+  const tempDir = path.join(__dirname, 'temp');
+  const batchIndex = session.chunks.length;
+  const audioPath = path.join(tempDir, `audio_${sessionId}_batch${batchIndex}.mp3`);
+
+  try {
+    const startTime = session.nextBatchStartTime;
+    // Download 30 min buffer (or rest of video if less)
+    const downloadEndTime = Math.min(startTime + DOWNLOAD_BUFFER, session.totalDuration);
+
+    console.log(`[LoadMore] Session ${sessionId}: Downloading ${formatTime(startTime)} - ${formatTime(downloadEndTime)}`);
+
+    const onProgress = createProgressCallback(sessionId);
+    // Imported subtitles only need the audio to refine their timings
+    const needsAudio = !session.subtitles || session.subtitles.align;
+
+    if (needsAudio) {
+      if (session.sourceType === 'upload') {
+        // Uploaded file: cut the next batch out of the local source
+        const sourcePath = await ensureUploadSource(sessionId, session);
+        await extractAudioSegment(sourcePath, audioPath, startTime, downloadEndTime, { onProgress });
+      } else {
+        // Check for cached extraction info
+        let cachedInfoPath = null;
+        const cachedExtraction = await getCachedExtraction(session.url);
+        if (cachedExtraction) {
+          cachedInfoPath = path.join(tempDir, `cached_info_${sessionId}_batch${batchIndex}.json`);
+          fs.writeFileSync(cachedInfoPath, JSON.stringify(cachedExtraction));
+          console.log(`[LoadMore] Session ${sessionId}: Using cached extraction`);
+        }
+
+        // Download this batch of audio
+        await downloadAudioChunk(session.url, audioPath, startTime, downloadEndTime, { onProgress, cachedInfoPath });
+
+        // Clean up temp cached info file
+        if (cachedInfoPath && fs.existsSync(cachedInfoPath)) {
+          fs.unlinkSync(cachedInfoPath);
+        }
+      }
+    }
+
+    let rawTranscript;
+    if (session.subtitles) {
+      rawTranscript = await subtitleBatchTranscript(session.subtitles, startTime, downloadEndTime, { uid: session.uid, audioPath, onProgress });
+    } else {
+      // Transcribe audio
+      const rawTranscriptUnpunctuated = await transcribeAudioChunk(audioPath, { onProgress });
+
+      // Add punctuation via LLM
+      rawTranscript = await addPunctuation(rawTranscriptUnpunctuated, { onProgress });
+    }
 
     // Lemmatization deferred to per-chunk download
 
     // Clean up audio
-    fs.unlinkSync(audioPath);
+    if (needsAudio) fs.unlinkSync(audioPath);
 
-    // Smart chunk the downloaded portion
-    const allChunks = createChunks(rawTranscript);
+    // Smart chunk the downloaded portion (sessions from before per-session chunking use the defaults)
+    const chunking = session.chunking || parseChunkingOptions().options;
+    const allChunks = createChunks(rawTranscript, chunking);
     console.log(`[LoadMore] Session ${sessionId}: Smart chunking created ${allChunks.length} chunks`);
 
     // Take first N chunks
-    const chunksToShow = allChunks.slice(0, CHUNKS_PER_BATCH);
+    const chunksToShow = allChunks.slice(0, chunksPerBatch(chunking));
     const lastShownChunk = chunksToShow[chunksToShow.length - 1];
     const batchEndTime = lastShownChunk
       ? startTime + lastShownChunk.endTime  // Offset by startTime
@@ -1642,7 +2609,7 @@ app.post('/api/load-more-chunks', loadMoreRateLimit, requireSessionOwnership, as
     const existingChunkCount = session.chunks.length;
     const newChunks = chunksToShow.map((chunk, i) => ({
       ...chunk,
-      id: `chunk-${existingChunkCount + i}`,
+      id: chunkIdFor(session, existingChunkCount + i),
       index: existingChunkCount + i,
       startTime: chunk.startTime + startTime,
       endTime: chunk.endTime + startTime,
@@ -1769,6 +2736,8 @@ app.get('/api/session/:sessionId', requireSessionOwnership, async (req, res) =>
       totalDuration: session.totalDuration,
       originalUrl: session.url,
       hasMoreChunks: session.hasMoreChunks || false,
+      chapters: session.chapters,
+      chunking: session.chunking,
       chunks: session.chunks.map(chunk => ({
         id: chunk.id,
         index: chunk.index,
@@ -1780,6 +2749,7 @@ app.get('/api/session/:sessionId', requireSessionOwnership, async (req, res) =>
         status: chunk.status,
         videoUrl: chunk.videoUrl,
         audioUrl: chunk.audioUrl,
+        chapterTitle: chunk.chapterTitle,
       })),
     });
   } else if (session.status === 'error') {
@@ -1795,6 +2765,62 @@ app.get('/api/session/:sessionId', requireSessionOwnership, async (req, res) =>
   }
 });
 
+/**
+ * Id of a video session's chunk. Once the session has been re-chunked, ids get a
+ * "-r<n>" suffix ("chunk-3-r1"), so a card or clip saved against an earlier layout
+ * never resolves to a different span; the index stays second for "Part N" titles.
+ * @param {Object} session
+ * @param {number} index
+ * @returns {string}
+ */
+function chunkIdFor(session, index) {
+  return session.rechunks ? `chunk-${index}-r${session.rechunks}` : `chunk-${index}`;
+}
+
+/**
+ * POST /api/session/:sessionId/rechunk
+ * Re-split the already transcribed part of a video session with new chunking options.
+ * Reuses the stored transcript (no Whisper call); prepared chunks have to be downloaded again.
+ * Request: { chunking: { targetDuration?, minGap?, minFinalDuration? } }
+ * Returns: { chunks, hasMoreChunks, chunking }
+ */
+app.post('/api/session/:sessionId/rechunk', loadMoreRateLimit, requireSessionOwnership, async (req, res) => {
+  const { sessionId } = req;
+  const session = req.analysisSession;
+
+  if (session.status !== 'ready') {
+    return res.status(404).json({ error: 'Session not ready' });
+  }
+  if (session.contentType === 'text') {
+    return res.status(400).json({ error: 'Text sessions cannot be re-chunked' });
+  }
+
+  const { options: chunking, error: chunkingError } = parseChunkingOptions(req.body.chunking);
+  if (chunkingError) {
+    return res.status(400).json({ error: chunkingError });
+  }
+
+  if (session.chunks.some(c => c.status === 'downloading')) {
+    return res.status(409).json({ error: 'Wait for chunks in progress to finish before re-chunking' });
+  }
+
+  // Only the span covered by the current chunks has a transcript; later batches are
+  // chunked with the new options as they load
+  const coveredUntil = session.chunks[session.chunks.length - 1]?.endTime || 0;
+  session.rechunks = (session.rechunks || 0) + 1;
+  const chunks = createChunks({ ...session.transcript, duration: coveredUntil }, chunking)
+    .map(chunk => ({ ...chunk, id: chunkIdFor(session, chunk.index), status: 'pending', videoUrl: null }));
+
+  session.chunks = chunks;
+  session.chunking = chunking;
+  session.chunkTranscripts = new Map();
+  await setAnalysisSession(sessionId, session);
+
+  console.log(`[Rechunk] Session ${sessionId}: ${chunks.length} chunks (target ${chunking.targetDuration}s, gap ${chunking.minGap}s)`);
+
+  res.json({ chunks, hasMoreChunks: session.hasMoreChunks || false, chunking });
+});
+
 /**
  * GET /api/session/:sessionId/chunk/:chunkId
  * Get chunk video URL and transcript (if ready)
@@ -1838,6 +2864,200 @@ app.get('/api/session/:sessionId/chunk/:chunkId', requireSessionOwnership, async
   res.json(response);
 });
 
+const MAX_SESSION_CLIPS = 2000;
+
+/** Clip name for a span of a chunk, in milliseconds: "chunk-0_1700-2000.mp3" */
+function clipName(chunkId, start, end) {
+  return `${chunkId}_${Math.round(start * 1000)}-${Math.round(end * 1000)}.mp3`;
+}
+
+/** Playable URL of a stored clip (signed in production, local-audio route in dev) */
+async function getClipUrl(sessionId, clip) {
+  if (IS_LOCAL || !bucket) return `/api/local-audio/${sessionId}_${clip}`;
+  return getSignedMediaUrl(`videos/${sessionId}_${clip}`);
+}
+
+/**
+ * Cut a clip out of a ready chunk, store it and record it on the session.
+ * Concurrent requests for the same clip share one cut and upload.
+ * @returns {Promise<boolean>} false when the chunk's media isn't available
+ */
+const clipCuts = new Map();
+function cutSessionClip(sessionId, session, chunkId, clip, start, end) {
+  const key = `${sessionId}_${clip}`;
+  if (!clipCuts.has(key)) {
+    const cut = (async () => {
+      const input = await getChunkMediaInput(sessionId, session, chunkId);
+      if (!input) return false;
+
+      const tempDir = path.join(__dirname, 'temp');
+      fs.mkdirSync(tempDir, { recursive: true });
+      const clipPath = path.join(tempDir, `clip_${key}`);
+      try {
+        await extractAudioClip(input, clipPath, start, end);
+        if (!IS_LOCAL && bucket) {
+          await bucket.upload(clipPath, {
+            destination: `videos/${key}`,
+            metadata: { contentType: 'audio/mpeg', cacheControl: 'public, max-age=86400' },
+          });
+          fs.unlinkSync(clipPath);
+        } else {
+          localSessions.set(`audio_${key.replace('.mp3', '')}`, clipPath);
+        }
+      } catch (error) {
+        fs.rmSync(clipPath, { force: true });
+        throw error;
+      }
+      session.clips.push(clip);
+      await setAnalysisSession(sessionId, session);
+      return true;
+    })().finally(() => clipCuts.delete(key));
+    clipCuts.set(key, cut);
+  }
+  return clipCuts.get(key);
+}
+
+/**
+ * POST /api/session/:sessionId/clips
+ * Cut a word's audio out of a ready chunk (video or TTS) for its flashcard and
+ * store it next to the chunk media, so review can play the speaker's voice.
+ * Cutting the same span again returns the stored clip.
+ * Accepts: { chunkId, start, end }   (seconds in chunk time, at most 30s apart)
+ * Returns: { clip: string, url: string }
+ */
+app.post('/api/session/:sessionId/clips', clipRateLimit, requireSessionOwnership, async (req, res) => {
+  const { chunkId, start, end } = req.body;
+  const session = req.analysisSession;
+  const sessionId = req.sessionId;
+
+  if (typeof chunkId !== 'string' || !Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+    return res.status(400).json({ error: 'chunkId, start and end are required' });
+  }
+  if (end - start > MAX_CLIP_SECONDS) {
+    return res.status(400).json({ error: `Clips are at most ${MAX_CLIP_SECONDS} seconds` });
+  }
+
+  const clip = clipName(chunkId, start, end);
+  session.clips ??= [];
+  if (!session.clips.includes(clip)) {
+    if (session.clips.length >= MAX_SESSION_CLIPS) {
+      return res.status(400).json({ error: 'Too many clips for this session' });
+    }
+    try {
+      if (!await cutSessionClip(sessionId, session, chunkId, clip, start, end)) {
+        return res.status(404).json({ error: 'Chunk media not available' });
+      }
+    } catch (error) {
+      console.error(`[Clip] ${sessionId} ${clip} failed:`, error.message);
+      return res.status(500).json({ error: 'Failed to cut the audio clip' });
+    }
+  }
+
+  res.json({ clip, url: await getClipUrl(sessionId, clip) });
+});
+
+/**
+ * GET /api/session/:sessionId/clips/:clip
+ * Playable URL of a stored word clip (signed URLs expire, so cards keep the clip name).
+ * Returns: { url: string }
+ */
+app.get('/api/session/:sessionId/clips/:clip', requireSessionOwnership, async (req, res) => {
+  const { clip } = req.params;
+  if (!req.analysisSession.clips?.includes(clip)) {
+    return res.status(404).json({ error: 'Clip not found' });
+  }
+  res.json({ url: await getClipUrl(req.sessionId, clip) });
+});
+
+/**
+ * Words to subtitle, in chunk time for one chunk or session time for all of them.
+ * Ready chunks use their lemmatized transcript; other video chunks fall back to
+ * the session transcript (no lemmas yet).
+ * @returns {{words: Array} | {error: string}}
+ */
+function getSubtitleWords(session, chunkId) {
+  const chunkWords = (chunk) => {
+    const transcript = session.chunkTranscripts.get(chunk.id);
+    if (transcript) return transcript.words;
+    if (session.contentType === 'text') return null;
+    return getChunkTranscript(session.transcript, chunk.startTime, chunk.endTime).words;
+  };
+
+  if (chunkId) {
+    const chunk = session.chunks.find(c => c.id === chunkId);
+    if (!chunk) return { error: 'Chunk not found' };
+    const words = chunkWords(chunk);
+    if (!words) return { error: 'Section not ready. Open it once to generate its audio.' };
+    return { words };
+  }
+
+  // Text sections each have their own audio file, so there's no session timeline
+  if (session.contentType === 'text') {
+    return { error: 'Text sessions can only be exported one section at a time' };
+  }
+
+  const words = [];
+  for (const chunk of session.chunks) {
+    for (const word of chunkWords(chunk)) {
+      const start = word.start + chunk.startTime;
+      const end = word.end + chunk.startTime;
+      // Words straddling a chunk boundary appear in both chunks
+      const prev = words[words.length - 1];
+      if (prev && end <= prev.end) continue;
+      words.push({ ...word, start, end });
+    }
+  }
+  return { words };
+}
+
+/**
+ * GET /api/session/:sessionId/subtitles
+ * Export a chunk (or the whole video session) as SRT or WebVTT, one cue per sentence.
+ * Query: format=srt|vtt, chunkId?, tracks?=lemma,translation, karaoke?=1 (WebVTT only), stress?=1
+ * The translation track uses the sentence translation cache and is billed like
+ * POST /api/translate-sentences.
+ * Returns: subtitle file as an attachment
+ */
+app.get('/api/session/:sessionId/subtitles', translateRateLimit, requireSubscription, requireBudget, requireSessionOwnership, async (req, res) => {
+  const session = req.analysisSession;
+
+  if (session.status !== 'ready') {
+    return res.status(404).json({ error: 'Session not ready. Please re-analyze the video.' });
+  }
+
+  const parsed = parseSubtitleOptions(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const { format, lemmas, translation, karaoke, stress } = parsed.options;
+
+  const chunkId = req.query.chunkId ? String(req.query.chunkId) : null;
+  const selection = getSubtitleWords(session, chunkId);
+  if (selection.error) {
+    return res.status(selection.error === 'Chunk not found' ? 404 : 400).json({ error: selection.error });
+  }
+
+  // Re-marked on export so chunks transcribed before stress marks existed get them too
+  const sentences = segmentSentences(stress ? accentuateWords(selection.words) : selection.words);
+
+  let translations;
+  if (translation && sentences.length > 0) {
+    try {
+      translations = await translateSentencesCached(sentences.map(s => s.text), req.uid);
+    } catch (error) {
+      console.error('[Subtitles] Translation error:', error);
+      return res.status(500).json({ error: error.message || 'Translation failed' });
+    }
+  }
+
+  const partName = chunkId ? ` - Part ${parseInt(chunkId.split('-')[1]) + 1}` : '';
+  const baseName = `${session.title || 'subtitles'}${partName}`.replace(/[\\/:*?"<>|]/g, '').trim();
+
+  res.attachment(`${baseName}.${format}`);
+  res.type(format === 'vtt' ? 'text/vtt' : 'application/x-subrip');
+  res.send(formatSubtitles(sentences, { format, lemmas, translations, karaoke, stress }));
+});
+
 /**
  * POST /api/download-chunk
  * Phase 2: Download video for a specific chunk
@@ -1913,18 +3133,18 @@ app.post('/api/download-chunk', downloadChunkRateLimit, requireSubscription, req
       const onProgress = createProgressCallback(sessionId);
       console.log(`[Download-Chunk] Text mode: Session ${sessionId}, Chunk ${chunkId} (${chunkText.length} chars)`);
 
-      // Step 1: Generate TTS audio
-      await generateTtsAudio(chunkText, audioPath, { onProgress });
-      trackCost(req.uid, costs.tts(chunkText.length));
+      // Step 1: Generate TTS audio (in the session's chosen voice, if any)
+      await generateTtsAudio(chunkText, audioPath, { onProgress, ...session.tts });
+      trackCost(req.uid, ttsCost(chunkText.length));
 
       // Step 2: Transcribe TTS audio with Whisper for real word timestamps
       const rawChunkTranscript = await transcribeAndAlignTTS(chunkText, audioPath, { onProgress });
       const duration = rawChunkTranscript.duration;
-      trackCost(req.uid, costs.whisper(duration));
+      trackCost(req.uid, transcriptionCost(duration));
 
       // Lemmatize words for frequency matching
       const chunkTranscript = await lemmatizeWords(rawChunkTranscript, { onProgress });
-      trackCost(req.uid, costs.gpt4o());
+      trackLemmatizationCost(req.uid, chunkTranscript);
 
       // Serve audio locally or upload to GCS
       let audioUrl;
@@ -1985,29 +3205,37 @@ app.post('/api/download-chunk', downloadChunkRateLimit, requireSubscription, req
     const partNum = parseInt(chunkId.split('-')[1]) + 1;
     console.log(`[Download-Chunk] Session ${sessionId}, Chunk ${chunkId}: ${formatTime(startTime)} - ${formatTime(endTime)}`);
 
-    // Check for cached extraction info (speeds up by ~2 min for ok.ru)
-    let cachedInfoPath = null;
-    const cachedExtraction = await getCachedExtraction(session.url);
-    if (cachedExtraction) {
-      cachedInfoPath = path.join(tempDir, `cached_info_${sessionId}_${chunkId}.json`);
-      fs.writeFileSync(cachedInfoPath, JSON.stringify(cachedExtraction));
-      console.log(`[Download-Chunk] Session ${sessionId}: Using cached extraction`);
-    }
-
-    // Download video chunk
     const onProgress = createProgressCallback(sessionId);
-    const { size: videoSize } = await downloadVideoChunk(session.url, chunkPath, startTime, endTime, { onProgress, partNum, cachedInfoPath });
-    console.log(`[Download-Chunk] Session ${sessionId}: Chunk downloaded (${(videoSize / 1024 / 1024).toFixed(1)} MB)`);
 
-    // Clean up temp cached info file
-    if (cachedInfoPath && fs.existsSync(cachedInfoPath)) {
-      fs.unlinkSync(cachedInfoPath);
+    if (session.sourceType === 'upload') {
+      // Uploaded file: slice the chunk locally with ffmpeg
+      const sourcePath = await ensureUploadSource(sessionId, session);
+      const { size: videoSize } = await sliceMediaFile(sourcePath, chunkPath, startTime, endTime, { onProgress, partNum });
+      console.log(`[Download-Chunk] Session ${sessionId}: Chunk sliced (${(videoSize / 1024 / 1024).toFixed(1)} MB)`);
+    } else {
+      // Check for cached extraction info (speeds up by ~2 min for ok.ru)
+      let cachedInfoPath = null;
+      const cachedExtraction = await getCachedExtraction(session.url);
+      if (cachedExtraction) {
+        cachedInfoPath = path.join(tempDir, `cached_info_${sessionId}_${chunkId}.json`);
+        fs.writeFileSync(cachedInfoPath, JSON.stringify(cachedExtraction));
+        console.log(`[Download-Chunk] Session ${sessionId}: Using cached extraction`);
+      }
+
+      // Download video chunk
+      const { size: videoSize } = await downloadVideoChunk(session.url, chunkPath, startTime, endTime, { onProgress, partNum, cachedInfoPath });
+      console.log(`[Download-Chunk] Session ${sessionId}: Chunk downloaded (${(videoSize / 1024 / 1024).toFixed(1)} MB)`);
+
+      // Clean up temp cached info file
+      if (cachedInfoPath && fs.existsSync(cachedInfoPath)) {
+        fs.unlinkSync(cachedInfoPath);
+      }
     }
 
     // Get chunk transcript with adjusted timestamps, then lemmatize per-chunk
     const rawChunkTranscript = getChunkTranscript(session.transcript, startTime, endTime);
     const chunkTranscript = await lemmatizeWords(rawChunkTranscript, { onProgress });
-    trackCost(req.uid, costs.gpt4o());
+    trackLemmatizationCost(req.uid, chunkTranscript);
     console.log(`[Download-Chunk] Chunk ${chunkId}: startTime=${startTime}, endTime=${endTime}`);
     console.log(`[Download-Chunk] Full transcript has ${session.transcript.words?.length} words`);
     console.log(`[Download-Chunk] Chunk transcript has ${chunkTranscript.words?.length} words`);
@@ -2113,13 +3341,13 @@ async function prefetchNextChunk(sessionId, currentChunkIndex) {
       }
 
       const silentProgress = () => {};
-      await generateTtsAudio(chunkText, audioPath, { onProgress: silentProgress });
-      if (session.uid) { trackCost(session.uid, costs.tts(chunkText.length)); }
+      await generateTtsAudio(chunkText, audioPath, { onProgress: silentProgress, ...session.tts });
+      if (session.uid) { trackCost(session.uid, ttsCost(chunkText.length)); }
       const rawChunkTranscript = await transcribeAndAlignTTS(chunkText, audioPath, { onProgress: silentProgress });
       const duration = rawChunkTranscript.duration;
-      if (session.uid) { trackCost(session.uid, costs.whisper(duration)); }
+      if (session.uid) { trackCost(session.uid, transcriptionCost(duration)); }
       const chunkTranscript = await lemmatizeWords(rawChunkTranscript, { onProgress: silentProgress });
-      if (session.uid) { trackCost(session.uid, costs.gpt4o()); }
+      if (session.uid) { trackLemmatizationCost(session.uid, chunkTranscript); }
 
       let audioUrl;
       if (!IS_LOCAL && bucket) {
@@ -2147,30 +3375,39 @@ async function prefetchNextChunk(sessionId, currentChunkIndex) {
     const chunkPath = path.join(tempDir, `chunk_${sessionId}_${nextChunk.id}.mp4`);
     const { startTime, endTime } = nextChunk;
 
-    // Check for cached extraction info
-    let cachedInfoPath = null;
-    const cachedExtraction = await getCachedExtraction(session.url);
-    if (cachedExtraction) {
-      cachedInfoPath = path.join(tempDir, `cached_info_${sessionId}_prefetch_${nextChunk.id}.json`);
-      fs.writeFileSync(cachedInfoPath, JSON.stringify(cachedExtraction));
-      console.log(`[Prefetch] Using cached extraction`);
-    }
+    const partNum = parseInt(nextChunk.id.split('-')[1]) + 1;
+    let videoSize;
 
-    // Download silently (no progress updates to avoid confusing the user)
-    const { size: videoSize } = await downloadVideoChunk(
-      session.url, chunkPath, startTime, endTime,
-      { onProgress: () => {}, partNum: parseInt(nextChunk.id.split('-')[1]) + 1, cachedInfoPath }
-    );
+    if (session.sourceType === 'upload') {
+      // Slice silently from the uploaded source
+      const sourcePath = await ensureUploadSource(sessionId, session);
+      ({ size: videoSize } = await sliceMediaFile(sourcePath, chunkPath, startTime, endTime, { onProgress: () => {}, partNum }));
+    } else {
+      // Check for cached extraction info
+      let cachedInfoPath = null;
+      const cachedExtraction = await getCachedExtraction(session.url);
+      if (cachedExtraction) {
+        cachedInfoPath = path.join(tempDir, `cached_info_${sessionId}_prefetch_${nextChunk.id}.json`);
+        fs.writeFileSync(cachedInfoPath, JSON.stringify(cachedExtraction));
+        console.log(`[Prefetch] Using cached extraction`);
+      }
+
+      // Download silently (no progress updates to avoid confusing the user)
+      ({ size: videoSize } = await downloadVideoChunk(
+        session.url, chunkPath, startTime, endTime,
+        { onProgress: () => {}, partNum, cachedInfoPath }
+      ));
 
-    // Clean up cached info file
-    if (cachedInfoPath && fs.existsSync(cachedInfoPath)) {
-      fs.unlinkSync(cachedInfoPath);
+      // Clean up cached info file
+      if (cachedInfoPath && fs.existsSync(cachedInfoPath)) {
+        fs.unlinkSync(cachedInfoPath);
+      }
     }
 
     // Get transcript and lemmatize per-chunk
     const rawChunkTranscript = getChunkTranscript(session.transcript, startTime, endTime);
     const chunkTranscript = await lemmatizeWords(rawChunkTranscript, { onProgress: () => {} });
-    if (session.uid) { trackCost(session.uid, costs.gpt4o()); }
+    if (session.uid) { trackLemmatizationCost(session.uid, chunkTranscript); }
 
     // Upload to GCS
     let videoUrl;
@@ -2226,7 +3463,7 @@ if (fs.existsSync(distPath)) {
 }
 
 // Export for tests
-export { app, analysisSessions, localSessions, progressClients, translationCache, urlSessionCache, isAllowedProxyUrl, MAX_CONCURRENT_ANALYSES, demoCache, getAnalysisSession, setAnalysisSession };
+export { app, analysisSessions, localSessions, progressClients, translationCache, sentenceTranslationCache, urlSessionCache, isAllowedProxyUrl, MAX_CONCURRENT_ANALYSES, demoCache, getAnalysisSession, setAnalysisSession };
 
 // Test helper: get/reset active analysis count
 export function getActiveAnalyses() { return activeAnalyses; }
@@ -2237,6 +3474,10 @@ if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
   const server = app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`OpenAI API key: ${process.env.OPENAI_API_KEY ? 'loaded from .env' : 'not set'}`);
+    const stt = getSttProvider();
+    console.log(`Speech-to-text: ${stt.id} (${stt.model}${stt.baseURL ? ` at ${stt.baseURL}` : ''})${stt.configError ? ` — ${stt.configError}` : ''}`);
+    const tts = getTtsProvider();
+    console.log(`Text-to-speech: ${tts.id} (${tts.model}${tts.baseURL ? ` at ${tts.baseURL}` : ''}, voice ${tts.defaultVoice})${tts.configError ? ` — ${tts.configError}` : ''}`);
     console.log(`Google API key: ${process.env.GOOGLE_TRANSLATE_API_KEY ? 'loaded from .env' : 'not set'}`);
 
     // Run cleanup, rebuild URL cache, then hydrate usage data on startup (non-blocking)
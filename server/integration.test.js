@@ -9,8 +9,11 @@
 import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
 import http from 'http';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { buildApkg } from './anki.js';
+import { readZip, writeZip, MAX_ENTRY_BYTES } from './media/zip.js';
 
 // ---------------------------------------------------------------------------
 // Mock auth.js — bypass Firebase Admin token verification in tests
@@ -34,11 +37,13 @@ vi.mock('./auth.js', () => ({
 
 vi.mock('./usage.js', () => ({
   requireBudget: (req, res, next) => next(),
-  trackCost: () => {},
+  trackCost: vi.fn(),
+  trackSavedCost: vi.fn(),
   trackTranslateCost: () => {},
   getUserCost: () => 0.55,          // Combined: 0.45 (OpenAI) + 0.10 (Translate)
   getUserWeeklyCost: () => 0.80,     // Combined: 0.60 + 0.20
   getUserMonthlyCost: () => 2.25,    // Combined: 1.75 + 0.50
+  getUserSavings: () => ({ daily: 0.02, weekly: 0.05, monthly: 0.10 }),
   getRemainingBudget: () => 1,
   initUsageStore: vi.fn().mockResolvedValue(undefined),
   flushAllUsage: vi.fn().mockResolvedValue(undefined),
@@ -47,6 +52,7 @@ vi.mock('./usage.js', () => ({
   MONTHLY_LIMIT: 5.00,
   costs: {
     whisper: () => 0,
+    transcription: () => 0,
     gpt4o: () => 0,
     gpt4oMini: () => 0,
     tts: () => 0,
@@ -79,23 +85,37 @@ vi.mock('./stripe.js', () => ({
 }));
 
 import { getSubscriptionStatus, createCheckoutSession } from './stripe.js';
-import { lookupWord } from './dictionary.js';
-import { exampleCache } from './session-store.js';
+import { lookupWord, lookupCandidates, lookupStress, lookupMorphology } from './dictionary.js';
+import { exampleCache, uploads } from './session-store.js';
+import { trackCost, trackSavedCost, costs } from './usage.js';
 
 // ---------------------------------------------------------------------------
 // Mock dictionary.js — bypass CSV loading in tests
 // ---------------------------------------------------------------------------
 
-vi.mock('./dictionary.js', () => ({
-  initDictionary: vi.fn().mockResolvedValue(undefined),
-  lookupWord: vi.fn().mockReturnValue(null),
-}));
+vi.mock('./dictionary.js', async () => {
+  const { rankLemmaCandidates } = await vi.importActual('./dictionary.js');
+  return {
+    initDictionary: vi.fn().mockResolvedValue(undefined),
+    lookupWord: vi.fn().mockReturnValue(null),
+    lookupCandidates: vi.fn().mockReturnValue([]),
+    lookupStress: vi.fn().mockReturnValue(null),
+    lookupMorphology: vi.fn().mockReturnValue([]),
+    rankLemmaCandidates,
+  };
+});
 
 // ---------------------------------------------------------------------------
 // Mock media.js — replaces all 5 external-facing functions
 // ---------------------------------------------------------------------------
 
-vi.mock('./media.js', () => {
+vi.mock('./media.js', async () => {
+  // Real voice validation against the default OpenAI voice list
+  const ttsProviders = await vi.importActual('./media/tts-providers.js');
+  const sttProviders = await vi.importActual('./media/stt-providers.js');
+  const ttsProvider = ttsProviders.getTtsProvider({ OPENAI_API_KEY: 'test-key' });
+  // Real stress marking and tagging on top of the mocked dictionary lookups
+  const { accentuateWords, tagWords } = await vi.importActual('./media/transcription.js');
   return {
     getOkRuVideoInfo: vi.fn(),
     downloadAudioChunk: vi.fn(),
@@ -103,6 +123,8 @@ vi.mock('./media.js', () => {
     transcribeAudioChunk: vi.fn(),
     addPunctuation: vi.fn(),
     lemmatizeWords: vi.fn(),
+    accentuateWords,
+    tagWords,
     createHeartbeat: vi.fn(() => ({
       stop: () => {},
       isStopped: () => true,
@@ -113,6 +135,13 @@ vi.mock('./media.js', () => {
     fetchLibRuText: vi.fn(),
     generateTtsAudio: vi.fn(),
     getAudioDuration: vi.fn(() => 30),
+    // Uploaded media (ffmpeg) functions
+    extractAudioSegment: vi.fn(),
+    extractAudioClip: vi.fn(),
+    sliceMediaFile: vi.fn(),
+    // Document (FB2/EPUB/pasted text) extraction
+    parsePlainText: vi.fn(),
+    extractDocument: vi.fn(),
     estimateWordTimestamps: vi.fn((text, duration) => ({
       words: text.split(/\s+/).map((w, i) => ({ word: (i > 0 ? ' ' : '') + w, start: i, end: i + 1 })),
       segments: [{ text, start: 0, end: duration }],
@@ -128,7 +157,17 @@ vi.mock('./media.js', () => {
         duration: words.length * 0.5,
       });
     }),
-    alignWhisperToOriginal: vi.fn(() => []),
+    alignWhisperToOriginal: vi.fn((whisperWords, originalWords) => originalWords.map((word, i) => ({
+      word,
+      start: whisperWords[i]?.start ?? 0,
+      end: whisperWords[i]?.end ?? 0,
+    }))),
+    // Real provider selection, so tests can switch STT_PROVIDER and keys
+    getSttProvider: vi.fn((env) => sttProviders.getSttProvider(env)),
+    getTtsProvider: vi.fn(() => ttsProvider),
+    parseTtsOptions: vi.fn((input) => ttsProviders.parseTtsOptions(input, ttsProvider)),
+    MIN_TTS_SPEED: ttsProviders.MIN_TTS_SPEED,
+    MAX_TTS_SPEED: ttsProviders.MAX_TTS_SPEED,
     // String utility functions used by index.js
     stripPunctuation: vi.fn((w) => w),
     editDistance: vi.fn(() => 0),
@@ -150,6 +189,11 @@ import {
   getAudioDuration,
   estimateWordTimestamps,
   transcribeAndAlignTTS,
+  extractAudioSegment,
+  extractAudioClip,
+  sliceMediaFile,
+  parsePlainText,
+  extractDocument,
 } from './media.js';
 
 // Import server after mocks are set up
@@ -159,6 +203,7 @@ import {
   localSessions,
   progressClients,
   translationCache,
+  sentenceTranslationCache,
   urlSessionCache,
   isAllowedProxyUrl,
   MAX_CONCURRENT_ANALYSES,
@@ -291,7 +336,7 @@ async function analyzeAndWait(url, opts = {}) {
   const analyzeRes = await fetch(`${baseUrl}/api/analyze`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ url }),
+    body: JSON.stringify({ url, ...opts.body }),
   });
   const analyzeBody = await analyzeRes.json();
 
@@ -366,6 +411,7 @@ beforeEach(() => {
   analysisSessions.clear();
   localSessions.clear();
   translationCache.clear();
+  sentenceTranslationCache.clear();
   urlSessionCache.clear();
   // Clean up SSE clients
   for (const [, clients] of progressClients) {
@@ -512,6 +558,44 @@ describe('C. POST /api/analyze — Error Cases', () => {
     }
   });
 
+  it('a self-hosted STT provider does not need OPENAI_API_KEY', async () => {
+    setupHappyPathMocks();
+    const origKey = process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    process.env.STT_PROVIDER = 'local';
+    process.env.STT_BASE_URL = 'http://localhost:8000/v1';
+    const gpt4o = vi.spyOn(costs, 'gpt4o').mockReturnValue(0.025);
+
+    try {
+      const { completeEvent } = await analyzeAndWait('https://ok.ru/video/local-stt');
+      expect(completeEvent.chunks.length).toBeGreaterThan(0);
+      // Punctuation is skipped without the key, so it isn't billed
+      expect(trackCost).not.toHaveBeenCalledWith(expect.anything(), 0.025);
+    } finally {
+      gpt4o.mockRestore();
+      process.env.OPENAI_API_KEY = origKey;
+      delete process.env.STT_PROVIDER;
+      delete process.env.STT_BASE_URL;
+    }
+  });
+
+  it('a self-hosted STT provider without STT_BASE_URL returns 500', async () => {
+    process.env.STT_PROVIDER = 'local';
+
+    try {
+      const res = await fetch(`${baseUrl}/api/analyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: 'https://ok.ru/video/123' }),
+      });
+      expect(res.status).toBe(500);
+      const body = await res.json();
+      expect(body.error).toMatch(/not configured/i);
+    } finally {
+      delete process.env.STT_PROVIDER;
+    }
+  });
+
   it('media download failure sends SSE error event', async () => {
     getOkRuVideoInfo.mockResolvedValue({ title: 'Fail Video', duration: 600 });
     downloadAudioChunk.mockRejectedValue(new Error('yt-dlp crashed'));
@@ -912,6 +996,99 @@ describe('H. POST /api/translate', () => {
     vi.restoreAllMocks();
   });
 
+  it('ranks homograph readings by the neighbouring words', async () => {
+    translationCache.set('ru:стали', { word: 'стали', translation: 'became', sourceLanguage: 'ru' });
+    const steel = { stressedForm: 'ста́ль', pos: 'noun', translations: ['steel'] };
+    const become = { stressedForm: 'ста́ть', pos: 'verb', translations: ['become'] };
+    lookupCandidates.mockReturnValue([
+      { lemma: 'сталь', pos: 'noun', entry: steel },
+      { lemma: 'стать', pos: 'verb', entry: become },
+    ]);
+
+    try {
+      const translate = async (body) => (await fetch(`${baseUrl}/api/translate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      })).json();
+
+      const afterPronoun = await translate({ word: 'стали', context: { prev: 'мы', next: 'друзьями' } });
+      expect(afterPronoun.dictionary).toEqual(become);
+      expect(afterPronoun.readings).toEqual([
+        { lemma: 'стать', pos: 'verb', dictionary: become },
+        { lemma: 'сталь', pos: 'noun', dictionary: steel },
+      ]);
+
+      const afterPreposition = await translate({ word: 'стали', lemma: 'стать', context: { prev: 'из' } });
+      expect(afterPreposition.readings.map(r => r.lemma)).toEqual(['сталь', 'стать']);
+      expect(lookupCandidates).toHaveBeenLastCalledWith('стали', 'стать');
+    } finally {
+      lookupCandidates.mockReturnValue([]);
+    }
+  });
+
+  it('returns the stressed spelling of the clicked word and of each reading', async () => {
+    translationCache.set('ru:руки', { word: 'руки', translation: 'hands', sourceLanguage: 'ru' });
+    const hand = { stressedForm: 'рука́', pos: 'noun', translations: ['hand'] };
+    lookupCandidates.mockReturnValue([{ lemma: 'рука', pos: 'noun', entry: hand }]);
+    lookupStress.mockReturnValue({ stressed: 'ру́ки', variants: ['ру́ки', 'руки́'] });
+
+    try {
+      const res = await fetch(`${baseUrl}/api/translate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ word: 'Руки', lemma: 'рука' }),
+      });
+      const body = await res.json();
+      expect(body.stressed).toBe('Ру́ки');
+      expect(lookupStress).toHaveBeenCalledWith('руки', 'рука');
+    } finally {
+      lookupCandidates.mockReturnValue([]);
+      lookupStress.mockReturnValue(null);
+    }
+  });
+
+  it('returns the grammatical tags of the clicked word', async () => {
+    translationCache.set('ru:книгой', { word: 'книгой', translation: 'book', sourceLanguage: 'ru' });
+    const book = { stressedForm: 'кни́га', pos: 'noun', translations: ['book'] };
+    const instSg = { pos: 'noun', case: 'inst', number: 'sg' };
+    lookupCandidates.mockReturnValue([{ lemma: 'книга', pos: 'noun', entry: book }]);
+    lookupMorphology.mockReturnValue([instSg]);
+
+    try {
+      const res = await fetch(`${baseUrl}/api/translate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ word: 'книгой', lemma: 'книга' }),
+      });
+      const body = await res.json();
+      expect(body.morph).toEqual([instSg]);
+      expect(lookupMorphology).toHaveBeenCalledWith('книгой', 'книга');
+    } finally {
+      lookupCandidates.mockReturnValue([]);
+      lookupMorphology.mockReturnValue([]);
+    }
+  });
+
+  it('omits readings for words with a single dictionary entry', async () => {
+    translationCache.set('ru:книгу', { word: 'книгу', translation: 'book', sourceLanguage: 'ru' });
+    const book = { stressedForm: 'кни́га', pos: 'noun', translations: ['book'] };
+    lookupCandidates.mockReturnValue([{ lemma: 'книга', pos: 'noun', entry: book }]);
+
+    try {
+      const res = await fetch(`${baseUrl}/api/translate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ word: 'книгу' }),
+      });
+      const body = await res.json();
+      expect(body.dictionary).toEqual(book);
+      expect(body).not.toHaveProperty('readings');
+    } finally {
+      lookupCandidates.mockReturnValue([]);
+    }
+  });
+
   it('missing word returns 400', async () => {
     const res = await fetch(`${baseUrl}/api/translate`, {
       method: 'POST',
@@ -1123,6 +1300,38 @@ describe('K. Text Mode (lib.ru) Analysis', () => {
     expect(generateTtsAudio).toHaveBeenCalled();
     expect(transcribeAndAlignTTS).toHaveBeenCalled();
   });
+
+  it('bills GPT-4o only for the words it lemmatized', async () => {
+    setupTextModeMocks();
+    setupHappyPathMocks();
+    const sources = { 'час': 'llm', 'жаркого': 'dictionary', 'весеннего': 'dictionary' };
+    lemmatizeWords.mockImplementation(async (t) => ({
+      ...t,
+      words: t.words.map(w => {
+        const lemmaSource = sources[w.word.trim()];
+        return lemmaSource ? { ...w, lemma: w.word.trim(), lemmaSource } : w;
+      }),
+    }));
+    const gpt4o = vi.spyOn(costs, 'gpt4o').mockReturnValue(1);
+
+    try {
+      const { sessionId, completeEvent } = await analyzeAndWait('https://lib.ru/PROZA/lemma-cost-' + Date.now() + '.txt');
+      const dlRes = await fetch(`${baseUrl}/api/download-chunk`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, chunkId: completeEvent.chunks[0].id }),
+      });
+      expect(dlRes.status).toBe(200);
+
+      // Words left without a lemma are neither billed nor counted as saved
+      const charged = trackCost.mock.calls.filter(([, amount]) => amount > 0);
+      expect(charged).toHaveLength(1);
+      expect(trackSavedCost).toHaveBeenCalledTimes(1);
+      expect(trackSavedCost.mock.calls[0][1]).toBeCloseTo(2 * charged[0][1]);
+    } finally {
+      gpt4o.mockRestore();
+    }
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -1546,6 +1755,8 @@ describe('Q. GET /api/usage', () => {
     expect(body.daily).toEqual({ used: 0.55, limit: 0.50 });
     expect(body.weekly).toEqual({ used: 0.80, limit: 2.50 });
     expect(body.monthly).toEqual({ used: 2.25, limit: 5.00 });
+    // Spend avoided by dictionary lemmatization
+    expect(body.saved).toEqual({ daily: 0.02, weekly: 0.05, monthly: 0.10 });
   });
 });
 
@@ -2406,3 +2617,1078 @@ describe('V. POST /api/generate-examples', () => {
     }
   });
 });
+
+// ---------------------------------------------------------------------------
+// W. Local File Upload
+// ---------------------------------------------------------------------------
+
+describe('W. Local File Upload', () => {
+  function startUpload(filename, size) {
+    return fetch(`${baseUrl}/api/uploads`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename, size }),
+    });
+  }
+
+  function putRange(uploadId, bytes, start, total) {
+    return fetch(`${baseUrl}/api/uploads/${uploadId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Range': `bytes ${start}-${start + bytes.length - 1}/${total}`,
+      },
+      body: bytes,
+    });
+  }
+
+  /** Upload `data` in two ranges and return the uploadId. */
+  async function uploadFile(filename, data) {
+    const { uploadId } = await (await startUpload(filename, data.length)).json();
+    const half = Math.floor(data.length / 2);
+    await putRange(uploadId, data.subarray(0, half), 0, data.length);
+    await putRange(uploadId, data.subarray(half), half, data.length);
+    return uploadId;
+  }
+
+  function setupUploadMocks(duration = 900) {
+    const transcript = createMockTranscript(300, duration);
+    getAudioDuration.mockResolvedValue(duration);
+    extractAudioSegment.mockImplementation(async (inputPath, outputPath) => {
+      fs.writeFileSync(outputPath, 'fake-audio-data');
+      return { size: 50000 };
+    });
+    sliceMediaFile.mockImplementation(async (inputPath, outputPath) => {
+      fs.writeFileSync(outputPath, 'fake-video-data');
+      return { size: 100000 };
+    });
+    transcribeAudioChunk.mockResolvedValue(transcript);
+    addPunctuation.mockImplementation(async (t) => t);
+    lemmatizeWords.mockImplementation(async (t) => t);
+    return transcript;
+  }
+
+  it('uploads in ranges, analyzes via SSE, and slices chunks locally', async () => {
+    setupUploadMocks();
+    const data = Buffer.from('x'.repeat(5000));
+
+    const initRes = await startUpload('Лекция 1.mp3', data.length);
+    expect(initRes.status).toBe(200);
+    const { uploadId, chunkSize, received } = await initRes.json();
+    expect(uploadId).toBeTruthy();
+    expect(chunkSize).toBeGreaterThan(0);
+    expect(received).toBe(0);
+
+    const firstRes = await putRange(uploadId, data.subarray(0, 2000), 0, data.length);
+    expect(await firstRes.json()).toEqual({ received: 2000, complete: false });
+
+    // Resume point is reported for interrupted uploads
+    const statusRes = await fetch(`${baseUrl}/api/uploads/${uploadId}`);
+    const status = await statusRes.json();
+    expect(status.received).toBe(2000);
+    expect(status.complete).toBe(false);
+
+    const secondRes = await putRange(uploadId, data.subarray(2000), 2000, data.length);
+    expect(await secondRes.json()).toEqual({ received: 5000, complete: true });
+
+    const analyzeRes = await fetch(`${baseUrl}/api/analyze-upload`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ uploadId }),
+    });
+    expect(analyzeRes.status).toBe(200);
+    const { sessionId, status: analyzeStatus } = await analyzeRes.json();
+    expect(analyzeStatus).toBe('started');
+
+    const sse = createSSEClient(`${baseUrl}/api/progress/${sessionId}`);
+    let complete;
+    try {
+      complete = await sse.waitForEvent('complete');
+    } finally {
+      sse.close();
+    }
+    expect(complete.title).toBe('Лекция 1');
+    expect(complete.totalDuration).toBe(900);
+    expect(complete.chunks.length).toBeGreaterThan(0);
+    expect(extractAudioSegment).toHaveBeenCalledWith(expect.stringContaining('upload_'), expect.any(String), 0, 900, expect.any(Object));
+    expect(downloadAudioChunk).not.toHaveBeenCalled();
+
+    // Uploads are private: no URL, so nothing is added to the library
+    const session = analysisSessions.get(sessionId);
+    expect(session.sourceType).toBe('upload');
+    expect(session.url).toBeUndefined();
+
+    const chunkRes = await fetch(`${baseUrl}/api/download-chunk`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId, chunkId: 'chunk-0' }),
+    });
+    expect(chunkRes.status).toBe(200);
+    const chunkBody = await chunkRes.json();
+    expect(chunkBody.videoUrl).toBeTruthy();
+    expect(sliceMediaFile).toHaveBeenCalled();
+    expect(downloadVideoChunk).not.toHaveBeenCalled();
+
+    // Deleting the session removes the uploaded source
+    const sourcePath = session.sourcePath;
+    expect(fs.existsSync(sourcePath)).toBe(true);
+    await fetch(`${baseUrl}/api/session/${sessionId}`, { method: 'DELETE' });
+    expect(fs.existsSync(sourcePath)).toBe(false);
+  });
+
+  it('out-of-order range returns 409 with the resume offset', async () => {
+    const { uploadId } = await (await startUpload('talk.mp4', 100)).json();
+    const res = await putRange(uploadId, Buffer.alloc(50), 50, 100);
+    expect(res.status).toBe(409);
+    expect((await res.json()).received).toBe(0);
+  });
+
+  it('rejects unsupported file types and oversized files', async () => {
+    const badType = await startUpload('notes.pdf', 100);
+    expect(badType.status).toBe(400);
+
+    const tooBig = await startUpload('film.mkv', 10 * 1024 * 1024 * 1024);
+    expect(tooBig.status).toBe(413);
+  });
+
+  it('analyze-upload rejects incomplete uploads', async () => {
+    const { uploadId } = await (await startUpload('podcast.m4a', 100)).json();
+    const res = await fetch(`${baseUrl}/api/analyze-upload`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ uploadId }),
+    });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toMatch(/not complete/i);
+  });
+
+  it('waits for a range still being written before taking more or analyzing', async () => {
+    const { uploadId } = await (await startUpload('podcast.m4a', 100)).json();
+    await putRange(uploadId, Buffer.alloc(50), 0, 100);
+    uploads.get(uploadId).appending = true;
+    try {
+      const put = await putRange(uploadId, Buffer.alloc(50), 50, 100);
+      expect(put.status).toBe(409);
+      expect((await put.json()).received).toBe(50);
+
+      const analyze = await fetch(`${baseUrl}/api/analyze-upload`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ uploadId }),
+      });
+      expect(analyze.status).toBe(409);
+      expect((await analyze.json()).error).toMatch(/still receiving/i);
+    } finally {
+      uploads.get(uploadId).appending = false;
+    }
+    expect((await putRange(uploadId, Buffer.alloc(50), 50, 100)).status).toBe(200);
+  });
+
+  it('analyze-upload rejects unreadable and over-long files', async () => {
+    getAudioDuration.mockRejectedValueOnce(new Error('ffprobe exited with code 1'));
+    const unreadableId = await uploadFile('broken.mp3', Buffer.from('not audio'));
+    const unreadable = await fetch(`${baseUrl}/api/analyze-upload`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ uploadId: unreadableId }),
+    });
+    expect(unreadable.status).toBe(400);
+    expect((await unreadable.json()).error).toMatch(/could not read/i);
+
+    getAudioDuration.mockResolvedValueOnce(5 * 60 * 60);
+    const longId = await uploadFile('marathon.mp3', Buffer.from('long audio'));
+    const tooLong = await fetch(`${baseUrl}/api/analyze-upload`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ uploadId: longId }),
+    });
+    expect(tooLong.status).toBe(400);
+    expect((await tooLong.json()).error).toMatch(/too long/i);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// X. Document & Pasted Text Ingestion
+// ---------------------------------------------------------------------------
+
+describe('X. Document & Pasted Text Ingestion', () => {
+  const CHAPTER_ONE = 'В час жаркого весеннего заката на Патриарших прудах появилось двое граждан.';
+  const CHAPTER_TWO = 'Однажды весною, в час небывало жаркого заката, в Москве появились двое.';
+
+  async function waitForComplete(sessionId) {
+    const sse = createSSEClient(`${baseUrl}/api/progress/${sessionId}`);
+    try {
+      return await sse.waitForEvent('complete');
+    } finally {
+      sse.close();
+    }
+  }
+
+  it('uploaded FB2 becomes a private text session with one chunk per chapter', async () => {
+    extractDocument.mockReturnValue({
+      title: 'Мастер и Маргарита',
+      author: 'Михаил Булгаков',
+      text: `Глава 1\n\n${CHAPTER_ONE}\n\nГлава 2\n\n${CHAPTER_TWO}`,
+      chapters: [
+        { title: 'Глава 1', text: CHAPTER_ONE },
+        { title: 'Глава 2', text: CHAPTER_TWO },
+      ],
+    });
+    const data = Buffer.from('<FictionBook>...</FictionBook>');
+
+    const { uploadId } = await (await fetch(`${baseUrl}/api/uploads`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: 'master.fb2', size: data.length }),
+    })).json();
+    await fetch(`${baseUrl}/api/uploads/${uploadId}`, {
+      method: 'PUT',
+      headers: { 'Content-Range': `bytes 0-${data.length - 1}/${data.length}` },
+      body: data,
+    });
+
+    const analyzeRes = await fetch(`${baseUrl}/api/analyze-upload`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ uploadId }),
+    });
+    expect(analyzeRes.status).toBe(200);
+    const { sessionId } = await analyzeRes.json();
+    const complete = await waitForComplete(sessionId);
+
+    expect(complete.contentType).toBe('text');
+    expect(complete.title).toBe('Михаил Булгаков — Мастер и Маргарита');
+    expect(complete.chunks).toHaveLength(2);
+    expect(complete.chunks[1].previewText).toMatch(/^Глава 2/);
+    expect(extractDocument).toHaveBeenCalledWith(expect.any(Buffer), 'master.fb2');
+    expect(getAudioDuration).not.toHaveBeenCalled();
+
+    const session = analysisSessions.get(sessionId);
+    expect(session.url).toBeUndefined();
+    expect(session.chunkTexts.get('chunk-1')).toContain(CHAPTER_TWO);
+  });
+
+  it('detects chapters in pasted text and exposes a table of contents', async () => {
+    const text = ['Глава 1', CHAPTER_ONE, 'Глава 2', CHAPTER_TWO].join('\n\n');
+    parsePlainText.mockReturnValue({ title: 'Pasted Text', author: '', text, chapters: [{ title: '', text }] });
+
+    const res = await fetch(`${baseUrl}/api/analyze-text`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text }),
+    });
+    const { sessionId } = await res.json();
+    const complete = await waitForComplete(sessionId);
+
+    expect(complete.chunks.map(c => c.chapterTitle)).toEqual(['Глава 1', 'Глава 2']);
+    expect(complete.chapters).toEqual([
+      { title: 'Глава 1', startChunkIndex: 0, chunkCount: 1 },
+      { title: 'Глава 2', startChunkIndex: 1, chunkCount: 1 },
+    ]);
+
+    const sessionRes = await fetch(`${baseUrl}/api/session/${sessionId}`);
+    const session = await sessionRes.json();
+    expect(session.chapters).toHaveLength(2);
+    expect(session.chunks[1].chapterTitle).toBe('Глава 2');
+  });
+
+  it('rejects book files over the document size limit', async () => {
+    const res = await fetch(`${baseUrl}/api/uploads`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: 'huge.epub', size: 200 * 1024 * 1024 }),
+    });
+    expect(res.status).toBe(413);
+  });
+
+  it('pasted text produces a text session', async () => {
+    parsePlainText.mockImplementation((text, { title } = {}) => ({
+      title: title || 'Pasted Text',
+      author: '',
+      text,
+      chapters: [{ title: '', text }],
+    }));
+
+    const res = await fetch(`${baseUrl}/api/analyze-text`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: CHAPTER_ONE, title: 'Булгаков' }),
+    });
+    expect(res.status).toBe(200);
+    const { sessionId } = await res.json();
+    const complete = await waitForComplete(sessionId);
+
+    expect(complete.contentType).toBe('text');
+    expect(complete.title).toBe('Булгаков');
+    expect(complete.chunks).toHaveLength(1);
+    expect(parsePlainText).toHaveBeenCalledWith(CHAPTER_ONE, { title: 'Булгаков' });
+  });
+
+  it('pasted text accepts bodies over the default JSON limit', async () => {
+    const longText = `${CHAPTER_ONE}\n\n`.repeat(2000);
+    parsePlainText.mockReturnValue({
+      title: 'Pasted Text',
+      author: '',
+      text: longText,
+      chapters: [{ title: '', text: longText }],
+    });
+
+    const res = await fetch(`${baseUrl}/api/analyze-text`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: longText }),
+    });
+    expect(res.status).toBe(200);
+    await waitForComplete((await res.json()).sessionId);
+  });
+
+  it('analyze-text validates input', async () => {
+    const missing = await fetch(`${baseUrl}/api/analyze-text`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({}),
+    });
+    expect(missing.status).toBe(400);
+
+    parsePlainText.mockImplementation(() => {
+      throw new Error('Extracted text is too short — document may not contain readable content');
+    });
+    const tooShort = await fetch(`${baseUrl}/api/analyze-text`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: 'Привет' }),
+    });
+    expect(tooShort.status).toBe(400);
+    expect((await tooShort.json()).error).toMatch(/too short/i);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Y. Per-Session Chunking Options
+// ---------------------------------------------------------------------------
+
+describe('Y. Per-Session Chunking Options', () => {
+  /** Happy-path mocks with 1s pauses between segments so chunk boundaries are free to move */
+  function setupPausedTranscriptMocks(duration) {
+    const transcript = setupHappyPathMocks(duration);
+    transcript.segments.forEach(segment => { segment.end -= 1; });
+    return transcript;
+  }
+
+  async function analyzeWithChunking(url, chunking) {
+    const res = await fetch(`${baseUrl}/api/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url, chunking }),
+    });
+    const { sessionId } = await res.json();
+    const sse = createSSEClient(`${baseUrl}/api/progress/${sessionId}`);
+    try {
+      return { sessionId, completeEvent: await sse.waitForEvent('complete') };
+    } finally {
+      sse.close();
+    }
+  }
+
+  it('analyze uses and stores the requested chunk length', async () => {
+    setupPausedTranscriptMocks(600);
+
+    const { sessionId, completeEvent } = await analyzeWithChunking(
+      'https://ok.ru/video/chunking-' + Date.now(),
+      { targetDuration: 60, minGap: 0.5 },
+    );
+
+    expect(completeEvent.chunks.length).toBeGreaterThanOrEqual(6);
+    completeEvent.chunks.forEach(chunk => expect(chunk.duration).toBeLessThan(120));
+    expect(analysisSessions.get(sessionId).chunking).toEqual({ targetDuration: 60, minGap: 0.5, minFinalDuration: 40 });
+
+    const session = await (await fetch(`${baseUrl}/api/session/${sessionId}`)).json();
+    expect(session.chunking.targetDuration).toBe(60);
+  });
+
+  it('shows about 15 minutes of chunks per batch whatever the chunk length', async () => {
+    setupPausedTranscriptMocks(3600);
+
+    const { completeEvent } = await analyzeWithChunking(
+      'https://ok.ru/video/chunking-batch-' + Date.now(),
+      { targetDuration: 90 },
+    );
+
+    expect(completeEvent.chunks).toHaveLength(10);
+    expect(completeEvent.hasMoreChunks).toBe(true);
+  });
+
+  it('rejects invalid chunking options before starting', async () => {
+    const res = await fetch(`${baseUrl}/api/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: 'https://ok.ru/video/123', chunking: { targetDuration: 5 } }),
+    });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toMatch(/targetDuration/);
+    expect(getOkRuVideoInfo).not.toHaveBeenCalled();
+  });
+
+  it('re-chunks a transcribed session without transcribing again', async () => {
+    setupPausedTranscriptMocks(600);
+    const { sessionId, completeEvent } = await analyzeAndWait('https://ok.ru/video/rechunk-' + Date.now());
+    const session = analysisSessions.get(sessionId);
+    session.chunks[0].status = 'ready';
+    session.chunkTranscripts.set('chunk-0', { words: [], segments: [] });
+    transcribeAudioChunk.mockClear();
+
+    const res = await fetch(`${baseUrl}/api/session/${sessionId}/rechunk`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chunking: { targetDuration: 60 } }),
+    });
+    expect(res.status).toBe(200);
+    const body = await res.json();
+
+    expect(body.chunks.length).toBeGreaterThan(completeEvent.chunks.length);
+    expect(body.chunks.every(chunk => chunk.status === 'pending')).toBe(true);
+    expect(body.chunks[body.chunks.length - 1].endTime)
+      .toBe(completeEvent.chunks[completeEvent.chunks.length - 1].endTime);
+    expect(body.hasMoreChunks).toBe(completeEvent.hasMoreChunks);
+    expect(transcribeAudioChunk).not.toHaveBeenCalled();
+    // Cards and clips saved against the old chunks must not resolve to the new spans
+    expect(body.chunks.map(chunk => chunk.id)).toEqual(body.chunks.map((_, i) => `chunk-${i}-r1`));
+
+    const updated = analysisSessions.get(sessionId);
+    expect(updated.chunking.targetDuration).toBe(60);
+    expect(updated.chunkTranscripts.size).toBe(0);
+  });
+
+  it('rechunk refuses text sessions, busy sessions and bad options', async () => {
+    setupPausedTranscriptMocks(600);
+    const { sessionId } = await analyzeAndWait('https://ok.ru/video/rechunk-busy-' + Date.now());
+    const rechunk = (id, chunking) => fetch(`${baseUrl}/api/session/${id}/rechunk`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chunking }),
+    });
+
+    expect((await rechunk(sessionId, { minGap: 10 })).status).toBe(400);
+
+    analysisSessions.get(sessionId).chunks[0].status = 'downloading';
+    expect((await rechunk(sessionId, { targetDuration: 60 })).status).toBe(409);
+
+    analysisSessions.set('text-session', {
+      status: 'ready',
+      uid: analysisSessions.get(sessionId).uid,
+      contentType: 'text',
+      chunks: [],
+    });
+    expect((await rechunk('text-session', { targetDuration: 60 })).status).toBe(400);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Z. POST /api/translate-sentences
+// ---------------------------------------------------------------------------
+
+describe('Z. POST /api/translate-sentences', () => {
+  const translateSentences = (sentences) => fetch(`${baseUrl}/api/translate-sentences`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sentences }),
+  });
+
+  function mockGoogle(translate) {
+    const originalFetch = globalThis.fetch;
+    return vi.spyOn(globalThis, 'fetch').mockImplementation((url, ...args) => {
+      if (typeof url === 'string' && url.includes('googleapis.com')) {
+        const { q } = JSON.parse(args[0].body);
+        return Promise.resolve({
+          ok: true,
+          json: async () => ({ data: { translations: q.map(text => ({ translatedText: translate(text) })) } }),
+        });
+      }
+      return originalFetch(url, ...args);
+    });
+  }
+
+  const googleCalls = (fetchSpy) => fetchSpy.mock.calls.filter(
+    c => typeof c[0] === 'string' && c[0].includes('googleapis')
+  );
+
+  it('translates sentences in one Google request and keeps input order', async () => {
+    const fetchSpy = mockGoogle(text => `EN(${text})`);
+    try {
+      const res = await translateSentences(['Привет.', 'Как дела?', 'Привет.']);
+      expect(res.status).toBe(200);
+      const body = await res.json();
+      expect(body.translations).toEqual(['EN(Привет.)', 'EN(Как дела?)', 'EN(Привет.)']);
+
+      const calls = googleCalls(fetchSpy);
+      expect(calls.length).toBe(1);
+      // Duplicates are only sent once
+      expect(JSON.parse(calls[0][1].body).q).toEqual(['Привет.', 'Как дела?']);
+      expect(trackCost).toHaveBeenCalledTimes(1);
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  it('only sends and bills uncached sentences', async () => {
+    sentenceTranslationCache.set('ru:Доброе утро.', 'Good morning.');
+    const fetchSpy = mockGoogle(() => 'Thank you.');
+    try {
+      const res = await translateSentences(['Доброе утро.', 'Спасибо.']);
+      const body = await res.json();
+      expect(body.translations).toEqual(['Good morning.', 'Thank you.']);
+      expect(JSON.parse(googleCalls(fetchSpy)[0][1].body).q).toEqual(['Спасибо.']);
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  it('fully cached request does not call Google or track cost', async () => {
+    sentenceTranslationCache.set('ru:Пока.', 'Bye.');
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    try {
+      const res = await translateSentences(['Пока.']);
+      expect(res.status).toBe(200);
+      expect((await res.json()).translations).toEqual(['Bye.']);
+      expect(googleCalls(fetchSpy).length).toBe(0);
+      expect(trackCost).not.toHaveBeenCalled();
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  it('rejects invalid input', async () => {
+    expect((await translateSentences([])).status).toBe(400);
+    expect((await translateSentences('Привет.')).status).toBe(400);
+    expect((await translateSentences(['Привет.', 42])).status).toBe(400);
+    expect((await translateSentences(['а'.repeat(1001)])).status).toBe(400);
+    expect((await translateSentences(Array.from({ length: 51 }, (_, i) => `Фраза ${i}.`))).status).toBe(400);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// AA. GET /api/session/:sessionId/subtitles
+// ---------------------------------------------------------------------------
+
+describe('AA. Subtitle Export', () => {
+  // Two 4-second parts; part 1 is downloaded (lemmatized, chunk-relative times)
+  function setupSubtitleSession(overrides = {}) {
+    const words = [
+      { word: 'Привет,', start: 0.5, end: 1.0 },
+      { word: 'как', start: 1.1, end: 1.4 },
+      { word: 'дела?', start: 1.5, end: 2.0 },
+      { word: 'Всё', start: 4.5, end: 5.0 },
+      { word: 'хорошо.', start: 5.1, end: 6.0 },
+    ];
+    analysisSessions.set('subtitle-session', {
+      status: 'ready',
+      uid: 'test-user',
+      title: 'Тестовое видео',
+      contentType: 'video',
+      transcript: { words, segments: [], language: 'ru', duration: 8 },
+      chunks: [
+        { id: 'chunk-0', index: 0, startTime: 0, endTime: 4, status: 'ready' },
+        { id: 'chunk-1', index: 1, startTime: 4, endTime: 8, status: 'pending' },
+      ],
+      chunkTranscripts: new Map([
+        ['chunk-0', {
+          words: words.slice(0, 3).map((w, i) => ({ ...w, lemma: ['привет', 'как', 'дело'][i] })),
+          segments: [],
+          language: 'ru',
+          duration: 4,
+        }],
+      ]),
+      ...overrides,
+    });
+  }
+
+  const exportSubtitles = (query) => fetch(`${baseUrl}/api/session/subtitle-session/subtitles?${query}`);
+
+  it('exports one chunk as SRT with lemmas', async () => {
+    setupSubtitleSession();
+    const res = await exportSubtitles('format=srt&chunkId=chunk-0&tracks=lemma');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toMatch(/application\/x-subrip/);
+    expect(res.headers.get('content-disposition')).toMatch(/attachment/);
+    expect(res.headers.get('content-disposition')).toContain('Part%201.srt');
+
+    const srt = await res.text();
+    expect(srt).toBe('1\n00:00:00,500 --> 00:00:02,000\nПривет, как дела?\nпривет как дело\n');
+  });
+
+  it('exports a chunk that has not been downloaded yet in chunk time', async () => {
+    setupSubtitleSession();
+    const vtt = await (await exportSubtitles('format=vtt&chunkId=chunk-1')).text();
+    expect(vtt).toBe('WEBVTT\n\n1\n00:00:00.500 --> 00:00:02.000\nВсё хорошо.\n');
+  });
+
+  it('exports the whole session in session time with word timing', async () => {
+    setupSubtitleSession();
+    const res = await exportSubtitles('format=vtt&karaoke=1');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toMatch(/text\/vtt/);
+
+    const vtt = await res.text();
+    expect(vtt).toContain('00:00:00.500 --> 00:00:02.000\nПривет, <00:00:01.100>как <00:00:01.500>дела?\n');
+    expect(vtt).toContain('00:00:04.500 --> 00:00:06.000\nВсё <00:00:05.100>хорошо.\n');
+  });
+
+  it('adds a translation track through the sentence translation cache', async () => {
+    setupSubtitleSession();
+    sentenceTranslationCache.set('ru:Привет, как дела?', 'Hi, how are you?');
+    const originalFetch = globalThis.fetch;
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation((url, ...args) => {
+      if (typeof url === 'string' && url.includes('googleapis.com')) {
+        return Promise.resolve({
+          ok: true,
+          json: async () => ({ data: { translations: [{ translatedText: 'All good.' }] } }),
+        });
+      }
+      return originalFetch(url, ...args);
+    });
+
+    try {
+      const srt = await (await exportSubtitles('format=srt&tracks=translation')).text();
+      expect(srt).toContain('Привет, как дела?\n<i>Hi, how are you?</i>\n');
+      expect(srt).toContain('Всё хорошо.\n<i>All good.</i>\n');
+
+      const googleCalls = fetchSpy.mock.calls.filter(c => typeof c[0] === 'string' && c[0].includes('googleapis'));
+      expect(googleCalls.length).toBe(1);
+      expect(JSON.parse(googleCalls[0][1].body).q).toEqual(['Всё хорошо.']);
+      expect(trackCost).toHaveBeenCalledTimes(1);
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  it('writes stress marks from the dictionary when asked', async () => {
+    setupSubtitleSession();
+    const spellings = { привет: ['приве́т'], дела: ['дела́', 'де́ла'], хорошо: ['хорошо́'] };
+    lookupStress.mockImplementation((word) => spellings[word] ? { stressed: spellings[word][0], variants: spellings[word] } : null);
+
+    try {
+      const srt = await (await exportSubtitles('format=srt&chunkId=chunk-0&stress=1')).text();
+      // One-syllable words stay unmarked
+      expect(srt).toContain('Приве́т, как дела́?\n');
+      expect(lookupStress).toHaveBeenCalledWith('привет', 'привет');
+
+      const vtt = await (await exportSubtitles('format=vtt&karaoke=1&stress=1')).text();
+      expect(vtt).toContain('Всё <00:00:05.100>хорошо́.\n');
+
+      expect(await (await exportSubtitles('format=srt&chunkId=chunk-0')).text()).toContain('Привет, как дела?\n');
+    } finally {
+      lookupStress.mockReturnValue(null);
+    }
+  });
+
+  it('rejects bad options, unknown chunks and whole text sessions', async () => {
+    setupSubtitleSession();
+    expect((await exportSubtitles('format=ass')).status).toBe(400);
+    expect((await exportSubtitles('format=srt&karaoke=1')).status).toBe(400);
+    expect((await exportSubtitles('chunkId=chunk-9')).status).toBe(404);
+
+    setupSubtitleSession({ contentType: 'text' });
+    expect((await exportSubtitles('format=srt')).status).toBe(400);
+    expect((await exportSubtitles('format=srt&chunkId=chunk-1')).status).toBe(400);
+    expect((await exportSubtitles('format=srt&chunkId=chunk-0')).status).toBe(200);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// AB. Subtitle Import
+// ---------------------------------------------------------------------------
+
+describe('AB. Subtitle Import', () => {
+  const SRT = [
+    '1', '00:00:01,000 --> 00:00:04,000', 'Привет, как дела?', '',
+    '2', '00:00:05,000 --> 00:00:08,000', '<i>Всё хорошо.</i>', '',
+  ].join('\n');
+
+  it('uses the captions instead of Whisper and punctuation', async () => {
+    setupHappyPathMocks(300);
+    const { sessionId, completeEvent } = await analyzeAndWait('https://ok.ru/video/subs-' + Date.now(), {
+      body: { subtitles: { content: SRT } },
+    });
+
+    expect(completeEvent.chunks.length).toBeGreaterThan(0);
+    expect(downloadAudioChunk).not.toHaveBeenCalled();
+    expect(transcribeAudioChunk).not.toHaveBeenCalled();
+    expect(addPunctuation).not.toHaveBeenCalled();
+
+    const session = analysisSessions.get(sessionId);
+    expect(session.transcript.words.map(w => w.word.trim())).toEqual(['Привет,', 'как', 'дела?', 'Всё', 'хорошо.']);
+    expect(session.transcript.words[0].start).toBe(1);
+    expect(session.subtitles.align).toBe(false);
+  });
+
+  it('runs Whisper only to refine timings when align is set', async () => {
+    setupHappyPathMocks(300);
+    transcribeAudioChunk.mockResolvedValue({
+      words: [
+        { word: ' привет', start: 1.2, end: 1.6 },
+        { word: ' как', start: 1.7, end: 1.9 },
+        { word: ' дела', start: 2.0, end: 2.5 },
+        { word: ' всё', start: 5.3, end: 5.6 },
+        { word: ' хорошо', start: 5.7, end: 6.2 },
+      ],
+      segments: [],
+      language: 'ru',
+      duration: 300,
+    });
+
+    const { sessionId } = await analyzeAndWait('https://ok.ru/video/subs-align-' + Date.now(), {
+      body: { subtitles: { content: SRT, align: true } },
+    });
+
+    expect(downloadAudioChunk).toHaveBeenCalled();
+    expect(transcribeAudioChunk).toHaveBeenCalled();
+    expect(addPunctuation).not.toHaveBeenCalled();
+
+    const words = analysisSessions.get(sessionId).transcript.words;
+    // Caption text is kept, Whisper timings are used
+    expect(words.map(w => w.word.trim())).toEqual(['Привет,', 'как', 'дела?', 'Всё', 'хорошо.']);
+    expect(words[0].start).toBe(1.2);
+    expect(words[3].start).toBe(5.3);
+  });
+
+  it('rejects malformed subtitles and lib.ru URLs', async () => {
+    const analyze = (body) => fetch(`${baseUrl}/api/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    const empty = await analyze({ url: 'https://ok.ru/video/1', subtitles: { content: 'not subtitles' } });
+    expect(empty.status).toBe(400);
+    expect((await empty.json()).error).toMatch(/No subtitle cues/);
+
+    expect((await analyze({ url: 'https://ok.ru/video/1', subtitles: 'text' })).status).toBe(400);
+
+    isLibRuUrl.mockReturnValueOnce(true).mockReturnValueOnce(true);
+    const libRu = await analyze({ url: 'http://lib.ru/book.txt', subtitles: { content: SRT } });
+    expect(libRu.status).toBe(400);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// AC. Read-aloud Voice Options
+// ---------------------------------------------------------------------------
+
+describe('AC. Read-aloud Voice Options', () => {
+  const TEXT = '— Здравствуйте, — сказал Воланд. — Вы литераторы?';
+
+  async function analyzeText(body) {
+    return fetch(`${baseUrl}/api/analyze-text`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: TEXT, ...body }),
+    });
+  }
+
+  it('lists the provider voices', async () => {
+    const res = await fetch(`${baseUrl}/api/tts/voices`);
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body).toMatchObject({ provider: 'openai', defaultVoice: 'nova', minSpeed: 0.5, maxSpeed: 1.5 });
+    expect(body.voices).toContain('onyx');
+  });
+
+  it('stores the chosen voice on the session and reads chunks with it', async () => {
+    setupHappyPathMocks();
+    parsePlainText.mockImplementation((text) => ({ title: 'Pasted Text', author: '', text, chapters: [{ title: '', text }] }));
+    generateTtsAudio.mockImplementation(async (text, audioPath) => {
+      fs.writeFileSync(audioPath, 'fake-tts-audio');
+    });
+    lemmatizeWords.mockImplementation(async (t) => t);
+
+    const res = await analyzeText({ tts: { voice: 'onyx', speed: 1.25, dialogueVoice: 'shimmer' } });
+    expect(res.status).toBe(200);
+    const { sessionId } = await res.json();
+    const sse = createSSEClient(`${baseUrl}/api/progress/${sessionId}`);
+    let complete;
+    try {
+      complete = await sse.waitForEvent('complete');
+    } finally {
+      sse.close();
+    }
+    expect(analysisSessions.get(sessionId).tts).toEqual({ voice: 'onyx', speed: 1.25, dialogueVoice: 'shimmer' });
+
+    const dlRes = await fetch(`${baseUrl}/api/download-chunk`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId, chunkId: complete.chunks[0].id }),
+    });
+    expect(dlRes.status).toBe(200);
+    expect(generateTtsAudio).toHaveBeenCalledWith(TEXT, expect.any(String), expect.objectContaining({
+      voice: 'onyx',
+      speed: 1.25,
+      dialogueVoice: 'shimmer',
+    }));
+  });
+
+  it('rejects unknown voices and out-of-range speeds', async () => {
+    const badVoice = await analyzeText({ tts: { voice: 'darth' } });
+    expect(badVoice.status).toBe(400);
+    expect((await badVoice.json()).error).toMatch(/tts.voice must be one of/);
+
+    const tooFast = await analyzeText({ tts: { speed: 3 } });
+    expect(tooFast.status).toBe(400);
+    expect((await tooFast.json()).error).toMatch(/tts.speed/);
+
+    expect((await analyzeText({ tts: 'nova' })).status).toBe(400);
+  });
+});
+
+// ===========================================================================
+// AD. Anki Deck Export
+// ===========================================================================
+
+describe('AD. Anki Deck Export', () => {
+  const card = (word, overrides = {}) => ({
+    id: word,
+    word,
+    translation: `${word} (en)`,
+    sourceLanguage: 'ru',
+    easeFactor: 2.5,
+    interval: 0,
+    repetition: 0,
+    nextReviewDate: new Date().toISOString(),
+    addedAt: new Date().toISOString(),
+    lastReviewedAt: null,
+    ...overrides,
+  });
+
+  const exportDeck = (body) => fetch(`${baseUrl}/api/deck/apkg`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  it('returns an .apkg with a clip for cards heard in the user\'s own chunks', async () => {
+    const mediaPath = path.join(os.tmpdir(), `apkg-test-chunk-${process.pid}.mp4`);
+    fs.writeFileSync(mediaPath, 'video');
+    localSessions.set('video_clip-session_chunk-0', mediaPath);
+    analysisSessions.set('clip-session', {
+      status: 'ready',
+      uid: 'test-user',
+      contentType: 'video',
+      chunks: [{ id: 'chunk-0', index: 0, startTime: 0, endTime: 60, status: 'ready' }],
+    });
+    analysisSessions.set('clip-other', {
+      status: 'ready',
+      uid: 'other-user',
+      contentType: 'video',
+      chunks: [{ id: 'chunk-0', index: 0, startTime: 0, endTime: 60, status: 'ready' }],
+    });
+    extractAudioClip.mockImplementation(async (input, outputPath) => {
+      fs.writeFileSync(outputPath, 'mp3');
+      return { size: 3 };
+    });
+
+    try {
+      const res = await exportDeck({
+        cards: [
+          card('книгу', { source: { sessionId: 'clip-session', chunkId: 'chunk-0', start: 1.5, end: 2 } }),
+          card('дом', { source: { sessionId: 'clip-other', chunkId: 'chunk-0', start: 1, end: 2 } }),
+          card('кот'),
+          // A whole chunk passed off as a word
+          card('сон', { source: { sessionId: 'clip-session', chunkId: 'chunk-0', start: 0, end: 60 } }),
+        ],
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-disposition')).toMatch(/attachment; filename="russian-deck-.*\.apkg"/);
+      expect(extractAudioClip).toHaveBeenCalledTimes(1);
+      expect(extractAudioClip).toHaveBeenCalledWith(mediaPath, expect.stringMatching(/\.mp3$/), 1.5, 2);
+
+      const zip = readZip(Buffer.from(await res.arrayBuffer()));
+      const media = JSON.parse(zip.readText('media'));
+      expect(Object.keys(media)).toEqual(['0']);
+      expect(zip.readText('0')).toBe('mp3');
+      expect(zip.read('collection.anki2').length).toBeGreaterThan(0);
+    } finally {
+      extractAudioClip.mockReset();
+      fs.rmSync(mediaPath, { force: true });
+    }
+  });
+
+  it('exports cards without audio when the clip cannot be cut', async () => {
+    analysisSessions.set('clip-gone', {
+      status: 'ready',
+      uid: 'test-user',
+      contentType: 'video',
+      chunks: [{ id: 'chunk-0', index: 0, startTime: 0, endTime: 60, status: 'ready' }],
+    });
+    const res = await exportDeck({ cards: [card('книгу', { source: { sessionId: 'clip-gone', chunkId: 'chunk-0', start: 1, end: 2 } })] });
+
+    expect(res.status).toBe(200);
+    expect(extractAudioClip).not.toHaveBeenCalled();
+    const zip = readZip(Buffer.from(await res.arrayBuffer()));
+    expect(JSON.parse(zip.readText('media'))).toEqual({});
+  });
+
+  it('validates the cards', async () => {
+    expect((await exportDeck({})).status).toBe(400);
+    expect((await exportDeck({ cards: [] })).status).toBe(400);
+    const res = await exportDeck({ cards: [{ id: 'x', word: 'x' }] });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toMatch(/id, word and translation/);
+  });
+});
+
+// ===========================================================================
+// AE. Anki Deck Import
+// ===========================================================================
+
+describe('AE. Anki Deck Import', () => {
+  const importAnki = (body) => fetch(`${baseUrl}/api/deck/import-anki`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body,
+  });
+
+  it('reads the notes and scheduling of a package', async () => {
+    const nextReviewDate = new Date(Date.now() + 4 * 24 * 60 * 60 * 1000).toISOString();
+    const apkg = await buildApkg([{
+      id: 'книгу',
+      word: 'книгу',
+      stressedWord: 'кни́гу',
+      translation: 'book',
+      easeFactor: 2.2,
+      interval: 4,
+      repetition: 2,
+      nextReviewDate,
+      addedAt: new Date().toISOString(),
+      lastReviewedAt: new Date().toISOString(),
+    }]);
+
+    const res = await importAnki(apkg);
+
+    expect(res.status).toBe(200);
+    const { cards } = await res.json();
+    expect(cards).toHaveLength(1);
+    expect(cards[0]).toMatchObject({ word: 'книгу', stressedWord: 'кни́гу', translation: 'book', easeFactor: 2.2, interval: 4, repetition: 2 });
+    expect(cards[0].nextReviewDate.slice(0, 10)).toBe(nextReviewDate.slice(0, 10));
+  });
+
+  it('rejects files that are not Anki packages', async () => {
+    const res = await importAnki('word,translation');
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toMatch(/Not an Anki package/);
+
+    expect((await importAnki(new Uint8Array())).status).toBe(400);
+  });
+
+  it('rejects a small package whose collection inflates past the cap', async () => {
+    const bomb = writeZip({ 'collection.anki2': Buffer.alloc(MAX_ENTRY_BYTES + 1) });
+    expect(bomb.length).toBeLessThan(1024 * 1024);
+
+    const res = await importAnki(bomb);
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toMatch(/too large to import/);
+  });
+});
+
+// ===========================================================================
+// AF. Flashcard Word Clips
+// ===========================================================================
+
+describe('AF. Flashcard Word Clips', () => {
+  const cutClip = (sessionId, body) => fetch(`${baseUrl}/api/session/${sessionId}/clips`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const readySession = (uid) => ({
+    status: 'ready',
+    uid,
+    contentType: 'text',
+    chunks: [{ id: 'chunk-0', index: 0, status: 'ready' }],
+  });
+
+  it('cuts a word clip once and serves it from the session', async () => {
+    const mediaPath = path.join(os.tmpdir(), `clip-test-chunk-${process.pid}.mp3`);
+    fs.writeFileSync(mediaPath, 'audio');
+    localSessions.set('audio_word-clip_chunk-0', mediaPath);
+    analysisSessions.set('word-clip', readySession('test-user'));
+    extractAudioClip.mockImplementation(async (input, outputPath) => {
+      fs.writeFileSync(outputPath, 'mp3');
+      return { size: 3 };
+    });
+
+    try {
+      const res = await cutClip('word-clip', { chunkId: 'chunk-0', start: 1.7, end: 2 });
+      expect(res.status).toBe(200);
+      expect(await res.json()).toEqual({
+        clip: 'chunk-0_1700-2000.mp3',
+        url: '/api/local-audio/word-clip_chunk-0_1700-2000.mp3',
+      });
+      expect(extractAudioClip).toHaveBeenCalledWith(mediaPath, expect.stringMatching(/chunk-0_1700-2000\.mp3$/), 1.7, 2);
+
+      expect((await cutClip('word-clip', { chunkId: 'chunk-0', start: 1.7, end: 2 })).status).toBe(200);
+      expect(extractAudioClip).toHaveBeenCalledTimes(1);
+      expect(analysisSessions.get('word-clip').clips).toEqual(['chunk-0_1700-2000.mp3']);
+
+      const lookup = await fetch(`${baseUrl}/api/session/word-clip/clips/chunk-0_1700-2000.mp3`);
+      expect(await lookup.json()).toEqual({ url: '/api/local-audio/word-clip_chunk-0_1700-2000.mp3' });
+      const audio = await fetch(`${baseUrl}/api/local-audio/word-clip_chunk-0_1700-2000.mp3`);
+      expect(await audio.text()).toBe('mp3');
+
+      expect((await fetch(`${baseUrl}/api/session/word-clip/clips/chunk-0_1-2.mp3`)).status).toBe(404);
+    } finally {
+      extractAudioClip.mockReset();
+      fs.rmSync(mediaPath, { force: true });
+      const clipPath = localSessions.get('audio_word-clip_chunk-0_1700-2000');
+      if (clipPath) fs.rmSync(clipPath, { force: true });
+    }
+  });
+
+  it('shares one cut between concurrent requests for the same clip', async () => {
+    const mediaPath = path.join(os.tmpdir(), `clip-test-concurrent-${process.pid}.mp3`);
+    fs.writeFileSync(mediaPath, 'audio');
+    localSessions.set('audio_word-clip-twice_chunk-0', mediaPath);
+    analysisSessions.set('word-clip-twice', readySession('test-user'));
+    let finishCut;
+    extractAudioClip.mockImplementation(async (input, outputPath) => {
+      await new Promise(resolve => { finishCut = resolve; });
+      fs.writeFileSync(outputPath, 'mp3');
+      return { size: 3 };
+    });
+
+    try {
+      const first = cutClip('word-clip-twice', { chunkId: 'chunk-0', start: 1, end: 2 });
+      await vi.waitFor(() => expect(extractAudioClip).toHaveBeenCalled());
+      const second = cutClip('word-clip-twice', { chunkId: 'chunk-0', start: 1, end: 2 });
+      // Give the second request time to reach the handler before the cut finishes
+      await new Promise(resolve => setTimeout(resolve, 50));
+      finishCut();
+
+      const responses = await Promise.all([first, second]);
+      expect(responses.map(res => res.status)).toEqual([200, 200]);
+      expect(extractAudioClip).toHaveBeenCalledTimes(1);
+      expect(analysisSessions.get('word-clip-twice').clips).toEqual(['chunk-0_1000-2000.mp3']);
+    } finally {
+      extractAudioClip.mockReset();
+      fs.rmSync(mediaPath, { force: true });
+      const clipPath = localSessions.get('audio_word-clip-twice_chunk-0_1000-2000');
+      if (clipPath) fs.rmSync(clipPath, { force: true });
+    }
+  });
+
+  it('validates the span and the chunk', async () => {
+    analysisSessions.set('word-clip-bad', readySession('test-user'));
+
+    expect((await cutClip('word-clip-bad', { chunkId: 'chunk-0', start: 2, end: 1 })).status).toBe(400);
+    const tooLong = await cutClip('word-clip-bad', { chunkId: 'chunk-0', start: 0, end: 45 });
+    expect(tooLong.status).toBe(400);
+    expect((await tooLong.json()).error).toMatch(/at most 30 seconds/);
+    expect((await cutClip('word-clip-bad', { chunkId: 'chunk-0', start: 1, end: 2 })).status).toBe(404);
+    expect(extractAudioClip).not.toHaveBeenCalled();
+  });
+
+  it('only cuts clips from the user\'s own sessions', async () => {
+    analysisSessions.set('word-clip-other', readySession('other-user'));
+
+    expect((await cutClip('word-clip-other', { chunkId: 'chunk-0', start: 1, end: 2 })).status).toBe(403);
+  });
+});
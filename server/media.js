@@ -10,13 +10,22 @@ export { stripPunctuation, editDistance, isFuzzyMatch, estimateWordTimestamps, a
 export { BROWSER_UA, createHeartbeat } from './media/progress-utils.js';
 
 // Download (yt-dlp, ffmpeg)
-export { getOkRuVideoInfo, downloadAudioChunk, downloadVideoChunk, getAudioDuration } from './media/download.js';
+export { getOkRuVideoInfo, downloadAudioChunk, downloadVideoChunk, getAudioDuration, extractAudioSegment, extractAudioClip, sliceMediaFile, concatAudioFiles } from './media/download.js';
 
 // Transcription (Whisper, GPT-4o)
-export { transcribeAudioChunk, addPunctuation, lemmatizeWords } from './media/transcription.js';
+export { transcribeAudioChunk, addPunctuation, lemmatizeWords, accentuateWords, tagWords } from './media/transcription.js';
+
+// Speech-to-text provider selection (STT_PROVIDER)
+export { getSttProvider, createSttProvider, STT_PROVIDER_IDS } from './media/stt-providers.js';
 
 // Text extraction (lib.ru)
 export { isLibRuUrl, fetchLibRuText } from './media/text-extraction.js';
 
+// Document extraction (FB2, EPUB, plain text)
+export { parseFb2, parseEpub, parsePlainText, extractDocument } from './media/document-extraction.js';
+
 // TTS + alignment
-export { generateTtsAudio, transcribeAndAlignTTS } from './media/tts.js';
+export { generateTtsAudio, transcribeAndAlignTTS, splitDialogue } from './media/tts.js';
+
+// Text-to-speech provider selection (TTS_PROVIDER) and per-session voice options
+export { getTtsProvider, createTtsProvider, parseTtsOptions, TTS_PROVIDER_IDS, MIN_TTS_SPEED, MAX_TTS_SPEED } from './media/tts-providers.js';
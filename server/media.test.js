@@ -1,9 +1,14 @@
-import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import {
   createHeartbeat, editDistance, isFuzzyMatch, stripPunctuation,
   isLibRuUrl, estimateWordTimestamps, alignWhisperToOriginal, addPunctuation,
-  transcribeAndAlignTTS,
+  lemmatizeWords, accentuateWords, tagWords, transcribeAndAlignTTS,
 } from './media.js';
+import { initDictionary, _resetForTesting } from './dictionary.js';
 
 // Shared mocks for OpenAI — vi.hoisted runs before vi.mock
 const { mockChatCreate, mockTranscriptionsCreate } = vi.hoisted(() => ({
@@ -625,6 +630,197 @@ describe('addPunctuation', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// lemmatizeWords
+// ---------------------------------------------------------------------------
+
+describe('lemmatizeWords', () => {
+  const transcript = {
+    words: [
+      { word: 'Люди', start: 0, end: 0.5 },
+      { word: ' читают', start: 0.5, end: 1.0 },
+      { word: ' книгу,', start: 1.0, end: 1.5 },
+      { word: ' книгу.', start: 1.5, end: 2.0 },
+    ],
+    segments: [],
+    language: 'ru',
+    duration: 2,
+  };
+
+  beforeAll(async () => {
+    // Fixture dictionary: человек (pl. люди), книга, ... but no читать
+    _resetForTesting();
+    await initDictionary(path.join(path.dirname(fileURLToPath(import.meta.url)), 'test-fixtures', 'openrussian'));
+  });
+
+  beforeEach(() => {
+    mockChatCreate.mockReset();
+  });
+
+  it('resolves dictionary words locally and sends only the rest to GPT-4o', async () => {
+    mockChatCreate.mockResolvedValue({
+      choices: [{ message: { content: '{"читают": "читать"}' } }],
+    });
+
+    const result = await lemmatizeWords(transcript, { apiKey: 'test-key' });
+
+    expect(mockChatCreate).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(mockChatCreate.mock.calls[0][0].messages[1].content)).toEqual(['читают']);
+    expect(result.words.map(w => [w.lemma, w.lemmaSource])).toEqual([
+      ['человек', 'dictionary'],
+      ['читать', 'llm'],
+      ['книга', 'dictionary'],
+      ['книга', 'dictionary'],
+    ]);
+  });
+
+  it('skips GPT-4o when every word is in the dictionary', async () => {
+    const result = await lemmatizeWords({ ...transcript, words: [transcript.words[2]] }, { apiKey: 'test-key' });
+
+    expect(mockChatCreate).not.toHaveBeenCalled();
+    expect(result.words[0]).toMatchObject({ lemma: 'книга', lemmaSource: 'dictionary', stressed: ' кни́гу,' });
+  });
+
+  describe('with homographs', () => {
+    let dataDir;
+
+    beforeAll(async () => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lemmatize-test-'));
+      fs.writeFileSync(path.join(dataDir, 'nouns.csv'),
+        'bare\taccented\ttranslations_en\tsg_nom\tsg_gen\n' +
+        "сталь\tста'ль\tsteel\tста'ль\tста'ли\n");
+      fs.writeFileSync(path.join(dataDir, 'verbs.csv'),
+        'bare\taccented\ttranslations_en\tpast_pl\n' +
+        "стать\tста'ть\tbecome\tста'ли\n");
+      fs.writeFileSync(path.join(dataDir, 'others.csv'),
+        'bare\taccented\ttranslations_en\n' +
+        "мы\tмы'\twe\nиз\tи'з\tfrom\n");
+      _resetForTesting();
+      await initDictionary(dataDir);
+    });
+
+    afterAll(async () => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      _resetForTesting();
+      await initDictionary(path.join(path.dirname(fileURLToPath(import.meta.url)), 'test-fixtures', 'openrussian'));
+    });
+
+    const words = [
+      { word: 'Мы', start: 0, end: 0.3 },
+      { word: ' стали', start: 0.3, end: 0.8 },
+      { word: ' из', start: 0.8, end: 1.0 },
+      { word: ' стали.', start: 1.0, end: 1.5 },
+    ];
+
+    it('ranks each occurrence by its neighbours with GPT-4o as the tiebreak', async () => {
+      mockChatCreate.mockResolvedValue({
+        choices: [{ message: { content: '{"стали": "стать"}' } }],
+      });
+
+      const result = await lemmatizeWords({ ...transcript, words }, { apiKey: 'test-key' });
+
+      expect(JSON.parse(mockChatCreate.mock.calls[0][0].messages[1].content)).toEqual(['стали']);
+      expect(result.words[1]).toMatchObject({ lemma: 'стать', lemmaSource: 'llm' });
+      expect(result.words[3]).toMatchObject({ lemma: 'сталь' });
+    });
+
+    it('ranks from context alone without an API key', async () => {
+      const result = await lemmatizeWords({ ...transcript, words }, { apiKey: '' });
+
+      expect(mockChatCreate).not.toHaveBeenCalled();
+      expect(result.words.map(w => [w.lemma, w.lemmaSource])).toEqual([
+        ['мы', 'dictionary'],
+        ['стать', 'dictionary'],
+        ['из', 'dictionary'],
+        ['сталь', 'dictionary'],
+      ]);
+    });
+  });
+
+  it('keeps dictionary lemmas without an API key', async () => {
+    const result = await lemmatizeWords(transcript, { apiKey: '' });
+
+    expect(mockChatCreate).not.toHaveBeenCalled();
+    expect(result.words[0].lemma).toBe('человек');
+    expect(result.words[1]).not.toHaveProperty('lemma');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// accentuateWords
+// ---------------------------------------------------------------------------
+
+describe('accentuateWords', () => {
+  const spellings = {
+    книгу: ['кни́гу'],
+    руки: ['ру́ки', 'руки́'],
+    мы: ['мы́'],
+  };
+  const lookup = vi.fn((word) => spellings[word] ? { stressed: spellings[word][0], variants: spellings[word] } : null);
+
+  it('puts the stress into the surface word, keeping punctuation and case', () => {
+    const words = accentuateWords([
+      { word: '«Книгу,', start: 0, end: 1, lemma: 'книга' },
+      { word: ' КНИГУ!»', start: 1, end: 2 },
+    ], { lookup });
+
+    expect(words.map(w => w.stressed)).toEqual(['«Кни́гу,', ' КНИ́ГУ!»']);
+    expect(lookup).toHaveBeenCalledWith('книгу', 'книга');
+    expect(words[0]).not.toHaveProperty('stressVariants');
+  });
+
+  it('flags forms that can be stressed more than one way', () => {
+    const [word] = accentuateWords([{ word: ' руки', start: 0, end: 1 }], { lookup });
+    expect(word).toMatchObject({ stressed: ' ру́ки', stressVariants: ['ру́ки', 'руки́'] });
+  });
+
+  it('leaves one-syllable and unknown words unmarked and drops stale marks', () => {
+    const words = accentuateWords([
+      { word: 'Мы', start: 0, end: 1 },
+      { word: ' абракадабра', start: 1, end: 2, stressed: ' абракада́бра', stressVariants: ['x', 'y'] },
+    ], { lookup });
+
+    expect(words).toEqual([
+      { word: 'Мы', start: 0, end: 1 },
+      { word: ' абракадабра', start: 1, end: 2 },
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// tagWords
+// ---------------------------------------------------------------------------
+
+describe('tagWords', () => {
+  const tags = {
+    книгой: [{ pos: 'noun', case: 'inst', number: 'sg' }],
+    сказал: [{ pos: 'verb', tense: 'past', number: 'sg', gender: 'm', aspect: 'perfective' }],
+  };
+  const lookup = vi.fn((word) => tags[word] || []);
+
+  it('attaches the readings of the bare lowercase word for its lemma', () => {
+    const words = tagWords([
+      { word: '«Книгой,', start: 0, end: 1, lemma: 'книга' },
+      { word: ' сказал', start: 1, end: 2 },
+    ], { lookup });
+
+    expect(words.map(w => w.morph)).toEqual([tags.книгой, tags.сказал]);
+    expect(lookup).toHaveBeenCalledWith('книгой', 'книга');
+  });
+
+  it('leaves unknown words untagged and drops stale tags', () => {
+    const words = tagWords([
+      { word: ' абракадабра', start: 0, end: 1, morph: [{ pos: 'noun' }] },
+      { word: ' —', start: 1, end: 2 },
+    ], { lookup });
+
+    expect(words).toEqual([
+      { word: ' абракадабра', start: 0, end: 1 },
+      { word: ' —', start: 1, end: 2 },
+    ]);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // transcribeAndAlignTTS
 // ---------------------------------------------------------------------------
@@ -0,0 +1,385 @@
+/**
+ * Text extraction from book files (FB2, EPUB, plain text) and pasted text.
+ * Everything resolves to the same { title, author, text } shape as fetchLibRuText,
+ * plus a `chapters` array so chunking can keep chapter boundaries.
+ */
+import path from 'path';
+import { readZip } from './zip.js';
+import { decodeLegacyCyrillic } from './text-extraction.js';
+
+const MIN_DOCUMENT_CHARS = 50;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  laquo: '«', raquo: '»', mdash: '—', ndash: '–', hellip: '…', shy: '',
+};
+
+/**
+ * Decode XML/HTML character references (named subset + numeric).
+ * @param {string} str
+ * @returns {string}
+ */
+export function decodeEntities(str) {
+  return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[ref.toLowerCase()] ?? match;
+  });
+}
+
+/** Strip tags, decode entities and collapse whitespace in an inline fragment. */
+function cleanInline(fragment) {
+  if (!fragment) return '';
+  return decodeEntities(fragment.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/** Parse `key="value"` pairs out of a start tag. */
+function parseAttributes(tag) {
+  const attrs = {};
+  for (const [, key, , value] of tag.matchAll(/([\w:-]+)\s*=\s*(["'])(.*?)\2/g)) {
+    attrs[key.toLowerCase()] = value;
+  }
+  return attrs;
+}
+
+/**
+ * Decode an XML buffer using its BOM or `<?xml encoding="..."?>` declaration.
+ * FB2 files from Russian libraries are frequently windows-1251.
+ */
+function decodeXmlBuffer(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return buffer.toString('utf8', 3);
+  }
+  const declared = buffer.toString('latin1', 0, 200).match(/encoding\s*=\s*["']([\w-]+)["']/i);
+  const encoding = declared ? declared[1].toLowerCase() : 'utf-8';
+  try {
+    return new TextDecoder(encoding).decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+}
+
+/**
+ * Turn raw { title, paragraphs } sections into chapters.
+ * A section with a title but no text (e.g. "Часть первая" wrapping its chapters)
+ * is folded into the next chapter's title instead of becoming an empty chunk.
+ */
+function finalizeChapters(sections) {
+  const chapters = [];
+  let pendingTitle = '';
+  for (const section of sections) {
+    const title = [pendingTitle, section.title].filter(Boolean).join('. ');
+    if (section.paragraphs.length === 0) {
+      pendingTitle = title;
+      continue;
+    }
+    chapters.push({ title, text: section.paragraphs.join('\n\n') });
+    pendingTitle = '';
+  }
+  return chapters;
+}
+
+/** Assemble the final document, with chapter titles as their own paragraphs in `text`. */
+function buildDocument(title, author, chapters) {
+  const text = chapters
+    .map(c => (c.title ? `${c.title}\n\n${c.text}` : c.text))
+    .join('\n\n')
+    .trim();
+
+  if (text.length < MIN_DOCUMENT_CHARS) {
+    throw new Error('Extracted text is too short — document may not contain readable content');
+  }
+
+  return { title, author, text, chapters };
+}
+
+const FB2_TEXT_TAGS = new Set(['p', 'v', 'subtitle', 'text-author']);
+
+/**
+ * Walk an FB2 <body>, starting a new section at every <section> and collecting
+ * <title> text and paragraph-level elements (prose, verse lines, subtitles).
+ * Text that follows a nested section belongs to the section still open around it,
+ * and is kept after the nested one as an untitled continuation.
+ */
+function fb2BodyToSections(bodyXml) {
+  // Footnote references ("[12]") would be read aloud by TTS
+  const xml = bodyXml
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<a\b[^>]*type\s*=\s*["']note["'][^>]*>[\s\S]*?<\/a>/gi, '');
+
+  const sections = [];
+  const open = [];
+  let titleDepth = 0;
+  let titleParts = [];
+  let paragraph = null;
+
+  for (const [, closing, rawName, selfClosing, text] of xml.matchAll(/<(\/?)([\w:-]+)[^>]*?(\/?)>|([^<]+)/g)) {
+    if (text !== undefined) {
+      if (paragraph !== null) paragraph += text;
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+    if (name === 'section' && !selfClosing) {
+      if (closing) {
+        open.pop();
+      } else {
+        const section = { title: '', paragraphs: [] };
+        sections.push(section);
+        open.push(section);
+      }
+    } else if (name === 'title' && !selfClosing) {
+      if (!closing) {
+        titleDepth++;
+        titleParts = [];
+      } else {
+        titleDepth--;
+        // A <title> directly in <body> repeats the book title — skip it
+        if (open.length > 0) open[open.length - 1].title = titleParts.join('. ');
+      }
+    } else if (FB2_TEXT_TAGS.has(name) && !selfClosing) {
+      if (!closing) {
+        paragraph = '';
+      } else if (paragraph !== null) {
+        const cleaned = cleanInline(paragraph);
+        paragraph = null;
+        if (!cleaned) continue;
+        if (titleDepth > 0) {
+          titleParts.push(cleaned);
+        } else {
+          let current = open[open.length - 1];
+          if (!current || current !== sections[sections.length - 1]) {
+            // Text directly in <body>, or after a nested section has closed
+            current = { title: '', paragraphs: [] };
+            sections.push(current);
+            open[Math.max(open.length - 1, 0)] = current;
+          }
+          current.paragraphs.push(cleaned);
+        }
+      }
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Parse an FB2 (FictionBook 2) XML file.
+ * @param {Buffer} buffer - Raw .fb2 file
+ * @returns {{title: string, author: string, text: string, chapters: Array<{title: string, text: string}>}}
+ */
+export function parseFb2(buffer) {
+  const xml = decodeXmlBuffer(buffer);
+  if (!/<FictionBook\b/i.test(xml)) {
+    throw new Error('Not a valid FB2 file');
+  }
+
+  const titleInfo = xml.match(/<title-info>([\s\S]*?)<\/title-info>/i)?.[1] || '';
+  const title = cleanInline(titleInfo.match(/<book-title>([\s\S]*?)<\/book-title>/i)?.[1]) || 'Untitled';
+
+  let author = '';
+  const authorXml = titleInfo.match(/<author>([\s\S]*?)<\/author>/i)?.[1];
+  if (authorXml) {
+    const part = (tag) => cleanInline(authorXml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'i'))?.[1]);
+    author = ['first-name', 'middle-name', 'last-name'].map(part).filter(Boolean).join(' ') || part('nickname');
+  }
+
+  // The main text is the first <body> that isn't the notes/comments body
+  const bodies = [...xml.matchAll(/<body\b([^>]*)>([\s\S]*?)<\/body>/gi)];
+  const main = bodies.find(([, attrs]) => !parseAttributes(attrs).name) || bodies[0];
+  if (!main) {
+    throw new Error('FB2 file has no <body>');
+  }
+
+  const chapters = finalizeChapters(fb2BodyToSections(main[2]));
+  console.log(`[Document] FB2 "${title}" by ${author || 'unknown'}: ${chapters.length} chapters`);
+  return buildDocument(title, author, chapters);
+}
+
+/**
+ * Split an (X)HTML document into sections at <h1>–<h3> headings.
+ * Text before the first heading becomes an untitled section.
+ */
+function htmlToSections(html) {
+  const body = (html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html)
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ');
+
+  // Mark headings, turn block boundaries into blank lines, then strip the rest
+  const HEADING = '\u0001';
+  const text = body
+    .replace(/<h([1-3])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (m, level, inner) => `\n\n${HEADING}${cleanInline(inner)}\n\n`)
+    .replace(/<\/?(p|div|li|blockquote|section|tr|h[4-6])\b[^>]*>|<br\s*\/?>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  const sections = [];
+  let current = null;
+  for (const block of text.split(/\n\s*\n/)) {
+    const isHeading = block.trimStart().startsWith(HEADING);
+    const cleaned = decodeEntities(block.replace(HEADING, '')).replace(/\s+/g, ' ').trim();
+    if (isHeading) {
+      current = { title: cleaned, paragraphs: [] };
+      sections.push(current);
+    } else if (cleaned) {
+      if (!current) {
+        current = { title: '', paragraphs: [] };
+        sections.push(current);
+      }
+      current.paragraphs.push(cleaned);
+    }
+  }
+  return sections;
+}
+
+/** Map spine hrefs to table-of-contents labels (EPUB 2 NCX or EPUB 3 nav document). */
+function readTocLabels(zip, manifest, baseDir) {
+  const labels = new Map();
+  const add = (href, label, tocDir) => {
+    const key = path.posix.join(tocDir, decodeURIComponent(href.split('#')[0]));
+    if (label && !labels.has(key)) labels.set(key, label);
+  };
+
+  for (const item of manifest.values()) {
+    const isNcx = item['media-type'] === 'application/x-dtbncx+xml';
+    const isNav = (item.properties || '').split(/\s+/).includes('nav');
+    if (!isNcx && !isNav) continue;
+
+    const tocPath = path.posix.join(baseDir, decodeURIComponent(item.href));
+    const toc = zip.readText(tocPath);
+    if (!toc) continue;
+    const tocDir = path.posix.dirname(tocPath);
+
+    if (isNcx) {
+      for (const [, label, src] of toc.matchAll(/<navLabel>\s*<text>([\s\S]*?)<\/text>\s*<\/navLabel>\s*<content\s+src\s*=\s*["']([^"']+)["']/gi)) {
+        add(src, cleanInline(label), tocDir);
+      }
+    } else {
+      for (const [, href, label] of toc.matchAll(/<a\b[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+        add(href, cleanInline(label), tocDir);
+      }
+    }
+  }
+  return labels;
+}
+
+/**
+ * Parse an EPUB: follow META-INF/container.xml to the OPF package, then read
+ * the spine documents in reading order. Each spine item starts a new chapter;
+ * <h1>–<h3> headings inside an item start further chapters.
+ * @param {Buffer} buffer - Raw .epub file
+ * @returns {{title: string, author: string, text: string, chapters: Array<{title: string, text: string}>}}
+ */
+export function parseEpub(buffer) {
+  const zip = readZip(buffer);
+
+  const container = zip.readText('META-INF/container.xml');
+  const opfPath = container?.match(/full-path\s*=\s*["']([^"']+)["']/i)?.[1];
+  if (!opfPath) {
+    throw new Error('EPUB is missing META-INF/container.xml');
+  }
+  const opf = zip.readText(opfPath);
+  if (!opf) {
+    throw new Error(`EPUB package file not found: ${opfPath}`);
+  }
+  const baseDir = path.posix.dirname(opfPath);
+
+  const title = cleanInline(opf.match(/<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/i)?.[1]) || 'Untitled';
+  const author = cleanInline(opf.match(/<dc:creator\b[^>]*>([\s\S]*?)<\/dc:creator>/i)?.[1]);
+
+  const manifest = new Map();
+  for (const [tag] of opf.matchAll(/<item\b[^>]*>/gi)) {
+    const attrs = parseAttributes(tag);
+    if (attrs.id && attrs.href) manifest.set(attrs.id, attrs);
+  }
+
+  const spineXml = opf.match(/<spine\b[^>]*>([\s\S]*?)<\/spine>/i)?.[1] || '';
+  const spine = [...spineXml.matchAll(/<itemref\b[^>]*>/gi)]
+    .map(([tag]) => parseAttributes(tag))
+    .filter(attrs => attrs.linear !== 'no')
+    .map(attrs => manifest.get(attrs.idref))
+    .filter(Boolean);
+  if (spine.length === 0) {
+    throw new Error('EPUB has no readable spine items');
+  }
+
+  const tocLabels = readTocLabels(zip, manifest, baseDir);
+
+  const sections = [];
+  for (const item of spine) {
+    const docPath = path.posix.join(baseDir, decodeURIComponent(item.href));
+    const html = zip.readText(docPath);
+    if (!html) continue;
+
+    const docSections = htmlToSections(html);
+    if (docSections.length === 0) continue;
+    // Heading-less documents take their name from the table of contents
+    if (!docSections[0].title && tocLabels.has(docPath)) {
+      docSections[0].title = tocLabels.get(docPath);
+    }
+    sections.push(...docSections);
+  }
+
+  const chapters = finalizeChapters(sections);
+  console.log(`[Document] EPUB "${title}" by ${author || 'unknown'}: ${chapters.length} chapters from ${spine.length} spine items`);
+  return buildDocument(title, author, chapters);
+}
+
+/**
+ * Wrap pasted or .txt text. Without an explicit title, a short first line is used.
+ * @param {string} text - Raw text
+ * @param {object} options
+ * @param {string} [options.title] - Title supplied by the user or taken from the filename
+ * @returns {{title: string, author: string, text: string, chapters: Array<{title: string, text: string}>}}
+ */
+export function parsePlainText(text, options = {}) {
+  const normalized = text.replace(/\r\n?/g, '\n').replace(/^\uFEFF/, '').trim();
+  const firstLine = normalized.split('\n', 1)[0].trim();
+  const title = options.title?.trim() || (firstLine.length > 0 && firstLine.length <= 80 ? firstLine : 'Pasted Text');
+
+  return buildDocument(title, '', [{ title: '', text: normalized }]);
+}
+
+/**
+ * Decode a .txt file: UTF-8 if valid, otherwise KOI8-R / windows-1251.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodeTextFile(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return decodeLegacyCyrillic(buffer);
+  }
+}
+
+/**
+ * Extract a document by file extension (.fb2, .fb2.zip, .epub, .txt).
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original filename
+ * @returns {{title: string, author: string, text: string, chapters: Array<{title: string, text: string}>}}
+ */
+export function extractDocument(buffer, filename) {
+  const lower = filename.toLowerCase();
+
+  if (lower.endsWith('.fb2')) {
+    return parseFb2(buffer);
+  }
+  if (lower.endsWith('.zip')) {
+    // Russian libraries usually distribute FB2 zipped
+    const zip = readZip(buffer);
+    const fb2Name = zip.names.find(name => name.toLowerCase().endsWith('.fb2'));
+    if (!fb2Name) {
+      throw new Error('ZIP archive does not contain an FB2 file');
+    }
+    return parseFb2(zip.read(fb2Name));
+  }
+  if (lower.endsWith('.epub')) {
+    return parseEpub(buffer);
+  }
+  if (lower.endsWith('.txt')) {
+    return parsePlainText(decodeTextFile(buffer), { title: path.basename(filename, path.extname(filename)) });
+  }
+  throw new Error('Unsupported document type. Use FB2, EPUB or TXT.');
+}
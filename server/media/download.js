@@ -1,6 +1,7 @@
 /**
  * Video/audio download functions using yt-dlp and ffmpeg.
- * Handles ok.ru video info scraping, audio/video chunk downloads, and audio duration.
+ * Handles ok.ru video info scraping, audio/video chunk downloads, audio duration,
+ * and slicing of user-uploaded media files.
  */
 import fs from 'fs';
 import { spawn } from 'child_process';
@@ -17,6 +18,9 @@ import {
 // Use system yt-dlp binary instead of bundled one
 const ytdlp = ytdlpBase.create('yt-dlp');
 
+// ffmpeg works on local files, so it should never come close to the yt-dlp timeout
+const FFMPEG_TIMEOUT_MS = YTDLP_TIMEOUT_MS;
+
 /**
  * Fast info fetch for ok.ru videos by scraping OG meta tags (~4-5s vs yt-dlp's ~15s)
  * @param {string} url - ok.ru video URL
@@ -434,3 +438,210 @@ export function getAudioDuration(audioPath) {
     proc.on('error', reject);
   });
 }
+
+/**
+ * Run ffmpeg on a local file, mapping its `time=` output to progress events.
+ * @param {string[]} args - ffmpeg arguments (output path last)
+ * @param {number} duration - Expected output duration in seconds (for progress %)
+ * @param {function} onProgress - Progress callback (type, percent, status, message)
+ * @param {string} type - Progress type ('audio' or 'video')
+ * @param {string} label - Message prefix, e.g. 'Extracting audio'
+ * @param {number} maxPercent - Progress value at which ffmpeg output is considered done
+ * @returns {Promise<void>}
+ */
+function runFfmpeg(args, duration, onProgress, type, label, maxPercent = 100) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('ffmpeg', ['-hide_banner', '-y', ...args]);
+    let settled = false;
+    let lastProgress = 0;
+    let stderrTail = '';
+
+    const processTimer = setTimeout(() => {
+      if (settled) return;
+      settled = true;
+      proc.kill('SIGTERM');
+      reject(new Error(`ffmpeg timed out after ${FFMPEG_TIMEOUT_MS / 1000}s`));
+    }, FFMPEG_TIMEOUT_MS);
+
+    proc.stderr.on('data', (data) => {
+      const line = data.toString();
+      stderrTail = (stderrTail + line).slice(-500);
+      const timeMatch = line.match(/time=(\d+):(\d+):(\d+)/);
+      if (timeMatch && duration > 0) {
+        const currentSecs = parseInt(timeMatch[1]) * 3600 + parseInt(timeMatch[2]) * 60 + parseInt(timeMatch[3]);
+        const subPct = Math.min(100, Math.round((currentSecs / duration) * 100));
+        const percent = mapProgress(subPct, 0, maxPercent);
+        if (percent > lastProgress) {
+          lastProgress = percent;
+          onProgress(type, percent, 'active', `${label}... ${formatTime(currentSecs)} / ${formatTime(duration)}`);
+        }
+      }
+    });
+
+    proc.on('close', (code) => {
+      clearTimeout(processTimer);
+      if (settled) return;
+      settled = true;
+      if (code === 0) resolve();
+      else reject(new Error(`ffmpeg exited with code ${code}: ${stderrTail.trim().split('\n').pop()}`));
+    });
+
+    proc.on('error', (err) => {
+      clearTimeout(processTimer);
+      if (settled) return;
+      settled = true;
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Extract a mono speech-quality mp3 from a local media file (uploaded audio or video).
+ * Mirrors downloadAudioChunk's output so the transcription pipeline is unchanged.
+ * @param {string} inputPath - Local media file path
+ * @param {string} outputPath - Output mp3 path
+ * @param {number} startTime - Start time in seconds
+ * @param {number} endTime - End time in seconds
+ * @param {object} options - Options
+ * @param {function} options.onProgress - Progress callback (type, percent, status, message)
+ * @returns {Promise<{size: number}>} - File size in bytes
+ */
+export async function extractAudioSegment(inputPath, outputPath, startTime, endTime, options = {}) {
+  const { onProgress = () => {} } = options;
+  const duration = endTime - startTime;
+
+  onProgress('audio', 0, 'active', 'Extracting audio from upload...');
+
+  await runFfmpeg([
+    '-ss', String(startTime),
+    '-i', inputPath,
+    '-t', String(duration),
+    '-vn',
+    '-ac', '1',
+    '-ar', '16000',
+    '-b:a', '32k',  // Low bitrate is fine for speech transcription (keeps 20 min well under Whisper's 25 MB cap)
+    outputPath,
+  ], duration, onProgress, 'audio', 'Extracting audio');
+
+  if (!fs.existsSync(outputPath)) {
+    throw new Error('Audio extraction failed - file not found');
+  }
+
+  const stats = fs.statSync(outputPath);
+  if (stats.size < 1000) {
+    throw new Error(`Audio file too small (${stats.size} bytes) - extraction may have failed`);
+  }
+
+  const sizeMB = (stats.size / 1024 / 1024).toFixed(1);
+  onProgress('audio', 100, 'complete', `Audio ready (${sizeMB} MB)`);
+
+  return { size: stats.size };
+}
+
+/**
+ * Cut a playable mp4 chunk out of a local media file (uploaded audio or video).
+ * Re-encodes so cuts land exactly on chunk boundaries; audio-only inputs produce an
+ * audio-only mp4 that plays in the same <video> element as ok.ru chunks.
+ * @param {string} inputPath - Local media file path
+ * @param {string} outputPath - Output mp4 path
+ * @param {number} startTime - Start time in seconds
+ * @param {number} endTime - End time in seconds
+ * @param {object} options - Options
+ * @param {function} options.onProgress - Progress callback (type, percent, status, message)
+ * @param {number} options.partNum - Part number for display (default: 1)
+ * @returns {Promise<{size: number}>} - File size in bytes
+ */
+export async function sliceMediaFile(inputPath, outputPath, startTime, endTime, options = {}) {
+  const { onProgress = () => {}, partNum = 1 } = options;
+  const duration = endTime - startTime;
+
+  // Leave the top of the bar for index.js to report the GCS upload, like downloadVideoChunk
+  const [sliceRange, uploadRange] = computeRanges([25, 10]);
+
+  onProgress('video', 0, 'active', `Part ${partNum}: Cutting chunk...`);
+
+  await runFfmpeg([
+    '-ss', String(startTime),
+    '-i', inputPath,
+    '-t', String(duration),
+    '-map', '0:V:0?',  // Real video stream only (capital V skips mp3 cover art)
+    '-map', '0:a:0',
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '28',
+    '-vf', 'scale=-2:min(ih\\,480)',
+    '-c:a', 'aac',
+    '-b:a', '96k',
+    '-movflags', '+faststart',
+    outputPath,
+  ], duration, onProgress, 'video', `Part ${partNum}: Cutting chunk`, sliceRange[1]);
+
+  const size = fs.existsSync(outputPath) ? fs.statSync(outputPath).size : 0;
+  if (size === 0) {
+    throw new Error('Chunk slicing failed - file not found');
+  }
+
+  const sizeMB = (size / 1024 / 1024).toFixed(1);
+  onProgress('video', uploadRange[0], 'active', `Part ${partNum}: Chunk ready (${sizeMB} MB)`);
+
+  return { size };
+}
+
+/**
+ * Cut a short mp3 clip (a word or sentence) out of chunk media for a flashcard.
+ * The input can be a local file or an http(s) URL such as a signed GCS link;
+ * a little padding keeps the first and last syllables from being clipped.
+ * @param {string} input - Media file path or URL
+ * @param {string} outputPath - Output mp3 path
+ * @param {number} startTime - Start time in seconds
+ * @param {number} endTime - End time in seconds
+ * @param {object} [options]
+ * @param {number} [options.padding] - Seconds added on both sides (default 0.15)
+ * @returns {Promise<{size: number}>}
+ */
+export async function extractAudioClip(input, outputPath, startTime, endTime, { padding = 0.15 } = {}) {
+  const start = Math.max(0, startTime - padding);
+  const duration = endTime + padding - start;
+
+  await runFfmpeg([
+    '-ss', start.toFixed(3),
+    '-i', input,
+    '-t', duration.toFixed(3),
+    '-vn',
+    '-ac', '1',
+    '-b:a', '64k',
+    outputPath,
+  ], duration, () => {}, 'audio', 'Cutting clip');
+
+  const size = fs.existsSync(outputPath) ? fs.statSync(outputPath).size : 0;
+  if (size === 0) {
+    throw new Error('Audio clip extraction failed - file not found');
+  }
+  return { size };
+}
+
+/**
+ * Join mp3 files end to end (ffmpeg concat demuxer, no re-encode).
+ * Used to stitch per-speaker TTS parts into one chunk.
+ * @param {string[]} inputPaths - mp3 files in playback order (same codec settings)
+ * @param {string} outputPath - Output mp3 path
+ * @returns {Promise<{size: number}>}
+ */
+export async function concatAudioFiles(inputPaths, outputPath) {
+  const listPath = `${outputPath}.concat.txt`;
+  // The concat list quotes paths with single quotes; escape any inside them
+  const list = inputPaths.map(p => `file '${p.replace(/'/g, "'\\''")}'`).join('\n');
+  fs.writeFileSync(listPath, list);
+
+  try {
+    await runFfmpeg(['-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', outputPath], 0, () => {}, 'audio', 'Joining audio');
+  } finally {
+    fs.rmSync(listPath, { force: true });
+  }
+
+  const size = fs.existsSync(outputPath) ? fs.statSync(outputPath).size : 0;
+  if (size === 0) {
+    throw new Error('Audio concatenation failed - file not found');
+  }
+  return { size };
+}
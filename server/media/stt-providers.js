@@ -0,0 +1,87 @@
+/**
+ * Speech-to-text providers. Every provider targets an OpenAI-compatible
+ * /audio/transcriptions endpoint — OpenAI itself, or a self-hosted
+ * whisper.cpp / faster-whisper server — and declares what its responses
+ * contain and what a minute of audio costs.
+ *
+ * Selected with STT_PROVIDER:
+ *   openai (default) — whisper-1 with OPENAI_API_KEY
+ *   local            — STT_BASE_URL (e.g. http://localhost:8000/v1), optional STT_MODEL,
+ *                      STT_API_KEY, STT_COST_PER_MINUTE, and STT_WORD_TIMESTAMPS=false /
+ *                      STT_SEGMENTS=false for servers that don't return them
+ */
+
+export const STT_PROVIDER_IDS = ['openai', 'local'];
+
+// whisper-1 list price (USD per audio minute)
+const OPENAI_WHISPER_COST_PER_MINUTE = 0.006;
+
+/**
+ * @typedef {object} SttProvider
+ * @property {string} id - One of STT_PROVIDER_IDS
+ * @property {string} model - Model name sent with each request
+ * @property {string} [baseURL] - API base URL (omitted for api.openai.com)
+ * @property {string} [apiKey] - Bearer token
+ * @property {{wordTimestamps: boolean, segments: boolean}} capabilities - What verbose_json responses include
+ * @property {number} costPerMinute - USD per audio minute, for usage tracking
+ * @property {string|null} configError - Why the provider can't be used yet (null when ready)
+ */
+
+/**
+ * Build a provider description. Capabilities default to full OpenAI parity.
+ * @param {Partial<SttProvider> & {id: string, model: string}} options
+ * @returns {SttProvider}
+ */
+export function createSttProvider({ id, model, baseURL, apiKey, capabilities = {}, costPerMinute = 0, configError = null }) {
+  return {
+    id,
+    model,
+    ...(baseURL && { baseURL }),
+    ...(apiKey && { apiKey }),
+    capabilities: { wordTimestamps: true, segments: true, ...capabilities },
+    costPerMinute,
+    configError,
+  };
+}
+
+/**
+ * The provider configured by the environment.
+ * @param {object} [env] - Defaults to process.env
+ * @returns {SttProvider}
+ */
+export function getSttProvider(env = process.env) {
+  const id = env.STT_PROVIDER || 'openai';
+
+  if (id === 'openai') {
+    return createSttProvider({
+      id,
+      model: 'whisper-1',
+      apiKey: env.OPENAI_API_KEY,
+      costPerMinute: OPENAI_WHISPER_COST_PER_MINUTE,
+      configError: env.OPENAI_API_KEY ? null : 'OPENAI_API_KEY is not set',
+    });
+  }
+
+  if (id === 'local') {
+    const costPerMinute = Number(env.STT_COST_PER_MINUTE);
+    return createSttProvider({
+      id,
+      model: env.STT_MODEL || 'whisper-1',
+      baseURL: env.STT_BASE_URL,
+      // The OpenAI client insists on a key; self-hosted servers usually ignore it
+      apiKey: env.STT_API_KEY || 'local',
+      capabilities: {
+        wordTimestamps: env.STT_WORD_TIMESTAMPS !== 'false',
+        segments: env.STT_SEGMENTS !== 'false',
+      },
+      costPerMinute: Number.isFinite(costPerMinute) && costPerMinute > 0 ? costPerMinute : 0,
+      configError: env.STT_BASE_URL ? null : 'STT_BASE_URL is not set',
+    });
+  }
+
+  return createSttProvider({
+    id,
+    model: '',
+    configError: `Unknown STT_PROVIDER "${id}" (expected one of: ${STT_PROVIDER_IDS.join(', ')})`,
+  });
+}
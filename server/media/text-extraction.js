@@ -21,6 +21,20 @@ export function isLibRuUrl(url) {
   }
 }
 
+/**
+ * Decode a single-byte Cyrillic buffer whose charset is unknown.
+ * Both KOI8-R and windows-1251 decode to Cyrillic, so pick the one with more lowercase
+ * letters (real Russian text is mostly lowercase; the wrong encoding is mostly uppercase).
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export function decodeLegacyCyrillic(buffer) {
+  const koi8 = new TextDecoder('koi8-r').decode(buffer);
+  const win1251 = new TextDecoder('windows-1251').decode(buffer);
+  const countLower = (s) => (s.slice(0, 2000).match(/[а-я]/g) || []).length;
+  return countLower(koi8) >= countLower(win1251) ? koi8 : win1251;
+}
+
 /**
  * Fetch and extract Russian text from a lib.ru page.
  * lib.ru pages have varying encodings (KOI8-R, windows-1251) and messy HTML.
@@ -67,12 +81,7 @@ export async function fetchLibRuText(url, options = {}) {
   if (declaredCharset && (declaredCharset.includes('koi8') || declaredCharset.includes('1251'))) {
     html = new TextDecoder(declaredCharset).decode(buffer);
   } else {
-    // No charset declared — try both and pick the one with more lowercase Cyrillic
-    // (real Russian text has mostly lowercase; wrong encoding produces mostly uppercase)
-    const koi8 = new TextDecoder('koi8-r').decode(buffer);
-    const win1251 = new TextDecoder('windows-1251').decode(buffer);
-    const countLower = (s) => (s.slice(0, 2000).match(/[а-я]/g) || []).length;
-    html = countLower(koi8) >= countLower(win1251) ? koi8 : win1251;
+    html = decodeLegacyCyrillic(buffer);
   }
 
   // Extract title from <title> tag
@@ -82,9 +91,12 @@ export async function fetchLibRuText(url, options = {}) {
     title = titleMatch[1].trim();
   }
 
-  // Strip all HTML tags to get raw text
+  // Strip all HTML tags to get raw text. Headings are kept as <h2> paragraphs
+  // so createTextChunks can start a new chapter at each one.
   let rawText = html
-    .replace(/<[^>]+>/g, '')
+    .replace(/<(h[1-6])\b[^>]*>([\s\S]*?)<\/\1>/gi, (match, tag, inner) =>
+      `\n\n<h2>${inner.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()}</h2>\n\n`)
+    .replace(/<(?!\/?h2>)[^>]+>/g, '')
     .replace(/&nbsp;/g, ' ')
     .replace(/&amp;/g, '&')
     .replace(/&lt;/g, '<')
@@ -109,7 +121,7 @@ export async function fetchLibRuText(url, options = {}) {
       max_tokens: 20,
       messages: [{
         role: 'user',
-        content: `Below are the first 200 numbered lines of a Russian literary text from lib.ru, after HTML tags were stripped. The page starts with metadata (title, author, navigation, ratings, OCR credits, publisher info, dashed separators) followed by the actual literary prose (novel, story, poem, etc).
+        content: `Below are the first 200 numbered lines of a Russian literary text from lib.ru, after HTML tags were stripped. The page starts with metadata (title, author, navigation, ratings, OCR credits, publisher info, dashed separators) followed by the actual literary prose (novel, story, poem, etc). Headings are kept as <h2> tags.
 
 Reply with ONLY the line number where the actual literary prose begins. Not chapter headings, not epigraphs — the first sentence of narrative text. Just the number, nothing else.
 
@@ -11,6 +11,25 @@ export function stripPunctuation(word) {
   return word.replace(/^[.,!?;:—–\-«»""''()…\s]+|[.,!?;:—–\-«»""''()…\s]+$/g, '');
 }
 
+/**
+ * The words either side of words[index] within its sentence, lowercased and
+ * without punctuation — the context used to pick between homograph readings.
+ * @param {Array<{word: string}>} words - Transcript words
+ * @param {number} index
+ * @returns {{prev?: string, next?: string}}
+ */
+export function sentenceNeighbours(words, index) {
+  const endsSentence = (w) => /[.!?…]["»)]*\s*$/.test(w.word);
+  const neighbours = {};
+  if (index > 0 && !endsSentence(words[index - 1])) {
+    neighbours.prev = stripPunctuation(words[index - 1].word).toLowerCase() || undefined;
+  }
+  if (index < words.length - 1 && !endsSentence(words[index])) {
+    neighbours.next = stripPunctuation(words[index + 1].word).toLowerCase() || undefined;
+  }
+  return neighbours;
+}
+
 /**
  * Levenshtein edit distance between two strings (O(min(n,m)) space).
  * Uses a rolling 2-row approach instead of a full matrix.
@@ -1,30 +1,60 @@
 /**
- * Audio transcription and text processing using OpenAI Whisper and GPT-4o.
- * Handles transcription, punctuation restoration, and lemmatization.
+ * Audio transcription and text processing using Whisper and GPT-4o.
+ * Handles transcription (via the configured speech-to-text provider),
+ * punctuation restoration, and lemmatization.
  */
 import fs from 'fs';
 import OpenAI from 'openai';
-import { stripPunctuation, isFuzzyMatch } from './text-utils.js';
+import { stripPunctuation, isFuzzyMatch, estimateWordTimestamps, sentenceNeighbours } from './text-utils.js';
 import { mapProgress, createHeartbeat } from './progress-utils.js';
+import { getAudioDuration } from './download.js';
+import { getSttProvider } from './stt-providers.js';
+import { lookupCandidates, rankLemmaCandidates, lookupStress, lookupMorphology } from '../dictionary.js';
 
 /**
- * Transcribe audio chunk using OpenAI Whisper
+ * Word timings for providers that only return segments (or plain text):
+ * each segment's words share its time in proportion to their length.
+ */
+function estimateWordsFromSegments(segments) {
+  const words = [];
+  for (const segment of segments) {
+    const text = segment.text.trim();
+    if (!text) continue;
+    const estimated = estimateWordTimestamps(text, segment.end - segment.start);
+    for (const w of estimated.words) {
+      words.push({
+        word: (words.length > 0 ? ' ' : '') + w.word.trim(),
+        start: segment.start + w.start,
+        end: segment.start + w.end,
+      });
+    }
+  }
+  return words;
+}
+
+/**
+ * Transcribe audio chunk with the configured speech-to-text provider (OpenAI Whisper by default)
  * @param {string} audioPath - Path to audio file
  * @param {object} options - Options
  * @param {function} options.onProgress - Progress callback (type, percent, status, message)
- * @param {string} options.apiKey - OpenAI API key (defaults to env var)
+ * @param {import('./stt-providers.js').SttProvider} options.provider - Defaults to getSttProvider()
+ * @param {string} options.apiKey - Overrides the provider's API key
  * @param {string} options.language - Language code (default: 'ru')
  * @returns {Promise<{words: Array, segments: Array, language: string, duration: number}>}
  */
 export async function transcribeAudioChunk(audioPath, options = {}) {
   const {
     onProgress = () => {},
-    apiKey = process.env.OPENAI_API_KEY,
+    apiKey,
     language = 'ru',
   } = options;
+  const baseProvider = options.provider || getSttProvider();
+  const provider = apiKey ? { ...baseProvider, apiKey, configError: null } : baseProvider;
 
-  if (!apiKey) {
-    throw new Error('OpenAI API key is required');
+  if (provider.configError) {
+    throw new Error(provider.id === 'openai'
+      ? 'OpenAI API key is required'
+      : `Transcription provider not configured: ${provider.configError}`);
   }
 
   const stats = fs.statSync(audioPath);
@@ -48,7 +78,9 @@ export async function transcribeAudioChunk(audioPath, options = {}) {
       `Step 3/3: Transcribing... ${elapsed}s elapsed, ~${remaining}s remaining`);
   }, 2000);
 
-  const openai = new OpenAI({ apiKey });
+  const openai = new OpenAI({ apiKey: provider.apiKey, ...(provider.baseURL && { baseURL: provider.baseURL }) });
+  const { wordTimestamps, segments: hasSegments } = provider.capabilities;
+  const granularities = [...(wordTimestamps ? ['word'] : []), ...(hasSegments ? ['segment'] : [])];
   const controller = new AbortController();
   const timeout = setTimeout(() => {
     console.log(`[Transcribe] Aborting after 5 minutes`);
@@ -59,9 +91,10 @@ export async function transcribeAudioChunk(audioPath, options = {}) {
   try {
     transcription = await openai.audio.transcriptions.create({
       file: fs.createReadStream(audioPath),
-      model: 'whisper-1',
-      response_format: 'verbose_json',
-      timestamp_granularities: ['word', 'segment'],
+      model: provider.model,
+      // Plain json carries only text; timings are estimated below
+      response_format: granularities.length > 0 ? 'verbose_json' : 'json',
+      ...(granularities.length > 0 && { timestamp_granularities: granularities }),
       language,
     }, { signal: controller.signal });
   } finally {
@@ -70,14 +103,28 @@ export async function transcribeAudioChunk(audioPath, options = {}) {
   }
 
   const actualTime = ((Date.now() - startTime) / 1000).toFixed(1);
-  console.log(`[Transcribe] Complete in ${actualTime}s`);
+  console.log(`[Transcribe] Complete in ${actualTime}s (${provider.id}/${provider.model})`);
   onProgress('transcription', 100, 'complete', `Step 3/3 complete: Transcribed in ${actualTime}s`);
 
+  let duration = transcription.duration || 0;
+  let segments = transcription.segments || [];
+  let words = transcription.words || [];
+
+  if (words.length === 0 && (segments.length > 0 || transcription.text?.trim())) {
+    // Segment-only or text-only provider
+    if (segments.length === 0) {
+      duration = duration || await getAudioDuration(audioPath);
+      segments = [{ text: transcription.text.trim(), start: 0, end: duration }];
+    }
+    words = estimateWordsFromSegments(segments);
+    console.log(`[Transcribe] ${provider.id} returned no word timestamps, estimated ${words.length} from ${segments.length} segments`);
+  }
+
   return {
-    words: transcription.words || [],
-    segments: transcription.segments || [],
+    words,
+    segments,
     language: transcription.language || language,
-    duration: transcription.duration || 0,
+    duration: duration || segments[segments.length - 1]?.end || 0,
   };
 }
 
@@ -265,24 +312,105 @@ Rules:
   };
 }
 
+const RUSSIAN_VOWELS = /[аеёиоуыэюя]/gi;
+
 /**
- * Lemmatize transcript words using GPT-4o.
- * Extracts unique words, sends them in batches to GPT-4o for lemmatization,
- * and attaches a `lemma` field to each WordTimestamp.
+ * Put a dictionary spelling into a surface word, keeping its punctuation,
+ * surrounding whitespace and capitalization: (" Книгу,", "кни́гу") → " Кни́гу,".
+ */
+function applyStress(surface, stressed) {
+  const core = stripPunctuation(surface);
+  const at = surface.indexOf(core);
+  let spelled = stressed;
+  if (core.length > 1 && core === core.toUpperCase()) {
+    spelled = stressed.toUpperCase();
+  } else if (core[0] !== core[0].toLowerCase()) {
+    spelled = stressed[0].toUpperCase() + stressed.slice(1);
+  }
+  return surface.slice(0, at) + spelled + surface.slice(at + core.length);
+}
+
+/**
+ * Mark stress on transcript words from the OpenRussian stress index.
+ * Adds `stressed` (the surface word with a combining acute accent, or ё) and,
+ * when the form can be stressed more than one way, `stressVariants` (every
+ * lowercase spelling, the chosen one first). Words of one syllable, and words
+ * the dictionary doesn't know, are left as they are.
+ *
+ * @param {Array<{word: string, lemma?: string}>} words - Transcript words
+ * @param {Object} [options]
+ * @param {function} [options.lookup] - (word, lemma) → { stressed, variants } or null (default: lookupStress)
+ * @returns {Array} The words with stress fields
+ */
+export function accentuateWords(words, { lookup = lookupStress } = {}) {
+  return words.map(w => {
+    // Drop marks from an earlier pass (the dictionary may have changed since)
+    const plain = { ...w };
+    delete plain.stressed;
+    delete plain.stressVariants;
+    const core = stripPunctuation(w.word).toLowerCase();
+    if ((core.match(RUSSIAN_VOWELS) || []).length < 2) return plain;
+    const found = lookup(core, w.lemma);
+    if (!found) return plain;
+    return {
+      ...plain,
+      stressed: applyStress(w.word, found.stressed),
+      ...(found.variants.length > 1 && { stressVariants: found.variants }),
+    };
+  });
+}
+
+/**
+ * Attach grammatical tags to transcript words from the dictionary's
+ * declension and conjugation tables: `morph` is every reading of the form
+ * for the word's lemma (case/number/gender, tense/person/aspect, ...), in
+ * table order. Ambiguous forms keep all their readings ("книги" is genitive
+ * singular or nominative/accusative plural); unknown words get no `morph`.
+ *
+ * @param {Array<{word: string, lemma?: string}>} words - Transcript words
+ * @param {Object} [options]
+ * @param {function} [options.lookup] - (word, lemma) → tag[] (default: lookupMorphology)
+ * @returns {Array} The words with `morph`
+ */
+export function tagWords(words, { lookup = lookupMorphology } = {}) {
+  return words.map(w => {
+    const plain = { ...w };
+    delete plain.morph;
+    const core = stripPunctuation(w.word).toLowerCase();
+    if (!core) return plain;
+    const morph = lookup(core, w.lemma);
+    return morph.length > 0 ? { ...plain, morph } : plain;
+  });
+}
+
+/**
+ * Lemmatize transcript words, locally where possible and with GPT-4o otherwise.
+ * Extracts unique words, resolves those with a single dictionary form from the
+ * OpenRussian inflection index, sends the rest in batches to GPT-4o, and
+ * attaches `lemma` and `lemmaSource` ('dictionary' | 'llm') to each WordTimestamp.
+ *
+ * Forms shared by several dictionary words (homographs like "стали") are
+ * resolved per occurrence: the candidates are ranked by the neighbouring
+ * words, with GPT-4o's answer as the tiebreak. The word popup gets the other
+ * readings from POST /api/translate, which ranks them the same way.
+ * Stress marks and grammatical tags are added last, using the lemmas
+ * (see accentuateWords and tagWords).
  *
  * @param {Object} transcript - Transcript { words, segments, language, duration }
  * @param {Object} options
  * @param {string} options.apiKey - OpenAI API key
  * @param {function} options.onProgress - Progress callback
+ * @param {function} options.lookupLocal - word → dictionary candidates [{ lemma, pos }] (default: lookupCandidates)
  * @returns {Promise<Object>} - Transcript with lemma fields on words
  */
 export async function lemmatizeWords(transcript, options = {}) {
   const {
     apiKey = process.env.OPENAI_API_KEY,
     onProgress = () => {},
+    lookupLocal = lookupCandidates,
   } = options;
 
-  if (!apiKey || !transcript.words || transcript.words.length === 0) {
+  if (!transcript.words || transcript.words.length === 0) {
     return transcript;
   }
 
@@ -295,23 +423,40 @@ export async function lemmatizeWords(transcript, options = {}) {
     if (normalized) wordSet.add(normalized);
   }
 
-  const uniqueWords = Array.from(wordSet);
-  console.log(`[Lemmatize] ${uniqueWords.length} unique words from ${transcript.words.length} total`);
+  const lemmaMap = new Map();
+  const localWords = new Set();
+  // Homographs: word → its dictionary candidates (ranked per occurrence below)
+  const homographs = new Map();
+  const uniqueWords = [];
+  for (const word of wordSet) {
+    const candidates = lookupLocal(word);
+    if (candidates.length === 1) {
+      lemmaMap.set(word, candidates[0].lemma);
+      localWords.add(word);
+    } else {
+      if (candidates.length > 1) homographs.set(word, candidates);
+      uniqueWords.push(word);
+    }
+  }
+
+  console.log(`[Lemmatize] ${wordSet.size} unique words from ${transcript.words.length} total, ${localWords.size} resolved from the dictionary, ${homographs.size} homographs`);
   onProgress('lemmatization', 0, 'active', `Lemmatizing ${uniqueWords.length} unique words...`);
 
-  const openai = new OpenAI({ apiKey });
+  // Without a key, dictionary lemmas are all we can offer
+  const llmWords = apiKey ? uniqueWords : [];
+  const llmWordSet = new Set(llmWords);
+  const openai = apiKey && new OpenAI({ apiKey });
   const BATCH_SIZE = 300;
-  const lemmaMap = new Map();
 
   // Estimate ~5s per batch of 300 words for time-based progress during API calls
-  const totalBatches = Math.ceil(uniqueWords.length / BATCH_SIZE);
+  const totalBatches = Math.ceil(llmWords.length / BATCH_SIZE);
   const estimatedSecsPerBatch = 12;
 
-  for (let i = 0; i < uniqueWords.length; i += BATCH_SIZE) {
-    const batch = uniqueWords.slice(i, i + BATCH_SIZE);
+  for (let i = 0; i < llmWords.length; i += BATCH_SIZE) {
+    const batch = llmWords.slice(i, i + BATCH_SIZE);
     const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-    const batchRangeStart = Math.round((i / uniqueWords.length) * 95);
-    const batchRangeEnd = Math.round(((i + batch.length) / uniqueWords.length) * 95);
+    const batchRangeStart = Math.round((i / llmWords.length) * 95);
+    const batchRangeEnd = Math.round(((i + batch.length) / llmWords.length) * 95);
     onProgress('lemmatization', batchRangeStart, 'active',
       `Lemmatizing... (batch ${batchNum}/${totalBatches})`);
 
@@ -362,19 +507,27 @@ export async function lemmatizeWords(transcript, options = {}) {
   }
 
   // Attach lemma to each word
-  const lemmatizedWords = transcript.words.map(w => {
+  const lemmatizedWords = transcript.words.map((w, i) => {
     const normalized = stripPunctuation(w.word).toLowerCase();
+    const candidates = homographs.get(normalized);
+    if (candidates) {
+      const ranked = rankLemmaCandidates(candidates, {
+        ...sentenceNeighbours(transcript.words, i),
+        hint: lemmaMap.get(normalized),
+      });
+      return { ...w, lemma: ranked[0].lemma, lemmaSource: llmWordSet.has(normalized) ? 'llm' : 'dictionary' };
+    }
     const lemma = lemmaMap.get(normalized);
-    return lemma ? { ...w, lemma } : w;
+    return lemma ? { ...w, lemma, lemmaSource: localWords.has(normalized) ? 'dictionary' : 'llm' } : w;
   });
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
   const coverage = lemmatizedWords.filter(w => w.lemma).length;
-  console.log(`[Lemmatize] Complete in ${elapsed}s: ${coverage}/${transcript.words.length} words lemmatized`);
+  console.log(`[Lemmatize] Complete in ${elapsed}s: ${coverage}/${transcript.words.length} words lemmatized (${totalBatches} GPT batches)`);
   onProgress('lemmatization', 100, 'complete', `Lemmatized in ${elapsed}s`);
 
   return {
     ...transcript,
-    words: lemmatizedWords,
+    words: tagWords(accentuateWords(lemmatizedWords)),
   };
 }
@@ -0,0 +1,132 @@
+/**
+ * Text-to-speech providers. Every provider targets an OpenAI-compatible
+ * /audio/speech endpoint — OpenAI itself, or a self-hosted server such as
+ * openedai-speech (Piper voices) — and declares its voices and price.
+ *
+ * Selected with TTS_PROVIDER:
+ *   openai (default) — tts-1 with OPENAI_API_KEY
+ *   local            — TTS_BASE_URL (e.g. http://localhost:8000/v1), optional TTS_MODEL,
+ *                      TTS_VOICES (comma-separated), TTS_DEFAULT_VOICE, TTS_API_KEY,
+ *                      TTS_COST_PER_MILLION_CHARS
+ */
+
+export const TTS_PROVIDER_IDS = ['openai', 'local'];
+
+export const OPENAI_TTS_VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+
+// tts-1 list price (USD per million characters)
+const OPENAI_TTS_COST_PER_MILLION_CHARS = 15;
+
+// Speaking rates offered to users (OpenAI accepts 0.25–4, but beyond this range speech degrades)
+export const MIN_TTS_SPEED = 0.5;
+export const MAX_TTS_SPEED = 1.5;
+
+/**
+ * @typedef {object} TtsProvider
+ * @property {string} id - One of TTS_PROVIDER_IDS
+ * @property {string} model - Model name sent with each request
+ * @property {string} [baseURL] - API base URL (omitted for api.openai.com)
+ * @property {string} [apiKey] - Bearer token
+ * @property {string[]} voices - Voices users can pick
+ * @property {string} defaultVoice - Narration voice when the session doesn't choose one
+ * @property {number} costPerMillionChars - USD per million input characters, for usage tracking
+ * @property {string|null} configError - Why the provider can't be used yet (null when ready)
+ */
+
+/**
+ * Build a provider description.
+ * @param {Partial<TtsProvider> & {id: string, model: string, voices: string[]}} options
+ * @returns {TtsProvider}
+ */
+export function createTtsProvider({ id, model, baseURL, apiKey, voices, defaultVoice, costPerMillionChars = 0, configError = null }) {
+  return {
+    id,
+    model,
+    ...(baseURL && { baseURL }),
+    ...(apiKey && { apiKey }),
+    voices,
+    defaultVoice: defaultVoice || voices[0] || '',
+    costPerMillionChars,
+    configError,
+  };
+}
+
+/**
+ * The provider configured by the environment.
+ * @param {object} [env] - Defaults to process.env
+ * @returns {TtsProvider}
+ */
+export function getTtsProvider(env = process.env) {
+  const id = env.TTS_PROVIDER || 'openai';
+
+  if (id === 'openai') {
+    return createTtsProvider({
+      id,
+      model: 'tts-1',
+      apiKey: env.OPENAI_API_KEY,
+      voices: OPENAI_TTS_VOICES,
+      defaultVoice: 'nova',
+      costPerMillionChars: OPENAI_TTS_COST_PER_MILLION_CHARS,
+      configError: env.OPENAI_API_KEY ? null : 'OPENAI_API_KEY is not set',
+    });
+  }
+
+  if (id === 'local') {
+    // Servers like openedai-speech map the OpenAI voice names onto their own voices
+    const voices = env.TTS_VOICES
+      ? env.TTS_VOICES.split(',').map(v => v.trim()).filter(Boolean)
+      : OPENAI_TTS_VOICES;
+    const defaultVoice = env.TTS_DEFAULT_VOICE || (voices.includes('nova') ? 'nova' : voices[0]);
+    const costPerMillionChars = Number(env.TTS_COST_PER_MILLION_CHARS);
+    return createTtsProvider({
+      id,
+      model: env.TTS_MODEL || 'tts-1',
+      baseURL: env.TTS_BASE_URL,
+      // The OpenAI client insists on a key; self-hosted servers usually ignore it
+      apiKey: env.TTS_API_KEY || 'local',
+      voices: voices.includes(defaultVoice) ? voices : [defaultVoice, ...voices],
+      defaultVoice,
+      costPerMillionChars: Number.isFinite(costPerMillionChars) && costPerMillionChars > 0 ? costPerMillionChars : 0,
+      configError: env.TTS_BASE_URL ? null : 'TTS_BASE_URL is not set',
+    });
+  }
+
+  return createTtsProvider({
+    id,
+    model: '',
+    voices: [],
+    configError: `Unknown TTS_PROVIDER "${id}" (expected one of: ${TTS_PROVIDER_IDS.join(', ')})`,
+  });
+}
+
+/**
+ * Validate per-session voice settings from a request body.
+ * @param {unknown} input - { voice?, speed?, dialogueVoice? } or undefined
+ * @param {TtsProvider} [provider] - Defaults to getTtsProvider()
+ * @returns {{options: {voice: string, speed: number, dialogueVoice: string|null} | null} | {error: string}}
+ */
+export function parseTtsOptions(input, provider = getTtsProvider()) {
+  if (input === undefined || input === null) return { options: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'tts must be an object' };
+  }
+
+  const { voice = provider.defaultVoice, speed = 1, dialogueVoice = null } = input;
+  for (const [field, value] of [['voice', voice], ['dialogueVoice', dialogueVoice]]) {
+    if (value !== null && !provider.voices.includes(value)) {
+      return { error: `tts.${field} must be one of: ${provider.voices.join(', ')}` };
+    }
+  }
+  if (typeof speed !== 'number' || !Number.isFinite(speed) || speed < MIN_TTS_SPEED || speed > MAX_TTS_SPEED) {
+    return { error: `tts.speed must be between ${MIN_TTS_SPEED} and ${MAX_TTS_SPEED}` };
+  }
+
+  return {
+    options: {
+      voice,
+      speed,
+      // Same voice for dialogue is just narration
+      dialogueVoice: dialogueVoice === voice ? null : dialogueVoice,
+    },
+  };
+}
@@ -1,6 +1,7 @@
 /**
  * Text-to-Speech generation and Whisper alignment.
- * Generates audio from text and aligns timestamps back to original words.
+ * Generates audio from text (optionally with a second voice for dialogue)
+ * and aligns timestamps back to original words.
  */
 import fs from 'fs';
 import OpenAI from 'openai';
@@ -8,30 +9,107 @@ import { pipeline } from 'stream/promises';
 import { createHeartbeat } from './progress-utils.js';
 import { transcribeAudioChunk } from './transcription.js';
 import { alignWhisperToOriginal } from './text-utils.js';
+import { concatAudioFiles } from './download.js';
+import { getTtsProvider } from './tts-providers.js';
+
+// Dash-led paragraphs alternate speech and author remarks: «— Да, — сказал он. — Пойдём.»
+const DIALOGUE_DASH = /^\s*[—–-]\s/;
+const REMARK_SEPARATOR = /(?<=[,.!?…])\s+[—–]\s+/;
+const QUOTED_SPEECH = /(«[^»]*»)/;
+
+/**
+ * Split text into narration and dialogue runs for two-voice reading.
+ * Dialogue is a paragraph opened by a dash (minus the author's remarks
+ * between later dashes) or a «quoted» span inside narration.
+ * Punctuation-only scraps stay with the run before them.
+ * @param {string} text
+ * @returns {Array<{text: string, dialogue: boolean}>}
+ */
+export function splitDialogue(text) {
+  const parts = [];
+
+  for (const paragraph of text.split(/\n+/)) {
+    // Pieces come back with the text that stood between them, so merged runs read as written
+    const pieces = DIALOGUE_DASH.test(paragraph)
+      ? paragraph.split(REMARK_SEPARATOR).map((piece, i) => ({ piece, dialogue: i % 2 === 0, joiner: ' — ' }))
+      : paragraph.split(QUOTED_SPEECH).map((piece, i, all) => ({
+        piece,
+        dialogue: i % 2 === 1,
+        joiner: /\s$/.test(all[i - 1] ?? '') || /^\s/.test(piece) ? ' ' : '',
+      }));
+
+    let separator = '\n';
+    for (const { piece, dialogue, joiner } of pieces) {
+      const trimmed = piece.trim();
+      if (!trimmed) continue;
+      const last = parts[parts.length - 1];
+      if (last && (last.dialogue === dialogue || !/\p{L}/u.test(trimmed))) {
+        last.text += (separator ?? joiner) + trimmed;
+      } else {
+        parts.push({ text: trimmed, dialogue });
+      }
+      separator = null;
+    }
+  }
+  return parts;
+}
 
 /**
- * Generate TTS audio from text using OpenAI TTS API.
+ * Synthesize one request's worth of speech straight to a file.
+ */
+async function synthesize(openai, provider, input, voice, speed, outputPath) {
+  const response = await openai.audio.speech.create({
+    model: provider.model,
+    voice,
+    input,
+    response_format: 'mp3',
+    ...(speed !== 1 && { speed }),
+  });
+
+  // Stream response body to file
+  // OpenAI SDK returns a Node.js PassThrough stream, not a web ReadableStream
+  const fileStream = fs.createWriteStream(outputPath);
+  await pipeline(response.body, fileStream);
+}
+
+/**
+ * Generate TTS audio from text with the configured text-to-speech provider (OpenAI tts-1 by default).
  * @param {string} text - Text to convert to speech
  * @param {string} outputPath - Output file path (MP3)
  * @param {object} options
- * @param {string} options.apiKey - OpenAI API key
+ * @param {import('./tts-providers.js').TtsProvider} options.provider - Defaults to getTtsProvider()
+ * @param {string} options.apiKey - Overrides the provider's API key
  * @param {function} options.onProgress - Progress callback
+ * @param {string} options.voice - Narration voice (default: the provider's)
+ * @param {number} options.speed - Speaking rate (default: 1)
+ * @param {string|null} options.dialogueVoice - Voice for dialogue (see splitDialogue); null reads everything with `voice`
  * @returns {Promise<{size: number}>}
  */
 export async function generateTtsAudio(text, outputPath, options = {}) {
   const {
-    apiKey = process.env.OPENAI_API_KEY,
     onProgress = () => {},
+    apiKey,
+    speed = 1,
+    dialogueVoice = null,
   } = options;
+  const baseProvider = options.provider || getTtsProvider();
+  const provider = apiKey ? { ...baseProvider, apiKey, configError: null } : baseProvider;
+  const voice = options.voice || provider.defaultVoice;
 
-  if (!apiKey) {
-    throw new Error('OpenAI API key is required');
+  if (provider.configError) {
+    throw new Error(provider.id === 'openai'
+      ? 'OpenAI API key is required'
+      : `Speech synthesis provider not configured: ${provider.configError}`);
   }
 
+  const parts = dialogueVoice && dialogueVoice !== voice ? splitDialogue(text) : [];
+  const multiVoice = parts.some(p => p.dialogue) && parts.some(p => !p.dialogue);
+
   // Over-estimate TTS time: ~1s per 70 chars (empirical: 2477 chars = 30s, 3432 chars = 48s)
   // Better to reach ~70% and jump to 100% than hang at 95%
   const estimatedSeconds = Math.max(5, Math.round(text.length / 70));
-  console.log(`[TTS] Generating speech for ${text.length} chars (est. ${estimatedSeconds}s)...`);
+  console.log(`[TTS] Generating speech for ${text.length} chars with ${provider.id}/${voice}` +
+    `${multiVoice ? ` + ${dialogueVoice} (${parts.length} parts)` : ''} (est. ${estimatedSeconds}s)...`);
 
   const heartbeat = createHeartbeat(
     onProgress,
@@ -44,22 +122,24 @@ export async function generateTtsAudio(text, outputPath, options = {}) {
     500, // tick every 500ms for smooth progress
   );
 
-  const openai = new OpenAI({ apiKey });
+  const openai = new OpenAI({ apiKey: provider.apiKey, ...(provider.baseURL && { baseURL: provider.baseURL }) });
   const ttsStart = Date.now();
+  const partPaths = [];
   try {
-    const response = await openai.audio.speech.create({
-      model: 'tts-1',
-      voice: 'nova',
-      input: text,
-      response_format: 'mp3',
-    });
-
-    // Stream response body to file
-    // OpenAI SDK returns a Node.js PassThrough stream, not a web ReadableStream
-    const fileStream = fs.createWriteStream(outputPath);
-    await pipeline(response.body, fileStream);
+    if (multiVoice) {
+      // Sequential keeps a self-hosted server from being swamped with parallel requests
+      for (const [i, part] of parts.entries()) {
+        const partPath = `${outputPath}.part${i}.mp3`;
+        partPaths.push(partPath);
+        await synthesize(openai, provider, part.text, part.dialogue ? dialogueVoice : voice, speed, partPath);
+      }
+      await concatAudioFiles(partPaths, outputPath);
+    } else {
+      await synthesize(openai, provider, text, voice, speed, outputPath);
+    }
   } finally {
     heartbeat.stop();
+    for (const partPath of partPaths) fs.rmSync(partPath, { force: true });
   }
 
   const elapsed = ((Date.now() - ttsStart) / 1000).toFixed(1);
@@ -0,0 +1,151 @@
+/**
+ * Minimal ZIP archive reader and writer, for EPUB and zipped FB2 books and for
+ * Anki packages. The reader walks the central directory (so archives written
+ * with data descriptors work) and supports the two compression methods these
+ * files actually use: stored and deflate. The writer deflates every entry.
+ */
+import zlib from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+// General purpose flag: names are UTF-8
+const UTF8_NAMES = 0x0800;
+// DOS date 1980-01-01, time 00:00 — entries carry no meaningful timestamp
+const DOS_DATE = (1 << 5) | 1;
+
+// Guards against zip bombs — no book file or Anki collection comes close to this
+export const MAX_ENTRY_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Open a ZIP archive held in memory.
+ * @param {Buffer} buffer - Whole archive
+ * Entries over MAX_ENTRY_BYTES — by their declared size, or once inflated
+ * when the header lies — throw instead of being read.
+ * @returns {{names: string[], size: (name: string) => number|null, read: (name: string) => Buffer|null, readText: (name: string) => string|null}}
+ */
+export function readZip(buffer) {
+  // End-of-central-directory record sits at the end, before an optional comment
+  let eocd = -1;
+  const scanEnd = Math.max(0, buffer.length - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+  for (let i = buffer.length - EOCD_MIN_SIZE; i >= scanEnd; i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Not a valid ZIP archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, { method, compressedSize, size, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  const tooLarge = (name) => new Error(`ZIP entry ${name} is larger than ${MAX_ENTRY_BYTES / (1024 * 1024)} MB`);
+
+  function read(name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    if (entry.size > MAX_ENTRY_BYTES) throw tooLarge(name);
+
+    const local = entry.localOffset;
+    if (local + 30 > buffer.length || buffer.readUInt32LE(local) !== LOCAL_SIGNATURE) {
+      throw new Error(`Corrupt ZIP entry: ${name}`);
+    }
+    // Local header name/extra lengths can differ from the central directory's
+    const dataStart = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) {
+      try {
+        return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+      } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge(name);
+        throw err;
+      }
+    }
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+  }
+
+  return {
+    names: Array.from(entries.keys()),
+    size: (name) => entries.get(name)?.size ?? null,
+    read,
+    readText: (name) => read(name)?.toString('utf8') ?? null,
+  };
+}
+
+/**
+ * Build a ZIP archive in memory.
+ * @param {Record<string, Buffer|Uint8Array>} files - Entry name → contents
+ * @returns {Buffer}
+ */
+export function writeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, contents] of Object.entries(files)) {
+    const raw = Buffer.from(contents.buffer, contents.byteOffset, contents.byteLength);
+    const data = zlib.deflateRawSync(raw);
+    const nameBuf = Buffer.from(name, 'utf8');
+    const crc = zlib.crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_SIGNATURE, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, data);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(EOCD_MIN_SIZE);
+  eocd.writeUInt32LE(EOCD_SIGNATURE, 0);
+  eocd.writeUInt16LE(centrals.length / 2, 8);
+  eocd.writeUInt16LE(centrals.length / 2, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, eocd]);
+}
@@ -12,9 +12,26 @@ export { extractVideoId, normalizeUrl } from './storage/url-utils.js';
 // Caches
 export { urlSessionCache, cacheSessionUrl } from './storage/url-cache.js';
 export { getCachedExtraction, cacheExtraction } from './storage/extraction-cache.js';
-export { translationCache } from './storage/translation-cache.js';
+export { translationCache, sentenceTranslationCache } from './storage/translation-cache.js';
 export { exampleCache } from './storage/example-cache.js';
 
+// Resumable media uploads
+export {
+  uploads,
+  UPLOAD_CHUNK_SIZE,
+  MAX_UPLOAD_BYTES,
+  MAX_DOCUMENT_BYTES,
+  UPLOAD_EXTENSIONS,
+  getUploadMediaKind,
+  createUpload,
+  getUpload,
+  appendUploadChunk,
+  isUploadComplete,
+  ensureUploadFile,
+  deleteUpload,
+  cleanupStaleUploads,
+} from './storage/upload-store.js';
+
 // Session CRUD
 export {
   localSessions,
@@ -63,10 +63,23 @@ export async function deleteSessionAndVideos(sessionId) {
         }
       }
     }
+    // Delete flashcard word clips
+    for (const clip of session.clips || []) {
+      await deleteGcsFile(`videos/${sessionId}_${clip}`);
+    }
+    // Delete uploaded source media (upload sessions only)
+    if (session.sourceGcsKey) {
+      await deleteGcsFile(session.sourceGcsKey);
+    }
     // Delete session JSON
     await deleteGcsFile(`sessions/${sessionId}.json`);
   }
 
+  // Uploaded source media is kept on local disk for chunk slicing (both modes)
+  if (session?.sourcePath && fs.existsSync(session.sourcePath)) {
+    fs.unlinkSync(session.sourcePath);
+  }
+
   // Clean up memory cache + library index
   analysisSessions.delete(sessionId);
   removeFromLibrary(sessionId);
@@ -176,6 +189,12 @@ export async function cleanupOldSessions() {
           await videoFile.delete().catch(() => {});
         }
 
+        // Delete uploaded source media
+        const [uploadFiles] = await bucket.getFiles({ prefix: `uploads/${sessionId}` });
+        for (const uploadFile of uploadFiles) {
+          await uploadFile.delete().catch(() => {});
+        }
+
         // Delete session file
         await file.delete().catch(() => {});
         deletedCount++;
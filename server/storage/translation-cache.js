@@ -6,3 +6,6 @@ import { LRUCache } from 'lru-cache';
 
 // Translation cache — LRU-bounded to prevent unbounded growth
 export const translationCache = new LRUCache({ max: 10000 });
+
+// Sentence translations for the parallel English track, keyed by the exact Russian sentence
+export const sentenceTranslationCache = new LRUCache({ max: 20000 });
@@ -0,0 +1,261 @@
+/**
+ * Resumable upload store for user-supplied media files.
+ * Clients send a file as sequential byte ranges; after a dropped connection they ask
+ * for the received offset and continue from there. Bytes land in a temp file on disk.
+ * In production every range and the upload record are also kept in GCS (under
+ * uploads/pending/), so a range or the analyze request can reach any instance.
+ * 24-hour TTL — abandoned uploads are swept lazily when new uploads start.
+ */
+import crypto from 'node:crypto';
+import fs from 'fs';
+import path from 'path';
+import { isLocal, getBucket, deleteGcsFile } from './gcs.js';
+
+export const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;        // 8 MB per PUT
+export const MAX_UPLOAD_BYTES = 2 * 1024 * 1024 * 1024;  // 2 GB per file
+export const MAX_DOCUMENT_BYTES = 50 * 1024 * 1024;      // 50 MB per book
+const UPLOAD_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Extensions ffmpeg can read that users are likely to have lying around,
+// plus book formats for text mode (.zip is a zipped FB2, e.g. "book.fb2.zip")
+export const UPLOAD_EXTENSIONS = {
+  audio: ['.mp3', '.m4a', '.aac', '.wav', '.ogg', '.oga', '.opus', '.flac', '.wma'],
+  video: ['.mp4', '.m4v', '.mkv', '.webm', '.mov', '.avi', '.wmv', '.flv', '.ts'],
+  document: ['.fb2', '.epub', '.txt', '.zip'],
+};
+
+// Map<uploadId, { uploadId, uid, filename, ext, mediaKind, size, received, ranges, path, createdAt, appending? }>
+// `ranges` holds the start offset of each stored range; `appending` is set while
+// this instance writes one. Production reloads the record from GCS on every lookup.
+export const uploads = new Map();
+
+const PENDING_PREFIX = 'uploads/pending/';
+const recordKey = (uploadId) => `${PENDING_PREFIX}${uploadId}.json`;
+const rangeKey = (uploadId, offset) => `${PENDING_PREFIX}${uploadId}/${offset}`;
+
+/** Save an upload record to GCS (no-op locally). */
+async function saveUploadRecord(upload) {
+  if (isLocal()) return;
+  const { appending, ...record } = upload;
+  await getBucket().file(recordKey(upload.uploadId)).save(JSON.stringify(record), {
+    contentType: 'application/json',
+    metadata: { cacheControl: 'no-cache' },
+  });
+}
+
+/** Load an upload record from GCS, or null if there is none. */
+async function loadUploadRecord(uploadId) {
+  try {
+    const [contents] = await getBucket().file(recordKey(uploadId)).download();
+    return JSON.parse(contents.toString());
+  } catch (err) {
+    if (err.code === 404) return null;
+    console.error(`[GCS] Error getting upload ${uploadId}:`, err.message);
+    return null;
+  }
+}
+
+/** Size of a file on disk, or null if it doesn't exist. */
+async function localSize(filePath) {
+  try {
+    return (await fs.promises.stat(filePath)).size;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Classify a filename by extension.
+ * @param {string} filename - Original filename from the client
+ * @returns {'audio'|'video'|'document'|null} Media kind, or null if unsupported
+ */
+export function getUploadMediaKind(filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  if (UPLOAD_EXTENSIONS.audio.includes(ext)) return 'audio';
+  if (UPLOAD_EXTENSIONS.video.includes(ext)) return 'video';
+  if (UPLOAD_EXTENSIONS.document.includes(ext)) return 'document';
+  return null;
+}
+
+/**
+ * Register a new upload and create its (empty) temp file.
+ * Callers validate size and extension first.
+ * @param {object} params
+ * @param {string} params.uid - Owner's user ID
+ * @param {string} params.filename - Original filename
+ * @param {number} params.size - Total size in bytes
+ * @param {string} params.dir - Directory for the temp file
+ * @returns {Promise<object>} The upload record
+ */
+export async function createUpload({ uid, filename, size, dir }) {
+  cleanupStaleUploads().catch(err => console.error('[Upload] Cleanup failed:', err.message));
+
+  const uploadId = crypto.randomUUID();
+  const ext = path.extname(filename).toLowerCase();
+  const filePath = path.join(dir, `upload_${uploadId}${ext}`);
+  await fs.promises.writeFile(filePath, '');
+
+  const upload = {
+    uploadId,
+    uid,
+    filename: path.basename(filename),
+    ext,
+    mediaKind: getUploadMediaKind(filename),
+    size,
+    received: 0,
+    ranges: [],
+    path: filePath,
+    createdAt: Date.now(),
+  };
+  await saveUploadRecord(upload);
+  uploads.set(uploadId, upload);
+  return upload;
+}
+
+/**
+ * Look up an upload owned by the given user. In production the record is read
+ * from GCS, since other instances may have received ranges since it was cached.
+ * @returns {Promise<object|null>} The upload record, or null if missing or owned by someone else
+ */
+export async function getUpload(uploadId, uid) {
+  let upload = uploads.get(uploadId);
+  if (!isLocal()) {
+    const record = await loadUploadRecord(uploadId);
+    if (!record) return null;
+    upload = uploads.get(uploadId);
+    if (upload) {
+      // A range this instance is still writing isn't in the record yet
+      if (!upload.appending) Object.assign(upload, record);
+    } else {
+      upload = record;
+      uploads.set(uploadId, upload);
+    }
+  }
+  if (!upload || upload.uid !== uid) return null;
+  return upload;
+}
+
+/**
+ * Append a byte range to an upload.
+ * Ranges must arrive in order — `offset` has to equal the bytes already received,
+ * which is what makes a retried PUT after a dropped connection safe. In production
+ * the range is stored in GCS (keyed by its offset, so a retry on another instance
+ * overwrites it with the same bytes) before the record counts it, so an upload is
+ * never complete while one of its ranges is still being written.
+ * @param {object} upload - Upload record
+ * @param {number} offset - Byte offset of this range
+ * @param {Buffer} data - Range contents
+ * @returns {Promise<number>} Total bytes received so far
+ */
+export async function appendUploadChunk(upload, offset, data) {
+  if (upload.appending) {
+    throw new Error('Another range is still being written');
+  }
+  if (offset !== upload.received) {
+    throw new Error(`Expected offset ${upload.received}, got ${offset}`);
+  }
+  if (upload.received + data.length > upload.size) {
+    throw new Error('Upload exceeds declared size');
+  }
+
+  upload.appending = true;
+  try {
+    if (!isLocal()) {
+      await getBucket().file(rangeKey(upload.uploadId, offset)).save(data, { resumable: false });
+    }
+    // Keep the local copy only while this instance has seen every range
+    const size = await localSize(upload.path);
+    if (size === offset) {
+      await fs.promises.appendFile(upload.path, data);
+    } else if (size !== null) {
+      await fs.promises.rm(upload.path, { force: true });
+    }
+
+    const received = upload.received + data.length;
+    const ranges = [...upload.ranges, offset];
+    await saveUploadRecord({ ...upload, received, ranges });
+    upload.received = received;
+    upload.ranges = ranges;
+    return received;
+  } finally {
+    upload.appending = false;
+  }
+}
+
+/** @returns {boolean} Whether every declared byte has arrived */
+export function isUploadComplete(upload) {
+  return upload.received === upload.size;
+}
+
+/**
+ * Make sure the upload's bytes are in its local temp file, rebuilding it from the
+ * ranges in GCS when some of them were received by another instance.
+ * @param {object} upload - Upload record
+ * @returns {Promise<string>} Path of the file
+ */
+export async function ensureUploadFile(upload) {
+  if (await localSize(upload.path) === upload.received) return upload.path;
+  if (isLocal()) {
+    throw new Error('Uploaded file is no longer available. Please upload it again.');
+  }
+
+  console.log(`[Upload] ${upload.uploadId}: Restoring ${upload.ranges.length} ranges from GCS`);
+  await fs.promises.mkdir(path.dirname(upload.path), { recursive: true });
+  await fs.promises.writeFile(upload.path, '');
+  for (const offset of upload.ranges) {
+    const [data] = await getBucket().file(rangeKey(upload.uploadId, offset)).download();
+    await fs.promises.appendFile(upload.path, data);
+  }
+  return upload.path;
+}
+
+/**
+ * Forget an upload. The temp file is deleted unless it has been handed to a session.
+ * The upload is dropped from this instance before the first await, so callers
+ * that don't wait have still claimed it.
+ * @param {string} uploadId
+ * @param {object} [options]
+ * @param {boolean} [options.keepFile=false] - Leave the file on disk
+ * @returns {Promise<void>}
+ */
+export async function deleteUpload(uploadId, { keepFile = false } = {}) {
+  const upload = uploads.get(uploadId);
+  uploads.delete(uploadId);
+  if (upload && !keepFile) {
+    await fs.promises.rm(upload.path, { force: true });
+  }
+  if (!isLocal()) {
+    await deleteGcsFile(recordKey(uploadId));
+    try {
+      await getBucket().deleteFiles({ prefix: `${PENDING_PREFIX}${uploadId}/` });
+    } catch (err) {
+      console.error(`[Upload] ${uploadId}: Error deleting ranges:`, err.message);
+    }
+  }
+}
+
+/**
+ * Delete uploads that were started but never analyzed within the TTL: this
+ * instance's, and in production any whose GCS record hasn't been written since.
+ * @returns {Promise<void>}
+ */
+export async function cleanupStaleUploads() {
+  const cutoff = Date.now() - UPLOAD_TTL;
+  for (const [uploadId, upload] of uploads) {
+    if (upload.createdAt < cutoff) {
+      console.log(`[Upload] Removing stale upload ${uploadId} (${upload.filename})`);
+      await deleteUpload(uploadId);
+    }
+  }
+  if (isLocal()) return;
+
+  // Records only: ranges live one level down
+  const [records] = await getBucket().getFiles({ prefix: PENDING_PREFIX, delimiter: '/' });
+  for (const file of records) {
+    if (Date.parse(file.metadata.timeCreated) < cutoff) {
+      const uploadId = path.basename(file.name, '.json');
+      console.log(`[Upload] Removing stale upload ${uploadId} from GCS`);
+      await deleteUpload(uploadId);
+    }
+  }
+}
@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getSttProvider, createSttProvider, transcribeAudioChunk } from './media.js';
+import { costs } from './usage.js';
+
+// ─── Provider selection ─────────────────────────────────────────
+
+describe('getSttProvider', () => {
+  it('defaults to OpenAI whisper-1', () => {
+    const provider = getSttProvider({ OPENAI_API_KEY: 'sk-test' });
+    expect(provider).toMatchObject({
+      id: 'openai',
+      model: 'whisper-1',
+      apiKey: 'sk-test',
+      capabilities: { wordTimestamps: true, segments: true },
+      costPerMinute: 0.006,
+      configError: null,
+    });
+    expect(provider.baseURL).toBeUndefined();
+  });
+
+  it('reports a missing OpenAI key', () => {
+    expect(getSttProvider({}).configError).toMatch(/OPENAI_API_KEY/);
+  });
+
+  it('configures a local OpenAI-compatible server from the environment', () => {
+    const provider = getSttProvider({
+      STT_PROVIDER: 'local',
+      STT_BASE_URL: 'http://localhost:8000/v1',
+      STT_MODEL: 'Systran/faster-whisper-large-v3',
+      STT_WORD_TIMESTAMPS: 'false',
+    });
+    expect(provider).toMatchObject({
+      id: 'local',
+      model: 'Systran/faster-whisper-large-v3',
+      baseURL: 'http://localhost:8000/v1',
+      capabilities: { wordTimestamps: false, segments: true },
+      costPerMinute: 0,
+      configError: null,
+    });
+  });
+
+  it('requires a base URL for the local provider and rejects unknown ids', () => {
+    expect(getSttProvider({ STT_PROVIDER: 'local' }).configError).toMatch(/STT_BASE_URL/);
+    expect(getSttProvider({ STT_PROVIDER: 'deepgram' }).configError).toMatch(/Unknown STT_PROVIDER "deepgram"/);
+  });
+
+  it('bills transcription at the provider rate', () => {
+    const local = getSttProvider({ STT_PROVIDER: 'local', STT_BASE_URL: 'http://x', STT_COST_PER_MINUTE: '0.001' });
+    expect(costs.transcription(600, local.costPerMinute)).toBeCloseTo(0.01);
+    expect(costs.transcription(600, getSttProvider({}).costPerMinute)).toBeCloseTo(costs.whisper(600));
+  });
+});
+
+// ─── Local stand-in server ──────────────────────────────────────
+
+describe('transcribeAudioChunk with a local provider', () => {
+  let server;
+  let baseURL;
+  let audioPath;
+  let requests;
+  let responseBody;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (data) => { body += data; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, auth: req.headers.authorization, body });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(responseBody));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+
+    audioPath = path.join(os.tmpdir(), `stt-provider-test-${process.pid}.mp3`);
+    fs.writeFileSync(audioPath, 'fake-audio-data');
+  });
+
+  afterAll(async () => {
+    fs.rmSync(audioPath, { force: true });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  it('posts to the provider endpoint and passes word timestamps through', async () => {
+    responseBody = {
+      text: 'Привет мир',
+      language: 'russian',
+      duration: 1.5,
+      words: [
+        { word: 'Привет', start: 0, end: 0.6 },
+        { word: 'мир', start: 0.7, end: 1.2 },
+      ],
+      segments: [{ text: ' Привет мир', start: 0, end: 1.2 }],
+    };
+    const provider = getSttProvider({ STT_PROVIDER: 'local', STT_BASE_URL: baseURL, STT_MODEL: 'large-v3', STT_API_KEY: 'secret' });
+
+    const result = await transcribeAudioChunk(audioPath, { provider });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({ method: 'POST', url: '/v1/audio/transcriptions', auth: 'Bearer secret' });
+    expect(requests[0].body).toContain('large-v3');
+    expect(requests[0].body).toContain('verbose_json');
+    expect(result).toEqual({
+      words: responseBody.words,
+      segments: responseBody.segments,
+      language: 'russian',
+      duration: 1.5,
+    });
+  });
+
+  it('estimates word timings for segment-only providers', async () => {
+    responseBody = {
+      text: 'Да нет. Ага.',
+      segments: [
+        { text: ' Да нет.', start: 1, end: 2 },
+        { text: ' Ага.', start: 3, end: 4 },
+      ],
+    };
+    const provider = createSttProvider({
+      id: 'local', model: 'base', baseURL, apiKey: 'local',
+      capabilities: { wordTimestamps: false },
+    });
+
+    const result = await transcribeAudioChunk(audioPath, { provider });
+
+    // Only segment timestamps are requested
+    expect(requests[0].body).toMatch(/name="timestamp_granularities\[\]"\r\n\r\nsegment\r\n/);
+    expect(requests[0].body).not.toMatch(/\r\n\r\nword\r\n/);
+    expect(result.words.map(w => w.word)).toEqual(['Да', ' нет.', ' Ага.']);
+    expect(result.words[0].start).toBe(1);
+    expect(result.words[2]).toMatchObject({ start: 3, end: 4 });
+    expect(result.duration).toBe(4);
+  });
+
+  it('refuses to run without a configured provider', async () => {
+    const provider = getSttProvider({ STT_PROVIDER: 'local' });
+    await expect(transcribeAudioChunk(audioPath, { provider })).rejects.toThrow(/STT_BASE_URL/);
+    expect(requests).toHaveLength(0);
+  });
+});
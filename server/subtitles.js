@@ -0,0 +1,327 @@
+/**
+ * Subtitle import and export (SRT and WebVTT).
+ *
+ * Export: one cue per sentence, using the punctuation restored by addPunctuation
+ * (same rules as the frontend's src/utils/sentences.ts; subtitles.test.js checks
+ * that both split the same fixtures alike). Optional extra lines per cue carry
+ * the lemmas and/or an English translation; WebVTT can also carry karaoke-style
+ * word timing tags. With stress marks the cue text uses each
+ * word's `stressed` spelling (see accentuateWords).
+ *
+ * Import: captions that come with a video replace Whisper + addPunctuation.
+ * Word timings are spread across each cue like estimateWordTimestamps, and can
+ * be refined against a Whisper pass with alignWhisperToOriginal.
+ */
+import { estimateWordTimestamps, alignWhisperToOriginal } from './media.js';
+
+export const SUBTITLE_FORMATS = ['srt', 'vtt'];
+export const SUBTITLE_TRACKS = ['lemma', 'translation'];
+
+// Terminal punctuation, optionally followed by closing quotes/brackets: "конец.", "да?!»", "так…)"
+const SENTENCE_END = /[.!?…]+["'»”)\]]*$/;
+// Single-letter initials ("А. С. Пушкин") never end a sentence
+const INITIAL = /^["'«„(]*[А-ЯЁA-Z]\.$/;
+const STARTS_LOWERCASE = /^["'«„(\s—–-]*[a-zа-яё]/;
+// Leading/trailing punctuation stripped when a word has no lemma
+const EDGE_PUNCTUATION = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu;
+
+// Players drop zero-length cues
+const MIN_CUE_DURATION = 0.1;
+
+function endsSentence(word, nextWord) {
+  const text = word.trim();
+  if (!SENTENCE_END.test(text) || INITIAL.test(text)) return false;
+  // Abbreviations like "т. е." or "и т. д." are followed by lowercase words
+  if (nextWord !== undefined && STARTS_LOWERCASE.test(nextWord)) return false;
+  return true;
+}
+
+/**
+ * Group timed words into sentences.
+ * @param {Array<{word: string, start: number, end: number, lemma?: string}>} words
+ * @returns {Array<{words: Array, text: string, start: number, end: number}>}
+ */
+export function segmentSentences(words) {
+  const sentences = [];
+  let first = 0;
+
+  for (let i = 0; i < words.length; i++) {
+    if (i === words.length - 1 || endsSentence(words[i].word, words[i + 1]?.word)) {
+      const sentenceWords = words.slice(first, i + 1);
+      sentences.push({
+        words: sentenceWords,
+        text: sentenceWords.map(w => w.word.trim()).join(' '),
+        start: sentenceWords[0].start,
+        end: sentenceWords[sentenceWords.length - 1].end,
+      });
+      first = i + 1;
+    }
+  }
+
+  return sentences;
+}
+
+/**
+ * Format seconds as a subtitle timestamp: 00:01:02,345 (SRT) or 00:01:02.345 (WebVTT).
+ * @param {number} seconds
+ * @param {'srt'|'vtt'} format
+ */
+export function formatTimestamp(seconds, format) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const ms = totalMs % 1000;
+  const totalSecs = Math.floor(totalMs / 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const time = `${pad(Math.floor(totalSecs / 3600))}:${pad(Math.floor(totalSecs / 60) % 60)}:${pad(totalSecs % 60)}`;
+  return `${time}${format === 'srt' ? ',' : '.'}${pad(ms, 3)}`;
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function lemmaLine(words) {
+  return words.map(w => w.lemma || w.word.replace(EDGE_PUNCTUATION, '').toLowerCase()).filter(Boolean).join(' ');
+}
+
+/**
+ * Render sentences as an SRT or WebVTT document.
+ * @param {Array<{words: Array, text: string, start: number, end: number}>} sentences - From segmentSentences
+ * @param {object} options
+ * @param {'srt'|'vtt'} options.format
+ * @param {boolean} [options.lemmas] - Add a line with each word's dictionary form
+ * @param {string[]} [options.translations] - English line per sentence (same order)
+ * @param {boolean} [options.karaoke] - WebVTT only: <hh:mm:ss.mmm> tag before each word after the first
+ * @param {boolean} [options.stress] - Write words with their stress marks
+ * @returns {string}
+ */
+export function formatSubtitles(sentences, { format, lemmas = false, translations, karaoke = false, stress = false }) {
+  const isVtt = format === 'vtt';
+  const escape = isVtt ? escapeVtt : (text) => text;
+  const spelling = (w) => ((stress && w.stressed) || w.word).trim();
+
+  const cues = sentences.map((sentence, i) => {
+    const start = sentence.start;
+    const end = Math.max(sentence.end, start + MIN_CUE_DURATION);
+
+    let text;
+    if (isVtt && karaoke) {
+      text = sentence.words.map((w, j) => {
+        const word = escape(spelling(w));
+        if (j === 0) return word;
+        const wordStart = Math.min(Math.max(w.start, start), end);
+        return `<${formatTimestamp(wordStart, 'vtt')}>${word}`;
+      }).join(' ');
+    } else {
+      text = escape(stress ? sentence.words.map(spelling).join(' ') : sentence.text);
+    }
+
+    const lines = [text];
+    if (lemmas) lines.push(escape(lemmaLine(sentence.words)));
+    if (translations?.[i]) lines.push(`<i>${escape(translations[i])}</i>`);
+
+    const timing = `${formatTimestamp(start, format)} --> ${formatTimestamp(end, format)}`;
+    return `${i + 1}\n${timing}\n${lines.join('\n')}\n`;
+  });
+
+  const body = cues.join('\n');
+  return isVtt ? `WEBVTT\n\n${body}` : body;
+}
+
+/**
+ * Parse and validate subtitle export query parameters.
+ * @param {object} query - { format?, tracks?: 'lemma,translation', karaoke?: '1'|'true', stress?: '1'|'true' }
+ * @returns {{options: {format: 'srt'|'vtt', lemmas: boolean, translation: boolean, karaoke: boolean, stress: boolean}} | {error: string}}
+ */
+export function parseSubtitleOptions(query = {}) {
+  const format = query.format || 'srt';
+  if (!SUBTITLE_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${SUBTITLE_FORMATS.join(', ')}` };
+  }
+
+  const tracks = query.tracks ? String(query.tracks).split(',').filter(Boolean) : [];
+  const unknown = tracks.find(t => !SUBTITLE_TRACKS.includes(t));
+  if (unknown) {
+    return { error: `Unknown subtitle track: ${unknown}` };
+  }
+
+  const karaoke = query.karaoke === '1' || query.karaoke === 'true';
+  if (karaoke && format !== 'vtt') {
+    return { error: 'Word timing tags are only supported in WebVTT' };
+  }
+
+  return {
+    options: {
+      format,
+      lemmas: tracks.includes('lemma'),
+      translation: tracks.includes('translation'),
+      karaoke,
+      stress: query.stress === '1' || query.stress === 'true',
+    },
+  };
+}
+
+// ─── Import ─────────────────────────────────────────────────────
+
+// Largest subtitle file accepted with an analysis (a feature film is ~150 KB)
+export const MAX_SUBTITLE_CHARS = 2 * 1024 * 1024;
+
+// "00:01:02,345 --> 00:01:04.000 align:start" — hours optional in WebVTT
+const CUE_TIMING = /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})/;
+// Markup that isn't speech: tags, ASS overrides, [sound descriptions], music notes
+const CUE_MARKUP = /<[^>]*>|\{\\[^}]*\}|\[[^\]]*\]|[♪♫]/g;
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&quot;': '"', '&#39;': "'" };
+// Cue-estimated word timings are only replaced by Whisper ones this close to the cue
+const ALIGN_TOLERANCE = 1;
+
+function parseCueTime(text) {
+  const [clock, ms] = text.split(/[,.]/);
+  const parts = clock.split(':').map(Number);
+  const [h, m, sec] = parts.length === 3 ? parts : [0, ...parts];
+  return h * 3600 + m * 60 + sec + Number(ms.padEnd(3, '0')) / 1000;
+}
+
+function cleanCueText(lines) {
+  return lines
+    .map(line => line
+      .replace(CUE_MARKUP, '')
+      .replace(/&(?:amp|lt|gt|nbsp|quot|#39);/g, entity => HTML_ENTITIES[entity])
+      // Dialogue dashes at line start mark speaker changes, not words
+      .replace(/^\s*[-–—]\s+/, '')
+      .trim())
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Parse an SRT or WebVTT file into cues. Header, NOTE, STYLE and REGION blocks
+ * are skipped, as are cues with no speech left after stripping markup.
+ * Consecutive cues with identical text (rolling captions) are merged.
+ * @param {string} content - File contents
+ * @returns {Array<{start: number, end: number, text: string}>} Cues in time order
+ */
+export function parseSubtitles(content) {
+  const blocks = content.replace(/^﻿/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingLine = lines.findIndex(line => CUE_TIMING.test(line));
+    if (timingLine === -1) continue;
+
+    const [, startText, endText] = lines[timingLine].match(CUE_TIMING);
+    const start = parseCueTime(startText);
+    const end = parseCueTime(endText);
+    const text = cleanCueText(lines.slice(timingLine + 1));
+    if (!text || end <= start) continue;
+
+    cues.push({ start, end, text });
+  }
+
+  cues.sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const cue of cues) {
+    const prev = merged[merged.length - 1];
+    if (prev && prev.text === cue.text && cue.start <= prev.end + 0.05) {
+      prev.end = Math.max(prev.end, cue.end);
+    } else {
+      merged.push({ ...cue });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Build a transcript (same shape as transcribeAudioChunk + addPunctuation output)
+ * from subtitle cues. Each cue becomes a segment; its words share the cue's time
+ * in proportion to their length. Overlapping cues are pushed back so word times
+ * never go backwards.
+ * @param {Array<{start: number, end: number, text: string}>} cues - From parseSubtitles
+ * @returns {{words: Array<{word: string, start: number, end: number}>, segments: Array, language: string, duration: number}}
+ */
+export function cuesToTranscript(cues) {
+  const words = [];
+  const segments = [];
+  let cursor = 0;
+
+  for (const cue of cues) {
+    const start = Math.max(cue.start, cursor);
+    if (start >= cue.end) continue;
+
+    const estimated = estimateWordTimestamps(cue.text, cue.end - start);
+    for (const w of estimated.words) {
+      words.push({
+        word: (words.length > 0 ? ' ' : '') + w.word.trim(),
+        start: start + w.start,
+        end: start + w.end,
+      });
+    }
+    segments.push({ text: cue.text, start, end: cue.end });
+    cursor = cue.end;
+  }
+
+  return { words, segments, language: 'ru', duration: cursor };
+}
+
+/**
+ * Forced-alignment pass: move subtitle words onto Whisper's timings for the same audio.
+ * Caption text is kept; a word only takes Whisper's timing when it lands within
+ * ALIGN_TOLERANCE of the word's cue, so a bad match can't drag it elsewhere.
+ * @param {{words: Array, segments: Array}} transcript - Subtitle transcript (same time base as the audio)
+ * @param {Array<{word: string, start: number, end: number}>} whisperWords - transcribeAudioChunk words
+ * @returns {object} Transcript with refined word timings
+ */
+export function alignSubtitleTranscript(transcript, whisperWords) {
+  if (!whisperWords?.length || transcript.words.length === 0) return transcript;
+
+  const aligned = alignWhisperToOriginal(whisperWords, transcript.words.map(w => w.word.trim()));
+  let segment = 0;
+
+  const words = transcript.words.map((word, i) => {
+    while (segment < transcript.segments.length - 1 && word.start >= transcript.segments[segment].end) {
+      segment++;
+    }
+    const cue = transcript.segments[segment];
+    const { start, end } = aligned[i];
+    const fits = cue && end > start && start >= cue.start - ALIGN_TOLERANCE && end <= cue.end + ALIGN_TOLERANCE;
+    return fits ? { ...word, start, end } : word;
+  });
+
+  // Keep word order monotonic after mixing refined and estimated timings
+  for (let i = 1; i < words.length; i++) {
+    if (words[i].start < words[i - 1].start) {
+      words[i] = { ...words[i], start: words[i - 1].start, end: Math.max(words[i].end, words[i - 1].start) };
+    }
+  }
+
+  return { ...transcript, words };
+}
+
+/**
+ * Validate the `subtitles` field of an analyze request and parse it.
+ * @param {unknown} input - { content: string, align?: boolean } or undefined
+ * @returns {{subtitles: {transcript: object, align: boolean} | null} | {error: string}}
+ */
+export function parseSubtitleImport(input) {
+  if (input === undefined || input === null) return { subtitles: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'subtitles must be an object' };
+  }
+  const { content, align = false } = input;
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: 'subtitles.content must be the text of an .srt or .vtt file' };
+  }
+  if (content.length > MAX_SUBTITLE_CHARS) {
+    return { error: 'Subtitle file is too large (max 2 MB)' };
+  }
+  if (typeof align !== 'boolean') {
+    return { error: 'subtitles.align must be a boolean' };
+  }
+
+  const cues = parseSubtitles(content);
+  if (cues.length === 0) {
+    return { error: 'No subtitle cues found. Is it an SRT or WebVTT file?' };
+  }
+  return { subtitles: { transcript: cuesToTranscript(cues), align } };
+}
@@ -0,0 +1,264 @@
+import { describe, it, expect } from 'vitest';
+import {
+  segmentSentences, formatTimestamp, formatSubtitles, parseSubtitleOptions,
+  parseSubtitles, cuesToTranscript, alignSubtitleTranscript, parseSubtitleImport,
+} from './subtitles.js';
+// The transcript's sentence navigation splits on the same rules as the export
+import { segmentSentences as segmentFrontendSentences } from '../src/utils/sentences.ts';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+/** One word every 0.5s, each 0.4s long */
+function makeWords(text, lemmas = []) {
+  return text.split(' ').map((word, i) => ({
+    word,
+    start: i * 0.5,
+    end: i * 0.5 + 0.4,
+    ...(lemmas[i] ? { lemma: lemmas[i] } : {}),
+  }));
+}
+
+// ─── segmentSentences ───────────────────────────────────────────
+
+describe('segmentSentences', () => {
+  it('splits at sentence-ending punctuation', () => {
+    const sentences = segmentSentences(makeWords('Привет, как дела? Всё хорошо.'));
+    expect(sentences.map(s => s.text)).toEqual(['Привет, как дела?', 'Всё хорошо.']);
+    expect(sentences[1].start).toBe(1.5);
+    expect(sentences[1].end).toBe(2.4);
+  });
+
+  it('does not split at initials or lowercase-continued abbreviations', () => {
+    const sentences = segmentSentences(makeWords('Писал А. С. Пушкин, т. е. поэт. Конец'));
+    expect(sentences.map(s => s.text)).toEqual(['Писал А. С. Пушкин, т. е. поэт.', 'Конец']);
+  });
+
+  it('returns nothing for an empty transcript', () => {
+    expect(segmentSentences([])).toEqual([]);
+  });
+
+  it.each([
+    'Привет, как дела? Всё хорошо.',
+    'Писал А. С. Пушкин, т. е. поэт. Конец',
+    '«Куда?» — спросил он. «Домой!» И ушёл…',
+    'Это было давно (в 1890 г.) Потом забыли.',
+    'Да?! Нет… — так и живём',
+    'Он сказал: «Хватит.» и ушёл. M. Smith ответил.',
+  ])('splits like the frontend: %s', (text) => {
+    const words = makeWords(text);
+    const bounds = (sentences) => sentences.map(s => [s.start, s.end]);
+    expect(bounds(segmentSentences(words))).toEqual(bounds(segmentFrontendSentences(words)));
+  });
+});
+
+// ─── formatTimestamp ────────────────────────────────────────────
+
+describe('formatTimestamp', () => {
+  it('uses a comma for SRT and a dot for WebVTT', () => {
+    expect(formatTimestamp(3723.456, 'srt')).toBe('01:02:03,456');
+    expect(formatTimestamp(3723.456, 'vtt')).toBe('01:02:03.456');
+  });
+
+  it('rounds to milliseconds and clamps negatives', () => {
+    expect(formatTimestamp(59.9996, 'vtt')).toBe('00:01:00.000');
+    expect(formatTimestamp(-1, 'srt')).toBe('00:00:00,000');
+  });
+});
+
+// ─── formatSubtitles ────────────────────────────────────────────
+
+describe('formatSubtitles', () => {
+  const sentences = segmentSentences(makeWords('Привет, как дела? Всё хорошо.', ['привет', 'как', 'дело', 'всё', 'хороший']));
+
+  it('builds numbered SRT cues, one per sentence', () => {
+    expect(formatSubtitles(sentences, { format: 'srt' })).toBe(
+      '1\n00:00:00,000 --> 00:00:01,400\nПривет, как дела?\n\n'
+      + '2\n00:00:01,500 --> 00:00:02,400\nВсё хорошо.\n'
+    );
+  });
+
+  it('starts WebVTT output with the header', () => {
+    const vtt = formatSubtitles(sentences, { format: 'vtt' });
+    expect(vtt.startsWith('WEBVTT\n\n1\n00:00:00.000 --> 00:00:01.400\nПривет, как дела?\n')).toBe(true);
+  });
+
+  it('adds lemma and translation lines', () => {
+    const srt = formatSubtitles(sentences, {
+      format: 'srt',
+      lemmas: true,
+      translations: ['Hi, how are you?', 'All good.'],
+    });
+    expect(srt).toContain('Привет, как дела?\nпривет как дело\n<i>Hi, how are you?</i>\n');
+    expect(srt).toContain('Всё хорошо.\nвсё хороший\n<i>All good.</i>\n');
+  });
+
+  it('falls back to the bare lowercase word when a lemma is missing', () => {
+    const srt = formatSubtitles(segmentSentences(makeWords('«Стоп!»')), { format: 'srt', lemmas: true });
+    expect(srt).toContain('«Стоп!»\nстоп\n');
+  });
+
+  it('adds WebVTT word timing tags in karaoke mode', () => {
+    const vtt = formatSubtitles(sentences, { format: 'vtt', karaoke: true });
+    expect(vtt).toContain('Привет, <00:00:00.500>как <00:00:01.000>дела?\n');
+  });
+
+  it('writes stressed spellings where words have them', () => {
+    const stressed = sentences.map(sentence => ({
+      ...sentence,
+      words: sentence.words.map(w => (w.word === 'хорошо.' ? { ...w, stressed: 'хорошо́.' } : w)),
+    }));
+    expect(formatSubtitles(stressed, { format: 'srt', stress: true })).toContain('Всё хорошо́.\n');
+    expect(formatSubtitles(stressed, { format: 'vtt', stress: true, karaoke: true })).toContain('Всё <00:00:02.000>хорошо́.\n');
+    expect(formatSubtitles(stressed, { format: 'srt' })).toContain('Всё хорошо.\n');
+  });
+
+  it('escapes markup characters in WebVTT', () => {
+    const vtt = formatSubtitles(segmentSentences(makeWords('<b> & Ко.')), { format: 'vtt' });
+    expect(vtt).toContain('&lt;b&gt; &amp; Ко.');
+  });
+
+  it('gives zero-length sentences a minimal duration', () => {
+    const words = [{ word: 'Да.', start: 5, end: 5 }];
+    expect(formatSubtitles(segmentSentences(words), { format: 'srt' })).toContain('00:00:05,000 --> 00:00:05,100');
+  });
+});
+
+// ─── parseSubtitleOptions ───────────────────────────────────────
+
+describe('parseSubtitleOptions', () => {
+  it('defaults to plain SRT', () => {
+    expect(parseSubtitleOptions({})).toEqual({
+      options: { format: 'srt', lemmas: false, translation: false, karaoke: false, stress: false },
+    });
+  });
+
+  it('reads tracks, karaoke and stress marks', () => {
+    expect(parseSubtitleOptions({ format: 'vtt', tracks: 'lemma,translation', karaoke: '1', stress: 'true' })).toEqual({
+      options: { format: 'vtt', lemmas: true, translation: true, karaoke: true, stress: true },
+    });
+  });
+
+  it('rejects unknown formats and tracks', () => {
+    expect(parseSubtitleOptions({ format: 'ass' }).error).toMatch(/format/);
+    expect(parseSubtitleOptions({ tracks: 'lemma,gloss' }).error).toMatch(/gloss/);
+  });
+
+  it('rejects karaoke outside WebVTT', () => {
+    expect(parseSubtitleOptions({ format: 'srt', karaoke: 'true' }).error).toMatch(/WebVTT/);
+  });
+});
+
+// ─── parseSubtitles ─────────────────────────────────────────────
+
+describe('parseSubtitles', () => {
+  it('parses SRT cues and strips markup', () => {
+    const srt = '\uFEFF1\r\n00:00:01,000 --> 00:00:03,500\r\n<i>Привет,</i>\r\nкак дела?\r\n\r\n2\r\n00:00:04,000 --> 00:00:05,000\r\n{\\an8}[музыка] Хорошо.\r\n';
+    expect(parseSubtitles(srt)).toEqual([
+      { start: 1, end: 3.5, text: 'Привет, как дела?' },
+      { start: 4, end: 5, text: 'Хорошо.' },
+    ]);
+  });
+
+  it('parses WebVTT with short timestamps, settings, NOTE blocks and entities', () => {
+    const vtt = 'WEBVTT\n\nNOTE translated by hand\n\nintro\n01:02.5 --> 01:04.000 align:start\n<c.yellow>Да</c> &amp; <00:01:03.000>нет\n';
+    expect(parseSubtitles(vtt)).toEqual([{ start: 62.5, end: 64, text: 'Да & нет' }]);
+  });
+
+  it('drops dialogue dashes, empty cues and merges repeated rolling captions', () => {
+    const srt = [
+      '1', '00:00:01,000 --> 00:00:02,000', '- Кто там?', '- Я.', '',
+      '2', '00:00:02,000 --> 00:00:03,000', '♪', '',
+      '3', '00:00:03,000 --> 00:00:04,000', 'Иду.', '',
+      '4', '00:00:04,000 --> 00:00:05,000', 'Иду.', '',
+    ].join('\n');
+    expect(parseSubtitles(srt)).toEqual([
+      { start: 1, end: 2, text: 'Кто там? Я.' },
+      { start: 3, end: 5, text: 'Иду.' },
+    ]);
+  });
+
+  it('returns no cues for text without timings', () => {
+    expect(parseSubtitles('just some text')).toEqual([]);
+  });
+});
+
+// ─── cuesToTranscript ───────────────────────────────────────────
+
+describe('cuesToTranscript', () => {
+  it('spreads words across each cue in transcript shape', () => {
+    const transcript = cuesToTranscript([
+      { start: 1, end: 2, text: 'Да нет' },
+      { start: 3, end: 4, text: 'Ага.' },
+    ]);
+    expect(transcript.words.map(w => w.word)).toEqual(['Да', ' нет', ' Ага.']);
+    expect(transcript.words[0].start).toBe(1);
+    expect(transcript.words[1].end).toBeCloseTo(2);
+    expect(transcript.words[2]).toMatchObject({ start: 3, end: 4 });
+    expect(transcript.segments).toEqual([
+      { text: 'Да нет', start: 1, end: 2 },
+      { text: 'Ага.', start: 3, end: 4 },
+    ]);
+    expect(transcript.duration).toBe(4);
+  });
+
+  it('keeps word times increasing when cues overlap', () => {
+    const { words } = cuesToTranscript([
+      { start: 0, end: 2, text: 'раз' },
+      { start: 1, end: 3, text: 'два' },
+    ]);
+    expect(words[1].start).toBe(2);
+  });
+});
+
+// ─── alignSubtitleTranscript ────────────────────────────────────
+
+describe('alignSubtitleTranscript', () => {
+  const transcript = cuesToTranscript([{ start: 10, end: 12, text: 'Привет, мир.' }]);
+
+  it('takes Whisper timings near the cue and keeps the caption text', () => {
+    const aligned = alignSubtitleTranscript(transcript, [
+      { word: ' привет', start: 10.4, end: 10.9 },
+      { word: ' мир', start: 11.0, end: 11.3 },
+    ]);
+    expect(aligned.words).toEqual([
+      { word: 'Привет,', start: 10.4, end: 10.9 },
+      { word: ' мир.', start: 11.0, end: 11.3 },
+    ]);
+  });
+
+  it('keeps the estimate when the match lands far from the cue', () => {
+    const aligned = alignSubtitleTranscript(transcript, [
+      { word: ' привет', start: 40, end: 40.5 },
+      { word: ' мир', start: 11.0, end: 11.3 },
+    ]);
+    expect(aligned.words[0]).toEqual(transcript.words[0]);
+    expect(aligned.words[1].start).toBe(11.0);
+  });
+
+  it('returns the transcript unchanged without Whisper words', () => {
+    expect(alignSubtitleTranscript(transcript, [])).toBe(transcript);
+  });
+});
+
+// ─── parseSubtitleImport ────────────────────────────────────────
+
+describe('parseSubtitleImport', () => {
+  const srt = '1\n00:00:01,000 --> 00:00:02,000\nДа.\n';
+
+  it('treats a missing field as no subtitles', () => {
+    expect(parseSubtitleImport(undefined)).toEqual({ subtitles: null });
+  });
+
+  it('parses content into a transcript', () => {
+    const { subtitles } = parseSubtitleImport({ content: srt, align: true });
+    expect(subtitles.align).toBe(true);
+    expect(subtitles.transcript.words).toEqual([{ word: 'Да.', start: 1, end: 2 }]);
+  });
+
+  it('rejects bad input', () => {
+    expect(parseSubtitleImport('text').error).toMatch(/object/);
+    expect(parseSubtitleImport({ content: '' }).error).toMatch(/content/);
+    expect(parseSubtitleImport({ content: srt, align: 'yes' }).error).toMatch(/align/);
+    expect(parseSubtitleImport({ content: 'hello' }).error).toMatch(/No subtitle cues/);
+  });
+});
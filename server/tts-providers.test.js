@@ -0,0 +1,186 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getTtsProvider, parseTtsOptions, splitDialogue, generateTtsAudio } from './media.js';
+import { costs } from './usage.js';
+
+// ffmpeg isn't available in unit tests — joining mp3 parts byte for byte is enough to check order
+vi.mock('./media/download.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  concatAudioFiles: vi.fn(async (inputPaths, outputPath) => {
+    fs.writeFileSync(outputPath, Buffer.concat(inputPaths.map(p => fs.readFileSync(p))));
+    return { size: fs.statSync(outputPath).size };
+  }),
+}));
+
+// ─── Provider selection ─────────────────────────────────────────
+
+describe('getTtsProvider', () => {
+  it('defaults to OpenAI tts-1 with nova', () => {
+    const provider = getTtsProvider({ OPENAI_API_KEY: 'sk-test' });
+    expect(provider).toMatchObject({
+      id: 'openai',
+      model: 'tts-1',
+      apiKey: 'sk-test',
+      defaultVoice: 'nova',
+      costPerMillionChars: 15,
+      configError: null,
+    });
+    expect(provider.voices).toContain('onyx');
+    expect(costs.tts(1_000_000, provider.costPerMillionChars)).toBe(costs.tts(1_000_000));
+  });
+
+  it('configures a local server with its own voices', () => {
+    const provider = getTtsProvider({
+      TTS_PROVIDER: 'local',
+      TTS_BASE_URL: 'http://localhost:8000/v1',
+      TTS_MODEL: 'tts-1-hd',
+      TTS_VOICES: 'irina, denis ,dmitri',
+      TTS_DEFAULT_VOICE: 'denis',
+    });
+    expect(provider).toMatchObject({
+      id: 'local',
+      model: 'tts-1-hd',
+      baseURL: 'http://localhost:8000/v1',
+      voices: ['irina', 'denis', 'dmitri'],
+      defaultVoice: 'denis',
+      costPerMillionChars: 0,
+      configError: null,
+    });
+  });
+
+  it('requires a base URL for the local provider and rejects unknown ids', () => {
+    expect(getTtsProvider({ TTS_PROVIDER: 'local' }).configError).toMatch(/TTS_BASE_URL/);
+    expect(getTtsProvider({ TTS_PROVIDER: 'polly' }).configError).toMatch(/Unknown TTS_PROVIDER "polly"/);
+  });
+});
+
+describe('parseTtsOptions', () => {
+  const provider = getTtsProvider({ OPENAI_API_KEY: 'sk-test' });
+
+  it('fills in defaults and drops a dialogue voice equal to the narrator', () => {
+    expect(parseTtsOptions(undefined, provider)).toEqual({ options: null });
+    expect(parseTtsOptions({}, provider)).toEqual({ options: { voice: 'nova', speed: 1, dialogueVoice: null } });
+    expect(parseTtsOptions({ voice: 'onyx', dialogueVoice: 'onyx', speed: 0.75 }, provider))
+      .toEqual({ options: { voice: 'onyx', speed: 0.75, dialogueVoice: null } });
+  });
+
+  it('rejects unknown voices and out-of-range speeds', () => {
+    expect(parseTtsOptions([], provider).error).toMatch(/must be an object/);
+    expect(parseTtsOptions({ voice: 'darth' }, provider).error).toMatch(/tts.voice/);
+    expect(parseTtsOptions({ dialogueVoice: 'darth' }, provider).error).toMatch(/tts.dialogueVoice/);
+    expect(parseTtsOptions({ speed: 2 }, provider).error).toMatch(/between 0.5 and 1.5/);
+    expect(parseTtsOptions({ speed: '1' }, provider).error).toMatch(/tts.speed/);
+  });
+});
+
+// ─── Dialogue detection ─────────────────────────────────────────
+
+describe('splitDialogue', () => {
+  it('separates dash dialogue from the author remarks inside it', () => {
+    expect(splitDialogue('Он обернулся.\n— Здравствуйте, — сказал Воланд. — Вы литераторы?')).toEqual([
+      { text: 'Он обернулся.', dialogue: false },
+      { text: '— Здравствуйте,', dialogue: true },
+      { text: 'сказал Воланд.', dialogue: false },
+      { text: 'Вы литераторы?', dialogue: true },
+    ]);
+  });
+
+  it('treats «quoted» speech inside narration as dialogue', () => {
+    expect(splitDialogue('Он сказал: «Пойдём домой». И они пошли.')).toEqual([
+      { text: 'Он сказал:', dialogue: false },
+      { text: '«Пойдём домой»', dialogue: true },
+      { text: '. И они пошли.', dialogue: false },
+    ]);
+  });
+
+  it('keeps punctuation-only scraps with the preceding part and merges paragraphs', () => {
+    expect(splitDialogue('«Да»!\n\n«Нет».')).toEqual([{ text: '«Да»!\n«Нет».', dialogue: true }]);
+    expect(splitDialogue('Просто текст.\nЕщё абзац.')).toEqual([{ text: 'Просто текст.\nЕщё абзац.', dialogue: false }]);
+  });
+});
+
+// ─── Local stand-in server ──────────────────────────────────────
+
+describe('generateTtsAudio with a local provider', () => {
+  let server;
+  let baseURL;
+  let outputPath;
+  let requests;
+
+  beforeAll(async () => {
+    // Answers each request with its own voice name so the output shows the part order
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (data) => { body += data; });
+      req.on('end', () => {
+        const json = JSON.parse(body);
+        requests.push({ url: req.url, auth: req.headers.authorization, body: json });
+        res.setHeader('Content-Type', 'audio/mpeg');
+        res.end(`[${json.voice}]`);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+    outputPath = path.join(os.tmpdir(), `tts-provider-test-${process.pid}.mp3`);
+  });
+
+  afterAll(async () => {
+    fs.rmSync(outputPath, { force: true });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  it('sends the model, voice and speed to the provider endpoint', async () => {
+    const provider = getTtsProvider({ TTS_PROVIDER: 'local', TTS_BASE_URL: baseURL, TTS_MODEL: 'piper', TTS_API_KEY: 'secret' });
+
+    const result = await generateTtsAudio('Привет, мир.', outputPath, { provider, voice: 'onyx', speed: 1.25 });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({ url: '/v1/audio/speech', auth: 'Bearer secret' });
+    expect(requests[0].body).toMatchObject({ model: 'piper', voice: 'onyx', input: 'Привет, мир.', speed: 1.25 });
+    expect(fs.readFileSync(outputPath, 'utf8')).toBe('[onyx]');
+    expect(result.size).toBe(6);
+  });
+
+  it('leaves speed to the provider at the normal rate', async () => {
+    const provider = getTtsProvider({ TTS_PROVIDER: 'local', TTS_BASE_URL: baseURL });
+    await generateTtsAudio('Текст.', outputPath, { provider, speed: 1 });
+    expect(requests[0].body.voice).toBe('nova');
+    expect(requests[0].body).not.toHaveProperty('speed');
+  });
+
+  it('reads dialogue in the second voice and stitches the parts in order', async () => {
+    const provider = getTtsProvider({ TTS_PROVIDER: 'local', TTS_BASE_URL: baseURL });
+    const text = 'Он обернулся.\n— Здравствуйте, — сказал Воланд.';
+
+    await generateTtsAudio(text, outputPath, { provider, voice: 'onyx', dialogueVoice: 'shimmer' });
+
+    expect(requests.map(r => [r.body.voice, r.body.input])).toEqual([
+      ['onyx', 'Он обернулся.'],
+      ['shimmer', '— Здравствуйте,'],
+      ['onyx', 'сказал Воланд.'],
+    ]);
+    expect(fs.readFileSync(outputPath, 'utf8')).toBe('[onyx][shimmer][onyx]');
+    // Part files are cleaned up
+    expect(fs.existsSync(`${outputPath}.part0.mp3`)).toBe(false);
+  });
+
+  it('makes a single request when the text has no dialogue', async () => {
+    const provider = getTtsProvider({ TTS_PROVIDER: 'local', TTS_BASE_URL: baseURL });
+    await generateTtsAudio('Просто текст.', outputPath, { provider, voice: 'onyx', dialogueVoice: 'shimmer' });
+    expect(requests).toHaveLength(1);
+    expect(requests[0].body.voice).toBe('onyx');
+  });
+
+  it('refuses to run without a configured provider', async () => {
+    const provider = getTtsProvider({ TTS_PROVIDER: 'local' });
+    await expect(generateTtsAudio('Текст.', outputPath, { provider })).rejects.toThrow(/TTS_BASE_URL/);
+    expect(requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { init } from './storage/gcs.js';
+import {
+  uploads,
+  createUpload,
+  getUpload,
+  appendUploadChunk,
+  isUploadComplete,
+  ensureUploadFile,
+  deleteUpload,
+} from './storage/upload-store.js';
+
+// In-memory GCS bucket mock
+const objects = new Map();
+let holdRangeSaves = null;
+
+function notFound() {
+  return Object.assign(new Error('No such object'), { code: 404 });
+}
+
+const bucket = {
+  file: (name) => ({
+    save: async (data) => {
+      if (holdRangeSaves && !name.endsWith('.json')) await holdRangeSaves;
+      objects.set(name, Buffer.from(data));
+    },
+    download: async () => {
+      if (!objects.has(name)) throw notFound();
+      return [objects.get(name)];
+    },
+    delete: async () => {
+      if (!objects.delete(name)) throw notFound();
+    },
+  }),
+  deleteFiles: async ({ prefix }) => {
+    for (const name of [...objects.keys()]) {
+      if (name.startsWith(prefix)) objects.delete(name);
+    }
+  },
+  getFiles: async () => [[]],
+};
+
+describe('upload-store.js — GCS persistence', () => {
+  let dir;
+
+  beforeEach(() => {
+    init({ bucket, isLocal: false });
+    objects.clear();
+    uploads.clear();
+    holdRangeSaves = null;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-store-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    init({ bucket: null, isLocal: true });
+    fs.rmSync(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('resumes and assembles an upload whose ranges reached different instances', async () => {
+    const data = Buffer.from('0123456789abcdef');
+    const upload = await createUpload({ uid: 'user-1', filename: 'talk.mp3', size: data.length, dir });
+    await appendUploadChunk(upload, 0, data.subarray(0, 6));
+
+    // Another instance: nothing cached, no local file
+    uploads.clear();
+    fs.rmSync(upload.path);
+    const elsewhere = await getUpload(upload.uploadId, 'user-1');
+    expect(elsewhere.received).toBe(6);
+    expect(await getUpload(upload.uploadId, 'user-2')).toBeNull();
+
+    await appendUploadChunk(elsewhere, 6, data.subarray(6, 12));
+    await appendUploadChunk(elsewhere, 12, data.subarray(12));
+    expect(isUploadComplete(elsewhere)).toBe(true);
+    expect(fs.existsSync(upload.path)).toBe(false);
+
+    const filePath = await ensureUploadFile(elsewhere);
+    expect(fs.readFileSync(filePath)).toEqual(data);
+  });
+
+  it('counts a range only once it is stored, refusing another meanwhile', async () => {
+    const upload = await createUpload({ uid: 'user-1', filename: 'talk.mp3', size: 10, dir });
+    let release;
+    holdRangeSaves = new Promise(resolve => { release = resolve; });
+
+    const appending = appendUploadChunk(upload, 0, Buffer.alloc(10));
+    expect((await getUpload(upload.uploadId, 'user-1')).appending).toBe(true);
+    await expect(appendUploadChunk(upload, 0, Buffer.alloc(10))).rejects.toThrow(/still being written/);
+    expect(JSON.parse(objects.get(`uploads/pending/${upload.uploadId}.json`)).received).toBe(0);
+
+    release();
+    expect(await appending).toBe(10);
+    expect(upload.appending).toBe(false);
+    expect(JSON.parse(objects.get(`uploads/pending/${upload.uploadId}.json`)).received).toBe(10);
+    expect(fs.readFileSync(upload.path)).toHaveLength(10);
+  });
+
+  it('deletes the record and ranges, keeping the file for a session if asked', async () => {
+    const upload = await createUpload({ uid: 'user-1', filename: 'talk.mp3', size: 4, dir });
+    await appendUploadChunk(upload, 0, Buffer.from('abcd'));
+
+    await deleteUpload(upload.uploadId, { keepFile: true });
+    expect(objects.size).toBe(0);
+    expect(await getUpload(upload.uploadId, 'user-1')).toBeNull();
+    expect(fs.existsSync(upload.path)).toBe(true);
+  });
+});
@@ -14,6 +14,9 @@
  *   TTS:               $15 / 1M characters
  *   Google Translate:   $20 / 1M characters
  *
+ * Work done locally instead of by a paid API (dictionary lemmatization) is
+ * recorded as `saved` on the same period entries; it never counts against limits.
+ *
  * Test utilities:
  *   clearAllCostsForTesting() - Clears all cost Maps (test-only, requires VITEST env)
  */
@@ -202,32 +205,52 @@ export function getUserMonthlyCost(uid) {
   return entry.cost;
 }
 
-export function trackCost(uid, amount) {
-  const today = getToday();
-  const daily = dailyCosts.get(uid);
-  if (!daily || daily.date !== today) {
-    dailyCosts.set(uid, { cost: amount, date: today });
-  } else {
-    daily.cost += amount;
+/**
+ * Add an amount to one field of a user's current day / week / month entries,
+ * starting fresh entries when a period has rolled over.
+ */
+function addToPeriods(uid, field, amount) {
+  const periods = [
+    [dailyCosts, 'date', getToday()],
+    [weeklyCosts, 'week', getWeek()],
+    [monthlyCosts, 'month', getMonth()],
+  ];
+  for (const [map, key, current] of periods) {
+    let entry = map.get(uid);
+    if (!entry || entry[key] !== current) {
+      entry = { cost: 0, [key]: current };
+      map.set(uid, entry);
+    }
+    entry[field] = (entry[field] || 0) + amount;
   }
+  persistUsage(uid);
+}
 
-  const week = getWeek();
-  const weekly = weeklyCosts.get(uid);
-  if (!weekly || weekly.week !== week) {
-    weeklyCosts.set(uid, { cost: amount, week });
-  } else {
-    weekly.cost += amount;
-  }
+export function trackCost(uid, amount) {
+  addToPeriods(uid, 'cost', amount);
+}
 
-  const month = getMonth();
-  const monthly = monthlyCosts.get(uid);
-  if (!monthly || monthly.month !== month) {
-    monthlyCosts.set(uid, { cost: amount, month });
-  } else {
-    monthly.cost += amount;
-  }
+/**
+ * Record spend avoided by doing work locally (e.g. dictionary lemmatization instead of GPT-4o).
+ * Reported by getUserSavings; doesn't affect the budget.
+ */
+export function trackSavedCost(uid, amount) {
+  addToPeriods(uid, 'saved', amount);
+}
 
-  persistUsage(uid);
+/**
+ * Spend avoided in the current day / week / month.
+ * @returns {{daily: number, weekly: number, monthly: number}}
+ */
+export function getUserSavings(uid) {
+  const daily = dailyCosts.get(uid);
+  const weekly = weeklyCosts.get(uid);
+  const monthly = monthlyCosts.get(uid);
+  return {
+    daily: daily?.date === getToday() ? daily.saved || 0 : 0,
+    weekly: weekly?.week === getWeek() ? weekly.saved || 0 : 0,
+    monthly: monthly?.month === getMonth() ? monthly.saved || 0 : 0,
+  };
 }
 
 export function getRemainingBudget(uid) {
@@ -267,8 +290,10 @@ export function trackTranslateCost(uid, amount) {
 
 export const costs = {
   whisper: (durationSec) => (durationSec / 60) * 0.006,
+  // Speech-to-text at the active provider's per-minute rate (self-hosted servers are usually free)
+  transcription: (durationSec, costPerMinute) => (durationSec / 60) * costPerMinute,
   gpt4o: () => 0.025,
   gpt4oMini: () => 0.002,
-  tts: (charCount) => (charCount / 1_000_000) * 15,
+  tts: (charCount, costPerMillionChars = 15) => (charCount / 1_000_000) * costPerMillionChars,
   translate: (charCount) => (charCount / 1_000_000) * 20,
 };
@@ -12,6 +12,8 @@ import {
   getRemainingBudget,
   requireBudget,
   trackTranslateCost,
+  trackSavedCost,
+  getUserSavings,
   flushAllUsage,
   clearAllCostsForTesting,
   DAILY_LIMIT,
@@ -294,6 +296,29 @@ describe('usage.js', () => {
     });
   });
 
+  // --- trackSavedCost ---------------------------------------------------------
+
+  describe('trackSavedCost / getUserSavings', () => {
+    it('reports savings per period without spending the budget', () => {
+      trackCost(uid, 0.40);
+      trackSavedCost(uid, 0.02);
+      trackSavedCost(uid, 0.01);
+      expect(getUserSavings(uid)).toEqual({ daily: 0.03, weekly: 0.03, monthly: 0.03 });
+      expect(getUserCost(uid)).toBeCloseTo(0.40);
+      expect(getRemainingBudget(uid)).toBeCloseTo(DAILY_LIMIT - 0.40);
+    });
+
+    it('starts a new day with nothing saved', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-03-15T10:00:00Z'));
+      trackSavedCost(uid, 0.05);
+      vi.setSystemTime(new Date('2026-03-16T10:00:00Z'));
+      expect(getUserSavings(uid).daily).toBe(0);
+      expect(getUserSavings(uid).monthly).toBeCloseTo(0.05);
+      expect(getUserSavings('someone-else')).toEqual({ daily: 0, weekly: 0, monthly: 0 });
+    });
+  });
+
   // --- Limit constants --------------------------------------------------------
 
   describe('exported limit constants', () => {
@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback, useRef, lazy, Suspense, useMemo } fro
 import { useLocation, useNavigate } from 'react-router-dom';
 import { VideoInput } from './components/VideoInput';
 import { TextInput } from './components/TextInput';
+import { FileInput } from './components/FileInput';
 import { ChunkMenu } from './components/ChunkMenu';
 import { ProgressBar } from './components/ProgressBar';
 import { DeckBadge } from './components/DeckBadge';
@@ -9,22 +10,42 @@ import { StreakBadge } from './components/StreakBadge';
 import { LandingPage } from './components/LandingPage';
 import { PaywallScreen } from './components/PaywallScreen';
 import { Library } from './components/Library';
+import { SentenceControls } from './components/SentenceControls';
+import { PlaybackSpeedControl } from './components/PlaybackSpeedControl';
 import { useDeck } from './hooks/useDeck';
 import { useStreak } from './hooks/useStreak';
 import { useCompletionDetector } from './hooks/useCompletionDetector';
+import { useSentencePlayback } from './hooks/useSentencePlayback';
+import { usePlaybackRate } from './hooks/usePlaybackRate';
 
 // Lazy-loaded components — only for views the user navigates to AFTER initial render
 const SettingsPanel = lazy(() => import('./components/SettingsPanel').then(m => ({ default: m.SettingsPanel })));
 const ReviewPanel = lazy(() => import('./components/ReviewPanel').then(m => ({ default: m.ReviewPanel })));
+const StatsPanel = lazy(() => import('./components/StatsPanel').then(m => ({ default: m.StatsPanel })));
+const DrillPanel = lazy(() => import('./components/DrillPanel').then(m => ({ default: m.DrillPanel })));
+const DeckPanel = lazy(() => import('./components/DeckPanel').then(m => ({ default: m.DeckPanel })));
 const VideoPlayer = lazy(() => import('./components/VideoPlayer').then(m => ({ default: m.VideoPlayer })));
 const AudioPlayer = lazy(() => import('./components/AudioPlayer').then(m => ({ default: m.AudioPlayer })));
 const TranscriptPanel = lazy(() => import('./components/TranscriptPanel').then(m => ({ default: m.TranscriptPanel })));
 import { useAuth } from './hooks/useAuth';
 import { useSubscription } from './hooks/useSubscription';
-import { apiRequest, subscribeToProgress, getSession, getChunk, downloadChunk, loadMoreChunks, deleteAccount, loadDemo, fetchLibrary, openLibraryItem } from './services/api';
+import { apiRequest, subscribeToProgress, getSession, getChunk, downloadChunk, loadMoreChunks, deleteAccount, loadDemo, fetchLibrary, openLibraryItem, uploadMediaFile, analyzeUpload, analyzeText, rechunkSession, downloadSubtitles } from './services/api';
 import type { LibraryItem } from './services/api';
+import { loadWordFrequencies } from './services/word-frequencies';
+import { sessionReviews } from './utils/review-session';
+import type { ReviewFilter } from './utils/review-session';
+import { findSentenceIndex } from './utils/sentences';
+import { CASE_NAMES, CASE_COLORS, NUMBER_NAMES } from './utils/morphology';
 import type {
   TranslatorConfig,
+  TranslationTrackMode,
+  GrammaticalCase,
+  GrammaticalNumber,
+  SubtitleExportOptions,
+  SubtitleImport,
+  ChunkingOptions,
+  TtsOptions,
+  PlayerControls,
   AppView,
   ProgressState,
   VideoChunk,
@@ -54,6 +75,25 @@ function saveSettings(config: TranslatorConfig) {
   }
 }
 
+// Video chunking preferences sent with new analyses; undefined lets the server use its defaults
+function chunkingFromConfig(config: TranslatorConfig): ChunkingOptions | undefined {
+  if (config.chunkDuration === undefined && config.chunkMinGap === undefined) return undefined;
+  return { targetDuration: config.chunkDuration, minGap: config.chunkMinGap };
+}
+
+// Read-aloud voice sent with new text analyses; undefined lets the server use its defaults
+function ttsFromConfig(config: TranslatorConfig): TtsOptions | undefined {
+  if (config.ttsVoice === undefined && config.ttsSpeed === undefined && config.ttsDialogueVoice === undefined) return undefined;
+  return { voice: config.ttsVoice, speed: config.ttsSpeed, dialogueVoice: config.ttsDialogueVoice };
+}
+
+const TRANSLATION_TRACK_OPTIONS: { value: TranslationTrackMode; label: string }[] = [
+  { value: 'off', label: 'Hidden' },
+  { value: 'show', label: 'Shown' },
+  { value: 'blur', label: 'Blurred until hover' },
+  { value: 'delay', label: 'Revealed after a delay' },
+];
+
 function FrequencyControls({ config, onConfigChange }: {
   config: TranslatorConfig;
   onConfigChange: (config: TranslatorConfig) => void;
@@ -69,7 +109,7 @@ function FrequencyControls({ config, onConfigChange }: {
   };
 
   return (
-    <div className="px-4 py-2 border-t bg-gray-50 flex items-center gap-3 text-sm">
+    <div className="px-4 py-2 border-t bg-gray-50 flex flex-wrap items-center gap-3 text-sm">
       <button
         onClick={handleToggle}
         className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
@@ -108,6 +148,68 @@ function FrequencyControls({ config, onConfigChange }: {
           />
         </div>
       )}
+      <button
+        onClick={() => onConfigChange({ ...config, caseColors: !config.caseColors })}
+        aria-pressed={!!config.caseColors}
+        className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+          config.caseColors
+            ? 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+            : 'bg-gray-200 text-gray-600 hover:bg-gray-300'
+        }`}
+      >
+        {config.caseColors ? 'Cases ON' : 'Color by Case'}
+      </button>
+      {config.caseColors && (
+        <div className="flex items-center gap-1.5 text-xs" data-testid="case-legend">
+          {(Object.keys(CASE_NAMES) as GrammaticalCase[]).map(c => (
+            <span key={c} className={CASE_COLORS[c]}>{CASE_NAMES[c].slice(0, 3)}</span>
+          ))}
+        </div>
+      )}
+      <div className="flex items-center gap-1.5 text-xs text-gray-500">
+        Highlight
+        <select
+          value={config.grammarFilter?.case ?? ''}
+          onChange={(e) => onConfigChange({
+            ...config,
+            grammarFilter: { ...config.grammarFilter, case: (e.target.value || undefined) as GrammaticalCase | undefined },
+          })}
+          aria-label="Highlight case"
+          className="px-1.5 py-0.5 border border-gray-300 rounded bg-white text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+        >
+          <option value="">any case</option>
+          {(Object.keys(CASE_NAMES) as GrammaticalCase[]).map(c => (
+            <option key={c} value={c}>{CASE_NAMES[c]}</option>
+          ))}
+        </select>
+        <select
+          value={config.grammarFilter?.number ?? ''}
+          onChange={(e) => onConfigChange({
+            ...config,
+            grammarFilter: { ...config.grammarFilter, number: (e.target.value || undefined) as GrammaticalNumber | undefined },
+          })}
+          aria-label="Highlight number"
+          className="px-1.5 py-0.5 border border-gray-300 rounded bg-white text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+        >
+          <option value="">any number</option>
+          {(Object.keys(NUMBER_NAMES) as GrammaticalNumber[]).map(n => (
+            <option key={n} value={n}>{NUMBER_NAMES[n]}</option>
+          ))}
+        </select>
+      </div>
+      <label className="ml-auto flex items-center gap-1.5 text-xs text-gray-500">
+        English
+        <select
+          value={config.translationTrack ?? 'off'}
+          onChange={(e) => onConfigChange({ ...config, translationTrack: e.target.value as TranslationTrackMode })}
+          aria-label="English translation"
+          className="px-1.5 py-0.5 border border-gray-300 rounded bg-white text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+        >
+          {TRANSLATION_TRACK_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
     </div>
   );
 }
@@ -189,16 +291,41 @@ function App() {
   // Auth + Subscription + Spaced repetition deck
   const { userId, user, isLoading: authLoading, authError, signInWithGoogle, signOut } = useAuth();
   const { subscription, isLoading: subLoading, needsPayment, handleSubscribe, handleManageSubscription, refetch: refetchSubscription } = useSubscription(userId);
-  const { cards, dueCards, dueCount, addCard, removeCard, reviewCard, isWordInDeck, saveError, clearSaveError } = useDeck(userId);
-  const { currentStreak, completedToday, freezesRemaining, recordCompletion } = useStreak(userId);
-  const { handleTimeUpdate: handlePlaybackTime, reset: resetCompletion } = useCompletionDetector(transcript, recordCompletion);
+  const {
+    cards, dueReviews, dueCards, dueCount, addCard, removeCard, reviewCard, importCards, isWordInDeck,
+    editCards, autoTagCards, deckSettings, updateDeckSettings, saveError, clearSaveError,
+  } = useDeck(userId);
+  const { currentStreak, longestStreak, completionDates, completedToday, freezesRemaining, recordCompletion } = useStreak(userId);
+  const [playbackRate, setPlaybackRate] = usePlaybackRate(userId);
+  const { handleTimeUpdate: handlePlaybackTime, reset: resetCompletion } = useCompletionDetector(transcript, recordCompletion, playbackRate);
   const [isReviewOpen, setIsReviewOpen] = useState(false);
+  const [isStatsOpen, setIsStatsOpen] = useState(false);
+  const [isDrillOpen, setIsDrillOpen] = useState(false);
+  const [isDeckOpen, setIsDeckOpen] = useState(false);
+  // Review started from the deck browser (sub-deck, tags, cram); null for everything due
+  const [reviewFilter, setReviewFilter] = useState<ReviewFilter | null>(null);
+  const sessionReviewList = useMemo(
+    () => (reviewFilter ? sessionReviews(cards, deckSettings, reviewFilter) : dueReviews),
+    [reviewFilter, cards, deckSettings, dueReviews],
+  );
 
-  // Wrapped time update: feeds both currentTime state and completion detector
+  // Chunk on screen, so cards added from the transcript know where their word was heard
+  const cardSource = useMemo(() => {
+    const chunk = sessionChunks.find(c => c.index === currentChunkIndex);
+    return sessionId && chunk ? { sessionId, chunkId: chunk.id, ...(sessionTitle && { title: sessionTitle }) } : undefined;
+  }, [sessionId, sessionChunks, currentChunkIndex, sessionTitle]);
+  const playerControlsRef = useRef<PlayerControls>(null);
+  // Arrow keys belong to the open panel, not the player behind it
+  const isModalOpen = isSettingsOpen || isReviewOpen || isStatsOpen || isDrillOpen || isDeckOpen;
+  const sentencePlayback = useSentencePlayback(transcript, playerControlsRef, !isModalOpen);
+  const { handleTimeUpdate: handleSentenceTime } = sentencePlayback;
+
+  // Wrapped time update: feeds currentTime state, completion detector and sentence looping
   const handleTimeUpdate = useCallback((time: number) => {
     setCurrentTime(time);
     handlePlaybackTime(time);
-  }, [handlePlaybackTime]);
+    handleSentenceTime(time);
+  }, [handlePlaybackTime, handleSentenceTime]);
 
   // Word frequency data
   const [wordFrequencies, setWordFrequencies] = useState<Map<string, number>>(new Map());
@@ -224,24 +351,8 @@ function App() {
 
   // Load word frequency data on mount
   useEffect(() => {
-    fetch('/russian-word-frequencies.json')
-      .then(res => {
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        return res.json();
-      })
-      .then((words: string[]) => {
-        const map = new Map<string, number>();
-        for (let i = 0; i < words.length; i++) {
-          // Normalize ё→е so ё/е pairs (e.g. её rank 585 vs ее rank 94)
-          // collapse to one entry with the best (lowest) rank
-          const key = words[i].replace(/ё/g, 'е');
-          const rank = i + 1;
-          if (!map.has(key) || rank < map.get(key)!) {
-            map.set(key, rank);
-          }
-        }
-        setWordFrequencies(map);
-      })
+    loadWordFrequencies()
+      .then(setWordFrequencies)
       .catch(() => {
         // Non-critical feature, silently ignore
       });
@@ -453,7 +564,44 @@ function App() {
     return handleSelectVideoChunk(chunk, sessionIdOverride);
   }, [handleSelectVideoChunk, handleSelectTextChunk]);
 
-  const handleAnalyzeVideo = useCallback(async (url: string) => {
+  // Shared by every analysis entry point (URL, upload, pasted text): all stream the same SSE events.
+  // handleSelectChunk picks the video or text path from contentTypeRef, set before analysis starts.
+  const subscribeToAnalysis = useCallback((newSessionId: string) => {
+    const cleanup = subscribeToProgress(
+      newSessionId,
+      (update) => {
+        setProgress(prev => {
+          const existing = prev.find(p => p.type === update.type);
+          if (existing) return prev.map(p => p.type === update.type ? update : p);
+          return [...prev, update];
+        });
+      },
+      (data) => {
+        setSessionTitle(data.title);
+        setSessionTotalDuration(data.totalDuration);
+        setHasMoreChunks(data.hasMoreChunks);
+        const chunksWithStatus = data.chunks.map(c => ({
+          ...c, status: c.status || 'pending' as const, videoUrl: c.videoUrl || null,
+        }));
+        setSessionChunks(chunksWithStatus);
+        setProgress([]);
+
+        if (chunksWithStatus.length === 1 && !data.hasMoreChunks) {
+          setTimeout(() => handleSelectChunk(chunksWithStatus[0], newSessionId), 0);
+        } else {
+          navigate('/chunks');
+        }
+      },
+      (errorMessage) => {
+        setError(errorMessage);
+        setTransientView(null);
+        setProgress([]);
+      }
+    );
+    progressCleanupRef.current = cleanup;
+  }, [handleSelectChunk, navigate]);
+
+  const handleAnalyzeVideo = useCallback(async (url: string, subtitles?: SubtitleImport) => {
     setContentType('video');
     contentTypeRef.current = 'video';
     setTransientView('analyzing');
@@ -475,7 +623,7 @@ function App() {
 
       const response = await apiRequest<AnalyzeResponse>('/api/analyze', {
         method: 'POST',
-        body: JSON.stringify({ url }),
+        body: JSON.stringify({ url, chunking: chunkingFromConfig(config), subtitles }),
       });
 
       const newSessionId = response.sessionId;
@@ -499,44 +647,40 @@ function App() {
         return;
       }
 
-      const cleanup = subscribeToProgress(
-        newSessionId,
-        (update) => {
-          setProgress(prev => {
-            const existing = prev.find(p => p.type === update.type);
-            if (existing) return prev.map(p => p.type === update.type ? update : p);
-            return [...prev, update];
-          });
-        },
-        (data) => {
-          setSessionTitle(data.title);
-          setSessionTotalDuration(data.totalDuration);
-          setHasMoreChunks(data.hasMoreChunks);
-          const chunksWithStatus = data.chunks.map(c => ({
-            ...c, status: c.status || 'pending' as const, videoUrl: c.videoUrl || null,
-          }));
-          setSessionChunks(chunksWithStatus);
-          setProgress([]);
-
-          if (chunksWithStatus.length === 1 && !data.hasMoreChunks) {
-            setTimeout(() => handleSelectVideoChunk(chunksWithStatus[0], newSessionId), 0);
-          } else {
-            navigate('/chunks');
-          }
-        },
-        (errorMessage) => {
-          setError(errorMessage);
-          setTransientView(null);
-          setProgress([]);
-        }
-      );
-      progressCleanupRef.current = cleanup;
+      subscribeToAnalysis(newSessionId);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to analyze video');
       setTransientView(null);
       setProgress([]);
     }
-  }, [handleSelectVideoChunk, navigate]);
+  }, [config, handleSelectVideoChunk, subscribeToAnalysis, navigate]);
+
+  const handleAnalyzeUpload = useCallback(async (file: File, uploadContentType: ContentType, subtitles?: SubtitleImport) => {
+    setContentType(uploadContentType);
+    contentTypeRef.current = uploadContentType;
+    setTransientView('analyzing');
+    setError(null);
+    setOriginalUrl('');
+    setProgress([
+      { type: 'audio', progress: 0, status: 'active', message: 'Uploading file...' },
+    ]);
+
+    try {
+      const uploadId = await uploadMediaFile(file, (percent) => {
+        setProgress([
+          { type: 'audio', progress: percent, status: 'active', message: `Uploading file... ${percent}%` },
+        ]);
+      });
+
+      const { sessionId: newSessionId } = await analyzeUpload(uploadId, chunkingFromConfig(config), subtitles, ttsFromConfig(config));
+      setSessionId(newSessionId);
+      subscribeToAnalysis(newSessionId);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to upload file');
+      setTransientView(null);
+      setProgress([]);
+    }
+  }, [config, subscribeToAnalysis]);
 
   const handleAnalyzeText = useCallback(async (url: string) => {
     setContentType('text');
@@ -560,7 +704,7 @@ function App() {
 
       const response = await apiRequest<AnalyzeResponse>('/api/analyze', {
         method: 'POST',
-        body: JSON.stringify({ url }),
+        body: JSON.stringify({ url, tts: ttsFromConfig(config) }),
       });
 
       const newSessionId = response.sessionId;
@@ -584,44 +728,34 @@ function App() {
         return;
       }
 
-      const cleanup = subscribeToProgress(
-        newSessionId,
-        (update) => {
-          setProgress(prev => {
-            const existing = prev.find(p => p.type === update.type);
-            if (existing) return prev.map(p => p.type === update.type ? update : p);
-            return [...prev, update];
-          });
-        },
-        (data) => {
-          setSessionTitle(data.title);
-          setSessionTotalDuration(data.totalDuration);
-          setHasMoreChunks(data.hasMoreChunks);
-          const chunksWithStatus = data.chunks.map(c => ({
-            ...c, status: c.status || 'pending' as const, videoUrl: c.videoUrl || null,
-          }));
-          setSessionChunks(chunksWithStatus);
-          setProgress([]);
+      subscribeToAnalysis(newSessionId);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load text');
+      setTransientView(null);
+      setProgress([]);
+    }
+  }, [config, handleSelectTextChunk, subscribeToAnalysis, navigate]);
 
-          if (chunksWithStatus.length === 1 && !data.hasMoreChunks) {
-            setTimeout(() => handleSelectTextChunk(chunksWithStatus[0], newSessionId), 0);
-          } else {
-            navigate('/chunks');
-          }
-        },
-        (errorMessage) => {
-          setError(errorMessage);
-          setTransientView(null);
-          setProgress([]);
-        }
-      );
-      progressCleanupRef.current = cleanup;
+  const handleAnalyzePastedText = useCallback(async (text: string, title: string) => {
+    setContentType('text');
+    contentTypeRef.current = 'text';
+    setTransientView('analyzing');
+    setError(null);
+    setOriginalUrl('');
+    setProgress([
+      { type: 'audio', progress: 0, status: 'active', message: 'Preparing text...' },
+    ]);
+
+    try {
+      const { sessionId: newSessionId } = await analyzeText(text, title, ttsFromConfig(config));
+      setSessionId(newSessionId);
+      subscribeToAnalysis(newSessionId);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to load text');
       setTransientView(null);
       setProgress([]);
     }
-  }, [handleSelectTextChunk, navigate]);
+  }, [config, subscribeToAnalysis]);
 
   const handleBackToChunks = useCallback(async () => {
     // Navigate to chunk menu. Don't clear videoUrl/transcript here — the route
@@ -707,6 +841,36 @@ function App() {
     }
   }, [sessionId, isLoadingMore]);
 
+  const handleRechunk = useCallback(async (targetDuration: number) => {
+    if (!sessionId) return;
+    setError(null);
+    try {
+      const result = await rechunkSession(sessionId, { targetDuration, minGap: config.chunkMinGap });
+      setSessionChunks(result.chunks.map(c => ({
+        ...c,
+        status: c.status || 'pending' as const,
+        videoUrl: c.videoUrl || null,
+      })));
+      setHasMoreChunks(result.hasMoreChunks);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to re-split parts');
+    }
+  }, [sessionId, config.chunkMinGap]);
+
+  // Errors propagate to SubtitleExport, which shows them next to the button
+  const handleExportSubtitles = useCallback(async (options: SubtitleExportOptions) => {
+    if (!sessionId) return;
+    const { blob, filename } = await downloadSubtitles(sessionId, options);
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, [sessionId]);
+
   const handleDeleteAccount = useCallback(async () => {
     await deleteAccount();
     signOut();
@@ -886,8 +1050,44 @@ function App() {
           <DeckBadge
             dueCount={dueCount}
             totalCount={cards.length}
-            onClick={() => setIsReviewOpen(true)}
+            onClick={() => { setReviewFilter(null); setIsReviewOpen(true); }}
           />
+          {cards.length > 0 && (
+            <button
+              onClick={() => setIsDeckOpen(true)}
+              className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-md"
+              title="Browse deck"
+              data-testid="deck-btn"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5a1.99 1.99 0 011.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+              </svg>
+            </button>
+          )}
+          {cards.length > 0 && (
+            <button
+              onClick={() => setIsDrillOpen(true)}
+              className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-md"
+              title="Inflection drill"
+              data-testid="drill-btn"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h10M4 12h7m-7 6h10m4-9l2 2-6 6h-2v-2l6-6z" />
+              </svg>
+            </button>
+          )}
+          {userId && cards.length > 0 && (
+            <button
+              onClick={() => setIsStatsOpen(true)}
+              className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-md"
+              title="Deck statistics"
+              data-testid="stats-btn"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 20h16M7 16V10m5 6V6m5 10v-4" />
+              </svg>
+            </button>
+          )}
           <button
             onClick={() => setIsSettingsOpen(true)}
             className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-md"
@@ -951,12 +1151,15 @@ function App() {
                 Russian Video & Text Reader
               </h2>
               <p className="text-gray-600">
-                Paste a video or text URL to get a synced transcript with click-to-translate
+                Paste a video or text URL, or upload your own file, to get a synced transcript with click-to-translate
               </p>
             </div>
             <div className="max-w-2xl mx-auto grid grid-cols-1 md:grid-cols-2 gap-6">
               <VideoInput onSubmit={handleAnalyzeVideo} isLoading={false} error={error} />
-              <TextInput onSubmit={handleAnalyzeText} isLoading={false} error={error} />
+              <TextInput onSubmit={handleAnalyzeText} onSubmitPastedText={handleAnalyzePastedText} isLoading={false} error={error} />
+              <div className="md:col-span-2">
+                <FileInput onSubmit={handleAnalyzeUpload} isLoading={false} error={error} />
+              </div>
             </div>
 
             {/* Demo buttons */}
@@ -1062,6 +1265,8 @@ function App() {
               contentType={contentType}
               onSelectChunk={handleSelectChunk}
               onLoadMore={handleLoadMore}
+              onRechunk={contentType === 'video' ? handleRechunk : undefined}
+              onExportSubtitles={handleExportSubtitles}
               onReset={handleReset}
             />
             {/* Show progress when loading more */}
@@ -1165,7 +1370,22 @@ function App() {
             {contentType === 'text' && audioUrl && (
               <Suspense fallback={<div className="flex justify-center py-12"><div className="inline-block animate-spin rounded-full h-10 w-10 border-4 border-blue-500 border-t-transparent"></div></div>}>
               <div className="space-y-4">
-                <AudioPlayer url={audioUrl} onTimeUpdate={handleTimeUpdate} />
+                <div>
+                  <AudioPlayer url={audioUrl} onTimeUpdate={handleTimeUpdate} controlsRef={playerControlsRef} playbackRate={playbackRate} />
+                  <div className="mt-2 flex flex-wrap items-center gap-3">
+                    <PlaybackSpeedControl rate={playbackRate} onRateChange={setPlaybackRate} />
+                    <SentenceControls
+                      sentenceCount={sentencePlayback.sentences.length}
+                      currentIndex={findSentenceIndex(sentencePlayback.sentences, currentTime)}
+                      repeatCount={sentencePlayback.repeatCount}
+                      onRepeatCountChange={sentencePlayback.setRepeatCount}
+                      autoPause={sentencePlayback.autoPause}
+                      onAutoPauseChange={sentencePlayback.setAutoPause}
+                      onPrevious={() => sentencePlayback.goToSentence(-1)}
+                      onNext={() => sentencePlayback.goToSentence(1)}
+                    />
+                  </div>
+                </div>
                 <div className="bg-white rounded-lg shadow-sm">
                   <div className="p-3 border-b bg-gray-50 rounded-t-lg">
                     <h3 className="font-medium text-gray-700">Text</h3>
@@ -1179,6 +1399,7 @@ function App() {
                     isLoading={false}
                     onAddToDeck={addCard}
                     isWordInDeck={isWordInDeck}
+                    cardSource={cardSource}
                   />
                   <FrequencyControls config={config} onConfigChange={setConfig} />
                 </div>
@@ -1195,7 +1416,22 @@ function App() {
                     url={videoUrl}
                     originalUrl={originalUrl}
                     onTimeUpdate={handleTimeUpdate}
+                    controlsRef={playerControlsRef}
+                    playbackRate={playbackRate}
                   />
+                  <div className="mt-2 flex flex-wrap items-center gap-3">
+                    <PlaybackSpeedControl rate={playbackRate} onRateChange={setPlaybackRate} />
+                    <SentenceControls
+                      sentenceCount={sentencePlayback.sentences.length}
+                      currentIndex={findSentenceIndex(sentencePlayback.sentences, currentTime)}
+                      repeatCount={sentencePlayback.repeatCount}
+                      onRepeatCountChange={sentencePlayback.setRepeatCount}
+                      autoPause={sentencePlayback.autoPause}
+                      onAutoPauseChange={sentencePlayback.setAutoPause}
+                      onPrevious={() => sentencePlayback.goToSentence(-1)}
+                      onNext={() => sentencePlayback.goToSentence(1)}
+                    />
+                  </div>
                 </div>
                 <div className="bg-white rounded-lg shadow-sm">
                   <div className="p-3 border-b bg-gray-50 rounded-t-lg">
@@ -1210,6 +1446,7 @@ function App() {
                     isLoading={false}
                     onAddToDeck={addCard}
                     isWordInDeck={isWordInDeck}
+                    cardSource={cardSource}
                   />
                   <FrequencyControls config={config} onConfigChange={setConfig} />
                 </div>
@@ -1228,6 +1465,9 @@ function App() {
           isOpen={isSettingsOpen}
           onClose={() => setIsSettingsOpen(false)}
           cards={cards}
+          onImportCards={importCards}
+          deckSettings={deckSettings}
+          onDeckSettingsChange={updateDeckSettings}
           userId={userId}
           onDeleteAccount={handleDeleteAccount}
           subscription={subscription}
@@ -1244,6 +1484,51 @@ function App() {
           dueCards={dueCards}
           onReview={reviewCard}
           onRemove={removeCard}
+          deckSettings={deckSettings}
+          deckCards={cards}
+          reviews={sessionReviewList}
+          cram={reviewFilter?.cram}
+        />
+      </Suspense>
+
+      {/* Deck browser: tags, sub-decks, daily limits, filtered review */}
+      <Suspense fallback={null}>
+        <DeckPanel
+          isOpen={isDeckOpen}
+          onClose={() => setIsDeckOpen(false)}
+          cards={cards}
+          deckSettings={deckSettings}
+          onDeckSettingsChange={updateDeckSettings}
+          onEditCards={editCards}
+          onAutoTag={autoTagCards}
+          onStartReview={(filter) => {
+            setReviewFilter(filter);
+            setIsDeckOpen(false);
+            setIsReviewOpen(true);
+          }}
+        />
+      </Suspense>
+
+      {/* Deck statistics */}
+      <Suspense fallback={null}>
+        <StatsPanel
+          isOpen={isStatsOpen}
+          onClose={() => setIsStatsOpen(false)}
+          userId={userId}
+          cards={cards}
+          completionDates={completionDates}
+          currentStreak={currentStreak}
+          longestStreak={longestStreak}
+        />
+      </Suspense>
+
+      {/* Inflection drill */}
+      <Suspense fallback={null}>
+        <DrillPanel
+          isOpen={isDrillOpen}
+          onClose={() => setIsDrillOpen(false)}
+          userId={userId}
+          cards={cards}
         />
       </Suspense>
     </div>
@@ -0,0 +1,24 @@
+import type { TypedAnswerCheck, AnswerSegment } from '../utils/card-templates';
+
+// Right letters, letters to drop, letters left out
+const SEGMENT_CLASSES: Record<AnswerSegment['kind'], string> = {
+  match: 'text-green-700',
+  extra: 'text-red-600 line-through',
+  missing: 'text-gray-400 underline',
+};
+
+/** A typed answer marked letter by letter against the expected word (see checkTypedAnswer). */
+export function AnswerDiff({ check, typed, testId }: { check: TypedAnswerCheck; typed: string; testId: string }) {
+  return (
+    <div className="text-center mb-4" data-testid={testId}>
+      <p className="text-xl font-mono">
+        {check.segments.map((segment, i) => (
+          <span key={i} className={SEGMENT_CLASSES[segment.kind]}>{segment.text}</span>
+        ))}
+      </p>
+      <p className={`text-sm mt-1 ${check.correct ? 'text-green-600' : 'text-red-600'}`}>
+        {check.correct ? 'Correct' : typed.trim() ? 'Not quite' : 'No answer'}
+      </p>
+    </div>
+  );
+}
@@ -1,13 +1,34 @@
-import { useRef, useEffect, useCallback } from 'react';
+import { useRef, useEffect, useCallback, useImperativeHandle } from 'react';
+import type { Ref } from 'react';
+import type { PlayerControls } from '../types';
 
 interface AudioPlayerProps {
   url: string;
   onTimeUpdate: (currentTime: number) => void;
+  controlsRef?: Ref<PlayerControls>;
+  playbackRate?: number;
 }
 
-export function AudioPlayer({ url, onTimeUpdate }: AudioPlayerProps) {
+export function AudioPlayer({ url, onTimeUpdate, controlsRef, playbackRate = 1 }: AudioPlayerProps) {
   const audioRef = useRef<HTMLAudioElement>(null);
 
+  // defaultPlaybackRate survives src changes (load() resets playbackRate to it)
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.preservesPitch = true;
+    audio.defaultPlaybackRate = playbackRate;
+    audio.playbackRate = playbackRate;
+  }, [playbackRate, url]);
+
+  useImperativeHandle(controlsRef, () => ({
+    play: () => { audioRef.current?.play(); },
+    pause: () => { audioRef.current?.pause(); },
+    seek: (time: number) => {
+      if (audioRef.current) audioRef.current.currentTime = time;
+    },
+  }), []);
+
   // Poll every 100ms for smooth word highlighting (same pattern as VideoPlayer)
   useEffect(() => {
     const interval = window.setInterval(() => {
@@ -72,7 +93,7 @@ export function AudioPlayer({ url, onTimeUpdate }: AudioPlayerProps) {
         className="w-full"
       />
       <p className="text-xs text-gray-500 text-center mt-1">
-        Space: play/pause | Arrow keys: seek ±5s
+        Space: play/pause | ←/→: seek ±5s | ↑/↓: previous/next sentence
       </p>
     </div>
   );
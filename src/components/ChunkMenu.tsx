@@ -1,4 +1,6 @@
-import type { VideoChunk, ContentType } from '../types';
+import { useState } from 'react';
+import type { VideoChunk, ContentType, SubtitleExportOptions } from '../types';
+import { SubtitleExport } from './SubtitleExport';
 
 interface ChunkMenuProps {
   title: string;
@@ -9,9 +11,14 @@ interface ChunkMenuProps {
   contentType?: ContentType;
   onSelectChunk: (chunk: VideoChunk) => void;
   onLoadMore: () => void;
+  onRechunk?: (targetDuration: number) => Promise<void>;
+  onExportSubtitles?: (options: SubtitleExportOptions) => Promise<void>;
   onReset: () => void;
 }
 
+// Part lengths offered for re-splitting a video (seconds)
+const PART_LENGTHS = [60, 120, 180, 300, 600];
+
 function formatTime(seconds: number): string {
   const mins = Math.floor(seconds / 60);
   const secs = Math.floor(seconds % 60);
@@ -27,6 +34,26 @@ function formatDuration(seconds: number): string {
   return secs > 0 ? `${mins}m ${secs}s` : `${mins}m`;
 }
 
+interface ChapterGroup {
+  title: string | null;
+  chunks: VideoChunk[];
+}
+
+// Consecutive chunks with the same chapterTitle form one group; untitled chunks form their own
+function groupByChapter(chunks: VideoChunk[]): ChapterGroup[] {
+  const groups: ChapterGroup[] = [];
+  for (const chunk of chunks) {
+    const title = chunk.chapterTitle ?? null;
+    const last = groups[groups.length - 1];
+    if (last && last.title === title) {
+      last.chunks.push(chunk);
+    } else {
+      groups.push({ title, chunks: [chunk] });
+    }
+  }
+  return groups;
+}
+
 export function ChunkMenu({
   title,
   totalDuration,
@@ -36,9 +63,90 @@ export function ChunkMenu({
   contentType = 'video',
   onSelectChunk,
   onLoadMore,
+  onRechunk,
+  onExportSubtitles,
   onReset,
 }: ChunkMenuProps) {
+  const [isRechunking, setIsRechunking] = useState(false);
   const isText = contentType === 'text';
+  const groups = groupByChapter(chunks);
+  const hasChapters = groups.some(g => g.title);
+  const typicalMinutes = chunks.length > 0
+    ? Math.max(1, Math.round(chunks.reduce((sum, c) => sum + c.duration, 0) / chunks.length / 60))
+    : 3;
+
+  const handleRechunk = async (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const targetDuration = Number(e.target.value);
+    if (!targetDuration || !onRechunk) return;
+    setIsRechunking(true);
+    try {
+      await onRechunk(targetDuration);
+    } finally {
+      setIsRechunking(false);
+    }
+  };
+
+  const renderChunk = (chunk: VideoChunk) => {
+    const isReady = chunk.status === 'ready';
+    const isDownloading = chunk.status === 'downloading';
+
+    return (
+      <button
+        key={chunk.id}
+        onClick={() => onSelectChunk(chunk)}
+        disabled={isDownloading}
+        className={`text-left p-4 rounded-lg border-2 transition-all hover:shadow-md ${
+          isReady
+            ? 'border-green-200 bg-green-50 hover:border-green-300'
+            : isDownloading
+            ? 'border-yellow-200 bg-yellow-50 cursor-wait'
+            : 'border-gray-200 bg-white hover:border-blue-300'
+        }`}
+      >
+        <div className="flex justify-between items-start mb-2">
+          <span className="font-medium text-gray-900">
+            {isText ? `Section ${chunk.index + 1}` : `Part ${chunk.index + 1}`}
+          </span>
+          <span className="text-xs text-gray-500">
+            {isText ? `${chunk.wordCount} words` : formatDuration(chunk.duration)}
+          </span>
+        </div>
+
+        {!isText && (
+          <div className="text-xs text-gray-500 mb-2">
+            {formatTime(chunk.startTime)} - {formatTime(chunk.endTime)}
+          </div>
+        )}
+
+        <p className="text-sm text-gray-600 line-clamp-2">
+          {chunk.previewText || 'No preview available'}
+        </p>
+
+        <div className="mt-3 flex items-center justify-between">
+          <span className="text-xs text-gray-400">
+            {isText ? '' : `${chunk.wordCount} words`}
+          </span>
+          {isReady && (
+            <span className="text-xs text-green-600 flex items-center gap-1">
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+              </svg>
+              Ready
+            </span>
+          )}
+          {isDownloading && (
+            <span className="text-xs text-yellow-600 flex items-center gap-1">
+              <svg className="w-4 h-4 animate-spin" fill="none" viewBox="0 0 24 24">
+                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+              </svg>
+              {isText ? 'Generating' : 'Downloading'}
+            </span>
+          )}
+        </div>
+      </button>
+    );
+  };
 
   return (
     <div className="max-w-3xl mx-auto">
@@ -49,7 +157,7 @@ export function ChunkMenu({
             <h2 className="text-xl font-semibold text-gray-900">{title}</h2>
             <p className="text-sm text-gray-500 mt-1">
               {isText
-                ? `${chunks.length} sections`
+                ? `${chunks.length} sections${hasChapters ? ` \u00B7 ${groups.filter(g => g.title).length} chapters` : ''}`
                 : `Total duration: ${formatTime(totalDuration)} \u00B7 ${chunks.length} parts`
               }
             </p>
@@ -68,75 +176,70 @@ export function ChunkMenu({
         <p className="text-sm text-blue-800">
           {isText
             ? 'Select a section to listen to. TTS audio will be generated with synchronized word highlighting.'
-            : 'Select a part to download and study. Each part is approximately 3 minutes long with synchronized transcript.'
+            : `Select a part to download and study. Each part is approximately ${typicalMinutes} minute${typicalMinutes === 1 ? '' : 's'} long with synchronized transcript.`
           }
         </p>
+        {!isText && onRechunk && (
+          <label className="mt-3 flex items-center gap-2 text-xs text-blue-800">
+            Re-split into parts of
+            <select
+              value=""
+              onChange={handleRechunk}
+              disabled={isRechunking || isLoadingMore}
+              data-testid="rechunk-select"
+              className="px-2 py-1 border border-blue-200 rounded bg-white text-xs disabled:opacity-50"
+            >
+              <option value="" disabled>{isRechunking ? 'Re-splitting...' : 'choose length'}</option>
+              {PART_LENGTHS.map(seconds => (
+                <option key={seconds} value={seconds}>{seconds / 60} min</option>
+              ))}
+            </select>
+          </label>
+        )}
       </div>
 
-      {/* Chunk grid */}
-      <div className="grid gap-4 sm:grid-cols-2">
-        {chunks.map((chunk) => {
-          const isReady = chunk.status === 'ready';
-          const isDownloading = chunk.status === 'downloading';
-
-          return (
-            <button
-              key={chunk.id}
-              onClick={() => onSelectChunk(chunk)}
-              disabled={isDownloading}
-              className={`text-left p-4 rounded-lg border-2 transition-all hover:shadow-md ${
-                isReady
-                  ? 'border-green-200 bg-green-50 hover:border-green-300'
-                  : isDownloading
-                  ? 'border-yellow-200 bg-yellow-50 cursor-wait'
-                  : 'border-gray-200 bg-white hover:border-blue-300'
-              }`}
-            >
-              <div className="flex justify-between items-start mb-2">
-                <span className="font-medium text-gray-900">
-                  {isText ? `Section ${chunk.index + 1}` : `Part ${chunk.index + 1}`}
-                </span>
-                <span className="text-xs text-gray-500">
-                  {isText ? `${chunk.wordCount} words` : formatDuration(chunk.duration)}
-                </span>
-              </div>
+      {onExportSubtitles && (
+        <SubtitleExport chunks={chunks} contentType={contentType} onExport={onExportSubtitles} />
+      )}
 
-              {!isText && (
-                <div className="text-xs text-gray-500 mb-2">
-                  {formatTime(chunk.startTime)} - {formatTime(chunk.endTime)}
-                </div>
-              )}
+      {/* Chapter table of contents */}
+      {hasChapters && groups.length > 1 && (
+        <nav className="mb-6">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Chapters</h3>
+          <ol className="space-y-1">
+            {groups.filter(g => g.title).map((group) => (
+              <li key={group.chunks[0].id}>
+                <button
+                  onClick={() => document.getElementById(`chapter-${group.chunks[0].index}`)?.scrollIntoView?.({ behavior: 'smooth' })}
+                  className="text-sm text-blue-700 hover:underline text-left"
+                >
+                  {group.title}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </nav>
+      )}
 
-              <p className="text-sm text-gray-600 line-clamp-2">
-                {chunk.previewText || 'No preview available'}
-              </p>
-
-              <div className="mt-3 flex items-center justify-between">
-                <span className="text-xs text-gray-400">
-                  {isText ? '' : `${chunk.wordCount} words`}
-                </span>
-                {isReady && (
-                  <span className="text-xs text-green-600 flex items-center gap-1">
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                    </svg>
-                    Ready
-                  </span>
-                )}
-                {isDownloading && (
-                  <span className="text-xs text-yellow-600 flex items-center gap-1">
-                    <svg className="w-4 h-4 animate-spin" fill="none" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
-                    </svg>
-                    {isText ? 'Generating' : 'Downloading'}
-                  </span>
-                )}
+      {/* Chunk grid, grouped under chapter headings when the text has them */}
+      {hasChapters ? (
+        <div className="space-y-6">
+          {groups.map((group) => (
+            <section key={group.chunks[0].id} id={`chapter-${group.chunks[0].index}`}>
+              {group.title && (
+                <h3 className="font-medium text-gray-800 mb-3">{group.title}</h3>
+              )}
+              <div className="grid gap-4 sm:grid-cols-2">
+                {group.chunks.map(renderChunk)}
               </div>
-            </button>
-          );
-        })}
-      </div>
+            </section>
+          ))}
+        </div>
+      ) : (
+        <div className="grid gap-4 sm:grid-cols-2">
+          {chunks.map(renderChunk)}
+        </div>
+      )}
 
       {/* Load More button */}
       {hasMoreChunks && (
@@ -0,0 +1,286 @@
+import { useState, useMemo } from 'react';
+import type { SRSCard, DeckSettings, DailyLimits } from '../types';
+import { deckTags, subDeckNames, addTag, removeTag, moveToSubDeck } from '../utils/card-tags';
+import { sessionReviews, studiedToday, matchesFilter, NEW_SIBLINGS_PER_DAY } from '../utils/review-session';
+import type { ReviewFilter } from '../utils/review-session';
+
+interface DeckPanelProps {
+  isOpen: boolean;
+  onClose: () => void;
+  cards: SRSCard[];
+  deckSettings: DeckSettings;
+  onDeckSettingsChange: (settings: DeckSettings) => void;
+  onEditCards: (ids: string[], edit: (card: SRSCard) => SRSCard) => void;
+  onAutoTag: () => void;
+  onStartReview: (filter: ReviewFilter) => void;
+}
+
+// Rows rendered at once; the rest are counted
+const MAX_LISTED = 200;
+
+/** Limit field: a whole number, or empty for no limit (or the default shown as the placeholder). */
+function LimitInput({ label, value, onChange, testId, placeholder = 'No limit' }: {
+  label: string;
+  value?: number;
+  onChange: (value?: number) => void;
+  testId: string;
+  placeholder?: string;
+}) {
+  return (
+    <label className="flex-1 text-xs text-gray-600">
+      {label}
+      <input
+        type="number"
+        min={0}
+        step={1}
+        value={value ?? ''}
+        placeholder={placeholder}
+        onChange={(e) => {
+          const parsed = parseInt(e.target.value, 10);
+          onChange(Number.isNaN(parsed) ? undefined : Math.max(0, parsed));
+        }}
+        data-testid={testId}
+        className="block w-full mt-1 px-2 py-1 text-sm border border-gray-300 rounded-md"
+      />
+    </label>
+  );
+}
+
+/**
+ * Deck browser: filter cards by sub-deck and tags, tag them and file them in
+ * sub-decks, set the daily limits of the deck or a sub-deck, and start a
+ * review or cram session of what's shown.
+ */
+export function DeckPanel({ isOpen, onClose, cards, deckSettings, onDeckSettingsChange, onEditCards, onAutoTag, onStartReview }: DeckPanelProps) {
+  const [subDeck, setSubDeck] = useState('');
+  const [tags, setTags] = useState<string[]>([]);
+  const [selected, setSelected] = useState<Set<string>>(new Set());
+  const [tagInput, setTagInput] = useState('');
+  const [subDeckInput, setSubDeckInput] = useState('');
+
+  const filter: ReviewFilter = useMemo(() => ({ subDeck: subDeck || undefined, tags }), [subDeck, tags]);
+  const allTags = useMemo(() => deckTags(cards), [cards]);
+  const subDecks = useMemo(() => subDeckNames(cards, deckSettings), [cards, deckSettings]);
+  const matching = useMemo(() => cards.filter(card => matchesFilter(card, filter)), [cards, filter]);
+  const dueCount = useMemo(() => sessionReviews(cards, deckSettings, filter).length, [cards, deckSettings, filter]);
+  const cramCount = useMemo(() => sessionReviews(cards, deckSettings, { ...filter, cram: true }).length, [cards, deckSettings, filter]);
+  const studied = useMemo(() => studiedToday(cards).get(subDeck) ?? { newCards: 0, reviews: 0 }, [cards, subDeck]);
+  const untagged = cards.filter(card => !card.tags).length;
+
+  if (!isOpen) return null;
+
+  const limits: DailyLimits = subDeck ? deckSettings.subDecks?.[subDeck] ?? {} : deckSettings;
+  const setLimit = (key: keyof DailyLimits, value?: number) => {
+    if (!subDeck) {
+      onDeckSettingsChange({ ...deckSettings, [key]: value });
+      return;
+    }
+    // Firestore rejects undefined fields, so a cleared limit is left out
+    const next: DailyLimits = { ...deckSettings.subDecks?.[subDeck] };
+    if (value === undefined) delete next[key];
+    else next[key] = value;
+    onDeckSettingsChange({ ...deckSettings, subDecks: { ...deckSettings.subDecks, [subDeck]: next } });
+  };
+
+  const selectedIds = matching.filter(card => selected.has(card.id)).map(card => card.id);
+  const toggleTag = (tag: string) => setTags(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]);
+  const toggleCard = (id: string) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div className="fixed inset-0 bg-black/50 z-40" onClick={onClose} />
+
+      {/* Panel */}
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+          {/* Header */}
+          <div className="flex justify-between items-center p-4 border-b">
+            <h2 className="text-lg font-semibold text-gray-900">Deck</h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="p-6">
+            {/* Filter */}
+            <div className="mb-6">
+              <label className="block text-xs text-gray-600 mb-1" htmlFor="deck-filter-subdeck">Sub-deck</label>
+              <select
+                id="deck-filter-subdeck"
+                value={subDeck}
+                onChange={(e) => { setSubDeck(e.target.value); setSelected(new Set()); }}
+                data-testid="deck-filter-subdeck"
+                className="w-full px-3 py-2 mb-3 text-sm border border-gray-300 rounded-md"
+              >
+                <option value="">All cards</option>
+                {subDecks.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+              {allTags.length > 0 && (
+                <div className="flex flex-wrap gap-1 mb-3" data-testid="deck-filter-tags">
+                  {allTags.map(tag => (
+                    <button
+                      key={tag}
+                      onClick={() => toggleTag(tag)}
+                      aria-pressed={tags.includes(tag)}
+                      className={`px-2 py-0.5 text-xs rounded-full border transition-colors ${
+                        tags.includes(tag) ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      {tag}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <div className="flex gap-2">
+                <button
+                  onClick={() => onStartReview(filter)}
+                  disabled={dueCount === 0}
+                  data-testid="start-filtered-review"
+                  className="flex-1 px-4 py-2 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Review {dueCount} due
+                </button>
+                <button
+                  onClick={() => onStartReview({ ...filter, cram: true })}
+                  disabled={cramCount === 0}
+                  data-testid="start-cram"
+                  title="Every card shown, due or not; ratings don't change the schedule"
+                  className="flex-1 px-4 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Cram {matching.length} card{matching.length !== 1 ? 's' : ''}
+                </button>
+              </div>
+            </div>
+
+            {/* Daily limits of the deck or the sub-deck */}
+            <div className="mb-6 border-t pt-6" data-testid="daily-limits">
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Daily limits{subDeck ? ` — ${subDeck}` : ''}</h3>
+              <div className="flex gap-3 mb-1">
+                <LimitInput label="New cards" value={limits.newPerDay} onChange={value => setLimit('newPerDay', value)} testId="limit-new" />
+                <LimitInput label="Reviews" value={limits.reviewsPerDay} onChange={value => setLimit('reviewsPerDay', value)} testId="limit-reviews" />
+                {!subDeck && (deckSettings.templates?.length ?? 0) > 0 && (
+                  <LimitInput
+                    label="New card types"
+                    value={deckSettings.newSiblingsPerDay}
+                    onChange={value => onDeckSettingsChange({ ...deckSettings, newSiblingsPerDay: value })}
+                    testId="limit-new-siblings"
+                    placeholder={String(NEW_SIBLINGS_PER_DAY)}
+                  />
+                )}
+              </div>
+              <p className="text-xs text-gray-400" data-testid="studied-today">
+                Today: {studied.newCards} new, {studied.reviews} review{studied.reviews !== 1 ? 's' : ''}.
+                {subDeck ? ' The whole deck\'s limits apply too.' : ''} Cards already seen today aren't held back.
+              </p>
+            </div>
+
+            {/* Cards */}
+            <div className="border-t pt-6">
+              {untagged > 0 && (
+                <p className="text-xs text-gray-500 mb-3">
+                  {untagged} card{untagged !== 1 ? 's have' : ' has'} no tags yet.{' '}
+                  <button onClick={onAutoTag} data-testid="auto-tag-btn" className="text-blue-600 hover:text-blue-800">
+                    Tag by source, part of speech and frequency
+                  </button>
+                </p>
+              )}
+
+              <div className="flex flex-wrap items-center gap-2 mb-3">
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={matching.length > 0 && selectedIds.length === matching.length}
+                    onChange={(e) => setSelected(e.target.checked ? new Set(matching.map(card => card.id)) : new Set())}
+                    data-testid="select-all"
+                  />
+                  {selectedIds.length} of {matching.length} selected
+                </label>
+                <input
+                  type="text"
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  placeholder="Tag"
+                  data-testid="bulk-tag-input"
+                  className="w-28 px-2 py-1 text-sm border border-gray-300 rounded-md"
+                />
+                <button
+                  onClick={() => { onEditCards(selectedIds, card => addTag(card, tagInput)); setTagInput(''); }}
+                  disabled={selectedIds.length === 0 || !tagInput.trim()}
+                  className="px-2 py-1 text-xs rounded-md border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Add tag
+                </button>
+                <input
+                  type="text"
+                  value={subDeckInput}
+                  onChange={(e) => setSubDeckInput(e.target.value)}
+                  placeholder="Sub-deck"
+                  list="deck-subdeck-names"
+                  data-testid="bulk-subdeck-input"
+                  className="w-28 px-2 py-1 text-sm border border-gray-300 rounded-md"
+                />
+                <datalist id="deck-subdeck-names">
+                  {subDecks.map(name => <option key={name} value={name} />)}
+                </datalist>
+                <button
+                  onClick={() => { onEditCards(selectedIds, card => moveToSubDeck(card, subDeckInput)); setSubDeckInput(''); }}
+                  disabled={selectedIds.length === 0}
+                  title="Leave empty to take the cards out of their sub-deck"
+                  className="px-2 py-1 text-xs rounded-md border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Move
+                </button>
+              </div>
+
+              <ul className="divide-y" data-testid="deck-card-list">
+                {matching.slice(0, MAX_LISTED).map(card => (
+                  <li key={card.id} className="flex items-start gap-2 py-2">
+                    <input
+                      type="checkbox"
+                      checked={selected.has(card.id)}
+                      onChange={() => toggleCard(card.id)}
+                      aria-label={`Select ${card.word}`}
+                      className="mt-1"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm text-gray-900">
+                        {card.word} <span className="text-gray-500">— {card.translation}</span>
+                        {card.subDeck && <span className="ml-2 text-xs text-gray-400">{card.subDeck}</span>}
+                      </p>
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {(card.tags ?? []).map(tag => (
+                          <span key={tag} className="inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
+                            {tag}
+                            <button
+                              onClick={() => onEditCards([card.id], c => removeTag(c, tag))}
+                              aria-label={`Remove tag ${tag}`}
+                              className="text-gray-400 hover:text-gray-700"
+                            >
+                              &times;
+                            </button>
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              {matching.length > MAX_LISTED && (
+                <p className="text-xs text-gray-400 mt-2">and {matching.length - MAX_LISTED} more</p>
+              )}
+              {matching.length === 0 && <p className="text-sm text-gray-400">No cards match.</p>}
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,218 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import type { SRSCard, DrillStats } from '../types';
+import { loadDrillStats, saveDrillStats } from '../services/deck-persistence';
+import { drillExercises, pickExercises, checkDrillAnswer, recordDrillAnswer, accuracyByGroup, DEFAULT_ROUND_SIZE } from '../utils/inflection-drill';
+import type { DrillExercise } from '../utils/inflection-drill';
+import type { TypedAnswerCheck } from '../utils/card-templates';
+import { AnswerDiff } from './AnswerDiff';
+
+interface DrillPanelProps {
+  isOpen: boolean;
+  onClose: () => void;
+  userId: string | null;   // accuracy is kept across sessions only when signed in
+  cards: SRSCard[];
+}
+
+/** Accuracy by case, tense and adjective form, weakest first. */
+function AccuracyTable({ stats }: { stats: DrillStats }) {
+  const groups = accuracyByGroup(stats);
+  if (groups.length === 0) {
+    return <p className="text-sm text-gray-400">No answers yet — your weakest cases and tenses will show up here.</p>;
+  }
+  return (
+    <table className="w-full text-sm" data-testid="drill-accuracy">
+      <thead>
+        <tr className="text-xs text-gray-500 text-left">
+          <th className="font-normal">Case / tense</th>
+          <th className="font-normal">Answers</th>
+          <th className="font-normal">Correct</th>
+        </tr>
+      </thead>
+      <tbody>
+        {groups.map(group => (
+          <tr key={group.group}>
+            <td>{group.group}</td>
+            <td className="tabular-nums">{group.attempts}</td>
+            <td className={`tabular-nums ${group.accuracy < 0.7 ? 'text-red-600' : 'text-gray-900'}`}>
+              {Math.round(group.accuracy * 100)}%
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Inflection drill: rounds of "word → form?" exercises from the cards'
+ * dictionary tables, typed and checked like typed-answer cards. Cells the
+ * user gets wrong come up more often.
+ */
+export function DrillPanel({ isOpen, onClose, userId, cards }: DrillPanelProps) {
+  const [stats, setStats] = useState<DrillStats | null>(null);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [round, setRound] = useState<DrillExercise[] | null>(null);
+  const [index, setIndex] = useState(0);
+  const [typed, setTyped] = useState('');
+  const [check, setCheck] = useState<TypedAnswerCheck | null>(null);
+  const [correctCount, setCorrectCount] = useState(0);
+
+  // Load the accuracy each time the panel opens; a new round starts from the intro
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    (userId ? loadDrillStats(userId) : Promise.resolve({}))
+      .then(loaded => {
+        if (cancelled) return;
+        setStats(loaded);
+        setLoadError(null);
+        setRound(null);
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setStats({});
+        setLoadError('Could not load your drill history');
+        setRound(null);
+      });
+    return () => { cancelled = true; };
+  }, [isOpen, userId]);
+
+  const drillableCards = useMemo(() => cards.filter(card => drillExercises(card).length > 0).length, [cards]);
+
+  const startRound = useCallback(() => {
+    setRound(pickExercises(cards, stats ?? {}, DEFAULT_ROUND_SIZE));
+    setIndex(0);
+    setTyped('');
+    setCheck(null);
+    setCorrectCount(0);
+  }, [cards, stats]);
+
+  const exercise = round?.[index];
+
+  const handleCheck = useCallback(() => {
+    if (!exercise || check) return;
+    const result = checkDrillAnswer(exercise, typed);
+    setCheck(result);
+    if (result.correct) setCorrectCount(prev => prev + 1);
+    const next = recordDrillAnswer(stats ?? {}, exercise.cell, result.correct);
+    setStats(next);
+    if (userId) saveDrillStats(userId, next);
+  }, [exercise, check, typed, stats, userId]);
+
+  const handleNext = useCallback(() => {
+    setIndex(prev => prev + 1);
+    setTyped('');
+    setCheck(null);
+  }, []);
+
+  if (!isOpen) return null;
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div className="fixed inset-0 bg-black/50 z-40" onClick={onClose} />
+
+      {/* Panel */}
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+          {/* Header */}
+          <div className="flex justify-between items-center p-4 border-b">
+            <h2 className="text-lg font-semibold text-gray-900">Inflection Drill</h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="p-6">
+            {loadError && <p className="text-sm text-red-600 mb-4">{loadError}</p>}
+
+            {!stats ? (
+              <p className="text-sm text-gray-400">Loading...</p>
+            ) : exercise ? (
+              <div>
+                <p className="text-xs text-gray-400 text-center mb-6">{index + 1} / {round!.length}</p>
+                <div className="text-center mb-4" data-testid="drill-prompt">
+                  <p className="text-2xl font-medium text-gray-900 mb-1">
+                    {exercise.lemma} → {exercise.prompt}?
+                  </p>
+                  <p className="text-sm text-gray-500">{exercise.translation}</p>
+                </div>
+
+                {!check ? (
+                  <form onSubmit={(e) => { e.preventDefault(); handleCheck(); }} className="text-center">
+                    <input
+                      type="text"
+                      value={typed}
+                      onChange={(e) => setTyped(e.target.value)}
+                      lang="ru"
+                      autoFocus
+                      autoComplete="off"
+                      spellCheck={false}
+                      placeholder="Form"
+                      aria-label="Your answer"
+                      data-testid="drill-answer-input"
+                      className="w-full px-3 py-2 mb-3 text-lg text-center border border-gray-300 rounded-md"
+                    />
+                    <button
+                      type="submit"
+                      className="px-8 py-3 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium"
+                    >
+                      Check
+                    </button>
+                  </form>
+                ) : (
+                  <div className="text-center">
+                    <AnswerDiff check={check} typed={typed} testId="drill-answer-diff" />
+                    {!check.correct && (
+                      <p className="text-sm text-gray-700 mb-4" data-testid="drill-expected">
+                        {exercise.answers.join(', ')}
+                      </p>
+                    )}
+                    <button
+                      onClick={handleNext}
+                      autoFocus
+                      className="px-8 py-3 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <div>
+                {round && (
+                  <p className="text-lg font-medium text-gray-900 text-center mb-6" data-testid="drill-summary">
+                    {correctCount} of {round.length} correct
+                  </p>
+                )}
+                {drillableCards === 0 ? (
+                  <p className="text-sm text-gray-500 mb-6">
+                    None of your cards have declension or conjugation tables yet. They come from the dictionary when you add words.
+                  </p>
+                ) : (
+                  <p className="text-sm text-gray-500 mb-6">
+                    Type the form asked for, from the tables of {drillableCards} card{drillableCards !== 1 ? 's' : ''}.
+                    Forms you get wrong come up more often.
+                  </p>
+                )}
+                <div className="mb-6">
+                  <AccuracyTable stats={stats} />
+                </div>
+                <button
+                  onClick={startRound}
+                  disabled={drillableCards === 0}
+                  data-testid="start-drill-btn"
+                  className="w-full px-4 py-2 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {round ? 'Another round' : 'Start'}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import type { ContentType, SubtitleImport } from '../types';
+import { SubtitleImportField } from './SubtitleImportField';
+
+// Keep in sync with UPLOAD_EXTENSIONS / MAX_UPLOAD_BYTES / MAX_DOCUMENT_BYTES in server/storage/upload-store.js
+const MEDIA_EXTENSIONS = [
+  '.mp3', '.m4a', '.aac', '.wav', '.ogg', '.oga', '.opus', '.flac', '.wma',
+  '.mp4', '.m4v', '.mkv', '.webm', '.mov', '.avi', '.wmv', '.flv', '.ts',
+];
+const DOCUMENT_EXTENSIONS = ['.fb2', '.epub', '.txt', '.zip'];
+const MAX_FILE_BYTES = 2 * 1024 * 1024 * 1024;
+const MAX_DOCUMENT_BYTES = 50 * 1024 * 1024;
+
+interface FileInputProps {
+  /** Books (FB2, EPUB, TXT) open in text mode; audio and video are transcribed unless subtitles are attached */
+  onSubmit: (file: File, contentType: ContentType, subtitles?: SubtitleImport) => Promise<void>;
+  isLoading: boolean;
+  error: string | null;
+}
+
+export function FileInput({ onSubmit, isLoading, error }: FileInputProps) {
+  const [file, setFile] = useState<File | null>(null);
+  const [subtitles, setSubtitles] = useState<SubtitleImport | null>(null);
+  const [validationError, setValidationError] = useState<string | null>(null);
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const selected = e.target.files?.[0] ?? null;
+    setFile(selected);
+    setValidationError(null);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!file || isLoading) return;
+    const ext = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+    const isDocument = DOCUMENT_EXTENSIONS.includes(ext);
+    if (!isDocument && !MEDIA_EXTENSIONS.includes(ext)) {
+      setValidationError('Only audio, video and book (FB2, EPUB, TXT) files are supported');
+      return;
+    }
+    if (file.size > (isDocument ? MAX_DOCUMENT_BYTES : MAX_FILE_BYTES)) {
+      setValidationError(isDocument ? 'Book file is too large (max 50 MB)' : 'File is too large (max 2 GB)');
+      return;
+    }
+    if (isDocument && subtitles) {
+      setValidationError('Subtitles can only be attached to audio or video files');
+      return;
+    }
+    setValidationError(null);
+    await (subtitles ? onSubmit(file, 'video', subtitles) : onSubmit(file, isDocument ? 'text' : 'video'));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-6 bg-white rounded-lg shadow-sm border border-gray-200 space-y-4">
+      <div>
+        <h3 className="font-medium text-gray-900 mb-1">Your File</h3>
+        <p className="text-xs text-gray-500">Transcribe your own Russian audio or video, or read along with a book</p>
+      </div>
+      <input
+        type="file"
+        accept={['audio/*', 'video/*', ...MEDIA_EXTENSIONS, ...DOCUMENT_EXTENSIONS].join(',')}
+        onChange={handleChange}
+        className="w-full text-sm text-gray-600 file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:bg-gray-100 file:text-gray-700 hover:file:bg-gray-200"
+        disabled={isLoading}
+      />
+      <SubtitleImportField onChange={setSubtitles} disabled={isLoading} />
+      {(validationError || error) && (
+        <p className="text-red-600 text-xs">{validationError || error}</p>
+      )}
+      <button
+        type="submit"
+        disabled={!file || isLoading}
+        className="w-full px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-lg hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        Upload & Transcribe
+      </button>
+    </form>
+  );
+}
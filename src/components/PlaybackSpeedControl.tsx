@@ -0,0 +1,27 @@
+interface PlaybackSpeedControlProps {
+  rate: number;
+  onRateChange: (rate: number) => void;
+}
+
+const SPEED_OPTIONS = [0.5, 0.75, 0.9, 1, 1.1, 1.25, 1.5];
+
+export function PlaybackSpeedControl({ rate, onRateChange }: PlaybackSpeedControlProps) {
+  // A stored rate that isn't in the menu (e.g. from an older version) still shows up
+  const options = SPEED_OPTIONS.includes(rate) ? SPEED_OPTIONS : [...SPEED_OPTIONS, rate].sort((a, b) => a - b);
+
+  return (
+    <label className="flex items-center gap-1 text-xs text-gray-600">
+      Speed
+      <select
+        value={String(rate)}
+        onChange={(e) => onRateChange(Number(e.target.value))}
+        aria-label="Playback speed"
+        className="px-1 py-0.5 border border-gray-300 rounded bg-white text-xs"
+      >
+        {options.map(option => (
+          <option key={option} value={String(option)}>{option}×</option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -1,17 +1,35 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { Fragment, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import type { SRSCard, SRSRating } from '../types';
-import { sm2, previewInterval } from '../utils/sm2';
+import { normalizeCardId } from '../utils/sm2';
+import { previewInterval } from '../utils/scheduler';
+import {
+  getDueReviews,
+  reviewTemplate,
+  templateView,
+  clozeSentence,
+  checkTypedAnswer,
+  meaningChoices,
+  meaningMatches,
+  CARD_TEMPLATES,
+} from '../utils/card-templates';
+import type { DueReview } from '../utils/card-templates';
 import type { IntervalPreview } from '../utils/sm2';
-import type { DictionaryEntry } from '../types';
+import type { DictionaryEntry, CardSource, DeckSettings, CardTemplate } from '../types';
 import { RichCardBack } from './RichCardBack';
+import { AnswerDiff } from './AnswerDiff';
 import { speak } from '../utils/russian';
+import { getChunk, getClipUrl } from '../services/api';
 
 interface ReviewPanelProps {
   isOpen: boolean;
   onClose: () => void;
   dueCards: SRSCard[];
-  onReview: (id: string, rating: SRSRating) => void;
+  onReview: (id: string, rating: SRSRating, answerMs?: number, template?: CardTemplate) => void;
   onRemove: (id: string) => void;
+  deckSettings?: DeckSettings; // scheduler and card templates (SM-2, recognition only by default)
+  deckCards?: SRSCard[];       // the whole deck, for listening cards' wrong choices (default: the due cards)
+  reviews?: DueReview[];       // the session, e.g. a filtered review (default: every template due on dueCards)
+  cram?: boolean;              // practice without rescheduling: ratings aren't passed to onReview
 }
 
 // Detect if text contains Cyrillic characters (i.e. is Russian)
@@ -32,6 +50,9 @@ function getCardSides(card: SRSCard) {
   };
 }
 
+// Longer answers count as a minute (the user walked away), like Anki
+const MAX_ANSWER_MS = 60 * 1000;
+
 function formatPreview(preview: IntervalPreview): string {
   if (preview.unit === 'min') return `${preview.value}m`;
   const days = preview.value;
@@ -63,8 +84,102 @@ function cardToDictionaryEntry(card: SRSCard): DictionaryEntry {
   };
 }
 
-function CardContent({ card, showAnswer, reviewedCount, queueLength, onShowAnswer, onRate, onRemove }: {
+/**
+ * The sentence a card's word was heard in, with the word highlighted, and a
+ * button that replays the sentence (or just the word, for cards saved before
+ * sentences were recorded) from the source chunk's audio or video.
+ * Listening cards play it with the text hidden until the answer is shown.
+ */
+function SourceContext({ cardId, source, showSentence = true }: { cardId: string; source: CardSource; showSentence?: boolean }) {
+  const mediaRef = useRef<HTMLVideoElement>(null);
+  const [media, setMedia] = useState<{ url: string; isVideo: boolean } | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const start = source.sentenceStart ?? source.start;
+  const end = source.sentenceEnd ?? source.end;
+
+  const playSpan = useCallback(() => {
+    const element = mediaRef.current;
+    if (!element) return;
+    element.currentTime = start;
+    element.play().catch(() => setError('Playback failed'));
+  }, [start]);
+
+  const handleReplay = useCallback(async () => {
+    setError(null);
+    if (media) {
+      playSpan();
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const chunk = await getChunk(source.sessionId, source.chunkId);
+      const url = chunk.videoUrl || chunk.audioUrl;
+      if (!url) throw new Error('The source media is no longer available');
+      // Playback starts once the element has loaded (onLoadedMetadata)
+      setMedia({ url, isVideo: Boolean(chunk.videoUrl) });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not load the source');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [media, playSpan, source.sessionId, source.chunkId]);
+
+  const handleTimeUpdate = useCallback(() => {
+    const element = mediaRef.current;
+    if (element && element.currentTime >= end) element.pause();
+  }, [end]);
+
+  return (
+    <div className="text-center mb-6" data-testid="card-context">
+      {source.sentence && showSentence && (
+        <p className="text-base text-gray-700 mb-2" data-testid="context-sentence">
+          {source.sentence.split(' ').map((token, i) => (
+            <Fragment key={i}>
+              {i > 0 && ' '}
+              {normalizeCardId(token) === cardId
+                ? <mark className="bg-yellow-200 text-gray-900 rounded px-0.5">{token}</mark>
+                : token}
+            </Fragment>
+          ))}
+        </p>
+      )}
+      <button
+        onClick={handleReplay}
+        disabled={isLoading}
+        data-testid="replay-context-btn"
+        className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50 transition-colors"
+      >
+        {isLoading ? 'Loading...' : showSentence ? 'Replay in context' : source.sentence ? 'Play sentence' : 'Play in context'}
+      </button>
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+      {media && (
+        <video
+          ref={mediaRef}
+          src={media.url}
+          playsInline
+          preload="auto"
+          onLoadedMetadata={playSpan}
+          onTimeUpdate={handleTimeUpdate}
+          data-testid="context-media"
+          className={media.isVideo ? 'w-full max-h-48 rounded-lg mt-3 bg-black' : 'hidden'}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * One review. Recognition shows the Russian word; production and typed
+ * prompt with the English (typed checks the answer letter by letter); cloze
+ * blanks the word out of its sentence; listening plays the word or its
+ * sentence and asks for the meaning. The Russian side is revealed with the answer.
+ */
+function CardContent({ card, template, meanings, deckSettings, showAnswer, reviewedCount, queueLength, onShowAnswer, onRate, onRemove }: {
   card: SRSCard;
+  template: CardTemplate;
+  meanings: string[];   // the deck's English sides, for listening cards' choices
+  deckSettings?: DeckSettings;
   showAnswer: boolean;
   reviewedCount: number;
   queueLength: number;
@@ -72,36 +187,197 @@ function CardContent({ card, showAnswer, reviewedCount, queueLength, onShowAnswe
   onRate: (rating: SRSRating) => void;
   onRemove: () => void;
 }) {
+  const [typed, setTyped] = useState('');
+  const [picked, setPicked] = useState<string | null>(null);
   const sides = getCardSides(card);
+  // Fixed for the card's time on screen (CardContent is keyed per review)
+  const [choices] = useState(() => template === 'listening' ? meaningChoices(sides.english, meanings) : []);
   const entry = cardToDictionaryEntry(card);
+  const clipUrlRef = useRef<{ cardId: string; url: string } | null>(null);
+
+  // The speaker's own pronunciation when the card has a clip; the browser voice otherwise
+  const handleListen = useCallback(async () => {
+    if (!card.audioClip || !card.source) {
+      speak(sides.russian, 'ru');
+      return;
+    }
+    try {
+      if (clipUrlRef.current?.cardId !== card.id) {
+        clipUrlRef.current = { cardId: card.id, url: await getClipUrl(card.source.sessionId, card.audioClip) };
+      }
+      await new Audio(clipUrlRef.current.url).play();
+    } catch {
+      speak(sides.russian, 'ru');
+    }
+  }, [card.id, card.audioClip, card.source, sides.russian]);
+
+  const view = templateView(card, template);
+  const cloze = template === 'cloze' ? clozeSentence(card) : null;
+  const typedCheck = template === 'typed' && showAnswer ? checkTypedAnswer(typed, sides.russian) : null;
+  const meaningAnswer = choices.length > 0 ? picked : typed.trim() || null;
+  const meaningCorrect = meaningAnswer !== null && (choices.length > 0
+    ? meaningAnswer === sides.english
+    : meaningMatches(meaningAnswer, [sides.english, ...(card.dictionary?.translations ?? [])]));
+  const example = card.dictionary?.example?.russian;
+
+  const listenButton = (
+    <button
+      onClick={handleListen}
+      className="text-gray-400 hover:text-blue-600 transition-colors"
+      title={card.audioClip ? 'Listen (original audio)' : 'Listen'}
+      data-testid="listen-btn"
+    >
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-6 h-6 mx-auto">
+        <path d="M13.5 4.06c0-1.336-1.616-2.005-2.56-1.06l-4.5 4.5H4.508c-1.141 0-2.318.664-2.66 1.905A9.76 9.76 0 001.5 12c0 .898.121 1.768.35 2.595.341 1.24 1.518 1.905 2.659 1.905h1.93l4.5 4.5c.945.945 2.561.276 2.561-1.06V4.06zM18.584 5.106a.75.75 0 011.06 0c3.808 3.807 3.808 9.98 0 13.788a.75.75 0 11-1.06-1.06 8.25 8.25 0 000-11.668.75.75 0 010-1.06z" />
+        <path d="M15.932 7.757a.75.75 0 011.061 0 6 6 0 010 8.486.75.75 0 01-1.06-1.061 4.5 4.5 0 000-6.364.75.75 0 010-1.06z" />
+      </svg>
+    </button>
+  );
 
   return (
     <div>
       {/* Progress */}
       <div className="text-xs text-gray-400 text-center mb-6">
-        {card.repetition === 0 && (
+        {template !== 'recognition' && (
+          <span className="text-blue-500 font-medium mr-2" data-testid="card-template">
+            {CARD_TEMPLATES.find(t => t.value === template)?.label}
+          </span>
+        )}
+        {view.repetition === 0 && (
           <span className="text-orange-500 font-medium mr-2">Learning</span>
         )}
         {reviewedCount} reviewed
         {queueLength > 0 && ` · ${queueLength} remaining`}
       </div>
 
-      {/* Front: Russian word + pronunciation */}
-      <div className="text-center mb-4">
-        <p className="text-3xl font-medium text-gray-900 mb-3">{sides.russian}</p>
-        <button
-          onClick={() => speak(sides.russian, 'ru')}
-          className="text-gray-400 hover:text-blue-600 transition-colors"
-          title="Listen"
-        >
-          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-6 h-6 mx-auto">
-            <path d="M13.5 4.06c0-1.336-1.616-2.005-2.56-1.06l-4.5 4.5H4.508c-1.141 0-2.318.664-2.66 1.905A9.76 9.76 0 001.5 12c0 .898.121 1.768.35 2.595.341 1.24 1.518 1.905 2.659 1.905h1.93l4.5 4.5c.945.945 2.561.276 2.561-1.06V4.06zM18.584 5.106a.75.75 0 011.06 0c3.808 3.807 3.808 9.98 0 13.788a.75.75 0 11-1.06-1.06 8.25 8.25 0 000-11.668.75.75 0 010-1.06z" />
-            <path d="M15.932 7.757a.75.75 0 011.061 0 6 6 0 010 8.486.75.75 0 01-1.06-1.061 4.5 4.5 0 000-6.364.75.75 0 010-1.06z" />
-          </svg>
-        </button>
-      </div>
+      {template === 'recognition' || showAnswer ? (
+        // Front of recognition, answer of the others: Russian word + pronunciation
+        <div className="text-center mb-4">
+          <p className="text-3xl font-medium text-gray-900 mb-3">{sides.russian}</p>
+          {listenButton}
+        </div>
+      ) : template === 'listening' ? (
+        <div className="text-center mb-4" data-testid="card-prompt">
+          <p className="text-xs text-gray-400 uppercase tracking-wide mb-3">What does it mean?</p>
+          <button
+            onClick={handleListen}
+            data-testid="play-word-btn"
+            className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium"
+          >
+            Play word
+          </button>
+          {!card.source && example && (
+            <button
+              onClick={() => speak(example, 'ru')}
+              data-testid="play-sentence-btn"
+              className="block mx-auto mt-3 text-xs text-blue-600 hover:text-blue-800 transition-colors"
+            >
+              Play sentence
+            </button>
+          )}
+        </div>
+      ) : cloze ? (
+        <div className="text-center mb-4" data-testid="card-prompt">
+          <p className="text-xl text-gray-900 mb-2">
+            {cloze.before}<span className="px-2 border-b-2 border-gray-400 text-gray-400">[...]</span>{cloze.after}
+          </p>
+          {cloze.translation && <p className="text-sm text-gray-500">{cloze.translation}</p>}
+        </div>
+      ) : (
+        <div className="text-center mb-4" data-testid="card-prompt">
+          <p className="text-xs text-gray-400 uppercase tracking-wide mb-2">
+            {template === 'typed' ? 'Type it in Russian' : 'Say it in Russian'}
+          </p>
+          <p className="text-2xl font-medium text-gray-900">{sides.english}</p>
+        </div>
+      )}
 
-      {!showAnswer ? (
+      {/* The filled-in sentence, once the answer is shown */}
+      {cloze && showAnswer && (
+        <p className="text-base text-gray-700 text-center mb-4" data-testid="cloze-answer">
+          {cloze.before}<mark className="bg-yellow-200 text-gray-900 rounded px-0.5">{cloze.answer}</mark>{cloze.after}
+        </p>
+      )}
+
+      {/* What was typed, marked against the word */}
+      {typedCheck && <AnswerDiff check={typedCheck} typed={typed} testId="typed-answer-diff" />}
+
+      {/* The meaning picked or typed for a listening card */}
+      {template === 'listening' && showAnswer && meaningAnswer !== null && (
+        <p className={`text-sm text-center mb-4 ${meaningCorrect ? 'text-green-600' : 'text-red-600'}`} data-testid="listening-result">
+          {meaningCorrect ? 'Correct' : `Not quite — you answered “${meaningAnswer}”`}
+        </p>
+      )}
+
+      {/* Where the word was heard (the text would give the answer away before it's shown) */}
+      {card.source && (template === 'recognition' || template === 'listening' || showAnswer) && (
+        <SourceContext key={card.id} cardId={card.id} source={card.source} showSentence={template !== 'listening' || showAnswer} />
+      )}
+
+      {!showAnswer && template === 'typed' ? (
+        <form
+          onSubmit={(e) => { e.preventDefault(); onShowAnswer(); }}
+          className="text-center"
+        >
+          <input
+            type="text"
+            value={typed}
+            onChange={(e) => setTyped(e.target.value)}
+            lang="ru"
+            autoFocus
+            autoComplete="off"
+            spellCheck={false}
+            placeholder="Russian word"
+            aria-label="Your answer"
+            data-testid="typed-answer-input"
+            className="w-full px-3 py-2 mb-3 text-lg text-center border border-gray-300 rounded-md"
+          />
+          <button
+            type="submit"
+            className="px-8 py-3 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium"
+          >
+            Check
+          </button>
+          <p className="text-xs text-gray-400 mt-2">Enter</p>
+        </form>
+      ) : !showAnswer && template === 'listening' && choices.length > 0 ? (
+        <div className="grid grid-cols-2 gap-2">
+          {choices.map(choice => (
+            <button
+              key={choice}
+              onClick={() => { setPicked(choice); onShowAnswer(); }}
+              data-testid="meaning-choice"
+              className="px-3 py-3 text-sm text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              {choice}
+            </button>
+          ))}
+        </div>
+      ) : !showAnswer && template === 'listening' ? (
+        <form
+          onSubmit={(e) => { e.preventDefault(); onShowAnswer(); }}
+          className="text-center"
+        >
+          <input
+            type="text"
+            value={typed}
+            onChange={(e) => setTyped(e.target.value)}
+            autoFocus
+            autoComplete="off"
+            placeholder="Meaning in English"
+            aria-label="Your answer"
+            data-testid="meaning-input"
+            className="w-full px-3 py-2 mb-3 text-lg text-center border border-gray-300 rounded-md"
+          />
+          <button
+            type="submit"
+            className="px-8 py-3 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium"
+          >
+            Check
+          </button>
+          <p className="text-xs text-gray-400 mt-2">Enter</p>
+        </form>
+      ) : !showAnswer ? (
         <div className="text-center">
           <button
             onClick={onShowAnswer}
@@ -122,7 +398,7 @@ function CardContent({ card, showAnswer, reviewedCount, queueLength, onShowAnswe
           {/* Rating buttons */}
           <div className="grid grid-cols-4 gap-2 mt-6">
             {RATINGS.map(({ rating, label, color }) => {
-              const preview = previewInterval(card, rating);
+              const preview = previewInterval(view, rating, deckSettings);
               return (
                 <button
                   key={rating}
@@ -154,13 +430,14 @@ function CardContent({ card, showAnswer, reviewedCount, queueLength, onShowAnswe
   );
 }
 
-// Queue item: a card + the timestamp when it becomes available to show
+// Queue item: a card, the template to review it with, and the timestamp when it becomes available to show
 interface QueueItem {
   card: SRSCard;
+  template: CardTemplate;
   dueAt: number; // Date.now() timestamp
 }
 
-export function ReviewPanel({ isOpen, onClose, dueCards, onReview, onRemove }: ReviewPanelProps) {
+export function ReviewPanel({ isOpen, onClose, dueCards, onReview, onRemove, deckSettings, deckCards, reviews, cram }: ReviewPanelProps) {
   const [queue, setQueue] = useState<QueueItem[]>([]);
   const [currentItem, setCurrentItem] = useState<QueueItem | null>(null);
   const [showAnswer, setShowAnswer] = useState(false);
@@ -168,12 +445,14 @@ export function ReviewPanel({ isOpen, onClose, dueCards, onReview, onRemove }: R
   const [waitingSeconds, setWaitingSeconds] = useState<number | null>(null);
   const timerRef = useRef<ReturnType<typeof setInterval> | null>(null);
   const sessionActiveRef = useRef(false);
+  const shownAtRef = useRef(0);
+  const meanings = useMemo(() => (deckCards ?? dueCards).map(card => getCardSides(card).english), [deckCards, dueCards]);
 
   // Initialize queue when panel opens (not when dueCards changes mid-session)
   useEffect(() => {
     if (isOpen && !sessionActiveRef.current) {
       sessionActiveRef.current = true;
-      const items: QueueItem[] = dueCards.map(card => ({ card, dueAt: 0 }));
+      const items: QueueItem[] = (reviews ?? getDueReviews(dueCards, deckSettings)).map(review => ({ ...review, dueAt: 0 }));
       /* eslint-disable react-hooks/set-state-in-effect -- intentional: initializing review session state from props */
       setQueue(items.slice(1));
       setCurrentItem(items[0] || null);
@@ -189,7 +468,7 @@ export function ReviewPanel({ isOpen, onClose, dueCards, onReview, onRemove }: R
         timerRef.current = null;
       }
     }
-  }, [isOpen, dueCards]);
+  }, [isOpen, dueCards, deckSettings, reviews]);
 
   // Shared helper: pop next ready card from queue, or enter wait/done state.
   // Called inside setQueue updaters. Returns the updated queue.
@@ -220,7 +499,7 @@ export function ReviewPanel({ isOpen, onClose, dueCards, onReview, onRemove }: R
           const readyItem = q.find(i => i.dueAt <= nowInner);
           if (readyItem) {
             if (timerRef.current) { clearInterval(timerRef.current); timerRef.current = null; }
-            const idx = q.findIndex(i => i.card.id === readyItem.card.id);
+            const idx = q.indexOf(readyItem);
             if (idx !== -1) {
               const remaining = [...q];
               const [found] = remaining.splice(idx, 1);
@@ -252,32 +531,37 @@ export function ReviewPanel({ isOpen, onClose, dueCards, onReview, onRemove }: R
     setQueue(prev => popOrWait(prev));
   }, [popOrWait]);
 
+  // Time to answer runs from the card appearing to the rating
+  useEffect(() => {
+    shownAtRef.current = Date.now();
+  }, [currentItem]);
+
   const handleShowAnswer = useCallback(() => {
     setShowAnswer(true);
   }, []);
 
   const handleRate = useCallback((rating: SRSRating) => {
     if (!currentItem) return;
-    const { card } = currentItem;
+    const { card, template } = currentItem;
 
-    // Persist the review
-    onReview(card.id, rating);
+    // Persist the review (cram only practices)
+    if (!cram) onReview(card.id, rating, Math.min(Date.now() - shownAtRef.current, MAX_ANSWER_MS), template);
     setReviewedCount(prev => prev + 1);
 
-    // Compute the updated card to check if it stays in learning
-    const updated = sm2(card, rating);
+    // Compute the updated card to check if this template stays in learning
+    const updated = reviewTemplate(card, template, rating, deckSettings);
 
     // Combine re-queue + pop-next into a single setQueue call to avoid
     // React batching race where popNext reads stale state.
     setQueue(prev => {
       let next = prev;
-      if (updated.repetition === 0) {
+      if (templateView(updated, template).repetition === 0) {
         const delayMs = rating === 0 ? 60 * 1000 : 5 * 60 * 1000;
-        next = [...prev, { card: updated, dueAt: Date.now() + delayMs }];
+        next = [...prev, { card: updated, template, dueAt: Date.now() + delayMs }];
       }
       return popOrWait(next);
     });
-  }, [currentItem, onReview, popOrWait]);
+  }, [currentItem, onReview, popOrWait, deckSettings, cram]);
 
   const handleRemove = useCallback(() => {
     if (!currentItem) return;
@@ -334,7 +618,7 @@ export function ReviewPanel({ isOpen, onClose, dueCards, onReview, onRemove }: R
   if (!isOpen) return null;
 
   const isDone = !currentItem && queue.length === 0 && waitingSeconds === null;
-  const totalInSession = dueCards.length;
+  const totalInSession = reviews ? reviews.length : dueCards.length;
 
   return (
     <>
@@ -346,7 +630,7 @@ export function ReviewPanel({ isOpen, onClose, dueCards, onReview, onRemove }: R
         <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
           {/* Header */}
           <div className="flex justify-between items-center p-4 border-b">
-            <h2 className="text-lg font-semibold text-gray-900">Review Cards</h2>
+            <h2 className="text-lg font-semibold text-gray-900">{cram ? 'Cram' : 'Review Cards'}</h2>
             <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
               <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
@@ -356,11 +640,17 @@ export function ReviewPanel({ isOpen, onClose, dueCards, onReview, onRemove }: R
 
           {/* Body */}
           <div className="p-6">
+            {cram && (
+              <p className="text-xs text-gray-500 text-center mb-4" data-testid="cram-note">
+                Cram: cards are shown whether due or not, and your ratings don't change their schedule.
+              </p>
+            )}
+
             {/* No cards due */}
             {totalInSession === 0 && (
               <div className="text-center py-12 text-gray-500">
                 <div className="text-4xl mb-4">&#10003;</div>
-                <p className="text-lg font-medium mb-2">No cards due</p>
+                <p className="text-lg font-medium mb-2">{cram ? 'No cards to cram' : 'No cards due'}</p>
                 <p className="text-sm">
                   Click any word while reading, then press "Add to deck" to start learning.
                 </p>
@@ -393,7 +683,11 @@ export function ReviewPanel({ isOpen, onClose, dueCards, onReview, onRemove }: R
 
             {/* Real card — with new rich design */}
             {currentItem && <CardContent
+              key={`${currentItem.card.id}:${currentItem.template}:${reviewedCount}`}
               card={currentItem.card}
+              template={currentItem.template}
+              meanings={meanings}
+              deckSettings={deckSettings}
               showAnswer={showAnswer}
               reviewedCount={reviewedCount}
               queueLength={queue.length}
@@ -0,0 +1,76 @@
+interface SentenceControlsProps {
+  sentenceCount: number;
+  currentIndex: number;
+  repeatCount: number;
+  onRepeatCountChange: (count: number) => void;
+  autoPause: boolean;
+  onAutoPauseChange: (enabled: boolean) => void;
+  onPrevious: () => void;
+  onNext: () => void;
+}
+
+// Plays per sentence offered in the loop menu; 1 = no loop
+const REPEAT_OPTIONS: { value: number; label: string }[] = [
+  { value: 1, label: 'Off' },
+  { value: 2, label: '2×' },
+  { value: 3, label: '3×' },
+  { value: 5, label: '5×' },
+  { value: Infinity, label: '∞' },
+];
+
+export function SentenceControls({
+  sentenceCount,
+  currentIndex,
+  repeatCount,
+  onRepeatCountChange,
+  autoPause,
+  onAutoPauseChange,
+  onPrevious,
+  onNext,
+}: SentenceControlsProps) {
+  if (sentenceCount === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+      <div className="flex items-center gap-1">
+        <button
+          onClick={onPrevious}
+          title="Previous sentence (↑)"
+          className="px-2 py-1 rounded hover:bg-gray-100"
+        >
+          ◀
+        </button>
+        <span data-testid="sentence-position">
+          Sentence {Math.max(currentIndex, 0) + 1} / {sentenceCount}
+        </span>
+        <button
+          onClick={onNext}
+          title="Next sentence (↓)"
+          className="px-2 py-1 rounded hover:bg-gray-100"
+        >
+          ▶
+        </button>
+      </div>
+      <label className="flex items-center gap-1">
+        Loop
+        <select
+          value={String(repeatCount)}
+          onChange={(e) => onRepeatCountChange(Number(e.target.value))}
+          className="px-1 py-0.5 border border-gray-300 rounded bg-white text-xs"
+        >
+          {REPEAT_OPTIONS.map(option => (
+            <option key={option.label} value={String(option.value)}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1">
+        <input
+          type="checkbox"
+          checked={autoPause}
+          onChange={(e) => onAutoPauseChange(e.target.checked)}
+        />
+        Pause after each sentence
+      </label>
+    </div>
+  );
+}
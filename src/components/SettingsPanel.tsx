@@ -1,7 +1,13 @@
-import { useState, useEffect, useCallback } from 'react';
-import type { TranslatorConfig, SRSCard } from '../types';
-import { getUsage } from '../services/api';
-import type { UsageData, SubscriptionData } from '../services/api';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import type { ChangeEvent } from 'react';
+import type { TranslatorConfig, SRSCard, DeckSettings, SchedulerKind, SiblingTemplate } from '../types';
+import { getUsage, getTtsVoices, exportDeckApkg, importAnkiPackage } from '../services/api';
+import type { UsageData, SubscriptionData, TtsVoices } from '../services/api';
+import { readDeckFile, planDeckImport, toImportedCard, MERGE_STRATEGIES } from '../utils/deck-import';
+import type { MergeStrategy } from '../utils/deck-import';
+import { optimizeWeights, DEFAULT_RETENTION } from '../utils/fsrs';
+import { CARD_TEMPLATES, setDeckTemplates } from '../utils/card-templates';
+import { loadReviewLog } from '../services/deck-persistence';
 import { TERMS_OF_SERVICE, PRIVACY_POLICY } from '../legal';
 
 interface SettingsPanelProps {
@@ -10,6 +16,9 @@ interface SettingsPanelProps {
   isOpen: boolean;
   onClose: () => void;
   cards: SRSCard[];
+  onImportCards: (cards: SRSCard[], strategy: MergeStrategy) => void;
+  deckSettings: DeckSettings;
+  onDeckSettingsChange: (settings: DeckSettings) => void;
   userId: string | null;
   onDeleteAccount: () => Promise<void>;
   subscription: SubscriptionData | null;
@@ -17,6 +26,18 @@ interface SettingsPanelProps {
   onSubscribe: () => Promise<void>;
 }
 
+/** Save a blob through a temporary download link */
+function saveBlob(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 function UsageBar({ label, used, limit }: { label: string; used: number; limit: number }) {
   const pct = limit > 0 ? Math.min((used / limit) * 100, 100) : 0;
   const color = pct > 80 ? 'bg-red-500' : pct > 50 ? 'bg-yellow-500' : 'bg-green-500';
@@ -39,6 +60,9 @@ export function SettingsPanel({
   isOpen,
   onClose,
   cards,
+  onImportCards,
+  deckSettings,
+  onDeckSettingsChange,
   userId,
   onDeleteAccount,
   subscription,
@@ -48,9 +72,23 @@ export function SettingsPanel({
   const [expandedLegal, setExpandedLegal] = useState<'tos' | 'privacy' | null>(null);
   const [usage, setUsage] = useState<UsageData | null>(null);
   const [usageLoading, setUsageLoading] = useState(false);
+  const [ttsVoices, setTtsVoices] = useState<TtsVoices | null>(null);
   const [deleteConfirm, setDeleteConfirm] = useState('');
   const [isDeleting, setIsDeleting] = useState(false);
   const [deleteError, setDeleteError] = useState<string | null>(null);
+  const [isExportingApkg, setIsExportingApkg] = useState(false);
+  const [apkgError, setApkgError] = useState<string | null>(null);
+  const [pendingImport, setPendingImport] = useState<{ filename: string; cards: SRSCard[] } | null>(null);
+  const [mergeStrategy, setMergeStrategy] = useState<MergeStrategy>('latest-review');
+  const [isReadingImport, setIsReadingImport] = useState(false);
+  const [importError, setImportError] = useState<string | null>(null);
+  const [isOptimizing, setIsOptimizing] = useState(false);
+  const [optimizeError, setOptimizeError] = useState<string | null>(null);
+
+  const importPlan = useMemo(
+    () => pendingImport && planDeckImport(cards, pendingImport.cards, mergeStrategy),
+    [cards, pendingImport, mergeStrategy],
+  );
 
   // Fetch usage when panel opens
   useEffect(() => {
@@ -63,28 +101,98 @@ export function SettingsPanel({
     }
   }, [isOpen, userId]);
 
+  // Fetch read-aloud voices once, when the panel first opens
+  useEffect(() => {
+    if (isOpen && userId && !ttsVoices) {
+      getTtsVoices()
+        .then(setTtsVoices)
+        .catch(() => setTtsVoices(null));
+    }
+  }, [isOpen, userId, ttsVoices]);
+
   // Reset delete state when panel closes
   useEffect(() => {
     if (!isOpen) {
       setDeleteConfirm('');
       setDeleteError(null);
+      setPendingImport(null);
+      setImportError(null);
+      setOptimizeError(null);
     }
   }, [isOpen]);
 
   const handleExportDeck = useCallback(() => {
     const json = JSON.stringify(cards, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
     const date = new Date().toISOString().slice(0, 10);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `russian-deck-${date}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    saveBlob(blob, `russian-deck-${date}.json`);
+  }, [cards]);
+
+  const handleExportApkg = useCallback(async () => {
+    setIsExportingApkg(true);
+    setApkgError(null);
+    try {
+      const { blob, filename } = await exportDeckApkg(cards);
+      saveBlob(blob, filename);
+    } catch (err) {
+      setApkgError(err instanceof Error ? err.message : 'Anki export failed');
+    } finally {
+      setIsExportingApkg(false);
+    }
   }, [cards]);
 
+  const handleImportFile = useCallback(async (e: ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setImportError(null);
+    setPendingImport(null);
+    setIsReadingImport(true);
+    try {
+      let imported: SRSCard[];
+      if (/\.(apkg|colpkg)$/i.test(file.name)) {
+        if (!userId) throw new Error('Sign in to import Anki packages');
+        const data = await importAnkiPackage(file);
+        imported = data.flatMap(item => toImportedCard(item) ?? []);
+      } else {
+        imported = await readDeckFile(file);
+      }
+      if (imported.length === 0) throw new Error('No cards found in the file');
+      setPendingImport({ filename: file.name, cards: imported });
+    } catch (err) {
+      setImportError(err instanceof Error ? err.message : 'Import failed');
+    } finally {
+      setIsReadingImport(false);
+    }
+  }, [userId]);
+
+  const handleConfirmImport = useCallback(() => {
+    if (!pendingImport) return;
+    onImportCards(pendingImport.cards, mergeStrategy);
+    setPendingImport(null);
+  }, [pendingImport, mergeStrategy, onImportCards]);
+
+  // Fit FSRS to the user's own review log
+  const handleOptimize = useCallback(async () => {
+    if (!userId) return;
+    setIsOptimizing(true);
+    setOptimizeError(null);
+    try {
+      const log = await loadReviewLog(userId);
+      const { weights, reviews } = await optimizeWeights(log, cards);
+      onDeckSettingsChange({
+        ...deckSettings,
+        fsrsWeights: weights,
+        optimizedAt: new Date().toISOString(),
+        optimizedReviews: reviews,
+      });
+    } catch (err) {
+      setOptimizeError(err instanceof Error ? err.message : 'Optimization failed');
+    } finally {
+      setIsOptimizing(false);
+    }
+  }, [userId, cards, deckSettings, onDeckSettingsChange]);
+
   const handleDeleteAccount = useCallback(async () => {
     setIsDeleting(true);
     setDeleteError(null);
@@ -158,7 +266,120 @@ export function SettingsPanel({
           </p>
         </div>
 
-        {/* Deck Export */}
+        {/* Stress Marks */}
+        <div className="mb-6">
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={config.showStress ?? false}
+              onChange={(e) => onConfigChange({ ...config, showStress: e.target.checked || undefined })}
+              data-testid="show-stress-toggle"
+            />
+            Show stress marks
+          </label>
+          <p className="text-xs text-gray-500 mt-1">
+            Accent every transcript word of two or more syllables (кни́гу) using the built-in dictionary. Words with more than one possible stress are underlined with dots.
+          </p>
+        </div>
+
+        {/* Video Parts */}
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Video Parts
+          </label>
+          <p className="text-xs text-gray-500 mb-3">
+            How long each part of a new video should be, and how long a pause has to be before a part can end there. Leave empty for the defaults (3 min, 0.5 s).
+          </p>
+          <div className="flex gap-2 items-center">
+            <input
+              type="number"
+              min={0.5}
+              max={15}
+              step={0.5}
+              value={config.chunkDuration !== undefined ? config.chunkDuration / 60 : ''}
+              onChange={(e) => onConfigChange({
+                ...config,
+                chunkDuration: e.target.value ? Math.round(parseFloat(e.target.value) * 60) : undefined,
+              })}
+              placeholder="Minutes"
+              aria-label="Part length in minutes"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+            />
+            <input
+              type="number"
+              min={0.1}
+              max={5}
+              step={0.1}
+              value={config.chunkMinGap ?? ''}
+              onChange={(e) => onConfigChange({
+                ...config,
+                chunkMinGap: e.target.value ? parseFloat(e.target.value) : undefined,
+              })}
+              placeholder="Pause (s)"
+              aria-label="Minimum pause in seconds"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+            />
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            0.5–15 min per part, 0.1–5 s pause. Already loaded videos can be re-split from the parts list.
+          </p>
+        </div>
+
+        {/* Read-aloud Voice */}
+        {ttsVoices && (
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Read-aloud Voice
+            </label>
+            <p className="text-xs text-gray-500 mb-3">
+              Voice and speed for new books and texts. A second voice can read the dialogue.
+            </p>
+            <div className="flex gap-2 items-center mb-2">
+              <select
+                value={config.ttsVoice ?? ttsVoices.defaultVoice}
+                onChange={(e) => onConfigChange({
+                  ...config,
+                  ttsVoice: e.target.value === ttsVoices.defaultVoice ? undefined : e.target.value,
+                })}
+                aria-label="Narration voice"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+              >
+                {ttsVoices.voices.map(voice => (
+                  <option key={voice} value={voice}>{voice}</option>
+                ))}
+              </select>
+              <select
+                value={config.ttsDialogueVoice ?? ''}
+                onChange={(e) => onConfigChange({ ...config, ttsDialogueVoice: e.target.value || undefined })}
+                aria-label="Dialogue voice"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+              >
+                <option value="">Same as narration</option>
+                {ttsVoices.voices.map(voice => (
+                  <option key={voice} value={voice}>{voice}</option>
+                ))}
+              </select>
+            </div>
+            <input
+              type="range"
+              min={ttsVoices.minSpeed}
+              max={ttsVoices.maxSpeed}
+              step={0.05}
+              value={config.ttsSpeed ?? 1}
+              onChange={(e) => {
+                const speed = parseFloat(e.target.value);
+                onConfigChange({ ...config, ttsSpeed: speed === 1 ? undefined : speed });
+              }}
+              aria-label="Reading speed"
+              className="w-full"
+            />
+            <p className="text-xs text-gray-400 mt-1">
+              Speed {(config.ttsSpeed ?? 1).toFixed(2)}×. Texts already loaded keep their voice.
+            </p>
+          </div>
+        )}
+
+        {/* Deck export / import */}
         <div className="mb-6 border-t pt-6">
           <h3 className="text-sm font-medium text-gray-700 mb-2">Deck</h3>
           <button
@@ -169,6 +390,162 @@ export function SettingsPanel({
           >
             {cards.length === 0 ? 'No cards to export' : `Export ${cards.length} cards`}
           </button>
+          {userId && (
+            <>
+              <button
+                onClick={handleExportApkg}
+                disabled={cards.length === 0 || isExportingApkg}
+                data-testid="export-apkg-btn"
+                className="mt-2 w-full px-4 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {isExportingApkg ? 'Building Anki deck...' : 'Export to Anki (.apkg)'}
+              </button>
+              <p className="text-xs text-gray-400 mt-1">
+                Includes grammar tables, examples and the word's audio for cards added from a transcript.
+              </p>
+              {apkgError && <p className="text-xs text-red-600 mt-1">{apkgError}</p>}
+            </>
+          )}
+          <label className="mt-2 w-full px-4 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white hover:bg-gray-50 transition-colors block text-center cursor-pointer">
+            {isReadingImport ? 'Reading file...' : 'Import cards'}
+            <input
+              type="file"
+              accept=".json,.csv,.tsv,.txt,.apkg,.colpkg"
+              onChange={handleImportFile}
+              disabled={isReadingImport}
+              data-testid="import-deck-input"
+              className="hidden"
+            />
+          </label>
+          <p className="text-xs text-gray-400 mt-1">
+            JSON export, CSV/TSV (word, translation) or Anki .apkg/.colpkg.
+          </p>
+          {importError && <p className="text-xs text-red-600 mt-1">{importError}</p>}
+          {pendingImport && importPlan && (
+            <div className="mt-3 p-3 rounded-md bg-gray-50 border border-gray-200" data-testid="import-preview">
+              <p className="text-xs text-gray-600 mb-2 truncate">
+                {pendingImport.filename}: {pendingImport.cards.length} cards
+              </p>
+              <label className="block text-xs text-gray-600 mb-1" htmlFor="merge-strategy">Duplicates</label>
+              <select
+                id="merge-strategy"
+                value={mergeStrategy}
+                onChange={(e) => setMergeStrategy(e.target.value as MergeStrategy)}
+                data-testid="merge-strategy"
+                className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md mb-2"
+              >
+                {MERGE_STRATEGIES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-700 mb-2" data-testid="import-counts">
+                {importPlan.added} to add · {importPlan.updated} to update · {importPlan.skipped} to skip
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={handleConfirmImport}
+                  disabled={importPlan.added + importPlan.updated === 0}
+                  data-testid="confirm-import-btn"
+                  className="flex-1 px-3 py-1.5 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Import
+                </button>
+                <button
+                  onClick={() => setPendingImport(null)}
+                  className="flex-1 px-3 py-1.5 text-sm font-medium rounded-md border border-gray-300 bg-white hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Scheduler */}
+        <div className="mb-6 border-t pt-6">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Scheduling</h3>
+          <select
+            value={deckSettings.scheduler}
+            onChange={(e) => onDeckSettingsChange({ ...deckSettings, scheduler: e.target.value as SchedulerKind })}
+            aria-label="Scheduler"
+            data-testid="scheduler-select"
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+          >
+            <option value="sm2">SM-2 (classic Anki)</option>
+            <option value="fsrs">FSRS</option>
+          </select>
+          <p className="text-xs text-gray-400 mt-1">
+            FSRS predicts when you would forget each word. Switching keeps your current intervals.
+          </p>
+          {deckSettings.scheduler === 'fsrs' && (
+            <div className="mt-3">
+              <label className="block text-xs text-gray-600 mb-1" htmlFor="desired-retention">
+                Desired retention: {Math.round((deckSettings.desiredRetention ?? DEFAULT_RETENTION) * 100)}%
+              </label>
+              <input
+                id="desired-retention"
+                type="range"
+                min={0.7}
+                max={0.97}
+                step={0.01}
+                value={deckSettings.desiredRetention ?? DEFAULT_RETENTION}
+                onChange={(e) => {
+                  const retention = parseFloat(e.target.value);
+                  onDeckSettingsChange({ ...deckSettings, desiredRetention: retention === DEFAULT_RETENTION ? undefined : retention });
+                }}
+                data-testid="desired-retention"
+                className="w-full"
+              />
+              <p className="text-xs text-gray-400 mb-2">Higher means more reviews.</p>
+              {userId && (
+                <button
+                  onClick={handleOptimize}
+                  disabled={isOptimizing}
+                  data-testid="optimize-fsrs-btn"
+                  className="w-full px-4 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {isOptimizing ? 'Optimizing...' : 'Optimize from my reviews'}
+                </button>
+              )}
+              <p className="text-xs text-gray-400 mt-1" data-testid="fsrs-status">
+                {deckSettings.optimizedAt
+                  ? `Parameters fitted to ${deckSettings.optimizedReviews ?? 0} reviews on ${deckSettings.optimizedAt.slice(0, 10)}.`
+                  : 'Using the default parameters.'}
+              </p>
+              {optimizeError && <p className="text-xs text-red-600 mt-1">{optimizeError}</p>}
+            </div>
+          )}
+        </div>
+
+        {/* Card templates */}
+        <div className="mb-6 border-t pt-6" data-testid="card-templates">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Card types</h3>
+          {CARD_TEMPLATES.map(({ value, label, description }) => {
+            const enabled = value === 'recognition' || (deckSettings.templates ?? []).includes(value);
+            return (
+              <label key={value} className="flex items-start gap-2 text-sm text-gray-700 mb-2">
+                <input
+                  type="checkbox"
+                  checked={enabled}
+                  disabled={value === 'recognition'}
+                  onChange={(e) => {
+                    const others = (deckSettings.templates ?? []).filter(t => t !== value);
+                    const templates = e.target.checked ? [...others, value as SiblingTemplate] : others;
+                    onDeckSettingsChange(setDeckTemplates(deckSettings, templates));
+                  }}
+                  data-testid={`template-${value}`}
+                  className="mt-0.5"
+                />
+                <span>
+                  {label}
+                  <span className="block text-xs text-gray-500">{description}</span>
+                </span>
+              </label>
+            );
+          })}
+          <p className="text-xs text-gray-400 mt-1">
+            Each type of a word is scheduled on its own. A type turned on is introduced a few words a day (see the deck's daily limits). Cloze cards need an example sentence with the word.
+          </p>
         </div>
 
         {/* Subscription */}
@@ -252,6 +629,11 @@ export function SettingsPanel({
                 <UsageBar label="Today" used={usage.daily.used} limit={usage.daily.limit} />
                 <UsageBar label="This week" used={usage.weekly.used} limit={usage.weekly.limit} />
                 <UsageBar label="This month" used={usage.monthly.used} limit={usage.monthly.limit} />
+                {usage.saved && usage.saved.monthly > 0 && (
+                  <p className="text-xs text-green-700 mt-1">
+                    ${usage.saved.monthly.toFixed(2)} saved this month by the built-in dictionary
+                  </p>
+                )}
               </div>
             ) : (
               <p className="text-xs text-gray-400">Could not load usage data</p>
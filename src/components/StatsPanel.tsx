@@ -0,0 +1,208 @@
+import { useState, useEffect, useMemo } from 'react';
+import type { ReactNode } from 'react';
+import type { SRSCard, ReviewLogEntry } from '../types';
+import { loadReviewLog } from '../services/deck-persistence';
+import { reviewsPerDay, retentionByInterval, dueForecast, easeDistribution, reviewHeatmap, statsStartDate, STATS_WEEKS } from '../utils/deck-stats';
+import type { HeatmapDay } from '../utils/deck-stats';
+import { getLocalDateString } from '../utils/streak';
+
+interface StatsPanelProps {
+  isOpen: boolean;
+  onClose: () => void;
+  userId: string | null;
+  cards: SRSCard[];
+  completionDates: string[];  // streak days, drawn on the heatmap
+  currentStreak: number;
+  longestStreak: number;
+}
+
+/** Simple bar chart: one column per value, scaled to the largest. */
+function Bars({ values, titles, color, testId }: { values: number[]; titles: string[]; color: string; testId: string }) {
+  const max = Math.max(1, ...values);
+  return (
+    <div className="flex items-end gap-px h-24" data-testid={testId}>
+      {values.map((value, i) => (
+        <div key={i} className="flex-1 h-full flex items-end" title={titles[i]}>
+          <div className={`w-full ${color} rounded-t-sm`} style={{ height: `${(value / max) * 100}%` }} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Full class names so Tailwind keeps them
+function heatmapColor(day: HeatmapDay): string {
+  if (day.future) return 'bg-transparent';
+  if (day.reviews === 0) return 'bg-gray-100';
+  if (day.reviews < 10) return 'bg-green-200';
+  if (day.reviews < 30) return 'bg-green-400';
+  return 'bg-green-600';
+}
+
+function Section({ title, children }: { title: string; children: ReactNode }) {
+  return (
+    <div className="mb-6">
+      <h3 className="text-sm font-medium text-gray-700 mb-2">{title}</h3>
+      {children}
+    </div>
+  );
+}
+
+export function StatsPanel({ isOpen, onClose, userId, cards, completionDates, currentStreak, longestStreak }: StatsPanelProps) {
+  const [log, setLog] = useState<ReviewLogEntry[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  // Reload the weeks of review log shown each time the panel opens
+  useEffect(() => {
+    if (!isOpen || !userId) return;
+    let cancelled = false;
+    loadReviewLog(userId, new Date(`${statsStartDate()}T00:00:00`).toISOString())
+      .then(entries => {
+        if (cancelled) return;
+        setLog(entries);
+        setError(null);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not load your review history');
+      });
+    return () => { cancelled = true; };
+  }, [isOpen, userId]);
+
+  const stats = useMemo(() => {
+    const entries = log ?? [];
+    const today = getLocalDateString();
+    const timed = entries.filter(e => e.answerMs !== undefined);
+    return {
+      perDay: reviewsPerDay(entries, 30, today),
+      retention: retentionByInterval(entries),
+      forecast: dueForecast(cards),
+      ease: easeDistribution(cards),
+      heatmap: reviewHeatmap(entries, completionDates, STATS_WEEKS, today),
+      averageAnswerMs: timed.length > 0 ? timed.reduce((sum, e) => sum + e.answerMs!, 0) / timed.length : null,
+    };
+  }, [log, cards, completionDates]);
+
+  if (!isOpen) return null;
+
+  const reviewsToday = stats.perDay[stats.perDay.length - 1].reviews;
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div className="fixed inset-0 bg-black/50 z-40" onClick={onClose} />
+
+      {/* Panel */}
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+          {/* Header */}
+          <div className="flex justify-between items-center p-4 border-b">
+            <h2 className="text-lg font-semibold text-gray-900">Deck Statistics</h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="p-6">
+            {/* Summary */}
+            <div className="grid grid-cols-4 gap-2 mb-6 text-center" data-testid="stats-summary">
+              <div>
+                <p className="text-2xl font-semibold text-gray-900">{cards.length}</p>
+                <p className="text-xs text-gray-500">cards</p>
+              </div>
+              <div>
+                <p className="text-2xl font-semibold text-gray-900">{reviewsToday}</p>
+                <p className="text-xs text-gray-500">reviews today</p>
+              </div>
+              <div>
+                <p className="text-2xl font-semibold text-gray-900">
+                  {stats.averageAnswerMs === null ? '–' : `${(stats.averageAnswerMs / 1000).toFixed(1)}s`}
+                </p>
+                <p className="text-xs text-gray-500">per answer</p>
+              </div>
+              <div>
+                <p className="text-2xl font-semibold text-orange-600">{currentStreak}</p>
+                <p className="text-xs text-gray-500">day streak (best {longestStreak})</p>
+              </div>
+            </div>
+
+            {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+            {!log && !error && <p className="text-sm text-gray-400 mb-4">Loading review history...</p>}
+
+            <Section title="Reviews per day (30 days)">
+              <Bars
+                values={stats.perDay.map(d => d.reviews)}
+                titles={stats.perDay.map(d => `${d.date}: ${d.reviews} reviews, ${d.lapses} Again`)}
+                color="bg-blue-500"
+                testId="reviews-chart"
+              />
+            </Section>
+
+            <Section title="Activity">
+              <div className="flex gap-0.5" data-testid="review-heatmap">
+                {stats.heatmap.map(week => (
+                  <div key={week[0].date} className="flex flex-col gap-0.5">
+                    {week.map(day => (
+                      <div
+                        key={day.date}
+                        className={`w-3 h-3 rounded-sm ${heatmapColor(day)} ${day.streakDay ? 'ring-1 ring-orange-400' : ''}`}
+                        title={day.future ? undefined : `${day.date}: ${day.reviews} reviews${day.streakDay ? ' · streak day' : ''}`}
+                        data-testid="heatmap-day"
+                        data-date={day.date}
+                      />
+                    ))}
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-400 mt-1">Outlined days count toward your streak.</p>
+            </Section>
+
+            <Section title={`Retention by interval (${STATS_WEEKS} weeks)`}>
+              <table className="w-full text-sm" data-testid="retention-table">
+                <thead>
+                  <tr className="text-xs text-gray-500 text-left">
+                    <th className="font-normal">Interval</th>
+                    <th className="font-normal">Reviews</th>
+                    <th className="font-normal">Recalled</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.retention.map(bucket => (
+                    <tr key={bucket.label}>
+                      <td>{bucket.label}</td>
+                      <td className="tabular-nums">{bucket.reviews}</td>
+                      <td className="tabular-nums">{bucket.retention === null ? '–' : `${Math.round(bucket.retention * 100)}%`}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Section>
+
+            <Section title="Due in the next 30 days">
+              <Bars
+                values={stats.forecast.map(d => d.due)}
+                titles={stats.forecast.map((d, i) => `${d.date}: ${d.due} due${i === 0 ? ' (incl. overdue)' : ''}`)}
+                color="bg-amber-500"
+                testId="forecast-chart"
+              />
+            </Section>
+
+            <Section title="Ease">
+              <Bars
+                values={stats.ease.map(b => b.cards)}
+                titles={stats.ease.map(b => `${b.label}: ${b.cards} cards`)}
+                color="bg-purple-500"
+                testId="ease-chart"
+              />
+              <div className="flex justify-between text-xs text-gray-400 mt-1">
+                <span>{stats.ease[0].label}</span>
+                <span>{stats.ease[stats.ease.length - 1].label}</span>
+              </div>
+            </Section>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
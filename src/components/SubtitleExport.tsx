@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import type { VideoChunk, ContentType, SubtitleExportOptions } from '../types';
+
+interface SubtitleExportProps {
+  chunks: VideoChunk[];
+  contentType: ContentType;
+  onExport: (options: SubtitleExportOptions) => Promise<void>;
+}
+
+// Select value for the whole session
+const ALL_PARTS = 'all';
+
+export function SubtitleExport({ chunks, contentType, onExport }: SubtitleExportProps) {
+  const isText = contentType === 'text';
+  // Text sections only have timings once their audio has been generated
+  const parts = isText ? chunks.filter(c => c.status === 'ready') : chunks;
+
+  const [part, setPart] = useState(isText ? '' : ALL_PARTS);
+  const [format, setFormat] = useState<SubtitleExportOptions['format']>('srt');
+  const [lemmas, setLemmas] = useState(false);
+  const [translation, setTranslation] = useState(false);
+  const [karaoke, setKaraoke] = useState(false);
+  const [stress, setStress] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const selectedPart = part || parts[0]?.id || '';
+  if (!selectedPart) return null;
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      await onExport({
+        format,
+        chunkId: selectedPart === ALL_PARTS ? undefined : selectedPart,
+        lemmas,
+        translation,
+        karaoke: format === 'vtt' && karaoke,
+        stress,
+      });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Export failed');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 border rounded-lg text-xs text-gray-700" data-testid="subtitle-export">
+      <h3 className="text-sm font-medium text-gray-800 mb-2">Export subtitles</h3>
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={selectedPart}
+          onChange={(e) => setPart(e.target.value)}
+          aria-label="Subtitle part"
+          className="px-2 py-1 border border-gray-300 rounded bg-white text-xs"
+        >
+          {!isText && <option value={ALL_PARTS}>All parts</option>}
+          {parts.map(chunk => (
+            <option key={chunk.id} value={chunk.id}>
+              {isText ? `Section ${chunk.index + 1}` : `Part ${chunk.index + 1}`}
+            </option>
+          ))}
+        </select>
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value as SubtitleExportOptions['format'])}
+          aria-label="Subtitle format"
+          className="px-2 py-1 border border-gray-300 rounded bg-white text-xs"
+        >
+          <option value="srt">SRT</option>
+          <option value="vtt">WebVTT</option>
+        </select>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={lemmas} onChange={(e) => setLemmas(e.target.checked)} />
+          Lemmas
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={translation} onChange={(e) => setTranslation(e.target.checked)} />
+          English
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={stress} onChange={(e) => setStress(e.target.checked)} />
+          Stress marks
+        </label>
+        {format === 'vtt' && (
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={karaoke} onChange={(e) => setKaraoke(e.target.checked)} />
+            Word timing
+          </label>
+        )}
+        <button
+          onClick={handleExport}
+          disabled={isExporting}
+          className="px-3 py-1 rounded bg-gray-800 text-white hover:bg-gray-900 disabled:opacity-50"
+        >
+          {isExporting ? 'Exporting...' : 'Download'}
+        </button>
+      </div>
+      {error && <p className="mt-2 text-red-600">{error}</p>}
+    </div>
+  );
+}
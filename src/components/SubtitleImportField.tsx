@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import type { SubtitleImport } from '../types';
+
+// Keep in sync with MAX_SUBTITLE_CHARS in server/subtitles.js
+const MAX_SUBTITLE_BYTES = 2 * 1024 * 1024;
+
+function readText(file: File): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+interface SubtitleImportFieldProps {
+  /** Called with the parsed choice, or null when no usable file is selected */
+  onChange: (subtitles: SubtitleImport | null) => void;
+  disabled?: boolean;
+}
+
+/**
+ * Optional .srt/.vtt picker for video analysis. Captions replace Whisper transcription;
+ * "Refine timing" still transcribes the audio to line word timings up with the speech.
+ */
+export function SubtitleImportField({ onChange, disabled }: SubtitleImportFieldProps) {
+  const [content, setContent] = useState<string | null>(null);
+  const [align, setAlign] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    setError(null);
+    setContent(null);
+    onChange(null);
+    if (!file) return;
+
+    if (file.size > MAX_SUBTITLE_BYTES) {
+      setError('Subtitle file is too large (max 2 MB)');
+      return;
+    }
+    let text: string;
+    try {
+      text = await readText(file);
+    } catch {
+      setError('Could not read subtitle file');
+      return;
+    }
+    if (!text.includes('-->')) {
+      setError('No subtitle cues found. Is it an SRT or WebVTT file?');
+      return;
+    }
+    setContent(text);
+    onChange({ content: text, align });
+  };
+
+  const handleAlign = (checked: boolean) => {
+    setAlign(checked);
+    if (content) onChange({ content, align: checked });
+  };
+
+  return (
+    <div className="space-y-1 text-xs text-gray-600">
+      <label className="block">
+        Subtitles (optional, .srt or .vtt) — skips transcription
+        <input
+          type="file"
+          accept=".srt,.vtt"
+          onChange={handleFile}
+          aria-label="Subtitle file"
+          className="mt-1 w-full text-xs text-gray-600 file:mr-3 file:px-2 file:py-1 file:rounded file:border-0 file:bg-gray-100 file:text-gray-700 hover:file:bg-gray-200"
+          disabled={disabled}
+        />
+      </label>
+      {content && (
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={align}
+            onChange={(e) => handleAlign(e.target.checked)}
+            disabled={disabled}
+          />
+          Refine timing with audio
+        </label>
+      )}
+      {error && <p className="text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -1,19 +1,39 @@
 import { useState } from 'react';
 
+const MIN_PASTED_CHARS = 50;
+
 interface TextInputProps {
   onSubmit: (url: string) => Promise<void>;
+  onSubmitPastedText?: (text: string, title: string) => Promise<void>;
   isLoading: boolean;
   error: string | null;
 }
 
-export function TextInput({ onSubmit, isLoading, error }: TextInputProps) {
+export function TextInput({ onSubmit, onSubmitPastedText, isLoading, error }: TextInputProps) {
+  const [mode, setMode] = useState<'url' | 'paste'>('url');
   const [url, setUrl] = useState('');
+  const [pastedText, setPastedText] = useState('');
+  const [title, setTitle] = useState('');
   const [validationError, setValidationError] = useState<string | null>(null);
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
+    if (isLoading) return;
+
+    if (mode === 'paste') {
+      const trimmedText = pastedText.trim();
+      if (!trimmedText || !onSubmitPastedText) return;
+      if (trimmedText.length < MIN_PASTED_CHARS) {
+        setValidationError('Text is too short');
+        return;
+      }
+      setValidationError(null);
+      await onSubmitPastedText(trimmedText, title.trim());
+      return;
+    }
+
     const trimmed = url.trim();
-    if (!trimmed || isLoading) return;
+    if (!trimmed) return;
     if (!trimmed.includes('lib.ru')) {
       setValidationError('Only lib.ru text URLs are supported');
       return;
@@ -22,30 +42,68 @@ export function TextInput({ onSubmit, isLoading, error }: TextInputProps) {
     await onSubmit(trimmed);
   };
 
+  const toggleMode = () => {
+    setMode(mode === 'url' ? 'paste' : 'url');
+    setValidationError(null);
+  };
+
+  const canSubmit = mode === 'paste' ? pastedText.trim().length > 0 : url.trim().length > 0;
+
   return (
     <form onSubmit={handleSubmit} className="p-6 bg-white rounded-lg shadow-sm border border-gray-200 space-y-4">
       <div>
         <h3 className="font-medium text-gray-900 mb-1">Text</h3>
         <p className="text-xs text-gray-500">Apply synced TTS to a Russian text</p>
       </div>
-      <input
-        type="url"
-        value={url}
-        onChange={(e) => { setUrl(e.target.value); setValidationError(null); }}
-        placeholder="https://lib.ru/..."
-        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-        disabled={isLoading}
-      />
+      {mode === 'url' ? (
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => { setUrl(e.target.value); setValidationError(null); }}
+          placeholder="https://lib.ru/..."
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          disabled={isLoading}
+        />
+      ) : (
+        <>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Title (optional)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            disabled={isLoading}
+          />
+          <textarea
+            value={pastedText}
+            onChange={(e) => { setPastedText(e.target.value); setValidationError(null); }}
+            placeholder="Paste Russian text here..."
+            rows={6}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            disabled={isLoading}
+          />
+        </>
+      )}
       {(validationError || error) && (
         <p className="text-red-600 text-xs">{validationError || error}</p>
       )}
       <button
         type="submit"
-        disabled={!url.trim() || isLoading}
+        disabled={!canSubmit || isLoading}
         className="w-full px-4 py-2 bg-emerald-600 text-white text-sm font-medium rounded-lg hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
       >
         Load Text
       </button>
+      {onSubmitPastedText && (
+        <button
+          type="button"
+          onClick={toggleMode}
+          className="w-full text-xs text-gray-500 hover:text-gray-700"
+          disabled={isLoading}
+        >
+          {mode === 'url' ? 'Or paste text instead' : 'Or load from a lib.ru URL'}
+        </button>
+      )}
     </form>
   );
 }
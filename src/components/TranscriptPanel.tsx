@@ -1,8 +1,11 @@
-import { useRef, useEffect, useCallback, useState } from 'react';
-import type { Transcript, WordTimestamp, Translation, TranslatorConfig, DictionaryEntry } from '../types';
+import { Fragment, useRef, useEffect, useCallback, useState, useMemo } from 'react';
+import type { Transcript, WordTimestamp, Translation, TranslatorConfig, DictionaryEntry, CardSource } from '../types';
 import { WordPopup } from './WordPopup';
 import { apiRequest } from '../services/api';
-import { normalizeRussianWord } from '../utils/russian';
+import { normalizeRussianWord, cleanWord } from '../utils/russian';
+import { segmentSentences, findSentenceIndex, sentenceText } from '../utils/sentences';
+import { CASE_COLORS, primaryCase, matchesGrammarFilter } from '../utils/morphology';
+import { useSentenceTranslations } from '../hooks/useSentenceTranslations';
 
 interface TranscriptPanelProps {
   transcript: Transcript;
@@ -10,10 +13,15 @@ interface TranscriptPanelProps {
   config: TranslatorConfig;
   wordFrequencies?: Map<string, number>;
   isLoading?: boolean;
-  onAddToDeck?: (word: string, translation: string, sourceLanguage: string, dictionary?: DictionaryEntry) => void | Promise<void>;
+  onAddToDeck?: (word: string, translation: string, sourceLanguage: string, dictionary?: DictionaryEntry, stressedWord?: string, source?: CardSource) => void | Promise<void>;
   isWordInDeck?: (word: string) => boolean;
+  // Session and chunk being shown; cards added from the popup record the clicked word's span and sentence in it
+  cardSource?: { sessionId: string; chunkId: string; title?: string };
 }
 
+// 'delay' mode: a sentence's translation appears this far into it (or when it ends, if sooner)
+const TRANSLATION_REVEAL_DELAY = 3;
+
 // Find the current word index based on video time
 // Keeps previous word highlighted during pauses until next word starts
 function findCurrentWordIndex(words: WordTimestamp[], time: number): number {
@@ -57,6 +65,7 @@ export function TranscriptPanel({
   isLoading = false,
   onAddToDeck,
   isWordInDeck,
+  cardSource,
 }: TranscriptPanelProps) {
   const containerRef = useRef<HTMLDivElement>(null);
   const currentWordRef = useRef<HTMLSpanElement>(null);
@@ -67,6 +76,26 @@ export function TranscriptPanel({
 
   const currentWordIndex = findCurrentWordIndex(transcript.words, currentTime);
 
+  // Sentence index of each word, for sentence grouping and highlighting
+  const sentences = useMemo(() => segmentSentences(transcript.words), [transcript.words]);
+  const wordSentences = useMemo(() => {
+    const result: number[] = [];
+    sentences.forEach((sentence, i) => {
+      for (let w = sentence.firstWord; w <= sentence.lastWord; w++) result.push(i);
+    });
+    return result;
+  }, [sentences]);
+  const currentSentenceIndex = findSentenceIndex(sentences, currentTime);
+
+  // Parallel English track, one line under each sentence
+  const translationMode = config.translationTrack ?? 'off';
+  const sentenceTexts = useMemo(
+    () => sentences.map(sentence => sentenceText(transcript.words, sentence)),
+    [sentences, transcript.words],
+  );
+  const { translations: sentenceTranslations, error: sentenceTranslationError } =
+    useSentenceTranslations(sentenceTexts, translationMode !== 'off');
+
   const freqMin = config.freqRangeMin;
   const freqMax = config.freqRangeMax;
   const hasFreqRange = wordFrequencies && wordFrequencies.size > 0 && freqMin != null && freqMax != null;
@@ -99,12 +128,16 @@ export function TranscriptPanel({
   }, [currentWordIndex]);
 
   const handleWordClick = useCallback(
-    async (word: WordTimestamp) => {
+    async (word: WordTimestamp, index: number) => {
       // Only handle Russian words
       if (!isRussianWord(word.word)) {
         return;
       }
 
+      const neighbour = (i: number) => wordSentences[i] === wordSentences[index]
+        ? cleanWord(transcript.words[i].word).toLowerCase() || undefined
+        : undefined;
+
       // Show translation popup
       setSelectedWord(word);
       setTranslation(null);
@@ -118,6 +151,8 @@ export function TranscriptPanel({
           body: JSON.stringify({
             word: word.word,
             lemma: word.lemma,
+            // Neighbouring words in the same sentence pick between homograph readings
+            context: { prev: neighbour(index - 1), next: neighbour(index + 1) },
           }),
         });
         setTranslation(data);
@@ -127,7 +162,29 @@ export function TranscriptPanel({
         setIsTranslating(false);
       }
     },
-    []
+    [transcript.words, wordSentences]
+  );
+
+  const handleAddToDeck = useCallback(
+    (word: string, translation: string, sourceLanguage: string, dictionary?: DictionaryEntry, stressedWord?: string) => {
+      let source: CardSource | undefined;
+      if (cardSource && selectedWord) {
+        const sentenceIndex = wordSentences[transcript.words.indexOf(selectedWord)];
+        const sentence = sentences[sentenceIndex];
+        source = {
+          ...cardSource,
+          start: selectedWord.start,
+          end: selectedWord.end,
+          ...(sentence && {
+            sentence: sentenceTexts[sentenceIndex],
+            sentenceStart: sentence.start,
+            sentenceEnd: sentence.end,
+          }),
+        };
+      }
+      return onAddToDeck?.(word, translation, sourceLanguage, dictionary, stressedWord, source);
+    },
+    [onAddToDeck, cardSource, selectedWord, transcript.words, wordSentences, sentences, sentenceTexts]
   );
 
   const handleClosePopup = useCallback(() => {
@@ -162,42 +219,78 @@ export function TranscriptPanel({
           if (e.target === e.currentTarget) handleClosePopup();
         }}
       >
+        {sentenceTranslationError && (
+          <p className="mb-2 text-xs text-red-600">English translation unavailable: {sentenceTranslationError}</p>
+        )}
         {transcript.words.map((word, index) => {
           const isCurrentWord = index === currentWordIndex;
           const isPastWord = index < currentWordIndex;
           const isClickable = isRussianWord(word.word);
           const isFreqWord = isInFreqRange(word);
+          const stressed = config.showStress ? word.stressed : undefined;
+          const isStressAmbiguous = stressed !== undefined && (word.stressVariants?.length ?? 0) > 1;
+          const wordCase = config.caseColors ? primaryCase(word.morph) : undefined;
+          const isGrammarMatch = matchesGrammarFilter(word.morph, config.grammarFilter);
           const isSelected = selectedWord === word;
+          const sentenceIndex = wordSentences[index];
+          const sentence = sentences[sentenceIndex];
+          const sentenceTranslation = index === sentence.lastWord ? sentenceTranslations[sentenceIndex] : undefined;
+          const isRevealed = translationMode !== 'delay'
+            || currentTime >= Math.min(sentence.start + TRANSLATION_REVEAL_DELAY, sentence.end);
 
           return (
-            <span key={index} style={isSelected ? { position: 'relative' as const } : undefined}>
+            <Fragment key={index}>
               <span
-                ref={isCurrentWord ? currentWordRef : null}
-                onClick={() => handleWordClick(word)}
-                className={`
-                  ${isClickable ? 'cursor-pointer hover:bg-blue-100' : ''}
-                  ${isCurrentWord ? 'bg-yellow-300 font-medium' : ''}
-                  ${isPastWord ? 'text-gray-500' : 'text-gray-900'}
-                  ${isSelected ? 'bg-blue-200' : ''}
-                  ${isFreqWord ? 'underline decoration-2 decoration-blue-400' : ''}
-                  transition-colors rounded px-0.5
-                `}
+                data-sentence={sentenceIndex}
+                className={sentenceIndex === currentSentenceIndex ? 'bg-yellow-50' : undefined}
+                style={isSelected ? { position: 'relative' as const } : undefined}
               >
-                {word.word}
+                <span
+                  ref={isCurrentWord ? currentWordRef : null}
+                  onClick={() => handleWordClick(word, index)}
+                  data-case={wordCase}
+                  data-grammar-match={isGrammarMatch || undefined}
+                  title={isStressAmbiguous ? `Stress varies: ${word.stressVariants!.join(' / ')}` : undefined}
+                  className={`
+                    ${isClickable ? 'cursor-pointer hover:bg-blue-100' : ''}
+                    ${isCurrentWord ? 'bg-yellow-300 font-medium' : ''}
+                    ${wordCase ? `${CASE_COLORS[wordCase]} ${isPastWord ? 'opacity-60' : ''}` : isPastWord ? 'text-gray-500' : 'text-gray-900'}
+                    ${isSelected ? 'bg-blue-200' : ''}
+                    ${isGrammarMatch ? 'ring-2 ring-orange-400' : ''}
+                    ${isFreqWord ? 'underline decoration-2 decoration-blue-400' : ''}
+                    ${isStressAmbiguous && !isFreqWord ? 'underline decoration-dotted decoration-gray-400' : ''}
+                    transition-colors rounded px-0.5
+                  `}
+                >
+                  {stressed ?? word.word}
+                </span>
+                {isSelected && (
+                  <WordPopup
+                    translation={translation}
+                    isLoading={isTranslating}
+                    error={translationError}
+                    position={{ x: 0, y: 0 }}
+                    onClose={handleClosePopup}
+                    onAddToDeck={onAddToDeck && handleAddToDeck}
+                    isInDeck={isWordInDeck?.(word.word)}
+                  />
+                )}
+                {' '}
               </span>
-              {isSelected && (
-                <WordPopup
-                  translation={translation}
-                  isLoading={isTranslating}
-                  error={translationError}
-                  position={{ x: 0, y: 0 }}
-                  onClose={handleClosePopup}
-                  onAddToDeck={onAddToDeck}
-                  isInDeck={isWordInDeck?.(word.word)}
-                />
+              {sentenceTranslation && (
+                <div
+                  data-testid="sentence-translation"
+                  title={translationMode === 'blur' ? 'Hover to reveal' : undefined}
+                  className={`
+                    mb-2 text-sm text-gray-500 italic transition
+                    ${translationMode === 'blur' ? 'blur-sm hover:blur-none' : ''}
+                    ${isRevealed ? '' : 'opacity-0'}
+                  `}
+                >
+                  {sentenceTranslation}
+                </div>
               )}
-              {' '}
-            </span>
+            </Fragment>
           );
         })}
       </div>
@@ -1,13 +1,17 @@
 import { useState } from 'react';
+import type { SubtitleImport } from '../types';
+import { SubtitleImportField } from './SubtitleImportField';
 
 interface VideoInputProps {
-  onSubmit: (url: string) => Promise<void>;
+  /** subtitles is only passed when the user attached a file */
+  onSubmit: (url: string, subtitles?: SubtitleImport) => Promise<void>;
   isLoading: boolean;
   error: string | null;
 }
 
 export function VideoInput({ onSubmit, isLoading, error }: VideoInputProps) {
   const [url, setUrl] = useState('');
+  const [subtitles, setSubtitles] = useState<SubtitleImport | null>(null);
   const [validationError, setValidationError] = useState<string | null>(null);
 
   const handleSubmit = async (e: React.FormEvent) => {
@@ -19,7 +23,7 @@ export function VideoInput({ onSubmit, isLoading, error }: VideoInputProps) {
       return;
     }
     setValidationError(null);
-    await onSubmit(trimmed);
+    await (subtitles ? onSubmit(trimmed, subtitles) : onSubmit(trimmed));
   };
 
   return (
@@ -36,6 +40,7 @@ export function VideoInput({ onSubmit, isLoading, error }: VideoInputProps) {
         className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
         disabled={isLoading}
       />
+      <SubtitleImportField onChange={setSubtitles} disabled={isLoading} />
       {(validationError || error) && (
         <p className="text-red-600 text-xs">{validationError || error}</p>
       )}
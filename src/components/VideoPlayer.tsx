@@ -1,6 +1,8 @@
-import { useRef, useEffect, useCallback, useState } from 'react';
+import { useRef, useEffect, useCallback, useState, useImperativeHandle } from 'react';
+import type { Ref } from 'react';
 import Player from '@vimeo/player';
 import Hls from 'hls.js';
+import type { PlayerControls } from '../types';
 
 declare global {
   interface Window {
@@ -15,6 +17,8 @@ interface VideoPlayerProps {
   onTimeUpdate: (currentTime: number) => void;
   seekTo?: number | null;
   onSeekComplete?: () => void;
+  controlsRef?: Ref<PlayerControls>;
+  playbackRate?: number;
 }
 
 type VideoSource =
@@ -59,17 +63,39 @@ export function VideoPlayer({
   onTimeUpdate,
   seekTo,
   onSeekComplete,
+  controlsRef,
+  playbackRate = 1,
 }: VideoPlayerProps) {
   const videoRef = useRef<HTMLVideoElement>(null);
   const ytPlayerRef = useRef<YT.Player | null>(null);
   const vimeoPlayerRef = useRef<Player | null>(null);
   const containerRef = useRef<HTMLDivElement>(null);
   const intervalRef = useRef<number | null>(null);
+  const playbackRateRef = useRef(playbackRate);
 
   const source = getVideoSource(originalUrl, url);
 
   const [ytReady, setYtReady] = useState(false);
 
+  // Same play/pause/seek surface for all three backends (used by sentence looping)
+  useImperativeHandle(controlsRef, () => ({
+    play: () => {
+      if (source.type === 'youtube') ytPlayerRef.current?.playVideo?.();
+      else if (source.type === 'vimeo') vimeoPlayerRef.current?.play();
+      else videoRef.current?.play();
+    },
+    pause: () => {
+      if (source.type === 'youtube') ytPlayerRef.current?.pauseVideo?.();
+      else if (source.type === 'vimeo') vimeoPlayerRef.current?.pause();
+      else videoRef.current?.pause();
+    },
+    seek: (time: number) => {
+      if (source.type === 'youtube') ytPlayerRef.current?.seekTo?.(time, true);
+      else if (source.type === 'vimeo') vimeoPlayerRef.current?.setCurrentTime(time);
+      else if (videoRef.current) videoRef.current.currentTime = time;
+    },
+  }), [source.type]);
+
   // Load YouTube API
   useEffect(() => {
     if (source.type !== 'youtube') return;
@@ -107,7 +133,8 @@ export function VideoPlayer({
         rel: 0,
       },
       events: {
-        onReady: () => {
+        onReady: (event) => {
+          event.target.setPlaybackRate(playbackRateRef.current);
           intervalRef.current = window.setInterval(() => {
             if (ytPlayerRef.current?.getCurrentTime) {
               onTimeUpdate(ytPlayerRef.current.getCurrentTime());
@@ -143,6 +170,8 @@ export function VideoPlayer({
 
     const player = new Player(iframe);
     vimeoPlayerRef.current = player;
+    // Speed control needs a Vimeo Plus+ owner account; other videos just stay at 1x
+    player.setPlaybackRate(playbackRateRef.current).catch(() => {});
 
     player.on('timeupdate', (data) => {
       onTimeUpdate(data.seconds);
@@ -154,6 +183,21 @@ export function VideoPlayer({
     };
   }, [source.type, source.type === 'vimeo' ? source.id : null, onTimeUpdate]);
 
+  // Playback speed for all backends. Browsers and both embeds keep pitch when speeding up.
+  useEffect(() => {
+    playbackRateRef.current = playbackRate;
+    if (source.type === 'youtube') {
+      ytPlayerRef.current?.setPlaybackRate?.(playbackRate);
+    } else if (source.type === 'vimeo') {
+      vimeoPlayerRef.current?.setPlaybackRate(playbackRate).catch(() => {});
+    } else if (videoRef.current) {
+      videoRef.current.preservesPitch = true;
+      // defaultPlaybackRate survives src changes and HLS re-attach (load() resets playbackRate to it)
+      videoRef.current.defaultPlaybackRate = playbackRate;
+      videoRef.current.playbackRate = playbackRate;
+    }
+  }, [source.type, playbackRate, url]);
+
   // Handle seeking for YouTube
   useEffect(() => {
     if (source.type === 'youtube' && seekTo !== null && seekTo !== undefined && ytPlayerRef.current?.seekTo) {
@@ -332,7 +376,7 @@ export function VideoPlayer({
     <div className="relative bg-black rounded-lg overflow-hidden">
       {renderPlayer()}
       <div className="absolute bottom-full left-0 right-0 p-2 text-xs text-gray-500 text-center">
-        Space: play/pause | Arrow keys: seek ±5s
+        Space: play/pause | ←/→: seek ±5s | ↑/↓: previous/next sentence
       </div>
     </div>
   );
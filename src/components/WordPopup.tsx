@@ -1,6 +1,7 @@
 import { useCallback, useState } from 'react';
 import type { Translation, DictionaryEntry } from '../types';
 import { speak } from '../utils/russian';
+import { describeMorph } from '../utils/morphology';
 
 interface WordPopupProps {
   translation: Translation | null;
@@ -8,7 +9,7 @@ interface WordPopupProps {
   error: string | null;
   position: { x: number; y: number } | null;
   onClose: () => void;
-  onAddToDeck?: (word: string, translation: string, sourceLanguage: string, dictionary?: DictionaryEntry) => void | Promise<void>;
+  onAddToDeck?: (word: string, translation: string, sourceLanguage: string, dictionary?: DictionaryEntry, stressedWord?: string) => void | Promise<void>;
   isInDeck?: boolean;
 }
 
@@ -29,15 +30,28 @@ export function WordPopup({
 
   const [isAdding, setIsAdding] = useState(false);
 
+  // Homograph reading picked by the user — tied to the translation so a new word starts at the best fit
+  const [picked, setPicked] = useState<{ translation: Translation; index: number } | null>(null);
+  const readingIndex = picked && picked.translation === translation ? picked.index : 0;
+  const reading = translation?.readings?.[readingIndex];
+  // Google translates the surface form, which follows the default reading; others use their dictionary senses
+  const meaning = reading && readingIndex > 0 && reading.dictionary.translations.length > 0
+    ? reading.dictionary.translations.slice(0, 3).join(', ')
+    : translation?.translation;
+  const stressed = reading?.stressed ?? translation?.stressed;
+  // "instrumental singular of книга" — the dictionary form without its stress mark
+  const lemma = reading?.lemma ?? translation?.dictionary?.stressedForm.replace(/\u0301/g, '');
+  const grammar = describeMorph(reading?.morph ?? translation?.morph, lemma);
+
   const handleAddToDeck = useCallback(async () => {
     if (!translation || !onAddToDeck || isAdding) return;
     setIsAdding(true);
     try {
-      await onAddToDeck(translation.word, translation.translation, translation.sourceLanguage, translation.dictionary);
+      await onAddToDeck(translation.word, meaning ?? translation.translation, translation.sourceLanguage, reading?.dictionary ?? translation.dictionary, stressed);
     } finally {
       setIsAdding(false);
     }
-  }, [translation, onAddToDeck, isAdding]);
+  }, [translation, onAddToDeck, isAdding, meaning, reading, stressed]);
 
   if (!position) return null;
 
@@ -88,7 +102,7 @@ export function WordPopup({
             <div className="flex justify-between items-start">
               <div className="flex items-center gap-2">
                 <span className="font-medium text-gray-900 text-lg">
-                  {translation.word}
+                  {stressed ?? translation.word}
                 </span>
                 <button
                   onClick={handleSpeak}
@@ -108,7 +122,30 @@ export function WordPopup({
                 ✕
               </button>
             </div>
-            <div className="mt-1 text-gray-600">{translation.translation}</div>
+            <div className="mt-1 text-gray-600">{meaning}</div>
+            {grammar && (
+              <div className="mt-1 text-xs text-gray-500 italic" data-testid="word-grammar">{grammar}</div>
+            )}
+            {translation.readings && translation.readings.length > 1 && (
+              <div className="mt-2 flex flex-wrap items-center gap-1" data-testid="word-readings">
+                <span className="text-xs text-gray-400">Reading:</span>
+                {translation.readings.map((r, i) => (
+                  <button
+                    key={`${r.lemma}-${r.pos}`}
+                    onClick={() => setPicked({ translation, index: i })}
+                    aria-pressed={i === readingIndex}
+                    title={r.dictionary.translations.slice(0, 3).join(', ')}
+                    className={`text-xs px-1.5 py-0.5 rounded border transition-colors ${
+                      i === readingIndex
+                        ? 'border-blue-500 bg-blue-50 text-blue-700'
+                        : 'border-gray-200 text-gray-600 hover:border-blue-300'
+                    }`}
+                  >
+                    {r.lemma} <span className="text-gray-400">{r.pos}</span>
+                  </button>
+                ))}
+              </div>
+            )}
             {onAddToDeck && (
               <div className="mt-2 pt-2 border-t border-gray-100">
                 {isInDeck ? (
@@ -1,16 +1,22 @@
 import { useRef, useCallback, useEffect } from 'react';
 import type { Transcript } from '../types';
 
+// Largest media-time step between two ticks that still counts as playback at 1x
+const MAX_TICK_DELTA = 0.5;
+
 /**
  * Tracks cumulative play time via delta accumulation.
  * Fires `onComplete` once when playedTime >= 50% of transcript duration.
  *
  * Delta-based: only normal forward playback (small positive deltas) accumulates.
  * Seeks (large jumps), pauses (no ticks), and backward seeks are all rejected.
+ * Played time is media time, so at 0.5x it takes twice as long in wall-clock terms
+ * to reach the threshold; the seek cutoff scales with speed above 1x.
  */
 export function useCompletionDetector(
   transcript: Transcript | null,
   onComplete: () => void,
+  playbackRate = 1,
 ): { handleTimeUpdate: (time: number) => void; reset: () => void } {
   const lastTimeRef = useRef<number | null>(null);
   const playedTimeRef = useRef(0);
@@ -28,10 +34,10 @@ export function useCompletionDetector(
 
     const delta = time - lastTime;
 
-    // Only count normal forward playback: 0 < delta < 0.5s
-    // Player ticks every 100ms, so normal delta ≈ 0.1s
-    // Rejects: seeks (delta > 0.5), backward seeks (delta < 0), pauses (delta ≈ 0)
-    if (delta > 0 && delta < 0.5) {
+    // Only count normal forward playback: 0 < delta < 0.5s × speed
+    // Player ticks every 100ms, so normal delta ≈ 0.1s × speed (0.15s at 1.5x)
+    // Rejects: seeks (larger jumps), backward seeks (delta < 0), pauses (delta ≈ 0)
+    if (delta > 0 && delta < MAX_TICK_DELTA * Math.max(1, playbackRate)) {
       playedTimeRef.current += delta;
 
       if (playedTimeRef.current >= transcript.duration * 0.5) {
@@ -39,7 +45,7 @@ export function useCompletionDetector(
         onCompleteRef.current();
       }
     }
-  }, [transcript]);
+  }, [transcript, playbackRate]);
 
   const reset = useCallback(() => {
     lastTimeRef.current = null;
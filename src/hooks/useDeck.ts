@@ -1,18 +1,35 @@
 import { useState, useMemo, useCallback, useEffect, useRef } from 'react';
-import type { SRSCard, SRSRating, DictionaryEntry } from '../types';
-import { createCard, sm2, getDueCards as getDueCardsFromAll, normalizeCardId } from '../utils/sm2';
-import { loadLocalDeck, loadFromFirestore, createDebouncedSave } from '../services/deck-persistence';
+import type { SRSCard, SRSRating, DictionaryEntry, CardSource, DeckSettings, CardTemplate } from '../types';
+import { createCard, normalizeCardId } from '../utils/sm2';
+import { DEFAULT_DECK_SETTINGS } from '../utils/scheduler';
+import { reviewTemplate, templateView } from '../utils/card-templates';
+import { sessionReviews } from '../utils/review-session';
+import { withAutoTags } from '../utils/card-tags';
+import { migrateDeckToFsrs } from '../utils/fsrs';
+import {
+  loadLocalDeck,
+  loadFromFirestore,
+  createDebouncedSave,
+  loadDeckSettings,
+  saveDeckSettings,
+  appendReviewLog,
+} from '../services/deck-persistence';
 import {
   enrichMissingDictionary,
   enrichMissingExamples,
   enrichSingleCardExample,
+  enrichCardAudio,
 } from '../services/deck-enrichment';
+import { loadWordFrequencies } from '../services/word-frequencies';
 import { cleanWord } from '../utils/russian';
+import { planDeckImport } from '../utils/deck-import';
+import type { MergeStrategy } from '../utils/deck-import';
 
 export function useDeck(userId: string | null) {
   const [cards, setCards] = useState<SRSCard[]>([]);
   const [loaded, setLoaded] = useState(false);
   const [saveError, setSaveError] = useState<string | null>(null);
+  const [deckSettings, setDeckSettings] = useState<DeckSettings>(DEFAULT_DECK_SETTINGS);
   // Track whether we've done the initial Firestore load for this userId
   const loadedUserRef = useRef<string | null>(null);
   // Debounced saver ref — recreated when userId changes
@@ -63,6 +80,14 @@ export function useDeck(userId: string | null) {
           setCards(loadedCards);
         }
       }
+      if (signal.cancelled) return;
+      // Scheduler settings — SM-2 if there are none or Firestore is unavailable
+      try {
+        const settings = await loadDeckSettings(userId!);
+        if (!signal.cancelled) setDeckSettings(settings);
+      } catch {
+        // Keep the defaults
+      }
       if (!signal.cancelled) {
         // Migrate: clean dirty words (leading spaces, trailing punctuation from Whisper)
         const needsCleaning = loadedCards.some(c => c.word !== cleanWord(c.word));
@@ -97,13 +122,20 @@ export function useDeck(userId: string | null) {
     return () => { signal.cancelled = true; };
   }, [userId, saveToFirestore]);
 
-  const dueCards = useMemo(() => getDueCardsFromAll(cards), [cards]);
-  const dueCount = dueCards.length;
+  // A card is due when any of its templates is; each due template counts as a review, within the daily limits
+  const dueReviews = useMemo(() => sessionReviews(cards, deckSettings), [cards, deckSettings]);
+  const dueCards = useMemo(() => [...new Set(dueReviews.map(review => review.card))], [dueReviews]);
+  const dueCount = dueReviews.length;
 
-  const addCard = useCallback(async (word: string, translation: string, sourceLanguage: string, dictionary?: DictionaryEntry): Promise<void> => {
+  const addCard = useCallback(async (word: string, translation: string, sourceLanguage: string, dictionary?: DictionaryEntry, stressedWord?: string, source?: CardSource): Promise<void> => {
     const cleaned = cleanWord(word);
     const id = normalizeCardId(cleaned);
 
+    // Cut the speaker's pronunciation alongside — review falls back to speechSynthesis without it
+    const clipPromise = source ? enrichCardAudio(source) : Promise.resolve(undefined);
+    // Frequency band tag — the card is tagged without one if the list doesn't load
+    const ranksPromise = loadWordFrequencies().catch(() => new Map<string, number>());
+
     // Enrich BEFORE adding — await the API call so the card enters state with an example
     let enrichedDictionary = dictionary;
     if (!dictionary?.example) {
@@ -114,10 +146,15 @@ export function useDeck(userId: string | null) {
         // Graceful degradation — add card without example
       }
     }
+    const audioClip = await clipPromise;
+    const ranks = await ranksPromise;
 
     setCards(prev => {
       if (prev.some(c => c.id === id)) return prev; // duplicate
-      const newCard = createCard(cleaned, translation, sourceLanguage, enrichedDictionary);
+      const newCard = withAutoTags({
+        ...createCard(cleaned, translation, sourceLanguage, enrichedDictionary, stressedWord, source),
+        ...(audioClip && { audioClip }),
+      }, ranks);
       const next = [...prev, newCard];
       saveToFirestore(next);
       return next;
@@ -132,9 +169,75 @@ export function useDeck(userId: string | null) {
     });
   }, [saveToFirestore]);
 
-  const reviewCard = useCallback((id: string, rating: SRSRating) => {
+  // Tag, untag or move cards between sub-decks
+  const editCards = useCallback((ids: string[], edit: (card: SRSCard) => SRSCard) => {
+    const selected = new Set(ids);
+    setCards(prev => {
+      const next = prev.map(c => selected.has(c.id) ? edit(c) : c);
+      if (next.every((card, i) => card === prev[i])) return prev;
+      saveToFirestore(next);
+      return next;
+    });
+  }, [saveToFirestore]);
+
+  // Give cards added before tagging (or imported untagged) their automatic tags
+  const autoTagCards = useCallback(async () => {
+    const ranks = await loadWordFrequencies().catch(() => new Map<string, number>());
+    setCards(prev => {
+      const next = prev.map(c => withAutoTags(c, ranks));
+      if (next.every((card, i) => card === prev[i])) return prev;
+      saveToFirestore(next);
+      return next;
+    });
+  }, [saveToFirestore]);
+
+  const reviewCard = useCallback((id: string, rating: SRSRating, answerMs?: number, template: CardTemplate = 'recognition') => {
+    // Stamped once, so an updater React runs twice logs the same entry (the log keys it by time)
+    const reviewedAt = new Date().toISOString();
+    setCards(prev => {
+      const card = prev.find(c => c.id === id);
+      if (!card) return prev;
+      const reviewed = reviewTemplate(card, template, rating, deckSettings);
+      const next = prev.map(c => c.id === id ? reviewed : c);
+      saveToFirestore(next);
+      // Logged from the card as it is now, not as this callback last saw it
+      if (userId) {
+        appendReviewLog(userId, {
+          cardId: id,
+          rating,
+          reviewedAt,
+          previousInterval: templateView(card, template).interval,
+          interval: templateView(reviewed, template).interval,
+          ...(answerMs !== undefined && { answerMs }),
+          ...(template !== 'recognition' && { template }),
+        });
+      }
+      return next;
+    });
+  }, [saveToFirestore, deckSettings, userId]);
+
+  // Switching to FSRS gives reviewed cards an initial memory state from their SM-2 fields
+  const updateDeckSettings = useCallback(async (next: DeckSettings) => {
+    setDeckSettings(next);
+    if (next.scheduler === 'fsrs') {
+      setCards(prev => {
+        const migrated = migrateDeckToFsrs(prev, next);
+        if (migrated.every((card, i) => card === prev[i])) return prev;
+        saveToFirestore(migrated);
+        return migrated;
+      });
+    }
+    if (!userId) return;
+    try {
+      await saveDeckSettings(userId, next);
+    } catch {
+      setSaveError('Deck settings may not be saved — check your connection');
+    }
+  }, [userId, saveToFirestore]);
+
+  const importCards = useCallback((imported: SRSCard[], strategy: MergeStrategy) => {
     setCards(prev => {
-      const next = prev.map(c => c.id === id ? sm2(c, rating) : c);
+      const { cards: next } = planDeckImport(prev, imported, strategy);
       saveToFirestore(next);
       return next;
     });
@@ -145,5 +248,8 @@ export function useDeck(userId: string | null) {
     return cards.some(c => c.id === id);
   }, [cards]);
 
-  return { cards, dueCards, dueCount, addCard, removeCard, reviewCard, isWordInDeck, loaded, saveError, clearSaveError };
+  return {
+    cards, dueReviews, dueCards, dueCount, addCard, removeCard, reviewCard, importCards, isWordInDeck,
+    editCards, autoTagCards, deckSettings, updateDeckSettings, loaded, saveError, clearSaveError,
+  };
 }
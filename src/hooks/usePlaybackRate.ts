@@ -0,0 +1,49 @@
+import { useState, useCallback } from 'react';
+
+const PLAYBACK_RATE_KEY = 'playback_rate';
+export const MIN_PLAYBACK_RATE = 0.5;
+export const MAX_PLAYBACK_RATE = 1.5;
+
+function storageKey(userId: string | null): string {
+  return userId ? `${PLAYBACK_RATE_KEY}_${userId}` : PLAYBACK_RATE_KEY;
+}
+
+function clampRate(rate: number): number {
+  if (!Number.isFinite(rate)) return 1;
+  return Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, rate));
+}
+
+function loadRate(userId: string | null): number {
+  try {
+    const saved = localStorage.getItem(storageKey(userId));
+    if (saved) return clampRate(parseFloat(saved));
+  } catch {
+    // Ignore errors
+  }
+  return 1;
+}
+
+/**
+ * Playback speed (0.5x–1.5x), remembered per signed-in user on this device.
+ * Returns `[rate, setRate]`; out-of-range values are clamped.
+ */
+export function usePlaybackRate(userId: string | null): [number, (rate: number) => void] {
+  const [stored, setStored] = useState(() => ({ userId, rate: loadRate(userId) }));
+
+  // Switching users loads that user's speed
+  if (stored.userId !== userId) {
+    setStored({ userId, rate: loadRate(userId) });
+  }
+
+  const setRate = useCallback((rate: number) => {
+    const clamped = clampRate(rate);
+    setStored({ userId, rate: clamped });
+    try {
+      localStorage.setItem(storageKey(userId), String(clamped));
+    } catch {
+      // Ignore errors
+    }
+  }, [userId]);
+
+  return [stored.rate, setRate];
+}
@@ -0,0 +1,130 @@
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import type { RefObject } from 'react';
+import type { Transcript, PlayerControls, Sentence } from '../types';
+import { segmentSentences, findSentenceIndex } from '../utils/sentences';
+
+// "Previous" restarts the current sentence when we're more than this far into it
+const RESTART_THRESHOLD = 1.5;
+// Larger jumps between ticks are seeks, not playback reaching a sentence end
+const MAX_PLAYBACK_DELTA = 1;
+
+// Keys typed into form fields and rich-text editors aren't shortcuts
+function isEditableTarget(target: EventTarget | null): boolean {
+  if (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement) {
+    return true;
+  }
+  return target instanceof HTMLElement && !!target.closest('[contenteditable]:not([contenteditable="false"])');
+}
+
+/**
+ * Sentence-level playback for shadowing practice, driven by the player's time updates.
+ *
+ * - Loop: each sentence plays `repeatCount` times before playback moves on (Infinity = until turned off)
+ * - Auto-pause: pause when a sentence (including its repeats) finishes
+ * - ArrowUp / ArrowDown: previous / next sentence, unless typing or `shortcutsEnabled` is false (a modal is open)
+ *
+ * Works with any player that fills `controlsRef` (VideoPlayer, AudioPlayer).
+ */
+export function useSentencePlayback(
+  transcript: Transcript | null,
+  controlsRef: RefObject<PlayerControls | null>,
+  shortcutsEnabled = true,
+): {
+  sentences: Sentence[];
+  repeatCount: number;
+  setRepeatCount: (count: number) => void;
+  autoPause: boolean;
+  setAutoPause: (enabled: boolean) => void;
+  handleTimeUpdate: (time: number) => void;
+  goToSentence: (offset: -1 | 1) => void;
+} {
+  const sentences = useMemo(() => (transcript ? segmentSentences(transcript.words) : []), [transcript]);
+  const [repeatCount, setRepeatCount] = useState(1);
+  const [autoPause, setAutoPause] = useState(false);
+
+  const lastTimeRef = useRef<number | null>(null);
+  const currentTimeRef = useRef(0);
+  const playsRef = useRef({ sentence: -1, count: 0 });
+
+  useEffect(() => {
+    lastTimeRef.current = null;
+    currentTimeRef.current = 0;
+    playsRef.current = { sentence: -1, count: 0 };
+  }, [sentences]);
+
+  const seek = useCallback((time: number) => {
+    controlsRef.current?.seek(time);
+    // The next tick may still report the pre-seek position; re-baseline on it
+    lastTimeRef.current = null;
+    currentTimeRef.current = time;
+  }, [controlsRef]);
+
+  const handleTimeUpdate = useCallback((time: number) => {
+    const lastTime = lastTimeRef.current;
+    lastTimeRef.current = time;
+    currentTimeRef.current = time;
+    if (lastTime === null) return;
+
+    const index = findSentenceIndex(sentences, lastTime);
+    if (index < 0) return;
+    const sentence = sentences[index];
+
+    const delta = time - lastTime;
+    const reachedEnd = lastTime < sentence.end && time >= sentence.end && delta > 0 && delta < MAX_PLAYBACK_DELTA;
+    if (!reachedEnd) return;
+
+    const plays = playsRef.current.sentence === index ? playsRef.current.count + 1 : 1;
+    playsRef.current = { sentence: index, count: plays };
+
+    if (plays < repeatCount) {
+      seek(sentence.start);
+      return;
+    }
+    playsRef.current = { sentence: -1, count: 0 };
+    if (autoPause) {
+      controlsRef.current?.pause();
+    }
+  }, [sentences, repeatCount, autoPause, seek, controlsRef]);
+
+  const goToSentence = useCallback((offset: -1 | 1) => {
+    if (sentences.length === 0) return;
+    const time = currentTimeRef.current;
+    const index = findSentenceIndex(sentences, time);
+
+    let target: number;
+    if (offset < 0 && index >= 0 && time - sentences[index].start > RESTART_THRESHOLD) {
+      target = index;
+    } else {
+      target = Math.min(Math.max(index + offset, 0), sentences.length - 1);
+    }
+
+    playsRef.current = { sentence: -1, count: 0 };
+    seek(sentences[target].start);
+    controlsRef.current?.play();
+  }, [sentences, seek, controlsRef]);
+
+  // Keyboard shortcuts: ArrowUp = previous sentence, ArrowDown = next sentence
+  useEffect(() => {
+    if (sentences.length === 0 || !shortcutsEnabled) return;
+
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (isEditableTarget(e.target)) return;
+
+      switch (e.code) {
+        case 'ArrowUp':
+          e.preventDefault();
+          goToSentence(-1);
+          break;
+        case 'ArrowDown':
+          e.preventDefault();
+          goToSentence(1);
+          break;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [sentences, goToSentence, shortcutsEnabled]);
+
+  return { sentences, repeatCount, setRepeatCount, autoPause, setAutoPause, handleTimeUpdate, goToSentence };
+}
@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { translateSentences } from '../services/api';
+
+// Server limit per POST /api/translate-sentences
+const BATCH_SIZE = 50;
+
+// Translations already fetched this page load, shared by every transcript
+const translations = new Map<string, string>();
+
+/**
+ * English translations for transcript sentences, fetched in batches while `enabled`.
+ * Each distinct sentence is requested once; entries are undefined until loaded.
+ */
+export function useSentenceTranslations(
+  sentences: string[],
+  enabled: boolean,
+): { translations: (string | undefined)[]; error: string | null } {
+  // Bumped after each batch so the component re-reads the shared map
+  const [, setVersion] = useState(0);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const missing = [...new Set(sentences.filter(s => !translations.has(s)))];
+    if (missing.length === 0) return;
+
+    let cancelled = false;
+    (async () => {
+      for (let i = 0; i < missing.length && !cancelled; i += BATCH_SIZE) {
+        const batch = missing.slice(i, i + BATCH_SIZE);
+        try {
+          const response = await translateSentences(batch);
+          batch.forEach((sentence, j) => translations.set(sentence, response.translations[j]));
+          if (!cancelled) {
+            setError(null);
+            setVersion(v => v + 1);
+          }
+        } catch (err) {
+          if (!cancelled) setError(err instanceof Error ? err.message : 'Translation failed');
+          return;
+        }
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [sentences, enabled]);
+
+  return {
+    translations: enabled ? sentences.map(s => translations.get(s)) : [],
+    error: enabled ? error : null,
+  };
+}
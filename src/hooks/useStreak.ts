@@ -104,6 +104,7 @@ export function useStreak(userId: string | null) {
   return {
     currentStreak: state.currentStreak,
     longestStreak: state.longestStreak,
+    completionDates: streakData.completionDates,
     completedToday: state.completedToday,
     freezesRemaining: 2 - state.freezesUsedThisWeek,
     recordCompletion,
@@ -1,4 +1,4 @@
-import type { ProgressState, VideoChunk, SessionResponse, ChunkResponse, LoadMoreResponse } from '../types';
+import type { ProgressState, VideoChunk, SessionResponse, ChunkResponse, LoadMoreResponse, ChapterTocEntry, ChunkingOptions, RechunkResponse, SentenceTranslationResponse, SubtitleExportOptions, SubtitleImport, TtsOptions, SRSCard } from '../types';
 import * as Sentry from '@sentry/react';
 import { auth } from '../firebase-auth';
 
@@ -60,6 +60,7 @@ export interface AnalysisCompleteData {
   title: string;
   totalDuration: number;
   chunks: VideoChunk[];
+  chapters?: ChapterTocEntry[];
   hasMoreChunks: boolean;
   contentType?: 'video' | 'text';
 }
@@ -290,6 +291,118 @@ export async function loadMoreChunks(sessionId: string): Promise<LoadMoreRespons
   });
 }
 
+/**
+ * Re-split the transcribed part of a video session with new chunking options.
+ * Uses the stored transcript, so nothing is transcribed again; prepared parts are reset.
+ */
+export async function rechunkSession(sessionId: string, chunking: ChunkingOptions): Promise<RechunkResponse> {
+  return apiRequest<RechunkResponse>(`/api/session/${sessionId}/rechunk`, {
+    method: 'POST',
+    body: JSON.stringify({ chunking }),
+  });
+}
+
+/**
+ * Translate transcript sentences to English (max 50 per call; cached server-side)
+ */
+export async function translateSentences(sentences: string[]): Promise<SentenceTranslationResponse> {
+  return apiRequest<SentenceTranslationResponse>('/api/translate-sentences', {
+    method: 'POST',
+    body: JSON.stringify({ sentences }),
+  });
+}
+
+/**
+ * Export a chunk or the whole session as an SRT/WebVTT file.
+ * Returns the file contents and the server-suggested filename.
+ */
+export async function downloadSubtitles(
+  sessionId: string,
+  options: SubtitleExportOptions
+): Promise<{ blob: Blob; filename: string }> {
+  const params = new URLSearchParams({ format: options.format });
+  if (options.chunkId) params.set('chunkId', options.chunkId);
+  const tracks = [options.lemmas && 'lemma', options.translation && 'translation'].filter(Boolean);
+  if (tracks.length > 0) params.set('tracks', tracks.join(','));
+  if (options.karaoke) params.set('karaoke', '1');
+  if (options.stress) params.set('stress', '1');
+
+  const endpoint = `/api/session/${sessionId}/subtitles?${params}`;
+  const token = await getIdToken();
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || `Request failed: ${response.status}`);
+    if (response.status >= 500) {
+      Sentry.captureException(error, { tags: { endpoint, status: String(response.status) } });
+    }
+    throw error;
+  }
+
+  // Prefer the UTF-8 filename* form (titles are usually Cyrillic)
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+  const plain = disposition.match(/filename="([^"]+)"/i);
+  const filename = encoded ? decodeURIComponent(encoded[1]) : plain ? plain[1] : `subtitles.${options.format}`;
+
+  return { blob: await response.blob(), filename };
+}
+
+/**
+ * Export the deck as an Anki package (.apkg), with word audio for cards
+ * that record where they were heard.
+ * Returns the file contents and the server-suggested filename.
+ */
+export async function exportDeckApkg(cards: SRSCard[]): Promise<{ blob: Blob; filename: string }> {
+  const endpoint = '/api/deck/apkg';
+  const token = await getIdToken();
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: JSON.stringify({ cards }),
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || `Request failed: ${response.status}`);
+    if (response.status >= 500) {
+      Sentry.captureException(error, { tags: { endpoint, status: String(response.status) } });
+    }
+    throw error;
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const plain = disposition.match(/filename="([^"]+)"/i);
+  return { blob: await response.blob(), filename: plain ? plain[1] : 'russian-deck.apkg' };
+}
+
+/**
+ * Playable URL of a stored word clip.
+ */
+export async function getClipUrl(sessionId: string, clip: string): Promise<string> {
+  const { url } = await apiRequest<{ url: string }>(`/api/session/${sessionId}/clips/${encodeURIComponent(clip)}`);
+  return url;
+}
+
+/**
+ * Read the notes of an Anki package (.apkg / .colpkg) for deck import.
+ * Returns plain card data (no ids); run it through toImportedCard.
+ */
+export async function importAnkiPackage(file: File): Promise<Record<string, unknown>[]> {
+  const { cards } = await apiRequest<{ cards: Record<string, unknown>[] }>('/api/deck/import-anki', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: file,
+  });
+  return cards;
+}
+
 /**
  * Delete a session and all its associated videos from storage
  * Call this when done with a video to clean up GCS storage
@@ -300,6 +413,158 @@ export async function deleteSession(sessionId: string): Promise<{ success: boole
   });
 }
 
+// ── Local file uploads ────────────────────────────────────────────────
+
+interface UploadStartResponse {
+  uploadId: string;
+  chunkSize: number;
+  received: number;
+}
+
+interface UploadStatusResponse {
+  uploadId: string;
+  filename: string;
+  size: number;
+  received: number;
+  complete: boolean;
+}
+
+const MAX_UPLOAD_RETRIES = 5;
+const PENDING_UPLOAD_KEY = 'pending_upload';
+
+// The upload in progress, kept for the tab's lifetime so a reload can resume it
+interface PendingUpload {
+  uploadId: string;
+  chunkSize: number;
+  name: string;
+  size: number;
+  lastModified: number;
+}
+
+/** The saved upload of this exact file, if any (best-effort, ignores corrupt data). */
+function loadPendingUpload(file: File): PendingUpload | null {
+  try {
+    const saved = sessionStorage.getItem(PENDING_UPLOAD_KEY);
+    const pending = saved ? JSON.parse(saved) as PendingUpload : null;
+    if (pending && pending.name === file.name && pending.size === file.size && pending.lastModified === file.lastModified) {
+      return pending;
+    }
+  } catch {
+    // Ignore corrupt data
+  }
+  return null;
+}
+
+function savePendingUpload(pending: PendingUpload): void {
+  try {
+    sessionStorage.setItem(PENDING_UPLOAD_KEY, JSON.stringify(pending));
+  } catch {
+    // Storage full or unavailable — resuming after a reload just won't work
+  }
+}
+
+/** Where to continue an upload of this file started before a reload, or null to start over. */
+async function resumePendingUpload(file: File): Promise<{ uploadId: string; chunkSize: number; received: number } | null> {
+  const pending = loadPendingUpload(file);
+  if (!pending) return null;
+  try {
+    const status = await apiRequest<UploadStatusResponse>(`/api/uploads/${pending.uploadId}`);
+    if (status.size !== file.size) return null;
+    return { uploadId: pending.uploadId, chunkSize: pending.chunkSize, received: status.received };
+  } catch {
+    // Expired, already analyzed or unreachable
+    return null;
+  }
+}
+
+/**
+ * Upload a local audio/video file or book in byte ranges.
+ * On a failed range, asks the server how much it has and resumes from there;
+ * both requests are retried with backoff. The upload is remembered for the tab,
+ * so choosing the same file again after a reload continues where it stopped.
+ * Returns the uploadId to pass to analyzeUpload().
+ */
+export async function uploadMediaFile(
+  file: File,
+  onProgress?: (percent: number) => void
+): Promise<string> {
+  let upload = await resumePendingUpload(file);
+  if (!upload) {
+    upload = await apiRequest<UploadStartResponse>('/api/uploads', {
+      method: 'POST',
+      body: JSON.stringify({ filename: file.name, size: file.size }),
+    });
+    savePendingUpload({
+      uploadId: upload.uploadId,
+      chunkSize: upload.chunkSize,
+      name: file.name,
+      size: file.size,
+      lastModified: file.lastModified,
+    });
+  }
+  const { uploadId, chunkSize } = upload;
+
+  let offset = upload.received;
+  let failures = 0;
+  let checkStatus = false;
+  onProgress?.(Math.round((offset / file.size) * 100));
+  while (offset < file.size) {
+    try {
+      if (checkStatus) {
+        // The failed range may or may not have landed — ask where to resume
+        const status = await apiRequest<UploadStatusResponse>(`/api/uploads/${uploadId}`);
+        offset = status.received;
+        checkStatus = false;
+      } else {
+        const end = Math.min(offset + chunkSize, file.size);
+        const { received } = await apiRequest<{ received: number; complete: boolean }>(`/api/uploads/${uploadId}`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${offset}-${end - 1}/${file.size}`,
+          },
+          body: file.slice(offset, end),
+        });
+        offset = received;
+        failures = 0;
+      }
+    } catch (err) {
+      failures++;
+      if (failures > MAX_UPLOAD_RETRIES) throw err;
+      await new Promise(resolve => setTimeout(resolve, 1000 * failures));
+      checkStatus = true;
+    }
+    onProgress?.(Math.round((offset / file.size) * 100));
+  }
+
+  return uploadId;
+}
+
+/**
+ * Start analysis of a completed upload. Progress arrives over SSE like /api/analyze.
+ */
+export async function analyzeUpload(
+  uploadId: string,
+  chunking?: ChunkingOptions,
+  subtitles?: SubtitleImport,
+  tts?: TtsOptions
+): Promise<{ sessionId: string; status: 'started' }> {
+  return apiRequest<{ sessionId: string; status: 'started' }>('/api/analyze-upload', {
+    method: 'POST',
+    body: JSON.stringify({ uploadId, chunking, subtitles, tts }),
+  });
+}
+
+/**
+ * Start text mode for pasted text. Progress arrives over SSE like /api/analyze.
+ */
+export async function analyzeText(text: string, title?: string, tts?: TtsOptions): Promise<{ sessionId: string; status: 'started' }> {
+  return apiRequest<{ sessionId: string; status: 'started' }>('/api/analyze-text', {
+    method: 'POST',
+    body: JSON.stringify({ text, title: title || undefined, tts }),
+  });
+}
+
 /**
  * Usage data returned by GET /api/usage
  * Combined API usage (OpenAI + Google Translate)
@@ -313,6 +578,8 @@ export interface UsageData {
   daily: UsageBucket;
   weekly: UsageBucket;
   monthly: UsageBucket;
+  // Spend avoided by local processing (dictionary lemmatization); not counted against limits
+  saved?: { daily: number; weekly: number; monthly: number };
 }
 
 /**
@@ -322,6 +589,24 @@ export async function getUsage(): Promise<UsageData> {
   return apiRequest<UsageData>('/api/usage');
 }
 
+/**
+ * Read-aloud voices returned by GET /api/tts/voices
+ */
+export interface TtsVoices {
+  provider: string;
+  voices: string[];
+  defaultVoice: string;
+  minSpeed: number;
+  maxSpeed: number;
+}
+
+/**
+ * Get the voices offered by the server's text-to-speech provider
+ */
+export async function getTtsVoices(): Promise<TtsVoices> {
+  return apiRequest<TtsVoices>('/api/tts/voices');
+}
+
 /**
  * Permanently delete the current user's account
  */
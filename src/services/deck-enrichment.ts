@@ -1,11 +1,11 @@
 /**
  * Deck enrichment service.
  *
- * Handles dictionary lookup and example sentence generation for flashcards.
+ * Handles dictionary lookup, example sentence generation and source audio clips for flashcards.
  * Extracted from useDeck.ts and WordPopup.tsx.
  */
 import * as Sentry from '@sentry/react';
-import type { SRSCard, DictionaryEntry } from '../types';
+import type { SRSCard, DictionaryEntry, CardSource } from '../types';
 import { apiRequest } from './api';
 
 /**
@@ -131,3 +131,21 @@ export async function enrichSingleCardExample(
     return dictionary;
   }
 }
+
+/**
+ * Cut the card's word out of its source chunk at card-add time; the server
+ * stores it with the session's media.
+ * Returns the clip name to keep on the card, or undefined on failure.
+ */
+export async function enrichCardAudio(source: CardSource): Promise<string | undefined> {
+  try {
+    const { clip } = await apiRequest<{ clip: string; url: string }>(`/api/session/${source.sessionId}/clips`, {
+      method: 'POST',
+      body: JSON.stringify({ chunkId: source.chunkId, start: source.start, end: source.end }),
+    });
+    return clip;
+  } catch (err) {
+    console.warn('[deck-enrichment] Audio clip failed:', source, err);
+    return undefined;
+  }
+}
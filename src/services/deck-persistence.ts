@@ -5,10 +5,12 @@
  * Pure IO module — no React state or hooks.
  */
 import * as Sentry from '@sentry/react';
-import type { SRSCard } from '../types';
+import type { SRSCard, DeckSettings, DailyLimits, ReviewLogEntry, DrillStats } from '../types';
+import { SIBLING_TEMPLATES } from '../utils/card-templates';
 
 const DECK_KEY = 'srs_deck';
 const DEBOUNCE_MS = 500;
+export const REVIEW_LOG_PAGE = 500;
 
 async function getFirestoreHelpers() {
   const [firestoreModule, { db }] = await Promise.all([
@@ -105,3 +107,128 @@ export function createDebouncedSave(
 
   return { save, cleanup };
 }
+
+/** Daily limits that are whole numbers of at least zero. */
+function toDailyLimits(data: Record<string, unknown> | undefined): DailyLimits {
+  const limits: DailyLimits = {};
+  for (const key of ['newPerDay', 'reviewsPerDay'] as const) {
+    const value = data?.[key];
+    if (typeof value === 'number' && Number.isInteger(value) && value >= 0) limits[key] = value;
+  }
+  return limits;
+}
+
+/** Deck settings from a Firestore document, ignoring unknown or invalid fields. */
+function toDeckSettings(data: Record<string, unknown> | undefined): DeckSettings {
+  const settings: DeckSettings = { scheduler: data?.scheduler === 'fsrs' ? 'fsrs' : 'sm2' };
+  if (typeof data?.desiredRetention === 'number') settings.desiredRetention = data.desiredRetention;
+  if (Array.isArray(data?.fsrsWeights) && data.fsrsWeights.every(w => typeof w === 'number')) {
+    settings.fsrsWeights = data.fsrsWeights;
+  }
+  if (typeof data?.optimizedAt === 'string') settings.optimizedAt = data.optimizedAt;
+  if (typeof data?.optimizedReviews === 'number') settings.optimizedReviews = data.optimizedReviews;
+  if (Array.isArray(data?.templates)) {
+    settings.templates = SIBLING_TEMPLATES.filter(template => (data.templates as unknown[]).includes(template));
+  }
+  if (data?.templatesEnabledAt && typeof data.templatesEnabledAt === 'object') {
+    const enabledAt = data.templatesEnabledAt as Record<string, unknown>;
+    settings.templatesEnabledAt = Object.fromEntries(
+      SIBLING_TEMPLATES.filter(template => typeof enabledAt[template] === 'string').map(template => [template, enabledAt[template]]),
+    );
+  }
+  Object.assign(settings, toDailyLimits(data));
+  const { newSiblingsPerDay } = data ?? {};
+  if (typeof newSiblingsPerDay === 'number' && Number.isInteger(newSiblingsPerDay) && newSiblingsPerDay >= 0) {
+    settings.newSiblingsPerDay = newSiblingsPerDay;
+  }
+  if (data?.subDecks && typeof data.subDecks === 'object') {
+    settings.subDecks = Object.fromEntries(Object.entries(data.subDecks as Record<string, unknown>).map(
+      ([name, limits]) => [name, toDailyLimits(limits && typeof limits === 'object' ? limits as Record<string, unknown> : undefined)],
+    ));
+  }
+  return settings;
+}
+
+/** Load the deck's settings (scheduler choice, FSRS parameters, card templates, daily limits); SM-2 when none are saved. */
+export async function loadDeckSettings(userId: string): Promise<DeckSettings> {
+  const { doc, getDoc, db } = await getFirestoreHelpers();
+  const snap = await getDoc(doc(db, 'deckSettings', userId));
+  return toDeckSettings(snap.exists() ? snap.data() : undefined);
+}
+
+/** Save the deck's settings. */
+export async function saveDeckSettings(userId: string, settings: DeckSettings): Promise<void> {
+  const { doc, setDoc, serverTimestamp, db } = await getFirestoreHelpers();
+  // Firestore rejects undefined fields (e.g. desiredRetention reset to the default)
+  const fields = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+  await setDoc(doc(db, 'deckSettings', userId), { ...fields, updatedAt: serverTimestamp() });
+}
+
+/** Document id of a review log entry: one per card, template and review time. */
+function reviewLogId(entry: ReviewLogEntry): string {
+  return `${entry.cardId.replace(/\//g, '_')}_${entry.template ?? 'recognition'}_${entry.reviewedAt}`;
+}
+
+/**
+ * Append a review to the deck's log (decks/{userId}/reviews), best-effort:
+ * a failed write is reported but never blocks the review. The document id comes
+ * from the card, template and time, so writing the same entry twice keeps one.
+ */
+export async function appendReviewLog(userId: string, entry: ReviewLogEntry): Promise<void> {
+  try {
+    const [{ doc, setDoc }, { db }] = await Promise.all([
+      import('firebase/firestore'),
+      import('../firebase-db'),
+    ]);
+    await setDoc(doc(db, 'decks', userId, 'reviews', reviewLogId(entry)), entry);
+  } catch (err) {
+    Sentry.captureException(err, { tags: { operation: 'review_log_append' } });
+  }
+}
+
+/**
+ * Load the deck's review log from `since` (an ISO timestamp; all of it when
+ * absent), oldest first, REVIEW_LOG_PAGE entries per query.
+ */
+export async function loadReviewLog(userId: string, since?: string): Promise<ReviewLogEntry[]> {
+  const [{ collection, query, where, orderBy, startAfter, limit, getDocs }, { db }] = await Promise.all([
+    import('firebase/firestore'),
+    import('../firebase-db'),
+  ]);
+  const reviews = collection(db, 'decks', userId, 'reviews');
+  const range = since ? [where('reviewedAt', '>=', since)] : [];
+  const entries: ReviewLogEntry[] = [];
+  let page = await getDocs(query(reviews, ...range, orderBy('reviewedAt'), limit(REVIEW_LOG_PAGE)));
+  for (;;) {
+    entries.push(...page.docs.map(d => d.data() as ReviewLogEntry));
+    if (page.docs.length < REVIEW_LOG_PAGE) return entries;
+    const last = page.docs[page.docs.length - 1];
+    page = await getDocs(query(reviews, ...range, orderBy('reviewedAt'), startAfter(last), limit(REVIEW_LOG_PAGE)));
+  }
+}
+
+/** Load the inflection drill's accuracy per table cell (drillStats/{userId}), ignoring malformed cells. */
+export async function loadDrillStats(userId: string): Promise<DrillStats> {
+  const { doc, getDoc, db } = await getFirestoreHelpers();
+  const snap = await getDoc(doc(db, 'drillStats', userId));
+  const cells = snap.exists() ? snap.data().cells : undefined;
+  const stats: DrillStats = {};
+  if (cells && typeof cells === 'object') {
+    for (const [cell, score] of Object.entries(cells as Record<string, { attempts?: unknown; correct?: unknown }>)) {
+      if (typeof score?.attempts === 'number' && typeof score.correct === 'number') {
+        stats[cell] = { attempts: score.attempts, correct: score.correct };
+      }
+    }
+  }
+  return stats;
+}
+
+/** Save the inflection drill's accuracy, best-effort: a lost write only costs some weighting. */
+export async function saveDrillStats(userId: string, stats: DrillStats): Promise<void> {
+  try {
+    const { doc, setDoc, serverTimestamp, db } = await getFirestoreHelpers();
+    await setDoc(doc(db, 'drillStats', userId), { cells: stats, updatedAt: serverTimestamp() });
+  } catch (err) {
+    Sentry.captureException(err, { tags: { operation: 'drill_stats_save' } });
+  }
+}
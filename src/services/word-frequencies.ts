@@ -0,0 +1,40 @@
+/**
+ * Word frequency ranks from public/russian-word-frequencies.json (lemmas in
+ * order of frequency in Anna Karenina, most common first).
+ *
+ * Used to underline transcript words in a frequency range and to tag cards
+ * with a frequency band. Loaded once and shared.
+ */
+
+const FREQUENCIES_URL = '/russian-word-frequencies.json';
+
+let ranksPromise: Promise<Map<string, number>> | null = null;
+
+/** Lemma → rank (1 = most common), keyed with ё folded to е. */
+export function parseWordFrequencies(words: string[]): Map<string, number> {
+  const ranks = new Map<string, number>();
+  for (let i = 0; i < words.length; i++) {
+    const rank = i + 1;
+    // ё/е pairs (её rank 585 vs ее rank 94) collapse to one entry with the best rank
+    const key = words[i].trim().toLowerCase().replace(/ё/g, 'е');
+    if (!ranks.has(key) || rank < ranks.get(key)!) ranks.set(key, rank);
+  }
+  return ranks;
+}
+
+/** Load the ranks; a failed load is retried on the next call. */
+export function loadWordFrequencies(): Promise<Map<string, number>> {
+  if (!ranksPromise) {
+    ranksPromise = fetch(FREQUENCIES_URL)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then(parseWordFrequencies)
+      .catch(err => {
+        ranksPromise = null;
+        throw err;
+      });
+  }
+  return ranksPromise;
+}
@@ -33,16 +33,61 @@ export interface DictionaryEntry {
 
 // ── API response types ───────────────────────────────────────────────
 
+// ── Morphology (tags from the dictionary's declension/conjugation tables) ──
+
+export type GrammaticalCase = 'nom' | 'gen' | 'dat' | 'acc' | 'inst' | 'prep';
+export type GrammaticalNumber = 'sg' | 'pl';
+
+// One grammatical reading of a word form ("книгой" → { pos: 'noun', case: 'inst', number: 'sg' })
+export interface MorphTag {
+  pos: 'noun' | 'adjective' | 'verb';
+  case?: GrammaticalCase;
+  number?: GrammaticalNumber;
+  gender?: 'm' | 'f' | 'n';
+  tense?: 'present' | 'future' | 'past';
+  person?: 1 | 2 | 3;
+  mood?: 'imperative';
+  form?: 'infinitive' | 'short' | 'comparative' | 'superlative';
+  aspect?: 'imperfective' | 'perfective';
+}
+
+// One dictionary word a homograph can belong to ("стали" → сталь / стать)
+export interface LemmaCandidate {
+  lemma: string;
+  pos: string;
+}
+
+export interface LemmaReading extends LemmaCandidate {
+  dictionary: DictionaryEntry;
+  stressed?: string; // the clicked word stressed as a form of this lemma
+  morph?: MorphTag[]; // the clicked word's grammatical readings as a form of this lemma
+}
+
 export interface Translation {
   word: string;
   translation: string;
   sourceLanguage: string;
   dictionary?: DictionaryEntry;
+  readings?: LemmaReading[]; // homographs only, best fit for the sentence first (readings[0].dictionary === dictionary)
+  stressed?: string;         // the word with a stress mark, when the dictionary knows it
+  morph?: MorphTag[];        // grammatical readings of the word (several for forms like "книги")
 }
 
+// How the per-sentence English track is shown under the transcript
+export type TranslationTrackMode = 'off' | 'show' | 'blur' | 'delay';
+
 export interface TranslatorConfig {
   freqRangeMin?: number;  // minimum frequency rank to underline (e.g., 500)
   freqRangeMax?: number;  // maximum frequency rank to underline (e.g., 1000)
+  chunkDuration?: number; // target video part length in seconds (server default 180)
+  chunkMinGap?: number;   // seconds of silence that count as a break between parts (server default 0.5)
+  translationTrack?: TranslationTrackMode; // English sentence track (default 'off')
+  ttsVoice?: string;          // read-aloud narration voice for new texts (server default)
+  ttsSpeed?: number;          // read-aloud speaking rate, 0.5–1.5 (default 1)
+  ttsDialogueVoice?: string;  // second voice for «quoted» and dash dialogue (default: narration voice)
+  showStress?: boolean;       // show stress marks on transcript words (default off)
+  caseColors?: boolean;       // color nouns and adjectives in the transcript by case (default off)
+  grammarFilter?: { case?: GrammaticalCase; number?: GrammaticalNumber }; // highlight words with these tags
 }
 
 // Video transcription types
@@ -51,6 +96,10 @@ export interface WordTimestamp {
   start: number;  // seconds
   end: number;    // seconds
   lemma?: string; // dictionary form for frequency lookup
+  lemmaSource?: 'dictionary' | 'llm'; // where the lemma came from (local inflection index or GPT-4o)
+  stressed?: string;         // the word with a stress mark (кни́гу), punctuation kept; absent for one-syllable/unknown words
+  stressVariants?: string[]; // every possible stressed spelling when the stress is ambiguous, chosen one first
+  morph?: MorphTag[];        // grammatical readings for the word's lemma, in table order; absent for unknown words
 }
 
 export interface TranscriptSegment {
@@ -66,6 +115,21 @@ export interface Transcript {
   duration: number;
 }
 
+// A sentence of a transcript, as word index range plus its time span
+export interface Sentence {
+  firstWord: number;  // index into transcript.words
+  lastWord: number;   // inclusive
+  start: number;      // seconds
+  end: number;        // seconds
+}
+
+// Imperative playback handle shared by VideoPlayer (HTML5/HLS, YouTube, Vimeo) and AudioPlayer
+export interface PlayerControls {
+  play: () => void;
+  pause: () => void;
+  seek: (time: number) => void;
+}
+
 export interface VideoState {
   url: string;           // direct video URL for playback
   originalUrl: string;   // original URL (for YouTube embed detection)
@@ -85,10 +149,18 @@ export interface VideoChunk {
   status: 'pending' | 'downloading' | 'ready';  // Server-managed status
   videoUrl?: string | null;  // Set when status='ready' (video mode)
   audioUrl?: string | null;  // Set when status='ready' (text mode)
+  chapterTitle?: string;     // Text mode: chapter this chunk belongs to
 }
 
 export type ContentType = 'video' | 'text';
 
+// Text mode table of contents: one entry per run of chunks sharing a chapterTitle
+export interface ChapterTocEntry {
+  title: string;
+  startChunkIndex: number;
+  chunkCount: number;
+}
+
 // Response from GET /api/session/:sessionId
 export interface SessionResponse {
   status: 'ready' | 'error' | 'downloading' | 'analyzing';
@@ -97,7 +169,9 @@ export interface SessionResponse {
   totalDuration?: number;
   originalUrl?: string;
   chunks?: VideoChunk[];
+  chapters?: ChapterTocEntry[];
   hasMoreChunks?: boolean;
+  chunking?: Required<ChunkingOptions>;
   error?: string;
   progress?: { audio: number; transcription: number };
 }
@@ -108,6 +182,48 @@ export interface LoadMoreResponse {
   hasMoreChunks: boolean;
 }
 
+// Per-session chunking preferences for video (seconds); omitted fields use server defaults
+export interface ChunkingOptions {
+  targetDuration?: number;
+  minGap?: number;
+  minFinalDuration?: number;
+}
+
+// Response from POST /api/session/:sessionId/rechunk
+export interface RechunkResponse {
+  chunks: VideoChunk[];
+  hasMoreChunks: boolean;
+  chunking: Required<ChunkingOptions>;
+}
+
+// Options for GET /api/session/:sessionId/subtitles
+export interface SubtitleExportOptions {
+  format: 'srt' | 'vtt';
+  chunkId?: string;      // omit to export the whole (video) session
+  lemmas?: boolean;      // add a dictionary-form line per cue
+  translation?: boolean; // add an English line per cue
+  karaoke?: boolean;     // WebVTT word timing tags
+  stress?: boolean;      // write words with stress marks
+}
+
+// Read-aloud voice for new text sessions; omitted fields use server defaults
+export interface TtsOptions {
+  voice?: string;
+  speed?: number;
+  dialogueVoice?: string;
+}
+
+// Subtitle file sent with POST /api/analyze or /api/analyze-upload in place of transcription
+export interface SubtitleImport {
+  content: string;  // .srt or .vtt file text
+  align?: boolean;  // refine caption timings against the audio (runs Whisper)
+}
+
+// Response from POST /api/translate-sentences (same order as the request)
+export interface SentenceTranslationResponse {
+  translations: string[];
+}
+
 // Response from GET /api/session/:sessionId/chunk/:chunkId
 export interface ChunkResponse {
   videoUrl?: string;
@@ -126,22 +242,106 @@ export interface ProgressState {
 export type AppView = 'input' | 'analyzing' | 'chunk-menu' | 'loading-chunk' | 'player';
 
 // Spaced Repetition (SM2)
+// Where a card's word was heard: a word span in chunk time, and the sentence around it
+export interface CardSource {
+  sessionId: string;
+  chunkId: string;
+  start: number;  // seconds
+  end: number;    // seconds
+  sentence?: string;
+  sentenceStart?: number;  // seconds
+  sentenceEnd?: number;    // seconds
+  title?: string;          // the session's title, when it had one
+}
+
 export interface SRSCard {
   id: string;               // normalizeCardId(word)
   word: string;              // Russian display form
   translation: string;       // English
   sourceLanguage: string;
   dictionary?: DictionaryEntry; // rich grammar data from OpenRussian
+  stressedWord?: string;     // word with a stress mark (кни́гу), when known
+  source?: CardSource;       // transcript word the card was added from (review replays it, Anki export cuts its audio)
+  audioClip?: string;        // the word cut from source's chunk and stored with the session (see getClipUrl)
   easeFactor: number;        // starts 2.5, min 1.3
   interval: number;          // days until next review
   repetition: number;        // consecutive correct recalls
   nextReviewDate: string;    // ISO timestamp (full for learning, date-only for review)
   addedAt: string;           // ISO timestamp
   lastReviewedAt: string | null;
+  firstReviewedAt?: string;  // ISO timestamp of the first review (counts toward the daily new-card limit)
+  fsrs?: FsrsState;          // memory state once the deck is scheduled with FSRS
+  siblings?: Partial<Record<SiblingTemplate, SiblingSchedule>>; // the note's other templates (the fields above schedule recognition)
+  tags?: string[];           // the user's and automatic tags (source title, part of speech, frequency band); absent until tagged
+  subDeck?: string;          // name of the sub-deck the card is filed in
 }
 
 export type SRSRating = 0 | 2 | 4 | 5; // Again=0, Hard=2, Good=4, Easy=5
 
+export interface FsrsState {
+  stability: number;   // days until recall probability drops to 90%
+  difficulty: number;  // 1 (easy) – 10 (hard)
+}
+
+export type SchedulerKind = 'sm2' | 'fsrs';
+
+// Ways of reviewing a card (note): Russian → English, English → Russian said
+// aloud or typed, the word blanked out of its example sentence, and the word
+// heard (not read) → English
+export type CardTemplate = 'recognition' | 'production' | 'typed' | 'cloze' | 'listening';
+export type SiblingTemplate = Exclude<CardTemplate, 'recognition'>;
+
+// Review state of one sibling, the same fields as SRSCard's own
+export interface SiblingSchedule {
+  easeFactor: number;
+  interval: number;
+  repetition: number;
+  nextReviewDate: string;
+  lastReviewedAt: string | null;
+  firstReviewedAt?: string;
+  fsrs?: FsrsState;
+}
+
+// Reviews a day, for the whole deck or one sub-deck (no limit when absent)
+export interface DailyLimits {
+  newPerDay?: number;      // templates reviewed for the first time
+  reviewsPerDay?: number;  // the rest, not counting cards already reviewed today
+}
+
+// Per-deck settings, stored in Firestore next to the deck
+export interface DeckSettings {
+  scheduler: SchedulerKind;
+  desiredRetention?: number;  // FSRS target recall probability, 0.7–0.97 (default 0.9)
+  fsrsWeights?: number[];     // optimized FSRS parameters (default: FSRS_DEFAULT_WEIGHTS)
+  optimizedAt?: string;       // ISO timestamp of the last optimization
+  optimizedReviews?: number;  // reviews the weights were fitted on
+  templates?: SiblingTemplate[]; // templates reviewed besides recognition (default: none)
+  templatesEnabledAt?: Partial<Record<SiblingTemplate, string>>; // ISO time each template was last turned on
+  newSiblingsPerDay?: number; // new sibling templates introduced a day across the deck (default NEW_SIBLINGS_PER_DAY)
+  newPerDay?: number;         // daily limits across the deck
+  reviewsPerDay?: number;
+  subDecks?: Record<string, DailyLimits>; // daily limits of sub-decks, by name
+}
+
+// One rating, appended to the deck's review log on every review
+export interface ReviewLogEntry {
+  cardId: string;
+  rating: SRSRating;
+  reviewedAt: string;        // ISO timestamp
+  previousInterval: number;  // days, 0 while learning
+  interval: number;          // days given by this review, 0 while learning
+  answerMs?: number;         // from showing the card to rating it, capped at a minute (absent outside ReviewPanel)
+  template?: SiblingTemplate; // absent for recognition
+}
+
+// Inflection drill accuracy per dictionary table cell ("noun.inst.pl", "verb.past.f")
+export interface CellScore {
+  attempts: number;
+  correct: number;
+}
+
+export type DrillStats = Record<string, CellScore>;
+
 // ── Streak tracking ─────────────────────────────────────────────────
 
 export interface StreakData {
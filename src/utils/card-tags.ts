@@ -0,0 +1,97 @@
+/**
+ * Card tags and sub-decks.
+ *
+ * Tags are free text ("Chekhov — The Lady with the Dog", "verb",
+ * "freq 1-1000") compared without case. Cards are tagged automatically when
+ * added with the title of the session they came from, their part of speech
+ * and the frequency band of their dictionary form; the user adds and removes
+ * tags in the deck browser. A card is filed in at most one sub-deck, by name.
+ */
+
+import type { SRSCard, DeckSettings } from '../types';
+import { stripStress } from './russian';
+
+// Upper ranks of the frequency bands; rarer words are tagged "freq 10001+"
+export const FREQUENCY_BANDS = [1000, 2000, 5000, 10000];
+
+/** The band tag of a frequency rank: "freq 1-1000", "freq 1001-2000", … */
+export function frequencyBand(rank: number): string {
+  let lower = 1;
+  for (const upper of FREQUENCY_BANDS) {
+    if (rank <= upper) return `freq ${lower}-${upper}`;
+    lower = upper + 1;
+  }
+  return `freq ${lower}+`;
+}
+
+/** Frequency rank of the card's dictionary form (else the word as saved), if it's in the list. */
+export function wordRank(card: SRSCard, ranks: Map<string, number>): number | undefined {
+  const lemma = card.dictionary?.stressedForm
+    ? stripStress(card.dictionary.stressedForm).trim().toLowerCase().replace(/ё/g, 'е')
+    : '';
+  return (lemma && ranks.get(lemma)) || ranks.get(card.id);
+}
+
+/** Tags the card gets automatically: source title, part of speech and frequency band, when known. */
+export function autoTags(card: SRSCard, ranks: Map<string, number>): string[] {
+  const rank = wordRank(card, ranks);
+  return [
+    card.source?.title,
+    card.dictionary?.pos,
+    rank !== undefined ? frequencyBand(rank) : undefined,
+  ].filter((tag): tag is string => !!tag).map(normalizeTag).filter(Boolean);
+}
+
+export function normalizeTag(tag: string): string {
+  return tag.trim().replace(/\s+/g, ' ');
+}
+
+export function hasTag(card: SRSCard, tag: string): boolean {
+  const key = normalizeTag(tag).toLowerCase();
+  return (card.tags ?? []).some(t => t.toLowerCase() === key);
+}
+
+export function addTag(card: SRSCard, tag: string): SRSCard {
+  const normalized = normalizeTag(tag);
+  if (!normalized || hasTag(card, normalized)) return card;
+  return { ...card, tags: [...(card.tags ?? []), normalized] };
+}
+
+export function removeTag(card: SRSCard, tag: string): SRSCard {
+  if (!hasTag(card, tag)) return card;
+  const key = normalizeTag(tag).toLowerCase();
+  return { ...card, tags: card.tags!.filter(t => t.toLowerCase() !== key) };
+}
+
+/** Add the automatic tags to a card that has never been tagged (removed tags stay removed). */
+export function withAutoTags(card: SRSCard, ranks: Map<string, number>): SRSCard {
+  if (card.tags) return card;
+  return autoTags(card, ranks).reduce(addTag, { ...card, tags: [] });
+}
+
+/** File a card in a sub-deck, or take it out of its sub-deck with an empty name. */
+export function moveToSubDeck(card: SRSCard, name?: string): SRSCard {
+  const subDeck = name ? normalizeTag(name) : '';
+  if ((card.subDeck ?? '') === subDeck) return card;
+  const moved: SRSCard = { ...card, subDeck };
+  if (!subDeck) delete moved.subDeck;
+  return moved;
+}
+
+/** Every tag in the deck, most used first. */
+export function deckTags(cards: SRSCard[]): string[] {
+  const counts = new Map<string, { tag: string; count: number }>();
+  for (const tag of cards.flatMap(card => card.tags ?? [])) {
+    const entry = counts.get(tag.toLowerCase()) ?? { tag, count: 0 };
+    entry.count++;
+    counts.set(tag.toLowerCase(), entry);
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)).map(entry => entry.tag);
+}
+
+/** Sub-decks that have cards or daily limits, by name. */
+export function subDeckNames(cards: SRSCard[], settings?: DeckSettings): string[] {
+  const names = new Set(cards.flatMap(card => (card.subDeck ? [card.subDeck] : [])));
+  Object.keys(settings?.subDecks ?? {}).forEach(name => names.add(name));
+  return [...names].sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,269 @@
+/**
+ * Card templates: each deck card is a note that can be reviewed several ways.
+ * Recognition (Russian → English) is scheduled by the card's own SM-2/FSRS
+ * fields; the templates a deck adds in Settings — production, typed answer,
+ * cloze and listening — are siblings with their own schedule in `card.siblings`, so
+ * knowing a word one way doesn't push back the other reviews.
+ */
+
+import type { SRSCard, SRSRating, CardTemplate, SiblingTemplate, SiblingSchedule, DeckSettings } from '../types';
+import { scheduleReview } from './scheduler';
+import { normalizeRussianWord, stripStress, cleanWord } from './russian';
+
+export const CARD_TEMPLATES: { value: CardTemplate; label: string; description: string }[] = [
+  { value: 'recognition', label: 'Recognition', description: 'See the Russian word, recall the meaning' },
+  { value: 'production', label: 'Production', description: 'See the English, say the Russian word' },
+  { value: 'typed', label: 'Typed answer', description: 'See the English, type the Russian word' },
+  { value: 'cloze', label: 'Cloze', description: 'Fill the word into its example sentence' },
+  { value: 'listening', label: 'Listening', description: 'Hear the word or its sentence, pick the meaning' },
+];
+
+export const SIBLING_TEMPLATES = CARD_TEMPLATES.map(t => t.value).filter((t): t is SiblingTemplate => t !== 'recognition');
+
+// Review order within a session: a whole pass per template, so one sibling
+// doesn't give away the answer to the next
+const TEMPLATE_ORDER: CardTemplate[] = CARD_TEMPLATES.map(t => t.value);
+
+/** Templates the deck reviews, recognition first. */
+export function deckTemplates(settings?: DeckSettings): CardTemplate[] {
+  const extra = new Set(settings?.templates ?? []);
+  return TEMPLATE_ORDER.filter(template => template === 'recognition' || extra.has(template as SiblingTemplate));
+}
+
+/** The deck's settings with these sibling templates on, stamping the ones just turned on. */
+export function setDeckTemplates(settings: DeckSettings, templates: SiblingTemplate[], now = new Date().toISOString()): DeckSettings {
+  const enabledAt = { ...settings.templatesEnabledAt };
+  for (const template of templates) {
+    if (!settings.templates?.includes(template)) enabledAt[template] = now;
+  }
+  return {
+    ...settings,
+    templates: templates.length > 0 ? templates : undefined,
+    templatesEnabledAt: Object.keys(enabledAt).length > 0 ? enabledAt : undefined,
+  };
+}
+
+/**
+ * The card as seen by one template: the note with that sibling's schedule.
+ * A sibling never reviewed is new, due from when the card was added or the
+ * template turned on, whichever is later — so turning a template on doesn't
+ * make the whole deck's backlog of it due at once.
+ */
+export function templateView(card: SRSCard, template: CardTemplate, settings?: DeckSettings): SRSCard {
+  if (template === 'recognition') return card;
+  const enabledAt = settings?.templatesEnabledAt?.[template];
+  const schedule: SiblingSchedule = card.siblings?.[template] ?? {
+    easeFactor: 2.5,
+    interval: 0,
+    repetition: 0,
+    nextReviewDate: enabledAt && enabledAt > card.addedAt ? enabledAt : card.addedAt,
+    lastReviewedAt: null,
+  };
+  return { ...card, fsrs: undefined, firstReviewedAt: undefined, ...schedule };
+}
+
+/** Write a reviewed template view back into the note. */
+function applyTemplateReview(card: SRSCard, template: CardTemplate, reviewed: SRSCard): SRSCard {
+  if (template === 'recognition') return reviewed;
+  const schedule: SiblingSchedule = {
+    easeFactor: reviewed.easeFactor,
+    interval: reviewed.interval,
+    repetition: reviewed.repetition,
+    nextReviewDate: reviewed.nextReviewDate,
+    lastReviewedAt: reviewed.lastReviewedAt,
+    ...(reviewed.firstReviewedAt && { firstReviewedAt: reviewed.firstReviewedAt }),
+    ...(reviewed.fsrs && { fsrs: reviewed.fsrs }),
+  };
+  return { ...card, siblings: { ...card.siblings, [template]: schedule } };
+}
+
+/** Rate one template of a card with the deck's scheduler, leaving its siblings alone. */
+export function reviewTemplate(card: SRSCard, template: CardTemplate, rating: SRSRating, settings?: DeckSettings): SRSCard {
+  const view = templateView(card, template, settings);
+  const reviewed = scheduleReview(view, rating, settings);
+  // Remember when a new template was first studied, for the daily new-card limit
+  const firstReviewedAt = view.lastReviewedAt === null ? reviewed.lastReviewedAt ?? undefined : view.firstReviewedAt;
+  return applyTemplateReview(card, template, { ...reviewed, ...(firstReviewedAt && { firstReviewedAt }) });
+}
+
+/** Templates of the deck that can be shown for this card (cloze needs a sentence with the word). */
+export function cardTemplates(card: SRSCard, settings?: DeckSettings): CardTemplate[] {
+  return deckTemplates(settings).filter(template => template !== 'cloze' || clozeSentence(card) !== null);
+}
+
+export interface DueReview {
+  card: SRSCard;
+  template: CardTemplate;
+}
+
+/** Reviews due now: one pass per template, oldest due first within each. */
+export function getDueReviews(cards: SRSCard[], settings?: DeckSettings, now = new Date().toISOString()): DueReview[] {
+  const due: (DueReview & { dueAt: string })[] = [];
+  for (const card of cards) {
+    for (const template of cardTemplates(card, settings)) {
+      const { nextReviewDate } = templateView(card, template, settings);
+      if (nextReviewDate <= now) due.push({ card, template, dueAt: nextReviewDate });
+    }
+  }
+  return due
+    .sort((a, b) => TEMPLATE_ORDER.indexOf(a.template) - TEMPLATE_ORDER.indexOf(b.template) || a.dueAt.localeCompare(b.dueAt))
+    .map(({ card, template }) => ({ card, template }));
+}
+
+// ── Cloze ───────────────────────────────────────────────────────────
+
+export interface Cloze {
+  before: string;
+  answer: string;           // the word as it appears in the sentence, stress marks kept
+  after: string;
+  translation?: string;     // English of the sentence, for dictionary examples
+}
+
+/** Every string in a dictionary form table (declension, conjugation, adjective forms). */
+function collectForms(value: unknown, forms: Set<string>): void {
+  if (typeof value === 'string') forms.add(normalizeRussianWord(value));
+  else if (value && typeof value === 'object') Object.values(value).forEach(v => collectForms(v, forms));
+}
+
+/** Normalized forms of the card's word: as saved, its dictionary form and the inflections. */
+function wordForms(card: SRSCard): Set<string> {
+  const forms = new Set([card.id]);
+  const { dictionary } = card;
+  if (dictionary) {
+    forms.add(normalizeRussianWord(dictionary.stressedForm));
+    collectForms(dictionary.declension, forms);
+    collectForms(dictionary.conjugation, forms);
+    collectForms(dictionary.adjectiveForms, forms);
+  }
+  forms.delete('');
+  return forms;
+}
+
+function blankOut(sentence: string, forms: Set<string>): Omit<Cloze, 'translation'> | null {
+  for (const match of sentence.matchAll(/[а-яёА-ЯЁ-](?:[а-яёА-ЯЁ-]|\u0300|\u0301)*/g)) {
+    if (!forms.has(normalizeRussianWord(match[0]))) continue;
+    const start = match.index;
+    return {
+      before: sentence.slice(0, start),
+      answer: match[0],
+      after: sentence.slice(start + match[0].length),
+    };
+  }
+  return null;
+}
+
+/**
+ * The card's example sentence with the word blanked out, falling back to the
+ * sentence it was heard in. Null when neither sentence contains a form of the word.
+ */
+export function clozeSentence(card: SRSCard): Cloze | null {
+  const forms = wordForms(card);
+  const example = card.dictionary?.example;
+  const fromExample = example?.russian ? blankOut(example.russian, forms) : null;
+  if (fromExample) return { ...fromExample, ...(example?.english && { translation: example.english }) };
+  return card.source?.sentence ? blankOut(card.source.sentence, forms) : null;
+}
+
+// ── Typed answers ───────────────────────────────────────────────────
+
+export interface AnswerSegment {
+  text: string;
+  kind: 'match' | 'extra' | 'missing'; // extra: typed but not expected; missing: expected but not typed
+}
+
+export interface TypedAnswerCheck {
+  correct: boolean;
+  segments: AnswerSegment[];
+}
+
+// Letters compare case-insensitively with ё and е the same
+function foldChar(char: string): string {
+  const lower = char.toLowerCase();
+  return lower === 'ё' ? 'е' : lower;
+}
+
+/**
+ * Character diff of a typed answer against the expected word, ignoring case,
+ * stress marks, ё/е and surrounding punctuation. Segments run in reading
+ * order; matches show the expected spelling.
+ */
+export function checkTypedAnswer(typed: string, expected: string): TypedAnswerCheck {
+  const a = [...cleanWord(stripStress(typed)).replace(/\s+/g, ' ')];
+  const b = [...cleanWord(stripStress(expected)).replace(/\s+/g, ' ')];
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array<number>(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = foldChar(a[i]) === foldChar(b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const segments: AnswerSegment[] = [];
+  const push = (text: string, kind: AnswerSegment['kind']) => {
+    const last = segments[segments.length - 1];
+    if (last?.kind === kind) last.text += text;
+    else segments.push({ text, kind });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && foldChar(a[i]) === foldChar(b[j])) {
+      push(b[j], 'match');
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      push(b[j++], 'missing');
+    } else {
+      push(a[i++], 'extra');
+    }
+  }
+
+  return { correct: b.length > 0 && segments.every(s => s.kind === 'match'), segments };
+}
+
+// ── Listening ───────────────────────────────────────────────────────
+
+/** An English meaning for comparing: lowercase, no punctuation, no leading "to"/article. */
+function normalizeMeaning(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[^\p{L}\p{N}'\s-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(to|a|an|the) /, '');
+}
+
+/** Whether a typed meaning matches one of the card's, each of which may list several ("time, period"). */
+export function meaningMatches(typed: string, meanings: string[]): boolean {
+  const answer = normalizeMeaning(typed);
+  if (!answer) return false;
+  return meanings.flatMap(meaning => meaning.split(/[,;/]/)).some(meaning => normalizeMeaning(meaning) === answer);
+}
+
+/**
+ * Multiple choice for a listening card: the meaning and `count - 1` other
+ * cards' meanings, in random order. Empty when the deck has too few
+ * different meanings, so the answer is typed instead.
+ */
+export function meaningChoices(answer: string, others: string[], count = 4, random: () => number = Math.random): string[] {
+  const seen = new Set([normalizeMeaning(answer)]);
+  const distractors: string[] = [];
+  for (const other of others) {
+    const key = normalizeMeaning(other);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    distractors.push(other);
+  }
+  if (distractors.length < count - 1) return [];
+
+  const shuffle = (items: string[]) => {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  };
+  return shuffle([answer, ...shuffle(distractors).slice(0, count - 1)]);
+}
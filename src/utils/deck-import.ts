@@ -0,0 +1,320 @@
+/**
+ * Deck import: parse the app's JSON export and CSV/TSV word lists into
+ * SRSCards, and plan how they merge into the existing deck.
+ *
+ * Anki packages are read by the server (POST /api/deck/import-anki) and come
+ * back as plain card data, which goes through the same toImportedCard.
+ * Duplicates are matched by normalizeCardId, like addCard.
+ */
+
+import type { SRSCard, DictionaryEntry, CardSource, FsrsState, SiblingTemplate, SiblingSchedule } from '../types';
+import { createCard, normalizeCardId } from './sm2';
+import { cleanWord } from './russian';
+import { SIBLING_TEMPLATES } from './card-templates';
+import { normalizeTag } from './card-tags';
+
+export type MergeStrategy = 'keep-existing' | 'take-imported' | 'latest-review';
+
+export const MERGE_STRATEGIES: { value: MergeStrategy; label: string }[] = [
+  { value: 'keep-existing', label: 'Keep my scheduling' },
+  { value: 'take-imported', label: 'Take imported cards' },
+  { value: 'latest-review', label: 'Keep the later review' },
+];
+
+export interface DeckImportPlan {
+  cards: SRSCard[];   // the deck after the import
+  added: number;
+  updated: number;
+  skipped: number;    // duplicates that leave the deck unchanged
+}
+
+function toNumber(value: unknown): number | undefined {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : undefined;
+  }
+  return undefined;
+}
+
+function toIsoDate(value: unknown): string | undefined {
+  if (typeof value !== 'string' || !value.trim()) return undefined;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+}
+
+function toFsrsState(value: unknown): FsrsState | undefined {
+  const fsrs = value as Partial<FsrsState> | undefined;
+  const stability = toNumber(fsrs?.stability);
+  const difficulty = toNumber(fsrs?.difficulty);
+  return stability && difficulty ? { stability, difficulty: Math.min(10, Math.max(1, difficulty)) } : undefined;
+}
+
+/** Sibling templates' schedules from an export; siblings with missing fields start over as new. */
+function toSiblings(value: unknown): SRSCard['siblings'] {
+  if (!value || typeof value !== 'object') return undefined;
+  const siblings: Partial<Record<SiblingTemplate, SiblingSchedule>> = {};
+  for (const template of SIBLING_TEMPLATES) {
+    const data = (value as Record<string, Record<string, unknown> | undefined>)[template];
+    const easeFactor = toNumber(data?.easeFactor);
+    const interval = toNumber(data?.interval);
+    const repetition = toNumber(data?.repetition);
+    const nextReviewDate = toIsoDate(data?.nextReviewDate);
+    if (easeFactor === undefined || interval === undefined || repetition === undefined || !nextReviewDate) continue;
+    const fsrs = toFsrsState(data?.fsrs);
+    const firstReviewedAt = toIsoDate(data?.firstReviewedAt);
+    siblings[template] = {
+      easeFactor: Math.max(1.3, easeFactor),
+      interval: Math.max(0, interval),
+      repetition: Math.max(0, Math.round(repetition)),
+      nextReviewDate,
+      lastReviewedAt: toIsoDate(data?.lastReviewedAt) ?? null,
+      ...(firstReviewedAt && { firstReviewedAt }),
+      ...(fsrs && { fsrs }),
+    };
+  }
+  return Object.keys(siblings).length > 0 ? siblings : undefined;
+}
+
+/** Tags from a list, or from a CSV cell separated by commas or semicolons. */
+function toTags(value: unknown): string[] | undefined {
+  const raw = Array.isArray(value) ? value.filter((tag): tag is string => typeof tag === 'string')
+    : typeof value === 'string' ? value.split(/[,;]/)
+    : undefined;
+  return raw && raw.reduce<string[]>((tags, tag) => {
+    const normalized = normalizeTag(tag);
+    return normalized && !tags.some(t => t.toLowerCase() === normalized.toLowerCase()) ? [...tags, normalized] : tags;
+  }, []);
+}
+
+/**
+ * Build a card from imported data. Word and translation are required; SM-2
+ * fields, FSRS state, sibling schedules, the stressed form, dictionary data, source, audio clip, tags and sub-deck are kept when valid,
+ * otherwise the card starts out new.
+ * Returns null for rows without a Russian word or a translation.
+ */
+export function toImportedCard(data: Record<string, unknown>): SRSCard | null {
+  const word = typeof data.word === 'string' ? cleanWord(data.word) : '';
+  const translation = typeof data.translation === 'string' ? data.translation.trim() : '';
+  if (!normalizeCardId(word) || !translation) return null;
+
+  const dictionary = data.dictionary && typeof data.dictionary === 'object' ? data.dictionary as DictionaryEntry : undefined;
+  const stressedWord = typeof data.stressedWord === 'string' && data.stressedWord.trim() ? data.stressedWord : undefined;
+  const source = data.source && typeof data.source === 'object' ? data.source as CardSource : undefined;
+  const sourceLanguage = typeof data.sourceLanguage === 'string' ? data.sourceLanguage : 'ru';
+  const card = createCard(word, translation, sourceLanguage, dictionary, stressedWord, source);
+
+  const easeFactor = toNumber(data.easeFactor);
+  const interval = toNumber(data.interval);
+  const repetition = toNumber(data.repetition);
+  const nextReviewDate = toIsoDate(data.nextReviewDate);
+  const addedAt = toIsoDate(data.addedAt);
+  const lastReviewedAt = toIsoDate(data.lastReviewedAt);
+  const audioClip = source && typeof data.audioClip === 'string' ? data.audioClip : undefined;
+  const fsrs = toFsrsState(data.fsrs);
+  const siblings = toSiblings(data.siblings);
+  const firstReviewedAt = toIsoDate(data.firstReviewedAt);
+  const tags = toTags(data.tags);
+  const subDeck = typeof data.subDeck === 'string' ? normalizeTag(data.subDeck) : '';
+  return {
+    ...card,
+    ...(tags && { tags }),
+    ...(subDeck && { subDeck }),
+    ...(audioClip && { audioClip }),
+    ...(fsrs && { fsrs }),
+    ...(siblings && { siblings }),
+    ...(easeFactor !== undefined && { easeFactor: Math.max(1.3, easeFactor) }),
+    ...(interval !== undefined && { interval: Math.max(0, interval) }),
+    ...(repetition !== undefined && { repetition: Math.max(0, Math.round(repetition)) }),
+    ...(nextReviewDate && { nextReviewDate }),
+    ...(addedAt && { addedAt }),
+    ...(lastReviewedAt && { lastReviewedAt }),
+    ...(firstReviewedAt && { firstReviewedAt }),
+  };
+}
+
+/** Cards from the app's own JSON export (an array of SRSCards). */
+export function parseDeckJson(text: string): SRSCard[] {
+  let data: unknown;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  if (!Array.isArray(data)) throw new Error('JSON file is not a deck export');
+  return data.flatMap(item => {
+    const card = item && typeof item === 'object' ? toImportedCard(item) : null;
+    return card ? [card] : [];
+  });
+}
+
+// Header names (lowercase, without spaces or underscores) → card fields
+const COLUMN_ALIASES: Record<string, string> = {
+  word: 'word', russian: 'word', front: 'word',
+  translation: 'translation', english: 'translation', meaning: 'translation', back: 'translation',
+  stressed: 'stressedWord', stressedword: 'stressedWord', stress: 'stressedWord',
+  ease: 'easeFactor', easefactor: 'easeFactor',
+  interval: 'interval',
+  repetition: 'repetition', repetitions: 'repetition', reps: 'repetition',
+  due: 'nextReviewDate', nextreview: 'nextReviewDate', nextreviewdate: 'nextReviewDate',
+  lastreview: 'lastReviewedAt', lastreviewed: 'lastReviewedAt', lastreviewedat: 'lastReviewedAt',
+  added: 'addedAt', addedat: 'addedAt',
+  tags: 'tags', tag: 'tags',
+  deck: 'subDeck', subdeck: 'subDeck',
+};
+
+// Without a header row: word, translation, then an optional stressed form
+const DEFAULT_COLUMNS = ['word', 'translation', 'stressedWord'];
+
+/** Split delimited text into rows of cells, honoring "quoted, cells" and "" escapes. */
+function splitRows(text: string, delimiter: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Cards from a CSV or TSV word list. Columns are word, translation and an
+ * optional stressed form, or named by a header row (word, translation,
+ * stressed, ease, interval, repetition, due, lastReviewed, added, tags, deck).
+ * Tab-separated when the first line has a tab; `#` lines (Anki's text
+ * export headers) are skipped.
+ */
+export function parseDelimited(text: string): SRSCard[] {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => !line.startsWith('#'));
+  const body = lines.join('\n');
+  const delimiter = (lines.find(line => line.trim()) ?? '').includes('\t') ? '\t' : ',';
+  const rows = splitRows(body, delimiter).filter(row => row.some(cell => cell.trim()));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => COLUMN_ALIASES[cell.trim().toLowerCase().replace(/[\s_]/g, '')]);
+  const hasHeader = header.includes('word') && header.includes('translation');
+  const columns = hasHeader ? header : DEFAULT_COLUMNS;
+
+  return rows.slice(hasHeader ? 1 : 0).flatMap(row => {
+    const data: Record<string, unknown> = {};
+    columns.forEach((field, i) => {
+      if (field && row[i] !== undefined) data[field] = row[i].trim();
+    });
+    const card = toImportedCard(data);
+    return card ? [card] : [];
+  });
+}
+
+/** Parse a JSON, CSV or TSV deck file by its extension. */
+export function parseDeckFile(filename: string, text: string): SRSCard[] {
+  const ext = filename.toLowerCase().split('.').pop();
+  if (ext === 'json') return parseDeckJson(text);
+  if (ext === 'csv' || ext === 'tsv' || ext === 'txt') return parseDelimited(text);
+  throw new Error('Unsupported file type. Use .json, .csv, .tsv, .txt, .apkg or .colpkg');
+}
+
+/** Read and parse a JSON, CSV or TSV deck file. */
+export function readDeckFile(file: File): Promise<SRSCard[]> {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        resolve(parseDeckFile(file.name, String(reader.result)));
+      } catch (err) {
+        reject(err);
+      }
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+function lastReviewTime(card: SRSCard): number {
+  return card.lastReviewedAt ? Date.parse(card.lastReviewedAt) || 0 : 0;
+}
+
+/**
+ * Merge one duplicate. Returns `existing` itself when the deck keeps it as is.
+ * Imported cards replace the existing one but keep its dictionary data,
+ * stressed form and source when the import has none (CSV and Anki rows),
+ * and the earlier addedAt.
+ */
+function mergeCard(existing: SRSCard, imported: SRSCard, strategy: MergeStrategy): SRSCard {
+  if (strategy === 'keep-existing') return existing;
+  if (strategy === 'latest-review' && lastReviewTime(imported) <= lastReviewTime(existing)) return existing;
+
+  const merged: SRSCard = {
+    ...existing,
+    ...imported,
+    dictionary: imported.dictionary ?? existing.dictionary,
+    addedAt: imported.addedAt < existing.addedAt ? imported.addedAt : existing.addedAt,
+  };
+  const changed = (Object.keys(merged) as (keyof SRSCard)[])
+    .some(key => JSON.stringify(merged[key]) !== JSON.stringify(existing[key]));
+  return changed ? merged : existing;
+}
+
+/**
+ * Work out the deck after importing `imported` into `existing`:
+ * new words are appended, duplicates (same normalizeCardId, also within the
+ * file) are resolved with the merge strategy, and cards the import doesn't
+ * mention are left alone.
+ */
+export function planDeckImport(existing: SRSCard[], imported: SRSCard[], strategy: MergeStrategy): DeckImportPlan {
+  const byId = new Map(existing.map(card => [card.id, card]));
+  const updated = new Map<string, SRSCard>();
+  const added: SRSCard[] = [];
+  const seen = new Set<string>();
+  let skipped = 0;
+
+  for (const card of imported) {
+    if (seen.has(card.id)) {
+      skipped++;
+      continue;
+    }
+    seen.add(card.id);
+    const current = byId.get(card.id);
+    if (!current) {
+      added.push(card);
+      continue;
+    }
+    const merged = mergeCard(current, card, strategy);
+    if (merged === current) skipped++;
+    else updated.set(card.id, merged);
+  }
+
+  return {
+    cards: [...existing.map(card => updated.get(card.id) ?? card), ...added],
+    added: added.length,
+    updated: updated.size,
+    skipped,
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Deck statistics from the review log and the cards — pure functions, no IO.
+ * Days are "YYYY-MM-DD" in the user's local timezone, like the streak, so a
+ * late-evening review lands on the same heatmap day as that day's streak.
+ */
+
+import type { SRSCard, ReviewLogEntry } from '../types';
+import { getLocalDateString, previousDay, getMondayOfWeek } from './streak';
+
+export interface DayCount {
+  date: string;
+  reviews: number;
+  lapses: number;   // Again ratings
+}
+
+export interface RetentionBucket {
+  label: string;
+  reviews: number;
+  retention: number | null;  // share not rated Again, null without reviews
+}
+
+export interface ForecastDay {
+  date: string;
+  due: number;      // day 0 includes overdue cards
+}
+
+export interface EaseBucket {
+  label: string;    // ease as a percentage, like Anki: "250%"
+  cards: number;
+}
+
+export interface HeatmapDay {
+  date: string;
+  reviews: number;
+  streakDay: boolean;  // a chunk was completed (StreakData.completionDates)
+  future: boolean;     // after today, in the current week's column
+}
+
+// Previous interval ranges for retention (days, inclusive)
+const INTERVAL_BUCKETS: { label: string; min: number; max: number }[] = [
+  { label: '1d', min: 1, max: 1 },
+  { label: '2–6d', min: 2, max: 6 },
+  { label: '1–3w', min: 7, max: 20 },
+  { label: '3w–2mo', min: 21, max: 59 },
+  { label: '2mo+', min: 60, max: Infinity },
+];
+
+const EASE_MIN = 130;
+const EASE_STEP = 20;
+const EASE_BUCKETS = 9; // 130%, 150%, … 290%+
+
+// Weeks of review history the statistics cover (the streak's 90 days)
+export const STATS_WEEKS = 13;
+
+/** The `days` local dates ending today, oldest first. */
+function lastDays(days: number, today: string): string[] {
+  const dates = [today];
+  while (dates.length < days) dates.unshift(previousDay(dates[0]));
+  return dates;
+}
+
+function nextDay(dateStr: string): string {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return getLocalDateString(new Date(y, m - 1, d + 1, 12));
+}
+
+function reviewsByDay(log: ReviewLogEntry[]): Map<string, DayCount> {
+  const byDay = new Map<string, DayCount>();
+  for (const entry of log) {
+    const time = Date.parse(entry.reviewedAt);
+    if (Number.isNaN(time)) continue;
+    const date = getLocalDateString(new Date(time));
+    const day = byDay.get(date) ?? { date, reviews: 0, lapses: 0 };
+    day.reviews++;
+    if (entry.rating === 0) day.lapses++;
+    byDay.set(date, day);
+  }
+  return byDay;
+}
+
+/** Reviews and lapses on each of the last `days` days, oldest first. */
+export function reviewsPerDay(log: ReviewLogEntry[], days = 30, today = getLocalDateString()): DayCount[] {
+  const byDay = reviewsByDay(log);
+  return lastDays(days, today).map(date => byDay.get(date) ?? { date, reviews: 0, lapses: 0 });
+}
+
+/**
+ * Share of reviews recalled (not rated Again), grouped by the interval the
+ * card had been given. Learning reviews (no previous interval) are left out.
+ */
+export function retentionByInterval(log: ReviewLogEntry[]): RetentionBucket[] {
+  return INTERVAL_BUCKETS.map(({ label, min, max }) => {
+    const entries = log.filter(e => e.previousInterval >= min && e.previousInterval <= max);
+    const recalled = entries.filter(e => e.rating > 0).length;
+    return { label, reviews: entries.length, retention: entries.length > 0 ? recalled / entries.length : null };
+  });
+}
+
+/** Cards due on each of the next `days` days, starting today (which includes overdue cards). */
+export function dueForecast(cards: SRSCard[], days = 30, now = new Date()): ForecastDay[] {
+  const forecast: ForecastDay[] = [];
+  let date = getLocalDateString(now);
+  for (let i = 0; i < days; i++) {
+    forecast.push({ date, due: 0 });
+    date = nextDay(date);
+  }
+  const index = new Map(forecast.map((day, i) => [day.date, i]));
+  for (const card of cards) {
+    const time = Date.parse(card.nextReviewDate);
+    if (Number.isNaN(time)) continue;
+    const dueDate = getLocalDateString(new Date(time));
+    if (dueDate <= forecast[0].date) forecast[0].due++;
+    else if (index.has(dueDate)) forecast[index.get(dueDate)!].due++;
+  }
+  return forecast;
+}
+
+/** Ease factors of graduated cards in 20% steps from 130% (the SM-2 minimum). */
+export function easeDistribution(cards: SRSCard[]): EaseBucket[] {
+  const counts = new Array<number>(EASE_BUCKETS).fill(0);
+  for (const card of cards) {
+    if (card.repetition === 0 && card.interval === 0) continue;
+    const bucket = Math.floor((Math.round(card.easeFactor * 100) - EASE_MIN) / EASE_STEP);
+    counts[Math.min(EASE_BUCKETS - 1, Math.max(0, bucket))]++;
+  }
+  return counts.map((cards, i) => ({
+    label: `${EASE_MIN + i * EASE_STEP}%${i === EASE_BUCKETS - 1 ? '+' : ''}`,
+    cards,
+  }));
+}
+
+/** The Monday `weeks` weeks back (counting this one), the first day the heatmap shows. */
+export function statsStartDate(weeks = STATS_WEEKS, today = getLocalDateString()): string {
+  let date = getMondayOfWeek(today);
+  for (let i = 1; i < weeks; i++) {
+    for (let d = 0; d < 7; d++) date = previousDay(date);
+  }
+  return date;
+}
+
+/**
+ * Daily reviews for the last `weeks` weeks as Monday-first week columns,
+ * marking the streak's completion days.
+ */
+export function reviewHeatmap(
+  log: ReviewLogEntry[],
+  completionDates: string[],
+  weeks = STATS_WEEKS,
+  today = getLocalDateString(),
+): HeatmapDay[][] {
+  const byDay = reviewsByDay(log);
+  const streakDays = new Set(completionDates);
+  let date = statsStartDate(weeks, today);
+  const columns: HeatmapDay[][] = [];
+  for (let w = 0; w < weeks; w++) {
+    const column: HeatmapDay[] = [];
+    for (let d = 0; d < 7; d++) {
+      column.push({
+        date,
+        reviews: byDay.get(date)?.reviews ?? 0,
+        streakDay: streakDays.has(date),
+        future: date > today,
+      });
+      date = nextDay(date);
+    }
+    columns.push(column);
+  }
+  return columns;
+}
@@ -0,0 +1,288 @@
+/**
+ * FSRS (Free Spaced Repetition Scheduler, version 5) — the alternative to SM-2
+ * a deck can opt into in Settings.
+ *
+ * A card's memory state is its stability S (days until the chance of recall
+ * drops to 90%) and difficulty D (1–10). Retrievability R is the predicted
+ * chance of recall t days after the last review. Each rating updates S and D
+ * from R at the time of the review, and the next interval is the time until
+ * R falls to the deck's desired retention.
+ *
+ * Again always relearns in 1 minute, and Hard on a card still in learning
+ * waits 5 minutes, like SM-2, so the review queue behaves the same under both.
+ */
+
+import type { SRSCard, SRSRating, FsrsState, DeckSettings, ReviewLogEntry } from '../types';
+import { addMinutes, addDays } from './sm2';
+import type { IntervalPreview } from './sm2';
+
+// FSRS-5 defaults, fitted by the FSRS project on a large pool of Anki reviews
+export const FSRS_DEFAULT_WEIGHTS: readonly number[] = [
+  0.40255, 1.18385, 3.173, 15.69105, 7.1949, 0.5345, 1.4604, 0.0046, 1.54575, 0.1192,
+  1.01925, 1.9395, 0.11, 0.29605, 2.2698, 0.2315, 2.9898, 0.51655, 0.6621,
+];
+
+// Allowed range for each weight during optimization
+const WEIGHT_BOUNDS: readonly [number, number][] = [
+  [0.01, 100], [0.01, 100], [0.01, 100], [0.01, 100], [1, 10], [0.001, 4], [0.001, 4],
+  [0.001, 0.75], [0, 4.5], [0, 0.8], [0.001, 3.5], [0.001, 5], [0.001, 0.25], [0.001, 0.9],
+  [0, 4], [0, 1], [1, 6], [0, 2], [0, 2],
+];
+
+export const DEFAULT_RETENTION = 0.9;
+export const MIN_OPTIMIZE_REVIEWS = 100;
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81; // makes R = 90% exactly when t = S
+const MAX_INTERVAL = 36500;
+const MIN_STABILITY = 0.1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PASSES = 40;
+const LOG_SLACK_MS = 60 * 1000; // a review is logged just after the card is stamped
+
+// FSRS grades: Again=1, Hard=2, Good=3, Easy=4
+type Grade = 1 | 2 | 3 | 4;
+const GRADES: Record<SRSRating, Grade> = { 0: 1, 2: 2, 4: 3, 5: 4 };
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(max, Math.max(min, value));
+}
+
+/** Chance of recalling a card `elapsedDays` after its last review. */
+export function retrievability(elapsedDays: number, stability: number): number {
+  return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+}
+
+/** Whole days until retrievability falls to `retention` (1 – 36500). */
+export function nextInterval(stability: number, retention = DEFAULT_RETENTION): number {
+  const days = stability / FACTOR * (Math.pow(retention, 1 / DECAY) - 1);
+  return clamp(Math.round(days), 1, MAX_INTERVAL);
+}
+
+function initialDifficulty(w: readonly number[], grade: Grade): number {
+  return w[4] - Math.exp(w[5] * (grade - 1)) + 1;
+}
+
+/** State after a card's first rating. */
+function initialState(w: readonly number[], grade: Grade): FsrsState {
+  return {
+    stability: Math.max(MIN_STABILITY, w[grade - 1]),
+    difficulty: clamp(initialDifficulty(w, grade), 1, 10),
+  };
+}
+
+/** State after rating a card `elapsedDays` after its previous review. */
+function nextState(w: readonly number[], { stability: s, difficulty: d }: FsrsState, grade: Grade, elapsedDays: number): FsrsState {
+  // Difficulty moves with the grade, less so near 10, and reverts toward an Easy first rating
+  const damped = d - w[6] * (grade - 3) * (10 - d) / 9;
+  const difficulty = clamp(w[7] * initialDifficulty(w, 4) + (1 - w[7]) * damped, 1, 10);
+
+  let stability: number;
+  if (elapsedDays < 1) {
+    // Same-day review (learning, relearning)
+    stability = s * Math.exp(w[17] * (grade - 3 + w[18]));
+  } else if (grade === 1) {
+    const r = retrievability(elapsedDays, s);
+    stability = Math.min(s, w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r)));
+  } else {
+    const r = retrievability(elapsedDays, s);
+    const bonus = grade === 2 ? w[15] : grade === 4 ? w[16] : 1;
+    stability = s * (1 + Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) * (Math.exp(w[10] * (1 - r)) - 1) * bonus);
+  }
+  return { stability: Math.max(MIN_STABILITY, stability), difficulty };
+}
+
+function deckWeights(settings?: DeckSettings): readonly number[] {
+  const weights = settings?.fsrsWeights;
+  return weights?.length === FSRS_DEFAULT_WEIGHTS.length && weights.every(Number.isFinite) ? weights : FSRS_DEFAULT_WEIGHTS;
+}
+
+/**
+ * Initial FSRS state for a card reviewed under SM-2, or undefined for a card
+ * never reviewed. The SM-2 interval becomes the stability (at 90% retention
+ * the interval equals S) and the ease factor maps onto difficulty:
+ * 2.5 → 5, 1.3 → 10. Cards in (re)learning start from an Again rating.
+ */
+export function migrateFromSm2(card: SRSCard, settings?: DeckSettings): FsrsState | undefined {
+  if (!card.lastReviewedAt) return undefined;
+  const w = deckWeights(settings);
+  return {
+    stability: card.interval > 0 ? card.interval : Math.max(MIN_STABILITY, w[0]),
+    difficulty: clamp(5 + (2.5 - card.easeFactor) * 5 / 1.2, 1, 10),
+  };
+}
+
+/** Give reviewed cards without an FSRS state one from their SM-2 fields. */
+export function migrateDeckToFsrs(cards: SRSCard[], settings?: DeckSettings): SRSCard[] {
+  return cards.map(card => {
+    if (card.fsrs) return card;
+    const fsrs = migrateFromSm2(card, settings);
+    return fsrs ? { ...card, fsrs } : card;
+  });
+}
+
+/**
+ * Review a card with FSRS. Keeps interval, repetition and nextReviewDate in
+ * step with the SM-2 fields so due lists, stats and Anki export work as
+ * before; the ease factor is left alone for switching back to SM-2.
+ */
+export function fsrs(card: SRSCard, rating: SRSRating, settings?: DeckSettings): SRSCard {
+  const w = deckWeights(settings);
+  const retention = settings?.desiredRetention ?? DEFAULT_RETENTION;
+  const grade = GRADES[rating];
+  const now = Date.now();
+
+  const previous = card.fsrs ?? migrateFromSm2(card, settings);
+  const elapsedDays = card.lastReviewedAt ? Math.max(0, now - Date.parse(card.lastReviewedAt)) / DAY_MS : 0;
+  const state = previous ? nextState(w, previous, grade, elapsedDays) : initialState(w, grade);
+
+  let interval = 0;
+  let repetition = 0;
+  let nextReviewDate: string;
+  if (grade === 1) {
+    nextReviewDate = addMinutes(1);
+  } else if (grade === 2 && card.repetition === 0) {
+    nextReviewDate = addMinutes(5);
+  } else {
+    interval = nextInterval(state.stability, retention);
+    repetition = card.repetition + 1;
+    nextReviewDate = addDays(interval);
+  }
+
+  return {
+    ...card,
+    fsrs: state,
+    interval,
+    repetition,
+    nextReviewDate,
+    lastReviewedAt: new Date(now).toISOString(),
+  };
+}
+
+/** Interval for a rating under FSRS (for button labels). */
+export function previewFsrsInterval(card: SRSCard, rating: SRSRating, settings?: DeckSettings): IntervalPreview {
+  const updated = fsrs(card, rating, settings);
+  if (updated.interval > 0) return { value: updated.interval, unit: 'day' };
+  return { value: rating === 0 ? 1 : 5, unit: 'min' };
+}
+
+export interface FsrsOptimization {
+  weights: number[];
+  reviews: number;         // reviews the loss was measured on
+  logLoss: number;         // with the fitted weights
+  startLogLoss: number;    // with the starting weights
+}
+
+interface PastReview {
+  grade: Grade;
+  elapsedDays: number;     // since the card's previous review (0 for the first)
+}
+
+/** When the deck's card says the card or template was first reviewed, if it knows. */
+function firstReviewTime(card: SRSCard | undefined, template: ReviewLogEntry['template']): number | null | undefined {
+  const schedule = template ? card?.siblings?.[template] : card;
+  if (!schedule?.lastReviewedAt) return undefined;
+  return schedule.firstReviewedAt ? Date.parse(schedule.firstReviewedAt) : null;
+}
+
+/**
+ * Group the log into each card's reviews, oldest first (sibling templates apart).
+ * Drops cards reviewed before their first logged review — a first entry with a
+ * previous interval, or a card first reviewed (or reviewed with no record of
+ * when it started) earlier — as their state can't be replayed from the log.
+ */
+function cardHistories(log: ReviewLogEntry[], cards: SRSCard[]): PastReview[][] {
+  const byCard = new Map<string, { grade: Grade; time: number; entry: ReviewLogEntry }[]>();
+  for (const entry of log) {
+    const time = Date.parse(entry.reviewedAt);
+    const grade = GRADES[entry.rating];
+    if (Number.isNaN(time) || !grade) continue;
+    const key = entry.template ? `${entry.cardId}/${entry.template}` : entry.cardId;
+    const reviews = byCard.get(key) ?? [];
+    reviews.push({ grade, time, entry });
+    byCard.set(key, reviews);
+  }
+  const deck = new Map(cards.map(card => [card.id, card]));
+  const histories: PastReview[][] = [];
+  for (const reviews of byCard.values()) {
+    reviews.sort((a, b) => a.time - b.time);
+    const [first] = reviews;
+    if (first.entry.previousInterval > 0) continue;
+    const firstReviewed = firstReviewTime(deck.get(first.entry.cardId), first.entry.template);
+    if (firstReviewed === null || (firstReviewed !== undefined && firstReviewed < first.time - LOG_SLACK_MS)) continue;
+    histories.push(reviews.map((review, i) => ({
+      grade: review.grade,
+      elapsedDays: i === 0 ? 0 : (review.time - reviews[i - 1].time) / DAY_MS,
+    })));
+  }
+  return histories;
+}
+
+/**
+ * Mean log loss of the predicted recall against what happened (Again = forgotten)
+ * over reviews at least a day after the previous one.
+ */
+function logLoss(w: readonly number[], histories: PastReview[][]): { loss: number; reviews: number } {
+  let total = 0;
+  let reviews = 0;
+  for (const history of histories) {
+    let state = initialState(w, history[0].grade);
+    for (let i = 1; i < history.length; i++) {
+      const { grade, elapsedDays } = history[i];
+      if (elapsedDays >= 1) {
+        const r = clamp(retrievability(elapsedDays, state.stability), 1e-4, 1 - 1e-4);
+        total -= grade > 1 ? Math.log(r) : Math.log(1 - r);
+        reviews++;
+      }
+      state = nextState(w, state, grade, elapsedDays);
+    }
+  }
+  return { loss: reviews > 0 ? total / reviews : 0, reviews };
+}
+
+/**
+ * Fit FSRS weights to a user's review log by coordinate search: nudge one
+ * weight at a time within its bounds, keep changes that lower the log loss,
+ * and halve the step sizes when a full pass finds nothing better. Yields to
+ * the event loop after each pass so a long log doesn't freeze the page.
+ * `cards` is the deck, to leave out cards reviewed before the log began.
+ * Rejects when the log has fewer than MIN_OPTIMIZE_REVIEWS reviews to measure.
+ */
+export async function optimizeWeights(
+  log: ReviewLogEntry[],
+  cards: SRSCard[],
+  start: readonly number[] = FSRS_DEFAULT_WEIGHTS,
+): Promise<FsrsOptimization> {
+  const histories = cardHistories(log, cards);
+  const initial = logLoss(start, histories);
+  if (initial.reviews < MIN_OPTIMIZE_REVIEWS) {
+    throw new Error(`Optimizing needs at least ${MIN_OPTIMIZE_REVIEWS} reviews of cards seen on an earlier day (you have ${initial.reviews})`);
+  }
+
+  let weights = start.map((value, i) => clamp(value, ...WEIGHT_BOUNDS[i]));
+  let best = logLoss(weights, histories).loss;
+  let steps = WEIGHT_BOUNDS.map(([min, max]) => (max - min) / 20);
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let improved = false;
+    for (let i = 0; i < weights.length; i++) {
+      for (const direction of [1, -1]) {
+        const value = clamp(weights[i] + direction * steps[i], ...WEIGHT_BOUNDS[i]);
+        if (value === weights[i]) continue;
+        const candidate = weights.slice();
+        candidate[i] = value;
+        const { loss } = logLoss(candidate, histories);
+        if (loss < best - 1e-9) {
+          weights = candidate;
+          best = loss;
+          improved = true;
+          break;
+        }
+      }
+    }
+    if (!improved) steps = steps.map(step => step / 2);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return { weights, reviews: initial.reviews, logLoss: best, startLogLoss: initial.loss };
+}
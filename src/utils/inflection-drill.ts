@@ -0,0 +1,166 @@
+/**
+ * Inflection drill: exercises generated from the dictionary tables on deck
+ * cards ("книга → instrumental plural?", "сказать → ты, future?"), checked
+ * like typed answers, with accuracy kept per table cell so rounds lean on
+ * the cells the user gets wrong.
+ *
+ * Cell keys name the table cell: "noun.inst.pl", "verb.future.sg2",
+ * "verb.past.f", "verb.imperative.sg", "adj.short.f", "adj.comparative".
+ */
+
+import type { SRSCard, GrammaticalCase, GrammaticalNumber, CellScore, DrillStats } from '../types';
+import { CASE_NAMES, NUMBER_NAMES } from './morphology';
+import { normalizeRussianWord } from './russian';
+import { checkTypedAnswer } from './card-templates';
+import type { TypedAnswerCheck } from './card-templates';
+
+export interface DrillExercise {
+  cardId: string;
+  lemma: string;          // dictionary form, stress marks kept
+  translation: string;
+  cell: string;           // table cell key, see above
+  prompt: string;         // "instrumental plural", "ты, future"
+  answers: string[];      // accepted forms (a cell can list alternatives)
+}
+
+export interface GroupAccuracy {
+  group: string;          // a case, a tense, or an adjective form
+  attempts: number;
+  correct: number;
+  accuracy: number;
+}
+
+const CASES: GrammaticalCase[] = ['nom', 'gen', 'dat', 'acc', 'inst', 'prep'];
+const NUMBERS: GrammaticalNumber[] = ['sg', 'pl'];
+const PERSONS = { sg1: 'я', sg2: 'ты', sg3: 'он/она', pl1: 'мы', pl2: 'вы', pl3: 'они' } as const;
+const PAST_SUBJECTS = { m: 'он', f: 'она', n: 'оно', pl: 'они' } as const;
+const IMPERATIVE_SUBJECTS = { sg: 'ты', pl: 'вы' } as const;
+const ADJECTIVE_FORMS = { m: 'masculine', f: 'feminine', n: 'neuter', pl: 'plural' } as const;
+
+export const DEFAULT_ROUND_SIZE = 10;
+
+/** Alternatives in one table cell ("кни́гой, кни́гою"), without placeholders for missing forms. */
+function cellForms(value: string | undefined): string[] {
+  if (!value) return [];
+  return value.split(/[,;/]/).map(form => form.trim()).filter(form => normalizeRussianWord(form) !== '');
+}
+
+// The cells that hold the dictionary form itself
+const LEMMA_CELLS = new Set(['noun.nom.sg', 'adj.long.m']);
+
+/** Every drillable cell of a card's dictionary tables. */
+export function drillExercises(card: SRSCard): DrillExercise[] {
+  const dictionary = card.dictionary;
+  if (!dictionary) return [];
+  const lemma = dictionary.stressedForm || card.word;
+  const exercises: DrillExercise[] = [];
+  const add = (cell: string, prompt: string, value: string | undefined) => {
+    const answers = cellForms(value);
+    if (answers.length === 0 || LEMMA_CELLS.has(cell)) return;
+    exercises.push({ cardId: card.id, lemma, translation: card.translation, cell, prompt, answers });
+  };
+
+  const { declension, conjugation, adjectiveForms } = dictionary;
+  if (declension) {
+    for (const number of NUMBERS) {
+      for (const grammaticalCase of CASES) {
+        add(`noun.${grammaticalCase}.${number}`, `${CASE_NAMES[grammaticalCase]} ${NUMBER_NAMES[number]}`, declension[number]?.[grammaticalCase]);
+      }
+    }
+  }
+  if (conjugation) {
+    // The present-tense table of a perfective verb holds its future
+    const tense = dictionary.aspect === 'perfective' ? 'future' : 'present';
+    for (const [person, pronoun] of Object.entries(PERSONS) as [keyof typeof PERSONS, string][]) {
+      add(`verb.${tense}.${person}`, `${pronoun}, ${tense}`, conjugation.present?.[person]);
+    }
+    for (const [form, subject] of Object.entries(PAST_SUBJECTS) as [keyof typeof PAST_SUBJECTS, string][]) {
+      add(`verb.past.${form}`, `${subject}, past`, conjugation.past?.[form]);
+    }
+    for (const [form, subject] of Object.entries(IMPERATIVE_SUBJECTS) as [keyof typeof IMPERATIVE_SUBJECTS, string][]) {
+      add(`verb.imperative.${form}`, `${subject}, imperative`, conjugation.imperative?.[form]);
+    }
+  }
+  if (adjectiveForms) {
+    for (const [form, name] of Object.entries(ADJECTIVE_FORMS) as [keyof typeof ADJECTIVE_FORMS, string][]) {
+      add(`adj.long.${form}`, name, adjectiveForms.long?.[form]);
+      add(`adj.short.${form}`, `short ${name}`, adjectiveForms.short?.[form]);
+    }
+    add('adj.comparative', 'comparative', adjectiveForms.comparative);
+    add('adj.superlative', 'superlative', adjectiveForms.superlative);
+  }
+  return exercises;
+}
+
+/** Chance of a cell being picked, relative to others: its error rate, smoothed so unseen cells sit at 0.5. */
+export function cellWeight(score?: CellScore): number {
+  const attempts = score?.attempts ?? 0;
+  const correct = score?.correct ?? 0;
+  return (attempts - correct + 1) / (attempts + 2);
+}
+
+/**
+ * A round of exercises from the deck, picked at random weighted toward weak
+ * cells, one per card while there are cards left.
+ */
+export function pickExercises(
+  cards: SRSCard[],
+  stats: DrillStats,
+  count = DEFAULT_ROUND_SIZE,
+  random: () => number = Math.random,
+): DrillExercise[] {
+  let pool = cards.flatMap(drillExercises);
+  const round: DrillExercise[] = [];
+  const usedCards = new Set<string>();
+  while (round.length < count && pool.length > 0) {
+    const fresh = pool.filter(exercise => !usedCards.has(exercise.cardId));
+    const candidates = fresh.length > 0 ? fresh : pool;
+    const weights = candidates.map(exercise => cellWeight(stats[exercise.cell]));
+    let target = random() * weights.reduce((sum, w) => sum + w, 0);
+    let index = 0;
+    while (index < candidates.length - 1 && target >= weights[index]) {
+      target -= weights[index];
+      index++;
+    }
+    const picked = candidates[index];
+    round.push(picked);
+    usedCards.add(picked.cardId);
+    pool = pool.filter(exercise => exercise !== picked);
+  }
+  return round;
+}
+
+/** Check a typed form against the cell's alternatives; the diff is against the closest one. */
+export function checkDrillAnswer(exercise: DrillExercise, typed: string): TypedAnswerCheck {
+  const checks = exercise.answers.map(answer => checkTypedAnswer(typed, answer));
+  const matched = (check: TypedAnswerCheck) => check.segments.filter(s => s.kind === 'match').reduce((n, s) => n + s.text.length, 0);
+  return checks.find(check => check.correct) ?? checks.reduce((best, check) => matched(check) > matched(best) ? check : best);
+}
+
+export function recordDrillAnswer(stats: DrillStats, cell: string, correct: boolean): DrillStats {
+  const score = stats[cell] ?? { attempts: 0, correct: 0 };
+  return { ...stats, [cell]: { attempts: score.attempts + 1, correct: score.correct + (correct ? 1 : 0) } };
+}
+
+/** The case, tense or adjective form a cell belongs to. */
+export function cellGroup(cell: string): string {
+  const [pos, first] = cell.split('.');
+  if (pos === 'noun') return CASE_NAMES[first as GrammaticalCase] ?? first;
+  if (pos === 'adj') return first === 'long' || first === 'short' ? `${first} form` : first;
+  return first;
+}
+
+/** Accuracy by case, tense and adjective form, weakest first. */
+export function accuracyByGroup(stats: DrillStats): GroupAccuracy[] {
+  const groups = new Map<string, GroupAccuracy>();
+  for (const [cell, score] of Object.entries(stats)) {
+    if (score.attempts === 0) continue;
+    const group = cellGroup(cell);
+    const entry = groups.get(group) ?? { group, attempts: 0, correct: 0, accuracy: 0 };
+    entry.attempts += score.attempts;
+    entry.correct += score.correct;
+    entry.accuracy = entry.correct / entry.attempts;
+    groups.set(group, entry);
+  }
+  return [...groups.values()].sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts);
+}
@@ -0,0 +1,84 @@
+/**
+ * Grammatical tag helpers for the transcript overlay and word popup.
+ *
+ * Tags come from the server (WordTimestamp.morph, Translation.morph) and
+ * follow the dictionary's table columns: case/number/gender for nouns and
+ * adjectives, tense/person/number/aspect for verbs.
+ */
+
+import type { GrammaticalCase, GrammaticalNumber, MorphTag, TranslatorConfig } from '../types';
+
+export const CASE_NAMES: Record<GrammaticalCase, string> = {
+  nom: 'nominative',
+  gen: 'genitive',
+  dat: 'dative',
+  acc: 'accusative',
+  inst: 'instrumental',
+  prep: 'prepositional',
+};
+
+export const NUMBER_NAMES: Record<GrammaticalNumber, string> = {
+  sg: 'singular',
+  pl: 'plural',
+};
+
+const GENDER_NAMES = { m: 'masculine', f: 'feminine', n: 'neuter' } as const;
+const PERSON_NAMES = { 1: '1st person', 2: '2nd person', 3: '3rd person' } as const;
+
+// Full class names so Tailwind keeps them
+export const CASE_COLORS: Record<GrammaticalCase, string> = {
+  nom: 'text-blue-700',
+  gen: 'text-amber-700',
+  dat: 'text-green-700',
+  acc: 'text-red-700',
+  inst: 'text-purple-700',
+  prep: 'text-teal-700',
+};
+
+/** "instrumental singular", "past feminine singular", "1st person singular future" */
+function describeTag(tag: MorphTag): string {
+  const parts: string[] = [];
+  if (tag.person) parts.push(PERSON_NAMES[tag.person]);
+  if (tag.form === 'short') parts.push('short');
+  if (tag.tense === 'past') parts.push('past');
+  if (tag.mood) parts.push(tag.mood);
+  if (tag.case) parts.push(CASE_NAMES[tag.case]);
+  if (tag.gender) parts.push(GENDER_NAMES[tag.gender]);
+  if (tag.number) parts.push(NUMBER_NAMES[tag.number]);
+  if (tag.tense === 'present' || tag.tense === 'future') parts.push(tag.tense);
+  if (tag.form && tag.form !== 'short') parts.push(tag.form);
+  return parts.join(' ');
+}
+
+/**
+ * Describe a word's grammatical readings for the popup:
+ * "instrumental singular of книга", "genitive singular or nominative plural of книга",
+ * "1st person singular future of сказать (perfective)".
+ * Returns null when there are no tags.
+ */
+export function describeMorph(tags: MorphTag[] | undefined, lemma?: string): string | null {
+  if (!tags || tags.length === 0) return null;
+  const descriptions = [...new Set(tags.map(describeTag))];
+  const aspects = new Set(tags.map(tag => tag.aspect).filter(Boolean));
+  const aspect = aspects.size === 1 ? ` (${[...aspects][0]})` : '';
+  return `${descriptions.join(' or ')}${lemma ? ` of ${lemma}` : ''}${aspect}`;
+}
+
+/** Case of the word's first reading, for coloring; undefined for verbs and unknown words. */
+export function primaryCase(tags: MorphTag[] | undefined): GrammaticalCase | undefined {
+  return tags?.find(tag => tag.case)?.case;
+}
+
+/**
+ * Whether any of a word's readings matches the transcript's grammar filter
+ * (e.g. genitive + plural). An empty filter matches nothing.
+ */
+export function matchesGrammarFilter(
+  tags: MorphTag[] | undefined,
+  filter: TranslatorConfig['grammarFilter'],
+): boolean {
+  if (!tags || !filter || (!filter.case && !filter.number)) return false;
+  return tags.some(tag =>
+    (!filter.case || tag.case === filter.case) && (!filter.number || tag.number === filter.number),
+  );
+}
@@ -0,0 +1,124 @@
+/**
+ * Review sessions: daily limits, filters and cram.
+ *
+ * Due reviews are capped per local day by the deck's limits and by each
+ * sub-deck's. New templates (never reviewed) and reviews are counted apart,
+ * from what the cards record as studied today, so the count holds across
+ * devices; templates already reviewed today (learning steps, lapses) are
+ * never held back. New sibling templates (production, typed, …) are also
+ * capped deck-wide, at NEW_SIBLINGS_PER_DAY unless the deck sets its own
+ * limit, so turning a template on rolls it out over days rather than adding
+ * a review for every card at once. A filtered review takes the due reviews
+ * of the cards in a sub-deck and/or with some tags, within the limits; cram
+ * takes every template of those cards, due or not, and its ratings aren't saved.
+ */
+
+import type { SRSCard, DeckSettings, SiblingTemplate } from '../types';
+import { getDueReviews, templateView } from './card-templates';
+import type { DueReview } from './card-templates';
+import { hasTag } from './card-tags';
+import { getLocalDateString } from './streak';
+
+export interface ReviewFilter {
+  subDeck?: string;   // only cards filed in this sub-deck
+  tags?: string[];    // only cards with every one of these tags
+  cram?: boolean;     // every template of the matching cards, ignoring the schedule
+}
+
+export interface StudiedToday {
+  newCards: number;
+  reviews: number;
+}
+
+// Cram treats everything as due
+const END_OF_TIME = '9999-12-31T23:59:59.999Z';
+
+// New sibling templates introduced a day when the deck doesn't set newSiblingsPerDay
+export const NEW_SIBLINGS_PER_DAY = 20;
+
+export function matchesFilter(card: SRSCard, filter: ReviewFilter): boolean {
+  if (filter.subDeck && card.subDeck !== filter.subDeck) return false;
+  return (filter.tags ?? []).every(tag => hasTag(card, tag));
+}
+
+function studiedOn(timestamp: string | null | undefined, today: string): boolean {
+  return !!timestamp && getLocalDateString(new Date(timestamp)) === today;
+}
+
+// A card counts toward the deck's limits and its sub-deck's
+function scopes(card: SRSCard): string[] {
+  return card.subDeck ? ['', card.subDeck] : [''];
+}
+
+function tally(studied: Map<string, StudiedToday>, card: SRSCard, kind: keyof StudiedToday): void {
+  for (const scope of scopes(card)) {
+    const counts = studied.get(scope) ?? { newCards: 0, reviews: 0 };
+    counts[kind]++;
+    studied.set(scope, counts);
+  }
+}
+
+/** Templates studied today, for the whole deck (key '') and each sub-deck (key: its name). */
+export function studiedToday(cards: SRSCard[], now = new Date()): Map<string, StudiedToday> {
+  const today = getLocalDateString(now);
+  const studied = new Map<string, StudiedToday>([['', { newCards: 0, reviews: 0 }]]);
+  for (const card of cards) {
+    const views = [card, ...(Object.keys(card.siblings ?? {}) as SiblingTemplate[]).map(template => templateView(card, template))];
+    for (const view of views) {
+      if (!studiedOn(view.lastReviewedAt, today)) continue;
+      tally(studied, card, studiedOn(view.firstReviewedAt, today) ? 'newCards' : 'reviews');
+    }
+  }
+  return studied;
+}
+
+/** Sibling templates first studied today, across the deck. */
+function newSiblingsToday(cards: SRSCard[], today: string): number {
+  let count = 0;
+  for (const card of cards) {
+    for (const schedule of Object.values(card.siblings ?? {})) {
+      if (studiedOn(schedule.firstReviewedAt, today)) count++;
+    }
+  }
+  return count;
+}
+
+/** Drop due reviews past today's limits of the deck or the card's sub-deck, keeping their order. */
+export function applyDailyLimits(reviews: DueReview[], cards: SRSCard[], settings?: DeckSettings, now = new Date()): DueReview[] {
+  const today = getLocalDateString(now);
+  const studied = studiedToday(cards, now);
+  let newSiblings = newSiblingsToday(cards, today);
+  const maxNewSiblings = settings?.newSiblingsPerDay ?? NEW_SIBLINGS_PER_DAY;
+  const limit = (scope: string, kind: keyof StudiedToday) => {
+    const limits = scope ? settings?.subDecks?.[scope] : settings;
+    return kind === 'newCards' ? limits?.newPerDay : limits?.reviewsPerDay;
+  };
+
+  const kept: DueReview[] = [];
+  for (const review of reviews) {
+    const view = templateView(review.card, review.template);
+    if (studiedOn(view.lastReviewedAt, today)) {
+      kept.push(review);
+      continue;
+    }
+    const kind = view.lastReviewedAt === null ? 'newCards' : 'reviews';
+    const newSibling = kind === 'newCards' && review.template !== 'recognition';
+    if (newSibling && newSiblings >= maxNewSiblings) continue;
+    const full = scopes(review.card).some(scope => {
+      const max = limit(scope, kind);
+      return max !== undefined && (studied.get(scope)?.[kind] ?? 0) >= max;
+    });
+    if (full) continue;
+    tally(studied, review.card, kind);
+    if (newSibling) newSiblings++;
+    kept.push(review);
+  }
+  return kept;
+}
+
+/** The reviews of a session: due reviews of the matching cards within the daily limits, or for cram all their templates. */
+export function sessionReviews(cards: SRSCard[], settings?: DeckSettings, filter: ReviewFilter = {}, now = new Date()): DueReview[] {
+  const matching = cards.filter(card => matchesFilter(card, filter));
+  if (filter.cram) return getDueReviews(matching, settings, END_OF_TIME);
+  return applyDailyLimits(getDueReviews(matching, settings, now.toISOString()), cards, settings, now);
+}
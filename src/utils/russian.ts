@@ -13,6 +13,11 @@ export function normalizeRussianWord(word: string): string {
   return word.toLowerCase().replace(/[^а-яё]/g, '').replace(/ё/g, 'е');
 }
 
+/** Remove stress marks (кни́гу → книгу), as dictionary forms and examples carry them. */
+export function stripStress(text: string): string {
+  return text.replace(/[\u0300\u0301]/g, '');
+}
+
 /**
  * Clean a word for display/storage: trim whitespace and strip leading/trailing
  * punctuation while preserving the original case and interior characters.
@@ -0,0 +1,24 @@
+/**
+ * Scheduler dispatch: reviews and rating-button previews go to SM-2 or FSRS
+ * depending on the deck's settings (SM-2 when the deck has none).
+ */
+
+import type { SRSCard, SRSRating, DeckSettings } from '../types';
+import { sm2, previewInterval as previewSm2Interval } from './sm2';
+import type { IntervalPreview } from './sm2';
+import { fsrs, previewFsrsInterval } from './fsrs';
+
+export const DEFAULT_DECK_SETTINGS: DeckSettings = { scheduler: 'sm2' };
+
+export function scheduleReview(card: SRSCard, rating: SRSRating, settings?: DeckSettings): SRSCard {
+  if (settings?.scheduler === 'fsrs') return fsrs(card, rating, settings);
+  const updated = sm2(card, rating);
+  // An SM-2 review makes the FSRS state stale; switching back migrates it afresh
+  delete updated.fsrs;
+  return updated;
+}
+
+// Preview the interval for a given rating (for button labels).
+export function previewInterval(card: SRSCard, rating: SRSRating, settings?: DeckSettings): IntervalPreview {
+  return settings?.scheduler === 'fsrs' ? previewFsrsInterval(card, rating, settings) : previewSm2Interval(card, rating);
+}
@@ -0,0 +1,67 @@
+/**
+ * Sentence segmentation for timed transcripts.
+ *
+ * Whisper words carry the punctuation restored by addPunctuation (e.g. "дела?",
+ * "историю.»"), so sentence ends can be read off the words themselves.
+ * server/subtitles.js cuts subtitle cues with the same rules; change both
+ * together (server/subtitles.test.js compares them).
+ */
+import type { WordTimestamp, Sentence } from '../types';
+
+// Terminal punctuation, optionally followed by closing quotes/brackets: "конец.", "да?!»", "так…)"
+const SENTENCE_END = /[.!?…]+["'»”)\]]*$/;
+// Single-letter initials ("А. С. Пушкин") never end a sentence
+const INITIAL = /^["'«„(]*[А-ЯЁA-Z]\.$/;
+const STARTS_LOWERCASE = /^["'«„(\s—–-]*[a-zа-яё]/;
+
+function endsSentence(word: string, nextWord: string | undefined): boolean {
+  const text = word.trim();
+  if (!SENTENCE_END.test(text) || INITIAL.test(text)) return false;
+  // Abbreviations like "т. е." or "и т. д." are followed by lowercase words
+  if (nextWord !== undefined && STARTS_LOWERCASE.test(nextWord)) return false;
+  return true;
+}
+
+/**
+ * Group transcript words into sentences. Every word belongs to exactly one sentence;
+ * trailing words without final punctuation form the last sentence.
+ */
+export function segmentSentences(words: WordTimestamp[]): Sentence[] {
+  const sentences: Sentence[] = [];
+  let firstWord = 0;
+
+  for (let i = 0; i < words.length; i++) {
+    if (i === words.length - 1 || endsSentence(words[i].word, words[i + 1]?.word)) {
+      sentences.push({
+        firstWord,
+        lastWord: i,
+        start: words[firstWord].start,
+        end: words[i].end,
+      });
+      firstWord = i + 1;
+    }
+  }
+
+  return sentences;
+}
+
+/** Text of a sentence as spoken, e.g. for translation */
+export function sentenceText(words: WordTimestamp[], sentence: Sentence): string {
+  return words.slice(sentence.firstWord, sentence.lastWord + 1).map(w => w.word.trim()).join(' ');
+}
+
+/**
+ * Index of the sentence playing at `time`: the last sentence that has started,
+ * so a sentence stays current through the pause after it. -1 before the first one.
+ */
+export function findSentenceIndex(sentences: Sentence[], time: number): number {
+  let index = -1;
+  for (let i = 0; i < sentences.length; i++) {
+    if (time >= sentences[i].start) {
+      index = i;
+    } else {
+      break;
+    }
+  }
+  return index;
+}
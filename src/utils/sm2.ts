@@ -1,4 +1,4 @@
-import type { SRSCard, SRSRating, DictionaryEntry } from '../types';
+import type { SRSCard, SRSRating, DictionaryEntry, CardSource } from '../types';
 import { normalizeRussianWord, cleanWord } from './russian';
 
 // Delegate to shared normalizeRussianWord for card ID deduplication.
@@ -6,7 +6,7 @@ export function normalizeCardId(word: string): string {
   return normalizeRussianWord(word);
 }
 
-export function createCard(word: string, translation: string, sourceLanguage: string, dictionary?: DictionaryEntry): SRSCard {
+export function createCard(word: string, translation: string, sourceLanguage: string, dictionary?: DictionaryEntry, stressedWord?: string, source?: CardSource): SRSCard {
   const cleaned = cleanWord(word);
   return {
     id: normalizeCardId(word),
@@ -14,6 +14,8 @@ export function createCard(word: string, translation: string, sourceLanguage: st
     translation,
     sourceLanguage,
     dictionary,
+    ...(stressedWord && { stressedWord: cleanWord(stressedWord) }),
+    ...(source && { source }),
     easeFactor: 2.5,
     interval: 0,
     repetition: 0,
@@ -23,11 +25,11 @@ export function createCard(word: string, translation: string, sourceLanguage: st
   };
 }
 
-function addMinutes(minutes: number): string {
+export function addMinutes(minutes: number): string {
   return new Date(Date.now() + minutes * 60 * 1000).toISOString();
 }
 
-function addDays(days: number): string {
+export function addDays(days: number): string {
   return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
 }
 
@@ -6,7 +6,7 @@ const mockAuth = vi.hoisted(() => ({ currentUser: null as unknown }));
 vi.mock('../src/firebase-auth', () => ({ auth: mockAuth }));
 vi.mock('../src/firebase', () => ({ auth: mockAuth }));
 
-import { apiRequest, subscribeToProgress, getSession, getChunk, downloadChunk, loadMoreChunks, deleteSession } from '../src/services/api';
+import { apiRequest, subscribeToProgress, getSession, getChunk, downloadChunk, loadMoreChunks, deleteSession, uploadMediaFile, analyzeText, analyzeUpload, rechunkSession, translateSentences, downloadSubtitles, exportDeckApkg, importAnkiPackage, getClipUrl } from '../src/services/api';
 import { auth } from '../src/firebase';
 
 // Mock fetch globally
@@ -192,6 +192,142 @@ describe('convenience functions', () => {
     });
   });
 
+  it('rechunkSession posts the chunking options to the session', async () => {
+    mockFetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ chunks: [], hasMoreChunks: false }),
+    });
+
+    await rechunkSession('session-abc', { targetDuration: 60 });
+
+    expect(mockFetch.mock.calls[0][0]).toBe('/api/session/session-abc/rechunk');
+    expect(mockFetch.mock.calls[0][1].method).toBe('POST');
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({ chunking: { targetDuration: 60 } });
+  });
+
+  it('translateSentences posts the sentences', async () => {
+    mockFetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ translations: ['Hello.'] }),
+    });
+
+    const result = await translateSentences(['Привет.']);
+
+    expect(mockFetch.mock.calls[0][0]).toBe('/api/translate-sentences');
+    expect(mockFetch.mock.calls[0][1].method).toBe('POST');
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({ sentences: ['Привет.'] });
+    expect(result.translations).toEqual(['Hello.']);
+  });
+
+  it('downloadSubtitles builds the query and reads the UTF-8 filename', async () => {
+    mockFetch.mockResolvedValue({
+      ok: true,
+      headers: new Headers({
+        'Content-Disposition': `attachment; filename="?????.vtt"; filename*=UTF-8''${encodeURIComponent('Видео - Part 2.vtt')}`,
+      }),
+      blob: () => Promise.resolve(new Blob(['WEBVTT'])),
+    });
+
+    const { filename } = await downloadSubtitles('session-abc', {
+      format: 'vtt',
+      chunkId: 'chunk-1',
+      lemmas: true,
+      translation: true,
+      karaoke: true,
+      stress: true,
+    });
+
+    expect(mockFetch.mock.calls[0][0]).toBe(
+      '/api/session/session-abc/subtitles?format=vtt&chunkId=chunk-1&tracks=lemma%2Ctranslation&karaoke=1&stress=1'
+    );
+    expect(filename).toBe('Видео - Part 2.vtt');
+  });
+
+  it('downloadSubtitles throws the server error', async () => {
+    mockFetch.mockResolvedValue({
+      ok: false,
+      status: 400,
+      json: () => Promise.resolve({ error: 'Unknown subtitle track: gloss' }),
+    });
+
+    await expect(downloadSubtitles('session-abc', { format: 'srt' })).rejects.toThrow('Unknown subtitle track');
+  });
+
+  it('exportDeckApkg posts the cards and returns the package', async () => {
+    mockFetch.mockResolvedValue({
+      ok: true,
+      headers: new Headers({ 'Content-Disposition': 'attachment; filename="russian-deck-2026-03-10.apkg"' }),
+      blob: () => Promise.resolve(new Blob(['PK'])),
+    });
+    const cards = [{ id: 'кот', word: 'кот', translation: 'cat' }] as Parameters<typeof exportDeckApkg>[0];
+
+    const { filename } = await exportDeckApkg(cards);
+
+    expect(mockFetch.mock.calls[0][0]).toBe('/api/deck/apkg');
+    expect(mockFetch.mock.calls[0][1].method).toBe('POST');
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({ cards });
+    expect(filename).toBe('russian-deck-2026-03-10.apkg');
+  });
+
+  it('exportDeckApkg throws the server error', async () => {
+    mockFetch.mockResolvedValue({
+      ok: false,
+      status: 400,
+      json: () => Promise.resolve({ error: 'Too many cards (max 5000)' }),
+    });
+
+    await expect(exportDeckApkg([])).rejects.toThrow('Too many cards');
+  });
+
+  it('getClipUrl resolves a stored clip', async () => {
+    mockFetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ url: 'https://signed/clip.mp3' }) });
+
+    expect(await getClipUrl('s1', 'chunk-0_1700-2000.mp3')).toBe('https://signed/clip.mp3');
+    expect(mockFetch.mock.calls[0][0]).toBe('/api/session/s1/clips/chunk-0_1700-2000.mp3');
+  });
+
+  it('importAnkiPackage uploads the file as the request body', async () => {
+    mockFetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ cards: [{ word: 'кот', translation: 'cat' }] }) });
+    const file = new File(['PK'], 'deck.apkg');
+
+    const cards = await importAnkiPackage(file);
+
+    expect(mockFetch.mock.calls[0][0]).toBe('/api/deck/import-anki');
+    expect(mockFetch.mock.calls[0][1]).toMatchObject({ method: 'POST', body: file });
+    expect(mockFetch.mock.calls[0][1].headers['Content-Type']).toBe('application/octet-stream');
+    expect(cards).toEqual([{ word: 'кот', translation: 'cat' }]);
+  });
+
+  it('analyzeUpload sends chunking options only when given', async () => {
+    mockFetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ sessionId: 's-1', status: 'started' }),
+    });
+
+    await analyzeUpload('up-1');
+    await analyzeUpload('up-2', { targetDuration: 120, minGap: 1 });
+
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({ uploadId: 'up-1' });
+    expect(JSON.parse(mockFetch.mock.calls[1][1].body)).toEqual({
+      uploadId: 'up-2',
+      chunking: { targetDuration: 120, minGap: 1 },
+    });
+  });
+
+  it('analyzeUpload sends attached subtitles', async () => {
+    mockFetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ sessionId: 's-1', status: 'started' }),
+    });
+
+    await analyzeUpload('up-1', undefined, { content: 'WEBVTT', align: true });
+
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({
+      uploadId: 'up-1',
+      subtitles: { content: 'WEBVTT', align: true },
+    });
+  });
+
   it('deleteSession sends DELETE', async () => {
     mockFetch.mockResolvedValue({
       ok: true,
@@ -205,6 +341,142 @@ describe('convenience functions', () => {
   });
 });
 
+describe('uploadMediaFile', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    sessionStorage.clear();
+    (auth as { currentUser: unknown }).currentUser = null;
+  });
+
+  function jsonResponse(body: unknown, ok = true) {
+    return { ok, status: ok ? 200 : 500, json: () => Promise.resolve(body) };
+  }
+
+  it('sends the file in Content-Range chunks and reports progress', async () => {
+    const file = new File(['a'.repeat(10)], 'lecture.mp3');
+    mockFetch
+      .mockResolvedValueOnce(jsonResponse({ uploadId: 'up-1', chunkSize: 4, received: 0 }))
+      .mockResolvedValueOnce(jsonResponse({ received: 4, complete: false }))
+      .mockResolvedValueOnce(jsonResponse({ received: 8, complete: false }))
+      .mockResolvedValueOnce(jsonResponse({ received: 10, complete: true }));
+    const onProgress = vi.fn();
+
+    const uploadId = await uploadMediaFile(file, onProgress);
+
+    expect(uploadId).toBe('up-1');
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({ filename: 'lecture.mp3', size: 10 });
+    const ranges = mockFetch.mock.calls.slice(1).map(c => c[1].headers['Content-Range']);
+    expect(ranges).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+    expect(onProgress).toHaveBeenLastCalledWith(100);
+  });
+
+  it('resumes from the server offset after a failed range', async () => {
+    vi.useFakeTimers();
+    try {
+      const file = new File(['a'.repeat(8)], 'talk.mp4');
+      mockFetch
+        .mockResolvedValueOnce(jsonResponse({ uploadId: 'up-2', chunkSize: 4, received: 0 }))
+        .mockResolvedValueOnce(jsonResponse({ error: 'connection reset' }, false))
+        .mockResolvedValueOnce(jsonResponse({ received: 4, size: 8, complete: false }))
+        .mockResolvedValueOnce(jsonResponse({ received: 8, complete: true }));
+
+      const promise = uploadMediaFile(file);
+      await vi.runAllTimersAsync();
+      await promise;
+
+      expect(mockFetch.mock.calls[2][0]).toBe('/api/uploads/up-2');
+      expect(mockFetch.mock.calls[3][1].headers['Content-Range']).toBe('bytes 4-7/8');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('retries the resume check when it fails too', async () => {
+    vi.useFakeTimers();
+    try {
+      const file = new File(['a'.repeat(8)], 'talk.mp4');
+      mockFetch
+        .mockResolvedValueOnce(jsonResponse({ uploadId: 'up-3', chunkSize: 4, received: 0 }))
+        .mockResolvedValueOnce(jsonResponse({ error: 'connection reset' }, false))
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(jsonResponse({ received: 4, size: 8, complete: false }))
+        .mockResolvedValueOnce(jsonResponse({ received: 8, complete: true }));
+
+      const promise = uploadMediaFile(file);
+      await vi.runAllTimersAsync();
+      expect(await promise).toBe('up-3');
+
+      expect(mockFetch.mock.calls.map(c => c[1]?.method ?? 'GET')).toEqual(['POST', 'PUT', 'GET', 'GET', 'PUT']);
+      expect(mockFetch.mock.calls[4][1].headers['Content-Range']).toBe('bytes 4-7/8');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('continues an upload of the same file after a reload', async () => {
+    const file = new File(['a'.repeat(8)], 'talk.mp4', { lastModified: 1_700_000_000_000 });
+    vi.useFakeTimers();
+    try {
+      // The connection drops after the first range until the upload gives up
+      mockFetch
+        .mockResolvedValueOnce(jsonResponse({ uploadId: 'up-4', chunkSize: 4, received: 0 }))
+        .mockResolvedValueOnce(jsonResponse({ received: 4, complete: false }))
+        .mockRejectedValue(new TypeError('Failed to fetch'));
+      const interrupted = expect(uploadMediaFile(file)).rejects.toThrow();
+      await vi.runAllTimersAsync();
+      await interrupted;
+    } finally {
+      vi.useRealTimers();
+    }
+
+    mockFetch.mockReset();
+    mockFetch
+      .mockResolvedValueOnce(jsonResponse({ uploadId: 'up-4', filename: 'talk.mp4', size: 8, received: 4, complete: false }))
+      .mockResolvedValueOnce(jsonResponse({ received: 8, complete: true }));
+
+    expect(await uploadMediaFile(file)).toBe('up-4');
+    expect(mockFetch.mock.calls[0][0]).toBe('/api/uploads/up-4');
+    expect(mockFetch.mock.calls[1][1].headers['Content-Range']).toBe('bytes 4-7/8');
+
+    // A different file starts a new upload
+    mockFetch.mockReset();
+    mockFetch
+      .mockResolvedValueOnce(jsonResponse({ uploadId: 'up-5', chunkSize: 4, received: 0 }))
+      .mockResolvedValueOnce(jsonResponse({ received: 3, complete: true }));
+    expect(await uploadMediaFile(new File(['abc'], 'other.mp4'))).toBe('up-5');
+    expect(mockFetch.mock.calls[0][1].method).toBe('POST');
+  });
+});
+
+describe('analyzeText', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    (auth as { currentUser: unknown }).currentUser = null;
+  });
+
+  it('posts pasted text and omits an empty title', async () => {
+    mockFetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ sessionId: 's-1', status: 'started' }) });
+
+    const result = await analyzeText('Текст', '');
+
+    expect(result.sessionId).toBe('s-1');
+    expect(mockFetch.mock.calls[0][0]).toBe('/api/analyze-text');
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({ text: 'Текст' });
+  });
+
+  it('sends read-aloud voice options when given', async () => {
+    mockFetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ sessionId: 's-1', status: 'started' }) });
+
+    await analyzeText('Текст', 'Title', { voice: 'onyx', speed: 1.25, dialogueVoice: 'shimmer' });
+
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({
+      text: 'Текст',
+      title: 'Title',
+      tts: { voice: 'onyx', speed: 1.25, dialogueVoice: 'shimmer' },
+    });
+  });
+});
+
 describe('subscribeToProgress', () => {
   // Capture the latest EventSource instance created by connectSSE
   let esInstance: {
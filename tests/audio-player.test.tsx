@@ -1,6 +1,8 @@
 import { describe, it, expect, vi } from 'vitest';
+import { createRef } from 'react';
 import { render } from '@testing-library/react';
 import { AudioPlayer } from '../src/components/AudioPlayer';
+import type { PlayerControls } from '../src/types';
 
 describe('AudioPlayer', () => {
   const noop = vi.fn();
@@ -34,6 +36,32 @@ describe('AudioPlayer', () => {
     expect(container.textContent).toContain('seek ±5s');
   });
 
+  it('exposes seek and pause through controlsRef', () => {
+    const controlsRef = createRef<PlayerControls>();
+    const { container } = render(<AudioPlayer url="/audio/test.mp3" onTimeUpdate={noop} controlsRef={controlsRef} />);
+    const audio = container.querySelector('audio') as HTMLAudioElement;
+    const pause = vi.spyOn(audio, 'pause').mockImplementation(() => {});
+
+    controlsRef.current!.seek(12.5);
+    controlsRef.current!.pause();
+
+    expect(audio.currentTime).toBe(12.5);
+    expect(pause).toHaveBeenCalled();
+  });
+
+  it('applies playbackRate with pitch preservation', () => {
+    const { container, rerender } = render(
+      <AudioPlayer url="/audio/test.mp3" onTimeUpdate={noop} playbackRate={0.75} />
+    );
+    const audio = container.querySelector('audio') as HTMLAudioElement;
+    expect(audio.playbackRate).toBe(0.75);
+    expect(audio.defaultPlaybackRate).toBe(0.75);
+    expect(audio.preservesPitch).toBe(true);
+
+    rerender(<AudioPlayer url="/audio/test.mp3" onTimeUpdate={noop} playbackRate={1.25} />);
+    expect(audio.playbackRate).toBe(1.25);
+  });
+
   it('updates src when url prop changes', () => {
     const { container, rerender } = render(
       <AudioPlayer url="/audio/first.mp3" onTimeUpdate={noop} />
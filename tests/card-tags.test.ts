@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  frequencyBand,
+  autoTags,
+  withAutoTags,
+  addTag,
+  removeTag,
+  moveToSubDeck,
+  deckTags,
+  subDeckNames,
+} from '../src/utils/card-tags';
+import { parseWordFrequencies } from '../src/services/word-frequencies';
+import { createCard } from '../src/utils/sm2';
+import type { DictionaryEntry } from '../src/types';
+
+const WORDS = Array.from({ length: 2500 }, (_, i) => `слово${i + 1}`);
+WORDS[11] = 'сказать';
+WORDS[93] = 'ее';
+WORDS[584] = 'её';
+WORDS[2499] = 'книга';
+const RANKS = parseWordFrequencies(WORDS);
+
+const SAY: DictionaryEntry = { stressedForm: 'сказа́ть', pos: 'verb', translations: ['to say'] };
+
+const heard = createCard('скажу', 'I will say', 'ru', SAY, undefined, {
+  sessionId: 's1', chunkId: 'chunk-0', start: 1, end: 1.4, title: 'Chekhov  — The Lady with the Dog',
+});
+
+describe('parseWordFrequencies', () => {
+  it('keys lemmas with ё folded to е, keeping the better rank', () => {
+    expect(RANKS.get('сказать')).toBe(12);
+    expect(RANKS.get('ее')).toBe(94);
+    expect(RANKS.has('её')).toBe(false);
+  });
+});
+
+describe('frequencyBand', () => {
+  it('names the band a rank falls in', () => {
+    expect(frequencyBand(1)).toBe('freq 1-1000');
+    expect(frequencyBand(1000)).toBe('freq 1-1000');
+    expect(frequencyBand(2500)).toBe('freq 2001-5000');
+    expect(frequencyBand(12000)).toBe('freq 10001+');
+  });
+});
+
+describe('autoTags', () => {
+  it('tags the source title, part of speech and frequency band of the dictionary form', () => {
+    expect(autoTags(heard, RANKS)).toEqual(['Chekhov — The Lady with the Dog', 'verb', 'freq 1-1000']);
+  });
+
+  it('falls back to the word as saved and skips what is unknown', () => {
+    expect(autoTags(createCard('книга', 'book', 'ru'), RANKS)).toEqual(['freq 2001-5000']);
+    expect(autoTags(createCard('привет', 'hi', 'ru'), RANKS)).toEqual([]);
+  });
+
+  it('tags a card only once, so removed tags stay removed', () => {
+    const tagged = withAutoTags(heard, RANKS);
+    expect(tagged.tags).toHaveLength(3);
+    const untagged = removeTag(removeTag(tagged, 'verb'), 'FREQ 1-1000');
+    expect(untagged.tags).toEqual(['Chekhov — The Lady with the Dog']);
+    expect(withAutoTags(untagged, RANKS)).toBe(untagged);
+  });
+});
+
+describe('tags and sub-decks', () => {
+  it('adds tags once, ignoring case and extra spaces', () => {
+    const card = addTag(addTag(createCard('книга', 'book', 'ru'), ' to  read '), 'To read');
+    expect(card.tags).toEqual(['to read']);
+    expect(removeTag(card, 'missing')).toBe(card);
+  });
+
+  it('moves cards in and out of sub-decks', () => {
+    const card = moveToSubDeck(createCard('книга', 'book', 'ru'), 'Chekhov');
+    expect(card.subDeck).toBe('Chekhov');
+    expect(moveToSubDeck(card, 'Chekhov')).toBe(card);
+    expect('subDeck' in moveToSubDeck(card, '')).toBe(false);
+  });
+
+  it('lists tags by use and sub-decks by name', () => {
+    const cards = [
+      { ...createCard('книга', 'book', 'ru'), tags: ['noun', 'Chekhov'], subDeck: 'Stories' },
+      { ...createCard('дом', 'house', 'ru'), tags: ['noun'] },
+    ];
+    expect(deckTags(cards)).toEqual(['noun', 'Chekhov']);
+    expect(subDeckNames(cards, { scheduler: 'sm2', subDecks: { Verbs: { newPerDay: 5 } } })).toEqual(['Stories', 'Verbs']);
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest';
+import {
+  deckTemplates,
+  templateView,
+  reviewTemplate,
+  cardTemplates,
+  getDueReviews,
+  setDeckTemplates,
+  clozeSentence,
+  checkTypedAnswer,
+  meaningMatches,
+  meaningChoices,
+} from '../src/utils/card-templates';
+import { createCard } from '../src/utils/sm2';
+import type { SRSCard, DeckSettings, DictionaryEntry } from '../src/types';
+
+const ALL: DeckSettings = { scheduler: 'sm2', templates: ['production', 'typed', 'cloze'] };
+
+const BOOK: DictionaryEntry = {
+  stressedForm: 'кни́га',
+  pos: 'noun',
+  translations: ['book'],
+  declension: {
+    sg: { nom: 'кни́га', gen: 'кни́ги', dat: 'кни́ге', acc: 'кни́гу', inst: 'кни́гой', prep: 'кни́ге' },
+    pl: { nom: 'кни́ги', gen: 'книг', dat: 'кни́гам', acc: 'кни́ги', inst: 'кни́гами', prep: 'кни́гах' },
+  },
+  example: { russian: 'Я читаю кни́гу.', english: 'I am reading a book.' },
+};
+
+function card(overrides: Partial<SRSCard> = {}): SRSCard {
+  return { ...createCard('книга', 'book', 'ru', BOOK), nextReviewDate: '2025-01-01T00:00:00.000Z', ...overrides };
+}
+
+describe('deckTemplates', () => {
+  it('reviews recognition only by default and keeps a fixed order', () => {
+    expect(deckTemplates()).toEqual(['recognition']);
+    expect(deckTemplates({ scheduler: 'sm2', templates: ['cloze', 'production'] })).toEqual(['recognition', 'production', 'cloze']);
+  });
+});
+
+describe('templateView / reviewTemplate', () => {
+  it('starts a sibling as a new card', () => {
+    const reviewed = card({ interval: 10, repetition: 3, easeFactor: 2.2, lastReviewedAt: '2025-01-01T00:00:00.000Z' });
+    const view = templateView(reviewed, 'production');
+    expect(view).toMatchObject({ interval: 0, repetition: 0, easeFactor: 2.5, lastReviewedAt: null, nextReviewDate: reviewed.addedAt });
+    expect(templateView(reviewed, 'recognition')).toBe(reviewed);
+  });
+
+  it('schedules each template independently', () => {
+    const note = card({ interval: 10, repetition: 3, lastReviewedAt: '2025-01-01T00:00:00.000Z' });
+    const afterProduction = reviewTemplate(note, 'production', 4);
+    expect(afterProduction.siblings?.production).toMatchObject({ interval: 1, repetition: 1 });
+    expect(afterProduction.interval).toBe(10);
+    expect(afterProduction.repetition).toBe(3);
+
+    const afterRecognition = reviewTemplate(afterProduction, 'recognition', 0);
+    expect(afterRecognition.repetition).toBe(0);
+    expect(afterRecognition.siblings?.production).toEqual(afterProduction.siblings?.production);
+  });
+
+  it('records when each template was first studied', () => {
+    const first = reviewTemplate(card(), 'production', 0);
+    const studiedAt = first.siblings?.production?.firstReviewedAt;
+    expect(studiedAt).toBeDefined();
+    expect(first.firstReviewedAt).toBeUndefined();
+    expect(templateView(first, 'production').firstReviewedAt).toBe(studiedAt);
+    expect(templateView(reviewTemplate(card(), 'recognition', 4), 'production').firstReviewedAt).toBeUndefined();
+
+    const again = reviewTemplate({ ...first, siblings: { production: { ...first.siblings!.production!, firstReviewedAt: '2025-01-01T00:00:00.000Z' } } }, 'production', 4);
+    expect(again.siblings?.production?.firstReviewedAt).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  it('keeps an FSRS state per sibling', () => {
+    const updated = reviewTemplate(card(), 'typed', 4, { scheduler: 'fsrs' });
+    expect(updated.siblings?.typed?.fsrs).toBeDefined();
+    expect(updated.fsrs).toBeUndefined();
+  });
+});
+
+describe('getDueReviews', () => {
+  it('lists due templates in passes, oldest first within each', () => {
+    const older = card({ id: 'а', nextReviewDate: '2025-01-01T00:00:00.000Z', addedAt: '2024-06-01T00:00:00.000Z' });
+    const newer = card({ id: 'б', nextReviewDate: '2025-02-01T00:00:00.000Z', addedAt: '2024-01-01T00:00:00.000Z' });
+    const reviews = getDueReviews([newer, older], { scheduler: 'sm2', templates: ['production'] }, '2025-03-01T00:00:00.000Z');
+    expect(reviews.map(r => `${r.card.id}:${r.template}`)).toEqual(['а:recognition', 'б:recognition', 'б:production', 'а:production']);
+  });
+
+  it('leaves out templates that are not due', () => {
+    const note = reviewTemplate(card(), 'production', 4);
+    const reviews = getDueReviews([note], { scheduler: 'sm2', templates: ['production'] });
+    expect(reviews.map(r => r.template)).toEqual(['recognition']);
+  });
+
+  it('makes an existing deck\'s new siblings due from when the template was turned on', () => {
+    const old = card({ id: 'а', addedAt: '2024-06-01T00:00:00.000Z', lastReviewedAt: '2025-01-01T00:00:00.000Z', repetition: 3 });
+    const settings = setDeckTemplates({ scheduler: 'sm2' }, ['production'], '2025-03-01T09:00:00.000Z');
+    expect(settings).toEqual({ scheduler: 'sm2', templates: ['production'], templatesEnabledAt: { production: '2025-03-01T09:00:00.000Z' } });
+
+    expect(templateView(old, 'production', settings).nextReviewDate).toBe('2025-03-01T09:00:00.000Z');
+    expect(getDueReviews([old], settings, '2025-03-01T08:00:00.000Z').map(r => r.template)).toEqual(['recognition']);
+    expect(getDueReviews([old], settings, '2025-03-01T10:00:00.000Z').map(r => r.template)).toEqual(['recognition', 'production']);
+
+    // Cards added later are due from when they were added
+    const added = card({ id: 'б', addedAt: '2025-04-01T00:00:00.000Z' });
+    expect(templateView(added, 'production', settings).nextReviewDate).toBe('2025-04-01T00:00:00.000Z');
+  });
+
+  it('stamps only the templates just turned on, again after a template is turned off and on', () => {
+    const on = setDeckTemplates({ scheduler: 'sm2' }, ['production'], '2025-03-01T00:00:00.000Z');
+    const both = setDeckTemplates(on, ['production', 'typed'], '2025-03-05T00:00:00.000Z');
+    expect(both.templatesEnabledAt).toEqual({ production: '2025-03-01T00:00:00.000Z', typed: '2025-03-05T00:00:00.000Z' });
+
+    const off = setDeckTemplates(both, ['typed'], '2025-03-06T00:00:00.000Z');
+    expect(setDeckTemplates(off, ['typed', 'production'], '2025-03-09T00:00:00.000Z').templatesEnabledAt?.production).toBe('2025-03-09T00:00:00.000Z');
+    expect(setDeckTemplates({ scheduler: 'sm2', templates: ['cloze'] }, []).templates).toBeUndefined();
+  });
+
+  it('skips cloze for cards without a sentence containing the word', () => {
+    const bare = createCard('слово', 'word', 'ru');
+    expect(cardTemplates(bare, ALL)).toEqual(['recognition', 'production', 'typed']);
+    expect(cardTemplates(card(), ALL)).toEqual(['recognition', 'production', 'typed', 'cloze']);
+  });
+});
+
+describe('clozeSentence', () => {
+  it('blanks an inflected, stressed form out of the dictionary example', () => {
+    expect(clozeSentence(card())).toEqual({
+      before: 'Я читаю ',
+      answer: 'кни́гу',
+      after: '.',
+      translation: 'I am reading a book.',
+    });
+  });
+
+  it('falls back to the sentence the word was heard in', () => {
+    const heard = createCard('книгу', 'book', 'ru', undefined, undefined, {
+      sessionId: 's1', chunkId: 'chunk-0', start: 1, end: 1.5, sentence: 'Он забыл книгу дома',
+    });
+    expect(clozeSentence(heard)).toEqual({ before: 'Он забыл ', answer: 'книгу', after: ' дома' });
+  });
+
+  it('returns null when no sentence has the word', () => {
+    expect(clozeSentence(card({ dictionary: { ...BOOK, example: { russian: 'Привет!', english: 'Hi!' } } }))).toBeNull();
+  });
+});
+
+describe('checkTypedAnswer', () => {
+  it('accepts answers that differ only in case, ё/е, stress marks and punctuation', () => {
+    expect(checkTypedAnswer('Еще', 'ещё').correct).toBe(true);
+    expect(checkTypedAnswer('кни́гу.', 'книгу').correct).toBe(true);
+    expect(checkTypedAnswer(' книгу ', 'книгу').segments).toEqual([{ text: 'книгу', kind: 'match' }]);
+  });
+
+  it('marks extra and missing letters', () => {
+    const check = checkTypedAnswer('книгау', 'книгу');
+    expect(check.correct).toBe(false);
+    expect(check.segments).toEqual([
+      { text: 'книг', kind: 'match' },
+      { text: 'а', kind: 'extra' },
+      { text: 'у', kind: 'match' },
+    ]);
+    expect(checkTypedAnswer('кнга', 'книга').segments).toEqual([
+      { text: 'кн', kind: 'match' },
+      { text: 'и', kind: 'missing' },
+      { text: 'га', kind: 'match' },
+    ]);
+  });
+
+  it('treats an empty answer as all missing', () => {
+    expect(checkTypedAnswer('', 'дом')).toEqual({ correct: false, segments: [{ text: 'дом', kind: 'missing' }] });
+  });
+});
+
+describe('meaningMatches', () => {
+  it('accepts any listed meaning, ignoring case, articles, "to" and notes in brackets', () => {
+    expect(meaningMatches('Say', ['to say, to tell'])).toBe(true);
+    expect(meaningMatches('tell', ['to say; to tell (someone)'])).toBe(true);
+    expect(meaningMatches('the book', ['book'])).toBe(true);
+    expect(meaningMatches('books', ['book'])).toBe(false);
+    expect(meaningMatches('  ', ['book'])).toBe(false);
+  });
+});
+
+describe('meaningChoices', () => {
+  it('mixes the meaning with different ones from other cards', () => {
+    const choices = meaningChoices('book', ['house', 'Book', 'water', 'house', 'friend', 'city']);
+    expect(choices).toHaveLength(4);
+    expect(choices).toContain('book');
+    expect(choices).not.toContain('Book');
+    expect(new Set(choices).size).toBe(4);
+  });
+
+  it('returns nothing when the deck has too few other meanings', () => {
+    expect(meaningChoices('book', ['house', 'the book', 'water'])).toEqual([]);
+  });
+});
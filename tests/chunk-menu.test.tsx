@@ -1,5 +1,5 @@
 import { describe, it, expect, vi } from 'vitest';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { ChunkMenu } from '../src/components/ChunkMenu';
 import type { VideoChunk } from '../src/types';
 
@@ -29,6 +29,8 @@ function renderMenu(overrides: Partial<Parameters<typeof ChunkMenu>[0]> = {}) {
       contentType={overrides.contentType ?? 'video'}
       onSelectChunk={overrides.onSelectChunk ?? vi.fn()}
       onLoadMore={overrides.onLoadMore ?? vi.fn()}
+      onRechunk={overrides.onRechunk}
+      onExportSubtitles={overrides.onExportSubtitles}
       onReset={overrides.onReset ?? vi.fn()}
     />
   );
@@ -179,4 +181,74 @@ describe('ChunkMenu', () => {
     expect(screen.getByText(/Первый фрагмент/)).toBeInTheDocument();
     expect(screen.getByText(/Второй фрагмент/)).toBeInTheDocument();
   });
+
+  // ─── Re-splitting (video mode) ────────────────────────────
+
+  it('describes the typical part length from the chunks', () => {
+    renderMenu();
+    expect(screen.getByText(/approximately 3 minutes long/)).toBeInTheDocument();
+  });
+
+  it('re-splits into the chosen part length', async () => {
+    const onRechunk = vi.fn().mockResolvedValue(undefined);
+    renderMenu({ onRechunk });
+
+    fireEvent.change(screen.getByTestId('rechunk-select'), { target: { value: '60' } });
+
+    expect(onRechunk).toHaveBeenCalledWith(60);
+    await waitFor(() => expect(screen.getByTestId('rechunk-select')).not.toBeDisabled());
+  });
+
+  it('hides the re-split control in text mode or without a handler', () => {
+    const { unmount } = renderMenu({ contentType: 'text', onRechunk: vi.fn() });
+    expect(screen.queryByTestId('rechunk-select')).not.toBeInTheDocument();
+    unmount();
+
+    renderMenu();
+    expect(screen.queryByTestId('rechunk-select')).not.toBeInTheDocument();
+  });
+
+  it('shows subtitle export only with a handler', () => {
+    const { unmount } = renderMenu();
+    expect(screen.queryByTestId('subtitle-export')).not.toBeInTheDocument();
+    unmount();
+
+    renderMenu({ onExportSubtitles: vi.fn() });
+    expect(screen.getByTestId('subtitle-export')).toBeInTheDocument();
+  });
+
+  // ─── Chapter grouping (text mode) ─────────────────────────
+
+  const CHAPTER_CHUNKS: VideoChunk[] = [
+    { ...MOCK_CHUNKS[0], chapterTitle: 'Глава 1' },
+    { ...MOCK_CHUNKS[1], chapterTitle: 'Глава 1' },
+    { ...MOCK_CHUNKS[2], chapterTitle: 'Глава 2' },
+  ];
+
+  it('groups sections under chapter headings', () => {
+    const { container } = renderMenu({ contentType: 'text', chunks: CHAPTER_CHUNKS });
+
+    const sections = container.querySelectorAll('section');
+    expect(sections).toHaveLength(2);
+    expect(sections[0].querySelector('h3')?.textContent).toBe('Глава 1');
+    expect(sections[0].querySelectorAll('button')).toHaveLength(2);
+    expect(sections[1].textContent).toContain('Section 3');
+    expect(screen.getByText(/3 sections · 2 chapters/)).toBeInTheDocument();
+  });
+
+  it('shows a chapter table of contents that scrolls to the chapter', () => {
+    const { container } = renderMenu({ contentType: 'text', chunks: CHAPTER_CHUNKS });
+    const target = container.querySelector('#chapter-2') as HTMLElement;
+    target.scrollIntoView = vi.fn();
+
+    const nav = container.querySelector('nav') as HTMLElement;
+    fireEvent.click(Array.from(nav.querySelectorAll('button')).find(b => b.textContent === 'Глава 2') as HTMLElement);
+    expect(target.scrollIntoView).toHaveBeenCalled();
+  });
+
+  it('renders a flat grid when chunks have no chapters', () => {
+    const { container } = renderMenu({ contentType: 'text' });
+    expect(container.querySelector('section')).toBeNull();
+    expect(container.querySelector('nav')).toBeNull();
+  });
 });
@@ -147,6 +147,35 @@ describe('useCompletionDetector', () => {
     expect(onComplete).not.toHaveBeenCalled();
   });
 
+  it('counts coarser ticks as playback at faster speeds', () => {
+    const transcript = makeTranscript(100);
+    // 0.4s ticks at 1.5x advance media time by 0.6s each
+    const tick = (handler: (time: number) => void) => {
+      for (let i = 0; i <= 100; i++) handler(i * 0.6);
+    };
+
+    const normal = renderHook(() => useCompletionDetector(transcript, onComplete));
+    act(() => tick(normal.result.current.handleTimeUpdate));
+    expect(onComplete).not.toHaveBeenCalled();
+
+    const fast = renderHook(() => useCompletionDetector(transcript, onComplete, 1.5));
+    act(() => tick(fast.result.current.handleTimeUpdate));
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it('still rejects seeks at faster speeds', () => {
+    const transcript = makeTranscript(100);
+    const { result } = renderHook(() => useCompletionDetector(transcript, onComplete, 1.5));
+
+    act(() => {
+      result.current.handleTimeUpdate(0);
+      result.current.handleTimeUpdate(80);
+      simulateTicks(result.current.handleTimeUpdate, 80, 100);
+    });
+
+    expect(onComplete).not.toHaveBeenCalled();
+  });
+
   it('does nothing when transcript is null', () => {
     const { result } = renderHook(() => useCompletionDetector(null, onComplete));
 
@@ -16,6 +16,7 @@ import {
   enrichMissingDictionary,
   enrichMissingExamples,
   enrichSingleCardExample,
+  enrichCardAudio,
 } from '../src/services/deck-enrichment';
 
 // ── Helpers ───────────────────────────────────────────────────
@@ -295,3 +296,27 @@ describe('enrichSingleCardExample', () => {
     expect(mockCaptureException).toHaveBeenCalled();
   });
 });
+
+describe('enrichCardAudio', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const source = { sessionId: 's1', chunkId: 'chunk-0', start: 1.7, end: 2, sentence: 'Я хочу.' };
+
+  it('cuts the word span and returns the clip name', async () => {
+    mockApiRequest.mockResolvedValue({ clip: 'chunk-0_1700-2000.mp3', url: '/api/local-audio/s1_chunk-0_1700-2000.mp3' });
+
+    expect(await enrichCardAudio(source)).toBe('chunk-0_1700-2000.mp3');
+    expect(mockApiRequest).toHaveBeenCalledWith('/api/session/s1/clips', {
+      method: 'POST',
+      body: JSON.stringify({ chunkId: 'chunk-0', start: 1.7, end: 2 }),
+    });
+  });
+
+  it('returns undefined when the clip cannot be cut', async () => {
+    mockApiRequest.mockRejectedValue(new Error('Chunk media not available'));
+
+    expect(await enrichCardAudio(source)).toBeUndefined();
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import { toImportedCard, parseDeckJson, parseDelimited, parseDeckFile, planDeckImport } from '../src/utils/deck-import';
+import { createCard } from '../src/utils/sm2';
+import type { SRSCard } from '../src/types';
+
+function reviewed(card: SRSCard, lastReviewedAt: string, overrides: Partial<SRSCard> = {}): SRSCard {
+  return { ...card, repetition: 2, interval: 6, lastReviewedAt, ...overrides };
+}
+
+describe('toImportedCard', () => {
+  it('keeps valid SM-2 fields and normalizes the id', () => {
+    const card = toImportedCard({
+      word: ' Книгу, ',
+      translation: 'book',
+      easeFactor: '2.2',
+      interval: 6,
+      repetition: 2,
+      nextReviewDate: '2026-03-16',
+      lastReviewedAt: '2026-03-10T08:00:00Z',
+    });
+    expect(card).toMatchObject({
+      id: 'книгу',
+      word: 'Книгу',
+      easeFactor: 2.2,
+      interval: 6,
+      repetition: 2,
+      nextReviewDate: '2026-03-16T00:00:00.000Z',
+      lastReviewedAt: '2026-03-10T08:00:00.000Z',
+    });
+  });
+
+  it('starts cards without valid scheduling as new', () => {
+    const card = toImportedCard({ word: 'дом', translation: 'house', easeFactor: 'high', nextReviewDate: 'soon' });
+    expect(card).toMatchObject({ easeFactor: 2.5, interval: 0, repetition: 0, lastReviewedAt: null });
+  });
+
+  it('keeps a valid FSRS state from the JSON export', () => {
+    expect(toImportedCard({ word: 'дом', translation: 'house', fsrs: { stability: 12.5, difficulty: 14 } })?.fsrs)
+      .toEqual({ stability: 12.5, difficulty: 10 });
+    expect(toImportedCard({ word: 'дом', translation: 'house', fsrs: { stability: 'x' } })?.fsrs).toBeUndefined();
+  });
+
+  it('keeps valid sibling schedules from the JSON export', () => {
+    const card = toImportedCard({
+      word: 'дом',
+      translation: 'house',
+      siblings: {
+        production: { easeFactor: 2.3, interval: 6, repetition: 2, nextReviewDate: '2025-03-10T00:00:00.000Z', lastReviewedAt: '2025-03-04T00:00:00.000Z' },
+        typed: { easeFactor: 2.5, interval: 'x', repetition: 0, nextReviewDate: '2025-03-10T00:00:00.000Z' },
+        dictation: { easeFactor: 2.5, interval: 1, repetition: 1, nextReviewDate: '2025-03-10T00:00:00.000Z' },
+      },
+    });
+    expect(card?.siblings).toEqual({
+      production: { easeFactor: 2.3, interval: 6, repetition: 2, nextReviewDate: '2025-03-10T00:00:00.000Z', lastReviewedAt: '2025-03-04T00:00:00.000Z' },
+    });
+  });
+
+  it('keeps tags, sub-deck and first review date', () => {
+    const card = toImportedCard({
+      word: 'дом',
+      translation: 'house',
+      tags: ['noun', ' Chekhov ', 'chekhov', 7],
+      subDeck: 'Stories',
+      firstReviewedAt: '2025-03-01T00:00:00.000Z',
+    });
+    expect(card).toMatchObject({ tags: ['noun', 'Chekhov'], subDeck: 'Stories', firstReviewedAt: '2025-03-01T00:00:00.000Z' });
+    expect(toImportedCard({ word: 'дом', translation: 'house' })).not.toHaveProperty('tags');
+  });
+
+  it('rejects rows without a Russian word or a translation', () => {
+    expect(toImportedCard({ word: 'house', translation: 'дом' })).toBeNull();
+    expect(toImportedCard({ word: 'дом', translation: ' ' })).toBeNull();
+    expect(toImportedCard({ translation: 'house' })).toBeNull();
+  });
+});
+
+describe('parseDeckJson', () => {
+  it('reads the app\'s export, dropping invalid entries', () => {
+    const exported = [createCard('книгу', 'book', 'ru', undefined, 'кни́гу'), { word: 42 }, null];
+    const cards = parseDeckJson(JSON.stringify(exported));
+    expect(cards).toHaveLength(1);
+    expect(cards[0]).toMatchObject({ id: 'книгу', stressedWord: 'кни́гу' });
+  });
+
+  it('rejects files that are not a deck export', () => {
+    expect(() => parseDeckJson('{')).toThrow('not valid JSON');
+    expect(() => parseDeckJson('{"cards": []}')).toThrow('not a deck export');
+  });
+});
+
+describe('parseDelimited', () => {
+  it('reads word, translation and stressed columns without a header', () => {
+    const cards = parseDelimited('книгу,book,кни́гу\nдом,"house, home"\n\n');
+    expect(cards.map(c => [c.word, c.translation, c.stressedWord])).toEqual([
+      ['книгу', 'book', 'кни́гу'],
+      ['дом', 'house, home', undefined],
+    ]);
+  });
+
+  it('maps named columns and reads tab-separated files', () => {
+    const cards = parseDelimited('#separator:tab\nTranslation\tWord\tInterval\tDue\r\n"say ""hi"""\tпривет\t3\t2026-03-13\r\n');
+    expect(cards).toHaveLength(1);
+    expect(cards[0]).toMatchObject({ word: 'привет', translation: 'say "hi"', interval: 3, nextReviewDate: '2026-03-13T00:00:00.000Z' });
+  });
+
+  it('reads tags and sub-deck columns', () => {
+    const cards = parseDelimited('word,translation,tags,deck\nдом,house,"noun; home",Basics\n');
+    expect(cards[0]).toMatchObject({ tags: ['noun', 'home'], subDeck: 'Basics' });
+  });
+});
+
+describe('parseDeckFile', () => {
+  it('picks the parser by extension', () => {
+    expect(parseDeckFile('deck.TSV', 'дом\thouse')[0].translation).toBe('house');
+    expect(() => parseDeckFile('deck.xlsx', '')).toThrow('Unsupported file type');
+  });
+});
+
+describe('planDeckImport', () => {
+  const book = reviewed(createCard('книгу', 'book', 'ru', { stressedForm: 'кни́га', pos: 'noun', translations: ['book'] }), '2026-03-10T00:00:00.000Z');
+  const house = createCard('дом', 'house', 'ru');
+
+  it('adds new words and skips duplicates within the file', () => {
+    const cat = createCard('кот', 'cat', 'ru');
+    const plan = planDeckImport([book], [cat, { ...cat, translation: 'tomcat' }], 'take-imported');
+    expect(plan).toMatchObject({ added: 1, updated: 0, skipped: 1 });
+    expect(plan.cards.map(c => c.id)).toEqual(['книгу', 'кот']);
+  });
+
+  it('keeps existing cards with keep-existing', () => {
+    const plan = planDeckImport([book, house], [reviewed(book, '2026-03-12T00:00:00.000Z')], 'keep-existing');
+    expect(plan).toMatchObject({ added: 0, updated: 0, skipped: 1 });
+    expect(plan.cards).toEqual([book, house]);
+  });
+
+  it('takes imported scheduling but keeps dictionary data the import lacks', () => {
+    const imported = { ...reviewed(createCard('Книгу', 'a book', 'ru'), '2026-03-01T00:00:00.000Z', { interval: 2 }), addedAt: '2030-01-01T00:00:00.000Z' };
+    const plan = planDeckImport([book, house], [imported], 'take-imported');
+    expect(plan).toMatchObject({ added: 0, updated: 1, skipped: 0 });
+    expect(plan.cards[0]).toMatchObject({ translation: 'a book', interval: 2, dictionary: book.dictionary, addedAt: book.addedAt });
+    expect(plan.cards[1]).toBe(house);
+  });
+
+  it('counts identical imports as skipped', () => {
+    expect(planDeckImport([book], [{ ...book }], 'take-imported')).toMatchObject({ updated: 0, skipped: 1 });
+  });
+
+  it('keeps whichever side was reviewed later with latest-review', () => {
+    const newer = reviewed(book, '2026-03-12T00:00:00.000Z', { interval: 15 });
+    const older = reviewed(book, '2026-03-01T00:00:00.000Z', { interval: 1 });
+    expect(planDeckImport([book], [newer], 'latest-review').cards[0].interval).toBe(15);
+    expect(planDeckImport([book], [older], 'latest-review')).toMatchObject({ updated: 0, skipped: 1 });
+    expect(planDeckImport([house], [reviewed(house, '2026-03-01T00:00:00.000Z')], 'latest-review').updated).toBe(1);
+  });
+});
@@ -0,0 +1,103 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import { DeckPanel } from '../src/components/DeckPanel';
+import { createCard } from '../src/utils/sm2';
+import type { SRSCard, DeckSettings } from '../src/types';
+
+const PAST = '2025-01-01T00:00:00.000Z';
+const FUTURE = new Date(Date.now() + 7 * 86_400_000).toISOString();
+
+function card(word: string, overrides: Partial<SRSCard> = {}): SRSCard {
+  return { ...createCard(word, word, 'ru'), nextReviewDate: PAST, ...overrides };
+}
+
+const CARDS = [
+  card('сказать', { tags: ['verb', 'Chekhov'], subDeck: 'Stories' }),
+  card('книга', { tags: ['noun', 'Chekhov'] }),
+  card('читать', { tags: ['verb'], nextReviewDate: FUTURE, lastReviewedAt: PAST }),
+];
+
+function renderPanel(overrides: Partial<Parameters<typeof DeckPanel>[0]> = {}) {
+  const props = {
+    isOpen: true,
+    onClose: vi.fn(),
+    cards: CARDS,
+    deckSettings: { scheduler: 'sm2' } as DeckSettings,
+    onDeckSettingsChange: vi.fn(),
+    onEditCards: vi.fn(),
+    onAutoTag: vi.fn(),
+    onStartReview: vi.fn(),
+    ...overrides,
+  };
+  render(<DeckPanel {...props} />);
+  return props;
+}
+
+describe('DeckPanel', () => {
+  it('renders nothing when closed', () => {
+    renderPanel({ isOpen: false });
+    expect(screen.queryByText('Deck')).not.toBeInTheDocument();
+  });
+
+  it('filters by tags and starts a review of the due cards shown', () => {
+    const { onStartReview } = renderPanel();
+    expect(screen.getByTestId('start-filtered-review')).toHaveTextContent('Review 2 due');
+
+    fireEvent.click(within(screen.getByTestId('deck-filter-tags')).getByText('verb'));
+    expect(within(screen.getByTestId('deck-card-list')).getAllByRole('listitem')).toHaveLength(2);
+    expect(screen.getByTestId('start-filtered-review')).toHaveTextContent('Review 1 due');
+
+    fireEvent.click(screen.getByTestId('start-filtered-review'));
+    expect(onStartReview).toHaveBeenCalledWith({ subDeck: undefined, tags: ['verb'] });
+  });
+
+  it('crams a sub-deck whether due or not', () => {
+    const { onStartReview } = renderPanel();
+    fireEvent.change(screen.getByTestId('deck-filter-subdeck'), { target: { value: 'Stories' } });
+    expect(screen.getByTestId('start-cram')).toHaveTextContent('Cram 1 card');
+
+    fireEvent.click(screen.getByTestId('start-cram'));
+    expect(onStartReview).toHaveBeenCalledWith({ subDeck: 'Stories', tags: [], cram: true });
+  });
+
+  it('sets the daily limits of the deck and of a sub-deck', () => {
+    const { onDeckSettingsChange } = renderPanel({ deckSettings: { scheduler: 'sm2', subDecks: { Stories: { reviewsPerDay: 50 } } } });
+    fireEvent.change(screen.getByTestId('limit-new'), { target: { value: '20' } });
+    expect(onDeckSettingsChange).toHaveBeenLastCalledWith({ scheduler: 'sm2', newPerDay: 20, subDecks: { Stories: { reviewsPerDay: 50 } } });
+
+    fireEvent.change(screen.getByTestId('deck-filter-subdeck'), { target: { value: 'Stories' } });
+    expect(screen.getByTestId('limit-reviews')).toHaveValue(50);
+    fireEvent.change(screen.getByTestId('limit-reviews'), { target: { value: '' } });
+    expect(onDeckSettingsChange).toHaveBeenLastCalledWith({ scheduler: 'sm2', subDecks: { Stories: {} } });
+  });
+
+  it('sets how many new card types a day the deck introduces', () => {
+    const { onDeckSettingsChange } = renderPanel({ deckSettings: { scheduler: 'sm2', templates: ['production'] } });
+    expect(screen.getByTestId('limit-new-siblings')).toHaveAttribute('placeholder', '20');
+    fireEvent.change(screen.getByTestId('limit-new-siblings'), { target: { value: '5' } });
+    expect(onDeckSettingsChange).toHaveBeenLastCalledWith({ scheduler: 'sm2', templates: ['production'], newSiblingsPerDay: 5 });
+  });
+
+  it('tags and moves the selected cards', () => {
+    const { onEditCards } = renderPanel();
+    fireEvent.click(screen.getByLabelText('Select книга'));
+    fireEvent.change(screen.getByTestId('bulk-tag-input'), { target: { value: 'library' } });
+    fireEvent.click(screen.getByText('Add tag'));
+    const [ids, addLibrary] = onEditCards.mock.calls[0];
+    expect(ids).toEqual(['книга']);
+    expect(addLibrary(CARDS[1]).tags).toEqual(['noun', 'Chekhov', 'library']);
+
+    fireEvent.change(screen.getByTestId('bulk-subdeck-input'), { target: { value: 'Stories' } });
+    fireEvent.click(screen.getByText('Move'));
+    expect(onEditCards.mock.calls[1][1](CARDS[1]).subDeck).toBe('Stories');
+
+    fireEvent.click(screen.getByLabelText('Remove tag noun'));
+    expect(onEditCards.mock.calls[2][1](CARDS[1]).tags).toEqual(['Chekhov']);
+  });
+
+  it('offers to tag cards that have never been tagged', () => {
+    const { onAutoTag } = renderPanel({ cards: [...CARDS, card('дом')] });
+    fireEvent.click(screen.getByTestId('auto-tag-btn'));
+    expect(onAutoTag).toHaveBeenCalled();
+  });
+});
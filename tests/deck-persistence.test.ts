@@ -3,13 +3,21 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 // ── Firebase mock ──────────────────────────────────────────────
 const mockGetDoc = vi.fn();
 const mockSetDoc = vi.fn();
+const mockGetDocs = vi.fn();
 
 vi.mock('firebase/firestore', () => ({
-  doc: vi.fn((_db: unknown, collection: string, id: string) => ({ path: `${collection}/${id}` })),
+  doc: vi.fn((_db: unknown, ...segments: string[]) => ({ path: segments.join('/') })),
   getDoc: (...args: unknown[]) => mockGetDoc(...args),
   setDoc: (...args: unknown[]) => mockSetDoc(...args),
   serverTimestamp: () => 'SERVER_TIMESTAMP',
   getFirestore: vi.fn(),
+  collection: vi.fn((_db: unknown, ...segments: string[]) => ({ path: segments.join('/') })),
+  query: vi.fn((ref: { path: string }, ...constraints: unknown[]) => ({ path: ref.path, constraints })),
+  where: (field: string, op: string, value: unknown) => ['where', field, op, value],
+  orderBy: (field: string) => ['orderBy', field],
+  startAfter: (doc: unknown) => ['startAfter', doc],
+  limit: (n: number) => ['limit', n],
+  getDocs: (...args: unknown[]) => mockGetDocs(...args),
 }));
 
 vi.mock('../src/firebase-db', () => ({
@@ -26,8 +34,15 @@ import {
   saveLocalBackup,
   loadFromFirestore,
   createDebouncedSave,
+  loadDeckSettings,
+  saveDeckSettings,
+  loadDrillStats,
+  saveDrillStats,
+  appendReviewLog,
+  loadReviewLog,
+  REVIEW_LOG_PAGE,
 } from '../src/services/deck-persistence';
-import type { SRSCard } from '../src/types';
+import type { SRSCard, ReviewLogEntry } from '../src/types';
 
 // ── Helpers ────────────────────────────────────────────────────
 function makeCard(word = 'тест'): SRSCard {
@@ -143,6 +158,145 @@ describe('loadFromFirestore', () => {
   });
 });
 
+// ── deck settings ──────────────────────────────────────────────
+describe('loadDrillStats / saveDrillStats', () => {
+  it('keeps well-formed cells', async () => {
+    mockGetDoc.mockResolvedValue(firestoreSnap({
+      cells: { 'noun.inst.pl': { attempts: 3, correct: 1 }, 'verb.past.f': { attempts: 'x' } },
+      updatedAt: 'SERVER',
+    }));
+    expect(await loadDrillStats('user-1')).toEqual({ 'noun.inst.pl': { attempts: 3, correct: 1 } });
+    expect(mockGetDoc).toHaveBeenCalledWith({ path: 'drillStats/user-1' });
+  });
+
+  it('starts empty without saved stats', async () => {
+    mockGetDoc.mockResolvedValue(firestoreSnap(null));
+    expect(await loadDrillStats('user-1')).toEqual({});
+  });
+
+  it('reports a failed save instead of throwing', async () => {
+    mockSetDoc.mockRejectedValue(new Error('offline'));
+    await expect(saveDrillStats('user-1', { 'noun.inst.pl': { attempts: 1, correct: 1 } })).resolves.toBeUndefined();
+    expect(mockSetDoc).toHaveBeenCalledWith(
+      { path: 'drillStats/user-1' },
+      { cells: { 'noun.inst.pl': { attempts: 1, correct: 1 } }, updatedAt: 'SERVER_TIMESTAMP' },
+    );
+    expect(mockCaptureException).toHaveBeenCalledWith(expect.any(Error), { tags: { operation: 'drill_stats_save' } });
+  });
+});
+
+describe('appendReviewLog', () => {
+  it('keys entries by card, template and time, so a repeated write keeps one copy', async () => {
+    mockSetDoc.mockResolvedValue(undefined);
+    const entry: ReviewLogEntry = { cardId: 'книга', rating: 4, reviewedAt: '2025-01-01T10:00:00.000Z', previousInterval: 0, interval: 1, template: 'production' };
+    await appendReviewLog('user-1', entry);
+    await appendReviewLog('user-1', { ...entry });
+    expect(mockSetDoc.mock.calls.map(([ref]) => ref.path)).toEqual([
+      'decks/user-1/reviews/книга_production_2025-01-01T10:00:00.000Z',
+      'decks/user-1/reviews/книга_production_2025-01-01T10:00:00.000Z',
+    ]);
+  });
+
+  it('reports a failed write instead of throwing', async () => {
+    mockSetDoc.mockRejectedValue(new Error('offline'));
+    await expect(appendReviewLog('user-1', { cardId: 'a/b', rating: 0, reviewedAt: '2025-01-01T10:00:00.000Z', previousInterval: 0, interval: 0 })).resolves.toBeUndefined();
+    expect(mockSetDoc.mock.calls[0][0].path).toBe('decks/user-1/reviews/a_b_recognition_2025-01-01T10:00:00.000Z');
+    expect(mockCaptureException).toHaveBeenCalledWith(expect.any(Error), { tags: { operation: 'review_log_append' } });
+  });
+});
+
+describe('loadReviewLog', () => {
+  const logEntry = (i: number): ReviewLogEntry => ({
+    cardId: `card-${i}`,
+    rating: 4,
+    reviewedAt: new Date(Date.UTC(2025, 0, 1) + i * 60_000).toISOString(),
+    previousInterval: 0,
+    interval: 1,
+  });
+  const page = (entries: ReviewLogEntry[]) => ({ docs: entries.map(entry => ({ data: () => entry })) });
+
+  it('reads the log a page at a time, oldest first', async () => {
+    const log = Array.from({ length: REVIEW_LOG_PAGE + 1 }, (_, i) => logEntry(i));
+    mockGetDocs
+      .mockResolvedValueOnce(page(log.slice(0, REVIEW_LOG_PAGE)))
+      .mockResolvedValueOnce(page(log.slice(REVIEW_LOG_PAGE)));
+
+    expect(await loadReviewLog('user-1')).toEqual(log);
+    expect(mockGetDocs).toHaveBeenCalledTimes(2);
+    const [[first], [second]] = mockGetDocs.mock.calls;
+    expect(first).toEqual({ path: 'decks/user-1/reviews', constraints: [['orderBy', 'reviewedAt'], ['limit', REVIEW_LOG_PAGE]] });
+    expect(second.constraints).toEqual([['orderBy', 'reviewedAt'], ['startAfter', expect.anything()], ['limit', REVIEW_LOG_PAGE]]);
+    expect(second.constraints[1][1].data()).toEqual(log[REVIEW_LOG_PAGE - 1]);
+  });
+
+  it('only queries reviews from the given time on', async () => {
+    mockGetDocs.mockResolvedValueOnce(page([logEntry(1)]));
+    expect(await loadReviewLog('user-1', '2025-01-01T00:00:30.000Z')).toEqual([logEntry(1)]);
+    expect(mockGetDocs.mock.calls[0][0].constraints).toEqual([
+      ['where', 'reviewedAt', '>=', '2025-01-01T00:00:30.000Z'],
+      ['orderBy', 'reviewedAt'],
+      ['limit', REVIEW_LOG_PAGE],
+    ]);
+  });
+});
+
+describe('loadDeckSettings / saveDeckSettings', () => {
+  it('defaults to SM-2 when the deck has no settings', async () => {
+    mockGetDoc.mockResolvedValue(firestoreSnap(null));
+    expect(await loadDeckSettings('user-1')).toEqual({ scheduler: 'sm2' });
+  });
+
+  it('keeps valid fields and drops the rest', async () => {
+    mockGetDoc.mockResolvedValue(firestoreSnap({
+      scheduler: 'fsrs', desiredRetention: 0.85, fsrsWeights: [1, 'x'], optimizedReviews: 300, updatedAt: 'SERVER',
+    }));
+    expect(await loadDeckSettings('user-1')).toEqual({ scheduler: 'fsrs', desiredRetention: 0.85, optimizedReviews: 300 });
+  });
+
+  it('keeps only known card templates', async () => {
+    mockGetDoc.mockResolvedValue(firestoreSnap({ scheduler: 'sm2', templates: ['cloze', 'recognition', 'dictation', 'production'] }));
+    expect(await loadDeckSettings('user-1')).toEqual({ scheduler: 'sm2', templates: ['production', 'cloze'] });
+  });
+
+  it('keeps when each known template was turned on and the new-template limit', async () => {
+    mockGetDoc.mockResolvedValue(firestoreSnap({
+      scheduler: 'sm2',
+      templates: ['production'],
+      templatesEnabledAt: { production: '2025-03-01T00:00:00.000Z', dictation: '2025-03-02T00:00:00.000Z', typed: 5 },
+      newSiblingsPerDay: 10,
+    }));
+    expect(await loadDeckSettings('user-1')).toEqual({
+      scheduler: 'sm2',
+      templates: ['production'],
+      templatesEnabledAt: { production: '2025-03-01T00:00:00.000Z' },
+      newSiblingsPerDay: 10,
+    });
+  });
+
+  it('keeps whole-number daily limits of the deck and its sub-decks', async () => {
+    mockGetDoc.mockResolvedValue(firestoreSnap({
+      scheduler: 'sm2',
+      newPerDay: 20,
+      reviewsPerDay: -5,
+      subDecks: { Chekhov: { newPerDay: 5, reviewsPerDay: 'many' }, Broken: null },
+    }));
+    expect(await loadDeckSettings('user-1')).toEqual({
+      scheduler: 'sm2',
+      newPerDay: 20,
+      subDecks: { Chekhov: { newPerDay: 5 }, Broken: {} },
+    });
+  });
+
+  it('saves without undefined fields', async () => {
+    mockSetDoc.mockResolvedValue(undefined);
+    await saveDeckSettings('user-1', { scheduler: 'fsrs', desiredRetention: undefined });
+    expect(mockSetDoc).toHaveBeenCalledWith(
+      { path: 'deckSettings/user-1' },
+      { scheduler: 'fsrs', updatedAt: 'SERVER_TIMESTAMP' },
+    );
+  });
+});
+
 // ── createDebouncedSave ────────────────────────────────────────
 describe('createDebouncedSave', () => {
   afterEach(() => {
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { reviewsPerDay, retentionByInterval, dueForecast, easeDistribution, reviewHeatmap, statsStartDate } from '../src/utils/deck-stats';
+import { createCard } from '../src/utils/sm2';
+import type { SRSCard, SRSRating, ReviewLogEntry } from '../src/types';
+
+// Local-time timestamps, so day keys match getLocalDateString in any timezone
+function at(year: number, month: number, day: number, hour = 12): string {
+  return new Date(year, month - 1, day, hour).toISOString();
+}
+
+function entry(reviewedAt: string, rating: SRSRating = 4, previousInterval = 0): ReviewLogEntry {
+  return { cardId: 'книга', rating, reviewedAt, previousInterval, interval: previousInterval * 2 };
+}
+
+function card(overrides: Partial<SRSCard>): SRSCard {
+  return { ...createCard('книга', 'book', 'ru'), ...overrides };
+}
+
+describe('reviewsPerDay', () => {
+  it('counts reviews and lapses per local day, oldest first, including empty days', () => {
+    const log = [entry(at(2025, 3, 10, 9)), entry(at(2025, 3, 10, 23), 0), entry(at(2025, 3, 8))];
+    const days = reviewsPerDay(log, 3, '2025-03-10');
+    expect(days).toEqual([
+      { date: '2025-03-08', reviews: 1, lapses: 0 },
+      { date: '2025-03-09', reviews: 0, lapses: 0 },
+      { date: '2025-03-10', reviews: 2, lapses: 1 },
+    ]);
+  });
+
+  it('ignores reviews outside the window', () => {
+    const days = reviewsPerDay([entry(at(2025, 1, 1))], 30, '2025-03-10');
+    expect(days).toHaveLength(30);
+    expect(days.every(d => d.reviews === 0)).toBe(true);
+  });
+});
+
+describe('retentionByInterval', () => {
+  it('groups review ratings by the previous interval and skips learning reviews', () => {
+    const log = [
+      entry(at(2025, 3, 1), 4, 1),
+      entry(at(2025, 3, 2), 0, 1),
+      entry(at(2025, 3, 3), 2, 10),
+      entry(at(2025, 3, 4), 5, 90),
+      entry(at(2025, 3, 5), 0, 0),
+    ];
+    expect(retentionByInterval(log)).toEqual([
+      { label: '1d', reviews: 2, retention: 0.5 },
+      { label: '2–6d', reviews: 0, retention: null },
+      { label: '1–3w', reviews: 1, retention: 1 },
+      { label: '3w–2mo', reviews: 0, retention: null },
+      { label: '2mo+', reviews: 1, retention: 1 },
+    ]);
+  });
+});
+
+describe('dueForecast', () => {
+  it('counts cards due on each of the next days, overdue cards today', () => {
+    const now = new Date(2025, 2, 10, 12);
+    const cards = [
+      card({ nextReviewDate: at(2025, 3, 1) }),    // overdue
+      card({ nextReviewDate: at(2025, 3, 10, 20) }),
+      card({ nextReviewDate: at(2025, 3, 12) }),
+      card({ nextReviewDate: at(2025, 6, 1) }),    // beyond 30 days
+    ];
+    const forecast = dueForecast(cards, 30, now);
+    expect(forecast).toHaveLength(30);
+    expect(forecast[0]).toEqual({ date: '2025-03-10', due: 2 });
+    expect(forecast[2]).toEqual({ date: '2025-03-12', due: 1 });
+    expect(forecast.reduce((sum, d) => sum + d.due, 0)).toBe(3);
+  });
+});
+
+describe('easeDistribution', () => {
+  it('buckets graduated cards by ease in 20% steps', () => {
+    const cards = [
+      card({ repetition: 3, interval: 10, easeFactor: 2.5 }),
+      card({ repetition: 1, interval: 1, easeFactor: 2.6 }),
+      card({ repetition: 2, interval: 4, easeFactor: 1.3 }),
+      card({ repetition: 9, interval: 200, easeFactor: 3.4 }),
+      card({ repetition: 0, interval: 0, easeFactor: 2.5 }),  // new, left out
+    ];
+    const buckets = easeDistribution(cards);
+    expect(buckets.map(b => b.label)).toEqual(['130%', '150%', '170%', '190%', '210%', '230%', '250%', '270%', '290%+']);
+    expect(buckets.map(b => b.cards)).toEqual([1, 0, 0, 0, 0, 0, 2, 0, 1]);
+  });
+});
+
+describe('reviewHeatmap', () => {
+  it('lays out Monday-first weeks ending with the current one', () => {
+    const weeks = reviewHeatmap([], [], 13, '2025-03-12'); // a Wednesday
+    expect(weeks).toHaveLength(13);
+    expect(weeks.every(week => week.length === 7)).toBe(true);
+    expect(weeks[12][0].date).toBe('2025-03-10');
+    expect(weeks[12][2]).toMatchObject({ date: '2025-03-12', future: false });
+    expect(weeks[12][3]).toMatchObject({ date: '2025-03-13', future: true });
+    expect(weeks[0][0].date).toBe('2024-12-16');
+    expect(statsStartDate(13, '2025-03-12')).toBe('2024-12-16');
+  });
+
+  it('puts reviews and streak days on the same local day', () => {
+    const log = [entry(at(2025, 3, 11, 23)), entry(at(2025, 3, 11, 8))];
+    const weeks = reviewHeatmap(log, ['2025-03-11', '2025-03-09'], 2, '2025-03-12');
+    const days = weeks.flat();
+    expect(days.find(d => d.date === '2025-03-11')).toEqual({ date: '2025-03-11', reviews: 2, streakDay: true, future: false });
+    expect(days.find(d => d.date === '2025-03-09')).toMatchObject({ reviews: 0, streakDay: true });
+    expect(days.filter(d => d.streakDay)).toHaveLength(2);
+  });
+});
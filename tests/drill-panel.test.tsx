@@ -0,0 +1,104 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { DrillPanel } from '../src/components/DrillPanel';
+import { loadDrillStats, saveDrillStats } from '../src/services/deck-persistence';
+import { createCard } from '../src/utils/sm2';
+import type { DictionaryEntry } from '../src/types';
+
+vi.mock('../src/services/deck-persistence', () => ({
+  loadDrillStats: vi.fn(),
+  saveDrillStats: vi.fn(),
+}));
+
+const SAY: DictionaryEntry = {
+  stressedForm: 'сказа́ть',
+  pos: 'verb',
+  aspect: 'perfective',
+  translations: ['to say'],
+  conjugation: {
+    present: { sg1: 'скажу́', sg2: 'ска́жешь', sg3: 'ска́жет', pl1: 'ска́жем', pl2: 'ска́жете', pl3: 'ска́жут' },
+    past: { m: 'сказа́л', f: 'сказа́ла', n: 'сказа́ло', pl: 'сказа́ли' },
+    imperative: { sg: 'скажи́', pl: 'скажи́те' },
+  },
+};
+
+// One card with one drillable cell, so the round is predictable
+const ONE_CELL: DictionaryEntry = {
+  ...SAY,
+  conjugation: { present: { ...SAY.conjugation!.present, sg1: '', sg3: '', pl1: '', pl2: '', pl3: '' }, past: { m: '', f: '', pl: '' }, imperative: { sg: '', pl: '' } },
+};
+
+function renderPanel(overrides: Partial<Parameters<typeof DrillPanel>[0]> = {}) {
+  return render(
+    <DrillPanel isOpen onClose={vi.fn()} userId="user-1" cards={[createCard('сказать', 'to say', 'ru', ONE_CELL)]} {...overrides} />,
+  );
+}
+
+describe('DrillPanel', () => {
+  beforeEach(() => {
+    vi.mocked(loadDrillStats).mockReset().mockResolvedValue({});
+    vi.mocked(saveDrillStats).mockReset().mockResolvedValue(undefined);
+  });
+
+  it('renders nothing when closed', () => {
+    const { container } = renderPanel({ isOpen: false });
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('shows accuracy by case and tense, weakest first', async () => {
+    vi.mocked(loadDrillStats).mockResolvedValue({
+      'verb.past.f': { attempts: 4, correct: 4 },
+      'noun.inst.pl': { attempts: 4, correct: 1 },
+    });
+    renderPanel();
+
+    const rows = within(await screen.findByTestId('drill-accuracy')).getAllByRole('row');
+    expect(rows[1]).toHaveTextContent('instrumental425%');
+    expect(rows[2]).toHaveTextContent('past4100%');
+    expect(loadDrillStats).toHaveBeenCalledWith('user-1');
+  });
+
+  it('drills a form, checks the typed answer and records the result', async () => {
+    renderPanel();
+    fireEvent.click(await screen.findByTestId('start-drill-btn'));
+
+    expect(screen.getByTestId('drill-prompt')).toHaveTextContent('сказа́ть → ты, future?');
+    fireEvent.change(screen.getByTestId('drill-answer-input'), { target: { value: 'скажешь' } });
+    fireEvent.click(screen.getByText('Check'));
+
+    expect(screen.getByTestId('drill-answer-diff')).toHaveTextContent('Correct');
+    expect(saveDrillStats).toHaveBeenCalledWith('user-1', { 'verb.future.sg2': { attempts: 1, correct: 1 } });
+
+    fireEvent.click(screen.getByText('Next'));
+    expect(screen.getByTestId('drill-summary')).toHaveTextContent('1 of 1 correct');
+    expect(screen.getByText('Another round')).toBeInTheDocument();
+  });
+
+  it('shows the expected form after a wrong answer', async () => {
+    renderPanel();
+    fireEvent.click(await screen.findByTestId('start-drill-btn'));
+
+    fireEvent.change(screen.getByTestId('drill-answer-input'), { target: { value: 'скажишь' } });
+    fireEvent.submit(screen.getByTestId('drill-answer-input'));
+
+    expect(screen.getByTestId('drill-answer-diff')).toHaveTextContent('Not quite');
+    expect(screen.getByTestId('drill-expected')).toHaveTextContent('ска́жешь');
+    expect(saveDrillStats).toHaveBeenCalledWith('user-1', { 'verb.future.sg2': { attempts: 1, correct: 0 } });
+  });
+
+  it('drills without saving when signed out', async () => {
+    renderPanel({ userId: null });
+    fireEvent.click(await screen.findByTestId('start-drill-btn'));
+    fireEvent.change(screen.getByTestId('drill-answer-input'), { target: { value: 'скажешь' } });
+    fireEvent.click(screen.getByText('Check'));
+
+    expect(loadDrillStats).not.toHaveBeenCalled();
+    expect(saveDrillStats).not.toHaveBeenCalled();
+  });
+
+  it('explains when no card has inflection tables', async () => {
+    renderPanel({ cards: [createCard('привет', 'hi', 'ru')] });
+    expect(await screen.findByTestId('start-drill-btn')).toBeDisabled();
+    expect(screen.getByText(/None of your cards have declension or conjugation tables/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, fireEvent, screen } from '@testing-library/react';
+import { FileInput } from '../src/components/FileInput';
+
+describe('FileInput', () => {
+  const noop = vi.fn().mockResolvedValue(undefined);
+
+  function selectFile(container: HTMLElement, file: File) {
+    const input = container.querySelector('input[type="file"]') as HTMLInputElement;
+    fireEvent.change(input, { target: { files: [file] } });
+  }
+
+  it('renders file input and submit button', () => {
+    const { container } = render(<FileInput onSubmit={noop} isLoading={false} error={null} />);
+    expect(container.querySelector('input[type="file"]')).not.toBeNull();
+    expect(container.querySelector('button[type="submit"]')).not.toBeNull();
+  });
+
+  it('submit button is disabled until a file is chosen', () => {
+    const { container } = render(<FileInput onSubmit={noop} isLoading={false} error={null} />);
+    const button = container.querySelector('button') as HTMLButtonElement;
+    expect(button.disabled).toBe(true);
+    selectFile(container, new File(['x'], 'lecture.mp3'));
+    expect(button.disabled).toBe(false);
+  });
+
+  it('calls onSubmit with the selected audio or video file', () => {
+    const onSubmit = vi.fn().mockResolvedValue(undefined);
+    const { container } = render(<FileInput onSubmit={onSubmit} isLoading={false} error={null} />);
+    const file = new File(['x'], 'Film.MKV');
+    selectFile(container, file);
+    fireEvent.submit(container.querySelector('form') as HTMLFormElement);
+    expect(onSubmit).toHaveBeenCalledWith(file, 'video');
+  });
+
+  it('submits books in text mode', () => {
+    const onSubmit = vi.fn().mockResolvedValue(undefined);
+    const { container } = render(<FileInput onSubmit={onSubmit} isLoading={false} error={null} />);
+    const file = new File(['x'], 'master.fb2.zip');
+    selectFile(container, file);
+    fireEvent.submit(container.querySelector('form') as HTMLFormElement);
+    expect(onSubmit).toHaveBeenCalledWith(file, 'text');
+  });
+
+  it('shows validation error for unsupported file types', () => {
+    const onSubmit = vi.fn().mockResolvedValue(undefined);
+    const { container, getByText } = render(<FileInput onSubmit={onSubmit} isLoading={false} error={null} />);
+    selectFile(container, new File(['x'], 'notes.pdf'));
+    fireEvent.submit(container.querySelector('form') as HTMLFormElement);
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(getByText('Only audio, video and book (FB2, EPUB, TXT) files are supported')).toBeTruthy();
+  });
+
+  it('passes attached subtitles with audio and video files only', async () => {
+    const onSubmit = vi.fn().mockResolvedValue(undefined);
+    const { container } = render(<FileInput onSubmit={onSubmit} isLoading={false} error={null} />);
+    const srt = '1\n00:00:01,000 --> 00:00:02,000\nПривет.\n';
+    fireEvent.change(screen.getByLabelText('Subtitle file'), {
+      target: { files: [new File([srt], 'film.srt')] },
+    });
+    await screen.findByLabelText('Refine timing with audio');
+
+    selectFile(container, new File(['x'], 'book.epub'));
+    fireEvent.submit(container.querySelector('form') as HTMLFormElement);
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(screen.getByText('Subtitles can only be attached to audio or video files')).toBeTruthy();
+
+    const film = new File(['x'], 'film.mp4');
+    selectFile(container, film);
+    fireEvent.submit(container.querySelector('form') as HTMLFormElement);
+    expect(onSubmit).toHaveBeenCalledWith(film, 'video', { content: srt, align: false });
+  });
+
+  it('shows error from parent', () => {
+    const { getByText } = render(<FileInput onSubmit={noop} isLoading={false} error="Upload failed" />);
+    expect(getByText('Upload failed')).toBeTruthy();
+  });
+});
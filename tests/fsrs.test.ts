@@ -0,0 +1,221 @@
+import { describe, it, expect } from 'vitest';
+import {
+  fsrs,
+  previewFsrsInterval,
+  retrievability,
+  nextInterval,
+  migrateFromSm2,
+  migrateDeckToFsrs,
+  optimizeWeights,
+  FSRS_DEFAULT_WEIGHTS,
+  MIN_OPTIMIZE_REVIEWS,
+} from '../src/utils/fsrs';
+import { scheduleReview, previewInterval } from '../src/utils/scheduler';
+import type { SRSCard, SRSRating, DeckSettings, ReviewLogEntry } from '../src/types';
+
+const DAY = 24 * 60 * 60 * 1000;
+const FSRS: DeckSettings = { scheduler: 'fsrs' };
+
+function makeCard(overrides: Partial<SRSCard> = {}): SRSCard {
+  return {
+    id: 'тест',
+    word: 'тест',
+    translation: 'test',
+    sourceLanguage: 'ru',
+    easeFactor: 2.5,
+    interval: 0,
+    repetition: 0,
+    nextReviewDate: new Date(Date.now() - 60_000).toISOString(),
+    addedAt: new Date().toISOString(),
+    lastReviewedAt: null,
+    ...overrides,
+  };
+}
+
+function daysAgo(days: number): string {
+  return new Date(Date.now() - days * DAY).toISOString();
+}
+
+// ─── memory model ──────────────────────────────────────────────
+
+describe('retrievability / nextInterval', () => {
+  it('predicts 90% recall when the elapsed time equals the stability', () => {
+    expect(retrievability(10, 10)).toBeCloseTo(0.9, 5);
+    expect(retrievability(0, 10)).toBe(1);
+  });
+
+  it('schedules at the stability for 90% retention, sooner for higher retention', () => {
+    expect(nextInterval(10)).toBe(10);
+    expect(nextInterval(10, 0.95)).toBeLessThan(10);
+    expect(nextInterval(10, 0.8)).toBeGreaterThan(10);
+    expect(nextInterval(0.1)).toBe(1);
+  });
+});
+
+// ─── fsrs ──────────────────────────────────────────────────────
+
+describe('fsrs', () => {
+  it('keeps SM-2 learning steps for Again and Hard on new cards', () => {
+    const again = fsrs(makeCard(), 0, FSRS);
+    expect(again.repetition).toBe(0);
+    expect(again.interval).toBe(0);
+    expect(again.fsrs).toBeDefined();
+    const hard = fsrs(makeCard(), 2, FSRS);
+    expect(hard.repetition).toBe(0);
+    expect(new Date(hard.nextReviewDate).getTime() - Date.now()).toBeGreaterThan(4 * 60 * 1000);
+  });
+
+  it('graduates new cards on Good and Easy from the initial stability', () => {
+    const good = fsrs(makeCard(), 4, FSRS);
+    expect(good.repetition).toBe(1);
+    expect(good.interval).toBe(Math.round(FSRS_DEFAULT_WEIGHTS[2]));
+    const easy = fsrs(makeCard(), 5, FSRS);
+    expect(easy.interval).toBeGreaterThan(good.interval);
+    expect(easy.fsrs!.difficulty).toBeLessThan(good.fsrs!.difficulty);
+  });
+
+  it('grows stability on a successful review and shrinks it on a lapse', () => {
+    const card = makeCard({ repetition: 2, interval: 10, lastReviewedAt: daysAgo(10), fsrs: { stability: 10, difficulty: 5 } });
+    const good = fsrs(card, 4, FSRS);
+    expect(good.fsrs!.stability).toBeGreaterThan(10);
+    expect(good.interval).toBeGreaterThan(10);
+    expect(good.repetition).toBe(3);
+    const again = fsrs(card, 0, FSRS);
+    expect(again.fsrs!.stability).toBeLessThan(10);
+    expect(again.fsrs!.difficulty).toBeGreaterThan(5);
+    expect(again.repetition).toBe(0);
+  });
+
+  it('leaves the ease factor alone and records the review time', () => {
+    const card = makeCard({ easeFactor: 2.1, repetition: 1, interval: 3, lastReviewedAt: daysAgo(3), fsrs: { stability: 3, difficulty: 6 } });
+    const updated = fsrs(card, 4, FSRS);
+    expect(updated.easeFactor).toBe(2.1);
+    expect(Date.now() - new Date(updated.lastReviewedAt!).getTime()).toBeLessThan(1000);
+  });
+
+  it('schedules shorter intervals for a higher desired retention', () => {
+    const card = makeCard({ repetition: 2, interval: 10, lastReviewedAt: daysAgo(10), fsrs: { stability: 10, difficulty: 5 } });
+    const relaxed = fsrs(card, 4, { scheduler: 'fsrs', desiredRetention: 0.8 });
+    const strict = fsrs(card, 4, { scheduler: 'fsrs', desiredRetention: 0.95 });
+    expect(strict.interval).toBeLessThan(relaxed.interval);
+  });
+
+  it('previews minutes for learning steps and days otherwise', () => {
+    expect(previewFsrsInterval(makeCard(), 0, FSRS)).toEqual({ value: 1, unit: 'min' });
+    expect(previewFsrsInterval(makeCard(), 2, FSRS)).toEqual({ value: 5, unit: 'min' });
+    expect(previewFsrsInterval(makeCard(), 4, FSRS)).toEqual({ value: Math.round(FSRS_DEFAULT_WEIGHTS[2]), unit: 'day' });
+  });
+});
+
+// ─── migration ─────────────────────────────────────────────────
+
+describe('migrateFromSm2', () => {
+  it('turns interval into stability and ease factor into difficulty', () => {
+    const state = migrateFromSm2(makeCard({ interval: 12, easeFactor: 2.5, repetition: 3, lastReviewedAt: daysAgo(12) }));
+    expect(state).toEqual({ stability: 12, difficulty: 5 });
+    expect(migrateFromSm2(makeCard({ interval: 4, easeFactor: 1.3, lastReviewedAt: daysAgo(1) }))!.difficulty).toBe(10);
+  });
+
+  it('leaves never-reviewed cards new', () => {
+    expect(migrateFromSm2(makeCard())).toBeUndefined();
+  });
+
+  it('migrates a whole deck, keeping cards that already have a state', () => {
+    const withState = makeCard({ id: 'а', lastReviewedAt: daysAgo(1), fsrs: { stability: 7, difficulty: 3 } });
+    const reviewed = makeCard({ id: 'б', interval: 6, lastReviewedAt: daysAgo(6) });
+    const fresh = makeCard({ id: 'в' });
+    const [a, b, c] = migrateDeckToFsrs([withState, reviewed, fresh]);
+    expect(a).toBe(withState);
+    expect(b.fsrs).toEqual({ stability: 6, difficulty: 5 });
+    expect(c).toBe(fresh);
+  });
+
+  it('continues an SM-2 card from its interval on the first FSRS review', () => {
+    const card = makeCard({ interval: 20, repetition: 4, lastReviewedAt: daysAgo(20) });
+    expect(fsrs(card, 4, FSRS).interval).toBeGreaterThan(20);
+  });
+});
+
+// ─── scheduler dispatch ────────────────────────────────────────
+
+describe('scheduleReview / previewInterval', () => {
+  it('uses SM-2 without deck settings', () => {
+    const card = makeCard({ repetition: 2, interval: 10, lastReviewedAt: daysAgo(10) });
+    expect(scheduleReview(card, 4).interval).toBe(25);
+    expect(previewInterval(card, 4)).toEqual({ value: 25, unit: 'day' });
+  });
+
+  it('uses FSRS when the deck selects it', () => {
+    const card = makeCard({ repetition: 2, interval: 10, lastReviewedAt: daysAgo(10), fsrs: { stability: 10, difficulty: 5 } });
+    const updated = scheduleReview(card, 4, FSRS);
+    expect(updated.fsrs!.stability).toBeGreaterThan(10);
+    expect(previewInterval(card, 4, FSRS)).toEqual({ value: updated.interval, unit: 'day' });
+  });
+
+  it('drops the stale FSRS state on an SM-2 review', () => {
+    const card = makeCard({ repetition: 2, interval: 10, lastReviewedAt: daysAgo(10), fsrs: { stability: 10, difficulty: 5 } });
+    expect(scheduleReview(card, 4, { scheduler: 'sm2' }).fsrs).toBeUndefined();
+  });
+});
+
+// ─── optimizeWeights ───────────────────────────────────────────
+
+/** A log of `cards` cards each reviewed on days 0, 3, 10, 30 with the given ratings. */
+function makeLog(cards: number, ratings: SRSRating[]): ReviewLogEntry[] {
+  const start = Date.UTC(2025, 0, 1);
+  const days = [0, 3, 10, 30];
+  const log: ReviewLogEntry[] = [];
+  for (let c = 0; c < cards; c++) {
+    ratings.forEach((rating, i) => {
+      log.push({
+        cardId: `card-${c}`,
+        rating,
+        reviewedAt: new Date(start + days[i] * DAY).toISOString(),
+        previousInterval: i === 0 ? 0 : days[i] - days[i - 1],
+        interval: i < days.length - 1 ? days[i + 1] - days[i] : 30,
+      });
+    });
+  }
+  return log;
+}
+
+describe('optimizeWeights', () => {
+  it('refuses to fit a log that is too small', async () => {
+    await expect(optimizeWeights(makeLog(5, [4, 4, 4, 4]), [])).rejects.toThrow(`at least ${MIN_OPTIMIZE_REVIEWS} reviews`);
+  });
+
+  it('fits weights that predict the log better than the defaults', async () => {
+    // Half the cards are always forgotten, half always remembered
+    const log = [...makeLog(30, [0, 0, 0, 0]), ...makeLog(30, [4, 4, 4, 4]).map(e => ({ ...e, cardId: `good-${e.cardId}` }))];
+    const result = await optimizeWeights(log, []);
+    expect(result.reviews).toBe(180);
+    expect(result.weights).toHaveLength(FSRS_DEFAULT_WEIGHTS.length);
+    expect(result.logLoss).toBeLessThan(result.startLogLoss);
+  });
+
+  it('leaves out cards reviewed before their first logged review', async () => {
+    const log = makeLog(40, [4, 0, 4, 0]);
+    const firstLogged = log[0].reviewedAt;
+    // Logged from their second review on
+    const joinedLate = makeLog(5, [4, 4, 4, 4])
+      .filter(e => e.previousInterval > 0)
+      .map(e => ({ ...e, cardId: `late-${e.cardId}` }));
+    const cards = [
+      makeCard({ id: 'card-0', lastReviewedAt: firstLogged, firstReviewedAt: '2024-06-01T00:00:00.000Z' }),
+      makeCard({ id: 'card-1', lastReviewedAt: firstLogged }),
+      makeCard({ id: 'card-2', lastReviewedAt: firstLogged, firstReviewedAt: firstLogged }),
+    ];
+    const { reviews } = await optimizeWeights([...log, ...joinedLate], cards);
+    // card-0 started before the log and card-1 has no record of when it started
+    expect(reviews).toBe(38 * 3);
+  });
+
+  it('uses the fitted weights when the deck has them', async () => {
+    const log = makeLog(40, [4, 0, 4, 0]);
+    const { weights } = await optimizeWeights(log, []);
+    const card = makeCard({ repetition: 1, interval: 3, lastReviewedAt: daysAgo(3), fsrs: { stability: 3, difficulty: 5 } });
+    const fitted = fsrs(card, 4, { scheduler: 'fsrs', fsrsWeights: weights });
+    const defaults = fsrs(card, 4, FSRS);
+    expect(fitted.fsrs).not.toEqual(defaults.fsrs);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import {
+  drillExercises,
+  pickExercises,
+  checkDrillAnswer,
+  recordDrillAnswer,
+  accuracyByGroup,
+  cellWeight,
+  cellGroup,
+} from '../src/utils/inflection-drill';
+import { createCard } from '../src/utils/sm2';
+import type { SRSCard, DictionaryEntry } from '../src/types';
+
+const BOOK: DictionaryEntry = {
+  stressedForm: 'кни́га',
+  pos: 'noun',
+  translations: ['book'],
+  declension: {
+    sg: { nom: 'кни́га', gen: 'кни́ги', dat: 'кни́ге', acc: 'кни́гу', inst: 'кни́гой, кни́гою', prep: 'кни́ге' },
+    pl: { nom: 'кни́ги', gen: 'книг', dat: 'кни́гам', acc: 'кни́ги', inst: 'кни́гами', prep: 'кни́гах' },
+  },
+};
+
+const SAY: DictionaryEntry = {
+  stressedForm: 'сказа́ть',
+  pos: 'verb',
+  aspect: 'perfective',
+  translations: ['to say'],
+  conjugation: {
+    present: { sg1: 'скажу́', sg2: 'ска́жешь', sg3: 'ска́жет', pl1: 'ска́жем', pl2: 'ска́жете', pl3: 'ска́жут' },
+    past: { m: 'сказа́л', f: 'сказа́ла', n: 'сказа́ло', pl: 'сказа́ли' },
+    imperative: { sg: 'скажи́', pl: 'скажи́те' },
+  },
+};
+
+const NEW: DictionaryEntry = {
+  stressedForm: 'но́вый',
+  pos: 'adjective',
+  translations: ['new'],
+  adjectiveForms: {
+    long: { m: 'но́вый', f: 'но́вая', n: 'но́вое', pl: 'но́вые' },
+    short: { m: 'нов', f: 'нова́', n: 'но́во', pl: 'но́вы' },
+    comparative: 'нове́е',
+  },
+};
+
+function card(word: string, translation: string, dictionary?: DictionaryEntry): SRSCard {
+  return createCard(word, translation, 'ru', dictionary);
+}
+
+describe('drillExercises', () => {
+  it('asks for every case and number of a noun except the dictionary form', () => {
+    const exercises = drillExercises(card('книга', 'book', BOOK));
+    expect(exercises).toHaveLength(11);
+    expect(exercises.find(e => e.cell === 'noun.inst.pl')).toEqual({
+      cardId: 'книга',
+      lemma: 'кни́га',
+      translation: 'book',
+      cell: 'noun.inst.pl',
+      prompt: 'instrumental plural',
+      answers: ['кни́гами'],
+    });
+    expect(exercises.find(e => e.cell === 'noun.inst.sg')?.answers).toEqual(['кни́гой', 'кни́гою']);
+    expect(exercises.some(e => e.cell === 'noun.nom.sg')).toBe(false);
+  });
+
+  it('asks a perfective verb for its future, past and imperative', () => {
+    const exercises = drillExercises(card('сказать', 'to say', SAY));
+    expect(exercises.find(e => e.cell === 'verb.future.sg2')).toMatchObject({ prompt: 'ты, future', answers: ['ска́жешь'] });
+    expect(exercises.find(e => e.cell === 'verb.past.f')).toMatchObject({ prompt: 'она, past' });
+    expect(exercises.find(e => e.cell === 'verb.imperative.pl')).toMatchObject({ prompt: 'вы, imperative' });
+    expect(exercises.some(e => e.cell.startsWith('verb.present'))).toBe(false);
+  });
+
+  it('asks an adjective for its long, short and comparative forms', () => {
+    const cells = drillExercises(card('новый', 'new', NEW)).map(e => e.cell);
+    expect(cells).toContain('adj.long.f');
+    expect(cells).toContain('adj.short.pl');
+    expect(cells).toContain('adj.comparative');
+    expect(cells).not.toContain('adj.long.m');
+    expect(cells).not.toContain('adj.superlative');
+  });
+
+  it('has nothing to ask without dictionary tables', () => {
+    expect(drillExercises(card('привет', 'hi'))).toEqual([]);
+  });
+});
+
+describe('pickExercises', () => {
+  const cards = [card('книга', 'book', BOOK), card('сказать', 'to say', SAY), card('новый', 'new', NEW)];
+
+  it('picks one exercise per card while cards last', () => {
+    const round = pickExercises(cards, {}, 3);
+    expect(new Set(round.map(e => e.cardId)).size).toBe(3);
+    expect(pickExercises(cards, {}, 5)).toHaveLength(5);
+  });
+
+  it('favors cells answered wrong', () => {
+    const stats = Object.fromEntries(
+      drillExercises(cards[0]).map(e => [e.cell, e.cell === 'noun.dat.pl' ? { attempts: 20, correct: 0 } : { attempts: 20, correct: 20 }]),
+    );
+    let weakPicks = 0;
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    for (let i = 0; i < 50; i++) {
+      if (pickExercises([cards[0]], stats, 1, random)[0].cell === 'noun.dat.pl') weakPicks++;
+    }
+    expect(weakPicks).toBeGreaterThan(25);
+  });
+
+  it('weights unseen cells between perfect and failed ones', () => {
+    expect(cellWeight()).toBe(0.5);
+    expect(cellWeight({ attempts: 10, correct: 10 })).toBeLessThan(0.5);
+    expect(cellWeight({ attempts: 3, correct: 0 })).toBeGreaterThan(0.5);
+  });
+});
+
+describe('checkDrillAnswer', () => {
+  const exercise = drillExercises(card('книга', 'book', BOOK)).find(e => e.cell === 'noun.inst.sg')!;
+
+  it('accepts any listed alternative, ignoring stress marks', () => {
+    expect(checkDrillAnswer(exercise, 'книгою').correct).toBe(true);
+    expect(checkDrillAnswer(exercise, 'Книгой').correct).toBe(true);
+  });
+
+  it('diffs a wrong answer against the closest alternative', () => {
+    const check = checkDrillAnswer(exercise, 'книгоя');
+    expect(check.correct).toBe(false);
+    expect(check.segments.map(s => s.text).join('')).toContain('книго');
+  });
+});
+
+describe('drill stats', () => {
+  it('records answers per cell', () => {
+    let stats = recordDrillAnswer({}, 'noun.inst.pl', true);
+    stats = recordDrillAnswer(stats, 'noun.inst.pl', false);
+    expect(stats).toEqual({ 'noun.inst.pl': { attempts: 2, correct: 1 } });
+  });
+
+  it('groups cells by case, tense and adjective form, weakest first', () => {
+    expect(cellGroup('noun.inst.pl')).toBe('instrumental');
+    expect(cellGroup('verb.future.sg2')).toBe('future');
+    expect(cellGroup('adj.short.f')).toBe('short form');
+    expect(cellGroup('adj.comparative')).toBe('comparative');
+    expect(accuracyByGroup({
+      'noun.inst.sg': { attempts: 4, correct: 3 },
+      'noun.inst.pl': { attempts: 4, correct: 1 },
+      'verb.past.f': { attempts: 2, correct: 2 },
+      'noun.gen.pl': { attempts: 0, correct: 0 },
+    })).toEqual([
+      { group: 'instrumental', attempts: 8, correct: 4, accuracy: 0.5 },
+      { group: 'past', attempts: 2, correct: 2, accuracy: 1 },
+    ]);
+  });
+});
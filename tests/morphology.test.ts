@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { describeMorph, primaryCase, matchesGrammarFilter } from '../src/utils/morphology';
+import type { MorphTag } from '../src/types';
+
+const INST_SG: MorphTag = { pos: 'noun', case: 'inst', number: 'sg' };
+const GEN_SG: MorphTag = { pos: 'noun', case: 'gen', number: 'sg' };
+const NOM_PL: MorphTag = { pos: 'noun', case: 'nom', number: 'pl' };
+const ACC_PL: MorphTag = { pos: 'noun', case: 'acc', number: 'pl' };
+
+describe('describeMorph', () => {
+  it('names the case and number of a noun form', () => {
+    expect(describeMorph([INST_SG], 'книга')).toBe('instrumental singular of книга');
+  });
+
+  it('joins alternative readings', () => {
+    expect(describeMorph([GEN_SG, NOM_PL, ACC_PL], 'книга'))
+      .toBe('genitive singular or nominative plural or accusative plural of книга');
+  });
+
+  it('describes adjective forms', () => {
+    expect(describeMorph([{ pos: 'adjective', case: 'acc', number: 'sg', gender: 'f' }], 'красивый'))
+      .toBe('accusative feminine singular of красивый');
+    expect(describeMorph([{ pos: 'adjective', form: 'short', number: 'pl' }])).toBe('short plural');
+    expect(describeMorph([{ pos: 'adjective', form: 'comparative' }], 'красивый')).toBe('comparative of красивый');
+  });
+
+  it('describes verb forms with their aspect', () => {
+    expect(describeMorph([{ pos: 'verb', tense: 'future', person: 1, number: 'sg', aspect: 'perfective' }], 'сказать'))
+      .toBe('1st person singular future of сказать (perfective)');
+    expect(describeMorph([{ pos: 'verb', tense: 'past', number: 'sg', gender: 'f', aspect: 'imperfective' }], 'говорить'))
+      .toBe('past feminine singular of говорить (imperfective)');
+    expect(describeMorph([
+      { pos: 'verb', tense: 'present', person: 2, number: 'pl', aspect: 'imperfective' },
+      { pos: 'verb', mood: 'imperative', number: 'pl', aspect: 'imperfective' },
+    ], 'говорить')).toBe('2nd person plural present or imperative plural of говорить (imperfective)');
+    expect(describeMorph([{ pos: 'verb', form: 'infinitive', aspect: 'perfective' }], 'сказать'))
+      .toBe('infinitive of сказать (perfective)');
+  });
+
+  it('returns null without tags', () => {
+    expect(describeMorph(undefined, 'книга')).toBeNull();
+    expect(describeMorph([], 'книга')).toBeNull();
+  });
+});
+
+describe('primaryCase', () => {
+  it('takes the case of the first reading that has one', () => {
+    expect(primaryCase([GEN_SG, NOM_PL])).toBe('gen');
+    expect(primaryCase([{ pos: 'verb', tense: 'past', number: 'pl' }])).toBeUndefined();
+    expect(primaryCase(undefined)).toBeUndefined();
+  });
+});
+
+describe('matchesGrammarFilter', () => {
+  it('matches when any reading has every requested feature', () => {
+    expect(matchesGrammarFilter([GEN_SG, NOM_PL], { case: 'nom', number: 'pl' })).toBe(true);
+    expect(matchesGrammarFilter([GEN_SG, NOM_PL], { case: 'gen', number: 'pl' })).toBe(false);
+    expect(matchesGrammarFilter([GEN_SG], { case: 'gen' })).toBe(true);
+    expect(matchesGrammarFilter([NOM_PL], { number: 'pl' })).toBe(true);
+  });
+
+  it('matches nothing with an empty filter or untagged word', () => {
+    expect(matchesGrammarFilter([GEN_SG], {})).toBe(false);
+    expect(matchesGrammarFilter([GEN_SG], undefined)).toBe(false);
+    expect(matchesGrammarFilter(undefined, { case: 'gen' })).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, render, screen, fireEvent } from '@testing-library/react';
+import { usePlaybackRate } from '../src/hooks/usePlaybackRate';
+import { PlaybackSpeedControl } from '../src/components/PlaybackSpeedControl';
+
+describe('usePlaybackRate', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('defaults to 1x', () => {
+    const { result } = renderHook(() => usePlaybackRate('user-1'));
+    expect(result.current[0]).toBe(1);
+  });
+
+  it('persists the rate per user', () => {
+    const { result } = renderHook(() => usePlaybackRate('user-1'));
+    act(() => result.current[1](0.75));
+
+    expect(result.current[0]).toBe(0.75);
+    expect(localStorage.getItem('playback_rate_user-1')).toBe('0.75');
+
+    const other = renderHook(() => usePlaybackRate('user-2'));
+    expect(other.result.current[0]).toBe(1);
+
+    const again = renderHook(() => usePlaybackRate('user-1'));
+    expect(again.result.current[0]).toBe(0.75);
+  });
+
+  it('loads the new user\'s rate when the user changes', () => {
+    localStorage.setItem('playback_rate_user-2', '1.25');
+    const { result, rerender } = renderHook(({ userId }) => usePlaybackRate(userId), {
+      initialProps: { userId: 'user-1' as string | null },
+    });
+    expect(result.current[0]).toBe(1);
+
+    rerender({ userId: 'user-2' });
+    expect(result.current[0]).toBe(1.25);
+  });
+
+  it('clamps to the 0.5x–1.5x range', () => {
+    const { result } = renderHook(() => usePlaybackRate('user-1'));
+
+    act(() => result.current[1](3));
+    expect(result.current[0]).toBe(1.5);
+
+    act(() => result.current[1](0.1));
+    expect(result.current[0]).toBe(0.5);
+  });
+
+  it('ignores corrupt stored values', () => {
+    localStorage.setItem('playback_rate_user-1', 'fast');
+    const { result } = renderHook(() => usePlaybackRate('user-1'));
+    expect(result.current[0]).toBe(1);
+  });
+});
+
+describe('PlaybackSpeedControl', () => {
+  it('shows the current rate and reports changes', () => {
+    const onRateChange = vi.fn();
+    render(<PlaybackSpeedControl rate={1} onRateChange={onRateChange} />);
+
+    const select = screen.getByLabelText('Playback speed') as HTMLSelectElement;
+    expect(select.value).toBe('1');
+
+    fireEvent.change(select, { target: { value: '0.75' } });
+    expect(onRateChange).toHaveBeenCalledWith(0.75);
+  });
+
+  it('offers speeds from 0.5x to 1.5x', () => {
+    render(<PlaybackSpeedControl rate={1} onRateChange={vi.fn()} />);
+    const values = Array.from(screen.getByLabelText('Playback speed').querySelectorAll('option')).map(o => Number(o.value));
+    expect(Math.min(...values)).toBe(0.5);
+    expect(Math.max(...values)).toBe(1.5);
+  });
+
+  it('keeps an off-menu rate selectable', () => {
+    render(<PlaybackSpeedControl rate={1.3} onRateChange={vi.fn()} />);
+    expect((screen.getByLabelText('Playback speed') as HTMLSelectElement).value).toBe('1.3');
+  });
+});
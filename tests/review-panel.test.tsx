@@ -1,8 +1,14 @@
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { describe, it, expect, vi } from 'vitest';
 import { ReviewPanel } from '../src/components/ReviewPanel';
+import { getChunk, getClipUrl } from '../src/services/api';
 import type { SRSCard } from '../src/types';
 
+vi.mock('../src/services/api', () => ({
+  getChunk: vi.fn().mockResolvedValue({ videoUrl: 'https://media.test/chunk-0.mp4', transcript: { words: [] }, title: 'Part 1' }),
+  getClipUrl: vi.fn().mockResolvedValue('https://media.test/clip.mp3'),
+}));
+
 // Mock speechSynthesis
 Object.defineProperty(window, 'speechSynthesis', {
   value: { speak: vi.fn(), cancel: vi.fn() },
@@ -111,3 +117,298 @@ describe('ReviewPanel flashcard direction', () => {
     expect(container.textContent).not.toContain('Скажи привет всем');
   });
 });
+
+describe('ReviewPanel card context', () => {
+  const defaultProps = {
+    isOpen: true,
+    onClose: vi.fn(),
+    onReview: vi.fn(),
+    onRemove: vi.fn(),
+  };
+  const source = {
+    sessionId: 's1',
+    chunkId: 'chunk-0',
+    start: 1.7,
+    end: 2.0,
+    sentence: 'Я хочу рассказать вам историю.',
+    sentenceStart: 1.5,
+    sentenceEnd: 3.8,
+  };
+
+  it('shows the sentence the word was heard in with the word highlighted', () => {
+    render(<ReviewPanel {...defaultProps} dueCards={[makeCard({ id: 'историю', word: 'историю', translation: 'story', source })]} />);
+
+    expect(screen.getByTestId('context-sentence')).toHaveTextContent('Я хочу рассказать вам историю.');
+    expect(screen.getByTestId('context-sentence').querySelector('mark')).toHaveTextContent('историю.');
+  });
+
+  it('replays the sentence span from the source chunk', async () => {
+    const play = vi.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue(undefined);
+    const pause = vi.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    render(<ReviewPanel {...defaultProps} dueCards={[makeCard({ id: 'хочу', word: 'хочу', translation: 'want', source })]} />);
+
+    fireEvent.click(screen.getByTestId('replay-context-btn'));
+
+    const media = await screen.findByTestId('context-media') as HTMLVideoElement;
+    expect(getChunk).toHaveBeenCalledWith('s1', 'chunk-0');
+    expect(media.src).toBe('https://media.test/chunk-0.mp4');
+
+    fireEvent.loadedMetadata(media);
+    expect(media.currentTime).toBe(1.5);
+    expect(play).toHaveBeenCalled();
+
+    media.currentTime = 3.9;
+    fireEvent.timeUpdate(media);
+    expect(pause).toHaveBeenCalled();
+    play.mockRestore();
+    pause.mockRestore();
+  });
+
+  it('explains when the source can no longer be loaded', async () => {
+    vi.mocked(getChunk).mockRejectedValueOnce(new Error('Session not found'));
+    render(<ReviewPanel {...defaultProps} dueCards={[makeCard({ id: 'хочу', word: 'хочу', translation: 'want', source })]} />);
+
+    fireEvent.click(screen.getByTestId('replay-context-btn'));
+
+    expect(await screen.findByText('Session not found')).toBeInTheDocument();
+  });
+
+  it('has no context section for cards without a source', () => {
+    render(<ReviewPanel {...defaultProps} dueCards={[makeCard({ word: 'привет', translation: 'hello' })]} />);
+    expect(screen.queryByTestId('card-context')).not.toBeInTheDocument();
+  });
+});
+
+describe('ReviewPanel pronunciation', () => {
+  const defaultProps = {
+    isOpen: true,
+    onClose: vi.fn(),
+    onReview: vi.fn(),
+    onRemove: vi.fn(),
+  };
+  const source = { sessionId: 's1', chunkId: 'chunk-0', start: 1.7, end: 2.0 };
+
+  it('plays the word clip cut from the source media', async () => {
+    const play = vi.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue(undefined);
+    render(<ReviewPanel {...defaultProps} dueCards={[makeCard({ id: 'хочу', word: 'хочу', translation: 'want', source, audioClip: 'chunk-0_1700-2000.mp3' })]} />);
+
+    fireEvent.click(screen.getByTestId('listen-btn'));
+
+    await waitFor(() => expect(play).toHaveBeenCalled());
+    expect(getClipUrl).toHaveBeenCalledWith('s1', 'chunk-0_1700-2000.mp3');
+    expect(window.speechSynthesis.speak).not.toHaveBeenCalled();
+    play.mockRestore();
+  });
+
+  it('falls back to the browser voice when the clip is gone', async () => {
+    vi.stubGlobal('SpeechSynthesisUtterance', class { lang = ''; rate = 1; constructor(public text: string) {} });
+    vi.mocked(getClipUrl).mockRejectedValueOnce(new Error('Clip not found'));
+    render(<ReviewPanel {...defaultProps} dueCards={[makeCard({ id: 'хочу', word: 'хочу', translation: 'want', source, audioClip: 'chunk-0_1700-2000.mp3' })]} />);
+
+    fireEvent.click(screen.getByTestId('listen-btn'));
+
+    await waitFor(() => expect(window.speechSynthesis.speak).toHaveBeenCalled());
+    vi.unstubAllGlobals();
+  });
+});
+
+describe('ReviewPanel filtered sessions', () => {
+  const defaultProps = {
+    isOpen: true,
+    onClose: vi.fn(),
+    onRemove: vi.fn(),
+  };
+
+  it('reviews the given session instead of everything due', () => {
+    const due = makeCard({ id: 'дом', word: 'дом', translation: 'house' });
+    const other = makeCard({ id: 'кот', word: 'кот', translation: 'cat' });
+    render(<ReviewPanel {...defaultProps} onReview={vi.fn()} dueCards={[due, other]} reviews={[{ card: other, template: 'recognition' }]} />);
+
+    expect(screen.getByText('кот')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Show Answer'));
+    fireEvent.click(screen.getByText('Good'));
+    expect(screen.getByText('All caught up!')).toBeInTheDocument();
+  });
+
+  it('does not save ratings when cramming', () => {
+    const onReview = vi.fn();
+    const notDue = makeCard({ id: 'дом', word: 'дом', translation: 'house', nextReviewDate: new Date(Date.now() + 86_400_000).toISOString() });
+    render(<ReviewPanel {...defaultProps} onReview={onReview} dueCards={[]} reviews={[{ card: notDue, template: 'recognition' }]} cram />);
+
+    expect(screen.getByText('Cram')).toBeInTheDocument();
+    expect(screen.getByTestId('cram-note')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Show Answer'));
+    fireEvent.click(screen.getByText('Easy'));
+    expect(onReview).not.toHaveBeenCalled();
+    expect(screen.getByText('All caught up!')).toBeInTheDocument();
+  });
+});
+
+describe('ReviewPanel scheduler', () => {
+  const defaultProps = {
+    isOpen: true,
+    onClose: vi.fn(),
+    onReview: vi.fn(),
+    onRemove: vi.fn(),
+  };
+  const intervalLabels = () => screen.getAllByRole('button')
+    .map(button => button.textContent ?? '')
+    .filter(text => /^(Again|Hard|Good|Easy)/.test(text));
+
+  it('labels the rating buttons with SM-2 intervals by default', () => {
+    render(<ReviewPanel {...defaultProps} dueCards={[makeCard({ word: 'привет', translation: 'hello' })]} />);
+    fireEvent.click(screen.getByText('Show Answer'));
+    expect(intervalLabels()).toEqual(['Again1m', 'Hard5m', 'Good1d', 'Easy5d']);
+  });
+
+  it('labels the rating buttons with FSRS intervals when the deck uses FSRS', () => {
+    render(<ReviewPanel {...defaultProps} deckSettings={{ scheduler: 'fsrs' }} dueCards={[makeCard({ word: 'привет', translation: 'hello' })]} />);
+    fireEvent.click(screen.getByText('Show Answer'));
+    expect(intervalLabels()).toEqual(['Again1m', 'Hard5m', 'Good3d', 'Easy16d']);
+  });
+});
+
+describe('ReviewPanel review log', () => {
+  it('reports the time taken to answer with each rating', () => {
+    const onReview = vi.fn();
+    render(<ReviewPanel isOpen onClose={vi.fn()} onRemove={vi.fn()} onReview={onReview} dueCards={[makeCard({ id: 'привет', word: 'привет', translation: 'hello' })]} />);
+
+    fireEvent.click(screen.getByText('Show Answer'));
+    fireEvent.click(screen.getByText('Good'));
+
+    expect(onReview).toHaveBeenCalledWith('привет', 4, expect.any(Number), 'recognition');
+    const answerMs = onReview.mock.calls[0][2];
+    expect(answerMs).toBeGreaterThanOrEqual(0);
+    expect(answerMs).toBeLessThanOrEqual(60_000);
+  });
+});
+
+describe('ReviewPanel card templates', () => {
+  const defaultProps = {
+    isOpen: true,
+    onClose: vi.fn(),
+    onRemove: vi.fn(),
+  };
+  const book = makeCard({
+    id: 'книгу',
+    word: 'книгу',
+    translation: 'book',
+    dictionary: {
+      stressedForm: 'кни́га',
+      pos: 'noun',
+      translations: ['book'],
+      example: { russian: 'Я читаю кни́гу.', english: 'I am reading a book.' },
+    },
+  });
+
+  it('reviews each enabled template of a card in its own pass', () => {
+    const onReview = vi.fn();
+    render(<ReviewPanel {...defaultProps} onReview={onReview} dueCards={[book]} deckSettings={{ scheduler: 'sm2', templates: ['production'] }} />);
+
+    expect(screen.queryByTestId('card-template')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('Show Answer'));
+    fireEvent.click(screen.getByText('Good'));
+    expect(onReview).toHaveBeenLastCalledWith('книгу', 4, expect.any(Number), 'recognition');
+
+    expect(screen.getByTestId('card-template')).toHaveTextContent('Production');
+    fireEvent.click(screen.getByText('Show Answer'));
+    fireEvent.click(screen.getByText('Good'));
+    expect(onReview).toHaveBeenLastCalledWith('книгу', 4, expect.any(Number), 'production');
+    expect(screen.getByText('All caught up!')).toBeInTheDocument();
+  });
+
+  it('prompts production cards with the English and reveals the Russian with the answer', () => {
+    render(<ReviewPanel {...defaultProps} onReview={vi.fn()} dueCards={[makeCard({ ...book, lastReviewedAt: new Date().toISOString(), nextReviewDate: new Date(Date.now() + 86_400_000).toISOString() })]} deckSettings={{ scheduler: 'sm2', templates: ['production'] }} />);
+
+    expect(screen.getByTestId('card-prompt')).toHaveTextContent('book');
+    expect(screen.queryByText('книгу')).not.toBeInTheDocument();
+    expect(screen.queryByTestId('listen-btn')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('Show Answer'));
+    expect(screen.getByText('книгу')).toBeInTheDocument();
+    expect(screen.getByTestId('listen-btn')).toBeInTheDocument();
+  });
+
+  it('checks a typed answer, ignoring ё/е and stress, and marks mistakes', () => {
+    const notDue = { lastReviewedAt: new Date().toISOString(), nextReviewDate: new Date(Date.now() + 86_400_000).toISOString() };
+    const { unmount } = render(<ReviewPanel {...defaultProps} onReview={vi.fn()} dueCards={[makeCard({ ...book, ...notDue })]} deckSettings={{ scheduler: 'sm2', templates: ['typed'] }} />);
+
+    fireEvent.change(screen.getByTestId('typed-answer-input'), { target: { value: 'Кни́гу' } });
+    fireEvent.click(screen.getByText('Check'));
+    expect(screen.getByTestId('typed-answer-diff')).toHaveTextContent('Correct');
+    unmount();
+
+    render(<ReviewPanel {...defaultProps} onReview={vi.fn()} dueCards={[makeCard({ ...book, ...notDue })]} deckSettings={{ scheduler: 'sm2', templates: ['typed'] }} />);
+    fireEvent.change(screen.getByTestId('typed-answer-input'), { target: { value: 'книга' } });
+    fireEvent.submit(screen.getByTestId('typed-answer-input'));
+    const diff = screen.getByTestId('typed-answer-diff');
+    expect(diff).toHaveTextContent('Not quite');
+    expect(diff.querySelector('.line-through')).toHaveTextContent('а');
+    expect(diff.querySelector('.underline')).toHaveTextContent('у');
+    expect(screen.getByText('Good')).toBeInTheDocument();
+  });
+
+  it('blanks the word out of the example sentence on cloze cards', () => {
+    const notDue = { lastReviewedAt: new Date().toISOString(), nextReviewDate: new Date(Date.now() + 86_400_000).toISOString() };
+    render(<ReviewPanel {...defaultProps} onReview={vi.fn()} dueCards={[makeCard({ ...book, ...notDue })]} deckSettings={{ scheduler: 'sm2', templates: ['cloze'] }} />);
+
+    const prompt = screen.getByTestId('card-prompt');
+    expect(prompt).toHaveTextContent('Я читаю [...].');
+    expect(prompt).toHaveTextContent('I am reading a book.');
+    fireEvent.click(screen.getByText('Show Answer'));
+    expect(screen.getByTestId('cloze-answer').querySelector('mark')).toHaveTextContent('кни́гу');
+  });
+
+  describe('listening', () => {
+    const notDue = { lastReviewedAt: new Date().toISOString(), nextReviewDate: new Date(Date.now() + 86_400_000).toISOString() };
+    const deck = ['house', 'water', 'friend', 'city'].map(meaning => makeCard({ id: meaning, word: meaning, translation: 'слово' }));
+
+    it('plays the word and asks for its meaning from a few choices', () => {
+      const onReview = vi.fn();
+      render(<ReviewPanel {...defaultProps} onReview={onReview} dueCards={[makeCard({ ...book, ...notDue })]} deckCards={deck} deckSettings={{ scheduler: 'sm2', templates: ['listening'] }} />);
+
+      expect(screen.queryByText('книгу')).not.toBeInTheDocument();
+      expect(screen.getByTestId('card-template')).toHaveTextContent('Listening');
+      vi.stubGlobal('SpeechSynthesisUtterance', class { lang = ''; rate = 1; constructor(public text: string) {} });
+      fireEvent.click(screen.getByTestId('play-word-btn'));
+      expect(window.speechSynthesis.speak).toHaveBeenLastCalledWith(expect.objectContaining({ text: 'книгу' }));
+      fireEvent.click(screen.getByTestId('play-sentence-btn'));
+      expect(window.speechSynthesis.speak).toHaveBeenLastCalledWith(expect.objectContaining({ text: 'Я читаю кни́гу.' }));
+      vi.unstubAllGlobals();
+
+      const choices = screen.getAllByTestId('meaning-choice');
+      expect(choices).toHaveLength(4);
+      expect(choices.map(c => c.textContent)).toContain('book');
+      fireEvent.click(choices.find(c => c.textContent !== 'book')!);
+
+      expect(screen.getByTestId('listening-result')).toHaveTextContent('Not quite');
+      expect(screen.getByText('книгу')).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Good'));
+      expect(onReview).toHaveBeenLastCalledWith('книгу', 4, expect.any(Number), 'listening');
+    });
+
+    it('has the meaning typed when the deck is too small for choices', () => {
+      render(<ReviewPanel {...defaultProps} onReview={vi.fn()} dueCards={[makeCard({ ...book, ...notDue })]} deckSettings={{ scheduler: 'sm2', templates: ['listening'] }} />);
+
+      expect(screen.queryByTestId('meaning-choice')).not.toBeInTheDocument();
+      fireEvent.change(screen.getByTestId('meaning-input'), { target: { value: 'a Book' } });
+      fireEvent.click(screen.getByText('Check'));
+      expect(screen.getByTestId('listening-result')).toHaveTextContent('Correct');
+    });
+
+    it('plays the sentence the word was heard in without showing it', () => {
+      const heard = makeCard({
+        ...book,
+        ...notDue,
+        source: { sessionId: 's1', chunkId: 'chunk-0', start: 1, end: 1.5, sentence: 'Он забыл книгу дома', sentenceStart: 0, sentenceEnd: 2 },
+      });
+      render(<ReviewPanel {...defaultProps} onReview={vi.fn()} dueCards={[heard]} deckSettings={{ scheduler: 'sm2', templates: ['listening'] }} />);
+
+      expect(screen.getByTestId('replay-context-btn')).toHaveTextContent('Play sentence');
+      expect(screen.queryByTestId('context-sentence')).not.toBeInTheDocument();
+      expect(screen.queryByTestId('play-sentence-btn')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Check'));
+      expect(screen.getByTestId('context-sentence')).toHaveTextContent('Он забыл книгу дома');
+    });
+  });
+});
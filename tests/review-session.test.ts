@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { sessionReviews, applyDailyLimits, studiedToday, matchesFilter, NEW_SIBLINGS_PER_DAY } from '../src/utils/review-session';
+import { getDueReviews } from '../src/utils/card-templates';
+import { createCard } from '../src/utils/sm2';
+import type { SRSCard, DeckSettings } from '../src/types';
+
+const NOW = new Date(2025, 2, 10, 12);
+const TODAY = new Date(2025, 2, 10, 9).toISOString();
+const EARLIER = new Date(2025, 1, 1, 9).toISOString();
+const TOMORROW = new Date(2025, 2, 11, 9).toISOString();
+
+function card(id: string, overrides: Partial<SRSCard> = {}): SRSCard {
+  return { ...createCard(id, id, 'ru'), nextReviewDate: EARLIER, addedAt: EARLIER, ...overrides };
+}
+
+const newCard = (id: string, overrides: Partial<SRSCard> = {}) => card(id, overrides);
+const reviewCard = (id: string, overrides: Partial<SRSCard> = {}) => card(id, { lastReviewedAt: EARLIER, firstReviewedAt: EARLIER, repetition: 2, interval: 3, ...overrides });
+const studiedNew = (id: string) => card(id, { lastReviewedAt: TODAY, firstReviewedAt: TODAY, repetition: 1, interval: 1, nextReviewDate: TOMORROW });
+const studiedReview = (id: string) => card(id, { lastReviewedAt: TODAY, firstReviewedAt: EARLIER, repetition: 3, interval: 8, nextReviewDate: TOMORROW });
+
+const ids = (cards: SRSCard[], settings: DeckSettings, filter = {}) => sessionReviews(cards, settings, filter, NOW).map(r => r.card.id);
+
+describe('studiedToday', () => {
+  it('counts templates first studied today as new and the rest as reviews, per sub-deck', () => {
+    const cards = [studiedNew('а'), { ...studiedReview('б'), subDeck: 'Chekhov' }, reviewCard('в')];
+    const studied = studiedToday(cards, NOW);
+    expect(studied.get('')).toEqual({ newCards: 1, reviews: 1 });
+    expect(studied.get('Chekhov')).toEqual({ newCards: 0, reviews: 1 });
+  });
+});
+
+describe('daily limits', () => {
+  it('introduces new cards up to the limit, counting the ones studied today', () => {
+    const cards = [studiedNew('а'), newCard('б'), newCard('в'), newCard('г'), reviewCard('д')];
+    expect(ids(cards, { scheduler: 'sm2', newPerDay: 3 })).toEqual(['б', 'в', 'д']);
+    expect(ids(cards, { scheduler: 'sm2', newPerDay: 1 })).toEqual(['д']);
+  });
+
+  it('caps reviews separately from new cards', () => {
+    const cards = [studiedReview('а'), reviewCard('б'), reviewCard('в'), newCard('г')];
+    expect(ids(cards, { scheduler: 'sm2', reviewsPerDay: 2 })).toEqual(['б', 'г']);
+  });
+
+  it('applies a sub-deck\'s limits to its cards and the deck\'s to all', () => {
+    const cards = [
+      newCard('а', { subDeck: 'Chekhov' }),
+      newCard('б', { subDeck: 'Chekhov' }),
+      newCard('в'),
+      newCard('г'),
+    ];
+    const settings: DeckSettings = { scheduler: 'sm2', newPerDay: 3, subDecks: { Chekhov: { newPerDay: 1 } } };
+    expect(ids(cards, settings)).toEqual(['а', 'в', 'г']);
+  });
+
+  it('never holds back cards already reviewed today', () => {
+    const learning = newCard('а', { lastReviewedAt: TODAY, firstReviewedAt: TODAY, nextReviewDate: TODAY });
+    const reviews = getDueReviews([learning, newCard('б')], undefined, NOW.toISOString());
+    expect(applyDailyLimits(reviews, [learning], { scheduler: 'sm2', newPerDay: 1, reviewsPerDay: 0 }, NOW).map(r => r.card.id)).toEqual(['а']);
+  });
+
+  it('introduces a template turned on for an existing deck a few cards a day', () => {
+    const deck = Array.from({ length: NEW_SIBLINGS_PER_DAY + 5 }, (_, i) => reviewCard(`слово${i}`, { nextReviewDate: TOMORROW }));
+    const settings: DeckSettings = { scheduler: 'sm2', templates: ['production'] };
+    expect(sessionReviews(deck, settings, {}, NOW)).toHaveLength(NEW_SIBLINGS_PER_DAY);
+    expect(sessionReviews(deck, { ...settings, newSiblingsPerDay: 3 }, {}, NOW)).toHaveLength(3);
+
+    // Those first studied today count toward the cap
+    const production = { easeFactor: 2.5, interval: 1, repetition: 1, nextReviewDate: TOMORROW, lastReviewedAt: TODAY, firstReviewedAt: TODAY };
+    const studied = deck.map((card, i) => i < 2 ? { ...card, siblings: { production } } : card);
+    expect(sessionReviews(studied, { ...settings, newSiblingsPerDay: 3 }, {}, NOW)).toHaveLength(1);
+  });
+
+  it('counts each template of a card', () => {
+    const settings: DeckSettings = { scheduler: 'sm2', templates: ['production'], newPerDay: 3 };
+    expect(sessionReviews([newCard('а'), newCard('б')], settings, {}, NOW).map(r => `${r.card.id}:${r.template}`))
+      .toEqual(['а:recognition', 'б:recognition', 'а:production']);
+  });
+});
+
+describe('filtered review and cram', () => {
+  const cards = [
+    reviewCard('а', { tags: ['verb', 'Chekhov'], subDeck: 'Stories' }),
+    reviewCard('б', { tags: ['noun', 'Chekhov'] }),
+    reviewCard('в', { tags: ['verb'], nextReviewDate: TOMORROW }),
+  ];
+
+  it('matches cards with every tag, within a sub-deck', () => {
+    expect(matchesFilter(cards[0], { tags: ['VERB', 'chekhov'] })).toBe(true);
+    expect(matchesFilter(cards[1], { tags: ['verb', 'Chekhov'] })).toBe(false);
+    expect(matchesFilter(cards[1], { subDeck: 'Stories' })).toBe(false);
+  });
+
+  it('reviews the due cards that match', () => {
+    expect(ids(cards, { scheduler: 'sm2' }, { tags: ['verb'] })).toEqual(['а']);
+  });
+
+  it('applies the limits to the matching cards', () => {
+    expect(ids(cards, { scheduler: 'sm2', reviewsPerDay: 1 }, { tags: ['noun'] })).toEqual(['б']);
+  });
+
+  it('crams every matching card, due or not, regardless of limits', () => {
+    expect(ids(cards, { scheduler: 'sm2', reviewsPerDay: 0 }, { tags: ['verb'], cram: true })).toEqual(['а', 'в']);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { SentenceControls } from '../src/components/SentenceControls';
+
+function renderControls(overrides: Partial<Parameters<typeof SentenceControls>[0]> = {}) {
+  const props = {
+    sentenceCount: 12,
+    currentIndex: 2,
+    repeatCount: 1,
+    onRepeatCountChange: vi.fn(),
+    autoPause: false,
+    onAutoPauseChange: vi.fn(),
+    onPrevious: vi.fn(),
+    onNext: vi.fn(),
+    ...overrides,
+  };
+  render(<SentenceControls {...props} />);
+  return props;
+}
+
+describe('SentenceControls', () => {
+  it('shows the current sentence position', () => {
+    renderControls();
+    expect(screen.getByTestId('sentence-position').textContent).toBe('Sentence 3 / 12');
+  });
+
+  it('renders nothing without sentences', () => {
+    const { container } = render(
+      <SentenceControls
+        sentenceCount={0}
+        currentIndex={-1}
+        repeatCount={1}
+        onRepeatCountChange={vi.fn()}
+        autoPause={false}
+        onAutoPauseChange={vi.fn()}
+        onPrevious={vi.fn()}
+        onNext={vi.fn()}
+      />
+    );
+    expect(container.innerHTML).toBe('');
+  });
+
+  it('navigates between sentences', () => {
+    const props = renderControls();
+
+    fireEvent.click(screen.getByTitle('Previous sentence (↑)'));
+    fireEvent.click(screen.getByTitle('Next sentence (↓)'));
+
+    expect(props.onPrevious).toHaveBeenCalledTimes(1);
+    expect(props.onNext).toHaveBeenCalledTimes(1);
+  });
+
+  it('changes loop count, including endless loop', () => {
+    const props = renderControls();
+    const select = screen.getByRole('combobox');
+
+    fireEvent.change(select, { target: { value: '3' } });
+    fireEvent.change(select, { target: { value: 'Infinity' } });
+
+    expect(props.onRepeatCountChange).toHaveBeenNthCalledWith(1, 3);
+    expect(props.onRepeatCountChange).toHaveBeenNthCalledWith(2, Infinity);
+  });
+
+  it('toggles auto-pause', () => {
+    const props = renderControls();
+    fireEvent.click(screen.getByLabelText('Pause after each sentence'));
+    expect(props.onAutoPauseChange).toHaveBeenCalledWith(true);
+  });
+});
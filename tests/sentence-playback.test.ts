@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useSentencePlayback } from '../src/hooks/useSentencePlayback';
+import type { Transcript, PlayerControls } from '../src/types';
+
+// Two sentences: 0–2s and 3–5s
+const TRANSCRIPT: Transcript = {
+  words: [
+    { word: 'Привет,', start: 0, end: 1 },
+    { word: 'друг.', start: 1, end: 2 },
+    { word: 'Как', start: 3, end: 4 },
+    { word: 'дела?', start: 4, end: 5 },
+  ],
+  segments: [],
+  language: 'ru',
+  duration: 5,
+};
+
+/** Simulate 100ms player ticks from `fromSec` to `toSec` inclusive */
+function simulateTicks(handler: (time: number) => void, fromSec: number, toSec: number) {
+  for (let i = Math.round(fromSec * 10); i <= Math.round(toSec * 10); i++) {
+    handler(i / 10);
+  }
+}
+
+describe('useSentencePlayback', () => {
+  let controls: PlayerControls;
+  let controlsRef: { current: PlayerControls | null };
+
+  beforeEach(() => {
+    controls = { play: vi.fn(), pause: vi.fn(), seek: vi.fn() };
+    controlsRef = { current: controls };
+  });
+
+  function setup() {
+    return renderHook(() => useSentencePlayback(TRANSCRIPT, controlsRef));
+  }
+
+  it('segments the transcript into sentences', () => {
+    const { result } = setup();
+    expect(result.current.sentences).toHaveLength(2);
+  });
+
+  it('plays straight through with loop and auto-pause off', () => {
+    const { result } = setup();
+
+    act(() => simulateTicks(result.current.handleTimeUpdate, 0, 5));
+
+    expect(controls.seek).not.toHaveBeenCalled();
+    expect(controls.pause).not.toHaveBeenCalled();
+  });
+
+  it('repeats the current sentence N times, then moves on', () => {
+    const { result } = setup();
+    act(() => result.current.setRepeatCount(3));
+
+    act(() => {
+      simulateTicks(result.current.handleTimeUpdate, 0, 2.1); // 1st play
+      simulateTicks(result.current.handleTimeUpdate, 0, 2.1); // 2nd play (after seek)
+      simulateTicks(result.current.handleTimeUpdate, 0, 2.5); // 3rd play
+    });
+
+    expect(controls.seek).toHaveBeenCalledTimes(2);
+    expect(controls.seek).toHaveBeenCalledWith(0);
+  });
+
+  it('pauses at the end of each sentence for shadowing', () => {
+    const { result } = setup();
+    act(() => result.current.setAutoPause(true));
+
+    act(() => simulateTicks(result.current.handleTimeUpdate, 0, 2.1));
+    expect(controls.pause).toHaveBeenCalledTimes(1);
+
+    act(() => simulateTicks(result.current.handleTimeUpdate, 2.2, 5));
+    expect(controls.pause).toHaveBeenCalledTimes(2);
+  });
+
+  it('ignores seeks that jump over a sentence end', () => {
+    const { result } = setup();
+    act(() => result.current.setAutoPause(true));
+
+    act(() => {
+      result.current.handleTimeUpdate(0.5);
+      result.current.handleTimeUpdate(3.5);
+    });
+
+    expect(controls.pause).not.toHaveBeenCalled();
+  });
+
+  it('moves to the next and previous sentence with the arrow keys', () => {
+    const { result } = setup();
+    act(() => result.current.handleTimeUpdate(0.5));
+
+    act(() => { window.dispatchEvent(new KeyboardEvent('keydown', { code: 'ArrowDown' })); });
+    expect(controls.seek).toHaveBeenLastCalledWith(3);
+    expect(controls.play).toHaveBeenCalled();
+
+    act(() => { window.dispatchEvent(new KeyboardEvent('keydown', { code: 'ArrowUp' })); });
+    expect(controls.seek).toHaveBeenLastCalledWith(0);
+  });
+
+  it('leaves the arrow keys to text fields and editors', () => {
+    setup();
+    const input = document.createElement('input');
+    const editor = document.createElement('div');
+    editor.setAttribute('contenteditable', 'true');
+    const paragraph = editor.appendChild(document.createElement('p'));
+    document.body.append(input, editor);
+
+    act(() => {
+      input.dispatchEvent(new KeyboardEvent('keydown', { code: 'ArrowDown', bubbles: true }));
+      paragraph.dispatchEvent(new KeyboardEvent('keydown', { code: 'ArrowDown', bubbles: true }));
+    });
+
+    expect(controls.seek).not.toHaveBeenCalled();
+    input.remove();
+    editor.remove();
+  });
+
+  it('ignores the arrow keys while shortcuts are off', () => {
+    const { rerender } = renderHook(({ enabled }) => useSentencePlayback(TRANSCRIPT, controlsRef, enabled), {
+      initialProps: { enabled: false },
+    });
+
+    act(() => { window.dispatchEvent(new KeyboardEvent('keydown', { code: 'ArrowDown' })); });
+    expect(controls.seek).not.toHaveBeenCalled();
+
+    rerender({ enabled: true });
+    act(() => { window.dispatchEvent(new KeyboardEvent('keydown', { code: 'ArrowDown' })); });
+    expect(controls.seek).toHaveBeenCalled();
+  });
+
+  it('restarts the current sentence when well into it', () => {
+    const { result } = setup();
+    act(() => result.current.handleTimeUpdate(4.8));
+
+    act(() => result.current.goToSentence(-1));
+
+    expect(controls.seek).toHaveBeenLastCalledWith(3);
+  });
+});
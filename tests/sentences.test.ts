@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { segmentSentences, findSentenceIndex, sentenceText } from '../src/utils/sentences';
+import type { WordTimestamp } from '../src/types';
+
+/** One word per second, in order */
+function words(text: string): WordTimestamp[] {
+  return text.split(' ').map((word, i) => ({ word, start: i, end: i + 0.8 }));
+}
+
+function sentenceTexts(text: string): string[] {
+  const ws = words(text);
+  return segmentSentences(ws).map(s => ws.slice(s.firstWord, s.lastWord + 1).map(w => w.word).join(' '));
+}
+
+describe('segmentSentences', () => {
+  it('splits at terminal punctuation and keeps time spans', () => {
+    const ws = words('Привет, как дела? Я хочу рассказать историю.');
+    const sentences = segmentSentences(ws);
+
+    expect(sentences).toEqual([
+      { firstWord: 0, lastWord: 2, start: 0, end: 2.8 },
+      { firstWord: 3, lastWord: 6, start: 3, end: 6.8 },
+    ]);
+  });
+
+  it('handles closing quotes, ellipses and combined marks', () => {
+    expect(sentenceTexts('Он сказал: «Иди домой.» Она ушла… Правда?! Да.')).toEqual([
+      'Он сказал: «Иди домой.»',
+      'Она ушла…',
+      'Правда?!',
+      'Да.',
+    ]);
+  });
+
+  it('does not split at initials or lowercase-continued abbreviations', () => {
+    expect(sentenceTexts('Это написал А. С. Пушкин. Книги, журналы и т. д. лежали на столе.')).toEqual([
+      'Это написал А. С. Пушкин.',
+      'Книги, журналы и т. д. лежали на столе.',
+    ]);
+  });
+
+  it('puts trailing words without punctuation in a final sentence', () => {
+    expect(sentenceTexts('Первое предложение. а потом')).toEqual(['Первое предложение. а потом']);
+    expect(sentenceTexts('Первое. Второе без точки')).toEqual(['Первое.', 'Второе без точки']);
+    expect(segmentSentences([])).toEqual([]);
+  });
+});
+
+describe('findSentenceIndex', () => {
+  const sentences = segmentSentences(words('Раз два. Три четыре.'));
+
+  it('returns the last sentence that has started', () => {
+    expect(findSentenceIndex(sentences, -1)).toBe(-1);
+    expect(findSentenceIndex(sentences, 0.5)).toBe(0);
+    expect(findSentenceIndex(sentences, 1.9)).toBe(0); // pause after sentence 1
+    expect(findSentenceIndex(sentences, 2)).toBe(1);
+    expect(findSentenceIndex(sentences, 100)).toBe(1);
+  });
+});
+
+describe('sentenceText', () => {
+  it('joins the words of one sentence', () => {
+    const ws = words('Привет, как дела? Всё хорошо.');
+    const sentences = segmentSentences(ws);
+    expect(sentenceText(ws, sentences[0])).toBe('Привет, как дела?');
+    expect(sentenceText(ws, sentences[1])).toBe('Всё хорошо.');
+  });
+});
@@ -1,14 +1,31 @@
 import { describe, it, expect, vi } from 'vitest';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { SettingsPanel } from '../src/components/SettingsPanel';
-import type { TranslatorConfig } from '../src/types';
+import { getUsage, exportDeckApkg, importAnkiPackage } from '../src/services/api';
+import { loadReviewLog } from '../src/services/deck-persistence';
+import type { TranslatorConfig, SRSCard, ReviewLogEntry } from '../src/types';
+import { createCard } from '../src/utils/sm2';
 
 // Mock api module to prevent actual network calls
 vi.mock('../src/services/api', () => ({
   getUsage: vi.fn().mockResolvedValue({
-    openai: { daily: { used: 0, limit: 1 }, weekly: { used: 0, limit: 5 }, monthly: { used: 0, limit: 10 } },
-    translate: { daily: { used: 0, limit: 0.5 }, weekly: { used: 0, limit: 2.5 }, monthly: { used: 0, limit: 5 } },
+    daily: { used: 0, limit: 1 },
+    weekly: { used: 0, limit: 5 },
+    monthly: { used: 0, limit: 10 },
   }),
+  getTtsVoices: vi.fn().mockResolvedValue({
+    provider: 'openai',
+    voices: ['alloy', 'nova', 'onyx', 'shimmer'],
+    defaultVoice: 'nova',
+    minSpeed: 0.5,
+    maxSpeed: 1.5,
+  }),
+  exportDeckApkg: vi.fn().mockResolvedValue({ blob: new Blob(['PK']), filename: 'russian-deck.apkg' }),
+  importAnkiPackage: vi.fn().mockResolvedValue([{ word: 'кот', translation: 'cat' }]),
+}));
+
+vi.mock('../src/services/deck-persistence', () => ({
+  loadReviewLog: vi.fn().mockResolvedValue([]),
 }));
 
 const DEFAULT_CONFIG: TranslatorConfig = {
@@ -24,6 +41,9 @@ function renderPanel(overrides: Partial<Parameters<typeof SettingsPanel>[0]> = {
       isOpen={'isOpen' in overrides ? overrides.isOpen! : true}
       onClose={overrides.onClose ?? vi.fn()}
       cards={overrides.cards ?? []}
+      onImportCards={overrides.onImportCards ?? vi.fn()}
+      deckSettings={overrides.deckSettings ?? { scheduler: 'sm2' }}
+      onDeckSettingsChange={overrides.onDeckSettingsChange ?? vi.fn()}
       userId={overrides.userId ?? null}
       onDeleteAccount={overrides.onDeleteAccount ?? vi.fn().mockResolvedValue(undefined)}
     />
@@ -120,6 +140,251 @@ describe('SettingsPanel', () => {
     });
   });
 
+  it('stores the video part length in seconds', () => {
+    const onConfigChange = vi.fn();
+    renderPanel({ onConfigChange });
+
+    fireEvent.change(screen.getByLabelText('Part length in minutes'), {
+      target: { value: '1.5' },
+    });
+
+    expect(onConfigChange).toHaveBeenCalledWith({
+      ...DEFAULT_CONFIG,
+      chunkDuration: 90,
+    });
+  });
+
+  it('shows and clears the pause threshold', () => {
+    const onConfigChange = vi.fn();
+    renderPanel({ config: { ...DEFAULT_CONFIG, chunkDuration: 300, chunkMinGap: 1 }, onConfigChange });
+
+    expect(screen.getByLabelText('Part length in minutes')).toHaveValue(5);
+    fireEvent.change(screen.getByLabelText('Minimum pause in seconds'), {
+      target: { value: '' },
+    });
+
+    expect(onConfigChange).toHaveBeenCalledWith({
+      ...DEFAULT_CONFIG,
+      chunkDuration: 300,
+      chunkMinGap: undefined,
+    });
+  });
+
+  it('toggles stress marks', () => {
+    const onConfigChange = vi.fn();
+    const { unmount } = renderPanel({ onConfigChange });
+    fireEvent.click(screen.getByTestId('show-stress-toggle'));
+    expect(onConfigChange).toHaveBeenLastCalledWith({ ...DEFAULT_CONFIG, showStress: true });
+    unmount();
+
+    renderPanel({ config: { ...DEFAULT_CONFIG, showStress: true }, onConfigChange });
+    expect(screen.getByTestId('show-stress-toggle')).toBeChecked();
+    fireEvent.click(screen.getByTestId('show-stress-toggle'));
+    expect(onConfigChange).toHaveBeenLastCalledWith({ ...DEFAULT_CONFIG, showStress: undefined });
+  });
+
+  it('shows spend saved by local lemmatization', async () => {
+    vi.mocked(getUsage).mockResolvedValueOnce({
+      daily: { used: 0.1, limit: 0.5 },
+      weekly: { used: 0.2, limit: 2.5 },
+      monthly: { used: 0.3, limit: 5 },
+      saved: { daily: 0.01, weekly: 0.04, monthly: 0.12 },
+    });
+    renderPanel({ userId: 'user-1' });
+
+    expect(await screen.findByText('$0.12 saved this month by the built-in dictionary')).toBeInTheDocument();
+  });
+
+  it('picks read-aloud voices from the server list', async () => {
+    const onConfigChange = vi.fn();
+    renderPanel({ userId: 'user-1', onConfigChange });
+
+    const voice = await screen.findByLabelText('Narration voice');
+    expect(voice).toHaveValue('nova');
+    fireEvent.change(voice, { target: { value: 'onyx' } });
+    expect(onConfigChange).toHaveBeenLastCalledWith({ ...DEFAULT_CONFIG, ttsVoice: 'onyx' });
+
+    fireEvent.change(screen.getByLabelText('Dialogue voice'), { target: { value: 'shimmer' } });
+    expect(onConfigChange).toHaveBeenLastCalledWith({ ...DEFAULT_CONFIG, ttsDialogueVoice: 'shimmer' });
+
+    fireEvent.change(screen.getByLabelText('Reading speed'), { target: { value: '1.25' } });
+    expect(onConfigChange).toHaveBeenLastCalledWith({ ...DEFAULT_CONFIG, ttsSpeed: 1.25 });
+  });
+
+  it('clears read-aloud settings back to the defaults', async () => {
+    const onConfigChange = vi.fn();
+    const config = { ...DEFAULT_CONFIG, ttsVoice: 'onyx', ttsDialogueVoice: 'shimmer', ttsSpeed: 0.75 };
+    renderPanel({ userId: 'user-1', config, onConfigChange });
+
+    fireEvent.change(await screen.findByLabelText('Narration voice'), { target: { value: 'nova' } });
+    expect(onConfigChange).toHaveBeenLastCalledWith({ ...config, ttsVoice: undefined });
+
+    fireEvent.change(screen.getByLabelText('Dialogue voice'), { target: { value: '' } });
+    expect(onConfigChange).toHaveBeenLastCalledWith({ ...config, ttsDialogueVoice: undefined });
+
+    expect(screen.getByText(/Speed 0.75×/)).toBeInTheDocument();
+  });
+
+  // ─── Anki export ─────────────────────────────────────────
+
+  describe('Anki export', () => {
+    const CARDS = [{ id: 'кот', word: 'кот', translation: 'cat' }] as SRSCard[];
+
+    it('is only offered to signed-in users', () => {
+      renderPanel({ cards: CARDS });
+      expect(screen.queryByTestId('export-apkg-btn')).not.toBeInTheDocument();
+    });
+
+    it('downloads the package built from the deck', async () => {
+      URL.createObjectURL = vi.fn(() => 'blob:apkg');
+      URL.revokeObjectURL = vi.fn();
+      renderPanel({ cards: CARDS, userId: 'user-1' });
+
+      fireEvent.click(screen.getByTestId('export-apkg-btn'));
+
+      expect(exportDeckApkg).toHaveBeenCalledWith(CARDS);
+      await waitFor(() => expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:apkg'));
+      expect(screen.getByTestId('export-apkg-btn')).toHaveTextContent('Export to Anki (.apkg)');
+    });
+
+    it('shows the error when the export fails', async () => {
+      vi.mocked(exportDeckApkg).mockRejectedValueOnce(new Error('Too many cards (max 5000)'));
+      renderPanel({ cards: CARDS, userId: 'user-1' });
+
+      fireEvent.click(screen.getByTestId('export-apkg-btn'));
+
+      expect(await screen.findByText('Too many cards (max 5000)')).toBeInTheDocument();
+    });
+  });
+
+  // ─── Deck import ─────────────────────────────────────────
+
+  describe('Scheduling', () => {
+    it('switches the deck to FSRS', () => {
+      const onDeckSettingsChange = vi.fn();
+      renderPanel({ onDeckSettingsChange });
+
+      expect(screen.queryByTestId('desired-retention')).not.toBeInTheDocument();
+      fireEvent.change(screen.getByTestId('scheduler-select'), { target: { value: 'fsrs' } });
+      expect(onDeckSettingsChange).toHaveBeenCalledWith({ scheduler: 'fsrs' });
+    });
+
+    it('sets the desired retention, dropping the default', () => {
+      const onDeckSettingsChange = vi.fn();
+      renderPanel({ deckSettings: { scheduler: 'fsrs', desiredRetention: 0.85 }, onDeckSettingsChange });
+
+      expect(screen.getByText('Desired retention: 85%')).toBeInTheDocument();
+      fireEvent.change(screen.getByTestId('desired-retention'), { target: { value: '0.9' } });
+      expect(onDeckSettingsChange).toHaveBeenCalledWith({ scheduler: 'fsrs', desiredRetention: undefined });
+    });
+
+    it('fits the parameters to the review log', async () => {
+      const start = Date.UTC(2025, 0, 1);
+      const log: ReviewLogEntry[] = [];
+      for (let c = 0; c < 60; c++) {
+        [0, 3, 10].forEach((day, i) => log.push({
+          cardId: `card-${c}`,
+          rating: c % 2 === 0 || i === 0 ? 4 : 0,
+          reviewedAt: new Date(start + day * 86_400_000).toISOString(),
+          previousInterval: i === 0 ? 0 : 3,
+          interval: 3,
+        }));
+      }
+      vi.mocked(loadReviewLog).mockResolvedValueOnce(log);
+      const onDeckSettingsChange = vi.fn();
+      renderPanel({ userId: 'user-1', deckSettings: { scheduler: 'fsrs' }, onDeckSettingsChange });
+
+      expect(screen.getByTestId('fsrs-status')).toHaveTextContent('Using the default parameters.');
+      fireEvent.click(screen.getByTestId('optimize-fsrs-btn'));
+
+      await waitFor(() => expect(onDeckSettingsChange).toHaveBeenCalledWith({
+        scheduler: 'fsrs',
+        fsrsWeights: expect.any(Array),
+        optimizedAt: expect.any(String),
+        optimizedReviews: 120,
+      }));
+      expect(loadReviewLog).toHaveBeenCalledWith('user-1');
+    });
+
+    it('explains when there are too few reviews to optimize', async () => {
+      renderPanel({ userId: 'user-1', deckSettings: { scheduler: 'fsrs' } });
+
+      fireEvent.click(screen.getByTestId('optimize-fsrs-btn'));
+      expect(await screen.findByText(/needs at least 100 reviews/)).toBeInTheDocument();
+    });
+
+    it('shows when the parameters were fitted', () => {
+      renderPanel({
+        userId: 'user-1',
+        deckSettings: { scheduler: 'fsrs', fsrsWeights: [], optimizedAt: '2025-03-04T10:00:00.000Z', optimizedReviews: 250 },
+      });
+      expect(screen.getByTestId('fsrs-status')).toHaveTextContent('Parameters fitted to 250 reviews on 2025-03-04.');
+    });
+  });
+
+  describe('Card types', () => {
+    it('always reviews recognition and toggles the other templates', () => {
+      const onDeckSettingsChange = vi.fn();
+      renderPanel({ deckSettings: { scheduler: 'sm2', templates: ['cloze'] }, onDeckSettingsChange });
+
+      expect(screen.getByTestId('template-recognition')).toBeChecked();
+      expect(screen.getByTestId('template-recognition')).toBeDisabled();
+      expect(screen.getByTestId('template-cloze')).toBeChecked();
+
+      fireEvent.click(screen.getByTestId('template-typed'));
+      expect(onDeckSettingsChange).toHaveBeenLastCalledWith({
+        scheduler: 'sm2',
+        templates: ['cloze', 'typed'],
+        templatesEnabledAt: { typed: expect.any(String) },
+      });
+      fireEvent.click(screen.getByTestId('template-cloze'));
+      expect(onDeckSettingsChange).toHaveBeenLastCalledWith({ scheduler: 'sm2', templates: undefined });
+    });
+  });
+
+  describe('Deck import', () => {
+    const chooseFile = (name: string, content: string) =>
+      fireEvent.change(screen.getByTestId('import-deck-input'), { target: { files: [new File([content], name)] } });
+
+    it('previews a CSV import and merges it with the chosen strategy', async () => {
+      const onImportCards = vi.fn();
+      renderPanel({ cards: [createCard('дом', 'house', 'ru')], onImportCards });
+
+      chooseFile('words.csv', 'дом,home\nкот,cat\nкот,tomcat');
+
+      expect(await screen.findByTestId('import-counts')).toHaveTextContent('1 to add · 0 to update · 2 to skip');
+      fireEvent.change(screen.getByTestId('merge-strategy'), { target: { value: 'take-imported' } });
+      expect(screen.getByTestId('import-counts')).toHaveTextContent('1 to add · 1 to update · 1 to skip');
+
+      fireEvent.click(screen.getByTestId('confirm-import-btn'));
+      expect(onImportCards).toHaveBeenCalledWith(
+        [expect.objectContaining({ word: 'дом' }), expect.objectContaining({ word: 'кот' }), expect.objectContaining({ translation: 'tomcat' })],
+        'take-imported',
+      );
+      expect(screen.queryByTestId('import-preview')).not.toBeInTheDocument();
+    });
+
+    it('reads Anki packages through the server', async () => {
+      renderPanel({ userId: 'user-1' });
+
+      chooseFile('deck.apkg', 'PK');
+
+      expect(await screen.findByTestId('import-counts')).toHaveTextContent('1 to add');
+      expect(importAnkiPackage).toHaveBeenCalledWith(expect.any(File));
+    });
+
+    it('explains files it cannot import', async () => {
+      renderPanel();
+
+      chooseFile('deck.apkg', 'PK');
+      expect(await screen.findByText('Sign in to import Anki packages')).toBeInTheDocument();
+
+      chooseFile('deck.json', '{"cards": []}');
+      expect(await screen.findByText('JSON file is not a deck export')).toBeInTheDocument();
+      await waitFor(() => expect(screen.queryByTestId('import-preview')).not.toBeInTheDocument());
+    });
+  });
+
   // ─── Close ───────────────────────────────────────────────
 
   it('close button calls onClose', () => {
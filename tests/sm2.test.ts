@@ -82,6 +82,17 @@ describe('createCard', () => {
     expect(card.dictionary).toBeUndefined();
   });
 
+  it('stores the stressed spelling without punctuation when provided', () => {
+    expect(createCard('книгу,', 'book', 'ru', undefined, 'кни́гу,').stressedWord).toBe('кни́гу');
+    expect(createCard('книгу', 'book', 'ru')).not.toHaveProperty('stressedWord');
+  });
+
+  it('records where the word was heard when a source is given', () => {
+    const source = { sessionId: 's1', chunkId: 'chunk-0', start: 1.7, end: 2.0 };
+    expect(createCard('хочу', 'want', 'ru', undefined, undefined, source).source).toEqual(source);
+    expect(createCard('хочу', 'want', 'ru')).not.toHaveProperty('source');
+  });
+
   it('sets addedAt to approximately now', () => {
     const before = Date.now();
     const card = createCard('тест', 'test', 'ru');
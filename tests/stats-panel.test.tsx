@@ -0,0 +1,98 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import { StatsPanel } from '../src/components/StatsPanel';
+import { loadReviewLog } from '../src/services/deck-persistence';
+import { createCard } from '../src/utils/sm2';
+import { getLocalDateString, previousDay } from '../src/utils/streak';
+import { statsStartDate } from '../src/utils/deck-stats';
+import type { ReviewLogEntry } from '../src/types';
+
+vi.mock('../src/services/deck-persistence', () => ({
+  loadReviewLog: vi.fn().mockResolvedValue([]),
+}));
+
+const today = getLocalDateString();
+const yesterday = previousDay(today);
+
+function entryOn(date: string, rating: ReviewLogEntry['rating'], previousInterval: number, answerMs?: number): ReviewLogEntry {
+  const [y, m, d] = date.split('-').map(Number);
+  return {
+    cardId: 'книга',
+    rating,
+    reviewedAt: new Date(y, m - 1, d, 12).toISOString(),
+    previousInterval,
+    interval: 0,
+    ...(answerMs !== undefined && { answerMs }),
+  };
+}
+
+function renderPanel(overrides: Partial<Parameters<typeof StatsPanel>[0]> = {}) {
+  return render(
+    <StatsPanel
+      isOpen
+      onClose={vi.fn()}
+      userId="user-1"
+      cards={[createCard('книга', 'book', 'ru'), { ...createCard('дом', 'house', 'ru'), repetition: 2, interval: 6 }]}
+      completionDates={[yesterday]}
+      currentStreak={1}
+      longestStreak={4}
+      {...overrides}
+    />,
+  );
+}
+
+describe('StatsPanel', () => {
+  it('renders nothing when closed', () => {
+    const { container } = renderPanel({ isOpen: false });
+    expect(container.innerHTML).toBe('');
+  });
+
+  it('summarizes the deck from the review log', async () => {
+    vi.mocked(loadReviewLog).mockResolvedValueOnce([
+      entryOn(today, 4, 3, 2000),
+      entryOn(today, 0, 3, 4000),
+      entryOn(yesterday, 4, 0),
+    ]);
+    renderPanel();
+
+    const summary = screen.getByTestId('stats-summary');
+    expect(await within(summary).findByText('3.0s')).toBeInTheDocument();
+    expect(within(summary).getAllByText('2')).toHaveLength(2); // cards and reviews today
+    expect(within(summary).getByText('day streak (best 4)')).toBeInTheDocument();
+    // Only the weeks the heatmap shows, from local midnight
+    expect(loadReviewLog).toHaveBeenCalledWith('user-1', new Date(`${statsStartDate()}T00:00:00`).toISOString());
+
+    const retention = screen.getByTestId('retention-table');
+    expect(within(retention).getByText('2–6d').closest('tr')).toHaveTextContent('2–6d250%');
+  });
+
+  it('marks streak days on the heatmap alongside review counts', async () => {
+    vi.mocked(loadReviewLog).mockResolvedValueOnce([entryOn(yesterday, 4, 1), entryOn(yesterday, 2, 1)]);
+    renderPanel();
+
+    const cell = await screen.findByTitle(`${yesterday}: 2 reviews · streak day`);
+    expect(cell).toHaveClass('ring-orange-400');
+    expect(screen.getByTitle(`${today}: 0 reviews`)).not.toHaveClass('ring-orange-400');
+  });
+
+  it('charts the due forecast and reviews per day', async () => {
+    renderPanel();
+    expect(await screen.findByTestId('forecast-chart')).toBeInTheDocument();
+    expect(screen.getByTitle(`${today}: 2 due (incl. overdue)`)).toBeInTheDocument();
+    expect(screen.getByTestId('reviews-chart').children).toHaveLength(30);
+    expect(screen.getByTitle('250%: 1 cards')).toBeInTheDocument();
+  });
+
+  it('explains when the review log cannot be loaded', async () => {
+    vi.mocked(loadReviewLog).mockRejectedValueOnce(new Error('offline'));
+    renderPanel();
+    expect(await screen.findByText('Could not load your review history')).toBeInTheDocument();
+  });
+
+  it('closes from the backdrop', () => {
+    const onClose = vi.fn();
+    const { container } = renderPanel({ onClose });
+    fireEvent.click(container.querySelector('.bg-black\\/50')!);
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { SubtitleExport } from '../src/components/SubtitleExport';
+import type { VideoChunk } from '../src/types';
+
+const CHUNKS: VideoChunk[] = [
+  { id: 'chunk-0', index: 0, startTime: 0, endTime: 180, duration: 180, previewText: '', wordCount: 120, status: 'ready' },
+  { id: 'chunk-1', index: 1, startTime: 180, endTime: 360, duration: 180, previewText: '', wordCount: 110, status: 'pending' },
+];
+
+function optionLabels(label: string): string[] {
+  return Array.from(screen.getByLabelText(label).querySelectorAll('option')).map(o => o.textContent ?? '');
+}
+
+describe('SubtitleExport', () => {
+  it('exports the whole video session as SRT by default', async () => {
+    const onExport = vi.fn().mockResolvedValue(undefined);
+    render(<SubtitleExport chunks={CHUNKS} contentType="video" onExport={onExport} />);
+
+    expect(optionLabels('Subtitle part')).toEqual(['All parts', 'Part 1', 'Part 2']);
+    fireEvent.click(screen.getByText('Download'));
+
+    await waitFor(() => expect(screen.getByText('Download')).not.toBeDisabled());
+    expect(onExport).toHaveBeenCalledWith({
+      format: 'srt',
+      chunkId: undefined,
+      lemmas: false,
+      translation: false,
+      karaoke: false,
+      stress: false,
+    });
+  });
+
+  it('passes the chosen part, format and tracks', async () => {
+    const onExport = vi.fn().mockResolvedValue(undefined);
+    render(<SubtitleExport chunks={CHUNKS} contentType="video" onExport={onExport} />);
+
+    fireEvent.change(screen.getByLabelText('Subtitle part'), { target: { value: 'chunk-1' } });
+    fireEvent.change(screen.getByLabelText('Subtitle format'), { target: { value: 'vtt' } });
+    fireEvent.click(screen.getByLabelText('Lemmas'));
+    fireEvent.click(screen.getByLabelText('English'));
+    fireEvent.click(screen.getByLabelText('Word timing'));
+    fireEvent.click(screen.getByLabelText('Stress marks'));
+    fireEvent.click(screen.getByText('Download'));
+
+    await waitFor(() => expect(onExport).toHaveBeenCalledWith({
+      format: 'vtt',
+      chunkId: 'chunk-1',
+      lemmas: true,
+      translation: true,
+      karaoke: true,
+      stress: true,
+    }));
+  });
+
+  it('only offers word timing for WebVTT', () => {
+    render(<SubtitleExport chunks={CHUNKS} contentType="video" onExport={vi.fn()} />);
+    expect(screen.queryByLabelText('Word timing')).not.toBeInTheDocument();
+  });
+
+  it('offers only generated sections for text', () => {
+    render(<SubtitleExport chunks={CHUNKS} contentType="text" onExport={vi.fn()} />);
+    expect(optionLabels('Subtitle part')).toEqual(['Section 1']);
+  });
+
+  it('renders nothing for text with no generated sections', () => {
+    const { container } = render(
+      <SubtitleExport chunks={[CHUNKS[1]]} contentType="text" onExport={vi.fn()} />
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('shows export errors', async () => {
+    const onExport = vi.fn().mockRejectedValue(new Error('Session not ready'));
+    render(<SubtitleExport chunks={CHUNKS} contentType="video" onExport={onExport} />);
+
+    fireEvent.click(screen.getByText('Download'));
+
+    expect(await screen.findByText('Session not ready')).toBeInTheDocument();
+  });
+});
@@ -111,4 +111,46 @@ describe('TextInput', () => {
     const button = container.querySelector('button') as HTMLButtonElement;
     expect(button.textContent).toContain('Load Text');
   });
+
+  describe('pasted text', () => {
+    const PASTED = 'В час жаркого весеннего заката на Патриарших прудах появилось двое граждан.';
+
+    function switchToPaste(container: HTMLElement) {
+      const toggle = Array.from(container.querySelectorAll('button')).find(b => b.textContent?.includes('paste text'));
+      fireEvent.click(toggle as HTMLButtonElement);
+    }
+
+    it('hides the paste option when no handler is provided', () => {
+      const { container } = render(<TextInput onSubmit={noop} isLoading={false} error={null} />);
+      expect(container.textContent).not.toContain('paste text');
+    });
+
+    it('submits pasted text with an optional title', () => {
+      const onSubmitPastedText = vi.fn().mockResolvedValue(undefined);
+      const { container } = render(
+        <TextInput onSubmit={noop} onSubmitPastedText={onSubmitPastedText} isLoading={false} error={null} />
+      );
+      switchToPaste(container);
+
+      fireEvent.change(container.querySelector('input[type="text"]') as HTMLInputElement, { target: { value: ' Булгаков ' } });
+      fireEvent.change(container.querySelector('textarea') as HTMLTextAreaElement, { target: { value: `  ${PASTED}  ` } });
+      fireEvent.submit(container.querySelector('form') as HTMLFormElement);
+
+      expect(onSubmitPastedText).toHaveBeenCalledWith(PASTED, 'Булгаков');
+    });
+
+    it('rejects text that is too short', () => {
+      const onSubmitPastedText = vi.fn().mockResolvedValue(undefined);
+      const { container } = render(
+        <TextInput onSubmit={noop} onSubmitPastedText={onSubmitPastedText} isLoading={false} error={null} />
+      );
+      switchToPaste(container);
+
+      fireEvent.change(container.querySelector('textarea') as HTMLTextAreaElement, { target: { value: 'Привет' } });
+      fireEvent.submit(container.querySelector('form') as HTMLFormElement);
+
+      expect(onSubmitPastedText).not.toHaveBeenCalled();
+      expect(container.textContent).toContain('Text is too short');
+    });
+  });
 });
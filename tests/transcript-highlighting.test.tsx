@@ -2,6 +2,7 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { TranscriptPanel } from '../src/components/TranscriptPanel';
 import type { Transcript, WordTimestamp, TranslatorConfig } from '../src/types';
+import { translateSentences } from '../src/services/api';
 
 // Mock the API module
 vi.mock('../src/services/api', () => ({
@@ -10,6 +11,9 @@ vi.mock('../src/services/api', () => ({
     translation: 'test',
     sourceLanguage: 'ru',
   }),
+  translateSentences: vi.fn((sentences: string[]) => Promise.resolve({
+    translations: sentences.map(s => `EN: ${s}`),
+  })),
 }));
 
 // Mock scrollIntoView (jsdom doesn't support it)
@@ -46,6 +50,7 @@ function renderTranscript(overrides: {
   isWordInDeck?: any;
   isLoading?: boolean;
   transcript?: Transcript;
+  cardSource?: { sessionId: string; chunkId: string };
 } = {}) {
   return render(
     <TranscriptPanel
@@ -56,6 +61,7 @@ function renderTranscript(overrides: {
       onAddToDeck={overrides.onAddToDeck}
       isWordInDeck={overrides.isWordInDeck}
       isLoading={overrides.isLoading}
+      cardSource={overrides.cardSource}
     />
   );
 }
@@ -119,6 +125,15 @@ describe('TranscriptPanel', () => {
     expect(wordSpans[2].className).toContain('bg-yellow-300');
   });
 
+  it('groups words into sentences and tints the current sentence', () => {
+    const { container } = renderTranscript({ currentTime: 2.0 });
+    const groups = Array.from(container.querySelectorAll('[data-sentence]'));
+
+    expect(groups.map(el => el.getAttribute('data-sentence'))).toEqual(['0', '0', '0', '1', '1', '1', '1', '1']);
+    expect(groups[0].className).not.toContain('bg-yellow-50');
+    expect(groups[4].className).toContain('bg-yellow-50');
+  });
+
   // ─── Progress bar ─────────────────────────────────────────
 
   it('shows progress bar at bottom tracking playback position', () => {
@@ -159,14 +174,26 @@ describe('TranscriptPanel', () => {
     expect(screen.getByText('...').className).not.toContain('bg-blue-200');
   });
 
-  it('calls POST /api/translate with the clicked word', async () => {
+  it('calls POST /api/translate with the clicked word and its neighbours', async () => {
     const { apiRequest } = await import('../src/services/api');
     renderTranscript();
     fireEvent.click(screen.getByText('рассказать'));
     await waitFor(() => {
       expect(apiRequest).toHaveBeenCalledWith('/api/translate', {
         method: 'POST',
-        body: JSON.stringify({ word: 'рассказать', lemma: 'рассказать' }),
+        body: JSON.stringify({ word: 'рассказать', lemma: 'рассказать', context: { prev: 'хочу', next: 'вам' } }),
+      });
+    });
+  });
+
+  it('does not take context from the previous sentence', async () => {
+    const { apiRequest } = await import('../src/services/api');
+    renderTranscript();
+    fireEvent.click(screen.getByText('Я'));
+    await waitFor(() => {
+      expect(apiRequest).toHaveBeenCalledWith('/api/translate', {
+        method: 'POST',
+        body: JSON.stringify({ word: 'Я', lemma: 'я', context: { next: 'хочу' } }),
       });
     });
   });
@@ -183,6 +210,86 @@ describe('TranscriptPanel', () => {
     expect(screen.getByText('вам').className).toContain('bg-blue-200');
   });
 
+  // ─── Stress marks ─────────────────────────────────────────
+
+  describe('stress marks', () => {
+    const stressedTranscript: Transcript = {
+      ...MOCK_TRANSCRIPT,
+      words: MOCK_WORDS.map(w => {
+        if (w.word === 'историю.') return { ...w, stressed: 'исто́рию.' };
+        if (w.word === 'дела?') return { ...w, stressed: 'дела́?', stressVariants: ['дела́', 'де́ла'] };
+        return w;
+      }),
+    };
+
+    it('are hidden by default', () => {
+      renderTranscript({ transcript: stressedTranscript });
+      expect(screen.getByText('историю.')).toBeInTheDocument();
+      expect(screen.queryByText('исто́рию.')).not.toBeInTheDocument();
+    });
+
+    it('replace the words when turned on, flagging ambiguous ones', async () => {
+      const { apiRequest } = await import('../src/services/api');
+      renderTranscript({ transcript: stressedTranscript, config: { ...DEFAULT_CONFIG, showStress: true } });
+
+      expect(screen.getByText('исто́рию.')).toBeInTheDocument();
+      expect(screen.getByText('дела́?')).toHaveAttribute('title', 'Stress varies: дела́ / де́ла');
+      expect(screen.getByText('исто́рию.')).not.toHaveAttribute('title');
+
+      // Lookups still use the plain word
+      fireEvent.click(screen.getByText('исто́рию.'));
+      await waitFor(() => {
+        expect(apiRequest).toHaveBeenCalledWith('/api/translate', expect.objectContaining({
+          body: expect.stringContaining('"word":"историю."'),
+        }));
+      });
+    });
+  });
+
+  // ─── Grammar overlay ──────────────────────────────────────
+
+  describe('grammar overlay', () => {
+    const taggedTranscript: Transcript = {
+      ...MOCK_TRANSCRIPT,
+      words: MOCK_WORDS.map(w => {
+        if (w.word === 'историю.') return { ...w, morph: [{ pos: 'noun', case: 'acc', number: 'sg' }] };
+        if (w.word === 'дела?') return { ...w, morph: [{ pos: 'noun', case: 'gen', number: 'sg' }, { pos: 'noun', case: 'nom', number: 'pl' }] };
+        if (w.word === 'хочу') return { ...w, morph: [{ pos: 'verb', tense: 'present', person: 1, number: 'sg', aspect: 'imperfective' }] };
+        return w;
+      }),
+    };
+
+    it('leaves words uncolored by default', () => {
+      renderTranscript({ transcript: taggedTranscript });
+      expect(screen.getByText('историю.')).not.toHaveAttribute('data-case');
+      expect(screen.getByText('историю.').className).toContain('text-gray-900');
+    });
+
+    it('colors nouns by the case of their first reading', () => {
+      renderTranscript({ transcript: taggedTranscript, config: { caseColors: true } });
+
+      expect(screen.getByText('историю.')).toHaveAttribute('data-case', 'acc');
+      expect(screen.getByText('историю.').className).toContain('text-red-700');
+      expect(screen.getByText('дела?')).toHaveAttribute('data-case', 'gen');
+      // Verbs have no case
+      expect(screen.getByText('хочу')).not.toHaveAttribute('data-case');
+    });
+
+    it('highlights words matching any of their readings', () => {
+      renderTranscript({ transcript: taggedTranscript, config: { grammarFilter: { case: 'nom', number: 'pl' } } });
+
+      expect(screen.getByText('дела?')).toHaveAttribute('data-grammar-match', 'true');
+      expect(screen.getByText('дела?').className).toContain('ring-orange-400');
+      expect(screen.getByText('историю.')).not.toHaveAttribute('data-grammar-match');
+    });
+
+    it('matches on number alone, verbs included', () => {
+      renderTranscript({ transcript: taggedTranscript, config: { grammarFilter: { number: 'sg' } } });
+      const matches = document.querySelectorAll('[data-grammar-match]');
+      expect([...matches].map(m => m.textContent)).toEqual(['дела?', 'хочу', 'историю.']);
+    });
+  });
+
   // ─── Frequency range highlighting ─────────────────────────
 
   it('underlines words in frequency range', () => {
@@ -253,6 +360,26 @@ describe('TranscriptPanel', () => {
     });
   });
 
+  it('adds the clicked word with its chunk, timestamps and sentence as the card source', async () => {
+    const onAddToDeck = vi.fn();
+    renderTranscript({
+      isWordInDeck: vi.fn().mockReturnValue(false),
+      onAddToDeck,
+      cardSource: { sessionId: 's1', chunkId: 'chunk-0' },
+    });
+    fireEvent.click(screen.getByText('хочу'));
+    fireEvent.click(await screen.findByText('Add to deck'));
+    expect(onAddToDeck.mock.calls[0][5]).toEqual({
+      sessionId: 's1',
+      chunkId: 'chunk-0',
+      start: 1.7,
+      end: 2.0,
+      sentence: 'Я хочу рассказать вам историю.',
+      sentenceStart: 1.5,
+      sentenceEnd: 3.8,
+    });
+  });
+
   // ─── Clickability ─────────────────────────────────────────
 
   it('makes Russian words clickable with cursor-pointer', () => {
@@ -261,4 +388,48 @@ describe('TranscriptPanel', () => {
     // "Привет," contains Cyrillic → clickable
     expect(wordSpans[0].className).toContain('cursor-pointer');
   });
+
+  // ─── English sentence track ───────────────────────────────
+
+  it('shows no English track by default', () => {
+    renderTranscript();
+    expect(screen.queryAllByTestId('sentence-translation')).toHaveLength(0);
+    expect(translateSentences).not.toHaveBeenCalled();
+  });
+
+  it('shows each sentence\'s translation after its last word', async () => {
+    const { container } = renderTranscript({ config: { translationTrack: 'show' } });
+
+    const lines = await screen.findAllByTestId('sentence-translation');
+    expect(lines.map(l => l.textContent)).toEqual([
+      'EN: Привет, как дела?',
+      'EN: Я хочу рассказать вам историю.',
+    ]);
+    // Sits right after "дела?" and doesn't count as a word
+    expect(lines[0].previousElementSibling!.textContent).toContain('дела?');
+    expect(container.querySelectorAll('span > span')).toHaveLength(MOCK_WORDS.length);
+  });
+
+  it('blurs translations until hover in blur mode', async () => {
+    renderTranscript({ config: { translationTrack: 'blur' } });
+    const lines = await screen.findAllByTestId('sentence-translation');
+    expect(lines[0].className).toContain('blur-sm');
+    expect(lines[0].className).toContain('hover:blur-none');
+  });
+
+  it('reveals a translation only once its sentence has played a while in delay mode', async () => {
+    // 0.5s into "Привет, как дела?" (0–1.2s): too early for either sentence
+    const { rerender } = renderTranscript({ config: { translationTrack: 'delay' }, currentTime: 0.5 });
+    let lines = await screen.findAllByTestId('sentence-translation');
+    expect(lines[0].className).toContain('opacity-0');
+    expect(lines[1].className).toContain('opacity-0');
+
+    // First sentence finished, second only just started
+    rerender(
+      <TranscriptPanel transcript={MOCK_TRANSCRIPT} currentTime={1.6} config={{ translationTrack: 'delay' }} />
+    );
+    lines = screen.getAllByTestId('sentence-translation');
+    expect(lines[0].className).not.toContain('opacity-0');
+    expect(lines[1].className).toContain('opacity-0');
+  });
 });
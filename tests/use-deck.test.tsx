@@ -1,3 +1,4 @@
+import { StrictMode } from 'react';
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
 
@@ -6,7 +7,8 @@ const mockGetDoc = vi.fn();
 const mockSetDoc = vi.fn();
 
 vi.mock('firebase/firestore', () => ({
-  doc: vi.fn((_db, collection, id) => ({ path: `${collection}/${id}` })),
+  doc: vi.fn((_db, ...segments: string[]) => ({ path: segments.join('/') })),
+  collection: vi.fn((_db, ...segments: string[]) => ({ path: segments.join('/') })),
   getDoc: (...args: unknown[]) => mockGetDoc(...args),
   setDoc: (...args: unknown[]) => mockSetDoc(...args),
   serverTimestamp: () => 'SERVER_TIMESTAMP',
@@ -33,9 +35,28 @@ vi.mock('../src/services/api', () => ({
   apiRequest: (...args: unknown[]) => mockApiRequest(...args),
 }));
 
+// ── Frequency list mock (for auto tags) ────────────────────────
+const mockLoadWordFrequencies = vi.fn();
+vi.mock('../src/services/word-frequencies', () => ({
+  loadWordFrequencies: () => mockLoadWordFrequencies(),
+}));
+
+// ── Review log spy (the real append, so its writes reach the Firestore mock) ──
+vi.mock('../src/services/deck-persistence', async (importOriginal) => {
+  const actual = await importOriginal<typeof import('../src/services/deck-persistence')>();
+  return { ...actual, appendReviewLog: vi.fn(actual.appendReviewLog) };
+});
+
 import { useDeck } from '../src/hooks/useDeck';
+import { appendReviewLog } from '../src/services/deck-persistence';
+import { addTag, moveToSubDeck } from '../src/utils/card-tags';
 
 // ── Helpers ────────────────────────────────────────────────────
+/** The review log entries written so far, as [ref, entry] pairs. */
+function reviewLogWrites(): [{ path: string }, Record<string, unknown> & { reviewedAt: string; previousInterval: number; interval: number }][] {
+  return mockSetDoc.mock.calls.filter(([ref]) => ref.path.startsWith('decks/user-1/reviews/'));
+}
+
 function firestoreSnap(data: object | null) {
   return {
     exists: () => data !== null,
@@ -66,6 +87,7 @@ describe('useDeck', () => {
       }
       return Promise.resolve({ entries: {} });
     });
+    mockLoadWordFrequencies.mockResolvedValue(new Map([['книга', 2500], ['сказать', 12]]));
     // Clear localStorage store
     Object.keys(localStorageStore).forEach(k => delete localStorageStore[k]);
   });
@@ -170,6 +192,57 @@ describe('useDeck', () => {
     expect(result.current.cards[0].dictionary).toEqual(dict);
   });
 
+  it('stores the word clip cut from the card source', async () => {
+    mockApiRequest.mockImplementation((url: string) => {
+      if (url === '/api/session/s1/clips') return Promise.resolve({ clip: 'chunk-0_1700-2000.mp3', url: '/api/local-audio/x.mp3' });
+      return Promise.resolve({ examples: {} });
+    });
+    const { result } = renderHook(() => useDeck('user-1'));
+    await act(async () => { await vi.runAllTimersAsync(); });
+
+    const source = { sessionId: 's1', chunkId: 'chunk-0', start: 1.7, end: 2.0 };
+    await act(async () => {
+      await result.current.addCard('хочу', 'want', 'ru', undefined, undefined, source);
+    });
+
+    expect(mockApiRequest).toHaveBeenCalledWith('/api/session/s1/clips', expect.objectContaining({ method: 'POST' }));
+    expect(result.current.cards[0]).toMatchObject({ source, audioClip: 'chunk-0_1700-2000.mp3' });
+  });
+
+  it('tags new cards with their source title, part of speech and frequency band', async () => {
+    const { result } = renderHook(() => useDeck('user-1'));
+    await act(async () => { await vi.runAllTimersAsync(); });
+
+    const dict = { stressedForm: 'сказа́ть', pos: 'verb', translations: ['to say'], example: { russian: 'Скажи́!', english: 'Say it!' } };
+    const source = { sessionId: 's1', chunkId: 'chunk-0', start: 1, end: 1.5, title: 'Chekhov' };
+    await act(async () => {
+      await result.current.addCard('скажу', 'I will say', 'ru', dict, undefined, source);
+    });
+    expect(result.current.cards[0].tags).toEqual(['Chekhov', 'verb', 'freq 1-1000']);
+
+    mockLoadWordFrequencies.mockRejectedValue(new Error('HTTP 404'));
+    await act(async () => {
+      await result.current.addCard('Книга', 'Book', 'ru');
+    });
+    expect(result.current.cards[1].tags).toEqual([]);
+  });
+
+  it('adds the card without a clip when cutting fails', async () => {
+    mockApiRequest.mockImplementation((url: string) => {
+      if (url.includes('/clips')) return Promise.reject(new Error('Chunk media not available'));
+      return Promise.resolve({ examples: {} });
+    });
+    const { result } = renderHook(() => useDeck('user-1'));
+    await act(async () => { await vi.runAllTimersAsync(); });
+
+    await act(async () => {
+      await result.current.addCard('хочу', 'want', 'ru', undefined, undefined, { sessionId: 's1', chunkId: 'chunk-0', start: 1.7, end: 2.0 });
+    });
+
+    expect(result.current.cards).toHaveLength(1);
+    expect(result.current.cards[0]).not.toHaveProperty('audioClip');
+  });
+
   it('prevents duplicate cards (same normalized id)', async () => {
     const { result } = renderHook(() => useDeck('user-1'));
     await act(async () => { await vi.runAllTimersAsync(); });
@@ -303,6 +376,30 @@ describe('useDeck', () => {
     expect(result.current.cards).toHaveLength(1);
   });
 
+  // ─── importCards ─────────────────────────────────────────────
+
+  it('merges imported cards and saves the deck', async () => {
+    const { result } = renderHook(() => useDeck('user-1'));
+    await act(async () => { await vi.runAllTimersAsync(); });
+
+    await act(async () => {
+      await result.current.addCard('Слово', 'Word', 'ru');
+    });
+    const existing = result.current.cards[0];
+    mockSetDoc.mockClear();
+
+    act(() => {
+      result.current.importCards([
+        { ...existing, translation: 'word (imported)' },
+        { ...existing, id: 'дом', word: 'дом', translation: 'house' },
+      ], 'keep-existing');
+    });
+
+    expect(result.current.cards.map(c => c.translation)).toEqual(['Word', 'house']);
+    await act(async () => { await vi.advanceTimersByTimeAsync(600); });
+    expect(mockSetDoc).toHaveBeenCalled();
+  });
+
   // ─── reviewCard ──────────────────────────────────────────────
 
   it('updates card via sm2 algorithm on review', async () => {
@@ -346,6 +443,163 @@ describe('useDeck', () => {
     expect(result.current.cards[1].interval).toBe(card2Before.interval);
   });
 
+  it('appends each review to the review log', async () => {
+    const { result } = renderHook(() => useDeck('user-1'));
+    await act(async () => { await vi.runAllTimersAsync(); });
+
+    await act(async () => {
+      await result.current.addCard('Книга', 'Book', 'ru');
+    });
+    await act(async () => {
+      result.current.reviewCard('книга', 4, 3200);
+      await vi.runAllTimersAsync();
+    });
+
+    const [[ref, entry]] = reviewLogWrites();
+    expect(entry).toEqual({ cardId: 'книга', rating: 4, reviewedAt: expect.any(String), previousInterval: 0, interval: 1, answerMs: 3200 });
+    expect(ref.path).toBe(`decks/user-1/reviews/книга_recognition_${entry.reviewedAt}`);
+  });
+
+  it('logs the same entry when React runs the update twice', async () => {
+    const { result } = renderHook(() => useDeck('user-1'), { wrapper: StrictMode });
+    await act(async () => { await vi.runAllTimersAsync(); });
+
+    await act(async () => {
+      await result.current.addCard('Книга', 'Book', 'ru');
+    });
+    // The second update is queued, so React runs it while rendering — twice in StrictMode
+    const { reviewCard } = result.current;
+    await act(async () => {
+      reviewCard('книга', 4);
+      vi.advanceTimersByTime(1000);
+      reviewCard('книга', 4);
+      await vi.runAllTimersAsync();
+    });
+
+    // Each run of an update logs the same entry, so the log keeps one copy per review
+    const calls = vi.mocked(appendReviewLog).mock.calls.map(([, entry]) => JSON.stringify(entry));
+    expect(calls.length).toBeGreaterThan(2);
+    const entries = [...new Set(calls)].map(entry => JSON.parse(entry));
+    expect(entries.map(e => [e.previousInterval, e.interval])).toEqual([[0, 1], [1, 3]]);
+  });
+
+  it('logs each review from the card as the previous review left it', async () => {
+    const { result } = renderHook(() => useDeck('user-1'));
+    await act(async () => { await vi.runAllTimersAsync(); });
+
+    await act(async () => {
+      await result.current.addCard('Книга', 'Book', 'ru');
+    });
+    // The same callback twice, as a handler bound before the first re-render would
+    const { reviewCard } = result.current;
+    await act(async () => {
+      reviewCard('книга', 4);
+      await vi.runAllTimersAsync();
+    });
+    await act(async () => {
+      reviewCard('книга', 4);
+      await vi.runAllTimersAsync();
+    });
+
+    const logged = reviewLogWrites().map(([, entry]) => [entry.previousInterval, entry.interval]);
+    expect(logged).toEqual([[0, 1], [1, 3]]);
+  });
+
+  it('reviews sibling templates on their own schedule and logs the template', async () => {
+    const { result } = renderHook(() => useDeck('user-1'));
+    await act(async () => { await vi.runAllTimersAsync(); });
+
+    await act(async () => {
+      await result.current.addCard('Книга', 'Book', 'ru');
+    });
+    await act(async () => {
+      await result.current.updateDeckSettings({ scheduler: 'sm2', templates: ['production'] });
+    });
+    expect(result.current.dueCount).toBe(2);
+    expect(result.current.dueCards).toHaveLength(1);
+
+    await act(async () => {
+      result.current.reviewCard('книга', 4, 2000, 'production');
+      await vi.runAllTimersAsync();
+    });
+
+    const card = result.current.cards[0];
+    expect(card.siblings?.production).toMatchObject({ interval: 1, repetition: 1 });
+    expect(card.repetition).toBe(0);
+    expect(result.current.dueCount).toBe(1);
+    expect(reviewLogWrites().map(([, entry]) => entry)).toEqual([
+      expect.objectContaining({ cardId: 'книга', template: 'production', previousInterval: 0, interval: 1 }),
+    ]);
+  });
+
+  // ─── deck settings ───────────────────────────────────────────
+
+  it('loads the deck settings and schedules reviews with FSRS', async () => {
+    vi.useRealTimers(); // dynamic import() hangs with fake timers
+    mockGetDoc.mockImplementation((ref: { path: string }) => Promise.resolve(
+      firestoreSnap(ref.path === 'deckSettings/user-1' ? { scheduler: 'fsrs', desiredRetention: 0.85 } : null),
+    ));
+    const { result } = renderHook(() => useDeck('user-1'));
+    await act(async () => {
+      await new Promise(r => setTimeout(r, 50));
+    });
+    expect(result.current.deckSettings).toEqual({ scheduler: 'fsrs', desiredRetention: 0.85 });
+
+    await act(async () => {
+      await result.current.addCard('Книга', 'Book', 'ru');
+    });
+    act(() => {
+      result.current.reviewCard('книга', 4);
+    });
+
+    const updated = result.current.cards[0];
+    expect(updated.fsrs).toBeDefined();
+    expect(updated.repetition).toBe(1);
+    vi.useFakeTimers();
+  });
+
+  it('defaults to SM-2 when the deck has no settings', async () => {
+    const { result } = renderHook(() => useDeck('user-1'));
+    await act(async () => { await vi.runAllTimersAsync(); });
+    expect(result.current.deckSettings).toEqual({ scheduler: 'sm2' });
+  });
+
+  it('migrates reviewed cards and saves the settings when switching to FSRS', async () => {
+    vi.useRealTimers();
+    const reviewed = {
+      id: 'книга', word: 'книга', translation: 'book', sourceLanguage: 'ru',
+      easeFactor: 2.5, interval: 8, repetition: 3,
+      nextReviewDate: '2025-01-09T00:00:00.000Z', addedAt: '2024-12-01T00:00:00.000Z', lastReviewedAt: '2025-01-01T00:00:00.000Z',
+    };
+    mockGetDoc.mockImplementation((ref: { path: string }) => Promise.resolve(
+      firestoreSnap(ref.path === 'decks/user-1' ? { cards: [reviewed] } : null),
+    ));
+    const { result } = renderHook(() => useDeck('user-1'));
+    await act(async () => {
+      await new Promise(r => setTimeout(r, 600)); // load, enrichment and its debounced save
+    });
+    mockSetDoc.mockClear();
+
+    await act(async () => {
+      await result.current.updateDeckSettings({ scheduler: 'fsrs' });
+    });
+    await act(async () => {
+      await new Promise(r => setTimeout(r, 600)); // deck save debounce
+    });
+
+    expect(result.current.deckSettings.scheduler).toBe('fsrs');
+    expect(result.current.cards[0].fsrs).toEqual({ stability: 8, difficulty: 5 });
+    expect(mockSetDoc).toHaveBeenCalledWith(
+      { path: 'deckSettings/user-1' },
+      { scheduler: 'fsrs', updatedAt: 'SERVER_TIMESTAMP' },
+    );
+    expect(mockSetDoc).toHaveBeenCalledWith(
+      { path: 'decks/user-1' },
+      expect.objectContaining({ cards: [expect.objectContaining({ fsrs: { stability: 8, difficulty: 5 } })] }),
+    );
+    vi.useFakeTimers();
+  });
+
   // ─── isWordInDeck ────────────────────────────────────────────
 
   it('returns true for word in deck (normalized match)', async () => {
@@ -455,6 +709,53 @@ describe('useDeck', () => {
     expect(mockSetDoc).not.toHaveBeenCalled();
   });
 
+  // ─── tags, sub-decks and daily limits ─────────────────────────
+
+  it('tags cards, files them in sub-decks and auto-tags untagged ones', async () => {
+    mockGetDoc.mockImplementation((ref: { path: string }) => Promise.resolve(
+      firestoreSnap(ref.path === 'decks/user-1' ? {
+        cards: [
+          { id: 'книга', word: 'книга', translation: 'book', sourceLanguage: 'ru', easeFactor: 2.5, interval: 0, repetition: 0, nextReviewDate: '2025-01-01T00:00:00.000Z', addedAt: '2025-01-01T00:00:00.000Z', lastReviewedAt: null, dictionary: { stressedForm: 'кни́га', pos: 'noun', translations: ['book'], example: { russian: 'Кни́га.', english: 'A book.' } } },
+          { id: 'дом', word: 'дом', translation: 'house', sourceLanguage: 'ru', easeFactor: 2.5, interval: 0, repetition: 0, nextReviewDate: '2025-01-01T00:00:00.000Z', addedAt: '2025-01-01T00:00:00.000Z', lastReviewedAt: null, tags: ['home'], dictionary: { stressedForm: 'дом', pos: 'noun', translations: ['house'], example: { russian: 'Дом.', english: 'A house.' } } },
+        ],
+      } : null),
+    ));
+    const { result } = renderHook(() => useDeck('user-1'));
+    await act(async () => { await vi.runAllTimersAsync(); });
+
+    await act(async () => {
+      result.current.editCards(['книга', 'дом'], card => moveToSubDeck(addTag(card, 'Tolstoy'), 'Novels'));
+      await result.current.autoTagCards();
+    });
+
+    expect(result.current.cards[0]).toMatchObject({ subDeck: 'Novels', tags: ['Tolstoy'] });
+    expect(result.current.cards[1]).toMatchObject({ subDeck: 'Novels', tags: ['home', 'Tolstoy'] });
+
+    act(() => {
+      result.current.editCards(['книга'], card => ({ ...card, tags: undefined }));
+    });
+    await act(async () => { await result.current.autoTagCards(); });
+    expect(result.current.cards[0].tags).toEqual(['noun', 'freq 2001-5000']);
+  });
+
+  it('holds due reviews to the daily new-card limit', async () => {
+    const { result } = renderHook(() => useDeck('user-1'));
+    await act(async () => { await vi.runAllTimersAsync(); });
+
+    await act(async () => {
+      await result.current.addCard('Слово', 'Word', 'ru');
+      await result.current.addCard('Книга', 'Book', 'ru');
+      await result.current.updateDeckSettings({ scheduler: 'sm2', newPerDay: 1 });
+    });
+    expect(result.current.dueCount).toBe(1);
+
+    act(() => {
+      result.current.reviewCard(result.current.dueReviews[0].card.id, 4);
+    });
+    expect(result.current.cards.find(c => c.lastReviewedAt)?.firstReviewedAt).toBeDefined();
+    expect(result.current.dueCount).toBe(0);
+  });
+
   // ─── dueCards ────────────────────────────────────────────────
 
   it('computes dueCards from cards with past nextReviewDate', async () => {
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi } from 'vitest';
-import { render, fireEvent } from '@testing-library/react';
+import { render, fireEvent, screen, waitFor } from '@testing-library/react';
 import { VideoInput } from '../src/components/VideoInput';
 
 describe('VideoInput', () => {
@@ -101,6 +101,34 @@ describe('VideoInput', () => {
     expect(onSubmit).not.toHaveBeenCalled();
   });
 
+  it('passes an attached subtitle file with the URL', async () => {
+    const onSubmit = vi.fn().mockResolvedValue(undefined);
+    const { container } = render(<VideoInput onSubmit={onSubmit} isLoading={false} error={null} />);
+    const srt = '1\n00:00:01,000 --> 00:00:02,000\nПривет.\n';
+
+    fireEvent.change(screen.getByLabelText('Subtitle file'), {
+      target: { files: [new File([srt], 'film.srt')] },
+    });
+    const align = await screen.findByLabelText('Refine timing with audio');
+    fireEvent.click(align);
+
+    fireEvent.change(container.querySelector('input[type="url"]') as HTMLInputElement, {
+      target: { value: 'https://ok.ru/video/123' },
+    });
+    fireEvent.submit(container.querySelector('form') as HTMLFormElement);
+
+    expect(onSubmit).toHaveBeenCalledWith('https://ok.ru/video/123', { content: srt, align: true });
+  });
+
+  it('rejects subtitle files without cues', async () => {
+    render(<VideoInput onSubmit={noop} isLoading={false} error={null} />);
+    fireEvent.change(screen.getByLabelText('Subtitle file'), {
+      target: { files: [new File(['hello'], 'notes.srt')] },
+    });
+    await waitFor(() => expect(screen.getByText(/No subtitle cues found/)).toBeTruthy());
+    expect(screen.queryByLabelText('Refine timing with audio')).toBeNull();
+  });
+
   it('shows section heading "Video"', () => {
     const { container } = render(<VideoInput onSubmit={noop} isLoading={false} error={null} />);
     expect(container.textContent).toContain('Video');
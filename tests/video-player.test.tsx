@@ -1,6 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRef } from 'react';
 import { render } from '@testing-library/react';
 import { VideoPlayer } from '../src/components/VideoPlayer';
+import type { PlayerControls } from '../src/types';
 
 // Mock @vimeo/player — must be a class (used with `new Player(iframe)`)
 vi.mock('@vimeo/player', () => ({
@@ -10,6 +12,7 @@ vi.mock('@vimeo/player', () => ({
     setCurrentTime = vi.fn().mockResolvedValue(undefined);
     getCurrentTime = vi.fn().mockResolvedValue(0);
     getPaused = vi.fn().mockResolvedValue(true);
+    setPlaybackRate = vi.fn().mockResolvedValue(undefined);
     play = vi.fn();
     pause = vi.fn();
   },
@@ -28,6 +31,13 @@ vi.mock('hls.js', () => {
   return { default: MockHls };
 });
 
+// Most recently constructed YouTube player stub
+let lastYTPlayer: {
+  seekTo: ReturnType<typeof vi.fn>;
+  pauseVideo: ReturnType<typeof vi.fn>;
+  setPlaybackRate: ReturnType<typeof vi.fn>;
+} | null = null;
+
 describe('VideoPlayer', () => {
   const noop = vi.fn();
 
@@ -40,10 +50,12 @@ describe('VideoPlayer', () => {
         seekTo = vi.fn();
         playVideo = vi.fn();
         pauseVideo = vi.fn();
+        setPlaybackRate = vi.fn();
         destroy = vi.fn();
         constructor(_id: string, opts: any) {
+          lastYTPlayer = { seekTo: this.seekTo, pauseVideo: this.pauseVideo, setPlaybackRate: this.setPlaybackRate };
           // Fire onReady immediately
-          opts?.events?.onReady?.();
+          opts?.events?.onReady?.({ target: this });
         }
       },
     };
@@ -90,6 +102,17 @@ describe('VideoPlayer', () => {
     expect(container.textContent).toContain('seek ±5s');
   });
 
+  it('exposes seek through controlsRef for direct video', () => {
+    const controlsRef = createRef<PlayerControls>();
+    const { container } = render(
+      <VideoPlayer url="/video/test.mp4" onTimeUpdate={noop} controlsRef={controlsRef} />
+    );
+
+    controlsRef.current!.seek(42);
+
+    expect((container.querySelector('video') as HTMLVideoElement).currentTime).toBe(42);
+  });
+
   // ─── ok.ru URL detection ─────────────────────────────────
 
   it('renders <video> for ok.ru original URL (uses direct player)', () => {
@@ -142,6 +165,48 @@ describe('VideoPlayer', () => {
     expect(container.querySelector('video')).toBeNull();
   });
 
+  it('routes controlsRef to the YouTube player API', () => {
+    const controlsRef = createRef<PlayerControls>();
+    render(
+      <VideoPlayer
+        url="/fallback.mp4"
+        originalUrl="https://youtu.be/dQw4w9WgXcQ"
+        onTimeUpdate={noop}
+        controlsRef={controlsRef}
+      />
+    );
+
+    controlsRef.current!.seek(7);
+    controlsRef.current!.pause();
+
+    const player = lastYTPlayer!;
+    expect(player.seekTo).toHaveBeenCalledWith(7, true);
+    expect(player.pauseVideo).toHaveBeenCalled();
+  });
+
+  it('applies playbackRate to the YouTube player and follows changes', () => {
+    const { rerender } = render(
+      <VideoPlayer
+        url="/fallback.mp4"
+        originalUrl="https://youtu.be/dQw4w9WgXcQ"
+        onTimeUpdate={noop}
+        playbackRate={0.75}
+      />
+    );
+    const player = lastYTPlayer!;
+    expect(player.setPlaybackRate).toHaveBeenLastCalledWith(0.75);
+
+    rerender(
+      <VideoPlayer
+        url="/fallback.mp4"
+        originalUrl="https://youtu.be/dQw4w9WgXcQ"
+        onTimeUpdate={noop}
+        playbackRate={1.25}
+      />
+    );
+    expect(player.setPlaybackRate).toHaveBeenLastCalledWith(1.25);
+  });
+
   // ─── Vimeo URL detection ─────────────────────────────────
 
   it('renders container div for Vimeo URL', () => {
@@ -167,6 +232,21 @@ describe('VideoPlayer', () => {
     expect(container.querySelector('video')).toBeNull();
   });
 
+  // ─── Playback speed (direct) ─────────────────────────────
+
+  it('sets playbackRate with pitch preservation on direct video', () => {
+    const { container, rerender } = render(
+      <VideoPlayer url="/video/test.mp4" onTimeUpdate={noop} playbackRate={0.5} />
+    );
+    const video = container.querySelector('video')!;
+    expect(video.playbackRate).toBe(0.5);
+    expect(video.defaultPlaybackRate).toBe(0.5);
+    expect(video.preservesPitch).toBe(true);
+
+    rerender(<VideoPlayer url="/video/test.mp4" onTimeUpdate={noop} playbackRate={1.5} />);
+    expect(video.playbackRate).toBe(1.5);
+  });
+
   // ─── No originalUrl ──────────────────────────────────────
 
   it('defaults to direct video when no originalUrl provided', () => {
@@ -122,6 +122,7 @@ describe('WordPopup', () => {
       'hello',
       'ru',
       MOCK_TRANSLATION.dictionary,
+      undefined,
     );
   });
 
@@ -142,7 +143,7 @@ describe('WordPopup', () => {
       fireEvent.click(screen.getByText('Add to deck'));
     });
 
-    expect(onAddToDeck).toHaveBeenCalledWith('привет', 'hello', 'ru', undefined);
+    expect(onAddToDeck).toHaveBeenCalledWith('привет', 'hello', 'ru', undefined, undefined);
   });
 
   it('shows "Adding..." spinner while onAddToDeck promise is pending', async () => {
@@ -166,4 +167,96 @@ describe('WordPopup', () => {
     expect(screen.queryByText('Adding...')).not.toBeInTheDocument();
     expect(screen.getByText('Add to deck')).toBeInTheDocument();
   });
+
+  it('shows the stressed spelling and adds it with the card', async () => {
+    const onAddToDeck = vi.fn().mockResolvedValue(undefined);
+    renderPopup({ onAddToDeck, translation: { ...MOCK_TRANSLATION, stressed: 'приве́т' } });
+
+    expect(screen.getByText('приве́т')).toBeInTheDocument();
+    await act(async () => {
+      fireEvent.click(screen.getByText('Add to deck'));
+    });
+
+    expect(onAddToDeck).toHaveBeenCalledWith('привет', 'hello', 'ru', MOCK_TRANSLATION.dictionary, 'приве́т');
+  });
+
+  // ─── Homograph readings ───────────────────────────────────
+
+  const STEEL = { stressedForm: 'ста́ль', pos: 'noun', translations: ['steel'] };
+  const BECOME = { stressedForm: 'ста́ть', pos: 'verb', translations: ['become', 'get'] };
+  const HOMOGRAPH: Translation = {
+    word: 'стали',
+    translation: 'became',
+    sourceLanguage: 'ru',
+    dictionary: BECOME,
+    readings: [
+      { lemma: 'стать', pos: 'verb', dictionary: BECOME },
+      { lemma: 'сталь', pos: 'noun', dictionary: STEEL },
+    ],
+  };
+
+  it('does not show readings for an unambiguous word', () => {
+    renderPopup();
+    expect(screen.queryByTestId('word-readings')).not.toBeInTheDocument();
+  });
+
+  it('lists the readings with the best fit selected', () => {
+    renderPopup({ translation: HOMOGRAPH });
+    const buttons = screen.getByTestId('word-readings').querySelectorAll('button');
+    expect([...buttons].map(b => b.textContent)).toEqual(['стать verb', 'сталь noun']);
+    expect(buttons[0]).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByText('became')).toBeInTheDocument();
+  });
+
+  it('adds the card with the reading the user switched to', async () => {
+    const onAddToDeck = vi.fn().mockResolvedValue(undefined);
+    renderPopup({ translation: HOMOGRAPH, onAddToDeck });
+
+    fireEvent.click(screen.getByText('сталь'));
+    expect(screen.getByText('steel')).toBeInTheDocument();
+    expect(screen.queryByText('became')).not.toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Add to deck'));
+    });
+
+    expect(onAddToDeck).toHaveBeenCalledWith('стали', 'steel', 'ru', STEEL, undefined);
+  });
+
+  // ─── Grammar ──────────────────────────────────────────────
+
+  it('describes the form it was clicked as', () => {
+    renderPopup({
+      translation: {
+        word: 'книгой',
+        translation: 'book',
+        sourceLanguage: 'ru',
+        dictionary: { stressedForm: 'кни́га', pos: 'noun', translations: ['book'] },
+        morph: [{ pos: 'noun', case: 'inst', number: 'sg' }],
+      },
+    });
+    expect(screen.getByTestId('word-grammar')).toHaveTextContent('instrumental singular of книга');
+  });
+
+  it('follows the selected reading', () => {
+    renderPopup({
+      translation: {
+        ...HOMOGRAPH,
+        morph: [{ pos: 'verb', tense: 'past', number: 'pl', aspect: 'perfective' }],
+        readings: [
+          { ...HOMOGRAPH.readings![0], morph: [{ pos: 'verb', tense: 'past', number: 'pl', aspect: 'perfective' }] },
+          { ...HOMOGRAPH.readings![1], morph: [{ pos: 'noun', case: 'gen', number: 'sg' }, { pos: 'noun', case: 'nom', number: 'pl' }] },
+        ],
+      },
+    });
+    expect(screen.getByTestId('word-grammar')).toHaveTextContent('past plural of стать (perfective)');
+
+    fireEvent.click(screen.getByText('сталь'));
+    expect(screen.getByTestId('word-grammar')).toHaveTextContent('genitive singular or nominative plural of сталь');
+  });
+
+  it('shows no grammar line without tags', () => {
+    renderPopup();
+    expect(screen.queryByTestId('word-grammar')).not.toBeInTheDocument();
+  });
 });